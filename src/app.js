@@ -160,6 +160,85 @@ const startServer = async () => {
       } catch (err) {
         logger.warn('💰 Dividend cron skipped:', err.message);
       }
+
+      // =====================================================
+      // 🔁 INICIAR CRON DE TRANSAÇÕES RECORRENTES (1x/DIA)
+      // =====================================================
+      // Gera as próximas ocorrências como PENDING (horizonte móvel)
+      try {
+        const { initRecurringTransactionsCron, runMaterialization } = require('./cron/recurringTransactions.cron');
+        initRecurringTransactionsCron();
+        // Completa o horizonte no startup (idempotente)
+        setTimeout(runMaterialization, 10000);
+      } catch (err) {
+        logger.warn('🔁 Recurring transactions cron skipped:', err.message);
+      }
+
+      // =====================================================
+      // 💱 INICIAR CRON DE COTAÇÕES DE CÂMBIO (DIAS ÚTEIS)
+      // =====================================================
+      // Atualiza as cotações de câmbio dos pares em uso
+      try {
+        const { initExchangeRatesCron } = require('./cron/exchangeRates.cron');
+        initExchangeRatesCron();
+      } catch (err) {
+        logger.warn('💱 Exchange rates cron skipped:', err.message);
+      }
+
+      // =====================================================
+      // 🗑️ INICIAR CRON DE EXPURGO DA LIXEIRA (1x/DIA)
+      // =====================================================
+      // Apaga as transações excluídas há mais de TRASH_RETENTION_DAYS
+      try {
+        const { initTrashPurgeCron } = require('./cron/trashPurge.cron');
+        initTrashPurgeCron();
+      } catch (err) {
+        logger.warn('🗑️ Trash purge cron skipped:', err.message);
+      }
+
+      // =====================================================
+      // 💸 INICIAR CRON DO "QUANTO POSSO GASTAR HOJE" (1x/DIA)
+      // =====================================================
+      // Notificação diária para quem ativou SAFE_TO_SPEND
+      try {
+        const { initSafeToSpendCron } = require('./cron/safeToSpend.cron');
+        initSafeToSpendCron();
+      } catch (err) {
+        logger.warn('💸 Safe-to-spend cron skipped:', err.message);
+      }
+
+      // =====================================================
+      // 📈 INICIAR CRON DE SNAPSHOT DO PATRIMÔNIO (1x/DIA)
+      // =====================================================
+      // Patrimônio líquido diário por perfil e consolidado
+      try {
+        const { initNetWorthSnapshotCron } = require('./cron/netWorthSnapshot.cron');
+        initNetWorthSnapshotCron();
+      } catch (err) {
+        logger.warn('📈 Net worth snapshot cron skipped:', err.message);
+      }
+
+      // =====================================================
+      // 🎯 INICIAR CRON DE PROJEÇÃO DAS METAS (1x/DIA)
+      // =====================================================
+      // Aviso mensal para metas que não chegam ao alvo no prazo
+      try {
+        const { initGoalProjectionCron } = require('./cron/goalProjection.cron');
+        initGoalProjectionCron();
+      } catch (err) {
+        logger.warn('🎯 Goal projection cron skipped:', err.message);
+      }
+
+      // =====================================================
+      // 💰 INICIAR CRON DE APORTES AUTOMÁTICOS NAS METAS (1x/DIA)
+      // =====================================================
+      // Debita a conta de origem e registra o depósito na meta
+      try {
+        const { initGoalContributionsCron } = require('./cron/goalContributions.cron');
+        initGoalContributionsCron();
+      } catch (err) {
+        logger.warn('💰 Goal contributions cron skipped:', err.message);
+      }
     });
 
   } catch (error) {
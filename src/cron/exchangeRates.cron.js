@@ -0,0 +1,44 @@
+/**
+ * Exchange Rates Cron Job
+ * ========================================
+ *
+ * Atualiza as cotações do dia para os pares de moeda em uso
+ * (contas, cartões e transações em moeda estrangeira).
+ * - Frequência: dias úteis às 18:00 BRT (após a PTAX de fechamento)
+ * - Sem provedor ou com falha, vale a última cotação (ou a manual)
+ */
+
+const cron = require('node-cron');
+const { syncRates } = require('../features/exchangeRates/exchangeRates.service');
+const { logger } = require('../config/logger');
+
+/**
+ * Executa a atualização das cotações
+ */
+const runRatesSync = async () => {
+    logger.info('💱 [FX_CRON] Atualizando cotações...');
+    try {
+        const result = await syncRates();
+        logger.info(`💱 [FX_CRON] ${result.synced}/${result.pairs} pares atualizados (${result.failed} falhas)`);
+        return result;
+    } catch (error) {
+        logger.error(`❌ [FX_CRON] Erro: ${error.message}`);
+        return { pairs: 0, synced: 0, failed: 0, error: error.message };
+    }
+};
+
+/**
+ * Agenda o cron
+ */
+const initExchangeRatesCron = () => {
+    cron.schedule('0 18 * * 1-5', runRatesSync, {
+        timezone: 'America/Sao_Paulo'
+    });
+
+    logger.info('📅 [FX_CRON] Agendado: dias úteis às 18:00 BRT');
+};
+
+module.exports = {
+    initExchangeRatesCron,
+    runRatesSync
+};
@@ -0,0 +1,48 @@
+/**
+ * Goal Contributions Cron Job
+ * ========================================
+ *
+ * Executa os aportes automáticos agendados nas metas (GoalContributionSchedule).
+ * - Frequência: 1x/dia às 07:00 BRT (antes do "quanto posso gastar hoje")
+ * - Saldo insuficiente pula o aporte e avisa (GOAL_CONTRIBUTION_SKIPPED)
+ * - Conta desativada ou excluída pausa o agendamento e avisa
+ * - Execuções perdidas (servidor fora do ar) rodam uma única vez
+ */
+
+const cron = require('node-cron');
+const goalsService = require('../features/goals/goals.service');
+const { logger } = require('../config/logger');
+
+/**
+ * Executa os aportes vencidos
+ */
+const runGoalContributions = async () => {
+    logger.info('💰 [GOAL_CONTRIBUTIONS_CRON] Executando aportes agendados...');
+    try {
+        const result = await goalsService.runDueSchedules();
+        logger.info(
+            `💰 [GOAL_CONTRIBUTIONS_CRON] ${result.contributed} aporte(s), ${result.skipped} pulado(s) por saldo, ` +
+            `${result.paused} pausado(s) de ${result.checked} agendamento(s) (${result.failed} falhas)`
+        );
+        return result;
+    } catch (error) {
+        logger.error(`❌ [GOAL_CONTRIBUTIONS_CRON] Erro: ${error.message}`);
+        return { checked: 0, contributed: 0, skipped: 0, paused: 0, failed: 0, error: error.message };
+    }
+};
+
+/**
+ * Agenda o cron diário
+ */
+const initGoalContributionsCron = () => {
+    cron.schedule('0 7 * * *', runGoalContributions, {
+        timezone: 'America/Sao_Paulo'
+    });
+
+    logger.info('📅 [GOAL_CONTRIBUTIONS_CRON] Agendado: 1x/dia às 07:00 BRT');
+};
+
+module.exports = {
+    initGoalContributionsCron,
+    runGoalContributions
+};
@@ -0,0 +1,44 @@
+/**
+ * Goal Projection Cron Job
+ * ========================================
+ *
+ * Projeta as metas com prazo e avisa (GOALS) as que estão atrasadas:
+ * no ritmo atual de aportes, não chegam ao valor alvo até o prazo.
+ * - Frequência: 1x/dia às 09:00 BRT
+ * - No máximo um aviso por meta por mês (Goal.behindNotifiedAt)
+ */
+
+const cron = require('node-cron');
+const goalsService = require('../features/goals/goals.service');
+const { logger } = require('../config/logger');
+
+/**
+ * Executa a verificação
+ */
+const runGoalProjectionAlerts = async () => {
+    logger.info('🎯 [GOALS_CRON] Verificando metas atrasadas...');
+    try {
+        const result = await goalsService.notifyBehindGoals();
+        logger.info(`🎯 [GOALS_CRON] ${result.notified} aviso(s) de ${result.checked} meta(s) (${result.failed} falhas)`);
+        return result;
+    } catch (error) {
+        logger.error(`❌ [GOALS_CRON] Erro: ${error.message}`);
+        return { checked: 0, notified: 0, failed: 0, error: error.message };
+    }
+};
+
+/**
+ * Agenda o cron diário
+ */
+const initGoalProjectionCron = () => {
+    cron.schedule('0 9 * * *', runGoalProjectionAlerts, {
+        timezone: 'America/Sao_Paulo'
+    });
+
+    logger.info('📅 [GOALS_CRON] Agendado: 1x/dia às 09:00 BRT');
+};
+
+module.exports = {
+    initGoalProjectionCron,
+    runGoalProjectionAlerts
+};
@@ -0,0 +1,44 @@
+/**
+ * Net Worth Snapshot Cron Job
+ * ========================================
+ *
+ * Grava o patrimônio líquido do dia de cada usuário:
+ * um snapshot por perfil e o consolidado (profileId null).
+ * - Frequência: 1x/dia às 23:30 BRT
+ * - Idempotente: rodar de novo no mesmo dia atualiza o registro
+ */
+
+const cron = require('node-cron');
+const { snapshotAll } = require('../features/netWorth/netWorth.service');
+const { logger } = require('../config/logger');
+
+/**
+ * Executa os snapshots
+ */
+const runNetWorthSnapshots = async () => {
+    logger.info('📈 [NET_WORTH_CRON] Gravando patrimônio do dia...');
+    try {
+        const result = await snapshotAll();
+        logger.info(`📈 [NET_WORTH_CRON] ${result.snapshots} snapshots de ${result.users} usuários (${result.failed} falhas)`);
+        return result;
+    } catch (error) {
+        logger.error(`❌ [NET_WORTH_CRON] Erro: ${error.message}`);
+        return { users: 0, snapshots: 0, failed: 0, error: error.message };
+    }
+};
+
+/**
+ * Agenda o cron diário
+ */
+const initNetWorthSnapshotCron = () => {
+    cron.schedule('30 23 * * *', runNetWorthSnapshots, {
+        timezone: 'America/Sao_Paulo'
+    });
+
+    logger.info('📅 [NET_WORTH_CRON] Agendado: 1x/dia às 23:30 BRT');
+};
+
+module.exports = {
+    initNetWorthSnapshotCron,
+    runNetWorthSnapshots
+};
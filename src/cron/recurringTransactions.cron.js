@@ -0,0 +1,45 @@
+/**
+ * Recurring Transactions Cron Job
+ * ========================================
+ *
+ * Materializa as próximas ocorrências das transações recorrentes
+ * como PENDING dentro do horizonte móvel (RECURRING_HORIZON_DAYS).
+ * - Frequência: 1x/dia às 02:00 BRT
+ * - Idempotente: datas já geradas (ou puladas) não são recriadas
+ * - Os lembretes saem por createPaymentNotifications (status PENDING)
+ */
+
+const cron = require('node-cron');
+const { materializeAll } = require('../features/transactions/recurring.service');
+const { logger } = require('../config/logger');
+
+/**
+ * Executa a materialização de todas as séries
+ */
+const runMaterialization = async () => {
+    logger.info('🔁 [RECURRING_CRON] Materializando ocorrências recorrentes...');
+    try {
+        const result = await materializeAll();
+        logger.info(`🔁 [RECURRING_CRON] ${result.created} ocorrências criadas em ${result.series} séries (${result.failed} falhas)`);
+        return result;
+    } catch (error) {
+        logger.error(`❌ [RECURRING_CRON] Erro: ${error.message}`);
+        return { series: 0, created: 0, failed: 0, error: error.message };
+    }
+};
+
+/**
+ * Agenda o cron diário
+ */
+const initRecurringTransactionsCron = () => {
+    cron.schedule('0 2 * * *', runMaterialization, {
+        timezone: 'America/Sao_Paulo'
+    });
+
+    logger.info('📅 [RECURRING_CRON] Agendado: 1x/dia às 02:00 BRT');
+};
+
+module.exports = {
+    initRecurringTransactionsCron,
+    runMaterialization
+};
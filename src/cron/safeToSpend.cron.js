@@ -0,0 +1,44 @@
+/**
+ * Safe-to-Spend Cron Job
+ * ========================================
+ *
+ * Envia o "quanto posso gastar hoje" para quem ativou
+ * a preferência de notificação SAFE_TO_SPEND.
+ * - Frequência: 1x/dia às 08:00 BRT
+ * - Cópia no WhatsApp quando whatsappEnabled
+ */
+
+const cron = require('node-cron');
+const { sendDailyNotifications } = require('../features/budgets/safeToSpend.service');
+const { logger } = require('../config/logger');
+
+/**
+ * Executa o envio diário
+ */
+const runSafeToSpendNotifications = async () => {
+    logger.info('💸 [SAFE_TO_SPEND_CRON] Enviando resumo diário...');
+    try {
+        const result = await sendDailyNotifications();
+        logger.info(`💸 [SAFE_TO_SPEND_CRON] ${result.sent} enviadas (${result.failed} falhas)`);
+        return result;
+    } catch (error) {
+        logger.error(`❌ [SAFE_TO_SPEND_CRON] Erro: ${error.message}`);
+        return { sent: 0, failed: 0, error: error.message };
+    }
+};
+
+/**
+ * Agenda o cron diário
+ */
+const initSafeToSpendCron = () => {
+    cron.schedule('0 8 * * *', runSafeToSpendNotifications, {
+        timezone: 'America/Sao_Paulo'
+    });
+
+    logger.info('📅 [SAFE_TO_SPEND_CRON] Agendado: 1x/dia às 08:00 BRT');
+};
+
+module.exports = {
+    initSafeToSpendCron,
+    runSafeToSpendNotifications
+};
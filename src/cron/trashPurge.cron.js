@@ -0,0 +1,44 @@
+/**
+ * Trash Purge Cron Job
+ * ========================================
+ *
+ * Apaga definitivamente as transações que estão na lixeira
+ * há mais de TRASH_RETENTION_DAYS dias (padrão 30).
+ * - Frequência: 1x/dia às 03:30 BRT
+ * - Metadata, divisões e anexos são removidos junto
+ */
+
+const cron = require('node-cron');
+const { purgeExpired } = require('../features/trash/trash.service');
+const { logger } = require('../config/logger');
+
+/**
+ * Executa o expurgo da lixeira
+ */
+const runTrashPurge = async () => {
+    logger.info('🗑️ [TRASH_CRON] Expurgando lixeira...');
+    try {
+        const result = await purgeExpired();
+        logger.info(`🗑️ [TRASH_CRON] ${result.MANUAL} manuais e ${result.CARD} de cartão excluídas definitivamente`);
+        return result;
+    } catch (error) {
+        logger.error(`❌ [TRASH_CRON] Erro: ${error.message}`);
+        return { MANUAL: 0, CARD: 0, error: error.message };
+    }
+};
+
+/**
+ * Agenda o cron diário
+ */
+const initTrashPurgeCron = () => {
+    cron.schedule('30 3 * * *', runTrashPurge, {
+        timezone: 'America/Sao_Paulo'
+    });
+
+    logger.info('📅 [TRASH_CRON] Agendado: 1x/dia às 03:30 BRT');
+};
+
+module.exports = {
+    initTrashPurgeCron,
+    runTrashPurge
+};
@@ -0,0 +1,147 @@
+/**
+ * Attachments Controller
+ * ✅ PROFILE ISOLATION: Uses req.profileId
+ */
+
+const attachmentsService = require('./attachments.service');
+const { AppError } = require('../../middlewares/errorHandler');
+
+// Segmento da URL -> tipo de registro
+const RESOURCE_PATHS = {
+    'transactions': 'MANUAL_TRANSACTION',
+    'card-transactions': 'CARD_TRANSACTION',
+    'open-finance-transactions': 'OPEN_FINANCE_TRANSACTION',
+    'das-guides': 'DAS_GUIDE',
+    'card-invoices': 'CARD_INVOICE'
+};
+
+const getResourceType = (path) => {
+    const resourceType = RESOURCE_PATHS[path];
+    if (!resourceType) {
+        throw new AppError(`Tipo de registro inválido. Use: ${Object.keys(RESOURCE_PATHS).join(', ')}`, 400, 'INVALID_RESOURCE_TYPE');
+    }
+    return resourceType;
+};
+
+/**
+ * Envia o conteúdo do anexo
+ */
+const sendFile = (res, { attachment, content }) => {
+    res.set({
+        'Content-Type': attachment.mimeType,
+        'Content-Length': content.length,
+        'Content-Disposition': `inline; filename*=UTF-8''${encodeURIComponent(attachment.originalName)}`,
+        'Cache-Control': 'private, no-store'
+    });
+    res.send(content);
+};
+
+/**
+ * POST /attachments/:resourceType/:resourceId (multipart: file, kind)
+ */
+const upload = async (req, res, next) => {
+    try {
+        const attachment = await attachmentsService.uploadAttachment(
+            req.userId,
+            req.profileId,
+            getResourceType(req.params.resourceType),
+            req.params.resourceId,
+            req.file,
+            req.body.kind || undefined
+        );
+
+        res.status(201).json({
+            message: 'Anexo enviado com sucesso',
+            data: attachment
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * GET /attachments/:resourceType/:resourceId
+ */
+const list = async (req, res, next) => {
+    try {
+        const attachments = await attachmentsService.listAttachments(
+            req.userId,
+            req.profileId,
+            getResourceType(req.params.resourceType),
+            req.params.resourceId
+        );
+        res.json({ data: attachments });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * GET /attachments/usage
+ */
+const getUsage = async (req, res, next) => {
+    try {
+        const usage = await attachmentsService.getUsage(req.userId);
+        res.json({ data: usage });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * GET /attachments/:id/url
+ */
+const getDownloadUrl = async (req, res, next) => {
+    try {
+        const result = await attachmentsService.createDownloadUrl(req.userId, req.profileId, req.params.id);
+        res.json({ data: result });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * GET /attachments/:id/download
+ */
+const download = async (req, res, next) => {
+    try {
+        const file = await attachmentsService.downloadAttachment(req.userId, req.profileId, req.params.id);
+        sendFile(res, file);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * GET /attachments/download/:token (URL assinada, sem Authorization)
+ */
+const downloadSigned = async (req, res, next) => {
+    try {
+        const file = await attachmentsService.downloadBySignedToken(req.params.token);
+        sendFile(res, file);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * DELETE /attachments/:id
+ */
+const remove = async (req, res, next) => {
+    try {
+        const result = await attachmentsService.deleteAttachment(req.userId, req.profileId, req.params.id);
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    upload,
+    list,
+    getUsage,
+    getDownloadUrl,
+    download,
+    downloadSigned,
+    remove
+};
@@ -0,0 +1,50 @@
+/**
+ * Attachments Routes
+ * ========================================
+ * ✅ PROFILE ISOLATION: Uses profileMiddleware
+ * ========================================
+ */
+
+const { Router } = require('express');
+const attachmentsController = require('./attachments.controller');
+const { MAX_FILE_SIZE } = require('./attachments.service');
+const { authMiddleware } = require('../../middlewares/authMiddleware');
+const { profileMiddleware } = require('../../middlewares/profileMiddleware');
+const { uploadMiddleware } = require('../../middlewares/uploadMiddleware');
+const { validate } = require('../../utils/validators');
+
+const router = Router();
+
+// URL assinada: o token substitui o header Authorization
+router.get('/download/:token', attachmentsController.downloadSigned);
+
+// ✅ Auth first, then profile isolation
+router.use(authMiddleware);
+router.use(profileMiddleware);
+
+// Schemas de validação
+const idSchema = {
+    params: {
+        id: { type: 'uuid' }
+    }
+};
+
+const resourceSchema = {
+    params: {
+        resourceId: { type: 'uuid' }
+    }
+};
+
+router.get('/usage', attachmentsController.getUsage);
+router.get('/:id/url', validate(idSchema), attachmentsController.getDownloadUrl);
+router.get('/:id/download', validate(idSchema), attachmentsController.download);
+router.delete('/:id', validate(idSchema), attachmentsController.remove);
+router.get('/:resourceType/:resourceId', validate(resourceSchema), attachmentsController.list);
+router.post(
+    '/:resourceType/:resourceId',
+    validate(resourceSchema),
+    uploadMiddleware({ fieldName: 'file', maxFileSize: MAX_FILE_SIZE }),
+    attachmentsController.upload
+);
+
+module.exports = router;
@@ -0,0 +1,436 @@
+/**
+ * Attachments Service
+ * ========================================
+ * COMPROVANTES E ANEXOS
+ * ========================================
+ *
+ * - Upload de recibos, boletos e PDFs para transações manuais, transações
+ *   de cartão, guias do DAS e faturas de cartão
+ * - Limites de tamanho e tipo (o tipo é detectado pelo conteúdo, não pelo nome)
+ * - Cota de armazenamento por usuário
+ * - Download autenticado ou por URL assinada de curta duração
+ * ✅ PROFILE ISOLATION: registro anexado validado contra profileId
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const {
+    Attachment,
+    ManualTransaction,
+    CardTransaction,
+    CreditCard,
+    OpenFinanceTransaction,
+    BankAccount,
+    DasGuide,
+    CardInvoice,
+    Profile,
+    AuditLog
+} = require('../../models');
+const { AppError } = require('../../middlewares/errorHandler');
+const { config: jwtConfig } = require('../../config/jwt');
+const { getDriver } = require('./storage');
+
+const MB = 1024 * 1024;
+
+const MAX_FILE_SIZE = (parseInt(process.env.ATTACHMENTS_MAX_FILE_SIZE_MB) || 10) * MB;
+const USER_QUOTA = (parseInt(process.env.ATTACHMENTS_USER_QUOTA_MB) || 500) * MB;
+const URL_EXPIRES_IN = process.env.ATTACHMENTS_URL_EXPIRES_IN || '15m';
+
+const RESOURCE_TYPES = ['MANUAL_TRANSACTION', 'CARD_TRANSACTION', 'OPEN_FINANCE_TRANSACTION', 'DAS_GUIDE', 'CARD_INVOICE'];
+const KINDS = ['RECEIPT', 'BOLETO', 'INVOICE', 'OTHER'];
+
+const EXTENSIONS = {
+    'application/pdf': 'pdf',
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/heic': 'heic'
+};
+
+const TOKEN_PURPOSE = 'attachment-download';
+
+/**
+ * Detecta o tipo do arquivo pelos primeiros bytes
+ * @returns {string|null} MIME type aceito ou null
+ */
+const detectMimeType = (buffer) => {
+    if (buffer.length < 12) return null;
+
+    if (buffer.slice(0, 4).toString('latin1') === '%PDF') return 'application/pdf';
+    if (buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) return 'image/jpeg';
+    if (buffer.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) return 'image/png';
+    if (buffer.slice(0, 4).toString('latin1') === 'RIFF' && buffer.slice(8, 12).toString('latin1') === 'WEBP') return 'image/webp';
+    if (buffer.slice(4, 8).toString('latin1') === 'ftyp'
+        && ['heic', 'heix', 'mif1', 'msf1'].includes(buffer.slice(8, 12).toString('latin1'))) return 'image/heic';
+
+    return null;
+};
+
+/**
+ * Busca o registro anexável garantindo isolamento por perfil
+ * ✅ PROFILE ISOLATION: CardTransaction é isolada pelo perfil do cartão,
+ * Open Finance pelo perfil da conta/cartão relacionado, DasGuide (sem userId) pelo dono do perfil
+ *
+ * @returns {Promise<{ id, profileId }>}
+ */
+const findResource = async (userId, profileId, resourceType, resourceId) => {
+    let resource = null;
+
+    if (resourceType === 'MANUAL_TRANSACTION') {
+        const where = { id: resourceId, userId };
+        if (profileId) where.profileId = profileId; // ✅ PROFILE ISOLATION
+        const tx = await ManualTransaction.findOne({ where, attributes: ['id', 'profileId'] });
+        if (tx) resource = { id: tx.id, profileId: tx.profileId };
+    } else if (resourceType === 'CARD_TRANSACTION') {
+        const cardWhere = { userId };
+        if (profileId) cardWhere.profileId = profileId; // ✅ PROFILE ISOLATION
+        const tx = await CardTransaction.findOne({
+            where: { id: resourceId, userId },
+            attributes: ['id'],
+            include: [{ model: CreditCard, as: 'card', where: cardWhere, attributes: ['id', 'profileId'] }]
+        });
+        if (tx) resource = { id: tx.id, profileId: tx.card.profileId };
+    } else if (resourceType === 'OPEN_FINANCE_TRANSACTION') {
+        const tx = await OpenFinanceTransaction.findOne({
+            where: { id: resourceId, userId },
+            attributes: ['id'],
+            include: [
+                { model: BankAccount, as: 'bankAccount', attributes: ['profileId'], required: false },
+                { model: CreditCard, as: 'creditCard', attributes: ['profileId'], required: false }
+            ]
+        });
+        const txProfileId = tx ? (tx.bankAccount?.profileId || tx.creditCard?.profileId || null) : null;
+        if (tx && (!profileId || txProfileId === profileId)) { // ✅ PROFILE ISOLATION
+            resource = { id: tx.id, profileId: txProfileId };
+        }
+    } else if (resourceType === 'DAS_GUIDE') {
+        const where = { id: resourceId };
+        if (profileId) where.profileId = profileId; // ✅ PROFILE ISOLATION
+        const guide = await DasGuide.findOne({
+            where,
+            attributes: ['id', 'profileId'],
+            include: [{ model: Profile, as: 'profile', where: { userId }, attributes: [] }]
+        });
+        if (guide) resource = { id: guide.id, profileId: guide.profileId };
+    } else if (resourceType === 'CARD_INVOICE') {
+        const where = { id: resourceId, userId };
+        if (profileId) where.profileId = profileId; // ✅ PROFILE ISOLATION
+        const invoice = await CardInvoice.findOne({ where, attributes: ['id', 'profileId'] });
+        if (invoice) resource = { id: invoice.id, profileId: invoice.profileId };
+    } else {
+        throw new AppError(`Tipo de registro inválido. Use: ${RESOURCE_TYPES.join(', ')}`, 400, 'INVALID_RESOURCE_TYPE');
+    }
+
+    if (!resource) {
+        throw new AppError('Registro não encontrado', 404, 'RESOURCE_NOT_FOUND');
+    }
+
+    return resource;
+};
+
+/**
+ * Busca um anexo do usuário
+ * ✅ PROFILE ISOLATION
+ */
+const findAttachment = async (userId, profileId, attachmentId) => {
+    const where = { id: attachmentId, userId };
+    if (profileId) where.profileId = profileId; // ✅ PROFILE ISOLATION
+
+    const attachment = await Attachment.findOne({ where });
+    if (!attachment) {
+        throw new AppError('Anexo não encontrado', 404, 'ATTACHMENT_NOT_FOUND');
+    }
+
+    return attachment;
+};
+
+/**
+ * Formata o anexo para resposta
+ */
+const formatAttachment = (attachment) => ({
+    id: attachment.id,
+    resourceType: attachment.resourceType,
+    resourceId: attachment.resourceId,
+    kind: attachment.kind,
+    originalName: attachment.originalName,
+    mimeType: attachment.mimeType,
+    size: attachment.size,
+    checksum: attachment.checksum,
+    createdAt: attachment.createdAt
+});
+
+/**
+ * Espaço usado pelo usuário (bytes)
+ */
+const getUsage = async (userId) => {
+    const used = parseInt(await Attachment.sum('size', { where: { userId } })) || 0;
+
+    return {
+        used,
+        quota: USER_QUOTA,
+        available: Math.max(0, USER_QUOTA - used),
+        maxFileSize: MAX_FILE_SIZE,
+        allowedTypes: Object.keys(EXTENSIONS)
+    };
+};
+
+/**
+ * Anexa um arquivo a um registro
+ *
+ * @param {string} userId
+ * @param {string} profileId
+ * @param {string} resourceType - MANUAL_TRANSACTION | CARD_TRANSACTION | DAS_GUIDE | CARD_INVOICE
+ * @param {string} resourceId
+ * @param {object} file - { originalName, buffer, size } (uploadMiddleware)
+ * @param {string} kind - RECEIPT | BOLETO | INVOICE | OTHER
+ */
+const uploadAttachment = async (userId, profileId, resourceType, resourceId, file, kind = 'RECEIPT') => {
+    if (!KINDS.includes(kind)) {
+        throw new AppError(`Tipo de anexo inválido. Use: ${KINDS.join(', ')}`, 400, 'INVALID_ATTACHMENT_KIND');
+    }
+
+    const resource = await findResource(userId, profileId, resourceType, resourceId);
+
+    if (file.size > MAX_FILE_SIZE) {
+        throw new AppError(`Arquivo excede o limite de ${MAX_FILE_SIZE / MB}MB`, 413, 'FILE_TOO_LARGE');
+    }
+
+    const mimeType = detectMimeType(file.buffer);
+    if (!mimeType) {
+        throw new AppError('Tipo de arquivo não suportado. Envie PDF, JPG, PNG, WEBP ou HEIC', 415, 'UNSUPPORTED_FILE_TYPE');
+    }
+
+    const usage = await getUsage(userId);
+    if (usage.used + file.size > USER_QUOTA) {
+        const error = new AppError('Cota de armazenamento de anexos esgotada', 413, 'ATTACHMENT_QUOTA_EXCEEDED');
+        error.details = { used: usage.used, quota: USER_QUOTA, fileSize: file.size };
+        throw error;
+    }
+
+    const driver = getDriver();
+    const storageKey = `${userId}/${crypto.randomUUID()}.${EXTENSIONS[mimeType]}`;
+
+    await driver.put(storageKey, file.buffer, { mimeType });
+
+    let attachment;
+    try {
+        attachment = await Attachment.create({
+            userId,
+            profileId: resource.profileId,
+            resourceType,
+            resourceId: resource.id,
+            kind,
+            originalName: (file.originalName || `anexo.${EXTENSIONS[mimeType]}`).slice(0, 255),
+            mimeType,
+            size: file.size,
+            checksum: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+            storageDriver: driver.name,
+            storageKey
+        });
+    } catch (error) {
+        // Não deixar arquivo órfão no storage
+        await driver.remove(storageKey).catch(() => {});
+        throw error;
+    }
+
+    await AuditLog.log({
+        userId,
+        action: AuditLog.ACTIONS.ATTACHMENT_UPLOAD,
+        resource: 'ATTACHMENT',
+        resourceId: attachment.id,
+        details: { resourceType, resourceId: resource.id, profileId },
+        newData: formatAttachment(attachment)
+    });
+
+    return formatAttachment(attachment);
+};
+
+/**
+ * Lista os anexos de um registro
+ */
+const listAttachments = async (userId, profileId, resourceType, resourceId) => {
+    const resource = await findResource(userId, profileId, resourceType, resourceId);
+
+    const attachments = await Attachment.findAll({
+        where: { userId, resourceType, resourceId: resource.id },
+        order: [['createdAt', 'ASC']]
+    });
+
+    return attachments.map(formatAttachment);
+};
+
+/**
+ * Gera URL assinada para download sem header Authorization (ex.: <img src>)
+ */
+const createDownloadUrl = async (userId, profileId, attachmentId, expiresIn = URL_EXPIRES_IN) => {
+    const attachment = await findAttachment(userId, profileId, attachmentId);
+    return signDownloadUrl(attachment, expiresIn);
+};
+
+const signDownloadUrl = (attachment, expiresIn = URL_EXPIRES_IN) => {
+    const token = jwt.sign(
+        { sub: attachment.id, uid: attachment.userId, purpose: TOKEN_PURPOSE },
+        jwtConfig.secret,
+        { expiresIn, issuer: 'open-finance-api' }
+    );
+    const { exp } = jwt.decode(token);
+
+    return {
+        url: `/api/attachments/download/${token}`,
+        expiresAt: new Date(exp * 1000).toISOString()
+    };
+};
+
+/**
+ * Lê o conteúdo de um anexo
+ * @returns {Promise<{ attachment, content: Buffer }>}
+ */
+const readAttachment = async (attachment) => {
+    try {
+        const content = await getDriver(attachment.storageDriver).get(attachment.storageKey);
+        return { attachment, content };
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw new AppError('Arquivo do anexo não encontrado no storage', 404, 'ATTACHMENT_FILE_MISSING');
+        }
+        throw error;
+    }
+};
+
+/**
+ * Download autenticado (header Authorization)
+ */
+const downloadAttachment = async (userId, profileId, attachmentId) => {
+    const attachment = await findAttachment(userId, profileId, attachmentId);
+    return readAttachment(attachment);
+};
+
+/**
+ * Download por URL assinada
+ */
+const downloadBySignedToken = async (token) => {
+    let payload;
+    try {
+        payload = jwt.verify(token, jwtConfig.secret, { issuer: 'open-finance-api' });
+    } catch (error) {
+        throw new AppError('Link de download inválido ou expirado', 401, 'INVALID_DOWNLOAD_TOKEN');
+    }
+
+    if (payload.purpose !== TOKEN_PURPOSE) {
+        throw new AppError('Link de download inválido ou expirado', 401, 'INVALID_DOWNLOAD_TOKEN');
+    }
+
+    const attachment = await Attachment.findOne({ where: { id: payload.sub, userId: payload.uid } });
+    if (!attachment) {
+        throw new AppError('Anexo não encontrado', 404, 'ATTACHMENT_NOT_FOUND');
+    }
+
+    return readAttachment(attachment);
+};
+
+/**
+ * Remove um anexo (metadados + arquivo)
+ */
+const deleteAttachment = async (userId, profileId, attachmentId) => {
+    const attachment = await findAttachment(userId, profileId, attachmentId);
+    const previousData = formatAttachment(attachment);
+
+    await attachment.destroy();
+    await getDriver(attachment.storageDriver).remove(attachment.storageKey);
+
+    await AuditLog.log({
+        userId,
+        action: AuditLog.ACTIONS.ATTACHMENT_DELETE,
+        resource: 'ATTACHMENT',
+        resourceId: attachmentId,
+        details: { profileId },
+        previousData
+    });
+
+    return { message: 'Anexo removido com sucesso' };
+};
+
+/**
+ * Remove os anexos de registros excluídos
+ * Os arquivos são apagados após os metadados; falhas no storage só geram log
+ */
+const destroyForResources = async (resourceType, resourceIds) => {
+    const ids = Array.isArray(resourceIds) ? resourceIds : [resourceIds];
+    if (ids.length === 0) return 0;
+
+    const attachments = await Attachment.findAll({ where: { resourceType, resourceId: ids } });
+    if (attachments.length === 0) return 0;
+
+    await Attachment.destroy({ where: { id: attachments.map(a => a.id) } });
+    await removeFiles(attachments);
+
+    return attachments.length;
+};
+
+/**
+ * Transfere os anexos de um registro para outro (ex.: mesclagem de duplicatas)
+ */
+const moveAttachments = async (fromType, fromId, toType, toId, options = {}) => {
+    const [moved] = await Attachment.update(
+        { resourceType: toType, resourceId: toId },
+        { where: { resourceType: fromType, resourceId: fromId }, transaction: options.transaction }
+    );
+    return moved;
+};
+
+/**
+ * Remove todos os anexos do usuário (exclusão de conta)
+ */
+const deleteAllForUser = async (userId) => {
+    const attachments = await Attachment.findAll({ where: { userId } });
+    if (attachments.length === 0) return 0;
+
+    await Attachment.destroy({ where: { userId } });
+    await removeFiles(attachments);
+
+    return attachments.length;
+};
+
+const removeFiles = async (attachments) => {
+    for (const attachment of attachments) {
+        try {
+            await getDriver(attachment.storageDriver).remove(attachment.storageKey);
+        } catch (error) {
+            console.error('❌ [ATTACHMENT] Falha ao remover arquivo:', attachment.storageKey, error.message);
+        }
+    }
+};
+
+/**
+ * Anexos do usuário para exportação LGPD (metadados + URL assinada)
+ */
+const exportForUser = async (userId) => {
+    const attachments = await Attachment.findAll({
+        where: { userId },
+        order: [['createdAt', 'ASC']]
+    });
+
+    return attachments.map(attachment => ({
+        ...formatAttachment(attachment),
+        profileId: attachment.profileId,
+        download: signDownloadUrl(attachment, '24h')
+    }));
+};
+
+module.exports = {
+    MAX_FILE_SIZE,
+    RESOURCE_TYPES,
+    KINDS,
+    detectMimeType,
+    getUsage,
+    uploadAttachment,
+    listAttachments,
+    createDownloadUrl,
+    downloadAttachment,
+    downloadBySignedToken,
+    deleteAttachment,
+    destroyForResources,
+    moveAttachments,
+    deleteAllForUser,
+    exportForUser
+};
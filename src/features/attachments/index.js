@@ -0,0 +1,4 @@
+module.exports = {
+    attachmentsController: require('./attachments.controller'),
+    attachmentsRoutes: require('./attachments.routes')
+};
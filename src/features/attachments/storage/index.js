@@ -0,0 +1,43 @@
+/**
+ * Storage de Anexos
+ * ========================================
+ * Registro de drivers plugáveis. Cada driver implementa:
+ *   - put(key, buffer, { mimeType }) -> grava o arquivo
+ *   - get(key) -> Buffer
+ *   - remove(key) -> apaga (sem erro se não existir)
+ *
+ * O driver ativo vem de ATTACHMENTS_STORAGE_DRIVER (default: LOCAL).
+ * Anexos antigos continuam sendo lidos pelo driver em que foram gravados.
+ */
+
+const localDriver = require('./localDriver');
+
+const drivers = {
+    [localDriver.name]: localDriver
+};
+
+/**
+ * Registra um driver adicional (ex.: S3 compatível)
+ */
+const registerDriver = (driver) => {
+    if (!driver?.name || !driver.put || !driver.get || !driver.remove) {
+        throw new Error('Driver de storage precisa de name, put, get e remove');
+    }
+    drivers[driver.name.toUpperCase()] = driver;
+};
+
+/**
+ * Retorna um driver pelo nome (ou o driver ativo)
+ */
+const getDriver = (name = process.env.ATTACHMENTS_STORAGE_DRIVER || 'LOCAL') => {
+    const driver = drivers[name.toUpperCase()];
+    if (!driver) {
+        throw new Error(`Driver de storage não registrado: ${name}`);
+    }
+    return driver;
+};
+
+module.exports = {
+    registerDriver,
+    getDriver
+};
@@ -0,0 +1,44 @@
+/**
+ * Storage Driver - Disco Local
+ * ========================================
+ * Grava os anexos em ATTACHMENTS_LOCAL_DIR (default: ./storage/attachments)
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const baseDir = path.resolve(process.env.ATTACHMENTS_LOCAL_DIR || './storage/attachments');
+
+/**
+ * Resolve a chave dentro do diretório base (impede path traversal)
+ */
+const resolvePath = (key) => {
+    const fullPath = path.resolve(baseDir, key);
+    if (!fullPath.startsWith(baseDir + path.sep)) {
+        throw new Error(`Chave de storage inválida: ${key}`);
+    }
+    return fullPath;
+};
+
+const put = async (key, buffer) => {
+    const fullPath = resolvePath(key);
+    await fs.mkdir(path.dirname(fullPath), { recursive: true });
+    await fs.writeFile(fullPath, buffer);
+};
+
+const get = async (key) => fs.readFile(resolvePath(key));
+
+const remove = async (key) => {
+    try {
+        await fs.unlink(resolvePath(key));
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+};
+
+module.exports = {
+    name: 'LOCAL',
+    put,
+    get,
+    remove
+};
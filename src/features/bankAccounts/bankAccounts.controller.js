@@ -6,6 +6,7 @@
  */
 
 const bankAccountsService = require('./bankAccounts.service');
+const reconciliationService = require('./reconciliation.service');
 
 /**
  * POST /api/bank-accounts
@@ -336,6 +337,237 @@ const ensureWallet = async (req, res) => {
     }
 };
 
+/**
+ * GET /api/bank-accounts/:id/reconciliations
+ * List reconciliations of a bank account
+ */
+const listReconciliations = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const profileId = req.headers['x-profile-id'];
+
+        if (!profileId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Profile ID é obrigatório'
+            });
+        }
+
+        const result = await reconciliationService.listReconciliations(userId, profileId, req.params.id);
+
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        console.error('Erro ao listar conciliações:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Erro ao listar conciliações',
+            code: error.code,
+            details: error.details
+        });
+    }
+};
+
+/**
+ * GET /api/bank-accounts/:id/reconciliations/:reconciliationId
+ * Get a reconciliation with its summary and transactions
+ */
+const getReconciliation = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const profileId = req.headers['x-profile-id'];
+
+        if (!profileId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Profile ID é obrigatório'
+            });
+        }
+
+        const result = await reconciliationService.getReconciliation(userId, profileId, req.params.id, req.params.reconciliationId);
+
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        console.error('Erro ao buscar conciliação:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Erro ao buscar conciliação',
+            code: error.code,
+            details: error.details
+        });
+    }
+};
+
+/**
+ * POST /api/bank-accounts/:id/reconciliations
+ * Start a reconciliation with the statement balance
+ */
+const startReconciliation = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const profileId = req.headers['x-profile-id'];
+
+        if (!profileId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Profile ID é obrigatório'
+            });
+        }
+
+        const result = await reconciliationService.startReconciliation(userId, profileId, req.params.id, req.body);
+
+        res.status(201).json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        console.error('Erro ao iniciar conciliação:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Erro ao iniciar conciliação',
+            code: error.code,
+            details: error.details
+        });
+    }
+};
+
+/**
+ * POST /api/bank-accounts/:id/reconciliations/:reconciliationId/transactions
+ * Mark (or unmark) transactions as cleared
+ */
+const setCleared = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const profileId = req.headers['x-profile-id'];
+
+        if (!profileId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Profile ID é obrigatório'
+            });
+        }
+
+        const result = await reconciliationService.setCleared(userId, profileId, req.params.id, req.params.reconciliationId, req.body);
+
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        console.error('Erro ao marcar transações:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Erro ao marcar transações',
+            code: error.code,
+            details: error.details
+        });
+    }
+};
+
+/**
+ * POST /api/bank-accounts/:id/reconciliations/:reconciliationId/complete
+ * Complete a reconciliation, creating the adjustment transaction if needed
+ */
+const completeReconciliation = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const profileId = req.headers['x-profile-id'];
+
+        if (!profileId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Profile ID é obrigatório'
+            });
+        }
+
+        const result = await reconciliationService.completeReconciliation(userId, profileId, req.params.id, req.params.reconciliationId, { fixDrift: req.body.fixDrift === true });
+
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        console.error('Erro ao concluir conciliação:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Erro ao concluir conciliação',
+            code: error.code,
+            details: error.details
+        });
+    }
+};
+
+/**
+ * DELETE /api/bank-accounts/:id/reconciliations/:reconciliationId
+ * Cancel an open reconciliation
+ */
+const cancelReconciliation = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const profileId = req.headers['x-profile-id'];
+
+        if (!profileId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Profile ID é obrigatório'
+            });
+        }
+
+        const result = await reconciliationService.cancelReconciliation(userId, profileId, req.params.id, req.params.reconciliationId);
+
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        console.error('Erro ao cancelar conciliação:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Erro ao cancelar conciliação',
+            code: error.code,
+            details: error.details
+        });
+    }
+};
+
+/**
+ * GET /api/bank-accounts/:id/balance-drift
+ * Explain the difference between the stored balance and the transactions
+ */
+const getBalanceDrift = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const profileId = req.headers['x-profile-id'];
+
+        if (!profileId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Profile ID é obrigatório'
+            });
+        }
+
+        const result = await reconciliationService.getBalanceDrift(userId, profileId, req.params.id);
+
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        console.error('Erro ao analisar divergência de saldo:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Erro ao analisar divergência de saldo',
+            code: error.code,
+            details: error.details
+        });
+    }
+};
+
 module.exports = {
     create,
     list,
@@ -346,5 +578,12 @@ module.exports = {
     getBalanceBreakdown,
     getDefault,
     setDefault,
-    ensureWallet
+    ensureWallet,
+    listReconciliations,
+    getReconciliation,
+    startReconciliation,
+    setCleared,
+    completeReconciliation,
+    cancelReconciliation,
+    getBalanceDrift
 };
@@ -29,5 +29,14 @@ router.put('/:id', bankAccountsController.update);
 router.put('/:id/set-default', bankAccountsController.setDefault);
 router.delete('/:id', bankAccountsController.remove);
 
+// Reconciliation endpoints
+router.get('/:id/balance-drift', bankAccountsController.getBalanceDrift);
+router.get('/:id/reconciliations', bankAccountsController.listReconciliations);
+router.post('/:id/reconciliations', bankAccountsController.startReconciliation);
+router.get('/:id/reconciliations/:reconciliationId', bankAccountsController.getReconciliation);
+router.post('/:id/reconciliations/:reconciliationId/transactions', bankAccountsController.setCleared);
+router.post('/:id/reconciliations/:reconciliationId/complete', bankAccountsController.completeReconciliation);
+router.delete('/:id/reconciliations/:reconciliationId', bankAccountsController.cancelReconciliation);
+
 module.exports = router;
 
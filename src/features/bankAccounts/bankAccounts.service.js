@@ -7,8 +7,10 @@
  * ✅ UX FRIENDLY: isDefault for friction-free transactions
  */
 
-const { BankAccount, ManualTransaction, sequelize } = require('../../models');
+const { BankAccount, ManualTransaction, BalanceMovement, sequelize } = require('../../models');
 const { Op } = require('sequelize');
+const moment = require('moment');
+const exchangeRatesService = require('../exchangeRates/exchangeRates.service');
 
 // Default wallet configuration for fallback
 const DEFAULT_WALLET = {
@@ -51,7 +53,8 @@ const createBankAccount = async (userId, profileId, data) => {
             accountNumber: data.accountNumber || null,
             branchCode: data.branchCode || null,
             balance: data.initialBalance || 0,
-            currency: data.currency || 'BRL',
+            openingBalance: data.initialBalance || 0,
+            currency: data.currency ? exchangeRatesService.normalizeCurrency(data.currency) : 'BRL',
             isActive: true,
             isDefault: isFirstAccount // First account is auto-default
         });
@@ -90,6 +93,7 @@ const createDefaultWallet = async (userId, profileId, initialBalance = 0) => {
             icon: DEFAULT_WALLET.icon,
             type: DEFAULT_WALLET.type,
             balance: initialBalance,
+            openingBalance: initialBalance,
             currency: 'BRL',
             isActive: true,
             isDefault: true
@@ -277,11 +281,12 @@ const deleteBankAccount = async (userId, profileId, accountId) => {
             throw new Error('Conta bancária não encontrada');
         }
 
-        // Check if there are transactions linked to this account
+        // Check if there are transactions linked to this account (including the trash)
         const transactionCount = await ManualTransaction.count({
             where: {
                 bankAccountId: accountId
-            }
+            },
+            paranoid: false
         });
 
         if (transactionCount > 0) {
@@ -319,11 +324,13 @@ const deleteBankAccount = async (userId, profileId, accountId) => {
 /**
  * Update bank account balance
  * Used internally when creating/updating/deleting transactions
+ * Every change is recorded as a BalanceMovement (drift diagnosis)
  * @param {string} accountId - Bank account ID
  * @param {number} amount - Amount to add (positive) or subtract (negative)
  * @param {object} transaction - Sequelize transaction for ACID operations
+ * @param {object} context - { transactionId, reason } of the movement
  */
-const updateBalance = async (accountId, amount, transaction = null) => {
+const updateBalance = async (accountId, amount, transaction = null, context = {}) => {
     try {
         const options = transaction ? { transaction } : {};
 
@@ -339,6 +346,16 @@ const updateBalance = async (accountId, amount, transaction = null) => {
         account.balance = newBalance;
         await account.save(options);
 
+        await BalanceMovement.create({
+            userId: account.userId,
+            bankAccountId: account.id,
+            transactionId: context.transactionId || null,
+            amount: parseFloat(amount),
+            balanceBefore: currentBalance,
+            balanceAfter: newBalance,
+            reason: context.reason || 'UNSPECIFIED'
+        }, options);
+
         return account;
     } catch (error) {
         console.error('Erro ao atualizar saldo:', error);
@@ -348,6 +365,7 @@ const updateBalance = async (accountId, amount, transaction = null) => {
 
 /**
  * Get total balance across all accounts for a profile
+ * Foreign currency accounts are converted to the profile currency at today's rate
  * ✅ PROFILE ISOLATION: filters by profileId
  */
 const getTotalBalance = async (userId, profileId) => {
@@ -359,12 +377,23 @@ const getTotalBalance = async (userId, profileId) => {
                 isActive: true
             },
             attributes: [
+                'currency',
                 [sequelize.fn('SUM', sequelize.col('balance')), 'totalBalance']
             ],
+            group: ['currency'],
             raw: true
         });
 
-        return parseFloat(result[0]?.totalBalance) || 0;
+        const baseCurrency = await exchangeRatesService.getBaseCurrency(profileId);
+        const today = moment().format('YYYY-MM-DD');
+
+        let total = 0;
+        for (const row of result) {
+            const { rate } = await exchangeRatesService.getRate(row.currency, baseCurrency, today, { userId });
+            total += (parseFloat(row.totalBalance) || 0) * rate;
+        }
+
+        return Math.round(total * 100) / 100;
     } catch (error) {
         console.error('Erro ao calcular saldo total:', error);
         throw error;
@@ -383,7 +412,7 @@ const getBalanceBreakdown = async (userId, profileId) => {
                 profileId,
                 isActive: true
             },
-            attributes: ['id', 'bankName', 'nickname', 'color', 'icon', 'type', 'balance', 'isDefault'],
+            attributes: ['id', 'bankName', 'nickname', 'color', 'icon', 'type', 'balance', 'currency', 'isDefault'],
             order: [['isDefault', 'DESC'], ['balance', 'DESC']]
         });
 
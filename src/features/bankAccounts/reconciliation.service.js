@@ -0,0 +1,717 @@
+/**
+ * Reconciliation Service
+ * ========================================
+ * CONCILIAÇÃO BANCÁRIA E DIVERGÊNCIA DE SALDO
+ * ========================================
+ *
+ * Fluxo:
+ * 1. O usuário informa o saldo real do extrato em uma data (startReconciliation)
+ * 2. Marca as transações que aparecem no extrato como compensadas (setCleared)
+ * 3. Ao concluir, a diferença restante vira uma transação de ajuste
+ *    identificada (completeReconciliation)
+ *
+ * Saldos:
+ * - abertura: saldo do extrato da última conciliação concluída
+ *   (ou o saldo inicial da conta, antes da primeira)
+ * - compensado: abertura + transações compensadas + movimentações sem transação
+ * - esperado: abertura + todas as transações não conciliadas
+ * - divergência: BankAccount.balance - saldo esperado hoje
+ *   (getBalanceDrift aponta as transações que a causaram via BalanceMovement)
+ *
+ * ✅ PROFILE ISOLATION: todas as operações filtram por profileId
+ */
+
+const moment = require('moment');
+const {
+    BankAccount,
+    BankReconciliation,
+    BalanceMovement,
+    ManualTransaction,
+    TransactionMetadata,
+    AuditLog,
+    sequelize
+} = require('../../models');
+const { AppError } = require('../../middlewares/errorHandler');
+const { Op } = require('sequelize');
+const bankAccountsService = require('./bankAccounts.service');
+
+const ADJUSTMENT_TAG = 'ajuste-conciliacao';
+
+// Correções de divergência não são fluxo de dinheiro: ficam fora do saldo esperado
+const CORRECTION_REASON = 'DRIFT_CORRECTION';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Efeito da transação no saldo da conta (mesma regra da criação)
+ * Transferência interna: as duas pernas têm type INTERNAL_TRANSFER;
+ * a de entrada vem de loadIncomingTransfers.
+ */
+const signedAmount = (tx, incoming = new Set()) => {
+    const amount = parseFloat(tx.amount);
+    if (tx.type === 'INCOME') return amount;
+    if (tx.type === 'INTERNAL_TRANSFER' && incoming.has(tx.id)) return amount;
+    return -amount;
+};
+
+/**
+ * Pernas de entrada das transferências internas da lista
+ * - Pela movimentação de saldo gravada na transferência (positiva = entrada)
+ * - Sem movimentação: pela perna vinculada (createInternalTransfer cria a de
+ *   saída primeiro; a de entrada é a criada depois)
+ * @returns {Promise<Set<string>>} ids das pernas de entrada
+ */
+const loadIncomingTransfers = async (transactions, options = {}) => {
+    const transfers = transactions.filter(tx => tx.type === 'INTERNAL_TRANSFER');
+    const incoming = new Set();
+    if (transfers.length === 0) return incoming;
+
+    const movements = await BalanceMovement.findAll({
+        where: { transactionId: transfers.map(tx => tx.id), reason: 'INTERNAL_TRANSFER' },
+        attributes: ['transactionId', 'amount'],
+        transaction: options.transaction
+    });
+    const withMovement = new Set(movements.map(m => m.transactionId));
+    movements.filter(m => parseFloat(m.amount) > 0).forEach(m => incoming.add(m.transactionId));
+
+    const unresolved = transfers.filter(tx => !withMovement.has(tx.id) && tx.linkedTransferId);
+    if (unresolved.length > 0) {
+        const linked = await ManualTransaction.findAll({
+            where: { id: unresolved.map(tx => tx.linkedTransferId) },
+            attributes: ['id', 'createdAt'],
+            paranoid: false,
+            transaction: options.transaction
+        });
+        const linkedById = new Map(linked.map(tx => [tx.id, tx]));
+        unresolved.forEach(tx => {
+            const other = linkedById.get(tx.linkedTransferId);
+            if (other && new Date(tx.createdAt) > new Date(other.createdAt)) incoming.add(tx.id);
+        });
+    }
+
+    return incoming;
+};
+
+const sum = (items, fn) => round2(items.reduce((total, item) => total + fn(item), 0));
+
+/**
+ * Busca a conta do perfil
+ * ✅ PROFILE ISOLATION
+ */
+const findAccount = async (userId, profileId, accountId, options = {}) => {
+    const where = { id: accountId, userId };
+    if (profileId) where.profileId = profileId; // ✅ PROFILE ISOLATION
+
+    const account = await BankAccount.findOne({
+        where,
+        transaction: options.transaction
+    });
+
+    if (!account) {
+        throw new AppError('Conta bancária não encontrada', 404, 'BANK_ACCOUNT_NOT_FOUND');
+    }
+
+    return account;
+};
+
+/**
+ * Busca uma conciliação da conta
+ */
+const findReconciliation = async (account, reconciliationId, options = {}) => {
+    const reconciliation = await BankReconciliation.findOne({
+        where: { id: reconciliationId, bankAccountId: account.id },
+        transaction: options.transaction
+    });
+
+    if (!reconciliation) {
+        throw new AppError('Conciliação não encontrada', 404, 'RECONCILIATION_NOT_FOUND');
+    }
+
+    return reconciliation;
+};
+
+const assertOpen = (reconciliation) => {
+    if (reconciliation.status !== 'OPEN') {
+        throw new AppError('Esta conciliação já foi encerrada', 409, 'RECONCILIATION_CLOSED');
+    }
+};
+
+/**
+ * Âncora do saldo: última conciliação concluída ou saldo inicial da conta
+ * @returns {{ balance: number|null, date: string|null, since: Date|null, reconciliationId: string|null }}
+ */
+const getAnchor = async (account, options = {}) => {
+    const where = { bankAccountId: account.id, status: 'COMPLETED' };
+    if (options.before) where.id = { [Op.ne]: options.before };
+
+    const last = await BankReconciliation.findOne({
+        where,
+        order: [['statementDate', 'DESC'], ['completedAt', 'DESC']],
+        transaction: options.transaction
+    });
+
+    if (last) {
+        return {
+            balance: parseFloat(last.statementBalance),
+            date: last.statementDate,
+            // Movimentações sem transação contam a partir do dia seguinte ao extrato
+            since: moment(last.statementDate).endOf('day').toDate(),
+            reconciliationId: last.id
+        };
+    }
+
+    return {
+        balance: account.openingBalance !== null && account.openingBalance !== undefined
+            ? parseFloat(account.openingBalance)
+            : null,
+        date: null,
+        since: null,
+        reconciliationId: null
+    };
+};
+
+/**
+ * Transações COMPLETED da conta ainda não conciliadas
+ * (sem conciliação ou marcadas na conciliação aberta)
+ */
+const loadUnreconciled = async (account, openReconciliationId, options = {}) => {
+    const where = {
+        bankAccountId: account.id,
+        status: 'COMPLETED',
+        [Op.or]: [
+            { reconciliationId: null },
+            ...(openReconciliationId ? [{ reconciliationId: openReconciliationId }] : [])
+        ]
+    };
+    if (options.until) where.date = { [Op.lte]: options.until };
+
+    return ManualTransaction.findAll({
+        where,
+        order: [['date', 'ASC'], ['createdAt', 'ASC']],
+        transaction: options.transaction
+    });
+};
+
+/**
+ * Movimentações de saldo sem transação (ex.: compra/venda de investimentos)
+ */
+const loadOtherMovements = async (account, from, until, options = {}) => {
+    const where = {
+        bankAccountId: account.id,
+        transactionId: null,
+        reason: { [Op.ne]: CORRECTION_REASON }
+    };
+    if (from || until) {
+        where.createdAt = {};
+        if (from) where.createdAt[Op.gt] = from;
+        if (until) where.createdAt[Op.lte] = until;
+    }
+
+    return BalanceMovement.findAll({
+        where,
+        order: [['createdAt', 'ASC']],
+        transaction: options.transaction
+    });
+};
+
+/**
+ * Saldo esperado hoje pelas transações (base da divergência)
+ * @returns {Promise<{ anchor: object, expectedBalance: number|null }>}
+ */
+const computeExpectedBalance = async (account, options = {}) => {
+    const anchor = await getAnchor(account, options);
+    if (anchor.balance === null) return { anchor, expectedBalance: null };
+
+    const [unreconciled, movements] = await Promise.all([
+        loadUnreconciled(account, options.openReconciliationId, options),
+        loadOtherMovements(account, anchor.since, null, options)
+    ]);
+    const incoming = await loadIncomingTransfers(unreconciled, options);
+
+    return {
+        anchor,
+        expectedBalance: round2(anchor.balance + sum(unreconciled, tx => signedAmount(tx, incoming)) + sum(movements, m => parseFloat(m.amount)))
+    };
+};
+
+/**
+ * Monta o resumo de uma conciliação aberta (ou os valores gravados, se encerrada)
+ */
+const buildSummary = async (account, reconciliation, options = {}) => {
+    const isOpen = reconciliation.status === 'OPEN';
+    const anchor = await getAnchor(account, { ...options, before: reconciliation.id });
+
+    // Antes da primeira conciliação sem saldo inicial: estimar pela conta
+    const unreconciledAll = await loadUnreconciled(account, isOpen ? reconciliation.id : null, options);
+    let incoming = await loadIncomingTransfers(unreconciledAll, options);
+    const effect = (tx) => signedAmount(tx, incoming);
+    let openingBalance = anchor.balance;
+    const openingEstimated = openingBalance === null;
+    if (openingEstimated) {
+        openingBalance = round2(parseFloat(account.balance) - sum(unreconciledAll, effect));
+    }
+
+    const statementEnd = moment(reconciliation.statementDate).endOf('day').toDate();
+    const inWindow = isOpen
+        ? unreconciledAll.filter(tx => tx.date <= reconciliation.statementDate)
+        : await ManualTransaction.findAll({
+            where: { reconciliationId: reconciliation.id },
+            order: [['date', 'ASC'], ['createdAt', 'ASC']],
+            transaction: options.transaction
+        });
+    if (!isOpen) incoming = await loadIncomingTransfers(inWindow, options);
+    const cleared = inWindow.filter(tx => tx.reconciliationId === reconciliation.id);
+    const otherMovements = await loadOtherMovements(account, anchor.since, statementEnd, options);
+
+    const otherTotal = sum(otherMovements, m => parseFloat(m.amount));
+    const clearedBalance = round2(openingBalance + sum(cleared, effect) + otherTotal);
+    const expectedBalance = round2(openingBalance + sum(inWindow, effect) + otherTotal);
+    const statementBalance = parseFloat(reconciliation.statementBalance);
+
+    const summary = isOpen
+        ? {
+            openingBalance,
+            openingEstimated,
+            statementBalance,
+            clearedBalance,
+            expectedBalance,
+            outstanding: round2(expectedBalance - clearedBalance),
+            difference: round2(statementBalance - clearedBalance),
+            clearedCount: cleared.length,
+            unclearedCount: inWindow.length - cleared.length
+        }
+        : {
+            openingBalance: parseFloat(reconciliation.openingBalance),
+            statementBalance,
+            clearedBalance: parseFloat(reconciliation.clearedBalance),
+            expectedBalance: parseFloat(reconciliation.expectedBalance),
+            bookBalance: parseFloat(reconciliation.bookBalance),
+            difference: parseFloat(reconciliation.difference),
+            clearedCount: cleared.length
+        };
+
+    return {
+        reconciliation,
+        account: {
+            id: account.id,
+            name: account.nickname || account.bankName,
+            currency: account.currency,
+            balance: parseFloat(account.balance)
+        },
+        summary,
+        otherMovements: otherMovements.map(m => ({
+            id: m.id,
+            amount: parseFloat(m.amount),
+            reason: m.reason,
+            createdAt: m.createdAt
+        })),
+        transactions: inWindow.map(tx => ({
+            id: tx.id,
+            date: tx.date,
+            description: tx.description,
+            type: tx.type,
+            amount: parseFloat(tx.amount),
+            effect: effect(tx),
+            cleared: tx.reconciliationId === reconciliation.id,
+            clearedAt: tx.clearedAt
+        }))
+    };
+};
+
+// ===========================================
+// FLUXO DE CONCILIAÇÃO
+// ===========================================
+
+/**
+ * Inicia uma conciliação com o saldo do extrato
+ */
+const startReconciliation = async (userId, profileId, accountId, data) => {
+    if (!data.statementDate || !moment(data.statementDate, 'YYYY-MM-DD', true).isValid()) {
+        throw new AppError('Data do extrato inválida (use YYYY-MM-DD)', 400, 'INVALID_STATEMENT_DATE');
+    }
+    if (data.statementBalance === undefined || data.statementBalance === null || isNaN(parseFloat(data.statementBalance))) {
+        throw new AppError('Saldo do extrato é obrigatório', 400, 'INVALID_STATEMENT_BALANCE');
+    }
+
+    const account = await findAccount(userId, profileId, accountId);
+
+    const open = await BankReconciliation.findOne({
+        where: { bankAccountId: account.id, status: 'OPEN' }
+    });
+    if (open) {
+        const error = new AppError('Já existe uma conciliação em andamento para esta conta', 409, 'RECONCILIATION_ALREADY_OPEN');
+        error.details = { reconciliationId: open.id };
+        throw error;
+    }
+
+    const anchor = await getAnchor(account);
+    if (anchor.date && data.statementDate <= anchor.date) {
+        throw new AppError(
+            `A data do extrato deve ser posterior à última conciliação (${anchor.date})`,
+            400,
+            'RECONCILIATION_DATE_BEFORE_LAST'
+        );
+    }
+
+    const reconciliation = await BankReconciliation.create({
+        userId,
+        profileId,
+        bankAccountId: account.id,
+        statementDate: data.statementDate,
+        statementBalance: data.statementBalance,
+        notes: data.notes || null
+    });
+
+    return buildSummary(account, reconciliation);
+};
+
+/**
+ * Lista as conciliações da conta
+ */
+const listReconciliations = async (userId, profileId, accountId) => {
+    const account = await findAccount(userId, profileId, accountId);
+
+    return BankReconciliation.findAll({
+        where: { bankAccountId: account.id },
+        order: [['statementDate', 'DESC'], ['createdAt', 'DESC']]
+    });
+};
+
+/**
+ * Detalhe de uma conciliação (resumo + transações da janela)
+ */
+const getReconciliation = async (userId, profileId, accountId, reconciliationId) => {
+    const account = await findAccount(userId, profileId, accountId);
+    const reconciliation = await findReconciliation(account, reconciliationId);
+
+    return buildSummary(account, reconciliation);
+};
+
+/**
+ * Marca/desmarca transações como compensadas no extrato
+ */
+const setCleared = async (userId, profileId, accountId, reconciliationId, data) => {
+    const account = await findAccount(userId, profileId, accountId);
+    const reconciliation = await findReconciliation(account, reconciliationId);
+    assertOpen(reconciliation);
+
+    const ids = [...new Set(data.transactionIds || [])];
+    if (ids.length === 0) {
+        throw new AppError('Informe as transações (transactionIds)', 400, 'TRANSACTIONS_REQUIRED');
+    }
+
+    const candidates = await loadUnreconciled(account, reconciliation.id, { until: reconciliation.statementDate });
+    const candidateIds = new Set(candidates.map(tx => tx.id));
+    const invalid = ids.filter(id => !candidateIds.has(id));
+    if (invalid.length > 0) {
+        const error = new AppError(
+            'Algumas transações não pertencem à janela desta conciliação',
+            400,
+            'TRANSACTION_NOT_IN_RECONCILIATION'
+        );
+        error.details = { transactionIds: invalid };
+        throw error;
+    }
+
+    const cleared = data.cleared !== false;
+    await ManualTransaction.update(
+        cleared
+            ? { reconciliationId: reconciliation.id, clearedAt: new Date() }
+            : { reconciliationId: null, clearedAt: null },
+        { where: { id: ids, bankAccountId: account.id } }
+    );
+
+    return buildSummary(account, reconciliation);
+};
+
+/**
+ * Conclui a conciliação
+ * - Diferença restante vira transação de ajuste (tag ajuste-conciliacao)
+ * - fixDrift: corrige BankAccount.balance para o saldo esperado
+ */
+const completeReconciliation = async (userId, profileId, accountId, reconciliationId, options = {}) => {
+    const t = await sequelize.transaction();
+
+    try {
+        const account = await findAccount(userId, profileId, accountId, { transaction: t });
+        const reconciliation = await findReconciliation(account, reconciliationId, { transaction: t });
+        assertOpen(reconciliation);
+
+        const { summary } = await buildSummary(account, reconciliation, { transaction: t });
+        const { expectedBalance: expectedNow } = await computeExpectedBalance(account, {
+            transaction: t,
+            openReconciliationId: reconciliation.id
+        });
+        const bookBalance = parseFloat(account.balance);
+        const drift = expectedNow === null || summary.openingEstimated ? 0 : round2(bookBalance - expectedNow);
+
+        let adjustment = null;
+        if (summary.difference !== 0) {
+            adjustment = await ManualTransaction.create({
+                userId,
+                profileId,
+                bankAccountId: account.id,
+                type: summary.difference > 0 ? 'INCOME' : 'EXPENSE',
+                source: 'OTHER',
+                description: `Ajuste de conciliação - extrato de ${moment(reconciliation.statementDate).format('DD/MM/YYYY')}`,
+                amount: Math.abs(summary.difference),
+                currency: account.currency,
+                date: reconciliation.statementDate,
+                status: 'COMPLETED',
+                reconciliationId: reconciliation.id,
+                clearedAt: new Date()
+            }, { transaction: t });
+
+            await TransactionMetadata.create({
+                userId,
+                transactionType: 'MANUAL',
+                transactionId: adjustment.id,
+                tags: [ADJUSTMENT_TAG],
+                notes: `Diferença entre o saldo do extrato (${summary.statementBalance.toFixed(2)}) e as transações compensadas (${summary.clearedBalance.toFixed(2)})`
+            }, { transaction: t });
+
+            await bankAccountsService.updateBalance(account.id, summary.difference, t, {
+                transactionId: adjustment.id,
+                reason: 'RECONCILIATION_ADJUSTMENT'
+            });
+        }
+
+        if (options.fixDrift && drift !== 0) {
+            await bankAccountsService.updateBalance(account.id, -drift, t, { reason: CORRECTION_REASON });
+        }
+
+        await reconciliation.update({
+            status: 'COMPLETED',
+            completedAt: new Date(),
+            openingBalance: summary.openingBalance,
+            clearedBalance: summary.clearedBalance,
+            expectedBalance: summary.expectedBalance,
+            bookBalance,
+            difference: summary.difference,
+            adjustmentTransactionId: adjustment ? adjustment.id : null
+        }, { transaction: t });
+
+        await AuditLog.create({
+            userId,
+            action: AuditLog.ACTIONS.ACCOUNT_RECONCILE,
+            resource: 'BANK_RECONCILIATION',
+            resourceId: reconciliation.id,
+            details: {
+                profileId,
+                bankAccountId: account.id,
+                statementDate: reconciliation.statementDate,
+                statementBalance: summary.statementBalance,
+                difference: summary.difference,
+                adjustmentTransactionId: adjustment ? adjustment.id : null,
+                drift,
+                driftFixed: !!options.fixDrift && drift !== 0
+            }
+        }, { transaction: t });
+
+        await t.commit();
+
+        return {
+            reconciliation,
+            adjustment,
+            drift,
+            driftFixed: !!options.fixDrift && drift !== 0
+        };
+    } catch (error) {
+        await t.rollback();
+        console.error('❌ [RECONCILIATION] Error:', error);
+        throw error;
+    }
+};
+
+/**
+ * Cancela uma conciliação aberta (as transações voltam a ficar pendentes)
+ */
+const cancelReconciliation = async (userId, profileId, accountId, reconciliationId) => {
+    const account = await findAccount(userId, profileId, accountId);
+    const reconciliation = await findReconciliation(account, reconciliationId);
+    assertOpen(reconciliation);
+
+    const t = await sequelize.transaction();
+    try {
+        await ManualTransaction.update(
+            { reconciliationId: null, clearedAt: null },
+            { where: { reconciliationId: reconciliation.id }, transaction: t }
+        );
+        await reconciliation.update({ status: 'CANCELLED' }, { transaction: t });
+
+        await t.commit();
+    } catch (error) {
+        await t.rollback();
+        console.error('❌ [RECONCILIATION CANCEL] Error:', error);
+        throw error;
+    }
+
+    return reconciliation;
+};
+
+// ===========================================
+// DIVERGÊNCIA DE SALDO
+// ===========================================
+
+/**
+ * Diagnóstico da divergência entre BankAccount.balance e as transações
+ *
+ * Compara, para cada transação, o efeito esperado no saldo com o que foi
+ * de fato aplicado (BalanceMovement). Ex.: valor editado depois de lançado,
+ * status alterado para COMPLETED sem movimentar o saldo, exclusão sem estorno.
+ * Alterações anteriores ao registro de movimentações não são rastreáveis e
+ * aparecem como "unexplained".
+ */
+const getBalanceDrift = async (userId, profileId, accountId) => {
+    const account = await findAccount(userId, profileId, accountId);
+    const open = await BankReconciliation.findOne({
+        where: { bankAccountId: account.id, status: 'OPEN' },
+        attributes: ['id']
+    });
+
+    const { anchor, expectedBalance } = await computeExpectedBalance(account, {
+        openReconciliationId: open ? open.id : null
+    });
+    const bookBalance = parseFloat(account.balance);
+    const drift = expectedBalance === null ? null : round2(bookBalance - expectedBalance);
+
+    const movementWhere = { bankAccountId: account.id };
+    if (anchor.since) movementWhere.createdAt = { [Op.gt]: anchor.since };
+    const movements = await BalanceMovement.findAll({
+        where: movementWhere,
+        order: [['createdAt', 'ASC']]
+    });
+
+    const firstMovement = await BalanceMovement.findOne({
+        where: { bankAccountId: account.id },
+        order: [['createdAt', 'ASC']],
+        attributes: ['createdAt']
+    });
+    const ledgerStartedAt = firstMovement ? firstMovement.createdAt : null;
+
+    // Efeito aplicado por transação
+    const applied = new Map();
+    movements.filter(m => m.transactionId).forEach(m => {
+        applied.set(m.transactionId, round2((applied.get(m.transactionId) || 0) + parseFloat(m.amount)));
+    });
+
+    // Transações rastreáveis: criadas depois do início do registro (e da âncora)
+    const trackedSince = [ledgerStartedAt, anchor.since].filter(Boolean).sort((a, b) => b - a)[0] || null;
+    const accountTransactions = trackedSince
+        ? await ManualTransaction.findAll({
+            where: {
+                bankAccountId: account.id,
+                status: 'COMPLETED',
+                createdAt: { [Op.gte]: trackedSince }
+            }
+        })
+        : [];
+
+    const missingIds = [...applied.keys()].filter(id => !accountTransactions.some(tx => tx.id === id));
+    const otherTransactions = missingIds.length > 0
+        ? await ManualTransaction.findAll({ where: { id: missingIds, userId } })
+        : [];
+
+    const byId = new Map([...accountTransactions, ...otherTransactions].map(tx => [tx.id, tx]));
+    const incoming = await loadIncomingTransfers([...byId.values()]);
+    const ids = new Set([...accountTransactions.map(tx => tx.id), ...missingIds]);
+
+    const mismatches = [];
+    for (const id of ids) {
+        const tx = byId.get(id);
+        const expectedEffect = tx && tx.status === 'COMPLETED' && tx.bankAccountId === account.id
+            ? signedAmount(tx, incoming)
+            : 0;
+        const appliedEffect = applied.get(id) || 0;
+        const difference = round2(appliedEffect - expectedEffect);
+        if (difference === 0) continue;
+
+        let cause;
+        if (!tx) cause = 'DELETED_WITHOUT_REVERT';
+        else if (appliedEffect === 0) cause = 'BALANCE_NOT_APPLIED';
+        else if (expectedEffect === 0) cause = 'STATUS_OR_ACCOUNT_CHANGED';
+        else cause = 'AMOUNT_CHANGED';
+
+        mismatches.push({
+            transactionId: id,
+            description: tx ? tx.description : null,
+            date: tx ? tx.date : null,
+            status: tx ? tx.status : 'DELETED',
+            expectedEffect,
+            appliedEffect,
+            difference,
+            cause
+        });
+    }
+
+    const explained = sum(mismatches, m => m.difference);
+
+    return {
+        account: {
+            id: account.id,
+            name: account.nickname || account.bankName,
+            currency: account.currency
+        },
+        bookBalance,
+        expectedBalance,
+        drift,
+        anchor: {
+            type: anchor.reconciliationId ? 'RECONCILIATION' : 'OPENING_BALANCE',
+            reconciliationId: anchor.reconciliationId,
+            date: anchor.date,
+            balance: anchor.balance
+        },
+        ledgerStartedAt,
+        mismatches,
+        movementsWithoutTransaction: movements
+            .filter(m => !m.transactionId)
+            .map(m => ({ id: m.id, amount: parseFloat(m.amount), reason: m.reason, createdAt: m.createdAt })),
+        explained,
+        unexplained: drift === null ? null : round2(drift - explained)
+    };
+};
+
+/**
+ * Transação compensada em conciliação concluída: valor, data, tipo, status
+ * e conta ficam travados (o extrato já foi fechado com ela)
+ * Usado na edição/exclusão unitária, no lote, na mesclagem de duplicadas e na lixeira
+ *
+ * @param {object} transaction - ManualTransaction (ou registro com reconciliationId)
+ * @param {object|null} data - campos alterados; null = exclusão/restauração (sempre travado)
+ */
+const RECONCILED_LOCKED_FIELDS = ['type', 'amount', 'currency', 'date', 'status', 'bankAccountId'];
+
+const assertNotReconciled = async (transaction, data = null, options = {}) => {
+    if (!transaction.reconciliationId) return;
+
+    if (data && !RECONCILED_LOCKED_FIELDS.some(field =>
+        data[field] !== undefined && String(data[field]) !== String(transaction[field]))) {
+        return;
+    }
+
+    const reconciliation = await BankReconciliation.findByPk(transaction.reconciliationId, {
+        attributes: ['id', 'status', 'statementDate'],
+        transaction: options.transaction
+    });
+    if (reconciliation && reconciliation.status === 'COMPLETED') {
+        const error = new AppError(
+            'Esta transação faz parte de uma conciliação bancária concluída e não pode ser alterada',
+            409,
+            'TRANSACTION_RECONCILED'
+        );
+        error.details = { reconciliationId: reconciliation.id, statementDate: reconciliation.statementDate };
+        throw error;
+    }
+};
+
+module.exports = {
+    ADJUSTMENT_TAG,
+    assertNotReconciled,
+    startReconciliation,
+    listReconciliations,
+    getReconciliation,
+    setCleared,
+    completeReconciliation,
+    cancelReconciliation,
+    getBalanceDrift
+};
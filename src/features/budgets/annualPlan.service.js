@@ -0,0 +1,548 @@
+/**
+ * Annual Plan Service
+ * ========================================
+ * PLANEJAMENTO ANUAL E VARIAÇÃO
+ * ========================================
+ *
+ * - BudgetPlanItem: valor planejado mês a mês por categoria/alocação,
+ *   incluindo itens sazonais (IPVA, IPTU, material escolar, 13º)
+ * - Relatório de variação: planejado x realizado por mês, acumulado no ano
+ *   (YTD) e projeção de fechamento
+ *
+ * Sem plano no ano, o planejado vem dos orçamentos mensais (Budget e
+ * BudgetAllocation). Realizado: manuais concluídas (convertedAmount) e
+ * cartões do perfil pela data da compra.
+ *
+ * ✅ PROFILE ISOLATION: tudo filtrado pelo profileId
+ */
+
+const moment = require('moment');
+const {
+    BudgetPlanItem,
+    Budget,
+    BudgetAllocation,
+    Category,
+    ManualTransaction,
+    CardTransaction,
+    CreditCard
+} = require('../../models');
+const { AppError } = require('../../middlewares/errorHandler');
+const { Op } = require('sequelize');
+const splitsService = require('../transactions/splits.service');
+const exchangeRatesService = require('../exchangeRates/exchangeRates.service');
+
+const MONTHS = 12;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const emptyYear = () => new Array(MONTHS).fill(0);
+const sumOf = (values) => values.reduce((sum, value) => sum + (value || 0), 0);
+
+const parseYear = (value) => {
+    const year = parseInt(value) || new Date().getFullYear();
+    if (year < 2020 || year > 2100) {
+        throw new AppError('Ano inválido', 400, 'INVALID_YEAR');
+    }
+    return year;
+};
+
+/**
+ * Meses já iniciados do ano (entram no acumulado): 12 para anos passados, 0 para futuros
+ */
+const elapsedMonths = (year) => {
+    const now = new Date();
+    if (year < now.getFullYear()) return MONTHS;
+    if (year > now.getFullYear()) return 0;
+    return now.getMonth() + 1;
+};
+
+/**
+ * Valores mensais a partir do corpo da requisição
+ * - monthlyAmounts: 12 valores (janeiro a dezembro)
+ * - amount + months: mesmo valor apenas nos meses informados (itens sazonais)
+ * - amount: mesmo valor em todos os meses
+ */
+const resolveMonthlyAmounts = (data) => {
+    if (data.monthlyAmounts !== undefined) {
+        const values = data.monthlyAmounts;
+        if (!Array.isArray(values) || values.length !== MONTHS ||
+            values.some(v => isNaN(parseFloat(v)) || parseFloat(v) < 0)) {
+            throw new AppError('monthlyAmounts deve ter 12 valores não negativos', 400, 'INVALID_MONTHLY_AMOUNTS');
+        }
+        return values.map(v => round2(parseFloat(v)));
+    }
+
+    const amount = parseFloat(data.amount);
+    if (isNaN(amount) || amount < 0) {
+        throw new AppError('Informe monthlyAmounts ou amount', 400, 'INVALID_MONTHLY_AMOUNTS');
+    }
+
+    if (data.months !== undefined) {
+        const months = Array.isArray(data.months) ? data.months.map(m => parseInt(m)) : [];
+        if (months.length === 0 || months.some(m => !(m >= 1 && m <= MONTHS))) {
+            throw new AppError('months deve listar meses entre 1 e 12', 400, 'INVALID_MONTHS');
+        }
+        return emptyYear().map((_, index) => (months.includes(index + 1) ? round2(amount) : 0));
+    }
+
+    return new Array(MONTHS).fill(round2(amount));
+};
+
+/**
+ * Categoria visível para o usuário (própria ou padrão)
+ */
+const findCategory = async (userId, categoryId) => {
+    const category = await Category.findOne({
+        where: {
+            id: categoryId,
+            [Op.or]: [
+                { userId: null, isDefault: true },
+                { userId }
+            ]
+        }
+    });
+
+    if (!category) {
+        throw new AppError('Categoria não encontrada', 404, 'CATEGORY_NOT_FOUND');
+    }
+
+    return category;
+};
+
+const findItem = async (userId, profileId, itemId) => {
+    const item = await BudgetPlanItem.findOne({
+        where: { id: itemId, userId, profileId } // ✅ PROFILE ISOLATION
+    });
+
+    if (!item) {
+        throw new AppError('Item do planejamento não encontrado', 404, 'PLAN_ITEM_NOT_FOUND');
+    }
+
+    return item;
+};
+
+const formatItem = (item) => ({
+    id: item.id,
+    year: item.year,
+    type: item.type,
+    name: item.name,
+    category: item.category ? { id: item.category.id, name: item.category.name } : null,
+    categoryId: item.categoryId,
+    allocationName: item.allocationName,
+    isSeasonal: item.isSeasonal,
+    monthlyAmounts: item.monthlyAmounts.map(v => parseFloat(v) || 0),
+    total: round2(item.getYearTotal()),
+    notes: item.notes
+});
+
+// ===========================================
+// PLANEJAMENTO
+// ===========================================
+
+/**
+ * Planejamento do ano com totais mensais e por alocação
+ */
+const getAnnualPlan = async (userId, profileId, yearParam) => {
+    const year = parseYear(yearParam);
+
+    const items = await BudgetPlanItem.findAll({
+        where: { userId, profileId, year }, // ✅ PROFILE ISOLATION
+        include: [{ model: Category, as: 'category', attributes: ['id', 'name'] }],
+        order: [['type', 'ASC'], ['allocationName', 'ASC'], ['name', 'ASC']]
+    });
+
+    const income = emptyYear();
+    const expenses = emptyYear();
+    const allocations = new Map();
+
+    for (const item of items) {
+        const target = item.type === 'INCOME' ? income : expenses;
+        item.monthlyAmounts.forEach((value, index) => { target[index] += parseFloat(value) || 0; });
+
+        if (item.type === 'EXPENSE' && item.allocationName) {
+            const group = allocations.get(item.allocationName) || emptyYear();
+            item.monthlyAmounts.forEach((value, index) => { group[index] += parseFloat(value) || 0; });
+            allocations.set(item.allocationName, group);
+        }
+    }
+
+    return {
+        year,
+        currency: await exchangeRatesService.getBaseCurrency(profileId),
+        items: items.map(formatItem),
+        months: income.map((value, index) => ({
+            month: index + 1,
+            income: round2(value),
+            expenses: round2(expenses[index]),
+            net: round2(value - expenses[index])
+        })),
+        allocations: [...allocations.entries()].map(([name, values]) => ({
+            name,
+            monthlyAmounts: values.map(round2),
+            total: round2(sumOf(values))
+        })),
+        totals: {
+            income: round2(sumOf(income)),
+            expenses: round2(sumOf(expenses)),
+            net: round2(sumOf(income) - sumOf(expenses))
+        }
+    };
+};
+
+/**
+ * Adiciona item ao planejamento
+ *
+ * @param {object} data - { year, type, name, categoryId, allocationName, monthlyAmounts | amount [+ months], isSeasonal, notes }
+ */
+const createItem = async (userId, profileId, data) => {
+    const year = parseYear(data.year);
+    const monthlyAmounts = resolveMonthlyAmounts(data);
+    if (data.categoryId) await findCategory(userId, data.categoryId);
+
+    const item = await BudgetPlanItem.create({
+        userId,
+        profileId, // ✅ PROFILE ISOLATION
+        year,
+        type: data.type || 'EXPENSE',
+        name: data.name.trim(),
+        categoryId: data.categoryId || null,
+        allocationName: data.allocationName ? data.allocationName.trim() : null,
+        // Valor só em alguns meses = sazonal, salvo indicação contrária
+        isSeasonal: data.isSeasonal !== undefined ? !!data.isSeasonal : monthlyAmounts.some(v => v === 0),
+        monthlyAmounts,
+        notes: data.notes || null
+    });
+
+    return formatItem(await BudgetPlanItem.findByPk(item.id, {
+        include: [{ model: Category, as: 'category', attributes: ['id', 'name'] }]
+    }));
+};
+
+/**
+ * Atualiza item do planejamento (valores mensais, vínculo, nome)
+ */
+const updateItem = async (userId, profileId, itemId, data) => {
+    const item = await findItem(userId, profileId, itemId);
+
+    const values = {};
+    if (data.name !== undefined) values.name = data.name.trim();
+    if (data.type !== undefined) values.type = data.type;
+    if (data.allocationName !== undefined) values.allocationName = data.allocationName ? data.allocationName.trim() : null;
+    if (data.isSeasonal !== undefined) values.isSeasonal = !!data.isSeasonal;
+    if (data.notes !== undefined) values.notes = data.notes;
+    if (data.categoryId !== undefined) {
+        if (data.categoryId) await findCategory(userId, data.categoryId);
+        values.categoryId = data.categoryId || null;
+    }
+    if (data.monthlyAmounts !== undefined || data.amount !== undefined) {
+        values.monthlyAmounts = resolveMonthlyAmounts(data);
+    }
+
+    await item.update(values);
+
+    return formatItem(await BudgetPlanItem.findByPk(item.id, {
+        include: [{ model: Category, as: 'category', attributes: ['id', 'name'] }]
+    }));
+};
+
+const deleteItem = async (userId, profileId, itemId) => {
+    const item = await findItem(userId, profileId, itemId);
+    await item.destroy();
+    return { message: 'Item removido do planejamento' };
+};
+
+/**
+ * Cria o planejamento a partir dos orçamentos mensais já cadastrados no ano
+ * Uma linha por alocação (meses sem alocação repetem o último valor conhecido)
+ * e uma linha de receita pela receita esperada. Alocações já planejadas são mantidas.
+ */
+const seedFromMonthlyBudgets = async (userId, profileId, yearParam) => {
+    const year = parseYear(yearParam);
+    const scope = { userId, profileId, year }; // ✅ PROFILE ISOLATION
+
+    const [allocations, budgets, existing] = await Promise.all([
+        BudgetAllocation.findAll({ where: scope, order: [['month', 'ASC']] }),
+        Budget.findAll({ where: scope, order: [['month', 'ASC']] }),
+        BudgetPlanItem.findAll({ where: scope, attributes: ['type', 'name', 'allocationName'] })
+    ]);
+
+    if (allocations.length === 0 && budgets.length === 0) {
+        throw new AppError('Nenhum orçamento mensal cadastrado no ano', 400, 'NO_MONTHLY_BUDGETS');
+    }
+
+    const planned = new Set(existing.map(i => (i.allocationName || '').trim().toLowerCase()).filter(Boolean));
+    const fillForward = (byMonth) => {
+        const values = emptyYear();
+        let last = 0;
+        const known = [...byMonth.keys()].sort((a, b) => a - b);
+        if (known.length > 0) last = byMonth.get(known[0]);
+        for (let month = 1; month <= MONTHS; month++) {
+            if (byMonth.has(month)) last = byMonth.get(month);
+            values[month - 1] = round2(last);
+        }
+        return values;
+    };
+
+    const groups = new Map();
+    for (const allocation of allocations) {
+        const key = allocation.name.trim().toLowerCase();
+        if (planned.has(key)) continue;
+        if (!groups.has(key)) groups.set(key, { name: allocation.name, months: new Map() });
+        groups.get(key).months.set(allocation.month, parseFloat(allocation.amount));
+    }
+
+    const toCreate = [...groups.values()].map(group => ({
+        ...scope,
+        type: 'EXPENSE',
+        name: group.name,
+        allocationName: group.name,
+        monthlyAmounts: fillForward(group.months)
+    }));
+
+    const hasIncome = existing.some(i => i.type === 'INCOME');
+    const incomes = new Map(budgets
+        .filter(b => parseFloat(b.incomeExpected) > 0)
+        .map(b => [b.month, parseFloat(b.incomeExpected)]));
+    if (!hasIncome && incomes.size > 0) {
+        toCreate.push({ ...scope, type: 'INCOME', name: 'Receita esperada', monthlyAmounts: fillForward(incomes) });
+    }
+
+    await BudgetPlanItem.bulkCreate(toCreate);
+
+    return { created: toCreate.length, plan: await getAnnualPlan(userId, profileId, year) };
+};
+
+// ===========================================
+// REALIZADO E VARIAÇÃO
+// ===========================================
+
+/**
+ * Realizado do ano por mês: totais e por categoria (moeda base do perfil)
+ */
+const loadActuals = async (userId, profileId, year) => {
+    const startDate = `${year}-01-01`;
+    const endDate = `${year}-12-31`;
+    const monthOf = (date) => moment(date).month();
+
+    const actuals = {
+        income: emptyYear(),
+        expenses: emptyYear(),
+        byCategory: new Map(), // `${type}:${categoryId}` -> [12]
+        byCardCategory: new Map() // nome da categoria (minúsculo) -> [12]
+    };
+    const addTo = (map, key, month, amount) => {
+        const values = map.get(key) || emptyYear();
+        values[month] += amount;
+        map.set(key, values);
+    };
+
+    const manual = await ManualTransaction.findAll({
+        where: {
+            userId,
+            profileId, // ✅ PROFILE ISOLATION
+            // Transferências (TRANSFER, INTERNAL_TRANSFER) não são receita nem despesa
+            type: ['INCOME', 'EXPENSE'],
+            status: 'COMPLETED',
+            date: { [Op.between]: [startDate, endDate] }
+        },
+        attributes: ['type', 'categoryId', 'amount', 'convertedAmount', 'isSplit', 'date']
+    });
+    for (const tx of manual) {
+        const amount = tx.convertedAmount !== null ? parseFloat(tx.convertedAmount) : parseFloat(tx.amount);
+        const month = monthOf(tx.date);
+        (tx.type === 'INCOME' ? actuals.income : actuals.expenses)[month] += amount;
+        if (!tx.isSplit && tx.categoryId) addTo(actuals.byCategory, `${tx.type}:${tx.categoryId}`, month, amount);
+    }
+
+    const cards = await CreditCard.findAll({ where: { userId, profileId }, attributes: ['id'] }); // ✅ PROFILE ISOLATION
+    if (cards.length > 0) {
+        const cardTransactions = await CardTransaction.findAll({
+            where: {
+                cardId: cards.map(c => c.id),
+                status: { [Op.ne]: 'CANCELLED' },
+                date: { [Op.between]: [startDate, endDate] }
+            },
+            attributes: ['category', 'amount', 'isSplit', 'date']
+        });
+        for (const tx of cardTransactions) {
+            const month = monthOf(tx.date);
+            actuals.expenses[month] += parseFloat(tx.amount);
+            if (!tx.isSplit && tx.category) {
+                addTo(actuals.byCardCategory, tx.category.trim().toLowerCase(), month, parseFloat(tx.amount));
+            }
+        }
+    }
+
+    // Transações divididas contam por linha nas categorias
+    for (const type of ['EXPENSE', 'INCOME']) {
+        const lines = await splitsService.getSplitLines(userId, profileId, { startDate, endDate, type });
+        for (const line of lines) {
+            if (line.categoryId) addTo(actuals.byCategory, `${type}:${line.categoryId}`, monthOf(line.date), line.amount);
+        }
+    }
+
+    return actuals;
+};
+
+/**
+ * Planejado do ano quando não há BudgetPlanItem: orçamentos mensais
+ * Despesas = limite de gastos do Budget (ou soma das alocações); receita = receita esperada
+ */
+const plannedFromMonthlyBudgets = async (userId, profileId, year) => {
+    const scope = { userId, profileId, year }; // ✅ PROFILE ISOLATION
+    const [budgets, allocations] = await Promise.all([
+        Budget.findAll({ where: scope }),
+        BudgetAllocation.findAll({ where: scope, attributes: ['month', 'amount'] })
+    ]);
+
+    const income = emptyYear();
+    const expenses = emptyYear();
+
+    for (const allocation of allocations) {
+        expenses[allocation.month - 1] += parseFloat(allocation.amount);
+    }
+    for (const budget of budgets) {
+        income[budget.month - 1] = parseFloat(budget.incomeExpected) || 0;
+        if (budget.getSpendingLimit() > 0) expenses[budget.month - 1] = budget.getSpendingLimit();
+    }
+
+    return { income, expenses, found: budgets.length > 0 || allocations.length > 0 };
+};
+
+/**
+ * Relatório planejado x realizado do ano
+ * variance = planejado - realizado (positivo = gastou menos que o planejado)
+ *
+ * @param {string} userId
+ * @param {string} profileId
+ * @param {number|string} yearParam
+ */
+const getVarianceReport = async (userId, profileId, yearParam) => {
+    const year = parseYear(yearParam);
+    const elapsed = elapsedMonths(year);
+
+    const items = await BudgetPlanItem.findAll({
+        where: { userId, profileId, year }, // ✅ PROFILE ISOLATION
+        include: [{ model: Category, as: 'category', attributes: ['id', 'name'] }],
+        order: [['type', 'ASC'], ['name', 'ASC']]
+    });
+
+    let planned;
+    let source;
+    if (items.length > 0) {
+        planned = { income: emptyYear(), expenses: emptyYear() };
+        for (const item of items) {
+            const target = item.type === 'INCOME' ? planned.income : planned.expenses;
+            item.monthlyAmounts.forEach((value, index) => { target[index] += parseFloat(value) || 0; });
+        }
+        source = 'ANNUAL_PLAN';
+    } else {
+        planned = await plannedFromMonthlyBudgets(userId, profileId, year);
+        source = planned.found ? 'MONTHLY_BUDGETS' : 'NONE';
+    }
+
+    const actuals = await loadActuals(userId, profileId, year);
+
+    // Mês a mês com acumulado (só meses já iniciados)
+    let cumulativePlanned = 0;
+    let cumulativeActual = 0;
+    const months = planned.expenses.map((plannedExpenses, index) => {
+        const isElapsed = index < elapsed;
+        const actualExpenses = isElapsed ? actuals.expenses[index] : null;
+        const variance = isElapsed ? plannedExpenses - actualExpenses : null;
+
+        if (isElapsed) {
+            cumulativePlanned += plannedExpenses;
+            cumulativeActual += actualExpenses;
+        }
+
+        return {
+            month: index + 1,
+            planned: { income: round2(planned.income[index]), expenses: round2(plannedExpenses) },
+            actual: isElapsed
+                ? { income: round2(actuals.income[index]), expenses: round2(actualExpenses) }
+                : null,
+            variance: variance !== null ? round2(variance) : null,
+            variancePercent: variance !== null && plannedExpenses > 0 ? round2((variance / plannedExpenses) * 100) : null,
+            status: !isElapsed ? 'FUTURE' : (variance >= 0 ? 'UNDER_BUDGET' : 'OVER_BUDGET'),
+            cumulative: isElapsed
+                ? {
+                    planned: round2(cumulativePlanned),
+                    actual: round2(cumulativeActual),
+                    variance: round2(cumulativePlanned - cumulativeActual)
+                }
+                : null
+        };
+    });
+
+    const ytdPlannedIncome = sumOf(planned.income.slice(0, elapsed));
+    const ytdActualIncome = sumOf(actuals.income.slice(0, elapsed));
+    const remainingPlanned = sumOf(planned.expenses.slice(elapsed));
+
+    // Realizado por item (itens com categoria)
+    const itemActual = (item) => {
+        if (!item.categoryId) return null;
+        const values = [...(actuals.byCategory.get(`${item.type}:${item.categoryId}`) || emptyYear())];
+        if (item.type === 'EXPENSE' && item.category) {
+            const card = actuals.byCardCategory.get(item.category.name.trim().toLowerCase()) || emptyYear();
+            card.forEach((value, index) => { values[index] += value; });
+        }
+        return values;
+    };
+
+    return {
+        year,
+        currency: await exchangeRatesService.getBaseCurrency(profileId),
+        source,
+        elapsedMonths: elapsed,
+        months,
+        ytd: {
+            plannedExpenses: round2(cumulativePlanned),
+            actualExpenses: round2(cumulativeActual),
+            variance: round2(cumulativePlanned - cumulativeActual),
+            variancePercent: cumulativePlanned > 0
+                ? round2(((cumulativePlanned - cumulativeActual) / cumulativePlanned) * 100)
+                : null,
+            plannedIncome: round2(ytdPlannedIncome),
+            actualIncome: round2(ytdActualIncome),
+            incomeVariance: round2(ytdActualIncome - ytdPlannedIncome)
+        },
+        // Fechamento do ano: realizado até agora + planejado dos meses restantes
+        projection: {
+            plannedExpenses: round2(sumOf(planned.expenses)),
+            expenses: round2(cumulativeActual + remainingPlanned),
+            variance: round2(sumOf(planned.expenses) - (cumulativeActual + remainingPlanned))
+        },
+        onTrack: elapsed === 0 || cumulativeActual <= cumulativePlanned,
+        items: items.map(item => {
+            const plannedValues = item.monthlyAmounts.map(v => parseFloat(v) || 0);
+            const actualValues = itemActual(item);
+            const ytdPlanned = sumOf(plannedValues.slice(0, elapsed));
+            const ytdActual = actualValues ? sumOf(actualValues.slice(0, elapsed)) : null;
+
+            return {
+                id: item.id,
+                type: item.type,
+                name: item.name,
+                category: item.category ? { id: item.category.id, name: item.category.name } : null,
+                allocationName: item.allocationName,
+                isSeasonal: item.isSeasonal,
+                planned: plannedValues.map(round2),
+                actual: actualValues ? actualValues.map((v, index) => (index < elapsed ? round2(v) : null)) : null,
+                ytdPlanned: round2(ytdPlanned),
+                ytdActual: ytdActual !== null ? round2(ytdActual) : null,
+                ytdVariance: ytdActual !== null
+                    ? round2(item.type === 'INCOME' ? ytdActual - ytdPlanned : ytdPlanned - ytdActual)
+                    : null
+            };
+        })
+    };
+};
+
+module.exports = {
+    getAnnualPlan,
+    createItem,
+    updateItem,
+    deleteItem,
+    seedFromMonthlyBudgets,
+    getVarianceReport
+};
@@ -6,6 +6,11 @@
  */
 
 const budgetsService = require('./budgets.service');
+const safeToSpendService = require('./safeToSpend.service');
+const envelopesService = require('./envelopes.service');
+const categoryLimitsService = require('./categoryLimits.service');
+const generatorService = require('./generator.service');
+const annualPlanService = require('./annualPlan.service');
 
 const listBudgets = async (req, res, next) => {
     try {
@@ -48,6 +53,27 @@ const createBudget = async (req, res, next) => {
     }
 };
 
+/**
+ * POST /budgets/generate
+ * Prévia do orçamento (histórico, modelo ou cópia do mês anterior); save=true grava
+ */
+const generateBudget = async (req, res, next) => {
+    try {
+        // ✅ PROFILE ISOLATION: Pass profileId
+        const result = await generatorService.generateBudget(req.userId, req.profileId, req.body);
+        if (!result.saved) {
+            return res.json({ data: result.proposal });
+        }
+
+        res.status(201).json({
+            message: 'Orçamento gerado',
+            data: result
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 const updateBudget = async (req, res, next) => {
     try {
         // ✅ PROFILE ISOLATION: Pass profileId
@@ -61,6 +87,20 @@ const updateBudget = async (req, res, next) => {
     }
 };
 
+/**
+ * GET /budgets/safe-to-spend
+ * Quanto posso gastar hoje
+ */
+const getSafeToSpend = async (req, res, next) => {
+    try {
+        // ✅ PROFILE ISOLATION: Pass profileId
+        const result = await safeToSpendService.getSafeToSpend(req.userId, req.profileId);
+        res.json({ data: result });
+    } catch (error) {
+        next(error);
+    }
+};
+
 // ===========================================
 // BUDGET ALLOCATIONS
 // ===========================================
@@ -104,12 +144,214 @@ const createAllocations = async (req, res, next) => {
     }
 };
 
+// ===========================================
+// ENVELOPES
+// ===========================================
+
+/**
+ * POST /budgets/allocations/move
+ * Move valor entre envelopes do mesmo mês
+ */
+const moveBetweenEnvelopes = async (req, res, next) => {
+    try {
+        // ✅ PROFILE ISOLATION: Pass profileId
+        const result = await envelopesService.moveBetweenEnvelopes(req.userId, req.profileId, req.body);
+        res.status(201).json({
+            message: `${result.from.name} → ${result.to.name}`,
+            data: result
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /budgets/allocations/rollover
+ * Recalcula o rollover do mês (ex: lançamento tardio no mês anterior)
+ */
+const recalculateRollover = async (req, res, next) => {
+    try {
+        const now = new Date();
+        const month = parseInt(req.body.month) || now.getMonth() + 1;
+        const year = parseInt(req.body.year) || now.getFullYear();
+
+        // ✅ PROFILE ISOLATION: Pass profileId
+        const envelopes = await envelopesService.applyRollover(req.userId, req.profileId, month, year, { force: true });
+        res.json({ data: { month, year, envelopes } });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * GET /budgets/allocations/movements?month=&year=
+ * GET /budgets/allocations/:id/movements
+ */
+const listEnvelopeMovements = async (req, res, next) => {
+    try {
+        // ✅ PROFILE ISOLATION: Pass profileId
+        const movements = await envelopesService.listMovements(req.userId, req.profileId, {
+            ...req.query,
+            allocationId: req.params.id
+        });
+        res.json({ data: movements });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * GET /budgets/category-limits?month=&year=
+ * Limites por categoria com o gasto do mês
+ */
+const listCategoryLimits = async (req, res, next) => {
+    try {
+        // ✅ PROFILE ISOLATION: Pass profileId
+        const limits = await categoryLimitsService.listLimits(req.userId, req.profileId, req.query);
+        res.json({ data: limits });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * PUT /budgets/category-limits/:categoryId
+ */
+const setCategoryLimit = async (req, res, next) => {
+    try {
+        // ✅ PROFILE ISOLATION: Pass profileId
+        const limit = await categoryLimitsService.setLimit(
+            req.userId, req.profileId, req.params.categoryId, req.body.amount
+        );
+        res.json({ message: 'Limite salvo', data: limit });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * DELETE /budgets/category-limits/:categoryId
+ */
+const removeCategoryLimit = async (req, res, next) => {
+    try {
+        // ✅ PROFILE ISOLATION: Pass profileId
+        const result = await categoryLimitsService.removeLimit(req.userId, req.profileId, req.params.categoryId);
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * GET /budgets/annual?year=
+ * Planejamento anual com totais por mês e por alocação
+ */
+const getAnnualPlan = async (req, res, next) => {
+    try {
+        // ✅ PROFILE ISOLATION: Pass profileId
+        const plan = await annualPlanService.getAnnualPlan(req.userId, req.profileId, req.query.year);
+        res.json({ data: plan });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /budgets/annual/items
+ */
+const createPlanItem = async (req, res, next) => {
+    try {
+        // ✅ PROFILE ISOLATION: Pass profileId
+        const item = await annualPlanService.createItem(req.userId, req.profileId, req.body);
+        res.status(201).json({
+            message: 'Item adicionado ao planejamento',
+            data: item
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * PUT /budgets/annual/items/:id
+ */
+const updatePlanItem = async (req, res, next) => {
+    try {
+        // ✅ PROFILE ISOLATION: Pass profileId
+        const item = await annualPlanService.updateItem(req.userId, req.profileId, req.params.id, req.body);
+        res.json({
+            message: 'Item atualizado',
+            data: item
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * DELETE /budgets/annual/items/:id
+ */
+const deletePlanItem = async (req, res, next) => {
+    try {
+        // ✅ PROFILE ISOLATION: Pass profileId
+        const result = await annualPlanService.deleteItem(req.userId, req.profileId, req.params.id);
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /budgets/annual/seed
+ * Cria o planejamento a partir dos orçamentos mensais do ano
+ */
+const seedAnnualPlan = async (req, res, next) => {
+    try {
+        // ✅ PROFILE ISOLATION: Pass profileId
+        const result = await annualPlanService.seedFromMonthlyBudgets(req.userId, req.profileId, req.body.year);
+        res.status(201).json({
+            message: `${result.created} item(ns) criado(s) no planejamento`,
+            data: result.plan
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * GET /budgets/variance?year=
+ * Planejado x realizado por mês com acumulado do ano
+ */
+const getVarianceReport = async (req, res, next) => {
+    try {
+        // ✅ PROFILE ISOLATION: Pass profileId
+        const report = await annualPlanService.getVarianceReport(req.userId, req.profileId, req.query.year);
+        res.json({ data: report });
+    } catch (error) {
+        next(error);
+    }
+};
+
 module.exports = {
     listBudgets,
     getCurrentBudget,
     createBudget,
+    generateBudget,
     updateBudget,
+    getSafeToSpend,
     getCurrentAllocations,
     getAllocations,
-    createAllocations
+    createAllocations,
+    moveBetweenEnvelopes,
+    recalculateRollover,
+    listEnvelopeMovements,
+    listCategoryLimits,
+    setCategoryLimit,
+    removeCategoryLimit,
+    getAnnualPlan,
+    createPlanItem,
+    updatePlanItem,
+    deletePlanItem,
+    seedAnnualPlan,
+    getVarianceReport
 };
@@ -25,15 +25,112 @@ const createSchema = {
     }
 };
 
+const generateSchema = {
+    body: {
+        month: { min: 1, max: 12 },
+        year: { min: 2020, max: 2100 },
+        strategy: { enum: ['HISTORY', 'TEMPLATE', 'COPY_LAST_MONTH'] },
+        template: { enum: ['50_30_20', '60_20_20', 'DEFAULT'] },
+        lookbackMonths: { min: 3, max: 6 },
+        incomeExpected: { min: 0 },
+        investPercent: { min: 0, max: 100 },
+        emergencyPercent: { min: 0, max: 100 }
+    }
+};
+
+const planItemSchema = {
+    body: {
+        year: { required: true, min: 2020, max: 2100 },
+        type: { enum: ['INCOME', 'EXPENSE'] },
+        name: { required: true, minLength: 1 },
+        categoryId: { type: 'uuid' },
+        amount: { min: 0 }
+    }
+};
+
+const planItemUpdateSchema = {
+    params: {
+        id: { type: 'uuid' }
+    },
+    body: {
+        type: { enum: ['INCOME', 'EXPENSE'] },
+        name: { minLength: 1 },
+        amount: { min: 0 }
+    }
+};
+
+const seedSchema = {
+    body: {
+        year: { required: true, min: 2020, max: 2100 }
+    }
+};
+
+const moveSchema = {
+    body: {
+        fromAllocationId: { required: true, type: 'uuid' },
+        toAllocationId: { required: true, type: 'uuid' },
+        amount: { required: true, min: 0.01 }
+    }
+};
+
+const rolloverSchema = {
+    body: {
+        month: { min: 1, max: 12 },
+        year: { min: 2020, max: 2100 }
+    }
+};
+
+const allocationParamsSchema = {
+    params: {
+        id: { type: 'uuid' }
+    }
+};
+
+const categoryLimitSchema = {
+    params: {
+        categoryId: { type: 'uuid' }
+    },
+    body: {
+        amount: { required: true, min: 0.01 }
+    }
+};
+
+const categoryLimitParamsSchema = {
+    params: {
+        categoryId: { type: 'uuid' }
+    }
+};
+
 // Budget endpoints
 router.get('/', budgetsController.listBudgets);
 router.get('/current', budgetsController.getCurrentBudget);
+router.get('/safe-to-spend', budgetsController.getSafeToSpend);
 router.post('/', validate(createSchema), budgetsController.createBudget);
+router.post('/generate', validate(generateSchema), budgetsController.generateBudget);
 router.put('/:id', budgetsController.updateBudget);
 
+// Planejamento anual e variação planejado x realizado
+router.get('/annual', budgetsController.getAnnualPlan);
+router.post('/annual/seed', validate(seedSchema), budgetsController.seedAnnualPlan);
+router.post('/annual/items', validate(planItemSchema), budgetsController.createPlanItem);
+router.put('/annual/items/:id', validate(planItemUpdateSchema), budgetsController.updatePlanItem);
+router.delete('/annual/items/:id', validate(allocationParamsSchema), budgetsController.deletePlanItem);
+router.get('/variance', budgetsController.getVarianceReport);
+
 // Budget Allocations endpoints
 router.get('/allocations/current', budgetsController.getCurrentAllocations);
 router.get('/allocations', budgetsController.getAllocations);
 router.post('/allocations', budgetsController.createAllocations);
 
+// Envelopes (saldo passa para o mês seguinte)
+router.post('/allocations/move', validate(moveSchema), budgetsController.moveBetweenEnvelopes);
+router.post('/allocations/rollover', validate(rolloverSchema), budgetsController.recalculateRollover);
+router.get('/allocations/movements', budgetsController.listEnvelopeMovements);
+router.get('/allocations/:id/movements', validate(allocationParamsSchema), budgetsController.listEnvelopeMovements);
+
+// Limites mensais por categoria (alertas 50/80/100%)
+router.get('/category-limits', budgetsController.listCategoryLimits);
+router.put('/category-limits/:categoryId', validate(categoryLimitSchema), budgetsController.setCategoryLimit);
+router.delete('/category-limits/:categoryId', validate(categoryLimitParamsSchema), budgetsController.removeCategoryLimit);
+
 module.exports = router;
@@ -9,6 +9,7 @@
 const { Budget, OpenFinanceTransaction, ManualTransaction } = require('../../models');
 const { AppError } = require('../../middlewares/errorHandler');
 const { Op } = require('sequelize');
+const exchangeRatesService = require('../exchangeRates/exchangeRates.service');
 
 /**
  * Lista orçamentos do usuário
@@ -86,26 +87,36 @@ const getCurrentBudget = async (userId, profileId) => {
     const baseWhere = { userId };
     if (profileId) baseWhere.profileId = profileId;
 
+    // Totais na moeda do perfil (Open Finance Brasil é sempre em BRL)
+    const baseCurrency = await exchangeRatesService.getBaseCurrency(profileId);
+
     const [ofExpenses, manualExpenses, manualIncome] = await Promise.all([
         OpenFinanceTransaction.sum('amount', {
             where: { userId, type: 'DEBIT', date: { [Op.between]: [startDate, endDate] } }
         }),
-        ManualTransaction.sum('amount', {
+        ManualTransaction.sumConverted({
             where: { ...baseWhere, type: 'EXPENSE', date: { [Op.between]: [startDate, endDate] } }
         }),
-        ManualTransaction.sum('amount', {
+        ManualTransaction.sumConverted({
             where: { ...baseWhere, type: 'INCOME', date: { [Op.between]: [startDate, endDate] } }
         })
     ]);
 
-    const totalExpenses = (parseFloat(ofExpenses) || 0) + (parseFloat(manualExpenses) || 0);
-    const totalIncome = parseFloat(manualIncome) || 0;
+    const { rate: ofRate, unavailable: ofRateUnavailable } = await exchangeRatesService.getRateForTotals(
+        'BRL', baseCurrency, endDate, [ofExpenses], { userId }
+    );
+
+    const totalExpenses = (parseFloat(ofExpenses) || 0) * ofRate + manualExpenses;
+    const totalIncome = manualIncome;
 
     return {
         id: budget.id,
         month: budget.month,
         year: budget.year,
         profileId,
+        currency: baseCurrency,
+        // Sem cotação BRL/moeda do perfil: gastos do Open Finance somados sem conversão
+        fxRateUnavailable: ofRateUnavailable,
         incomeExpected: parseFloat(budget.incomeExpected),
         incomeActual: totalIncome,
         investPercent: parseFloat(budget.investPercent),
@@ -126,8 +137,9 @@ const getCurrentBudget = async (userId, profileId) => {
 const createOrUpdateBudget = async (userId, profileId, data) => {
     const { month, year, incomeExpected, investPercent, emergencyPercent, notes } = data;
 
-    const invest = parseFloat(investPercent) || 30;
-    const emergency = parseFloat(emergencyPercent) || 10;
+    // 0 é um percentual válido (ex: orçamento gerado sem reserva de emergência)
+    const invest = investPercent !== undefined && investPercent !== null ? parseFloat(investPercent) : 30;
+    const emergency = emergencyPercent !== undefined && emergencyPercent !== null ? parseFloat(emergencyPercent) : 10;
 
     if (invest + emergency > 100) {
         throw new AppError('Soma dos percentuais não pode exceder 100%', 400, 'INVALID_PERCENTAGES');
@@ -205,7 +217,8 @@ const updateBudget = async (userId, profileId, budgetId, data) => {
 // BUDGET ALLOCATIONS
 // ===========================================
 
-const { BudgetAllocation, Category, Goal, CardTransaction, GoalHistory } = require('../../models');
+const { BudgetAllocation, Category, Goal, CardTransaction, GoalHistory, TransactionSplit } = require('../../models');
+const envelopesService = require('./envelopes.service');
 
 const DEFAULT_ALLOCATIONS = [
     { name: 'Gastos Essenciais', percentage: 50, color: '#ef4444', icon: 'home' },
@@ -258,7 +271,15 @@ const getAllocations = async (userId, profileId, month, year) => {
     });
 
     if (allocations.length === 0) {
-        await createDefaultAllocations(userId, profileId, month, year);
+        // Envelopes continuam do mês anterior; sem envelopes, alocações padrão
+        const carried = await envelopesService.carryForwardAllocations(userId, profileId, month, year);
+        if (carried === 0) {
+            await createDefaultAllocations(userId, profileId, month, year);
+        }
+    }
+
+    const rollovers = await envelopesService.applyRollover(userId, profileId, month, year);
+    if (allocations.length === 0 || rollovers.length > 0) {
         allocations = await BudgetAllocation.findAll({
             where: whereClause,
             order: [['percentage', 'DESC']]
@@ -266,7 +287,7 @@ const getAllocations = async (userId, profileId, month, year) => {
     }
 
     const result = await Promise.all(allocations.map(async (alloc) => {
-        const spent = await alloc.getSpent({ ManualTransaction, CardTransaction, Category, Goal, GoalHistory });
+        const spent = await alloc.getSpent({ ManualTransaction, CardTransaction, Category, Goal, GoalHistory, TransactionSplit });
         return {
             id: alloc.id,
             name: alloc.name,
@@ -274,8 +295,13 @@ const getAllocations = async (userId, profileId, month, year) => {
             amount: parseFloat(alloc.amount),
             color: alloc.color,
             icon: alloc.icon,
+            isEnvelope: alloc.isEnvelope,
+            rollover: parseFloat(alloc.rolloverAmount),
+            transferred: parseFloat(alloc.transferredAmount),
             spent,
             remaining: parseFloat(alloc.amount) - spent,
+            // Envelope: atribuído + sobra do mês anterior + movimentações - gasto
+            available: alloc.getAvailable(spent),
             progress: alloc.amount > 0 ? Math.min(100, (spent / parseFloat(alloc.amount)) * 100) : 0
         };
     }));
@@ -308,30 +334,47 @@ const createOrUpdateAllocations = async (userId, profileId, data) => {
         throw new AppError('A soma das porcentagens deve ser 100%', 400, 'INVALID_PERCENTAGES');
     }
 
-    const deleteWhere = { userId, month: targetMonth, year: targetYear };
-    if (profileId) deleteWhere.profileId = profileId;
+    const existingWhere = { userId, month: targetMonth, year: targetYear };
+    if (profileId) existingWhere.profileId = profileId;
 
-    await BudgetAllocation.destroy({
-        where: deleteWhere
-    });
+    // Alocações de mesmo nome são atualizadas, não recriadas:
+    // o rollover e o histórico dos envelopes continuam valendo
+    const existing = await BudgetAllocation.findAll({ where: existingWhere });
+    const kept = new Set();
 
     const created = await Promise.all(allocations.map(async (alloc) => {
         const percentage = parseFloat(alloc.percent) || 0;
         const amount = (income * percentage) / 100;
+        const current = existing.find(a => a.name.trim().toLowerCase() === String(alloc.name).trim().toLowerCase());
 
-        return BudgetAllocation.create({
-            userId,
-            profileId, // ✅ PROFILE ISOLATION
+        const values = {
             name: alloc.name,
             percentage,
             amount,
             color: alloc.color || '#3b82f6',
             icon: alloc.icon || 'dollar',
+            isEnvelope: alloc.isEnvelope !== undefined ? !!alloc.isEnvelope : !!current?.isEnvelope
+        };
+
+        if (current) {
+            kept.add(current.id);
+            return current.update(values);
+        }
+
+        return BudgetAllocation.create({
+            userId,
+            profileId, // ✅ PROFILE ISOLATION
+            ...values,
             month: targetMonth,
             year: targetYear
         });
     }));
 
+    const removed = existing.filter(a => !kept.has(a.id)).map(a => a.id);
+    if (removed.length > 0) {
+        await BudgetAllocation.destroy({ where: { id: removed } });
+    }
+
     return {
         month: targetMonth,
         year: targetYear,
@@ -342,7 +385,8 @@ const createOrUpdateAllocations = async (userId, profileId, data) => {
             percentage: parseFloat(a.percentage),
             amount: parseFloat(a.amount),
             color: a.color,
-            icon: a.icon
+            icon: a.icon,
+            isEnvelope: a.isEnvelope
         }))
     };
 };
@@ -368,7 +412,7 @@ const checkBudgetHealth = async (userId, profileId, categoryId, amount) => {
         return { allowed: true, linked: false };
     }
 
-    const spent = await allocation.getSpent({ ManualTransaction, CardTransaction, Category, Goal, GoalHistory });
+    const spent = await allocation.getSpent({ ManualTransaction, CardTransaction, Category, Goal, GoalHistory, TransactionSplit });
     const newTotal = spent + parseFloat(amount);
     const limit = parseFloat(allocation.amount);
 
@@ -400,5 +444,6 @@ module.exports = {
     getAllocations,
     getCurrentAllocations,
     createOrUpdateAllocations,
-    checkBudgetHealth
+    checkBudgetHealth,
+    DEFAULT_ALLOCATIONS
 };
@@ -0,0 +1,480 @@
+/**
+ * Category Limits Service
+ * ========================================
+ * LIMITES MENSAIS POR CATEGORIA
+ * ========================================
+ *
+ * - Limite fixo por categoria (independente das alocações percentuais)
+ * - A cada despesa criada (manual, cartão, Open Finance, WhatsApp) o gasto
+ *   do mês na categoria é recalculado e comparado com 50/80/100% do limite
+ * - Cada faixa dispara uma vez por mês (alertsSent no próprio limite)
+ * - Alerta vira Notification (preferência BUDGET_ALERTS) e é espelhado
+ *   no WhatsApp quando WHATSAPP_MIRROR está ativo
+ *
+ * Gasto do mês: manuais concluídas (convertedAmount), cartão pelo nome da
+ * categoria, linhas de transações divididas e Open Finance pela categoria
+ * do metadata.
+ * ✅ PROFILE ISOLATION: limites, contas e cartões filtrados pelo profileId
+ */
+
+const moment = require('moment');
+const {
+    CategoryBudgetLimit,
+    Category,
+    ManualTransaction,
+    CardTransaction,
+    OpenFinanceTransaction,
+    TransactionMetadata,
+    TransactionSplit,
+    CreditCard,
+    BankAccount,
+    Profile,
+    Notification,
+    NotificationPreference,
+    sequelize
+} = require('../../models');
+const { AppError } = require('../../middlewares/errorHandler');
+const { Op } = require('sequelize');
+const exchangeRatesService = require('../exchangeRates/exchangeRates.service');
+
+const THRESHOLDS = [50, 80, 100];
+const DATE_FORMAT = 'YYYY-MM-DD';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const formatMoney = (value, currency) => new Intl.NumberFormat('pt-BR', {
+    style: 'currency',
+    currency: currency || 'BRL'
+}).format(value);
+
+const monthKey = (month, year) => `${year}-${String(month).padStart(2, '0')}`;
+
+/**
+ * Maior faixa atingida pelo percentual gasto (0 = nenhuma)
+ */
+const thresholdFor = (percent) => THRESHOLDS.filter(t => percent >= t).pop() || 0;
+
+/**
+ * Categoria de despesa visível para o usuário (própria ou padrão)
+ */
+const findExpenseCategory = async (userId, categoryId) => {
+    const category = await Category.findOne({
+        where: {
+            id: categoryId,
+            type: { [Op.in]: ['EXPENSE', 'BOTH'] },
+            [Op.or]: [
+                { userId: null, isDefault: true },
+                { userId }
+            ]
+        }
+    });
+
+    if (!category) {
+        throw new AppError('Categoria de despesa não encontrada', 404, 'CATEGORY_NOT_FOUND');
+    }
+
+    return category;
+};
+
+/**
+ * Gasto do perfil na categoria dentro do mês (moeda base do perfil)
+ */
+const getCategorySpent = async (userId, profileId, category, month, year) => {
+    const startDate = moment({ year, month: month - 1, day: 1 }).format(DATE_FORMAT);
+    const endDate = moment(startDate).endOf('month').format(DATE_FORMAT);
+    const period = { [Op.between]: [startDate, endDate] };
+
+    const profileWhere = { userId };
+    if (profileId) profileWhere.profileId = profileId; // ✅ PROFILE ISOLATION
+
+    const [cards, accounts] = await Promise.all([
+        CreditCard.findAll({ where: profileWhere, attributes: ['id'] }),
+        BankAccount.findAll({ where: profileWhere, attributes: ['id'] })
+    ]);
+    const cardIds = cards.map(c => c.id);
+    const accountIds = accounts.map(a => a.id);
+
+    const manualSpent = await ManualTransaction.sumConverted({
+        where: {
+            ...profileWhere,
+            type: 'EXPENSE',
+            status: 'COMPLETED',
+            categoryId: category.id,
+            isSplit: false,
+            date: period
+        }
+    });
+
+    const cardSpent = cardIds.length > 0
+        ? parseFloat(await CardTransaction.sum('amount', {
+            where: {
+                cardId: cardIds,
+                category: category.name,
+                status: { [Op.ne]: 'CANCELLED' },
+                isSplit: false,
+                date: period
+            }
+        })) || 0
+        : 0;
+
+    // Linhas de transações divididas (manuais seguem a cotação da transação)
+    const [splitManual, splitCard] = await Promise.all([
+        ManualTransaction.findAll({
+            where: { ...profileWhere, type: 'EXPENSE', status: 'COMPLETED', isSplit: true, date: period },
+            attributes: ['id', 'amount', 'convertedAmount']
+        }),
+        cardIds.length > 0
+            ? CardTransaction.findAll({
+                where: { cardId: cardIds, status: { [Op.ne]: 'CANCELLED' }, isSplit: true, date: period },
+                attributes: ['id']
+            })
+            : []
+    ]);
+
+    let splitSpent = 0;
+    if (splitManual.length > 0 || splitCard.length > 0) {
+        const splits = await TransactionSplit.findAll({
+            where: {
+                categoryId: category.id,
+                [Op.or]: [
+                    { transactionType: 'MANUAL', transactionId: splitManual.map(t => t.id) },
+                    { transactionType: 'CARD', transactionId: splitCard.map(t => t.id) }
+                ]
+            },
+            attributes: ['transactionType', 'transactionId', 'amount']
+        });
+
+        const rates = new Map(splitManual
+            .filter(t => t.convertedAmount !== null)
+            .map(t => [t.id, parseFloat(t.convertedAmount) / parseFloat(t.amount)]));
+
+        splitSpent = splits.reduce((sum, s) => {
+            const rate = s.transactionType === 'MANUAL' ? (rates.get(s.transactionId) || 1) : 1;
+            return sum + parseFloat(s.amount) * rate;
+        }, 0);
+    }
+
+    // Open Finance: débitos das contas/cartões do perfil categorizados no metadata
+    let openFinanceSpent = 0;
+    if (cardIds.length > 0 || accountIds.length > 0) {
+        const debits = await OpenFinanceTransaction.findAll({
+            where: {
+                userId,
+                type: 'DEBIT',
+                date: period,
+                [Op.or]: [
+                    { relatedAccountId: accountIds },
+                    { relatedCardId: cardIds }
+                ]
+            },
+            attributes: ['id', 'amount']
+        });
+
+        if (debits.length > 0) {
+            const categorized = await TransactionMetadata.findAll({
+                where: {
+                    userId,
+                    transactionType: 'OPEN_FINANCE',
+                    transactionId: debits.map(t => t.id),
+                    category: category.name,
+                    isIgnored: false
+                },
+                attributes: ['transactionId']
+            });
+            const ids = new Set(categorized.map(m => m.transactionId));
+
+            openFinanceSpent = debits
+                .filter(t => ids.has(t.id))
+                .reduce((sum, t) => sum + Math.abs(parseFloat(t.amount)), 0);
+        }
+    }
+
+    return round2(manualSpent + cardSpent + splitSpent + openFinanceSpent);
+};
+
+const formatLimit = (limit, spent, month, year) => {
+    const amount = parseFloat(limit.amount);
+    const percent = amount > 0 ? round2((spent / amount) * 100) : 0;
+
+    return {
+        id: limit.id,
+        category: limit.category
+            ? { id: limit.category.id, name: limit.category.name, icon: limit.category.icon, color: limit.category.color }
+            : { id: limit.categoryId },
+        amount,
+        month,
+        year,
+        spent,
+        remaining: round2(amount - spent),
+        percent,
+        threshold: thresholdFor(percent),
+        lastAlert: (limit.alertsSent || {})[monthKey(month, year)] || null
+    };
+};
+
+/**
+ * Limites do perfil com o gasto do mês
+ *
+ * @param {object} filters - { month, year } (padrão: mês atual)
+ */
+const listLimits = async (userId, profileId, filters = {}) => {
+    const now = new Date();
+    const month = parseInt(filters.month) || now.getMonth() + 1;
+    const year = parseInt(filters.year) || now.getFullYear();
+
+    const limits = await CategoryBudgetLimit.findAll({
+        where: { userId, profileId }, // ✅ PROFILE ISOLATION
+        include: [{ model: Category, as: 'category', attributes: ['id', 'name', 'icon', 'color'] }]
+    });
+
+    const result = [];
+    for (const limit of limits) {
+        const spent = await getCategorySpent(userId, profileId, limit.category, month, year);
+        result.push(formatLimit(limit, spent, month, year));
+    }
+
+    return result.sort((a, b) => b.percent - a.percent);
+};
+
+/**
+ * Define (ou altera) o limite mensal da categoria no perfil
+ */
+const setLimit = async (userId, profileId, categoryId, amount) => {
+    const category = await findExpenseCategory(userId, categoryId);
+
+    const now = new Date();
+    const month = now.getMonth() + 1;
+    const year = now.getFullYear();
+
+    let limit = await CategoryBudgetLimit.findOne({ where: { userId, profileId, categoryId } });
+    if (limit) {
+        // Limite diferente: faixas do mês atual voltam a valer para o novo valor
+        const alertsSent = { ...(limit.alertsSent || {}) };
+        if (parseFloat(limit.amount) !== parseFloat(amount)) delete alertsSent[monthKey(month, year)];
+        await limit.update({ amount, alertsSent });
+    } else {
+        limit = await CategoryBudgetLimit.create({
+            userId,
+            profileId, // ✅ PROFILE ISOLATION
+            categoryId,
+            amount
+        });
+    }
+
+    limit.category = category;
+    const spent = await getCategorySpent(userId, profileId, category, month, year);
+
+    return formatLimit(limit, spent, month, year);
+};
+
+/**
+ * Remove o limite da categoria no perfil
+ */
+const removeLimit = async (userId, profileId, categoryId) => {
+    const deleted = await CategoryBudgetLimit.destroy({ where: { userId, profileId, categoryId } });
+    if (!deleted) {
+        throw new AppError('Limite não encontrado', 404, 'CATEGORY_LIMIT_NOT_FOUND');
+    }
+
+    return { message: 'Limite removido' };
+};
+
+/**
+ * Envia o alerta da faixa atingida (Notification + espelho no WhatsApp)
+ */
+const sendAlert = async (userId, profileId, alert) => {
+    const preferences = await NotificationPreference.findAll({
+        where: { userId, notificationType: ['BUDGET_ALERTS', 'WHATSAPP_MIRROR'] }
+    });
+    const budgetPref = preferences.find(p => p.notificationType === 'BUDGET_ALERTS');
+    const mirrorPref = preferences.find(p => p.notificationType === 'WHATSAPP_MIRROR');
+
+    // Sem preferência cadastrada = padrão ligado
+    if (budgetPref && !budgetPref.enabled) return false;
+
+    const currency = await exchangeRatesService.getBaseCurrency(profileId);
+    const money = (value) => formatMoney(value, currency);
+    const period = moment({ year: alert.year, month: alert.month - 1 }).format('MM/YYYY');
+
+    const title = alert.threshold >= 100
+        ? `🚨 Limite de ${alert.category} estourado`
+        : `⚠️ ${alert.threshold}% do limite de ${alert.category}`;
+    const message = `Você gastou ${money(alert.spent)} de ${money(alert.limit)} (${alert.percent}%) ` +
+        `em ${alert.category} em ${period}.` +
+        (alert.threshold >= 100
+            ? ` Passou ${money(alert.spent - alert.limit)} do limite.`
+            : ` Restam ${money(alert.limit - alert.spent)}.`);
+
+    await Notification.create({
+        userId,
+        type: 'BUDGET_ALERT',
+        title,
+        message,
+        relatedTransactionId: alert.transactionId || null,
+        relatedTransactionType: alert.transactionType || null,
+        relatedAmount: alert.spent,
+        scheduledFor: new Date(),
+        isDisplayed: false
+    });
+
+    if (mirrorPref && mirrorPref.enabled && mirrorPref.whatsappEnabled) {
+        const profile = await Profile.findByPk(profileId, { attributes: ['name'] });
+        const whatsappService = require('../whatsapp/whatsapp.service');
+        await whatsappService.sendNotification(userId,
+            `🤖 *${title}*\n\n${message}` + (profile ? `\n\n_Operando em: ${profile.name}_` : ''));
+    }
+
+    return true;
+};
+
+/**
+ * Reavalia o limite da categoria no mês da despesa e dispara as faixas novas
+ * Se uma despesa pula várias faixas de uma vez, só a maior gera alerta.
+ *
+ * @param {object} entry - { categoryId | category (nome), date, transactionId, transactionType }
+ * @returns {Promise<object|null>} Alerta disparado
+ */
+const evaluateCategory = async (userId, profileId, entry) => {
+    if (!profileId || (!entry.categoryId && !entry.category)) return null;
+
+    const limits = await CategoryBudgetLimit.findAll({
+        where: { userId, profileId }, // ✅ PROFILE ISOLATION
+        include: [{ model: Category, as: 'category', attributes: ['id', 'name'] }]
+    });
+    const name = entry.category && String(entry.category).trim().toLowerCase();
+    const limit = limits.find(l => entry.categoryId
+        ? l.categoryId === entry.categoryId
+        : l.category && l.category.name.trim().toLowerCase() === name);
+    if (!limit) return null;
+
+    const date = moment(entry.date || new Date());
+    const month = date.month() + 1;
+    const year = date.year();
+    const key = monthKey(month, year);
+
+    const spent = await getCategorySpent(userId, profileId, limit.category, month, year);
+    const amount = parseFloat(limit.amount);
+    const percent = round2((spent / amount) * 100);
+    const threshold = thresholdFor(percent);
+    if (threshold === 0) return null;
+
+    // Trava a linha do limite: duas despesas simultâneas não disparam a mesma faixa
+    const t = await sequelize.transaction();
+    let fired = false;
+
+    try {
+        const locked = await CategoryBudgetLimit.findByPk(limit.id, { transaction: t, lock: t.LOCK.UPDATE });
+        const alertsSent = { ...(locked.alertsSent || {}) };
+
+        if ((alertsSent[key] || 0) < threshold) {
+            alertsSent[key] = threshold;
+            await locked.update({ alertsSent }, { transaction: t });
+            fired = true;
+        }
+
+        await t.commit();
+    } catch (error) {
+        await t.rollback();
+        console.error('❌ [CATEGORY LIMIT] Error:', error);
+        throw error;
+    }
+
+    if (!fired) return null;
+
+    const alert = {
+        categoryId: limit.categoryId,
+        category: limit.category.name,
+        month,
+        year,
+        threshold,
+        limit: amount,
+        spent,
+        percent,
+        transactionId: entry.transactionId,
+        transactionType: entry.transactionType
+    };
+    alert.notified = await sendAlert(userId, profileId, alert);
+
+    return alert;
+};
+
+/**
+ * Gancho chamado após criar uma despesa em qualquer canal
+ * Nunca interrompe a criação: falhas só são registradas no log.
+ *
+ * @param {object} entry - { type, categoryId | category, date, transactionId, transactionType }
+ */
+const checkTransaction = async (userId, profileId, entry) => {
+    if (entry.type && entry.type !== 'EXPENSE') return null;
+
+    try {
+        return await evaluateCategory(userId, profileId, entry);
+    } catch (error) {
+        console.error('⚠️ [CATEGORY LIMIT] Check failed:', error.message);
+        return null;
+    }
+};
+
+/**
+ * Gancho de gravações em lote (importação de extrato, baixa de várias
+ * ocorrências): uma avaliação por categoria e mês, na transação mais recente
+ *
+ * @param {Array<object>} entries - mesmo formato de checkTransaction
+ */
+const checkTransactions = async (userId, profileId, entries) => {
+    const latest = new Map();
+    for (const entry of entries) {
+        if (entry.type && entry.type !== 'EXPENSE') continue;
+        const category = entry.categoryId || entry.category;
+        if (!category) continue;
+
+        const key = `${category}|${moment(entry.date).format('YYYY-MM')}`;
+        const current = latest.get(key);
+        if (!current || entry.date > current.date) latest.set(key, entry);
+    }
+
+    const alerts = [];
+    for (const entry of latest.values()) {
+        const alert = await checkTransaction(userId, profileId, entry);
+        if (alert) alerts.push(alert);
+    }
+
+    return alerts;
+};
+
+/**
+ * Gancho da importação Open Finance: uma avaliação por categoria e mês
+ * (a categoria vem do metadata gravado pelo reconhecimento de estabelecimentos)
+ */
+const checkOpenFinanceTransactions = async (userId, profileId, transactions) => {
+    const debits = transactions.filter(t => t.type === 'DEBIT');
+    if (debits.length === 0) return [];
+
+    const metadata = await TransactionMetadata.findAll({
+        where: {
+            userId,
+            transactionType: 'OPEN_FINANCE',
+            transactionId: debits.map(t => t.id),
+            category: { [Op.ne]: null }
+        },
+        attributes: ['transactionId', 'category']
+    });
+    const categoryOf = new Map(metadata.map(m => [m.transactionId, m.category]));
+
+    return checkTransactions(userId, profileId, debits.map(transaction => ({
+        category: categoryOf.get(transaction.id),
+        date: transaction.date
+    })));
+};
+
+module.exports = {
+    THRESHOLDS,
+    getCategorySpent,
+    listLimits,
+    setLimit,
+    removeLimit,
+    evaluateCategory,
+    checkTransaction,
+    checkTransactions,
+    checkOpenFinanceTransactions
+};
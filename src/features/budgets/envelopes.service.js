@@ -0,0 +1,309 @@
+/**
+ * Envelopes Service
+ * ========================================
+ * ORÇAMENTO POR ENVELOPES
+ * ========================================
+ *
+ * Alocações com isEnvelope carregam o saldo de um mês para o outro:
+ * - A sobra (ou o estouro) vira rolloverAmount do envelope de mesmo nome
+ *   no mês seguinte, recalculado a cada consulta do mês
+ * - Valores podem ser movidos entre envelopes do mesmo mês
+ * - Toda movimentação fica registrada em EnvelopeMovement
+ *
+ * disponível = atribuído + rollover + movimentações - gasto
+ * ✅ PROFILE ISOLATION: todas as queries filtram por profileId
+ */
+
+const {
+    BudgetAllocation,
+    EnvelopeMovement,
+    ManualTransaction,
+    CardTransaction,
+    Category,
+    Goal,
+    GoalHistory,
+    TransactionSplit,
+    sequelize
+} = require('../../models');
+const { AppError } = require('../../middlewares/errorHandler');
+const { Op } = require('sequelize');
+
+const SPENT_MODELS = { ManualTransaction, CardTransaction, Category, Goal, GoalHistory, TransactionSplit };
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const scopeWhere = (userId, profileId, where = {}) => {
+    const scoped = { userId, ...where };
+    if (profileId) scoped.profileId = profileId; // ✅ PROFILE ISOLATION
+    return scoped;
+};
+
+const previousMonth = (month, year) => (month === 1
+    ? { month: 12, year: year - 1 }
+    : { month: month - 1, year });
+
+const sameName = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+/**
+ * Saldo disponível do envelope (consulta o gasto do mês)
+ */
+const getAvailable = async (allocation) => {
+    const spent = await allocation.getSpent(SPENT_MODELS);
+    return round2(allocation.getAvailable(spent));
+};
+
+/**
+ * Cria as alocações do mês copiando as do mês anterior quando ele tem envelopes
+ * (o mês novo continua a sequência em vez de voltar às alocações padrão)
+ * - As alocações do mês anterior ficam travadas durante a cópia: a primeira consulta
+ *   concorrente espera e encontra o mês já criado (sem envelopes duplicados)
+ *
+ * @returns {Promise<number>} Quantidade de alocações criadas (0 = mês anterior sem envelopes)
+ */
+const carryForwardAllocations = async (userId, profileId, month, year) => {
+    const prev = previousMonth(month, year);
+    const t = await sequelize.transaction();
+
+    try {
+        const previous = await BudgetAllocation.findAll({
+            where: scopeWhere(userId, profileId, { month: prev.month, year: prev.year }),
+            transaction: t,
+            lock: t.LOCK.UPDATE
+        });
+
+        const existing = await BudgetAllocation.count({
+            where: scopeWhere(userId, profileId, { month, year }),
+            transaction: t
+        });
+
+        if (existing > 0 || !previous.some(a => a.isEnvelope)) {
+            await t.commit();
+            return existing;
+        }
+
+        await BudgetAllocation.bulkCreate(previous.map(a => ({
+            userId,
+            profileId, // ✅ PROFILE ISOLATION
+            name: a.name,
+            percentage: a.percentage,
+            amount: a.amount,
+            color: a.color,
+            icon: a.icon,
+            isEnvelope: a.isEnvelope,
+            month,
+            year
+        })), { transaction: t });
+
+        await t.commit();
+        return previous.length;
+    } catch (error) {
+        await t.rollback();
+        console.error('❌ [ENVELOPE CARRY FORWARD] Error:', error);
+        throw error;
+    }
+};
+
+/**
+ * Aplica nos envelopes do mês o saldo final do mês anterior
+ * - Recalcula a cada consulta: lançamentos tardios no mês anterior (ou estornos)
+ *   atualizam o rollover; só grava os envelopes cujo valor mudou
+ * - Meses mais antigos só recebem o rollover que ainda falta (force recalcula tudo)
+ * - Meses futuros ficam para quando o mês começar (o anterior ainda está aberto)
+ *
+ * @param {object} options - { force, pendingOnly }
+ * @returns {Promise<Array>} Envelopes atualizados
+ */
+const applyRollover = async (userId, profileId, month, year, options = {}) => {
+    const now = new Date();
+    if (year * 12 + month > now.getFullYear() * 12 + now.getMonth() + 1) return [];
+
+    const where = scopeWhere(userId, profileId, { month, year, isEnvelope: true });
+    if (options.pendingOnly && !options.force) where.rolloverAppliedAt = null;
+
+    const envelopes = await BudgetAllocation.findAll({ where });
+    if (envelopes.length === 0) return [];
+
+    // O saldo do mês anterior depende do rollover que ele mesmo recebeu
+    const prev = previousMonth(month, year);
+    await applyRollover(userId, profileId, prev.month, prev.year, { pendingOnly: true });
+
+    const previous = await BudgetAllocation.findAll({
+        where: scopeWhere(userId, profileId, { month: prev.month, year: prev.year, isEnvelope: true })
+    });
+
+    // Saldos calculados antes de abrir a transação (getSpent faz várias consultas)
+    const plan = [];
+    for (const allocation of envelopes) {
+        const source = previous.find(p => sameName(p.name, allocation.name)) || null;
+        const amount = source ? await getAvailable(source) : 0;
+        const changed = !allocation.rolloverAppliedAt || round2(parseFloat(allocation.rolloverAmount)) !== amount;
+        if (options.force || changed) plan.push({ allocation, source, amount });
+    }
+    if (plan.length === 0) return [];
+
+    const t = await sequelize.transaction();
+
+    try {
+        // Trava os envelopes: consultas simultâneas não duplicam o movimento de ROLLOVER
+        await BudgetAllocation.findAll({
+            where: { id: plan.map(p => p.allocation.id) },
+            transaction: t,
+            lock: t.LOCK.UPDATE
+        });
+
+        for (const { allocation, source, amount } of plan) {
+            await EnvelopeMovement.destroy({
+                where: { toAllocationId: allocation.id, type: 'ROLLOVER' },
+                transaction: t
+            });
+
+            if (source && amount !== 0) {
+                await EnvelopeMovement.create({
+                    userId,
+                    profileId: allocation.profileId,
+                    type: 'ROLLOVER',
+                    month,
+                    year,
+                    fromAllocationId: source.id,
+                    toAllocationId: allocation.id,
+                    fromName: source.name,
+                    toName: allocation.name,
+                    amount
+                }, { transaction: t });
+            }
+
+            await allocation.update({ rolloverAmount: amount, rolloverAppliedAt: new Date() }, { transaction: t });
+        }
+
+        await t.commit();
+    } catch (error) {
+        await t.rollback();
+        console.error('❌ [ENVELOPE ROLLOVER] Error:', error);
+        throw error;
+    }
+
+    return plan.map(({ allocation, source, amount }) => ({
+        allocationId: allocation.id,
+        name: allocation.name,
+        rolloverAmount: amount,
+        fromAllocationId: source ? source.id : null
+    }));
+};
+
+/**
+ * Move valor entre dois envelopes do mesmo mês
+ *
+ * @param {object} data - { fromAllocationId, toAllocationId, amount, note }
+ */
+const moveBetweenEnvelopes = async (userId, profileId, data) => {
+    const { fromAllocationId, toAllocationId, note } = data;
+    const amount = round2(parseFloat(data.amount));
+
+    if (fromAllocationId === toAllocationId) {
+        throw new AppError('Escolha envelopes diferentes', 400, 'SAME_ENVELOPE');
+    }
+
+    const [from, to] = await Promise.all([fromAllocationId, toAllocationId].map(id => BudgetAllocation.findOne({
+        where: scopeWhere(userId, profileId, { id })
+    })));
+
+    if (!from || !to) {
+        throw new AppError('Alocação não encontrada', 404, 'ALLOCATION_NOT_FOUND');
+    }
+    if (!from.isEnvelope || !to.isEnvelope) {
+        throw new AppError('Só é possível mover valores entre envelopes', 400, 'NOT_AN_ENVELOPE');
+    }
+    if (from.month !== to.month || from.year !== to.year) {
+        throw new AppError('Os envelopes devem ser do mesmo mês', 400, 'ENVELOPE_MONTH_MISMATCH');
+    }
+
+    const available = await getAvailable(from);
+    if (amount > available) {
+        const error = new AppError(`Saldo insuficiente em ${from.name}`, 400, 'INSUFFICIENT_ENVELOPE_BALANCE');
+        error.details = { available };
+        throw error;
+    }
+
+    const t = await sequelize.transaction();
+
+    try {
+        await from.update({ transferredAmount: round2(parseFloat(from.transferredAmount) - amount) }, { transaction: t });
+        await to.update({ transferredAmount: round2(parseFloat(to.transferredAmount) + amount) }, { transaction: t });
+
+        const movement = await EnvelopeMovement.create({
+            userId,
+            profileId: from.profileId,
+            type: 'TRANSFER',
+            month: from.month,
+            year: from.year,
+            fromAllocationId: from.id,
+            toAllocationId: to.id,
+            fromName: from.name,
+            toName: to.name,
+            amount,
+            note: note || null
+        }, { transaction: t });
+
+        await t.commit();
+
+        return {
+            movement,
+            from: { id: from.id, name: from.name, available: round2(available - amount) },
+            to: { id: to.id, name: to.name, available: await getAvailable(to) }
+        };
+    } catch (error) {
+        await t.rollback();
+        console.error('❌ [ENVELOPE MOVE] Error:', error);
+        throw error;
+    }
+};
+
+/**
+ * Histórico de movimentações
+ *
+ * @param {object} filters - { allocationId } ou { month, year }
+ */
+const listMovements = async (userId, profileId, filters = {}) => {
+    const where = scopeWhere(userId, profileId);
+
+    if (filters.allocationId) {
+        const allocation = await BudgetAllocation.findOne({
+            where: scopeWhere(userId, profileId, { id: filters.allocationId })
+        });
+        if (!allocation) {
+            throw new AppError('Alocação não encontrada', 404, 'ALLOCATION_NOT_FOUND');
+        }
+
+        where[Op.or] = [
+            { fromAllocationId: allocation.id },
+            { toAllocationId: allocation.id }
+        ];
+    } else {
+        if (filters.month) where.month = parseInt(filters.month);
+        if (filters.year) where.year = parseInt(filters.year);
+    }
+
+    const movements = await EnvelopeMovement.findAll({
+        where,
+        order: [['createdAt', 'DESC']]
+    });
+
+    return movements.map(m => ({
+        id: m.id,
+        type: m.type,
+        month: m.month,
+        year: m.year,
+        from: { allocationId: m.fromAllocationId, name: m.fromName },
+        to: { allocationId: m.toAllocationId, name: m.toName },
+        amount: parseFloat(m.amount),
+        note: m.note,
+        createdAt: m.createdAt
+    }));
+};
+
+module.exports = {
+    carryForwardAllocations,
+    applyRollover,
+    moveBetweenEnvelopes,
+    listMovements
+};
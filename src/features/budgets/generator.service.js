@@ -0,0 +1,485 @@
+/**
+ * Budget Generator Service
+ * ========================================
+ * GERAÇÃO DE ORÇAMENTO
+ * ========================================
+ *
+ * Propõe o Budget e as BudgetAllocations de um mês a partir de:
+ * - HISTORY: média de gastos por categoria nos últimos 3 a 6 meses
+ *   (categorias maiores viram alocações, o resto "Outros gastos",
+ *   a sobra da receita vai para "Investimentos")
+ * - TEMPLATE: 50/30/20, 60/20/20 ou as alocações padrão
+ * - COPY_LAST_MONTH: mesmas alocações do mês anterior
+ *
+ * A proposta é só uma prévia; com save=true (e as alocações editadas, se
+ * houver) ela é gravada por createOrUpdateBudget/createOrUpdateAllocations.
+ * Receita esperada: salário e receitas recorrentes previstas no mês
+ * (forecast), senão a média recebida no histórico.
+ *
+ * ✅ PROFILE ISOLATION: tudo filtrado pelo profileId
+ */
+
+const moment = require('moment');
+const {
+    Profile,
+    Budget,
+    BudgetAllocation,
+    ManualTransaction,
+    CardTransaction,
+    CreditCard,
+    Category
+} = require('../../models');
+const { AppError } = require('../../middlewares/errorHandler');
+const { Op } = require('sequelize');
+const budgetsService = require('./budgets.service');
+const forecastService = require('../forecast/forecast.service');
+const splitsService = require('../transactions/splits.service');
+const exchangeRatesService = require('../exchangeRates/exchangeRates.service');
+
+const STRATEGIES = ['HISTORY', 'TEMPLATE', 'COPY_LAST_MONTH'];
+const MIN_LOOKBACK = 3;
+const MAX_LOOKBACK = 6;
+// Categorias com alocação própria; as demais somam em "Outros gastos"
+const MAX_CATEGORY_ALLOCATIONS = 8;
+const DATE_FORMAT = 'YYYY-MM-DD';
+
+// Receitas previstas que entram na receita esperada
+const INCOME_EVENT_TYPES = ['SALARY', 'RECURRING', 'PENDING_TRANSACTION'];
+
+const TEMPLATES = {
+    '50_30_20': {
+        name: '50/30/20',
+        investPercent: 10,
+        emergencyPercent: 10,
+        allocations: [
+            { name: 'Necessidades', percentage: 50, color: '#ef4444', icon: 'home' },
+            { name: 'Desejos', percentage: 30, color: '#f59e0b', icon: 'smile' },
+            { name: 'Poupança e Investimentos', percentage: 20, color: '#22c55e', icon: 'trending-up' }
+        ]
+    },
+    '60_20_20': {
+        name: '60/20/20',
+        investPercent: 10,
+        emergencyPercent: 10,
+        allocations: [
+            { name: 'Necessidades', percentage: 60, color: '#ef4444', icon: 'home' },
+            { name: 'Desejos', percentage: 20, color: '#f59e0b', icon: 'smile' },
+            { name: 'Poupança e Investimentos', percentage: 20, color: '#22c55e', icon: 'trending-up' }
+        ]
+    },
+    DEFAULT: {
+        name: 'Padrão',
+        investPercent: 15,
+        emergencyPercent: 10,
+        allocations: budgetsService.DEFAULT_ALLOCATIONS
+    }
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const monthRange = (month, year) => {
+    const start = moment({ year, month: month - 1, day: 1 });
+    return { startDate: start.format(DATE_FORMAT), endDate: start.clone().endOf('month').format(DATE_FORMAT) };
+};
+
+/**
+ * Ajusta os percentuais para somarem exatamente 100 (diferença de arredondamento na maior)
+ */
+const normalizePercentages = (allocations) => {
+    const rounded = allocations.map(a => ({ ...a, percentage: round2(a.percentage) }));
+    const diff = round2(100 - rounded.reduce((sum, a) => sum + a.percentage, 0));
+    if (diff !== 0 && rounded.length > 0) {
+        const largest = rounded.reduce((max, a) => (a.percentage > max.percentage ? a : max), rounded[0]);
+        largest.percentage = round2(largest.percentage + diff);
+    }
+    return rounded;
+};
+
+/**
+ * Meses de histórico: os N meses completos antes do mês atual (ou do mês alvo, se for o atual)
+ */
+const getHistoryPeriod = (month, year, lookbackMonths) => {
+    const end = moment.min(moment({ year, month: month - 1, day: 1 }), moment().startOf('month'))
+        .subtract(1, 'day');
+    const start = end.clone().subtract(lookbackMonths - 1, 'months').startOf('month');
+
+    return { startDate: start.format(DATE_FORMAT), endDate: end.format(DATE_FORMAT), months: lookbackMonths };
+};
+
+/**
+ * Gasto médio mensal por categoria no período (moeda base do perfil)
+ * Manuais concluídas, cartão (categoria pelo nome) e linhas de transações divididas
+ */
+const getSpendingByCategory = async (userId, profileId, period) => {
+    const range = { [Op.between]: [period.startDate, period.endDate] };
+
+    const categories = await Category.findAll({
+        where: {
+            type: { [Op.in]: ['EXPENSE', 'BOTH'] },
+            [Op.or]: [
+                { userId: null, isDefault: true },
+                { userId }
+            ]
+        },
+        attributes: ['id', 'name', 'icon', 'color', 'userId']
+    });
+    const byId = new Map(categories.map(c => [c.id, c]));
+    // Categoria própria do usuário prevalece sobre a padrão de mesmo nome
+    const byName = new Map();
+    for (const category of categories) {
+        const key = category.name.trim().toLowerCase();
+        if (!byName.has(key) || category.userId) byName.set(key, category);
+    }
+
+    const totals = new Map();
+    const add = (category, amount) => {
+        const key = category ? category.id : null;
+        totals.set(key, (totals.get(key) || 0) + amount);
+    };
+
+    const manual = await ManualTransaction.findAll({
+        where: {
+            userId,
+            profileId, // ✅ PROFILE ISOLATION
+            type: 'EXPENSE',
+            status: 'COMPLETED',
+            isSplit: false,
+            date: range
+        },
+        attributes: ['categoryId', 'amount', 'convertedAmount']
+    });
+    for (const tx of manual) {
+        const amount = tx.convertedAmount !== null ? parseFloat(tx.convertedAmount) : parseFloat(tx.amount);
+        add(byId.get(tx.categoryId) || null, amount);
+    }
+
+    const cards = await CreditCard.findAll({ where: { userId, profileId }, attributes: ['id'] }); // ✅ PROFILE ISOLATION
+    if (cards.length > 0) {
+        const cardTransactions = await CardTransaction.findAll({
+            where: {
+                cardId: cards.map(c => c.id),
+                status: { [Op.ne]: 'CANCELLED' },
+                isSplit: false,
+                date: range
+            },
+            attributes: ['category', 'amount']
+        });
+        for (const tx of cardTransactions) {
+            add(tx.category ? byName.get(tx.category.trim().toLowerCase()) || null : null, parseFloat(tx.amount));
+        }
+    }
+
+    const splitLines = await splitsService.getSplitLines(userId, profileId, { ...period, type: 'EXPENSE' });
+    for (const line of splitLines) {
+        add(byId.get(line.categoryId) || null, line.amount);
+    }
+
+    return [...totals.entries()]
+        .map(([categoryId, total]) => {
+            const category = categoryId ? byId.get(categoryId) : null;
+            return {
+                categoryId,
+                name: category ? category.name : null,
+                icon: category ? category.icon : null,
+                color: category ? category.color : null,
+                // Só categorias do usuário podem ser vinculadas à alocação
+                linkable: !!(category && category.userId),
+                monthlyAverage: round2(total / period.months)
+            };
+        })
+        .filter(c => c.monthlyAverage > 0)
+        .sort((a, b) => b.monthlyAverage - a.monthlyAverage);
+};
+
+/**
+ * Receita esperada do mês
+ * 1. Salário e receitas recorrentes/pendentes previstas (forecast) + recebidas no mês atual
+ * 2. Média recebida no histórico
+ * 3. Receita do último orçamento
+ */
+const getExpectedIncome = async (userId, profileId, month, year, history) => {
+    const { startDate, endDate } = monthRange(month, year);
+    const today = moment().format(DATE_FORMAT);
+    const baseCurrency = await exchangeRatesService.getBaseCurrency(profileId);
+
+    const items = [];
+    const { accounts, eventsByAccount } = await forecastService.getProjectedEvents(userId, profileId, endDate);
+    for (const account of accounts) {
+        const { rate } = await exchangeRatesService.getRate(account.currency || baseCurrency, baseCurrency, today, { userId });
+
+        for (const event of eventsByAccount.get(account.id)) {
+            if (!INCOME_EVENT_TYPES.includes(event.type) || event.amount <= 0) continue;
+            if (event.date < startDate || event.date > endDate) continue;
+
+            items.push({ date: event.date, type: event.type, description: event.description, amount: round2(event.amount * rate) });
+        }
+    }
+
+    // Mês atual: o que já entrou também faz parte da receita do mês
+    const received = startDate <= today
+        ? await ManualTransaction.sumConverted({
+            where: { userId, profileId, type: 'INCOME', status: 'COMPLETED', date: { [Op.between]: [startDate, today] } }
+        })
+        : 0;
+
+    const projected = items.reduce((sum, i) => sum + i.amount, 0) + received;
+    if (projected > 0) {
+        return { amount: round2(projected), source: 'FORECAST', received: round2(received), items };
+    }
+
+    const historyIncome = await ManualTransaction.sumConverted({
+        where: {
+            userId,
+            profileId, // ✅ PROFILE ISOLATION
+            type: 'INCOME',
+            status: 'COMPLETED',
+            date: { [Op.between]: [history.startDate, history.endDate] }
+        }
+    });
+    if (historyIncome > 0) {
+        return { amount: round2(historyIncome / history.months), source: 'HISTORY_AVERAGE', received: 0, items: [] };
+    }
+
+    const lastBudget = await Budget.findOne({
+        where: { userId, profileId, incomeExpected: { [Op.gt]: 0 } },
+        order: [['year', 'DESC'], ['month', 'DESC']]
+    });
+
+    return {
+        amount: lastBudget ? parseFloat(lastBudget.incomeExpected) : 0,
+        source: lastBudget ? 'LAST_BUDGET' : 'NONE',
+        received: 0,
+        items: []
+    };
+};
+
+/**
+ * Alocações pelo histórico: uma por categoria principal, "Outros gastos" e a sobra em "Investimentos"
+ * Gasto acima da receita: percentuais proporcionais ao gasto (aviso OVERSPENDING)
+ */
+const buildFromHistory = (spending, income) => {
+    const main = spending.filter(c => c.categoryId).slice(0, MAX_CATEGORY_ALLOCATIONS);
+    const mainIds = new Set(main.map(c => c.categoryId));
+    const othersTotal = spending
+        .filter(c => !mainIds.has(c.categoryId))
+        .reduce((sum, c) => sum + c.monthlyAverage, 0);
+
+    const entries = main.map(c => ({
+        name: c.name,
+        amount: c.monthlyAverage,
+        color: c.color || '#3b82f6',
+        icon: c.icon || 'dollar',
+        categoryIds: c.linkable ? [c.categoryId] : []
+    }));
+    if (othersTotal > 0) {
+        entries.push({ name: 'Outros gastos', amount: round2(othersTotal), color: '#6b7280', icon: 'more-horizontal', categoryIds: [] });
+    }
+
+    const spent = entries.reduce((sum, e) => sum + e.amount, 0);
+    const warnings = [];
+    if (spent === 0) warnings.push('NO_HISTORY');
+
+    const base = Math.max(income, spent);
+    if (spent > income) warnings.push('OVERSPENDING');
+
+    const savings = round2(base - spent);
+    if (savings > 0 || entries.length === 0) {
+        entries.push({ name: 'Investimentos', amount: savings, color: '#22c55e', icon: 'trending-up', categoryIds: [], isSavings: true });
+    }
+
+    const allocations = normalizePercentages(entries.map(e => ({
+        ...e,
+        percentage: base > 0 ? (e.amount / base) * 100 : 100 / entries.length
+    })));
+
+    const savingsPercent = allocations.filter(a => a.isSavings).reduce((sum, a) => sum + a.percentage, 0);
+
+    return {
+        allocations: allocations.map(({ isSavings, ...a }) => a),
+        investPercent: round2(savingsPercent),
+        emergencyPercent: 0,
+        warnings
+    };
+};
+
+/**
+ * Alocações do mês anterior ao alvo
+ */
+const buildFromLastMonth = async (userId, profileId, month, year) => {
+    const prev = moment({ year, month: month - 1, day: 1 }).subtract(1, 'month');
+    const where = { userId, profileId, month: prev.month() + 1, year: prev.year() }; // ✅ PROFILE ISOLATION
+
+    const [previous, budget] = await Promise.all([
+        BudgetAllocation.findAll({ where, order: [['percentage', 'DESC']] }),
+        Budget.findOne({ where })
+    ]);
+
+    if (previous.length === 0) {
+        throw new AppError('O mês anterior não tem alocações para copiar', 400, 'NO_PREVIOUS_ALLOCATIONS');
+    }
+
+    const linked = await Category.findAll({
+        where: { userId, budgetAllocationId: previous.map(a => a.id) },
+        attributes: ['id', 'budgetAllocationId']
+    });
+
+    return {
+        allocations: normalizePercentages(previous.map(a => ({
+            name: a.name,
+            percentage: parseFloat(a.percentage),
+            color: a.color,
+            icon: a.icon,
+            isEnvelope: a.isEnvelope,
+            categoryIds: linked.filter(c => c.budgetAllocationId === a.id).map(c => c.id)
+        }))),
+        investPercent: budget ? parseFloat(budget.investPercent) : 30,
+        emergencyPercent: budget ? parseFloat(budget.emergencyPercent) : 10,
+        lastIncome: budget ? parseFloat(budget.incomeExpected) : null,
+        warnings: []
+    };
+};
+
+/**
+ * Monta a proposta de orçamento (não grava nada)
+ *
+ * @param {object} options - { month, year, strategy, template, lookbackMonths }
+ */
+const proposeBudget = async (userId, profileId, options = {}) => {
+    const profile = await Profile.findOne({ where: { id: profileId, userId } });
+    if (!profile) {
+        throw new AppError('Perfil não encontrado', 404, 'PROFILE_NOT_FOUND');
+    }
+
+    const next = moment().add(1, 'month');
+    const month = parseInt(options.month) || next.month() + 1;
+    const year = parseInt(options.year) || next.year();
+    if (year * 12 + month < moment().year() * 12 + moment().month() + 1) {
+        throw new AppError('Gere orçamentos apenas para o mês atual ou meses futuros', 400, 'INVALID_BUDGET_PERIOD');
+    }
+
+    const strategy = options.strategy || 'HISTORY';
+    if (!STRATEGIES.includes(strategy)) {
+        throw new AppError(`Estratégia inválida. Use: ${STRATEGIES.join(', ')}`, 400, 'INVALID_BUDGET_STRATEGY');
+    }
+
+    const templateKey = options.template || 'DEFAULT';
+    if (strategy === 'TEMPLATE' && !TEMPLATES[templateKey]) {
+        throw new AppError(`Modelo inválido. Use: ${Object.keys(TEMPLATES).join(', ')}`, 400, 'INVALID_BUDGET_TEMPLATE');
+    }
+
+    const lookbackMonths = Math.min(MAX_LOOKBACK, Math.max(MIN_LOOKBACK, parseInt(options.lookbackMonths) || MIN_LOOKBACK));
+    const history = getHistoryPeriod(month, year, lookbackMonths);
+
+    const [income, spending, existing] = await Promise.all([
+        getExpectedIncome(userId, profileId, month, year, history),
+        getSpendingByCategory(userId, profileId, history),
+        BudgetAllocation.count({ where: { userId, profileId, month, year } })
+    ]);
+
+    let plan;
+    if (strategy === 'HISTORY') {
+        plan = buildFromHistory(spending, income.amount);
+    } else if (strategy === 'COPY_LAST_MONTH') {
+        plan = await buildFromLastMonth(userId, profileId, month, year);
+        if (income.source === 'NONE' && plan.lastIncome) {
+            Object.assign(income, { amount: plan.lastIncome, source: 'LAST_MONTH' });
+        }
+    } else {
+        const template = TEMPLATES[templateKey];
+        plan = {
+            allocations: template.allocations.map(a => ({ ...a, categoryIds: [] })),
+            investPercent: template.investPercent,
+            emergencyPercent: template.emergencyPercent,
+            warnings: []
+        };
+    }
+
+    if (income.amount === 0) plan.warnings.push('NO_INCOME');
+
+    return {
+        month,
+        year,
+        strategy,
+        template: strategy === 'TEMPLATE' ? templateKey : null,
+        currency: await exchangeRatesService.getBaseCurrency(profileId),
+        replacesExisting: existing > 0,
+        income,
+        budget: {
+            incomeExpected: income.amount,
+            investPercent: plan.investPercent,
+            emergencyPercent: plan.emergencyPercent
+        },
+        allocations: plan.allocations.map(a => ({
+            name: a.name,
+            percent: a.percentage,
+            amount: round2((income.amount * a.percentage) / 100),
+            color: a.color,
+            icon: a.icon,
+            isEnvelope: !!a.isEnvelope,
+            categoryIds: a.categoryIds || []
+        })),
+        history: {
+            startDate: history.startDate,
+            endDate: history.endDate,
+            months: history.months,
+            categories: spending
+        },
+        warnings: plan.warnings
+    };
+};
+
+/**
+ * Gera a proposta e, com save=true, grava orçamento e alocações
+ * Campos editados na prévia (incomeExpected, investPercent, emergencyPercent,
+ * allocations) substituem os da proposta.
+ *
+ * @param {object} data - { month, year, strategy, template, lookbackMonths, save, ...edições }
+ */
+const generateBudget = async (userId, profileId, data = {}) => {
+    const proposal = await proposeBudget(userId, profileId, data);
+    if (!data.save) return { saved: false, proposal };
+
+    const incomeExpected = data.incomeExpected !== undefined ? parseFloat(data.incomeExpected) : proposal.budget.incomeExpected;
+    const allocations = Array.isArray(data.allocations) && data.allocations.length > 0
+        ? data.allocations
+        : proposal.allocations;
+
+    if (allocations.some(a => !a || !a.name || !String(a.name).trim())) {
+        throw new AppError('Toda alocação precisa de um nome', 400, 'INVALID_ALLOCATIONS');
+    }
+
+    const budget = await budgetsService.createOrUpdateBudget(userId, profileId, {
+        month: proposal.month,
+        year: proposal.year,
+        incomeExpected,
+        investPercent: data.investPercent !== undefined ? data.investPercent : proposal.budget.investPercent,
+        emergencyPercent: data.emergencyPercent !== undefined ? data.emergencyPercent : proposal.budget.emergencyPercent
+    });
+
+    const saved = await budgetsService.createOrUpdateAllocations(userId, profileId, {
+        income: incomeExpected,
+        month: proposal.month,
+        year: proposal.year,
+        allocations
+    });
+
+    // Categorias do usuário passam a alimentar o gasto da alocação gerada
+    for (const allocation of allocations) {
+        const target = saved.allocations.find(a => a.name === allocation.name);
+        if (!target || !Array.isArray(allocation.categoryIds) || allocation.categoryIds.length === 0) continue;
+
+        await Category.update(
+            { budgetAllocationId: target.id },
+            { where: { id: allocation.categoryIds, userId, isDefault: false } }
+        );
+    }
+
+    return { saved: true, proposal, budget, allocations: saved.allocations };
+};
+
+module.exports = {
+    STRATEGIES,
+    TEMPLATES,
+    proposeBudget,
+    generateBudget
+};
@@ -0,0 +1,342 @@
+/**
+ * Safe-to-Spend Service
+ * ========================================
+ * QUANTO POSSO GASTAR HOJE
+ * ========================================
+ *
+ * Saldo das contas do perfil
+ *   - contas comprometidas até o próximo salário (faturas, assinaturas, DAS, pendentes)
+ *   - aportes planejados das metas no período (agendados ou pelo prazo)
+ *   = disponível, limitado pelo que resta do orçamento do mês (Budget ou alocações)
+ *   ÷ dias até o próximo salário = valor diário
+ *
+ * Receitas previstas antes do salário não entram (cálculo conservador).
+ * ✅ PROFILE ISOLATION: tudo filtrado pelo profileId
+ */
+
+const moment = require('moment');
+const {
+    User,
+    Profile,
+    ManualTransaction,
+    BudgetAllocation,
+    Goal,
+    NotificationPreference,
+    Notification
+} = require('../../models');
+const { AppError } = require('../../middlewares/errorHandler');
+const { Op } = require('sequelize');
+const budgetsService = require('./budgets.service');
+const forecastService = require('../forecast/forecast.service');
+const goalsService = require('../goals/goals.service');
+const exchangeRatesService = require('../exchangeRates/exchangeRates.service');
+
+const DATE_FORMAT = 'YYYY-MM-DD';
+const DAYS_PER_MONTH = 30;
+
+// Tipos de evento da previsão agrupados no detalhamento
+const COMMITMENT_GROUPS = {
+    PENDING_TRANSACTION: 'transactions',
+    RECURRING: 'transactions',
+    SUBSCRIPTION: 'subscriptions',
+    CARD_INVOICE: 'invoices',
+    DAS: 'das'
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const formatMoney = (value, currency) => new Intl.NumberFormat('pt-BR', {
+    style: 'currency',
+    currency: currency || 'BRL'
+}).format(value);
+
+/**
+ * Próxima data de salário (exclusiva: o salário de hoje já conta no saldo)
+ * 1. Próxima ocorrência PENDING de salário no perfil
+ * 2. User.salaryDay (perfil pessoal)
+ * 3. Primeiro dia do mês seguinte
+ */
+const getNextSalaryDate = async (userId, profile, today) => {
+    const next = await ManualTransaction.findOne({
+        where: {
+            userId,
+            profileId: profile.id, // ✅ PROFILE ISOLATION
+            type: 'INCOME',
+            source: 'SALARY',
+            status: 'PENDING',
+            date: { [Op.gt]: today }
+        },
+        order: [['date', 'ASC']],
+        attributes: ['date']
+    });
+    if (next) return { date: moment(next.date).format(DATE_FORMAT), source: 'SALARY_TRANSACTION' };
+
+    if (profile.type === 'PERSONAL') {
+        const user = await User.findByPk(userId, { attributes: ['salaryDay'] });
+        if (user && user.salaryDay) {
+            const month = moment(today).startOf('month');
+            let date = month.clone().date(Math.min(user.salaryDay, month.daysInMonth()));
+            if (date.format(DATE_FORMAT) <= today) {
+                month.add(1, 'month');
+                date = month.clone().date(Math.min(user.salaryDay, month.daysInMonth()));
+            }
+            return { date: date.format(DATE_FORMAT), source: 'USER_SALARY_DAY' };
+        }
+    }
+
+    return {
+        date: moment(today).add(1, 'month').startOf('month').format(DATE_FORMAT),
+        source: 'MONTH_END'
+    };
+};
+
+/**
+ * Quanto resta do orçamento do mês
+ * Budget com receita esperada → remainingBudget; senão, disponível nas alocações do mês
+ * que não guardam metas (as de metas são poupança, não gasto)
+ */
+const getBudgetRemaining = async (userId, profileId) => {
+    const budget = await budgetsService.getCurrentBudget(userId, profileId);
+    if (budget && budget.spendingLimit > 0) {
+        return { source: 'BUDGET', remaining: round2(budget.remainingBudget) };
+    }
+
+    const now = new Date();
+    const hasAllocations = await BudgetAllocation.count({
+        where: { userId, profileId, month: now.getMonth() + 1, year: now.getFullYear() }
+    });
+    if (hasAllocations === 0) return null;
+
+    const allocations = await budgetsService.getCurrentAllocations(userId, profileId);
+    const goalAllocations = await Goal.findAll({
+        where: { userId, profileId, budgetAllocationId: allocations.map(a => a.id) },
+        attributes: ['budgetAllocationId']
+    });
+    const savings = new Set(goalAllocations.map(g => g.budgetAllocationId));
+
+    const spendable = allocations.filter(a => !savings.has(a.id));
+    if (spendable.length === 0) return null;
+
+    return {
+        source: 'ALLOCATIONS',
+        remaining: round2(spendable.reduce((sum, a) => sum + Math.max(a.available, 0), 0))
+    };
+};
+
+/**
+ * Aportes planejados nas metas até o dia anterior ao salário
+ * - Metas com aporte automático: os aportes agendados no período (moeda base)
+ * - Demais metas com prazo: aporte necessário, proporcional ao período
+ */
+const getPlannedGoalContributions = async (userId, profileId, today, lastDay, periodDays, baseCurrency) => {
+    const scheduledByGoal = new Map();
+    const contributions = await goalsService.getScheduledContributions(userId, profileId, today, lastDay);
+    for (const contribution of contributions) {
+        const { rate } = await exchangeRatesService.getRate(contribution.currency || baseCurrency, baseCurrency, today, { userId });
+        const entry = scheduledByGoal.get(contribution.goalId) || {
+            goalId: contribution.goalId,
+            name: contribution.goalName,
+            source: 'SCHEDULE',
+            amount: 0
+        };
+        entry.amount += contribution.amount * rate;
+        scheduledByGoal.set(contribution.goalId, entry);
+    }
+
+    const goals = await Goal.findAll({
+        where: {
+            userId,
+            profileId, // ✅ PROFILE ISOLATION
+            status: 'ACTIVE',
+            isInfinite: false,
+            deadline: { [Op.gt]: today }
+        }
+    });
+
+    const planned = goals
+        .filter(goal => !scheduledByGoal.has(goal.id))
+        .map(goal => {
+            const remaining = parseFloat(goal.targetAmount) - parseFloat(goal.currentAmount);
+            const monthsLeft = Math.max(1, Math.ceil(moment(goal.deadline).diff(today, 'months', true)));
+            const monthly = remaining / monthsLeft;
+
+            return {
+                goalId: goal.id,
+                name: goal.name,
+                source: 'DEADLINE',
+                deadline: goal.deadline,
+                monthlyContribution: round2(monthly),
+                amount: round2(Math.min(remaining, monthly * periodDays / DAYS_PER_MONTH))
+            };
+        })
+        .filter(g => g.amount > 0);
+
+    return [
+        ...[...scheduledByGoal.values()].map(g => ({ ...g, amount: round2(g.amount) })),
+        ...planned
+    ];
+};
+
+/**
+ * Calcula quanto o usuário pode gastar hoje
+ *
+ * @param {string} userId
+ * @param {string} profileId
+ */
+const getSafeToSpend = async (userId, profileId) => {
+    const today = moment().format(DATE_FORMAT);
+    const profile = await Profile.findOne({ where: { id: profileId, userId } });
+    if (!profile) {
+        throw new AppError('Perfil não encontrado', 404, 'PROFILE_NOT_FOUND');
+    }
+
+    const nextSalary = await getNextSalaryDate(userId, profile, today);
+    const lastDay = moment(nextSalary.date).subtract(1, 'day').format(DATE_FORMAT);
+    const remainingDays = Math.max(1, moment(nextSalary.date).diff(today, 'days'));
+
+    const { accounts, eventsByAccount } = await forecastService.getProjectedEvents(userId, profileId, lastDay);
+    const baseCurrency = await exchangeRatesService.getBaseCurrency(profileId);
+
+    let balance = 0;
+    const commitments = { total: 0, transactions: 0, subscriptions: 0, invoices: 0, das: 0, items: [] };
+
+    for (const account of accounts) {
+        const { rate } = await exchangeRatesService.getRate(account.currency || baseCurrency, baseCurrency, today, { userId });
+        balance += (parseFloat(account.balance) || 0) * rate;
+
+        for (const event of eventsByAccount.get(account.id)) {
+            const group = COMMITMENT_GROUPS[event.type];
+            if (!group || event.amount >= 0) continue;
+
+            const amount = -event.amount * rate;
+            commitments[group] += amount;
+            commitments.total += amount;
+            commitments.items.push({
+                date: event.date,
+                type: event.type,
+                description: event.description,
+                amount: round2(amount),
+                overdue: !!event.overdue
+            });
+        }
+    }
+
+    const goals = await getPlannedGoalContributions(userId, profileId, today, lastDay, remainingDays, baseCurrency);
+    const goalsTotal = goals.reduce((sum, g) => sum + g.amount, 0);
+
+    const cashAvailable = balance - commitments.total - goalsTotal;
+    const budget = await getBudgetRemaining(userId, profileId);
+    const limitedBy = budget && budget.remaining < cashAvailable ? 'BUDGET' : 'BALANCE';
+    const available = Math.max(0, limitedBy === 'BUDGET' ? budget.remaining : cashAvailable);
+
+    return {
+        date: today,
+        currency: baseCurrency,
+        nextSalaryDate: nextSalary.date,
+        nextSalarySource: nextSalary.source,
+        remainingDays,
+        balance: round2(balance),
+        commitments: {
+            total: round2(commitments.total),
+            transactions: round2(commitments.transactions),
+            subscriptions: round2(commitments.subscriptions),
+            invoices: round2(commitments.invoices),
+            das: round2(commitments.das),
+            items: commitments.items.sort((a, b) => a.date.localeCompare(b.date))
+        },
+        goalContributions: {
+            total: round2(goalsTotal),
+            goals
+        },
+        budget,
+        available: round2(available),
+        limitedBy,
+        dailyAllowance: round2(available / remainingDays),
+        status: cashAvailable < 0 ? 'OVERCOMMITTED' : (available === 0 ? 'NO_ROOM' : 'OK')
+    };
+};
+
+/**
+ * Mensagem do "quanto posso gastar hoje" (WhatsApp e notificação diária)
+ */
+const formatSafeToSpendMessage = (result) => {
+    const money = (value) => formatMoney(value, result.currency);
+    const salaryDate = moment(result.nextSalaryDate).format('DD/MM');
+
+    let message = `💸 *Quanto posso gastar hoje*\n\n` +
+        `*${money(result.dailyAllowance)}* por dia até ${salaryDate} (${result.remainingDays} dia(s))\n\n` +
+        `💰 Saldo: ${money(result.balance)}\n` +
+        `📌 Compromissos: -${money(result.commitments.total)}\n`;
+
+    if (result.goalContributions.total > 0) {
+        message += `🎯 Metas: -${money(result.goalContributions.total)}\n`;
+    }
+    if (result.limitedBy === 'BUDGET') {
+        message += `📊 Limitado pelo orçamento do mês: ${money(result.budget.remaining)}\n`;
+    }
+    if (result.status === 'OVERCOMMITTED') {
+        message += `\n⚠️ Os compromissos até o próximo salário passam do saldo atual.`;
+    }
+
+    return message.trimEnd();
+};
+
+/**
+ * Notificação diária para quem ativou SAFE_TO_SPEND (cron)
+ * Usa o perfil ativo no WhatsApp ou o perfil padrão do usuário
+ *
+ * @returns {Promise<{ sent: number, failed: number }>}
+ */
+const sendDailyNotifications = async () => {
+    const preferences = await NotificationPreference.findAll({
+        where: { notificationType: 'SAFE_TO_SPEND', enabled: true }
+    });
+
+    let sent = 0;
+    let failed = 0;
+
+    for (const pref of preferences) {
+        try {
+            const user = await User.findByPk(pref.userId, { attributes: ['id', 'whatsappActiveProfileId'] });
+            if (!user) continue;
+
+            const profile = await Profile.findOne({
+                where: user.whatsappActiveProfileId
+                    ? { id: user.whatsappActiveProfileId, userId: user.id }
+                    : { userId: user.id, isDefault: true }
+            });
+            if (!profile) continue;
+
+            const result = await getSafeToSpend(user.id, profile.id);
+            const message = formatSafeToSpendMessage(result);
+
+            await Notification.create({
+                userId: user.id,
+                type: 'SAFE_TO_SPEND',
+                title: `💸 Hoje você pode gastar ${formatMoney(result.dailyAllowance, result.currency)}`,
+                message: message.replace(/\*/g, ''),
+                relatedAmount: result.dailyAllowance,
+                scheduledFor: new Date(),
+                isDisplayed: false
+            });
+
+            if (pref.whatsappEnabled) {
+                const whatsappService = require('../whatsapp/whatsapp.service');
+                await whatsappService.sendNotification(user.id, `🤖 ${message}\n\n_Operando em: ${profile.name}_`);
+            }
+
+            sent++;
+        } catch (error) {
+            console.error(`❌ [SAFE_TO_SPEND] Error for user ${pref.userId}:`, error.message);
+            failed++;
+        }
+    }
+
+    return { sent, failed };
+};
+
+module.exports = {
+    getSafeToSpend,
+    formatSafeToSpendMessage,
+    sendDailyNotifications
+};
@@ -0,0 +1,105 @@
+/**
+ * Categorization Rules Controller
+ * ========================================
+ * ✅ PROFILE ISOLATION: todas as rotas usam req.profileId
+ * ========================================
+ */
+
+const categorizationRulesService = require('./categorizationRules.service');
+
+/**
+ * GET /categorization-rules
+ */
+const listRules = async (req, res, next) => {
+    try {
+        const rules = await categorizationRulesService.listRules(req.userId, req.profileId);
+        res.json({ data: rules });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /categorization-rules
+ */
+const createRule = async (req, res, next) => {
+    try {
+        const rule = await categorizationRulesService.createRule(req.userId, req.profileId, req.body);
+
+        res.status(201).json({
+            message: 'Regra criada com sucesso',
+            data: rule
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * PUT /categorization-rules/:id
+ */
+const updateRule = async (req, res, next) => {
+    try {
+        const rule = await categorizationRulesService.updateRule(req.userId, req.profileId, req.params.id, req.body);
+
+        res.json({
+            message: 'Regra atualizada com sucesso',
+            data: rule
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * DELETE /categorization-rules/:id
+ */
+const deleteRule = async (req, res, next) => {
+    try {
+        await categorizationRulesService.deleteRule(req.userId, req.profileId, req.params.id);
+        res.json({ message: 'Regra excluída com sucesso' });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /categorization-rules/test
+ * Mostra quais regras casariam com uma transação hipotética
+ */
+const testRules = async (req, res, next) => {
+    try {
+        const result = await categorizationRulesService.testRules(req.userId, req.profileId, req.body);
+        res.json({ data: result });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /categorization-rules/reapply
+ * Reaplica as regras sobre transações existentes (dryRun para simular)
+ */
+const reapplyRules = async (req, res, next) => {
+    try {
+        const report = await categorizationRulesService.reapplyRules(req.userId, req.profileId, req.body);
+
+        res.json({
+            message: report.dryRun
+                ? 'Simulação concluída'
+                : `${report.updated} transação(ões) categorizada(s)`,
+            data: report
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    listRules,
+    createRule,
+    updateRule,
+    deleteRule,
+    testRules,
+    reapplyRules
+};
@@ -0,0 +1,66 @@
+/**
+ * Categorization Rules Routes
+ * ========================================
+ * ✅ PROFILE ISOLATION: Uses profileMiddleware
+ * ========================================
+ */
+
+const { Router } = require('express');
+const categorizationRulesController = require('./categorizationRules.controller');
+const { authMiddleware } = require('../../middlewares/authMiddleware');
+const { profileMiddleware } = require('../../middlewares/profileMiddleware');
+const { validate } = require('../../utils/validators');
+
+const router = Router();
+
+// ✅ Auth first, then profile isolation
+router.use(authMiddleware);
+router.use(profileMiddleware);
+
+// Schemas de validação
+const ruleSchema = {
+    body: {
+        name: { required: true, minLength: 1 },
+        priority: { min: 0 },
+        minAmount: { min: 0 },
+        maxAmount: { min: 0 },
+        transactionType: { enum: ['INCOME', 'EXPENSE'] },
+        bankAccountId: { type: 'uuid' },
+        cardId: { type: 'uuid' },
+        categoryId: { type: 'uuid' }
+    }
+};
+
+const updateRuleSchema = {
+    body: {
+        ...ruleSchema.body,
+        name: { minLength: 1 }
+    },
+    params: {
+        id: { type: 'uuid' }
+    }
+};
+
+const testSchema = {
+    body: {
+        description: { required: true, minLength: 1 },
+        amount: { required: true, min: 0 },
+        type: { enum: ['INCOME', 'EXPENSE'] }
+    }
+};
+
+const reapplySchema = {
+    body: {
+        startDate: { type: 'date' },
+        endDate: { type: 'date' }
+    }
+};
+
+router.get('/', categorizationRulesController.listRules);
+router.post('/', validate(ruleSchema), categorizationRulesController.createRule);
+router.post('/test', validate(testSchema), categorizationRulesController.testRules);
+router.post('/reapply', validate(reapplySchema), categorizationRulesController.reapplyRules);
+router.put('/:id', validate(updateRuleSchema), categorizationRulesController.updateRule);
+router.delete('/:id', validate({ params: { id: { type: 'uuid' } } }), categorizationRulesController.deleteRule);
+
+module.exports = router;
@@ -0,0 +1,651 @@
+/**
+ * Categorization Rules Service
+ * ========================================
+ * CATEGORIZAÇÃO AUTOMÁTICA POR REGRAS
+ * ========================================
+ *
+ * - Regras por perfil avaliadas por prioridade (menor primeiro)
+ * - Todas as condições preenchidas precisam casar
+ * - A primeira regra com categoria define a categoria; tags são acumuladas
+ *   até uma regra com stopProcessing
+ * - Aplicadas na criação manual, no cartão, nas importações e no WhatsApp
+ * - Cada aplicação é registrada em TransactionMetadata.appliedRules
+ * ✅ PROFILE ISOLATION: regras, contas e cartões sempre filtrados por profileId
+ */
+
+const {
+    CategorizationRule,
+    Category,
+    BankAccount,
+    CreditCard,
+    ManualTransaction,
+    CardTransaction,
+    OpenFinanceTransaction,
+    TransactionMetadata,
+    AuditLog
+} = require('../../models');
+const { AppError } = require('../../middlewares/errorHandler');
+const { Op } = require('sequelize');
+
+const RULE_SOURCES = [
+    'PIX', 'CASH', 'WIRE_TRANSFER', 'BOLETO', 'SALARY', 'SUBSCRIPTION', 'OTHER',
+    'CARD', 'OPEN_FINANCE'
+];
+
+const EDITABLE_FIELDS = [
+    'name', 'priority', 'stopProcessing', 'isActive',
+    'descriptionContains', 'descriptionRegex', 'minAmount', 'maxAmount',
+    'transactionType', 'sources', 'bankAccountId', 'cardId',
+    'categoryId', 'tags', 'notes'
+];
+
+// ===========================================
+// AVALIAÇÃO
+// ===========================================
+
+/**
+ * Normaliza texto para comparação (sem acentos, minúsculo)
+ */
+const normalizeText = (value) => {
+    return String(value || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .trim();
+};
+
+const REPEAT_QUANTIFIERS = ['*', '+', '{'];
+
+// Descrições maiores são cortadas antes da regex: limita o custo de padrões polinomiais (.*.*x)
+const MAX_REGEX_INPUT_LENGTH = 256;
+
+/**
+ * Recusa padrões sujeitos a backtracking catastrófico, que travariam o event loop
+ * em toda criação/importação de transação:
+ * - grupo repetido (*, +, {n,m}) contendo outro quantificador ou alternativa, mesmo
+ *   dentro de subgrupos: (a+)+, (a|ab)*, ((a|a))*
+ * - referências a grupos (\1, \k<nome>)
+ */
+const isSafeRegex = (pattern) => {
+    const stack = [{ quantified: false, alternation: false }];
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        const frame = stack[stack.length - 1];
+
+        if (char === '\\') {
+            const next = pattern[i + 1];
+            if (/[1-9]/.test(next) || next === 'k') return false;
+            i++;
+        } else if (char === '[') {
+            // Classe de caracteres: pula até o ] não escapado
+            i++;
+            while (i < pattern.length && pattern[i] !== ']') {
+                if (pattern[i] === '\\') i++;
+                i++;
+            }
+        } else if (char === '(') {
+            stack.push({ quantified: false, alternation: false });
+        } else if (char === ')') {
+            if (stack.length === 1) return false;
+            const group = stack.pop();
+            const parent = stack[stack.length - 1];
+            const repeated = REPEAT_QUANTIFIERS.includes(pattern[i + 1]);
+
+            if (repeated && (group.quantified || group.alternation)) return false;
+            if (repeated || group.quantified) parent.quantified = true;
+            if (group.alternation) parent.alternation = true;
+        } else if (char === '|') {
+            frame.alternation = true;
+        } else if (REPEAT_QUANTIFIERS.includes(char)) {
+            frame.quantified = true;
+        }
+    }
+
+    return true;
+};
+
+/**
+ * Compila a regex da regra (case-insensitive)
+ * Padrões inseguros não compilam (regras antigas param de casar em vez de travar)
+ */
+const compileRegex = (pattern) => {
+    if (!isSafeRegex(pattern)) return null;
+
+    try {
+        return new RegExp(pattern, 'i');
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Verifica se uma transação casa com todas as condições da regra
+ * @param {object} rule
+ * @param {object} tx - { description, amount, type, source, bankAccountId, cardId }
+ */
+const matchesRule = (rule, tx) => {
+    const description = tx.description || '';
+    const amount = Math.abs(parseFloat(tx.amount) || 0);
+
+    if (rule.descriptionContains &&
+        !normalizeText(description).includes(normalizeText(rule.descriptionContains))) {
+        return false;
+    }
+
+    if (rule.descriptionRegex) {
+        const regex = compileRegex(rule.descriptionRegex);
+        if (!regex || !regex.test(description.slice(0, MAX_REGEX_INPUT_LENGTH))) return false;
+    }
+
+    if (rule.minAmount !== null && rule.minAmount !== undefined && amount < parseFloat(rule.minAmount)) {
+        return false;
+    }
+    if (rule.maxAmount !== null && rule.maxAmount !== undefined && amount > parseFloat(rule.maxAmount)) {
+        return false;
+    }
+
+    if (rule.transactionType && tx.type !== rule.transactionType) return false;
+    if (rule.sources && rule.sources.length > 0 && !rule.sources.includes(tx.source)) return false;
+    if (rule.bankAccountId && tx.bankAccountId !== rule.bankAccountId) return false;
+    if (rule.cardId && tx.cardId !== rule.cardId) return false;
+
+    return true;
+};
+
+/**
+ * Avalia uma lista de regras já carregada (sem acesso ao banco)
+ * @returns {object|null} { categoryId, categoryName, tags, notes, rules: [...] }
+ */
+const evaluateRules = (rules, tx) => {
+    const result = {
+        categoryId: null,
+        categoryName: null,
+        tags: [],
+        notes: null,
+        rules: []
+    };
+
+    for (const rule of rules) {
+        if (!matchesRule(rule, tx)) continue;
+
+        if (rule.categoryId && !result.categoryId) {
+            result.categoryId = rule.categoryId;
+            result.categoryName = rule.category ? rule.category.name : null;
+        }
+
+        for (const tag of rule.tags || []) {
+            if (!result.tags.includes(tag)) result.tags.push(tag);
+        }
+
+        if (rule.notes && !result.notes) result.notes = rule.notes;
+
+        result.rules.push({
+            ruleId: rule.id,
+            ruleName: rule.name,
+            categoryId: rule.categoryId || null,
+            tags: rule.tags || []
+        });
+
+        if (rule.stopProcessing) break;
+    }
+
+    return result.rules.length > 0 ? result : null;
+};
+
+/**
+ * Carrega as regras ativas do perfil em ordem de prioridade
+ * ✅ PROFILE ISOLATION
+ */
+const loadRules = async (userId, profileId) => {
+    if (!profileId) return [];
+
+    return CategorizationRule.findAll({
+        where: { userId, profileId, isActive: true }, // ✅ PROFILE ISOLATION
+        include: [{ model: Category, as: 'category', attributes: ['id', 'name', 'type'] }],
+        order: [['priority', 'ASC'], ['createdAt', 'ASC']]
+    });
+};
+
+/**
+ * Carrega as regras do perfil e avalia a transação
+ */
+const evaluate = async (userId, profileId, tx) => {
+    const rules = await loadRules(userId, profileId);
+    if (rules.length === 0) return null;
+    return evaluateRules(rules, tx);
+};
+
+/**
+ * Registra as regras aplicadas em TransactionMetadata e atualiza as estatísticas
+ *
+ * @param {string} userId
+ * @param {string} transactionType - MANUAL | CARD | OPEN_FINANCE
+ * @param {string} transactionId
+ * @param {object} result - Retorno de evaluateRules
+ * @param {object} options
+ * @param {string} options.trigger - CREATE | IMPORT | WHATSAPP | REAPPLY
+ * @param {object} options.transaction - Transação Sequelize (opcional)
+ */
+const recordApplication = async (userId, transactionType, transactionId, result, options = {}) => {
+    if (!result || result.rules.length === 0) return null;
+
+    const { trigger = 'CREATE', transaction } = options;
+    const now = new Date();
+
+    const [metadata] = await TransactionMetadata.findOrCreate({
+        where: { userId, transactionType, transactionId },
+        defaults: { userId, transactionType, transactionId },
+        transaction
+    });
+
+    if (result.categoryName && (!metadata.category || trigger === 'REAPPLY')) {
+        metadata.category = result.categoryName;
+    }
+    if (result.tags.length > 0) {
+        metadata.tags = [...new Set([...(metadata.tags || []), ...result.tags])];
+    }
+    if (result.notes && !metadata.notes) {
+        metadata.notes = result.notes;
+    }
+    metadata.appliedRules = [
+        ...(metadata.appliedRules || []),
+        ...result.rules.map(rule => ({ ...rule, trigger, appliedAt: now.toISOString() }))
+    ];
+
+    await metadata.save({ transaction });
+
+    const ruleIds = result.rules.map(r => r.ruleId);
+    await CategorizationRule.increment('matchCount', { where: { id: ruleIds }, transaction });
+    await CategorizationRule.update({ lastMatchedAt: now }, { where: { id: ruleIds }, transaction });
+
+    return metadata;
+};
+
+// ===========================================
+// CRUD
+// ===========================================
+
+/**
+ * Valida e normaliza os campos da regra
+ * ✅ PROFILE ISOLATION: categoria, conta e cartão precisam ser do usuário/perfil
+ */
+const sanitizeRule = async (userId, profileId, data, current = null) => {
+    const values = {};
+    for (const field of EDITABLE_FIELDS) {
+        if (data[field] !== undefined) values[field] = data[field] === '' ? null : data[field];
+    }
+
+    if (values.descriptionRegex) {
+        if (values.descriptionRegex.length > 200 || !compileRegex(values.descriptionRegex)) {
+            throw new AppError(
+                isSafeRegex(values.descriptionRegex)
+                    ? 'Expressão regular inválida'
+                    : 'Expressão regular insegura: evite quantificadores aninhados como (a+)+ e referências como \\1',
+                400,
+                'INVALID_REGEX'
+            );
+        }
+    }
+
+    if (values.sources !== undefined) {
+        values.sources = values.sources || [];
+        const invalid = values.sources.filter(s => !RULE_SOURCES.includes(s));
+        if (invalid.length > 0) {
+            throw new AppError(`Origem inválida: ${invalid.join(', ')}`, 400, 'INVALID_SOURCE');
+        }
+    }
+
+    if (values.tags !== undefined) {
+        values.tags = [...new Set((values.tags || []).map(tag => String(tag).trim()).filter(Boolean))];
+    }
+
+    const merged = { ...(current ? current.toJSON() : {}), ...values };
+
+    if (merged.minAmount !== null && merged.minAmount !== undefined &&
+        merged.maxAmount !== null && merged.maxAmount !== undefined &&
+        parseFloat(merged.minAmount) > parseFloat(merged.maxAmount)) {
+        throw new AppError('Valor mínimo maior que o máximo', 400, 'INVALID_AMOUNT_RANGE');
+    }
+
+    const hasCondition = merged.descriptionContains || merged.descriptionRegex ||
+        merged.minAmount != null || merged.maxAmount != null || merged.transactionType ||
+        (merged.sources && merged.sources.length > 0) || merged.bankAccountId || merged.cardId;
+    if (!hasCondition) {
+        throw new AppError('A regra precisa de ao menos uma condição', 400, 'RULE_WITHOUT_CONDITION');
+    }
+
+    const hasAction = merged.categoryId || (merged.tags && merged.tags.length > 0) || merged.notes;
+    if (!hasAction) {
+        throw new AppError('A regra precisa definir categoria, tags ou observação', 400, 'RULE_WITHOUT_ACTION');
+    }
+
+    if (values.categoryId) {
+        const category = await Category.findOne({
+            where: {
+                id: values.categoryId,
+                [Op.or]: [{ userId }, { userId: null, isDefault: true }]
+            }
+        });
+        if (!category) {
+            throw new AppError('Categoria não encontrada', 404, 'CATEGORY_NOT_FOUND');
+        }
+    }
+
+    if (values.bankAccountId) {
+        const account = await BankAccount.findOne({
+            where: { id: values.bankAccountId, userId, profileId } // ✅ PROFILE ISOLATION
+        });
+        if (!account) {
+            throw new AppError('Conta bancária não encontrada', 404, 'ACCOUNT_NOT_FOUND');
+        }
+    }
+
+    if (values.cardId) {
+        const card = await CreditCard.findOne({
+            where: { id: values.cardId, userId, profileId } // ✅ PROFILE ISOLATION
+        });
+        if (!card) {
+            throw new AppError('Cartão não encontrado', 404, 'CARD_NOT_FOUND');
+        }
+    }
+
+    return values;
+};
+
+/**
+ * Lista regras do perfil
+ * ✅ PROFILE ISOLATION
+ */
+const listRules = async (userId, profileId) => {
+    return CategorizationRule.findAll({
+        where: { userId, profileId }, // ✅ PROFILE ISOLATION
+        include: [{ model: Category, as: 'category', attributes: ['id', 'name', 'type', 'icon', 'color'] }],
+        order: [['priority', 'ASC'], ['createdAt', 'ASC']]
+    });
+};
+
+/**
+ * Busca uma regra do perfil
+ * ✅ PROFILE ISOLATION
+ */
+const getRule = async (userId, profileId, ruleId) => {
+    const rule = await CategorizationRule.findOne({
+        where: { id: ruleId, userId, profileId } // ✅ PROFILE ISOLATION
+    });
+
+    if (!rule) {
+        throw new AppError('Regra não encontrada', 404, 'RULE_NOT_FOUND');
+    }
+
+    return rule;
+};
+
+/**
+ * Cria uma regra
+ */
+const createRule = async (userId, profileId, data) => {
+    const values = await sanitizeRule(userId, profileId, data);
+
+    const rule = await CategorizationRule.create({
+        ...values,
+        userId,
+        profileId // ✅ PROFILE ISOLATION
+    });
+
+    await AuditLog.log({
+        userId,
+        action: 'CATEGORIZATION_RULE_CREATE',
+        resource: 'CATEGORIZATION_RULE',
+        resourceId: rule.id,
+        newData: { ...values, profileId }
+    });
+
+    return rule;
+};
+
+/**
+ * Atualiza uma regra
+ */
+const updateRule = async (userId, profileId, ruleId, data) => {
+    const rule = await getRule(userId, profileId, ruleId);
+    const previousData = rule.toJSON();
+
+    const values = await sanitizeRule(userId, profileId, data, rule);
+    await rule.update(values);
+
+    await AuditLog.log({
+        userId,
+        action: 'CATEGORIZATION_RULE_UPDATE',
+        resource: 'CATEGORIZATION_RULE',
+        resourceId: rule.id,
+        previousData,
+        newData: values
+    });
+
+    return rule;
+};
+
+/**
+ * Exclui uma regra (o histórico em appliedRules é mantido)
+ */
+const deleteRule = async (userId, profileId, ruleId) => {
+    const rule = await getRule(userId, profileId, ruleId);
+    const previousData = rule.toJSON();
+
+    await rule.destroy();
+
+    await AuditLog.log({
+        userId,
+        action: 'CATEGORIZATION_RULE_DELETE',
+        resource: 'CATEGORIZATION_RULE',
+        resourceId: ruleId,
+        previousData
+    });
+
+    return { deleted: true };
+};
+
+/**
+ * Testa as regras do perfil contra uma transação hipotética
+ */
+const testRules = async (userId, profileId, tx) => {
+    const result = await evaluate(userId, profileId, tx);
+    return { matched: !!result, result };
+};
+
+// ===========================================
+// REAPLICAÇÃO SOBRE O HISTÓRICO
+// ===========================================
+
+/**
+ * Reaplica as regras sobre transações já existentes do perfil
+ * (manuais, de cartão e do Open Finance)
+ *
+ * @param {string} userId
+ * @param {string} profileId
+ * @param {object} data
+ * @param {string} data.startDate - YYYY-MM-DD (opcional)
+ * @param {string} data.endDate - YYYY-MM-DD (opcional)
+ * @param {boolean} data.onlyUncategorized - Não sobrescreve categorias já definidas (padrão true)
+ * @param {string[]} data.ruleIds - Limita a reaplicação a estas regras
+ * @param {boolean} data.dryRun - Apenas simula
+ */
+const reapplyRules = async (userId, profileId, data = {}) => {
+    const { startDate, endDate, onlyUncategorized = true, ruleIds, dryRun = false } = data;
+
+    let rules = await loadRules(userId, profileId);
+    if (ruleIds && ruleIds.length > 0) {
+        rules = rules.filter(r => ruleIds.includes(r.id));
+    }
+
+    const report = { dryRun, processed: 0, updated: 0, items: [] };
+    if (rules.length === 0) return report;
+
+    const dateWhere = {};
+    if (startDate) dateWhere[Op.gte] = startDate;
+    if (endDate) dateWhere[Op.lte] = endDate;
+    const withDate = (where) => (startDate || endDate ? { ...where, date: dateWhere } : where);
+
+    const accounts = await BankAccount.findAll({
+        where: { userId, profileId }, // ✅ PROFILE ISOLATION
+        attributes: ['id']
+    });
+    const cards = await CreditCard.findAll({
+        where: { userId, profileId }, // ✅ PROFILE ISOLATION
+        attributes: ['id']
+    });
+
+    const register = async (transactionType, transaction, result, apply) => {
+        report.processed++;
+        if (!result) return;
+
+        report.updated++;
+        report.items.push({
+            transactionType,
+            transactionId: transaction.id,
+            date: transaction.date,
+            description: transaction.description,
+            amount: parseFloat(transaction.amount),
+            categoryId: result.categoryId,
+            categoryName: result.categoryName,
+            tags: result.tags,
+            rules: result.rules.map(r => r.ruleName)
+        });
+
+        if (!dryRun) {
+            if (apply) await apply();
+            await recordApplication(userId, transactionType, transaction.id, result, { trigger: 'REAPPLY' });
+        }
+    };
+
+    // Transações manuais
+    const manualWhere = withDate({ userId, profileId }); // ✅ PROFILE ISOLATION
+    if (onlyUncategorized) manualWhere.categoryId = null;
+
+    const manualTransactions = await ManualTransaction.findAll({ where: manualWhere, order: [['date', 'ASC']] });
+    for (const transaction of manualTransactions) {
+        const result = evaluateRules(rules, {
+            description: transaction.description,
+            amount: transaction.amount,
+            type: transaction.type,
+            source: transaction.source,
+            bankAccountId: transaction.bankAccountId
+        });
+        const changed = result && (result.categoryId || result.tags.length > 0 || result.notes);
+
+        await register('MANUAL', transaction, changed ? result : null, async () => {
+            if (result.categoryId && result.categoryId !== transaction.categoryId) {
+                await transaction.update({ categoryId: result.categoryId });
+            }
+        });
+    }
+
+    // Transações de cartão (isoladas pelo cartão do perfil)
+    if (cards.length > 0) {
+        const cardWhere = withDate({ cardId: cards.map(c => c.id) }); // ✅ PROFILE ISOLATION
+        if (onlyUncategorized) {
+            cardWhere[Op.or] = [{ category: null }, { category: 'OTHER' }];
+        }
+
+        const cardTransactions = await CardTransaction.findAll({ where: cardWhere, order: [['date', 'ASC']] });
+        for (const transaction of cardTransactions) {
+            const result = evaluateRules(rules, {
+                description: transaction.description,
+                amount: transaction.amount,
+                type: parseFloat(transaction.amount) < 0 ? 'INCOME' : 'EXPENSE',
+                source: 'CARD',
+                cardId: transaction.cardId
+            });
+
+            await register('CARD', transaction, result, async () => {
+                const updates = {};
+                if (result.categoryName) updates.category = result.categoryName;
+                if (result.tags.length > 0) {
+                    updates.tags = [...new Set([...(transaction.tags || []), ...result.tags])];
+                }
+                if (result.notes && !transaction.notes) updates.notes = result.notes;
+                if (Object.keys(updates).length > 0) await transaction.update(updates);
+            });
+        }
+    }
+
+    // Transações do Open Finance (imutáveis: categoria só no metadata)
+    if (accounts.length > 0 || cards.length > 0) {
+        const ofWhere = withDate({
+            userId,
+            [Op.or]: [
+                { relatedAccountId: accounts.map(a => a.id) },
+                { relatedCardId: cards.map(c => c.id) }
+            ]
+        });
+
+        const ofTransactions = await OpenFinanceTransaction.findAll({ where: ofWhere, order: [['date', 'ASC']] });
+        const existingMetadata = onlyUncategorized && ofTransactions.length > 0
+            ? await TransactionMetadata.findAll({
+                where: {
+                    userId,
+                    transactionType: 'OPEN_FINANCE',
+                    transactionId: ofTransactions.map(t => t.id),
+                    category: { [Op.ne]: null }
+                },
+                attributes: ['transactionId']
+            })
+            : [];
+        const categorized = new Set(existingMetadata.map(m => m.transactionId));
+
+        for (const transaction of ofTransactions) {
+            if (categorized.has(transaction.id)) continue;
+
+            const result = evaluateRules(rules, {
+                description: transaction.description,
+                amount: transaction.amount,
+                type: transaction.type === 'CREDIT' ? 'INCOME' : 'EXPENSE',
+                source: 'OPEN_FINANCE',
+                bankAccountId: transaction.relatedAccountId,
+                cardId: transaction.relatedCardId
+            });
+
+            await register('OPEN_FINANCE', transaction, result, null);
+        }
+    }
+
+    if (!dryRun && report.updated > 0) {
+        await AuditLog.log({
+            userId,
+            action: 'CATEGORIZATION_RULES_REAPPLY',
+            resource: 'CATEGORIZATION_RULE',
+            details: {
+                profileId,
+                startDate: startDate || null,
+                endDate: endDate || null,
+                onlyUncategorized,
+                processed: report.processed,
+                updated: report.updated
+            }
+        });
+    }
+
+    console.log(`🏷️ [RULES] ${dryRun ? 'Preview' : 'Reapply'} for profile ${profileId}: ${report.updated}/${report.processed}`);
+
+    return report;
+};
+
+module.exports = {
+    listRules,
+    getRule,
+    createRule,
+    updateRule,
+    deleteRule,
+    testRules,
+    reapplyRules,
+    // Usados pelos fluxos de criação/importação
+    loadRules,
+    evaluateRules,
+    evaluate,
+    recordApplication,
+    matchesRule,
+    isSafeRegex,
+    RULE_SOURCES
+};
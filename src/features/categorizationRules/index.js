@@ -0,0 +1,4 @@
+module.exports = {
+    categorizationRulesController: require('./categorizationRules.controller'),
+    categorizationRulesRoutes: require('./categorizationRules.routes')
+};
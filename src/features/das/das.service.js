@@ -210,7 +210,10 @@ const payDas = async (userId, profileId, guideId, paymentData) => {
         }, { transaction: t });
 
         // Subtrair valor da conta bancária
-        await bankAccountsService.updateBalance(bankAccountId, -parseFloat(finalAmount), t);
+        await bankAccountsService.updateBalance(bankAccountId, -parseFloat(finalAmount), t, {
+            transactionId: transaction.id,
+            reason: 'DAS_PAYMENT'
+        });
 
         // Atualizar guia
         guide.status = 'PAID';
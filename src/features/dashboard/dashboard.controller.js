@@ -6,11 +6,15 @@
  */
 
 const dashboardService = require('./dashboard.service');
+const tagsService = require('../tags/tags.service');
+
+// ?tags=viagem-2026,reforma
+const getFilters = (req) => ({ tags: tagsService.parseTagFilter(req.query.tags) });
 
 const getSummary = async (req, res, next) => {
     try {
         // ✅ PROFILE ISOLATION: Pass profileId
-        const summary = await dashboardService.getSummary(req.userId, req.profileId);
+        const summary = await dashboardService.getSummary(req.userId, req.profileId, getFilters(req));
         res.json({ data: summary });
     } catch (error) {
         next(error);
@@ -30,7 +34,7 @@ const getAlerts = async (req, res, next) => {
 const getCategoryBreakdown = async (req, res, next) => {
     try {
         // ✅ PROFILE ISOLATION: Pass profileId
-        const categories = await dashboardService.getCategoryBreakdown(req.userId, req.profileId);
+        const categories = await dashboardService.getCategoryBreakdown(req.userId, req.profileId, getFilters(req));
         res.json({ data: categories });
     } catch (error) {
         next(error);
@@ -50,7 +54,7 @@ const getActivities = async (req, res, next) => {
 const getRecentTransactions = async (req, res, next) => {
     try {
         // ✅ PROFILE ISOLATION: Pass profileId
-        const transactions = await dashboardService.getRecentTransactions(req.userId, req.profileId);
+        const transactions = await dashboardService.getRecentTransactions(req.userId, req.profileId, getFilters(req));
         res.json({ data: transactions });
     } catch (error) {
         next(error);
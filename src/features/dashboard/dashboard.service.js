@@ -18,13 +18,26 @@ const {
     Category
 } = require('../../models');
 const investmentsService = require('../investments/investments.service');
+const splitsService = require('../transactions/splits.service');
+const exchangeRatesService = require('../exchangeRates/exchangeRates.service');
+const tagsService = require('../tags/tags.service');
 const { Op } = require('sequelize');
 
+/**
+ * IDs marcados com as tags do filtro (null = sem filtro)
+ */
+const getTaggedIds = async (userId, filters = {}) => {
+    if (!filters.tags) return null;
+    return tagsService.findTaggedIds(userId, filters.tags);
+};
+
 /**
  * Obtém resumo financeiro do mês atual
  * ✅ PROFILE ISOLATION: Filter by profileId
+ *
+ * @param {object} filters - { tags } restringe receitas/despesas às transações marcadas
  */
-const getSummary = async (userId, profileId) => {
+const getSummary = async (userId, profileId, filters = {}) => {
     const now = new Date();
     const month = now.getMonth() + 1;
     const year = now.getFullYear();
@@ -34,6 +47,13 @@ const getSummary = async (userId, profileId) => {
     // ✅ PROFILE ISOLATION: Base where clause
     const baseWhere = { userId };
     if (profileId) baseWhere.profileId = profileId;
+    // Consolidado: retirada do sócio (PJ → PF) é despesa de um perfil e receita do outro
+    else baseWhere.ownerTransferType = null;
+
+    // Filtro por tags
+    const tagged = await getTaggedIds(userId, filters);
+    if (tagged) baseWhere.id = tagged.MANUAL;
+    const ofWhere = tagged ? { userId, id: tagged.OPEN_FINANCE } : { userId };
 
     // Buscar orçamento atual (filtrado por perfil)
     const budgetWhere = { userId, month, year };
@@ -44,33 +64,43 @@ const getSummary = async (userId, profileId) => {
 
     const dateFilter = { [Op.between]: [startDate, endDate] };
 
+    // Totais na moeda do perfil (Open Finance Brasil é sempre em BRL)
+    const baseCurrency = await exchangeRatesService.getBaseCurrency(profileId);
+
     // Open Finance (não tem profileId por enquanto)
     const [ofCredits, ofDebits] = await Promise.all([
         OpenFinanceTransaction.sum('amount', {
-            where: { userId, type: 'CREDIT', date: dateFilter }
+            where: { ...ofWhere, type: 'CREDIT', date: dateFilter }
         }),
         OpenFinanceTransaction.sum('amount', {
-            where: { userId, type: 'DEBIT', date: dateFilter }
+            where: { ...ofWhere, type: 'DEBIT', date: dateFilter }
         })
     ]);
 
     const cardExpenses = await OpenFinanceTransaction.sum('amount', {
         where: {
-            userId,
+            ...ofWhere,
             type: 'DEBIT',
             sourceType: 'CREDIT_CARD',
             date: dateFilter
         }
     });
 
+    const { rate: ofRate, unavailable: ofRateUnavailable } = await exchangeRatesService.getRateForTotals(
+        'BRL', baseCurrency, endDate, [ofCredits, ofDebits, cardExpenses], { userId }
+    );
+
     // ✅ PROFILE ISOLATION: Manuais e Investimentos filtrados por perfil
     const manualIncomeWhere = { ...baseWhere, type: 'INCOME', date: dateFilter };
     const manualExpenseWhere = { ...baseWhere, type: 'EXPENSE', date: dateFilter };
-    const investmentWhere = { ...baseWhere, operationType: 'BUY', date: dateFilter };
+    // Investimentos não têm tags: ficam fora do resumo filtrado
+    const investmentWhere = { userId, operationType: 'BUY', date: dateFilter };
+    if (profileId) investmentWhere.profileId = profileId;
+    if (tagged) investmentWhere.id = [];
 
     const [manualIncome, manualExpenses, manualInvestments] = await Promise.all([
-        ManualTransaction.sum('amount', { where: manualIncomeWhere }),
-        ManualTransaction.sum('amount', { where: manualExpenseWhere }),
+        ManualTransaction.sumConverted({ where: manualIncomeWhere }),
+        ManualTransaction.sumConverted({ where: manualExpenseWhere }),
         Investment.sum('quantity', { where: investmentWhere })
     ]);
 
@@ -86,11 +116,11 @@ const getSummary = async (userId, profileId) => {
     }
 
     // Calcular valores
-    const income = (parseFloat(ofCredits) || 0) + (parseFloat(manualIncome) || 0);
-    const ofExpensesTotal = parseFloat(ofDebits) || 0;
-    const manualExpensesTotal = parseFloat(manualExpenses) || 0;
+    const income = (parseFloat(ofCredits) || 0) * ofRate + manualIncome;
+    const ofExpensesTotal = (parseFloat(ofDebits) || 0) * ofRate;
+    const manualExpensesTotal = manualExpenses;
     const expenses = ofExpensesTotal + manualExpensesTotal;
-    const cardExpensesTotal = parseFloat(cardExpenses) || 0;
+    const cardExpensesTotal = (parseFloat(cardExpenses) || 0) * ofRate;
 
     // Recomendações do orçamento
     const recommendedInvestment = budget ? budget.getRecommendedInvestment() : income * 0.3;
@@ -112,10 +142,10 @@ const getSummary = async (userId, profileId) => {
     const allManualExpenseWhere = { ...baseWhere, type: 'EXPENSE' };
 
     const [allManualIncome, allManualExpenses] = await Promise.all([
-        ManualTransaction.sum('amount', { where: allManualIncomeWhere }),
-        ManualTransaction.sum('amount', { where: allManualExpenseWhere })
+        ManualTransaction.sumConverted({ where: allManualIncomeWhere }),
+        ManualTransaction.sumConverted({ where: allManualExpenseWhere })
     ]);
-    const manualTotalBalance = (parseFloat(allManualIncome) || 0) - (parseFloat(allManualExpenses) || 0);
+    const manualTotalBalance = allManualIncome - allManualExpenses;
 
     return {
         period: {
@@ -125,6 +155,9 @@ const getSummary = async (userId, profileId) => {
             endDate
         },
         profileId, // Include for frontend reference
+        currency: baseCurrency,
+        // Sem cotação BRL/moeda do perfil: valores do Open Finance somados sem conversão
+        fxRateUnavailable: ofRateUnavailable,
         income,
         expenses,
         cardExpenses: cardExpensesTotal,
@@ -138,6 +171,7 @@ const getSummary = async (userId, profileId) => {
         balance: income - expenses - investedThisMonth,
         manualTotalBalance,
         hasBudget: !!budget,
+        filters: { tags: filters.tags || null },
         alerts
     };
 };
@@ -194,7 +228,7 @@ const getAlerts = async (userId, profileId) => {
  * Obtém visão geral por categoria
  * ✅ PROFILE ISOLATION
  */
-const getCategoryBreakdown = async (userId, profileId) => {
+const getCategoryBreakdown = async (userId, profileId, filters = {}) => {
     const now = new Date();
     const month = now.getMonth() + 1;
     const year = now.getFullYear();
@@ -213,8 +247,34 @@ const getCategoryBreakdown = async (userId, profileId) => {
     });
 
     const categories = {};
+    const addToCategory = (name, amount) => {
+        if (!categories[name]) {
+            categories[name] = { category: name, total: 0, count: 0 };
+        }
+        categories[name].total += amount;
+        categories[name].count += 1;
+    };
+
+    // Filtro por tags
+    const tagged = await getTaggedIds(userId, filters);
+    const taggedKeys = tagged
+        ? new Set(Object.entries(tagged).flatMap(([type, ids]) => ids.map(id => `${type}:${id}`)))
+        : null;
+    const isIncluded = (type, id) => !taggedKeys || taggedKeys.has(`${type}:${id}`);
+
+    // Transações divididas contam por linha, não pela categoria do pai
+    const splitLines = (await splitsService.getSplitLines(userId, profileId, { startDate, endDate }))
+        .filter(line => isIncluded(line.transactionType, line.transactionId));
+    const splitParents = new Set(splitLines.map(l => l.transactionId));
+
+    for (const line of splitLines) {
+        if (line.category && line.amount > 0) addToCategory(line.category, line.amount);
+    }
 
     for (const m of metadata) {
+        if (splitParents.has(m.transactionId)) continue;
+        if (!isIncluded(m.transactionType, m.transactionId)) continue;
+
         let amount = 0;
 
         if (m.transactionType === 'OPEN_FINANCE') {
@@ -235,16 +295,11 @@ const getCategoryBreakdown = async (userId, profileId) => {
             const tx = await ManualTransaction.findOne({
                 where: manualWhere
             });
-            if (tx) amount = parseFloat(tx.amount);
+            // Moeda estrangeira: soma na moeda do perfil
+            if (tx) amount = tx.convertedAmount !== null ? parseFloat(tx.convertedAmount) : parseFloat(tx.amount);
         }
 
-        if (amount > 0) {
-            if (!categories[m.category]) {
-                categories[m.category] = { category: m.category, total: 0, count: 0 };
-            }
-            categories[m.category].total += amount;
-            categories[m.category].count += 1;
-        }
+        if (amount > 0) addToCategory(m.category, amount);
     }
 
     return Object.values(categories).sort((a, b) => b.total - a.total);
@@ -356,10 +411,13 @@ const translateResource = (resource) => {
  * Obtém transações recentes com detalhes completos
  * ✅ PROFILE ISOLATION
  */
-const getRecentTransactions = async (userId, profileId) => {
+const getRecentTransactions = async (userId, profileId, filters = {}) => {
     const whereClause = { userId };
     if (profileId) whereClause.profileId = profileId;
 
+    const tagged = await getTaggedIds(userId, filters);
+    if (tagged) whereClause.id = tagged.MANUAL;
+
     const transactions = await ManualTransaction.findAll({
         where: whereClause,
         include: [{
@@ -0,0 +1,103 @@
+/**
+ * Duplicates Controller
+ * ✅ PROFILE ISOLATION: Uses req.profileId
+ */
+
+const duplicatesService = require('./duplicates.service');
+
+/**
+ * GET /duplicates?status=PENDING
+ */
+const list = async (req, res, next) => {
+    try {
+        const candidates = await duplicatesService.listCandidates(req.userId, req.profileId, {
+            status: req.query.status,
+            limit: req.query.limit
+        });
+
+        res.json({ data: candidates });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /duplicates/scan
+ */
+const scan = async (req, res, next) => {
+    try {
+        const { startDate, endDate, windowDays, minScore } = req.body;
+
+        const result = await duplicatesService.scanDuplicates(req.userId, req.profileId, {
+            startDate,
+            endDate,
+            windowDays: windowDays !== undefined ? parseInt(windowDays) : undefined,
+            minScore: minScore !== undefined ? parseInt(minScore) : undefined
+        });
+
+        res.json({
+            message: `${result.created} nova(s) possível(is) duplicata(s) encontrada(s)`,
+            data: result
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /duplicates/:id/merge
+ */
+const merge = async (req, res, next) => {
+    try {
+        const result = await duplicatesService.mergeCandidate(req.userId, req.profileId, req.params.id, {
+            keep: req.body.keep
+        });
+
+        res.json({
+            message: 'Transações mescladas com sucesso',
+            data: result
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /duplicates/:id/keep-both
+ */
+const keepBoth = async (req, res, next) => {
+    try {
+        const candidate = await duplicatesService.resolveCandidate(req.userId, req.profileId, req.params.id, 'KEPT_BOTH');
+
+        res.json({
+            message: 'Transações mantidas',
+            data: candidate
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /duplicates/:id/ignore
+ */
+const ignore = async (req, res, next) => {
+    try {
+        const candidate = await duplicatesService.resolveCandidate(req.userId, req.profileId, req.params.id, 'IGNORED');
+
+        res.json({
+            message: 'Sugestão ignorada',
+            data: candidate
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    list,
+    scan,
+    merge,
+    keepBoth,
+    ignore
+};
@@ -0,0 +1,51 @@
+/**
+ * Duplicates Routes
+ * ========================================
+ * ✅ PROFILE ISOLATION: Uses profileMiddleware
+ * ========================================
+ */
+
+const { Router } = require('express');
+const duplicatesController = require('./duplicates.controller');
+const { authMiddleware } = require('../../middlewares/authMiddleware');
+const { profileMiddleware } = require('../../middlewares/profileMiddleware');
+const { validate } = require('../../utils/validators');
+
+const router = Router();
+
+// ✅ Auth first, then profile isolation
+router.use(authMiddleware);
+router.use(profileMiddleware);
+
+// Schemas de validação
+const scanSchema = {
+    body: {
+        startDate: { type: 'date' },
+        endDate: { type: 'date' },
+        windowDays: { min: 0, max: 15 },
+        minScore: { min: 0, max: 100 }
+    }
+};
+
+const idSchema = {
+    params: {
+        id: { type: 'uuid' }
+    }
+};
+
+const mergeSchema = {
+    params: {
+        id: { type: 'uuid' }
+    },
+    body: {
+        keep: { enum: ['A', 'B'] }
+    }
+};
+
+router.get('/', duplicatesController.list);
+router.post('/scan', validate(scanSchema), duplicatesController.scan);
+router.post('/:id/merge', validate(mergeSchema), duplicatesController.merge);
+router.post('/:id/keep-both', validate(idSchema), duplicatesController.keepBoth);
+router.post('/:id/ignore', validate(idSchema), duplicatesController.ignore);
+
+module.exports = router;
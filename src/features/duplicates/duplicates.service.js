@@ -0,0 +1,682 @@
+/**
+ * Duplicates Service
+ * ========================================
+ * DETECÇÃO DE DUPLICATAS ENTRE ORIGENS
+ * ========================================
+ *
+ * - Compara ManualTransaction, OpenFinanceTransaction e CardTransaction
+ *   (ex.: compra registrada pelo WhatsApp e depois importada via Open Finance)
+ * - Pontuação 0-100: valor (40), data (25), conta (15), descrição (20)
+ * - Pares acima de minScore entram na fila de revisão (DuplicateCandidate)
+ * - Mesclar mantém um registro e remove o outro, preservando categoria,
+ *   tags, observações e anexos do lançamento feito pelo usuário
+ * ✅ PROFILE ISOLATION: manuais pelo profileId, cartão pelo perfil do cartão,
+ *    Open Finance pelo perfil da conta/cartão relacionado
+ */
+
+const moment = require('moment');
+const {
+    DuplicateCandidate,
+    ManualTransaction,
+    CardTransaction,
+    CreditCard,
+    OpenFinanceTransaction,
+    BankAccount,
+    TransactionMetadata,
+    TransactionSplit,
+    Category,
+    AuditLog,
+    sequelize
+} = require('../../models');
+const { AppError } = require('../../middlewares/errorHandler');
+const { Op } = require('sequelize');
+const bankAccountsService = require('../bankAccounts/bankAccounts.service');
+const attachmentsService = require('../attachments/attachments.service');
+const recurringService = require('../transactions/recurring.service');
+const trashService = require('../trash/trash.service');
+const { assertNotReconciled } = require('../bankAccounts/reconciliation.service');
+
+const DEFAULT_WINDOW_DAYS = 3;
+const DEFAULT_MIN_SCORE = 60;
+const DEFAULT_LOOKBACK_DAYS = 90;
+
+const ATTACHMENT_TYPES = {
+    MANUAL: 'MANUAL_TRANSACTION',
+    CARD: 'CARD_TRANSACTION',
+    OPEN_FINANCE: 'OPEN_FINANCE_TRANSACTION'
+};
+
+// Palavras sem valor para comparar descrições
+const STOPWORDS = ['compra', 'pagamento', 'pgto', 'pag', 'debito', 'credito', 'cartao', 'pix', 'transferencia', 'ted', 'doc', 'com', 'para', 'de', 'da', 'do', 'em'];
+
+/**
+ * Normaliza a descrição em tokens (sem acento, minúsculas, sem números)
+ */
+const tokenize = (text) => String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word.length >= 3 && !STOPWORDS.includes(word));
+
+/**
+ * Similaridade 0-1 entre descrições (Jaccard, com bônus para contenção)
+ */
+const descriptionSimilarity = (a, b) => {
+    const tokensA = new Set(tokenize(a));
+    const tokensB = new Set(tokenize(b));
+    if (tokensA.size === 0 || tokensB.size === 0) return 0;
+
+    const intersection = [...tokensA].filter(token => tokensB.has(token)).length;
+    const union = new Set([...tokensA, ...tokensB]).size;
+    const containment = intersection / Math.min(tokensA.size, tokensB.size);
+
+    return Math.max(intersection / union, containment * 0.9);
+};
+
+/**
+ * Pontua um par de transações normalizadas
+ * @returns {{ score: number, reasons: object }|null} null se não for candidato
+ */
+const scorePair = (a, b, windowDays = DEFAULT_WINDOW_DAYS) => {
+    if (a.direction !== b.direction) return null;
+
+    // Valor: idêntico ao centavo ou até 1% de diferença (IOF, arredondamento)
+    const diffCents = Math.abs(a.amountCents - b.amountCents);
+    let amount;
+    if (diffCents === 0) amount = 40;
+    else if (diffCents <= Math.max(1, Math.round(Math.max(a.amountCents, b.amountCents) * 0.01))) amount = 25;
+    else return null;
+
+    const days = Math.abs(moment(a.date).diff(moment(b.date), 'days'));
+    if (days > windowDays) return null;
+    const date = [25, 20, 12, 6][days] ?? 3;
+
+    let account = 0;
+    if (a.accountRef && b.accountRef) {
+        account = a.accountRef === b.accountRef ? 15 : -25;
+    }
+
+    const description = Math.round(descriptionSimilarity(a.description, b.description) * 20);
+
+    return {
+        score: Math.max(0, Math.min(100, amount + date + account + description)),
+        reasons: { amount, date, account, description, days, amountDifference: diffCents / 100 }
+    };
+};
+
+/**
+ * Só compara origens diferentes; dentro da mesma tabela, apenas
+ * lançamento digitado x importado (um com externalId e outro sem)
+ */
+const isComparable = (a, b) => {
+    if (a.type !== b.type) return true;
+    if (a.type === 'OPEN_FINANCE') return false;
+    return a.hasExternalId !== b.hasExternalId;
+};
+
+/**
+ * Carrega as transações do período em formato normalizado
+ */
+const loadTransactions = async (userId, profileId, startDate, endDate) => {
+    const dateWhere = { [Op.between]: [startDate, endDate] };
+
+    const manualWhere = {
+        userId,
+        date: dateWhere,
+        status: { [Op.ne]: 'CANCELLED' },
+        type: { [Op.ne]: 'INTERNAL_TRANSFER' }
+    };
+    if (profileId) manualWhere.profileId = profileId; // ✅ PROFILE ISOLATION
+
+    const cardWhere = { userId };
+    if (profileId) cardWhere.profileId = profileId; // ✅ PROFILE ISOLATION
+
+    const [manual, card, openFinance] = await Promise.all([
+        ManualTransaction.findAll({ where: manualWhere }),
+        CardTransaction.findAll({
+            where: { userId, date: dateWhere, status: { [Op.ne]: 'CANCELLED' } },
+            include: [{ model: CreditCard, as: 'card', where: cardWhere, attributes: ['id'] }]
+        }),
+        OpenFinanceTransaction.findAll({
+            where: { userId, date: dateWhere },
+            include: [
+                { model: BankAccount, as: 'bankAccount', attributes: ['profileId'], required: false },
+                { model: CreditCard, as: 'creditCard', attributes: ['profileId'], required: false }
+            ]
+        })
+    ]);
+
+    const ignored = await TransactionMetadata.findAll({
+        where: { userId, transactionType: 'OPEN_FINANCE', transactionId: openFinance.map(tx => tx.id), isIgnored: true },
+        attributes: ['transactionId']
+    });
+    const ignoredIds = new Set(ignored.map(m => m.transactionId));
+
+    const toCents = (value) => Math.abs(Math.round(parseFloat(value) * 100));
+
+    return [
+        ...manual.map(tx => ({
+            type: 'MANUAL',
+            id: tx.id,
+            direction: tx.type === 'INCOME' ? 'IN' : 'OUT',
+            amountCents: toCents(tx.amount),
+            date: tx.date,
+            accountRef: tx.bankAccountId ? `account:${tx.bankAccountId}` : null,
+            description: tx.description,
+            hasExternalId: !!tx.externalId
+        })),
+        ...card.map(tx => ({
+            type: 'CARD',
+            id: tx.id,
+            direction: 'OUT',
+            amountCents: toCents(tx.amount),
+            date: tx.date,
+            accountRef: `card:${tx.cardId}`,
+            description: tx.description,
+            hasExternalId: !!tx.externalId
+        })),
+        ...openFinance
+            .filter(tx => !ignoredIds.has(tx.id))
+            .filter(tx => !profileId || (tx.bankAccount?.profileId || tx.creditCard?.profileId) === profileId) // ✅ PROFILE ISOLATION
+            .map(tx => ({
+                type: 'OPEN_FINANCE',
+                id: tx.id,
+                direction: tx.type === 'CREDIT' ? 'IN' : 'OUT',
+                amountCents: toCents(tx.amount),
+                date: tx.date,
+                accountRef: tx.relatedAccountId
+                    ? `account:${tx.relatedAccountId}`
+                    : (tx.relatedCardId ? `card:${tx.relatedCardId}` : null),
+                description: tx.description,
+                hasExternalId: true
+            }))
+    ];
+};
+
+/**
+ * Ordem canônica dos lados do par
+ */
+const canonicalPair = (a, b) => (`${a.type}:${a.id}` <= `${b.type}:${b.id}` ? [a, b] : [b, a]);
+
+/**
+ * Procura duplicatas no período e alimenta a fila de revisão
+ * Pares já revisados (mesclados, mantidos ou ignorados) não voltam para a fila
+ *
+ * @param {string} userId
+ * @param {string} profileId
+ * @param {object} options
+ * @param {string} options.startDate - Default: 90 dias atrás
+ * @param {string} options.endDate - Default: hoje
+ * @param {number} options.windowDays - Diferença máxima de datas (default 3)
+ * @param {number} options.minScore - Pontuação mínima (default 60)
+ */
+const scanDuplicates = async (userId, profileId, options = {}) => {
+    const endDate = options.endDate || moment().format('YYYY-MM-DD');
+    const startDate = options.startDate || moment(endDate).subtract(DEFAULT_LOOKBACK_DAYS, 'days').format('YYYY-MM-DD');
+    const windowDays = options.windowDays ?? DEFAULT_WINDOW_DAYS;
+    const minScore = options.minScore ?? DEFAULT_MIN_SCORE;
+
+    // Margem da janela para pegar pares na borda do período
+    const transactions = await loadTransactions(
+        userId,
+        profileId,
+        moment(startDate).subtract(windowDays, 'days').format('YYYY-MM-DD'),
+        moment(endDate).add(windowDays, 'days').format('YYYY-MM-DD')
+    );
+
+    // Ordenado por valor: só compara vizinhos dentro da tolerância de 1%
+    transactions.sort((a, b) => a.amountCents - b.amountCents);
+
+    const pairs = [];
+    for (let i = 0; i < transactions.length; i++) {
+        const a = transactions[i];
+        const tolerance = Math.max(1, Math.round(a.amountCents * 0.01));
+
+        for (let j = i + 1; j < transactions.length; j++) {
+            const b = transactions[j];
+            if (b.amountCents - a.amountCents > tolerance) break;
+            if (!isComparable(a, b)) continue;
+
+            const result = scorePair(a, b, windowDays);
+            if (result && result.score >= minScore) {
+                const [first, second] = canonicalPair(a, b);
+                pairs.push({ first, second, ...result });
+            }
+        }
+    }
+
+    let created = 0;
+    for (const pair of pairs) {
+        const [, isNew] = await DuplicateCandidate.findOrCreate({
+            where: {
+                sourceAType: pair.first.type,
+                sourceAId: pair.first.id,
+                sourceBType: pair.second.type,
+                sourceBId: pair.second.id
+            },
+            defaults: {
+                userId,
+                profileId,
+                score: pair.score,
+                reasons: pair.reasons
+            }
+        });
+        if (isNew) created++;
+    }
+
+    return {
+        period: { startDate, endDate },
+        scanned: transactions.length,
+        candidates: pairs.length,
+        created
+    };
+};
+
+// ===========================================
+// FILA DE REVISÃO
+// ===========================================
+
+/**
+ * Resumo de cada lado do par para a fila
+ */
+const loadSummaries = async (userId, refs) => {
+    const idsByType = { MANUAL: [], CARD: [], OPEN_FINANCE: [] };
+    refs.forEach(ref => idsByType[ref.type].push(ref.id));
+
+    const [manual, card, openFinance, metadata] = await Promise.all([
+        idsByType.MANUAL.length
+            ? ManualTransaction.findAll({
+                where: { id: idsByType.MANUAL, userId },
+                include: [{ model: Category, as: 'category', attributes: ['name'], required: false }]
+            })
+            : [],
+        idsByType.CARD.length
+            ? CardTransaction.findAll({
+                where: { id: idsByType.CARD, userId },
+                include: [{ model: CreditCard, as: 'card', attributes: ['name', 'lastFourDigits'] }]
+            })
+            : [],
+        idsByType.OPEN_FINANCE.length
+            ? OpenFinanceTransaction.findAll({ where: { id: idsByType.OPEN_FINANCE, userId } })
+            : [],
+        TransactionMetadata.findAll({
+            where: {
+                userId,
+                transactionId: [...idsByType.MANUAL, ...idsByType.OPEN_FINANCE]
+            }
+        })
+    ]);
+
+    const metaMap = new Map(metadata.map(m => [`${m.transactionType}:${m.transactionId}`, m]));
+    const summaries = new Map();
+
+    manual.forEach(tx => {
+        const meta = metaMap.get(`MANUAL:${tx.id}`);
+        summaries.set(`MANUAL:${tx.id}`, {
+            type: 'MANUAL',
+            id: tx.id,
+            description: tx.description,
+            amount: parseFloat(tx.amount),
+            date: tx.date,
+            status: tx.status,
+            source: tx.source,
+            imported: !!tx.externalId,
+            category: tx.category?.name || meta?.category || null,
+            tags: meta?.tags || []
+        });
+    });
+    card.forEach(tx => {
+        summaries.set(`CARD:${tx.id}`, {
+            type: 'CARD',
+            id: tx.id,
+            description: tx.description,
+            amount: parseFloat(tx.amount),
+            date: tx.date,
+            status: tx.status,
+            source: tx.card ? `${tx.card.name} (${tx.card.lastFourDigits})` : 'CARD',
+            imported: !!tx.externalId,
+            category: tx.category || null,
+            tags: tx.tags || []
+        });
+    });
+    openFinance.forEach(tx => {
+        const meta = metaMap.get(`OPEN_FINANCE:${tx.id}`);
+        summaries.set(`OPEN_FINANCE:${tx.id}`, {
+            type: 'OPEN_FINANCE',
+            id: tx.id,
+            description: tx.description,
+            amount: parseFloat(tx.amount),
+            date: tx.date,
+            status: 'COMPLETED',
+            source: tx.sourceType,
+            imported: true,
+            category: meta?.category || null,
+            tags: meta?.tags || []
+        });
+    });
+
+    return summaries;
+};
+
+/**
+ * Lista a fila de revisão
+ */
+const listCandidates = async (userId, profileId, filters = {}) => {
+    const where = { userId, status: filters.status || 'PENDING' };
+    if (profileId) where.profileId = profileId; // ✅ PROFILE ISOLATION
+
+    const candidates = await DuplicateCandidate.findAll({
+        where,
+        order: [['score', 'DESC'], ['createdAt', 'DESC']],
+        limit: Math.min(parseInt(filters.limit) || 50, 200)
+    });
+
+    const refs = candidates.flatMap(c => [
+        { type: c.sourceAType, id: c.sourceAId },
+        { type: c.sourceBType, id: c.sourceBId }
+    ]);
+    const summaries = await loadSummaries(userId, refs);
+
+    return candidates.map(c => ({
+        id: c.id,
+        score: c.score,
+        reasons: c.reasons,
+        status: c.status,
+        createdAt: c.createdAt,
+        resolvedAt: c.resolvedAt,
+        resolution: c.resolution,
+        a: summaries.get(`${c.sourceAType}:${c.sourceAId}`) || { type: c.sourceAType, id: c.sourceAId, missing: true },
+        b: summaries.get(`${c.sourceBType}:${c.sourceBId}`) || { type: c.sourceBType, id: c.sourceBId, missing: true }
+    }));
+};
+
+/**
+ * Busca um par pendente
+ * ✅ PROFILE ISOLATION
+ */
+const findPendingCandidate = async (userId, profileId, candidateId, options = {}) => {
+    const where = { id: candidateId, userId };
+    if (profileId) where.profileId = profileId; // ✅ PROFILE ISOLATION
+
+    const candidate = await DuplicateCandidate.findOne({ where, transaction: options.transaction });
+    if (!candidate) {
+        throw new AppError('Par de duplicatas não encontrado', 404, 'DUPLICATE_NOT_FOUND');
+    }
+    if (candidate.status !== 'PENDING') {
+        throw new AppError('Este par já foi revisado', 409, 'DUPLICATE_ALREADY_RESOLVED');
+    }
+
+    return candidate;
+};
+
+/**
+ * Marca o par como KEPT_BOTH (não é duplicata) ou IGNORED
+ */
+const resolveCandidate = async (userId, profileId, candidateId, status) => {
+    const candidate = await findPendingCandidate(userId, profileId, candidateId);
+
+    await candidate.update({ status, resolvedAt: new Date() });
+
+    return candidate;
+};
+
+// ===========================================
+// MESCLAGEM
+// ===========================================
+
+/**
+ * Carrega um lado do par para mesclagem
+ */
+const loadRecord = async (userId, type, id, t) => {
+    const Model = { MANUAL: ManualTransaction, CARD: CardTransaction, OPEN_FINANCE: OpenFinanceTransaction }[type];
+    const record = await Model.findOne({ where: { id, userId }, transaction: t });
+    if (!record) {
+        throw new AppError('Uma das transações do par não existe mais', 409, 'DUPLICATE_SOURCE_MISSING');
+    }
+
+    const metadata = type === 'CARD'
+        ? null
+        : await TransactionMetadata.findOne({ where: { userId, transactionType: type, transactionId: id }, transaction: t });
+
+    let categoryName = null;
+    if (type === 'MANUAL' && record.categoryId) {
+        const category = await Category.findByPk(record.categoryId, { attributes: ['name'], transaction: t });
+        categoryName = category?.name || null;
+    }
+
+    return {
+        type,
+        record,
+        metadata,
+        categoryId: type === 'MANUAL' ? record.categoryId : null,
+        category: type === 'CARD' ? record.category : (categoryName || metadata?.category || null),
+        tags: (type === 'CARD' ? record.tags : metadata?.tags) || [],
+        notes: (type === 'CARD' ? record.notes : metadata?.notes) || null,
+        isUserEntered: type !== 'OPEN_FINANCE' && !record.externalId
+    };
+};
+
+/**
+ * Aplica categoria/tags/observações ao registro mantido
+ */
+const applyUserData = async (userId, keeper, data, t) => {
+    const tags = [...new Set([...keeper.tags, ...data.tags])];
+
+    if (keeper.type === 'CARD') {
+        await keeper.record.update({
+            category: data.category || keeper.category,
+            tags,
+            notes: data.notes || keeper.notes
+        }, { transaction: t });
+        return;
+    }
+
+    if (keeper.type === 'MANUAL' && data.categoryId) {
+        await keeper.record.update({ categoryId: data.categoryId }, { transaction: t });
+    }
+
+    const [metadata] = keeper.metadata
+        ? [keeper.metadata]
+        : await TransactionMetadata.findOrCreate({
+            where: { userId, transactionType: keeper.type, transactionId: keeper.record.id },
+            transaction: t
+        });
+
+    await metadata.update({
+        category: data.category || metadata.category,
+        tags,
+        notes: data.notes || metadata.notes
+    }, { transaction: t });
+};
+
+/**
+ * Remove o registro duplicado
+ * - Open Finance não é excluído (voltaria na próxima sincronização): fica ignorado
+ * - Ocorrência pendente de série recorrente: vira pulada (CANCELLED)
+ * - Manual concluída com conta: saldo revertido
+ */
+const removeDuplicate = async (userId, duplicate, t) => {
+    const { type, record } = duplicate;
+
+    if (type === 'OPEN_FINANCE') {
+        const [metadata] = duplicate.metadata
+            ? [duplicate.metadata]
+            : await TransactionMetadata.findOrCreate({
+                where: { userId, transactionType: 'OPEN_FINANCE', transactionId: record.id },
+                transaction: t
+            });
+        await metadata.update({ isIgnored: true }, { transaction: t });
+        return 'IGNORED';
+    }
+
+    if (type === 'MANUAL' && record.recurringSeriesId && record.status === 'PENDING') {
+        await record.update({ status: 'CANCELLED', notificationsCreated: true }, { transaction: t });
+        return 'SKIPPED';
+    }
+
+    if (type === 'MANUAL' && record.bankAccountId && record.status === 'COMPLETED') {
+        const amountToRevert = record.type === 'INCOME'
+            ? -parseFloat(record.amount)
+            : parseFloat(record.amount);
+        await bankAccountsService.updateBalance(record.bankAccountId, amountToRevert, t, {
+            transactionId: record.id,
+            reason: 'DUPLICATE_MERGE'
+        });
+    }
+
+    if (duplicate.metadata) await duplicate.metadata.destroy({ transaction: t });
+    await TransactionMetadata.destroy({ where: { userId, transactionType: type, transactionId: record.id }, transaction: t });
+    // Vai para a lixeira: restaurar desfaz a remoção (e reaplica o saldo)
+    await trashService.moveToTrash(type, { id: record.id }, { transaction: t });
+    return 'DELETED';
+};
+
+/**
+ * Mescla o par: mantém um registro e remove o outro
+ *
+ * Por padrão mantém o Open Finance (dado do banco) ou o importado (externalId),
+ * e copia para ele categoria, tags, observações e anexos do lançamento do usuário.
+ *
+ * @param {string} userId
+ * @param {string} profileId
+ * @param {string} candidateId
+ * @param {object} options
+ * @param {string} options.keep - 'A' | 'B' para escolher o registro mantido
+ */
+const mergeCandidate = async (userId, profileId, candidateId, options = {}) => {
+    const t = await sequelize.transaction();
+
+    try {
+        const candidate = await findPendingCandidate(userId, profileId, candidateId, { transaction: t });
+
+        const a = await loadRecord(userId, candidate.sourceAType, candidate.sourceAId, t);
+        const b = await loadRecord(userId, candidate.sourceBType, candidate.sourceBId, t);
+
+        let keeper;
+        if (options.keep === 'A' || options.keep === 'B') {
+            keeper = options.keep === 'A' ? a : b;
+        } else if (a.type === 'OPEN_FINANCE' || b.type === 'OPEN_FINANCE') {
+            keeper = a.type === 'OPEN_FINANCE' ? a : b;
+        } else {
+            keeper = !a.isUserEntered ? a : (!b.isUserEntered ? b : a);
+        }
+        const duplicate = keeper === a ? b : a;
+
+        if (duplicate.type === 'MANUAL' && recurringService.isSeriesMaster(duplicate.record)) {
+            throw new AppError(
+                'A transação a remover define uma série recorrente. Mantenha-a (keep) ou encerre a série antes.',
+                409,
+                'DUPLICATE_MERGE_RECURRING_SERIES'
+            );
+        }
+
+        // Compensada em conciliação concluída: removê-la quebraria o extrato fechado
+        if (duplicate.type === 'MANUAL') {
+            await assertNotReconciled(duplicate.record, null, { transaction: t });
+        }
+
+        // Dados do usuário prevalecem: lançamento digitado > importado
+        const userSide = duplicate.isUserEntered || !keeper.isUserEntered ? duplicate : keeper;
+        const otherSide = userSide === duplicate ? keeper : duplicate;
+        await applyUserData(userId, keeper, {
+            categoryId: userSide.categoryId || otherSide.categoryId,
+            category: userSide.category || otherSide.category,
+            tags: [...userSide.tags, ...otherSide.tags],
+            notes: userSide.notes || otherSide.notes
+        }, t);
+
+        // Divisão por categorias acompanha o registro mantido
+        if (duplicate.type !== 'OPEN_FINANCE' && duplicate.record.isSplit) {
+            const sameAmount = Math.round(Math.abs(parseFloat(duplicate.record.amount)) * 100)
+                === Math.round(Math.abs(parseFloat(keeper.record.amount)) * 100);
+            if (keeper.type === 'OPEN_FINANCE' || keeper.record.isSplit || !sameAmount) {
+                throw new AppError(
+                    'A transação a remover está dividida em categorias. Desfaça a divisão ou mantenha-a (keep).',
+                    409,
+                    'DUPLICATE_MERGE_SPLIT'
+                );
+            }
+            await TransactionSplit.update(
+                { transactionType: keeper.type, transactionId: keeper.record.id },
+                { where: { transactionType: duplicate.type, transactionId: duplicate.record.id }, transaction: t }
+            );
+            await keeper.record.update({ isSplit: true }, { transaction: t });
+        }
+
+        // Importações futuras reconhecem o registro mantido pelo externalId
+        if (keeper.type === duplicate.type && keeper.type !== 'OPEN_FINANCE'
+            && !keeper.record.externalId && duplicate.record.externalId) {
+            const externalId = duplicate.record.externalId;
+            await duplicate.record.update({ externalId: null }, { transaction: t });
+            await keeper.record.update({ externalId }, { transaction: t });
+        }
+
+        await attachmentsService.moveAttachments(
+            ATTACHMENT_TYPES[duplicate.type], duplicate.record.id,
+            ATTACHMENT_TYPES[keeper.type], keeper.record.id,
+            { transaction: t }
+        );
+
+        const removal = await removeDuplicate(userId, duplicate, t);
+
+        const resolution = {
+            keptType: keeper.type,
+            keptId: keeper.record.id,
+            removedType: duplicate.type,
+            removedId: duplicate.record.id,
+            removal
+        };
+
+        await candidate.update({ status: 'MERGED', resolvedAt: new Date(), resolution }, { transaction: t });
+
+        // Outros pares pendentes com o registro removido perdem o sentido
+        await DuplicateCandidate.update(
+            { status: 'IGNORED', resolvedAt: new Date(), resolution: { reason: 'SOURCE_MERGED', mergedCandidateId: candidate.id } },
+            {
+                where: {
+                    userId,
+                    status: 'PENDING',
+                    id: { [Op.ne]: candidate.id },
+                    [Op.or]: [
+                        { sourceAType: duplicate.type, sourceAId: duplicate.record.id },
+                        { sourceBType: duplicate.type, sourceBId: duplicate.record.id }
+                    ]
+                },
+                transaction: t
+            }
+        );
+
+        await AuditLog.create({
+            userId,
+            action: AuditLog.ACTIONS.TRANSACTION_MERGE,
+            resource: 'DUPLICATE_CANDIDATE',
+            resourceId: candidate.id,
+            details: { profileId, score: candidate.score, ...resolution },
+            previousData: {
+                kept: keeper.record.toJSON(),
+                removed: duplicate.record.toJSON(),
+                removedMetadata: duplicate.metadata ? duplicate.metadata.toJSON() : null
+            }
+        }, { transaction: t });
+
+        await t.commit();
+
+        return { id: candidate.id, status: 'MERGED', resolution };
+    } catch (error) {
+        await t.rollback();
+        console.error('❌ [DUPLICATES MERGE] Error:', error);
+        throw error;
+    }
+};
+
+module.exports = {
+    scanDuplicates,
+    scorePair,
+    descriptionSimilarity,
+    isComparable,
+    listCandidates,
+    resolveCandidate,
+    mergeCandidate
+};
@@ -0,0 +1,4 @@
+module.exports = {
+    duplicatesController: require('./duplicates.controller'),
+    duplicatesRoutes: require('./duplicates.routes')
+};
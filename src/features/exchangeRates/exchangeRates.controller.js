@@ -0,0 +1,80 @@
+/**
+ * Exchange Rates Controller
+ * ✅ PROFILE ISOLATION: Uses req.profileId (moeda base do perfil)
+ */
+
+const moment = require('moment');
+const exchangeRatesService = require('./exchangeRates.service');
+
+/**
+ * GET /exchange-rates?currency=USD&baseCurrency=BRL&startDate=&endDate=&source=MANUAL
+ */
+const list = async (req, res, next) => {
+    try {
+        const rates = await exchangeRatesService.listRates(req.userId, req.query);
+
+        res.json({ data: rates });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /exchange-rates (cotação manual)
+ */
+const create = async (req, res, next) => {
+    try {
+        const rate = await exchangeRatesService.saveManualRate(req.userId, {
+            ...req.body,
+            baseCurrency: req.body.baseCurrency || await exchangeRatesService.getBaseCurrency(req.profileId)
+        });
+
+        res.status(201).json({
+            message: 'Cotação registrada com sucesso',
+            data: rate
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * DELETE /exchange-rates/:id
+ */
+const remove = async (req, res, next) => {
+    try {
+        await exchangeRatesService.deleteManualRate(req.userId, req.params.id);
+
+        res.json({ message: 'Cotação excluída com sucesso' });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * GET /exchange-rates/convert?amount=100&from=USD&to=BRL&date=2026-01-15
+ */
+const convert = async (req, res, next) => {
+    try {
+        const { amount, from, to, date } = req.query;
+
+        const result = await exchangeRatesService.convert(
+            amount,
+            from,
+            to || await exchangeRatesService.getBaseCurrency(req.profileId),
+            date || moment().format('YYYY-MM-DD'),
+            { userId: req.userId }
+        );
+
+        res.json({ data: result });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    list,
+    create,
+    remove,
+    convert
+};
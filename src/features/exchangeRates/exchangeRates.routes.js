@@ -0,0 +1,41 @@
+/**
+ * Exchange Rates Routes
+ * ========================================
+ * ✅ PROFILE ISOLATION: Uses profileMiddleware
+ * ========================================
+ */
+
+const { Router } = require('express');
+const exchangeRatesController = require('./exchangeRates.controller');
+const { authMiddleware } = require('../../middlewares/authMiddleware');
+const { profileMiddleware } = require('../../middlewares/profileMiddleware');
+const { validate } = require('../../utils/validators');
+
+const router = Router();
+
+// ✅ Auth first, then profile isolation
+router.use(authMiddleware);
+router.use(profileMiddleware);
+
+// Schemas de validação
+const createRateSchema = {
+    body: {
+        currency: { required: true, minLength: 3 },
+        baseCurrency: { minLength: 3 },
+        date: { required: true, type: 'date' },
+        rate: { required: true, min: 0.00000001 }
+    }
+};
+
+const idSchema = {
+    params: {
+        id: { type: 'uuid' }
+    }
+};
+
+router.get('/', exchangeRatesController.list);
+router.get('/convert', exchangeRatesController.convert);
+router.post('/', validate(createRateSchema), exchangeRatesController.create);
+router.delete('/:id', validate(idSchema), exchangeRatesController.remove);
+
+module.exports = router;
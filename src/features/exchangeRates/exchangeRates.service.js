@@ -0,0 +1,479 @@
+/**
+ * Exchange Rates Service
+ * ========================================
+ * MULTIMOEDA E CÂMBIO
+ * ========================================
+ *
+ * - Cotações históricas na tabela exchange_rates
+ * - Busca no provedor plugável quando falta a cotação do dia
+ *   (FX_RATES_PROVIDER, default BCB_PTAX) e grava para reuso
+ * - Cotação manual do usuário como fallback (e prioridade na mesma data)
+ * - Transações manuais em moeda estrangeira guardam valor original
+ *   (amount/currency) e convertido para a moeda do perfil
+ *   (convertedAmount/baseCurrency/exchangeRate)
+ * ✅ PROFILE ISOLATION: moeda base vem do perfil
+ */
+
+const moment = require('moment');
+const { ExchangeRate, Profile, ManualTransaction, BankAccount, CreditCard, sequelize } = require('../../models');
+const { AppError } = require('../../middlewares/errorHandler');
+const { Op } = require('sequelize');
+const { getProvider } = require('./providers');
+const { logger } = require('../../config/logger');
+
+const DEFAULT_CURRENCY = 'BRL';
+
+// Cotação mais antiga aceita (fins de semana, feriados, provedor fora do ar)
+const MAX_RATE_AGE_DAYS = parseInt(process.env.FX_RATE_MAX_AGE_DAYS) || 7;
+
+// Falha do provedor numa data fica em cache (fim de semana, feriado, PTAX ainda
+// não publicada): evita nova chamada externa a cada transação salva
+const PROVIDER_MISS_TTL_MS = (parseInt(process.env.FX_PROVIDER_MISS_TTL_MINUTES) || 60) * 60 * 1000;
+const providerMisses = new Map();
+
+const CURRENCY_REGEX = /^[A-Z]{3}$/;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Valida e normaliza um código de moeda ISO 4217
+ */
+const normalizeCurrency = (currency) => {
+    const code = String(currency || '').trim().toUpperCase();
+    if (!CURRENCY_REGEX.test(code)) {
+        throw new AppError(`Moeda inválida: ${currency}. Use o código ISO (ex: USD, EUR)`, 400, 'INVALID_CURRENCY');
+    }
+    return code;
+};
+
+/**
+ * Moeda base do perfil (default BRL)
+ */
+const getBaseCurrency = async (profileId, options = {}) => {
+    if (!profileId) return DEFAULT_CURRENCY;
+
+    const profile = await Profile.findByPk(profileId, {
+        attributes: ['currency'],
+        transaction: options.transaction
+    });
+    return profile?.currency || DEFAULT_CURRENCY;
+};
+
+/**
+ * Cotação gravada mais recente até a data (direta ou inversa)
+ * Na mesma data, a cotação manual do usuário prevalece sobre a do provedor
+ */
+const findStoredRate = async (currency, baseCurrency, date, userId) => {
+    const minDate = moment(date).subtract(MAX_RATE_AGE_DAYS, 'days').format('YYYY-MM-DD');
+
+    const stored = await ExchangeRate.findOne({
+        where: {
+            [Op.or]: [
+                { currency, baseCurrency },
+                { currency: baseCurrency, baseCurrency: currency }
+            ],
+            date: { [Op.between]: [minDate, date] },
+            userId: userId ? { [Op.or]: [userId, null] } : null
+        },
+        order: [
+            ['date', 'DESC'],
+            [sequelize.literal('user_id IS NULL'), 'ASC']
+        ]
+    });
+
+    if (!stored) return null;
+
+    const rate = parseFloat(stored.rate);
+    return {
+        rate: stored.currency === currency ? rate : 1 / rate,
+        date: stored.date,
+        source: stored.source
+    };
+};
+
+/**
+ * Cotação currency -> baseCurrency na data
+ * Datas futuras (ocorrências PENDING) usam a cotação mais recente.
+ * Data em que o provedor já falhou não é consultada de novo até expirar
+ * o cache (vale a gravada mais recente, até MAX_RATE_AGE_DAYS).
+ *
+ * @param {string} currency
+ * @param {string} baseCurrency
+ * @param {string} date - YYYY-MM-DD
+ * @param {object} options
+ * @param {string} options.userId - Considera as cotações manuais do usuário
+ * @returns {Promise<{ rate: number, date: string, source: string }>}
+ */
+const getRate = async (currency, baseCurrency, date, options = {}) => {
+    if (currency === baseCurrency) {
+        return { rate: 1, date, source: 'IDENTITY' };
+    }
+
+    const today = moment().format('YYYY-MM-DD');
+    const rateDate = !date || date > today ? today : moment(date).format('YYYY-MM-DD');
+
+    const stored = await findStoredRate(currency, baseCurrency, rateDate, options.userId);
+    if (stored && stored.date === rateDate) return stored;
+
+    // Sem cotação do dia: tentar o provedor antes de aceitar uma mais antiga
+    const provider = getProvider();
+    const missKey = `${provider?.name}:${currency}/${baseCurrency}:${rateDate}`;
+    if (provider && (providerMisses.get(missKey) || 0) <= Date.now()) {
+        try {
+            const fetched = await provider.getRate(currency, baseCurrency, rateDate);
+            const [saved] = await ExchangeRate.findOrCreate({
+                where: { userId: null, currency, baseCurrency, date: fetched.date, source: provider.name },
+                defaults: { rate: fetched.rate }
+            });
+            return { rate: parseFloat(saved.rate), date: saved.date, source: provider.name };
+        } catch (error) {
+            logger.warn(`⚠️ [FX] Provedor ${provider.name} sem cotação ${currency}/${baseCurrency} em ${rateDate}: ${error.message}`);
+            providerMisses.set(missKey, Date.now() + PROVIDER_MISS_TTL_MS);
+        }
+    }
+
+    if (stored) return stored;
+
+    const error = new AppError(
+        `Cotação ${currency}/${baseCurrency} indisponível para ${rateDate}. Informe a cotação manualmente em /exchange-rates.`,
+        422,
+        'FX_RATE_UNAVAILABLE'
+    );
+    error.details = { currency, baseCurrency, date: rateDate };
+    throw error;
+};
+
+/**
+ * Cotação para totais agregados (dashboard, orçamento do mês)
+ * - Nada a converter (valores zerados): não consulta cotação
+ * - Cotação indisponível: rate 1 com unavailable: true — o total segue sem
+ *   conversão e a resposta sinaliza, em vez de derrubar o endpoint inteiro
+ *
+ * @param {Array<number|string|null>} amounts - valores na moeda de origem
+ * @returns {Promise<{ rate: number, unavailable: boolean }>}
+ */
+const getRateForTotals = async (currency, baseCurrency, date, amounts, options = {}) => {
+    if (currency === baseCurrency || !amounts.some(amount => parseFloat(amount))) {
+        return { rate: 1, unavailable: false };
+    }
+
+    try {
+        const { rate } = await getRate(currency, baseCurrency, date, options);
+        return { rate, unavailable: false };
+    } catch (error) {
+        if (error.code !== 'FX_RATE_UNAVAILABLE') throw error;
+        return { rate: 1, unavailable: true };
+    }
+};
+
+/**
+ * Converte um valor entre moedas na data
+ */
+const convert = async (amount, currency, baseCurrency, date, options = {}) => {
+    if (isNaN(parseFloat(amount))) {
+        throw new AppError('Valor inválido para conversão', 400, 'INVALID_AMOUNT');
+    }
+
+    const from = normalizeCurrency(currency);
+    const to = normalizeCurrency(baseCurrency);
+    const quote = await getRate(from, to, date, options);
+
+    return {
+        amount: parseFloat(amount),
+        currency: from,
+        convertedAmount: round2(parseFloat(amount) * quote.rate),
+        baseCurrency: to,
+        rate: quote.rate,
+        rateDate: quote.date,
+        source: quote.source
+    };
+};
+
+/**
+ * Preenche os campos convertidos de uma ManualTransaction (hook beforeSave)
+ * Na moeda do perfil os campos ficam nulos e os totais usam o próprio amount.
+ */
+const applyConversion = async (transaction, options = {}) => {
+    const baseCurrency = await getBaseCurrency(transaction.profileId, options);
+
+    if (!transaction.currency || transaction.currency === baseCurrency) {
+        transaction.exchangeRate = null;
+        transaction.convertedAmount = null;
+        transaction.baseCurrency = null;
+        return transaction;
+    }
+
+    const { rate } = await getRate(transaction.currency, baseCurrency, transaction.date, {
+        userId: transaction.userId
+    });
+
+    transaction.exchangeRate = rate;
+    transaction.convertedAmount = round2(parseFloat(transaction.amount) * rate);
+    transaction.baseCurrency = baseCurrency;
+    return transaction;
+};
+
+/**
+ * Reconverte as transações do perfil (ex.: moeda base alterada)
+ * @returns {Promise<{ updated: number, failed: number }>}
+ */
+const reconvertProfile = async (userId, profileId) => {
+    const baseCurrency = await getBaseCurrency(profileId);
+
+    const transactions = await ManualTransaction.findAll({
+        where: {
+            userId,
+            profileId,
+            [Op.or]: [
+                { currency: { [Op.ne]: baseCurrency } },
+                { baseCurrency: { [Op.ne]: null } }
+            ]
+        }
+    });
+
+    let updated = 0;
+    let failed = 0;
+    for (const transaction of transactions) {
+        try {
+            await applyConversion(transaction);
+            await transaction.save({ hooks: false });
+            updated++;
+        } catch (error) {
+            failed++;
+            logger.warn(`⚠️ [FX] Falha ao reconverter transação ${transaction.id}: ${error.message}`);
+        }
+    }
+
+    return { updated, failed };
+};
+
+// ===========================================
+// COTAÇÕES (CRUD)
+// ===========================================
+
+/**
+ * Lista cotações (do provedor e manuais do usuário)
+ */
+const listRates = async (userId, filters = {}) => {
+    const where = { userId: { [Op.or]: [userId, null] } };
+    if (filters.currency) where.currency = normalizeCurrency(filters.currency);
+    if (filters.baseCurrency) where.baseCurrency = normalizeCurrency(filters.baseCurrency);
+    if (filters.source === 'MANUAL') where.userId = userId;
+    if (filters.startDate || filters.endDate) {
+        where.date = {};
+        if (filters.startDate) where.date[Op.gte] = filters.startDate;
+        if (filters.endDate) where.date[Op.lte] = filters.endDate;
+    }
+
+    return ExchangeRate.findAll({
+        where,
+        order: [['date', 'DESC'], ['currency', 'ASC']],
+        limit: Math.min(parseInt(filters.limit) || 100, 500)
+    });
+};
+
+/**
+ * Grava (ou atualiza) uma cotação manual do usuário
+ */
+const saveManualRate = async (userId, data) => {
+    const currency = normalizeCurrency(data.currency);
+    const baseCurrency = normalizeCurrency(data.baseCurrency || DEFAULT_CURRENCY);
+
+    if (currency === baseCurrency) {
+        throw new AppError('Moeda e moeda base devem ser diferentes', 400, 'INVALID_CURRENCY_PAIR');
+    }
+
+    const [rate, created] = await ExchangeRate.findOrCreate({
+        where: { userId, currency, baseCurrency, date: data.date, source: 'MANUAL' },
+        defaults: { rate: data.rate }
+    });
+
+    if (!created) {
+        await rate.update({ rate: data.rate });
+    }
+
+    return rate;
+};
+
+/**
+ * Exclui uma cotação manual do usuário
+ */
+const deleteManualRate = async (userId, rateId) => {
+    const rate = await ExchangeRate.findOne({
+        where: { id: rateId, userId, source: 'MANUAL' }
+    });
+
+    if (!rate) {
+        throw new AppError('Cotação não encontrada', 404, 'EXCHANGE_RATE_NOT_FOUND');
+    }
+
+    await rate.destroy();
+};
+
+/**
+ * Pares moeda/moeda base em uso (contas, cartões e transações x perfis)
+ */
+const getPairsInUse = async () => {
+    const [accounts, cards, transactions] = await Promise.all([
+        BankAccount.findAll({
+            where: { isActive: true },
+            attributes: ['currency'],
+            include: [{ model: Profile, as: 'profile', attributes: ['currency'] }]
+        }),
+        CreditCard.findAll({
+            attributes: ['currency'],
+            include: [{ model: Profile, as: 'profile', attributes: ['currency'] }]
+        }),
+        ManualTransaction.findAll({
+            where: { baseCurrency: { [Op.ne]: null } },
+            attributes: ['currency', 'baseCurrency'],
+            group: ['currency', 'baseCurrency'],
+            raw: true
+        })
+    ]);
+
+    const pairs = new Set();
+    [...accounts, ...cards].forEach(item => {
+        const base = item.profile?.currency || DEFAULT_CURRENCY;
+        if (item.currency && item.currency !== base) pairs.add(`${item.currency}/${base}`);
+    });
+    transactions.forEach(t => pairs.add(`${t.currency}/${t.baseCurrency}`));
+
+    return [...pairs].map(pair => {
+        const [currency, baseCurrency] = pair.split('/');
+        return { currency, baseCurrency };
+    });
+};
+
+/**
+ * Atualiza as cotações do dia para os pares em uso (cron)
+ */
+const syncRates = async (date = moment().format('YYYY-MM-DD')) => {
+    const pairs = await getPairsInUse();
+
+    let synced = 0;
+    let failed = 0;
+    for (const pair of pairs) {
+        try {
+            await getRate(pair.currency, pair.baseCurrency, date);
+            synced++;
+        } catch (error) {
+            failed++;
+        }
+    }
+
+    return { pairs: pairs.length, synced, failed };
+};
+
+// ===========================================
+// RESULTADO CAMBIAL
+// ===========================================
+
+/**
+ * Ganho/perda cambial das contas em moeda estrangeira no período
+ *
+ * Para cada conta: valor final − valor inicial − movimentações,
+ * tudo convertido para a moeda do perfil. O que sobra é efeito do câmbio.
+ *   resultado = saldoFinal × cotaçãoFinal − saldoInicial × cotaçãoInicial − Σ(mov × cotação do dia)
+ *
+ * ✅ PROFILE ISOLATION
+ */
+const getFxResult = async (userId, profileId, filters = {}) => {
+    const endDate = filters.endDate || moment().format('YYYY-MM-DD');
+    const startDate = filters.startDate || moment(endDate).startOf('month').format('YYYY-MM-DD');
+    if (startDate > endDate) {
+        throw new AppError('startDate deve ser anterior a endDate', 400, 'INVALID_PERIOD');
+    }
+
+    const baseCurrency = await getBaseCurrency(profileId);
+    const openingDate = moment(startDate).subtract(1, 'day').format('YYYY-MM-DD');
+
+    const accountWhere = { userId, isActive: true, currency: { [Op.ne]: baseCurrency } };
+    if (profileId) accountWhere.profileId = profileId; // ✅ PROFILE ISOLATION
+
+    const accounts = await BankAccount.findAll({ where: accountWhere });
+
+    const rateCache = new Map();
+    const rateAt = async (currency, date) => {
+        const key = `${currency}:${date}`;
+        if (!rateCache.has(key)) {
+            rateCache.set(key, (await getRate(currency, baseCurrency, date, { userId })).rate);
+        }
+        return rateCache.get(key);
+    };
+
+    const flowOf = (t) => (t.type === 'INCOME' ? 1 : -1) * parseFloat(t.amount);
+
+    const results = [];
+    for (const account of accounts) {
+        const transactions = await ManualTransaction.findAll({
+            where: {
+                userId,
+                bankAccountId: account.id,
+                status: 'COMPLETED',
+                date: { [Op.gte]: startDate }
+            },
+            attributes: ['type', 'amount', 'date', 'currency', 'exchangeRate', 'baseCurrency'],
+            order: [['date', 'ASC']]
+        });
+
+        const inPeriod = transactions.filter(t => t.date <= endDate);
+        const afterPeriod = transactions.filter(t => t.date > endDate);
+
+        // Saldo atual volta no tempo pelas movimentações
+        const closingBalance = parseFloat(account.balance) - afterPeriod.reduce((sum, t) => sum + flowOf(t), 0);
+        const netFlows = inPeriod.reduce((sum, t) => sum + flowOf(t), 0);
+        const openingBalance = closingBalance - netFlows;
+
+        let netFlowsConverted = 0;
+        for (const t of inPeriod) {
+            const rate = t.exchangeRate && t.currency === account.currency && t.baseCurrency === baseCurrency
+                ? parseFloat(t.exchangeRate)
+                : await rateAt(account.currency, t.date);
+            netFlowsConverted += flowOf(t) * rate;
+        }
+
+        const openingRate = await rateAt(account.currency, openingDate);
+        const closingRate = await rateAt(account.currency, endDate);
+        const openingValue = openingBalance * openingRate;
+        const closingValue = closingBalance * closingRate;
+
+        results.push({
+            accountId: account.id,
+            name: account.nickname || account.bankName,
+            currency: account.currency,
+            openingBalance: round2(openingBalance),
+            closingBalance: round2(closingBalance),
+            netFlows: round2(netFlows),
+            openingRate,
+            closingRate,
+            openingValue: round2(openingValue),
+            closingValue: round2(closingValue),
+            netFlowsConverted: round2(netFlowsConverted),
+            fxGainLoss: round2(closingValue - openingValue - netFlowsConverted)
+        });
+    }
+
+    return {
+        period: { startDate, endDate },
+        baseCurrency,
+        accounts: results,
+        totalFxGainLoss: round2(results.reduce((sum, a) => sum + a.fxGainLoss, 0))
+    };
+};
+
+module.exports = {
+    DEFAULT_CURRENCY,
+    normalizeCurrency,
+    getBaseCurrency,
+    getRate,
+    getRateForTotals,
+    convert,
+    applyConversion,
+    reconvertProfile,
+    listRates,
+    saveManualRate,
+    deleteManualRate,
+    syncRates,
+    getFxResult
+};
@@ -0,0 +1,4 @@
+module.exports = {
+    exchangeRatesController: require('./exchangeRates.controller'),
+    exchangeRatesRoutes: require('./exchangeRates.routes')
+};
@@ -0,0 +1,77 @@
+/**
+ * Provedor BCB PTAX
+ * ========================================
+ * Cotações de fechamento (PTAX venda) do Banco Central do Brasil.
+ * O BCB cota moedas contra o real; pares sem BRL são calculados
+ * pela cotação cruzada (USD/EUR = USD/BRL ÷ EUR/BRL).
+ */
+
+const axios = require('axios');
+const moment = require('moment');
+
+const BCB_PTAX_URL = process.env.BCB_PTAX_URL || 'https://olinda.bcb.gov.br/olinda/servico/PTAX/versao/v1/odata';
+
+// Fins de semana e feriados não têm boletim: busca a última cotação da semana
+const LOOKBACK_DAYS = 7;
+
+/**
+ * Última PTAX (venda, fechamento) da moeda em reais até a data
+ * @returns {Promise<{ rate: number, date: string }>}
+ */
+const getBrlRate = async (currency, date) => {
+    const end = moment(date);
+    const start = end.clone().subtract(LOOKBACK_DAYS, 'days');
+
+    const response = await axios.get(
+        `${BCB_PTAX_URL}/CotacaoMoedaPeriodo(moeda=@moeda,dataInicial=@dataInicial,dataFinalCotacao=@dataFinalCotacao)`,
+        {
+            params: {
+                '@moeda': `'${currency}'`,
+                '@dataInicial': `'${start.format('MM-DD-YYYY')}'`,
+                '@dataFinalCotacao': `'${end.format('MM-DD-YYYY')}'`,
+                $format: 'json'
+            },
+            timeout: 10000
+        }
+    );
+
+    const bulletins = (response.data?.value || [])
+        .filter(b => b.tipoBoletim === 'Fechamento')
+        .sort((a, b) => a.dataHoraCotacao.localeCompare(b.dataHoraCotacao));
+    const last = bulletins[bulletins.length - 1];
+
+    if (!last?.cotacaoVenda) {
+        throw new Error(`PTAX indisponível para ${currency} em ${date}`);
+    }
+
+    return {
+        rate: parseFloat(last.cotacaoVenda),
+        date: last.dataHoraCotacao.slice(0, 10)
+    };
+};
+
+/**
+ * Cotação currency -> baseCurrency na data
+ * @returns {Promise<{ rate: number, date: string }>}
+ */
+const getRate = async (currency, baseCurrency, date) => {
+    if (baseCurrency === 'BRL') {
+        return getBrlRate(currency, date);
+    }
+
+    const base = await getBrlRate(baseCurrency, date);
+    if (currency === 'BRL') {
+        return { rate: 1 / base.rate, date: base.date };
+    }
+
+    const quoted = await getBrlRate(currency, date);
+    return {
+        rate: quoted.rate / base.rate,
+        date: quoted.date < base.date ? quoted.date : base.date
+    };
+};
+
+module.exports = {
+    name: 'BCB_PTAX',
+    getRate
+};
@@ -0,0 +1,45 @@
+/**
+ * Provedores de Câmbio
+ * ========================================
+ * Registro de provedores plugáveis. Cada provedor implementa:
+ *   - name
+ *   - getRate(currency, baseCurrency, date) -> { rate, date }
+ *     (date = data efetiva da cotação, pode ser anterior à pedida)
+ *
+ * O provedor ativo vem de FX_RATES_PROVIDER (default: BCB_PTAX).
+ * Sem provedor disponível, as cotações são informadas manualmente.
+ */
+
+const bcbPtaxProvider = require('./bcbPtax.provider');
+
+const providers = {
+    [bcbPtaxProvider.name]: bcbPtaxProvider
+};
+
+/**
+ * Registra um provedor adicional
+ */
+const registerProvider = (provider) => {
+    if (!provider?.name || !provider.getRate) {
+        throw new Error('Provedor de câmbio precisa de name e getRate');
+    }
+    providers[provider.name.toUpperCase()] = provider;
+};
+
+/**
+ * Retorna o provedor ativo (null se desativado com FX_RATES_PROVIDER=NONE)
+ */
+const getProvider = (name = process.env.FX_RATES_PROVIDER || 'BCB_PTAX') => {
+    if (name.toUpperCase() === 'NONE') return null;
+
+    const provider = providers[name.toUpperCase()];
+    if (!provider) {
+        throw new Error(`Provedor de câmbio não registrado: ${name}`);
+    }
+    return provider;
+};
+
+module.exports = {
+    registerProvider,
+    getProvider
+};
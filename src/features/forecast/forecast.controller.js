@@ -0,0 +1,25 @@
+/**
+ * Forecast Controller
+ * ✅ PROFILE ISOLATION: Uses req.profileId
+ */
+
+const forecastService = require('./forecast.service');
+
+/**
+ * GET /forecast/cash-flow?days=90&bankAccountId=
+ */
+const getCashFlow = async (req, res, next) => {
+    try {
+        const forecast = await forecastService.getCashFlowForecast(req.userId, req.profileId, {
+            days: req.query.days,
+            bankAccountId: req.query.bankAccountId
+        });
+        res.json({ data: forecast });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getCashFlow
+};
@@ -0,0 +1,21 @@
+/**
+ * Forecast Routes
+ * ========================================
+ * ✅ PROFILE ISOLATION: Uses profileMiddleware
+ * ========================================
+ */
+
+const { Router } = require('express');
+const forecastController = require('./forecast.controller');
+const { authMiddleware } = require('../../middlewares/authMiddleware');
+const { profileMiddleware } = require('../../middlewares/profileMiddleware');
+
+const router = Router();
+
+// ✅ Auth first, then profile isolation
+router.use(authMiddleware);
+router.use(profileMiddleware);
+
+router.get('/cash-flow', forecastController.getCashFlow);
+
+module.exports = router;
@@ -0,0 +1,585 @@
+/**
+ * Forecast Service
+ * ========================================
+ * PREVISÃO DE CAIXA POR CONTA BANCÁRIA
+ * ========================================
+ *
+ * Projeta o saldo diário de cada conta a partir do saldo atual somando:
+ * - Transações manuais PENDING (vencidas há até OVERDUE_LOOKBACK_DAYS entram hoje)
+ * - Ocorrências futuras das séries recorrentes ainda não materializadas
+ * - Assinaturas a partir do nextBillingDate (no cartão, entram na fatura)
+ * - Faturas de cartão no vencimento (ciclo aberto estimado pelos lançamentos)
+ * - Guias DAS pendentes (substituem a série "DAS" do mesmo mês)
+ * - Salário do usuário (User.salary/salaryDay) quando não há série de salário
+ * - Aportes automáticos nas metas (saem da conta de origem e entram na conta da meta)
+ *
+ * Itens sem conta caem na conta padrão do perfil.
+ * ✅ PROFILE ISOLATION: contas, cartões, assinaturas e guias do perfil
+ */
+
+const moment = require('moment');
+const {
+    User,
+    Profile,
+    BankAccount,
+    CreditCard,
+    CardInvoice,
+    CardTransaction,
+    ManualTransaction,
+    Subscription,
+    DasGuide
+} = require('../../models');
+const { AppError } = require('../../middlewares/errorHandler');
+const { Op } = require('sequelize');
+const exchangeRatesService = require('../exchangeRates/exchangeRates.service');
+const recurringService = require('../transactions/recurring.service');
+const invoicesService = require('../invoices/invoices.service');
+const subscriptionService = require('../subscription/subscription.service');
+const goalsService = require('../goals/goals.service');
+
+const DEFAULT_DAYS = 90;
+const MAX_DAYS = 365;
+const OVERDUE_LOOKBACK_DAYS = 30;
+
+const DATE_FORMAT = 'YYYY-MM-DD';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const toDate = (value) => moment(value).format(DATE_FORMAT);
+
+/**
+ * Efeito da transação manual no saldo da conta
+ * Transferência interna: a ponta de entrada tem "←" na descrição
+ */
+const signedAmount = (t) => {
+    const amount = Math.abs(parseFloat(t.amount));
+
+    if (t.type === 'INCOME') return amount;
+    if (t.type === 'INTERNAL_TRANSFER' && (t.description || '').includes('←')) return amount;
+    return -amount;
+};
+
+const isDasDescription = (description) => /^das\b/i.test((description || '').trim());
+
+/**
+ * Transações PENDING e ocorrências projetadas das séries recorrentes
+ */
+const collectManual = async (ctx) => {
+    const { userId, profileId, today, end } = ctx;
+    const lookback = moment(today).subtract(OVERDUE_LOOKBACK_DAYS, 'days').format(DATE_FORMAT);
+    const events = [];
+
+    const pending = await ManualTransaction.findAll({
+        where: {
+            userId,
+            profileId, // ✅ PROFILE ISOLATION
+            status: 'PENDING',
+            date: { [Op.between]: [lookback, end] }
+        },
+        attributes: ['id', 'type', 'description', 'amount', 'currency', 'date', 'bankAccountId', 'recurringSeriesId']
+    });
+
+    for (const t of pending) {
+        const date = toDate(t.date);
+        events.push({
+            date: date < today ? today : date,
+            type: 'PENDING_TRANSACTION',
+            description: t.description,
+            amount: signedAmount(t),
+            currency: t.currency,
+            bankAccountId: t.bankAccountId,
+            overdue: date < today,
+            reference: { transactionId: t.id, recurringSeriesId: t.recurringSeriesId || null }
+        });
+    }
+
+    const masters = (await ManualTransaction.findAll({
+        where: {
+            userId,
+            profileId, // ✅ PROFILE ISOLATION
+            isRecurring: true,
+            recurringSeriesId: null,
+            status: { [Op.ne]: 'CANCELLED' }
+        }
+    })).filter(recurringService.isSeriesMaster);
+
+    if (masters.length === 0) return events;
+
+    // Datas já materializadas (em qualquer status, inclusive na lixeira) não são projetadas
+    const materialized = await ManualTransaction.findAll({
+        where: {
+            recurringSeriesId: masters.map(m => m.id),
+            recurrenceDate: { [Op.between]: [today, end] }
+        },
+        attributes: ['recurringSeriesId', 'recurrenceDate'],
+        paranoid: false
+    });
+    const existing = new Set(materialized.map(o => `${o.recurringSeriesId}:${toDate(o.recurrenceDate)}`));
+
+    for (const master of masters) {
+        for (const date of recurringService.computeOccurrenceDates(master, today, end)) {
+            if (existing.has(`${master.id}:${date}`)) continue;
+
+            events.push({
+                date,
+                type: 'RECURRING',
+                description: master.description,
+                amount: signedAmount(master),
+                currency: master.currency,
+                bankAccountId: master.bankAccountId,
+                reference: { recurringSeriesId: master.id }
+            });
+        }
+    }
+
+    return events;
+};
+
+/**
+ * Cobranças das assinaturas ativas a partir do nextBillingDate
+ * Assinaturas no cartão são devolvidas à parte para compor a fatura
+ */
+const collectSubscriptions = async (ctx) => {
+    const { userId, profileId, today, end } = ctx;
+    const events = [];
+    const cardCharges = [];
+
+    const subscriptions = await Subscription.findAll({
+        where: { userId, profileId, status: 'ACTIVE' } // ✅ PROFILE ISOLATION
+    });
+
+    for (const sub of subscriptions) {
+        const last = sub.endDate && toDate(sub.endDate) < end ? toDate(sub.endDate) : end;
+
+        for (let date = toDate(sub.nextBillingDate); date <= last; date = subscriptionService.calculateNextBillingDate(date, sub.frequency)) {
+            const charge = {
+                date: date < today ? today : date,
+                amount: parseFloat(sub.amount),
+                currency: sub.currency,
+                description: sub.name
+            };
+
+            if (sub.cardId) {
+                cardCharges.push({ ...charge, cardId: sub.cardId, subscriptionId: sub.id });
+                continue;
+            }
+
+            events.push({
+                date: charge.date,
+                type: 'SUBSCRIPTION',
+                description: sub.name,
+                amount: -charge.amount,
+                currency: sub.currency,
+                bankAccountId: null,
+                overdue: date < today,
+                reference: { subscriptionId: sub.id }
+            });
+        }
+    }
+
+    return { events, cardCharges };
+};
+
+/**
+ * Faturas de cartão no vencimento
+ * - Fatura fechada: saldo devedor (total - pago)
+ * - Ciclo aberto ou sem fatura gerada: lançamentos do período + assinaturas projetadas
+ */
+const collectCardInvoices = async (ctx, cardCharges) => {
+    const { userId, profileId, today, end } = ctx;
+    const events = [];
+
+    const cards = await CreditCard.findAll({
+        where: { userId, profileId, isActive: true } // ✅ PROFILE ISOLATION
+    });
+    if (cards.length === 0) return events;
+
+    const invoices = await CardInvoice.findAll({
+        where: {
+            cardId: cards.map(c => c.id),
+            [Op.or]: [
+                { status: { [Op.ne]: 'PAID' } },
+                { dueDate: { [Op.gte]: today } }
+            ]
+        }
+    });
+    const invoiceMap = new Map(invoices.map(i => [`${i.cardId}:${i.referenceYear}-${i.referenceMonth}`, i]));
+
+    // Ciclos cujo vencimento cai na janela (os dois meses anteriores cobrem faturas vencidas)
+    const cycles = [];
+    for (const card of cards) {
+        for (let ref = moment(today).subtract(2, 'months'); ; ref.add(1, 'month')) {
+            const month = ref.month() + 1;
+            const year = ref.year();
+            const dates = invoicesService.calculateInvoiceDates(card, month, year);
+            if (dates.dueDate > end) break;
+
+            cycles.push({
+                card,
+                month,
+                year,
+                ...dates,
+                period: invoicesService.calculateTransactionPeriod(card, month, year),
+                invoice: invoiceMap.get(`${card.id}:${year}-${month}`)
+            });
+        }
+    }
+    if (cycles.length === 0) return events;
+
+    const transactions = await CardTransaction.findAll({
+        where: {
+            cardId: cards.map(c => c.id),
+            status: { [Op.ne]: 'CANCELLED' },
+            date: {
+                [Op.between]: [
+                    cycles.reduce((min, c) => (c.period.startDate < min ? c.period.startDate : min), end),
+                    cycles.reduce((max, c) => (c.period.endDate > max ? c.period.endDate : max), today)
+                ]
+            }
+        },
+        attributes: ['cardId', 'amount', 'date']
+    });
+
+    for (const cycle of cycles) {
+        const { card, invoice, period } = cycle;
+        if (invoice && invoice.status === 'PAID') continue;
+
+        const dueDate = invoice ? toDate(invoice.dueDate) : cycle.dueDate;
+        const paidAmount = invoice ? parseFloat(invoice.paidAmount) || 0 : 0;
+        let amount;
+
+        if (dueDate < today) {
+            // Vencida: só conta se a fatura existe e não foi quitada
+            if (!invoice) continue;
+            amount = parseFloat(invoice.totalAmount) - paidAmount;
+        } else if (invoice && cycle.closingDate < today) {
+            amount = parseFloat(invoice.totalAmount) - paidAmount;
+        } else {
+            const inPeriod = (item) => item.cardId === card.id && toDate(item.date) >= period.startDate && toDate(item.date) <= period.endDate;
+            let total = transactions.filter(inPeriod).reduce((sum, t) => sum + parseFloat(t.amount), 0);
+
+            for (const charge of cardCharges.filter(inPeriod)) {
+                total += charge.amount * await ctx.rateFor(charge.currency, card.currency);
+            }
+            amount = total - paidAmount;
+        }
+
+        if (round2(amount) <= 0) continue;
+
+        events.push({
+            date: dueDate < today ? today : dueDate,
+            type: 'CARD_INVOICE',
+            description: `Fatura ${card.name} ${String(cycle.month).padStart(2, '0')}/${cycle.year}`,
+            amount: -round2(amount),
+            currency: card.currency,
+            bankAccountId: card.bankAccountId,
+            overdue: dueDate < today,
+            estimated: !invoice || cycle.closingDate >= today,
+            reference: { cardId: card.id, invoiceId: invoice ? invoice.id : null }
+        });
+    }
+
+    return events;
+};
+
+/**
+ * Guias DAS pendentes do perfil empresarial
+ */
+const collectDasGuides = async (ctx) => {
+    const { profile, today, end } = ctx;
+    if (profile.type !== 'BUSINESS') return [];
+
+    const guides = await DasGuide.findAll({
+        where: {
+            profileId: profile.id, // ✅ PROFILE ISOLATION
+            status: ['PENDING', 'OVERDUE'],
+            dueDate: { [Op.lte]: end }
+        }
+    });
+
+    return guides.map(guide => {
+        const dueDate = toDate(guide.dueDate);
+        return {
+            date: dueDate < today ? today : dueDate,
+            type: 'DAS',
+            description: `DAS ${String(guide.month).padStart(2, '0')}/${guide.year}`,
+            amount: -parseFloat(guide.baseValue),
+            currency: 'BRL',
+            bankAccountId: guide.bankAccountId,
+            overdue: dueDate < today,
+            reference: { dasGuideId: guide.id }
+        };
+    });
+};
+
+/**
+ * Salário cadastrado no usuário, mês a mês no salaryDay
+ * Ignorado quando o perfil já tem a série de salário (evita contar duas vezes)
+ * ou quando o salário do mês já foi lançado
+ */
+const collectSalary = async (ctx) => {
+    const { userId, profile, today, end } = ctx;
+    if (profile.type !== 'PERSONAL') return [];
+
+    const user = await User.findByPk(userId, { attributes: ['salary', 'salaryDay', 'salaryDescription'] });
+    const salary = user ? parseFloat(user.salary) || 0 : 0;
+    if (salary <= 0 || !user.salaryDay) return [];
+
+    const salaryWhere = { userId, profileId: profile.id, type: 'INCOME', source: 'SALARY' };
+
+    const series = await ManualTransaction.count({
+        where: { ...salaryWhere, isRecurring: true, recurringSeriesId: null }
+    });
+    if (series > 0) return [];
+
+    const launched = await ManualTransaction.findAll({
+        where: {
+            ...salaryWhere,
+            date: { [Op.between]: [moment(today).startOf('month').format(DATE_FORMAT), end] }
+        },
+        attributes: ['date']
+    });
+    const launchedMonths = new Set(launched.map(t => moment(t.date).format('YYYY-MM')));
+
+    const events = [];
+    for (const month = moment(today).startOf('month'); month.format(DATE_FORMAT) <= end; month.add(1, 'month')) {
+        if (launchedMonths.has(month.format('YYYY-MM'))) continue;
+
+        const day = Math.min(user.salaryDay, month.daysInMonth());
+        const date = month.clone().date(day).format(DATE_FORMAT);
+        if (date < today || date > end) continue;
+
+        events.push({
+            date,
+            type: 'SALARY',
+            description: user.salaryDescription || 'Salário',
+            amount: salary,
+            currency: null,
+            bankAccountId: null,
+            reference: null
+        });
+    }
+
+    return events;
+};
+
+/**
+ * Aportes automáticos agendados nas metas
+ * Débito na conta de origem e, quando a meta tem conta própria, crédito nela
+ */
+const collectGoalContributions = async (ctx) => {
+    const { userId, profileId, today, end } = ctx;
+    const contributions = await goalsService.getScheduledContributions(userId, profileId, today, end);
+
+    const events = [];
+    for (const contribution of contributions) {
+        const event = {
+            date: contribution.date,
+            type: 'GOAL_CONTRIBUTION',
+            description: `Aporte: ${contribution.goalName}`,
+            currency: contribution.currency,
+            reference: { goalId: contribution.goalId, scheduleId: contribution.scheduleId }
+        };
+
+        events.push({ ...event, amount: -contribution.amount, bankAccountId: contribution.bankAccountId });
+        if (contribution.goalBankAccountId) {
+            events.push({ ...event, amount: contribution.amount, bankAccountId: contribution.goalBankAccountId });
+        }
+    }
+
+    return events;
+};
+
+/**
+ * Saldo diário da conta entre hoje e o fim da janela
+ */
+const buildAccountForecast = (account, events, days, today) => {
+    const byDate = new Map();
+    for (const event of events) {
+        if (!byDate.has(event.date)) byDate.set(event.date, []);
+        byDate.get(event.date).push(event);
+    }
+
+    const currentBalance = parseFloat(account.balance) || 0;
+    let balance = currentBalance;
+    let minimum = { date: today, balance: round2(balance) };
+    let firstNegativeDate = null;
+    const daily = [];
+
+    for (let i = 0; i <= days; i++) {
+        const date = moment(today).add(i, 'days').format(DATE_FORMAT);
+        const dayEvents = byDate.get(date) || [];
+        const inflow = dayEvents.filter(e => e.amount > 0).reduce((sum, e) => sum + e.amount, 0);
+        const outflow = dayEvents.filter(e => e.amount < 0).reduce((sum, e) => sum - e.amount, 0);
+
+        balance += inflow - outflow;
+        const rounded = round2(balance);
+
+        if (rounded < minimum.balance) minimum = { date, balance: rounded };
+        if (rounded < 0 && !firstNegativeDate) firstNegativeDate = date;
+
+        daily.push({ date, balance: rounded, inflow: round2(inflow), outflow: round2(outflow) });
+    }
+
+    return {
+        bankAccountId: account.id,
+        bankName: account.bankName,
+        nickname: account.nickname,
+        currency: account.currency,
+        isDefault: account.isDefault,
+        currentBalance: round2(currentBalance),
+        endBalance: daily[daily.length - 1].balance,
+        minimumBalance: minimum.balance,
+        minimumBalanceDate: minimum.date,
+        firstNegativeDate,
+        daily,
+        events: events
+            .sort((a, b) => a.date.localeCompare(b.date))
+            .map(({ bankAccountId, currency, ...event }) => ({ ...event, amount: round2(event.amount) }))
+    };
+};
+
+/**
+ * Cache de cotações para a data da previsão
+ */
+const createRateCache = (userId, date) => {
+    const rates = new Map();
+
+    return async (from, to) => {
+        if (!from || !to || from === to) return 1;
+        const key = `${from}:${to}`;
+        if (!rates.has(key)) {
+            const { rate } = await exchangeRatesService.getRate(from, to, date, { userId });
+            rates.set(key, rate);
+        }
+        return rates.get(key);
+    };
+};
+
+/**
+ * Eventos previstos de hoje até endDate, distribuídos pelas contas ativas do perfil
+ * Valores na moeda da conta; itens sem conta caem na conta padrão.
+ * Também usado pelo "quanto posso gastar hoje" (budgets/safeToSpend.service)
+ *
+ * @param {string} userId
+ * @param {string} profileId
+ * @param {string} endDate - YYYY-MM-DD
+ * @returns {Promise<{ profile, today: string, accounts: Array, eventsByAccount: Map<string, Array> }>}
+ */
+const getProjectedEvents = async (userId, profileId, endDate) => {
+    const profile = await Profile.findOne({ where: { id: profileId, userId } });
+    if (!profile) {
+        throw new AppError('Perfil não encontrado', 404, 'PROFILE_NOT_FOUND');
+    }
+
+    const today = moment().format(DATE_FORMAT);
+    const rateFor = createRateCache(userId, today);
+
+    const accounts = await BankAccount.findAll({
+        where: { userId, profileId, isActive: true }, // ✅ PROFILE ISOLATION
+        order: [['isDefault', 'DESC'], ['createdAt', 'ASC']]
+    });
+
+    const ctx = { userId, profileId, profile, today, end: endDate, rateFor };
+
+    const manual = await collectManual(ctx);
+    const { events: subscriptions, cardCharges } = await collectSubscriptions(ctx);
+    const invoices = await collectCardInvoices(ctx, cardCharges);
+    const das = await collectDasGuides(ctx);
+    const salary = await collectSalary(ctx);
+    const goalContributions = await collectGoalContributions(ctx);
+
+    // Guia DAS do mês substitui a transação/série "DAS" do mesmo mês
+    const dasMonths = new Set(das.map(e => e.date.slice(0, 7)));
+    const events = [
+        ...manual.filter(e => !(isDasDescription(e.description) && dasMonths.has(e.date.slice(0, 7)))),
+        ...subscriptions,
+        ...invoices,
+        ...das,
+        ...salary,
+        ...goalContributions
+    ];
+
+    const accountIds = new Set(accounts.map(a => a.id));
+    const defaultAccount = accounts[0] || null;
+    const eventsByAccount = new Map(accounts.map(a => [a.id, []]));
+
+    for (const event of events) {
+        const accountId = accountIds.has(event.bankAccountId)
+            ? event.bankAccountId
+            : (event.bankAccountId ? null : defaultAccount && defaultAccount.id);
+        if (!accountId) continue; // Conta de outro perfil ou inativa
+
+        const account = accounts.find(a => a.id === accountId);
+        const amount = event.amount * await rateFor(event.currency || account.currency, account.currency);
+        eventsByAccount.get(accountId).push({ ...event, amount });
+    }
+
+    return { profile, today, accounts, eventsByAccount };
+};
+
+/**
+ * Previsão de caixa do perfil
+ *
+ * @param {string} userId
+ * @param {string} profileId
+ * @param {object} options - { days, bankAccountId }
+ */
+const getCashFlowForecast = async (userId, profileId, options = {}) => {
+    const days = options.days !== undefined && options.days !== '' ? parseInt(options.days) : DEFAULT_DAYS;
+    if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS) {
+        throw new AppError(`days deve estar entre 1 e ${MAX_DAYS}`, 400, 'INVALID_FORECAST_DAYS');
+    }
+
+    const end = moment().add(days, 'days').format(DATE_FORMAT);
+    const { today, accounts, eventsByAccount } = await getProjectedEvents(userId, profileId, end);
+
+    if (options.bankAccountId && !accounts.some(a => a.id === options.bankAccountId)) {
+        throw new AppError('Conta bancária não encontrada', 404, 'BANK_ACCOUNT_NOT_FOUND');
+    }
+
+    const baseCurrency = await exchangeRatesService.getBaseCurrency(profileId);
+    const rateFor = createRateCache(userId, today);
+
+    const selected = options.bankAccountId
+        ? accounts.filter(a => a.id === options.bankAccountId)
+        : accounts;
+    const forecasts = selected.map(a => buildAccountForecast(a, eventsByAccount.get(a.id), days, today));
+
+    // Consolidado na moeda base do perfil
+    const accountRates = await Promise.all(forecasts.map(f => rateFor(f.currency, baseCurrency)));
+    const totalDaily = forecasts.length > 0
+        ? forecasts[0].daily.map((day, index) => ({
+            date: day.date,
+            balance: round2(forecasts.reduce((sum, f, i) => sum + f.daily[index].balance * accountRates[i], 0))
+        }))
+        : [];
+
+    const firstNegative = forecasts
+        .filter(f => f.firstNegativeDate)
+        .sort((a, b) => a.firstNegativeDate.localeCompare(b.firstNegativeDate))
+        .map(f => ({
+            date: f.firstNegativeDate,
+            bankAccountId: f.bankAccountId,
+            bankName: f.bankName,
+            balance: f.daily.find(d => d.date === f.firstNegativeDate).balance
+        }))[0] || null;
+
+    return {
+        period: { startDate: today, endDate: end, days },
+        currency: baseCurrency,
+        firstNegative,
+        totals: {
+            currentBalance: round2(forecasts.reduce((sum, f, i) => sum + f.currentBalance * accountRates[i], 0)),
+            endBalance: totalDaily.length > 0 ? totalDaily[totalDaily.length - 1].balance : 0,
+            firstNegativeDate: (totalDaily.find(d => d.balance < 0) || {}).date || null,
+            daily: totalDaily
+        },
+        accounts: forecasts
+    };
+};
+
+module.exports = {
+    getProjectedEvents,
+    getCashFlowForecast,
+    buildAccountForecast
+};
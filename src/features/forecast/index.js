@@ -0,0 +1,4 @@
+module.exports = {
+    forecastController: require('./forecast.controller'),
+    forecastRoutes: require('./forecast.routes')
+};
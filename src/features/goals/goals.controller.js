@@ -1,5 +1,7 @@
 const goalsService = require('./goals.service');
 
+const NOT_FOUND_MESSAGES = ['Meta não encontrada', 'Agendamento não encontrado'];
+
 class GoalsController {
     async list(req, res) {
         try {
@@ -50,6 +52,25 @@ class GoalsController {
         }
     }
 
+    async getProjections(req, res) {
+        try {
+            const projections = await goalsService.getProjections(req.user.id, req.profileId);
+            res.json(projections);
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    async getProjection(req, res) {
+        try {
+            const projection = await goalsService.getProjection(req.user.id, req.params.id);
+            res.json(projection);
+        } catch (error) {
+            const status = error.message === 'Meta não encontrada' ? 404 : 500;
+            res.status(status).json({ error: error.message });
+        }
+    }
+
     async getHistory(req, res) {
         try {
             const history = await goalsService.getHistory(req.user.id, req.params.id);
@@ -59,6 +80,75 @@ class GoalsController {
             res.status(status).json({ error: error.message });
         }
     }
+
+    async listSchedules(req, res) {
+        try {
+            const schedules = await goalsService.listSchedules(req.user.id, req.profileId);
+            res.json(schedules);
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    async listGoalSchedules(req, res) {
+        try {
+            const schedules = await goalsService.listSchedules(req.user.id, req.profileId, req.params.id);
+            res.json(schedules);
+        } catch (error) {
+            const status = NOT_FOUND_MESSAGES.includes(error.message) ? 404 : 500;
+            res.status(status).json({ error: error.message });
+        }
+    }
+
+    async createSchedule(req, res) {
+        try {
+            const schedule = await goalsService.createSchedule(req.user.id, req.profileId, req.params.id, req.body);
+            res.status(201).json(schedule);
+        } catch (error) {
+            const status = NOT_FOUND_MESSAGES.includes(error.message) ? 404 : 400;
+            res.status(status).json({ error: error.message });
+        }
+    }
+
+    async updateSchedule(req, res) {
+        try {
+            const schedule = await goalsService.updateSchedule(req.user.id, req.params.scheduleId, req.body);
+            res.json(schedule);
+        } catch (error) {
+            const status = NOT_FOUND_MESSAGES.includes(error.message) ? 404 : 400;
+            res.status(status).json({ error: error.message });
+        }
+    }
+
+    async pauseSchedule(req, res) {
+        try {
+            const schedule = await goalsService.updateSchedule(req.user.id, req.params.scheduleId, { status: 'PAUSED' });
+            res.json(schedule);
+        } catch (error) {
+            const status = NOT_FOUND_MESSAGES.includes(error.message) ? 404 : 400;
+            res.status(status).json({ error: error.message });
+        }
+    }
+
+    async resumeSchedule(req, res) {
+        try {
+            const schedule = await goalsService.updateSchedule(req.user.id, req.params.scheduleId, { status: 'ACTIVE' });
+            res.json(schedule);
+        } catch (error) {
+            const status = NOT_FOUND_MESSAGES.includes(error.message) ? 404 : 400;
+            res.status(status).json({ error: error.message });
+        }
+    }
+
+    async deleteSchedule(req, res) {
+        try {
+            await goalsService.deleteSchedule(req.user.id, req.params.scheduleId);
+            res.status(204).send();
+        } catch (error) {
+            const status = NOT_FOUND_MESSAGES.includes(error.message) ? 404 : 500;
+            res.status(status).json({ error: error.message });
+        }
+    }
 }
 
 module.exports = new GoalsController();
@@ -16,10 +16,19 @@ router.use(authMiddleware);
 router.use(profileMiddleware);
 
 router.get('/', goalsController.list);
+router.get('/projections', goalsController.getProjections);
+router.get('/schedules', goalsController.listSchedules);
+router.put('/schedules/:scheduleId', goalsController.updateSchedule);
+router.post('/schedules/:scheduleId/pause', goalsController.pauseSchedule);
+router.post('/schedules/:scheduleId/resume', goalsController.resumeSchedule);
+router.delete('/schedules/:scheduleId', goalsController.deleteSchedule);
 router.post('/', goalsController.create);
 router.put('/:id', goalsController.update);
 router.delete('/:id', goalsController.delete);
 router.post('/:id/transaction', goalsController.transaction);
 router.get('/:id/history', goalsController.getHistory);
+router.get('/:id/projection', goalsController.getProjection);
+router.get('/:id/schedules', goalsController.listGoalSchedules);
+router.post('/:id/schedules', goalsController.createSchedule);
 
 module.exports = router;
@@ -1,5 +1,267 @@
-const { Goal, GoalHistory, sequelize } = require('../../models');
+const {
+    Goal,
+    GoalHistory,
+    GoalContributionSchedule,
+    BankAccount,
+    User,
+    FinancialProduct,
+    Profile,
+    Notification,
+    NotificationPreference,
+    sequelize
+} = require('../../models');
 const { Op } = require('sequelize');
+const moment = require('moment');
+const fixedIncomeService = require('../investments/fixedIncome.service');
+const bankAccountsService = require('../bankAccounts/bankAccounts.service');
+
+// ===========================================
+// PROJEÇÕES
+// ===========================================
+
+// Meses de GoalHistory usados para medir o ritmo de aportes
+const PACE_LOOKBACK_MONTHS = 6;
+// Projeções além disso são tratadas como "não atinge"
+const MAX_PROJECTION_MONTHS = 600;
+// Poupança: 0,5% a.m. com Selic acima de 8,5% a.a.; senão 70% da Selic
+const SAVINGS_SELIC_THRESHOLD = 8.5;
+const SAVINGS_MONTHLY_RATE = 0.005;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const toMonthlyRate = (annualRate) => Math.pow(1 + annualRate, 1 / 12) - 1;
+
+/**
+ * Rendimento anual (decimal) de onde o dinheiro da meta está guardado
+ * 1. annualYieldRate informado na meta
+ * 2. Produto de renda fixa vinculado (mesmas fórmulas do cálculo de renda fixa)
+ * 3. Conta poupança vinculada
+ */
+const resolveYield = async (goal) => {
+    if (goal.annualYieldRate !== null && goal.annualYieldRate !== undefined) {
+        return { source: 'GOAL', annualRate: parseFloat(goal.annualYieldRate) / 100 };
+    }
+
+    if (goal.financialProductId) {
+        const product = await FinancialProduct.findByPk(goal.financialProductId);
+        if (product && product.status === 'ACTIVE') {
+            const rate = fixedIncomeService.getEffectiveAnnualRate(product, await fixedIncomeService.getFees());
+            if (rate !== null) return { source: 'FINANCIAL_PRODUCT', annualRate: rate, productName: product.name };
+        }
+    }
+
+    if (goal.bankAccountId) {
+        const account = await BankAccount.findByPk(goal.bankAccountId, { attributes: ['type', 'bankName', 'nickname'] });
+        if (account && account.type === 'CONTA_POUPANCA') {
+            const { selic } = await fixedIncomeService.getFees();
+            const rate = selic > SAVINGS_SELIC_THRESHOLD
+                ? Math.pow(1 + SAVINGS_MONTHLY_RATE, 12) - 1
+                : (selic / 100) * 0.7;
+            return { source: 'SAVINGS_ACCOUNT', annualRate: rate, accountName: account.nickname || account.bankName };
+        }
+    }
+
+    return { source: 'NONE', annualRate: 0 };
+};
+
+/**
+ * Ritmo atual: aportes líquidos (depósitos - retiradas) por mês nos últimos meses
+ */
+const getDepositPace = async (goal, today) => {
+    const since = moment.max(
+        moment(today).subtract(PACE_LOOKBACK_MONTHS, 'months'),
+        moment(goal.createdAt).startOf('day')
+    );
+    const months = Math.max(1, Math.min(PACE_LOOKBACK_MONTHS, moment(today).diff(since, 'months', true)));
+
+    const history = await GoalHistory.findAll({
+        where: { goalId: goal.id, date: { [Op.gte]: since.format('YYYY-MM-DD') } },
+        attributes: ['type', 'amount']
+    });
+    const net = history.reduce((sum, h) =>
+        sum + (h.type === 'DEPOSIT' ? 1 : -1) * parseFloat(h.amount), 0);
+
+    return { monthly: round2(net / months), months: round2(months), since: since.format('YYYY-MM-DD') };
+};
+
+/**
+ * Aporte mensal para sair de `current` e chegar em `target` em `months` meses com juros compostos
+ * FV = PV(1+i)^n + C((1+i)^n - 1)/i
+ */
+const requiredContribution = (current, target, months, monthlyRate) => {
+    if (months <= 0) return Math.max(0, target - current);
+
+    const growth = Math.pow(1 + monthlyRate, months);
+    const gap = target - current * growth;
+    if (gap <= 0) return 0;
+
+    return monthlyRate > 0 ? gap * monthlyRate / (growth - 1) : gap / months;
+};
+
+/**
+ * Meses até atingir o alvo mantendo o ritmo (null = não atinge)
+ */
+const monthsToTarget = (current, target, monthlyPace, monthlyRate) => {
+    let balance = current;
+    for (let month = 1; month <= MAX_PROJECTION_MONTHS; month++) {
+        balance = balance * (1 + monthlyRate) + monthlyPace;
+        if (balance >= target) return month;
+        if (balance <= 0 && monthlyPace <= 0) return null;
+    }
+    return null;
+};
+
+/**
+ * Saldo projetado daqui a `months` meses no ritmo atual
+ */
+const balanceAfter = (current, months, monthlyPace, monthlyRate) => {
+    let balance = current;
+    for (let month = 1; month <= months; month++) {
+        balance = balance * (1 + monthlyRate) + monthlyPace;
+    }
+    return balance;
+};
+
+/**
+ * Projeção de uma meta
+ * status: COMPLETED | NO_DEADLINE | ON_TRACK | BEHIND | OVERDUE
+ */
+const buildProjection = async (goal) => {
+    const today = moment().format('YYYY-MM-DD');
+    const current = parseFloat(goal.currentAmount);
+    const target = parseFloat(goal.targetAmount);
+
+    const yieldInfo = await resolveYield(goal);
+    const monthlyRate = toMonthlyRate(yieldInfo.annualRate);
+    const pace = await getDepositPace(goal, today);
+
+    const months = current >= target ? 0 : monthsToTarget(current, target, pace.monthly, monthlyRate);
+    const projectedCompletionDate = months !== null ? moment(today).add(months, 'months').format('YYYY-MM-DD') : null;
+
+    const hasDeadline = !!goal.deadline && !goal.isInfinite;
+    const monthsLeft = hasDeadline ? Math.max(0, Math.ceil(moment(goal.deadline).diff(today, 'months', true))) : null;
+
+    let status;
+    if (current >= target) status = 'COMPLETED';
+    else if (!hasDeadline) status = 'NO_DEADLINE';
+    else if (moment(goal.deadline).format('YYYY-MM-DD') < today) status = 'OVERDUE';
+    else status = projectedCompletionDate && projectedCompletionDate <= moment(goal.deadline).format('YYYY-MM-DD')
+        ? 'ON_TRACK'
+        : 'BEHIND';
+
+    const projectedAtDeadline = hasDeadline ? balanceAfter(current, monthsLeft, pace.monthly, monthlyRate) : null;
+
+    return {
+        goalId: goal.id,
+        name: goal.name,
+        targetAmount: target,
+        currentAmount: current,
+        remaining: round2(Math.max(0, target - current)),
+        progress: round2(goal.getProgress()),
+        deadline: goal.deadline,
+        monthsLeft,
+        yield: {
+            ...yieldInfo,
+            annualRate: round2(yieldInfo.annualRate * 100)
+        },
+        requiredMonthly: hasDeadline && status !== 'COMPLETED'
+            ? round2(requiredContribution(current, target, monthsLeft, monthlyRate))
+            : null,
+        currentPace: pace,
+        monthsToComplete: months,
+        projectedCompletionDate,
+        projectedAtDeadline: projectedAtDeadline !== null ? round2(projectedAtDeadline) : null,
+        shortfall: projectedAtDeadline !== null ? round2(Math.max(0, target - projectedAtDeadline)) : null,
+        status
+    };
+};
+
+const formatMoney = (value) => new Intl.NumberFormat('pt-BR', { style: 'currency', currency: 'BRL' }).format(value);
+
+/**
+ * Notificação (GOALS) da meta, espelhada no WhatsApp quando WHATSAPP_MIRROR está ativo
+ *
+ * @returns {Promise<boolean>} false quando a preferência GOALS está desligada
+ */
+const notifyGoal = async (goal, type, title, message, relatedAmount) => {
+    const preferences = await NotificationPreference.findAll({
+        where: { userId: goal.userId, notificationType: ['GOALS', 'WHATSAPP_MIRROR'] }
+    });
+    const goalsPref = preferences.find(p => p.notificationType === 'GOALS');
+    const mirrorPref = preferences.find(p => p.notificationType === 'WHATSAPP_MIRROR');
+    if (goalsPref && !goalsPref.enabled) return false;
+
+    await Notification.create({
+        userId: goal.userId,
+        type,
+        title,
+        message,
+        relatedAmount,
+        scheduledFor: new Date(),
+        isDisplayed: false
+    });
+
+    if (mirrorPref && mirrorPref.enabled && mirrorPref.whatsappEnabled) {
+        const profile = goal.profileId ? await Profile.findByPk(goal.profileId, { attributes: ['name'] }) : null;
+        const whatsappService = require('../whatsapp/whatsapp.service');
+        await whatsappService.sendNotification(goal.userId,
+            `🤖 *${title}*\n\n${message}` + (profile ? `\n\n_Operando em: ${profile.name}_` : ''));
+    }
+
+    return true;
+};
+
+// ===========================================
+// APORTES AUTOMÁTICOS
+// ===========================================
+
+const DATE_FORMAT = 'YYYY-MM-DD';
+const SCHEDULE_FREQUENCIES = ['WEEKLY', 'BIWEEKLY', 'MONTHLY', 'SALARY_DAY'];
+const SCHEDULE_NOT_FOUND = 'Agendamento não encontrado';
+
+/**
+ * Dia do mês do agendamento (SALARY_DAY segue o salaryDay atual do usuário)
+ */
+const scheduleDay = (frequency, dayOfMonth, salaryDay) =>
+    frequency === 'SALARY_DAY' ? (salaryDay || dayOfMonth) : dayOfMonth;
+
+const dayInMonth = (month, day) => month.clone().date(Math.min(day, month.daysInMonth())).format(DATE_FORMAT);
+
+/**
+ * Primeira execução em ou depois de `from`
+ */
+const firstRunDate = (frequency, day, from) => {
+    if (frequency === 'WEEKLY' || frequency === 'BIWEEKLY') return from;
+
+    const month = moment(from).startOf('month');
+    const date = dayInMonth(month, day);
+    return date >= from ? date : dayInMonth(month.add(1, 'month'), day);
+};
+
+/**
+ * Execução seguinte a `date`
+ */
+const nextRunAfter = (schedule, date, salaryDay) => {
+    if (schedule.frequency === 'WEEKLY') return moment(date).add(7, 'days').format(DATE_FORMAT);
+    if (schedule.frequency === 'BIWEEKLY') return moment(date).add(14, 'days').format(DATE_FORMAT);
+
+    const month = moment(date).startOf('month').add(1, 'month');
+    return dayInMonth(month, scheduleDay(schedule.frequency, schedule.dayOfMonth, salaryDay));
+};
+
+/**
+ * Primeira execução depois de `limit` — execuções perdidas não se acumulam
+ */
+const nextRunAfterDate = (schedule, limit, salaryDay, start = schedule.nextRunDate) => {
+    let date = start;
+    while (date <= limit) date = nextRunAfter(schedule, date, salaryDay);
+    return date;
+};
+
+const getSalaryDay = async (userId) => {
+    const user = await User.findByPk(userId, { attributes: ['salaryDay'] });
+    return user ? user.salaryDay : null;
+};
 
 class GoalsService {
     async list(userId) {
@@ -10,6 +272,8 @@ class GoalsService {
     }
 
     async create(userId, data) {
+        await this.validateFinancialProduct(userId, data.financialProductId);
+
         return await Goal.create({
             ...data,
             userId
@@ -25,9 +289,18 @@ class GoalsService {
             throw new Error('Meta não encontrada');
         }
 
+        await this.validateFinancialProduct(userId, data.financialProductId);
+
         return await goal.update(data);
     }
 
+    async validateFinancialProduct(userId, financialProductId) {
+        if (!financialProductId) return;
+
+        const product = await FinancialProduct.findOne({ where: { id: financialProductId, userId } });
+        if (!product) throw new Error('Produto financeiro não encontrado');
+    }
+
     async delete(userId, id) {
         const goal = await Goal.findOne({
             where: { id, userId }
@@ -41,13 +314,20 @@ class GoalsService {
         return true;
     }
 
-    async transaction(userId, goalId, { amount, type, reason }) {
-        const t = await sequelize.transaction();
+    /**
+     * Depósito/retirada na meta com registro no GoalHistory
+     * options.transaction: roda dentro da transação do chamador (aporte automático),
+     * que fica responsável pelo commit/rollback
+     */
+    async transaction(userId, goalId, { amount, type, reason }, options = {}) {
+        const ownTransaction = !options.transaction;
+        const t = options.transaction || await sequelize.transaction();
 
         try {
             const goal = await Goal.findOne({
                 where: { id: goalId, userId },
-                transaction: t
+                transaction: t,
+                lock: t.LOCK.UPDATE
             });
 
             if (!goal) {
@@ -80,12 +360,433 @@ class GoalsService {
                 date: new Date()
             }, { transaction: t });
 
-            await t.commit();
+            if (ownTransaction) await t.commit();
             return goal;
+        } catch (error) {
+            if (ownTransaction) await t.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Projeções das metas ativas do perfil
+     * ✅ PROFILE ISOLATION
+     */
+    async getProjections(userId, profileId) {
+        const where = { userId, status: 'ACTIVE' };
+        if (profileId) where.profileId = profileId;
+
+        const goals = await Goal.findAll({ where, order: [['deadline', 'ASC']] });
+
+        const projections = [];
+        for (const goal of goals) {
+            projections.push(await buildProjection(goal));
+        }
+        return projections;
+    }
+
+    async getProjection(userId, goalId) {
+        const goal = await Goal.findOne({ where: { id: goalId, userId } });
+        if (!goal) throw new Error('Meta não encontrada');
+
+        return buildProjection(goal);
+    }
+
+    /**
+     * Avisa (GOALS) sobre metas atrasadas — no máximo um aviso por meta por mês (cron)
+     * Espelha no WhatsApp quando WHATSAPP_MIRROR está ativo
+     *
+     * @returns {Promise<{ checked: number, notified: number, failed: number }>}
+     */
+    async notifyBehindGoals() {
+        const monthStart = moment().startOf('month').format('YYYY-MM-DD');
+        const goals = await Goal.findAll({
+            where: {
+                status: 'ACTIVE',
+                isInfinite: false,
+                deadline: { [Op.ne]: null },
+                [Op.or]: [
+                    { behindNotifiedAt: null },
+                    { behindNotifiedAt: { [Op.lt]: monthStart } }
+                ]
+            }
+        });
+
+        const result = { checked: goals.length, notified: 0, failed: 0 };
+
+        for (const goal of goals) {
+            try {
+                const projection = await buildProjection(goal);
+                if (projection.status !== 'BEHIND' && projection.status !== 'OVERDUE') continue;
+
+                // Mesmo sem aviso (preferência desligada), o mês fica marcado
+                await goal.update({ behindNotifiedAt: moment().format('YYYY-MM-DD') });
+
+                const title = projection.status === 'OVERDUE'
+                    ? `⏰ O prazo da meta ${goal.name} passou`
+                    : `📉 A meta ${goal.name} está atrasada`;
+                const message = projection.status === 'OVERDUE'
+                    ? `Faltam ${formatMoney(projection.remaining)} para concluir a meta.`
+                    : `No ritmo atual você chega a ${formatMoney(projection.projectedAtDeadline)} no prazo ` +
+                    `(faltariam ${formatMoney(projection.shortfall)}). ` +
+                    `Guarde ${formatMoney(projection.requiredMonthly)} por mês para chegar lá.`;
+
+                if (await notifyGoal(goal, 'GOAL_BEHIND', title, message, projection.remaining)) {
+                    result.notified++;
+                }
+            } catch (error) {
+                console.error(`❌ [GOALS] Projection alert error (goal ${goal.id}):`, error.message);
+                result.failed++;
+            }
+        }
+
+        return result;
+    }
+
+    // ===========================================
+    // APORTES AUTOMÁTICOS
+    // ===========================================
+
+    /**
+     * Aportes agendados do perfil (ou de uma meta)
+     * ✅ PROFILE ISOLATION
+     */
+    async listSchedules(userId, profileId, goalId = null) {
+        const where = { userId };
+        if (profileId) where.profileId = profileId;
+
+        if (goalId) {
+            const goal = await Goal.findOne({ where: { id: goalId, userId } });
+            if (!goal) throw new Error('Meta não encontrada');
+            where.goalId = goalId;
+        }
+
+        return await GoalContributionSchedule.findAll({
+            where,
+            include: [
+                { model: Goal, as: 'goal', attributes: ['id', 'name', 'status', 'isInfinite', 'targetAmount', 'currentAmount'] },
+                { model: BankAccount, as: 'bankAccount', attributes: ['id', 'bankName', 'nickname', 'currency'] }
+            ],
+            order: [['nextRunDate', 'ASC']]
+        });
+    }
+
+    async findSchedule(userId, scheduleId) {
+        const schedule = await GoalContributionSchedule.findOne({ where: { id: scheduleId, userId } });
+        if (!schedule) throw new Error(SCHEDULE_NOT_FOUND);
+        return schedule;
+    }
+
+    /**
+     * Valida conta/valor/frequência e calcula a próxima execução
+     * - A conta de origem precisa ser do perfil da meta e não pode ser a conta da própria meta
+     * - startDate (opcional) não pode ficar no passado
+     */
+    async validateSchedule(userId, goal, data) {
+        const amount = parseFloat(data.amount);
+        if (!(amount > 0)) throw new Error('Valor do aporte deve ser maior que zero');
+
+        const frequency = data.frequency || 'MONTHLY';
+        if (!SCHEDULE_FREQUENCIES.includes(frequency)) throw new Error('Frequência inválida');
+
+        const hasDay = data.dayOfMonth !== undefined && data.dayOfMonth !== null && data.dayOfMonth !== '';
+        const dayOfMonth = hasDay ? parseInt(data.dayOfMonth) : null;
+        if (hasDay && !(dayOfMonth >= 1 && dayOfMonth <= 31)) {
+            throw new Error('Dia do mês deve estar entre 1 e 31');
+        }
+
+        const salaryDay = frequency === 'SALARY_DAY' ? await getSalaryDay(userId) : null;
+        const day = scheduleDay(frequency, dayOfMonth, salaryDay);
+        if (frequency === 'SALARY_DAY' && !day) throw new Error('Cadastre o dia do salário ou informe o dia do mês');
+        if (frequency === 'MONTHLY' && !day) throw new Error('Informe o dia do mês do aporte');
+
+        const account = await BankAccount.findOne({ where: { id: data.bankAccountId || null, userId, isActive: true } });
+        if (!account) throw new Error('Conta bancária não encontrada');
+        if (goal.profileId && account.profileId !== goal.profileId) {
+            throw new Error('A conta de origem precisa ser do mesmo perfil da meta');
+        }
+        if (goal.bankAccountId === account.id) {
+            throw new Error('A conta de origem é a mesma conta onde a meta está guardada');
+        }
+        if (goal.bankAccountId) {
+            const goalAccount = await BankAccount.findByPk(goal.bankAccountId, { attributes: ['currency'] });
+            if (goalAccount && goalAccount.currency !== account.currency) {
+                throw new Error('A conta de origem precisa estar na mesma moeda da conta da meta');
+            }
+        }
+
+        const today = moment().format(DATE_FORMAT);
+        let from = today;
+        if (data.startDate) {
+            if (!moment(data.startDate, DATE_FORMAT, true).isValid()) throw new Error('Data inicial inválida');
+            if (data.startDate < today) throw new Error('A data inicial não pode estar no passado');
+            from = data.startDate;
+        }
+
+        return {
+            bankAccountId: account.id,
+            amount: round2(amount),
+            frequency,
+            dayOfMonth,
+            nextRunDate: firstRunDate(frequency, day, from)
+        };
+    }
+
+    async createSchedule(userId, profileId, goalId, data) {
+        const goal = await Goal.findOne({ where: { id: goalId, userId } });
+        if (!goal) throw new Error('Meta não encontrada');
+        if (goal.status !== 'ACTIVE') throw new Error('Só é possível agendar aportes em metas ativas');
+
+        const fields = await this.validateSchedule(userId, goal, data);
+
+        return await GoalContributionSchedule.create({
+            ...fields,
+            userId,
+            profileId: goal.profileId || profileId,
+            goalId: goal.id,
+            status: 'ACTIVE'
+        });
+    }
+
+    /**
+     * Atualiza o agendamento
+     * - Mudar frequência, dia ou startDate recalcula a próxima execução
+     * - Ao retomar (PAUSED -> ACTIVE), as execuções do período pausado não são cobradas
+     */
+    async updateSchedule(userId, scheduleId, data) {
+        const schedule = await this.findSchedule(userId, scheduleId);
+        const goal = await Goal.findByPk(schedule.goalId);
+
+        const fields = await this.validateSchedule(userId, goal, {
+            bankAccountId: data.bankAccountId !== undefined ? data.bankAccountId : schedule.bankAccountId,
+            amount: data.amount !== undefined ? data.amount : schedule.amount,
+            frequency: data.frequency !== undefined ? data.frequency : schedule.frequency,
+            dayOfMonth: data.dayOfMonth !== undefined ? data.dayOfMonth : schedule.dayOfMonth,
+            startDate: data.startDate
+        });
+
+        const reschedule = ['frequency', 'dayOfMonth', 'startDate'].some(field => data[field] !== undefined);
+        if (!reschedule) delete fields.nextRunDate;
+
+        if (data.status !== undefined) {
+            if (!['ACTIVE', 'PAUSED'].includes(data.status)) throw new Error('Status inválido');
+            if (data.status === 'ACTIVE' && goal.status !== 'ACTIVE') {
+                throw new Error('Só é possível agendar aportes em metas ativas');
+            }
+
+            const today = moment().format(DATE_FORMAT);
+            if (data.status === 'ACTIVE' && schedule.status === 'PAUSED' && !reschedule && schedule.nextRunDate < today) {
+                const salaryDay = schedule.frequency === 'SALARY_DAY' ? await getSalaryDay(userId) : null;
+                fields.nextRunDate = nextRunAfterDate(schedule, moment(today).subtract(1, 'day').format(DATE_FORMAT), salaryDay);
+            }
+            fields.status = data.status;
+        }
+
+        return await schedule.update(fields);
+    }
+
+    async deleteSchedule(userId, scheduleId) {
+        const schedule = await this.findSchedule(userId, scheduleId);
+        await schedule.destroy();
+        return true;
+    }
+
+    /**
+     * Aportes previstos entre from e to (previsão de caixa e "quanto posso gastar")
+     * Metas com valor alvo param de receber quando o alvo é atingido
+     * ✅ PROFILE ISOLATION
+     *
+     * @returns {Promise<Array<{ scheduleId, goalId, goalName, date, amount, currency, bankAccountId, goalBankAccountId }>>}
+     */
+    async getScheduledContributions(userId, profileId, from, to) {
+        const where = { userId, status: 'ACTIVE', nextRunDate: { [Op.lte]: to } };
+        if (profileId) where.profileId = profileId; // ✅ PROFILE ISOLATION
+
+        const schedules = await GoalContributionSchedule.findAll({
+            where,
+            include: [
+                { model: Goal, as: 'goal' },
+                { model: BankAccount, as: 'bankAccount', attributes: ['id', 'currency'] }
+            ],
+            order: [['nextRunDate', 'ASC']]
+        });
+        if (schedules.length === 0) return [];
+
+        const salaryDay = schedules.some(s => s.frequency === 'SALARY_DAY') ? await getSalaryDay(userId) : null;
+        const remainingByGoal = new Map();
+        const occurrences = [];
+
+        for (const schedule of schedules) {
+            const goal = schedule.goal;
+            if (!goal || goal.status !== 'ACTIVE') continue;
+
+            if (!remainingByGoal.has(goal.id)) {
+                remainingByGoal.set(goal.id, goal.isInfinite
+                    ? Infinity
+                    : parseFloat(goal.targetAmount) - parseFloat(goal.currentAmount));
+            }
+
+            // Execução atrasada (cron ainda não rodou) entra hoje, uma única vez
+            let date = schedule.nextRunDate;
+            while (date <= to) {
+                const remaining = remainingByGoal.get(goal.id);
+                const amount = round2(Math.min(parseFloat(schedule.amount), remaining));
+                if (amount <= 0) break;
+
+                remainingByGoal.set(goal.id, remaining - amount);
+                occurrences.push({
+                    scheduleId: schedule.id,
+                    goalId: goal.id,
+                    goalName: goal.name,
+                    date: date < from ? from : date,
+                    amount,
+                    currency: schedule.bankAccount ? schedule.bankAccount.currency : null,
+                    bankAccountId: schedule.bankAccountId,
+                    goalBankAccountId: goal.bankAccountId
+                });
+
+                date = nextRunAfterDate(schedule, date < from ? from : date, salaryDay, date);
+            }
+        }
+
+        return occurrences.sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    /**
+     * Executa um aporte agendado (ACID)
+     * - Meta inativa, concluída ou excluída: pausa o agendamento
+     * - Conta de origem (ou da meta) desativada ou excluída: pausa e avisa o usuário
+     * - Saldo insuficiente: pula, avisa (GOAL_CONTRIBUTION_SKIPPED) e segue para a próxima data
+     * - Sucesso: debita a conta de origem, credita a conta da meta (se houver) e registra o DEPOSIT
+     */
+    async runSchedule(schedule, today = moment().format(DATE_FORMAT)) {
+        const salaryDay = schedule.frequency === 'SALARY_DAY' ? await getSalaryDay(schedule.userId) : null;
+        const nextRunDate = nextRunAfterDate(schedule, today, salaryDay);
+
+        let goal;
+        let account;
+        let outcome;
+        const t = await sequelize.transaction();
+
+        try {
+            goal = await Goal.findByPk(schedule.goalId, { transaction: t });
+            const remaining = !goal || goal.isInfinite
+                ? Infinity
+                : parseFloat(goal.targetAmount) - parseFloat(goal.currentAmount);
+            const amount = round2(Math.min(parseFloat(schedule.amount), remaining));
+
+            // Conta de origem e conta da meta precisam existir e estar ativas
+            let accountInactive = false;
+            if (goal && goal.status === 'ACTIVE' && amount > 0) {
+                account = await BankAccount.findByPk(schedule.bankAccountId, { transaction: t, lock: t.LOCK.UPDATE });
+                accountInactive = !account || !account.isActive;
+                if (!accountInactive && goal.bankAccountId && goal.bankAccountId !== account.id) {
+                    const goalAccount = await BankAccount.findByPk(goal.bankAccountId, { transaction: t });
+                    accountInactive = !goalAccount || !goalAccount.isActive;
+                }
+            }
+
+            if (!goal || goal.status !== 'ACTIVE' || amount <= 0 || accountInactive) {
+                let status = 'GOAL_COMPLETED';
+                if (!goal || goal.status !== 'ACTIVE') status = 'GOAL_INACTIVE';
+                else if (accountInactive) status = 'ACCOUNT_INACTIVE';
+
+                outcome = { status, amount: 0 };
+                await schedule.update({
+                    status: 'PAUSED',
+                    lastRunDate: today,
+                    lastRunStatus: outcome.status
+                }, { transaction: t });
+            } else {
+                if ((parseFloat(account.balance) || 0) < amount) {
+                    outcome = { status: 'INSUFFICIENT_BALANCE', amount: 0 };
+                } else {
+                    const context = { reason: 'GOAL_CONTRIBUTION' };
+                    await bankAccountsService.updateBalance(account.id, -amount, t, context);
+                    if (goal.bankAccountId && goal.bankAccountId !== account.id) {
+                        await bankAccountsService.updateBalance(goal.bankAccountId, amount, t, context);
+                    }
+                    await this.transaction(goal.userId, goal.id, {
+                        amount,
+                        type: 'DEPOSIT',
+                        reason: 'Aporte automático'
+                    }, { transaction: t });
+                    outcome = { status: 'SUCCESS', amount };
+                }
+
+                await schedule.update({
+                    nextRunDate,
+                    lastRunDate: today,
+                    lastRunStatus: outcome.status
+                }, { transaction: t });
+            }
+
+            await t.commit();
         } catch (error) {
             await t.rollback();
+            console.error('❌ [GOALS] Scheduled contribution error:', error);
             throw error;
         }
+
+        if (outcome.status === 'INSUFFICIENT_BALANCE') {
+            try {
+                const amount = parseFloat(schedule.amount);
+                await notifyGoal(goal, 'GOAL_CONTRIBUTION_SKIPPED',
+                    `⚠️ Aporte em ${goal.name} não realizado`,
+                    `Saldo insuficiente em ${account.nickname || account.bankName} para o aporte automático de ` +
+                    `${formatMoney(amount)}. Próxima tentativa em ${moment(nextRunDate).format('DD/MM/YYYY')}.`,
+                    amount);
+            } catch (error) {
+                console.error(`❌ [GOALS] Skipped contribution alert error (schedule ${schedule.id}):`, error.message);
+            }
+        }
+
+        if (outcome.status === 'ACCOUNT_INACTIVE') {
+            try {
+                await notifyGoal(goal, 'GOAL_CONTRIBUTION_SKIPPED',
+                    `⏸️ Aporte automático em ${goal.name} pausado`,
+                    'A conta usada no aporte automático foi desativada ou excluída. ' +
+                    'Escolha outra conta e reative o agendamento.',
+                    parseFloat(schedule.amount));
+            } catch (error) {
+                console.error(`❌ [GOALS] Paused contribution alert error (schedule ${schedule.id}):`, error.message);
+            }
+        }
+
+        return {
+            scheduleId: schedule.id,
+            goalId: schedule.goalId,
+            ...outcome,
+            nextRunDate: schedule.nextRunDate
+        };
+    }
+
+    /**
+     * Executa os aportes agendados vencidos (cron)
+     *
+     * @returns {Promise<{ checked: number, contributed: number, skipped: number, paused: number, failed: number }>}
+     */
+    async runDueSchedules() {
+        const today = moment().format(DATE_FORMAT);
+        const schedules = await GoalContributionSchedule.findAll({
+            where: { status: 'ACTIVE', nextRunDate: { [Op.lte]: today } },
+            order: [['nextRunDate', 'ASC']]
+        });
+
+        const result = { checked: schedules.length, contributed: 0, skipped: 0, paused: 0, failed: 0 };
+
+        for (const schedule of schedules) {
+            try {
+                const run = await this.runSchedule(schedule, today);
+                if (run.status === 'SUCCESS') result.contributed++;
+                else if (run.status === 'INSUFFICIENT_BALANCE') result.skipped++;
+                else result.paused++;
+            } catch (error) {
+                result.failed++;
+            }
+        }
+
+        return result;
     }
 
     async getHistory(userId, goalId) {
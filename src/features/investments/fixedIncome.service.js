@@ -68,6 +68,49 @@ const getFees = async () => {
     }
 };
 
+/**
+ * Effective annual rate of a fixed income product (decimal, e.g. 0.1125)
+ * Also used by goal projections (goals.service)
+ * @param {Object} product - FinancialProduct instance
+ * @param {Object} rates - Result of getFees()
+ * @returns {number|null} null when the return type has no automated calculation
+ */
+const getEffectiveAnnualRate = (product, rates) => {
+    const cdiRate = rates.cdi / 100;
+    const ipcaRate = rates.ipca / 100;
+
+    switch (product.returnType) {
+        case 'PREFIXADO':
+            // rate is stored as percent (e.g. 12.5 for 12.5%)
+            return (parseFloat(product.expectedReturn) || 0) / 100;
+
+        case 'CDI': {
+            // expectedReturn = % do CDI (ex: 100, 110)
+            // indexerBonus = taxa extra (CDI + 1%)
+            const percentOfCDI = (parseFloat(product.expectedReturn) || 100) / 100;
+            const bonusCDI = (parseFloat(product.indexerBonus) || 0) / 100;
+
+            // Effective Rate = (CDI * %) + Bonus
+            return (cdiRate * percentOfCDI) + bonusCDI;
+        }
+
+        case 'IPCA': {
+            // Ex: IPCA + 6% (expectedReturn = taxa fixa/spread)
+            const fixedSpread = (parseFloat(product.expectedReturn) || 0) / 100;
+
+            // Effective Rate = (1 + IPCA) * (1 + Spread) - 1
+            return ((1 + ipcaRate) * (1 + fixedSpread)) - 1;
+        }
+
+        case 'SELIC':
+            // Similar to CDI usually
+            return (rates.selic / 100) + ((parseFloat(product.indexerBonus) || 0) / 100);
+
+        default:
+            return null;
+    }
+};
+
 /**
  * Calculates the current value of a fixed income product
  * @param {Object} product - FinancialProduct instance
@@ -94,62 +137,15 @@ const calculateCurrentValue = async (product) => {
 
     // Get Usage Rates
     const rates = await getFees();
-    const cdiRate = rates.cdi / 100;
-    const ipcaRate = rates.ipca / 100;
 
     let currentValue = parseFloat(product.investedAmount);
-    let rateApplied = 0;
 
-    // Calculation Logic based on Type
     try {
-        switch (product.returnType) {
-            case 'PREFIXADO':
-                // Juros compostos simples: Valor * (1 + taxa)^anos
-                // rate is stored as percent (e.g. 12.5 for 12.5%)
-                const preRate = (parseFloat(product.expectedReturn) || 0) / 100;
-                currentValue = currentValue * Math.pow((1 + preRate), yearsPassed);
-                rateApplied = preRate;
-                break;
-
-            case 'CDI':
-                // Ex: 100% do CDI -> interest = CDI * (percent/100)
-                // expectedReturn = % do CDI (ex: 100, 110)
-                // indexerBonus = taxa extra (CDI + 1%)
-
-                const percentOfCDI = (parseFloat(product.expectedReturn) || 100) / 100;
-                const bonusCDI = (parseFloat(product.indexerBonus) || 0) / 100;
-
-                // Effective Rate = (CDI * %) + Bonus
-                const effectiveCDIRate = (cdiRate * percentOfCDI) + bonusCDI;
-
-                currentValue = currentValue * Math.pow((1 + effectiveCDIRate), yearsPassed);
-                rateApplied = effectiveCDIRate;
-                break;
-
-            case 'IPCA':
-                // Ex: IPCA + 6%
-                // expectedReturn = taxa fixa (spread)
-
-                const fixedSpread = (parseFloat(product.expectedReturn) || 0) / 100;
-
-                // Effective Rate = (1 + IPCA) * (1 + Spread) - 1
-                const effectiveIPCARate = ((1 + ipcaRate) * (1 + fixedSpread)) - 1;
-
-                currentValue = currentValue * Math.pow((1 + effectiveIPCARate), yearsPassed);
-                rateApplied = effectiveIPCARate;
-                break;
-
-            case 'SELIC':
-                // Similar to CDI usually
-                const selicEffective = (rates.selic / 100) + ((parseFloat(product.indexerBonus) || 0) / 100);
-                currentValue = currentValue * Math.pow((1 + selicEffective), yearsPassed);
-                rateApplied = selicEffective;
-                break;
-
-            default:
-                // No calculation for others
-                return parseFloat(product.currentValue) || currentValue;
-        }
+        const rateApplied = getEffectiveAnnualRate(product, rates);
+        // No calculation for others
+        if (rateApplied === null) return parseFloat(product.currentValue) || currentValue;
+
+        currentValue = currentValue * Math.pow((1 + rateApplied), yearsPassed);
 
         // Return enhanced object with calculation details
         return {
@@ -172,5 +168,6 @@ const calculateCurrentValue = async (product) => {
 
 module.exports = {
     calculateCurrentValue,
+    getEffectiveAnnualRate,
     getFees
 };
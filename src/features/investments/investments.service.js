@@ -10,6 +10,7 @@ const autoDividendService = require('./autoDividend.service');
 const { AppError } = require('../../middlewares/errorHandler');
 const { Op } = require('sequelize');
 const { logger } = require('../../config/logger');
+const bankAccountsService = require('../bankAccounts/bankAccounts.service');
 
 /**
  * Lista ativos disponíveis no banco de dados (Catálogo)
@@ -139,14 +140,12 @@ const createInvestment = async (userId, data) => {
                 throw new AppError(`Saldo insuficiente na corretora. Necessário: R$ ${totalCost.toFixed(2)}, Disponível: R$ ${parseFloat(account.balance).toFixed(2)}`, 400, 'INSUFFICIENT_FUNDS');
             }
             // Debita
-            account.balance = parseFloat(account.balance) - totalCost;
+            await bankAccountsService.updateBalance(account.id, -totalCost, null, { reason: 'INVESTMENT_BUY' });
         } else if (operationType === 'SELL') {
             const netValue = totalOpValue - fee;
             // Credita
-            account.balance = parseFloat(account.balance) + netValue;
+            await bankAccountsService.updateBalance(account.id, netValue, null, { reason: 'INVESTMENT_SELL' });
         }
-
-        await account.save();
     } else {
         // Enforce broker account requirement
         throw new AppError('É necessário selecionar uma conta Corretora para operar.', 400, 'BROKER_ACCOUNT_REQUIRED');
@@ -223,15 +222,19 @@ const createInvestment = async (userId, data) => {
  * @param {number} userId - ID do usuário
  * @param {Object} options - Filtros opcionais
  * @param {number} options.brokerId - Filtrar por corretora específica
+ * @param {string} options.profileId - Filtrar renda variável pelo perfil
  */
 const getPortfolio = async (userId, options = {}) => {
-    const { brokerId } = options;
+    const { brokerId, profileId } = options;
 
     // 1. Busca operações de renda variável
     const investmentWhere = { userId };
     if (brokerId) {
         investmentWhere.brokerId = brokerId;
     }
+    if (profileId) {
+        investmentWhere.profileId = profileId; // ✅ PROFILE ISOLATION
+    }
 
     const investments = await Investment.findAll({
         where: investmentWhere,
@@ -599,6 +599,9 @@ const generateInvoiceNotifications = async () => {
 // ===========================================
 
 module.exports = {
+    // Helpers
+    calculateInvoiceDates,
+    calculateTransactionPeriod,
     // Listagem
     listInvoices,
     getInvoice,
@@ -0,0 +1,493 @@
+/**
+ * Card Statement Import Service
+ * ========================================
+ * IMPORTAÇÃO DE FATURAS DE CARTÃO (CSV/OFX)
+ * ========================================
+ *
+ * - Cria CardTransaction a partir da fatura exportada pelo banco
+ * - Detecta marcadores de parcela ("PARC 03/10", "Parcela 3/10", coluna Parcela)
+ *   e vincula ao installmentGroupId existente da mesma compra
+ * - Concilia o total importado com o CardInvoice.totalAmount calculado
+ * ✅ PROFILE ISOLATION: o cartão precisa pertencer ao perfil ativo
+ */
+
+const moment = require('moment');
+const { v4: uuidv4 } = require('uuid');
+const { Op } = require('sequelize');
+const {
+    CreditCard,
+    CardTransaction,
+    AuditLog,
+    sequelize
+} = require('../../models');
+const { AppError } = require('../../middlewares/errorHandler');
+const invoicesService = require('../invoices/invoices.service');
+const importService = require('../transactions/import.service');
+const categorizationRulesService = require('../categorizationRules/categorizationRules.service');
+const merchantsService = require('../merchants/merchants.service');
+const categoryLimitsService = require('../budgets/categoryLimits.service');
+const { parseOFX } = require('../transactions/ofx.parser');
+const { mapCSV } = require('../transactions/csv.parser');
+const { listPresets } = require('../transactions/csvPresets');
+
+const { normalizeDescription, buildFingerprint, toImportRow } = importService;
+
+// ===========================================
+// HELPERS
+// ===========================================
+
+const INSTALLMENT_PATTERNS = [
+    /\bPARC(?:ELA)?\.?\s*(\d{1,2})\s*(?:\/|DE)\s*(\d{1,2})\b/i,
+    /\s(\d{1,2})\s*\/\s*(\d{1,2})\s*$/
+];
+
+const PAYMENT_PATTERN = /\b(pagamento|pagto|pgto|payment)\b/;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Detecta parcela na descrição ou na coluna "Parcela" do CSV
+ * @returns {object|null} { number, total, baseDescription }
+ */
+const detectInstallment = (description, installmentCell = null) => {
+    const validate = (number, total) => (
+        total >= 2 && total <= 99 && number >= 1 && number <= total
+    );
+
+    if (installmentCell) {
+        const match = String(installmentCell).match(/(\d{1,2})\s*(?:\/|de)\s*(\d{1,2})/i);
+        if (match && validate(parseInt(match[1]), parseInt(match[2]))) {
+            return {
+                number: parseInt(match[1]),
+                total: parseInt(match[2]),
+                baseDescription: description
+            };
+        }
+    }
+
+    for (const pattern of INSTALLMENT_PATTERNS) {
+        const match = description.match(pattern);
+        if (match && validate(parseInt(match[1]), parseInt(match[2]))) {
+            return {
+                number: parseInt(match[1]),
+                total: parseInt(match[2]),
+                baseDescription: description.replace(match[0], ' ').replace(/^[\s\-–]+|[\s\-–]+$/g, '').trim()
+            };
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Descrição base de uma parcela já gravada (remove o sufixo " (3/10)" gerado
+ * por createCardTransaction e marcadores vindos de importações anteriores)
+ */
+const installmentKey = (description, total) => {
+    const base = String(description || '').replace(/\s*\(\d{1,2}\/\d{1,2}\)\s*$/, '');
+    const detected = detectInstallment(base);
+    return `${normalizeDescription(detected ? detected.baseDescription : base)}|${total}`;
+};
+
+/**
+ * Infere a fatura (mês/ano de referência) de uma data pelo dia de fechamento
+ */
+const inferReference = (card, date) => {
+    const closingDay = card.closingDay || 25;
+    const reference = moment(date, 'YYYY-MM-DD');
+    if (reference.date() > closingDay) reference.add(1, 'month');
+    return { month: reference.month() + 1, year: reference.year() };
+};
+
+/**
+ * Lê o arquivo (OFX ou CSV) e devolve linhas normalizadas
+ * Mapeamento salvo (mappingId) só é aceito se for do perfil do cartão
+ */
+const parseStatement = async (userId, profileId, data) => {
+    const format = (data.format || (/<OFX>/i.test(data.content || '') ? 'OFX' : 'CSV')).toUpperCase();
+
+    if (format === 'OFX') {
+        const parsed = parseOFX(data.content);
+        const rows = parsed.transactions.map(tx => toImportRow({
+            line: tx.line,
+            externalId: tx.fitId,
+            date: tx.date,
+            amount: tx.amount,
+            description: tx.description
+        }));
+
+        return {
+            format,
+            rows,
+            endDate: parsed.statement.endDate,
+            // Em faturas OFX o saldo (BALAMT) vem negativo: é o valor devido
+            statementTotal: parsed.statement.ledgerBalance !== null && !isNaN(parsed.statement.ledgerBalance)
+                ? Math.abs(parsed.statement.ledgerBalance)
+                : null
+        };
+    }
+
+    if (format !== 'CSV') {
+        throw new AppError('Formato não suportado (use OFX ou CSV)', 400, 'UNSUPPORTED_FORMAT');
+    }
+
+    const mapping = await importService.resolveMapping(userId, profileId, null, data);
+    const rows = mapCSV(data.content, mapping).map(raw => {
+        const row = toImportRow(raw);
+        row.installmentCell = raw.installment;
+        return row;
+    });
+
+    return { format, rows, endDate: null, statementTotal: null };
+};
+
+// ===========================================
+// IMPORTAÇÃO
+// ===========================================
+
+/**
+ * Importa a fatura de um cartão
+ * ✅ PROFILE ISOLATION: cartão validado contra profileId
+ *
+ * @param {string} userId
+ * @param {string} profileId
+ * @param {string} cardId
+ * @param {object} data
+ * @param {string} data.content - Conteúdo do arquivo
+ * @param {string} data.format - OFX | CSV (detectado se omitido)
+ * @param {string} data.preset - Preset de CSV (NUBANK_CARTAO, INTER_CARTAO, C6_CARTAO)
+ * @param {object} data.mapping - Mapeamento de colunas ad-hoc
+ * @param {number} data.referenceMonth - Mês da fatura (inferido se omitido)
+ * @param {number} data.referenceYear - Ano da fatura (inferido se omitido)
+ * @param {number} data.statementTotal - Total impresso na fatura do banco
+ * @param {string[]} data.skip - IDs externos ou linhas descartadas no preview
+ * @param {object} options
+ * @param {boolean} options.dryRun - Apenas simula (preview)
+ */
+const importCardStatement = async (userId, profileId, cardId, data, options = {}) => {
+    const { skip = [] } = data;
+    const { dryRun = false } = options;
+
+    const cardWhere = { id: cardId, userId };
+    if (profileId) cardWhere.profileId = profileId; // ✅ PROFILE ISOLATION
+
+    const card = await CreditCard.findOne({ where: cardWhere });
+    if (!card) {
+        throw new AppError('Cartão não encontrado', 404, 'CARD_NOT_FOUND');
+    }
+
+    const parsed = await parseStatement(userId, card.profileId || profileId, data);
+    const rows = parsed.rows;
+    const skipSet = new Set((Array.isArray(skip) ? skip : []).map(String));
+
+    // ----------------------------------------
+    // 1. Pagamentos, estornos e parcelas
+    // ----------------------------------------
+    for (const row of rows) {
+        if (row.status === 'INVALID') continue;
+
+        if (row.type === 'INCOME' && PAYMENT_PATTERN.test(normalizeDescription(row.description))) {
+            row.status = 'IGNORED';
+            row.reason = 'Pagamento de fatura (não é uma compra)';
+            continue;
+        }
+
+        // Créditos que não são pagamento entram como estorno (valor negativo)
+        row.cardAmount = row.type === 'INCOME' ? -row.amount : row.amount;
+        row.installment = row.type === 'EXPENSE'
+            ? detectInstallment(row.description, row.installmentCell)
+            : null;
+    }
+
+    const activeRows = rows.filter(r => r.status !== 'INVALID' && r.status !== 'IGNORED');
+
+    // Regras de categorização e estabelecimentos do perfil (sobrepõem a categoria textual do banco)
+    await importService.applyAutomations(userId, card.profileId || profileId, activeRows, {
+        source: 'CARD',
+        cardId
+    });
+
+    // ----------------------------------------
+    // 2. Fatura de referência
+    // ----------------------------------------
+    let month = parseInt(data.referenceMonth);
+    let year = parseInt(data.referenceYear);
+    if (!month || !year) {
+        const lastDate = parsed.endDate || activeRows.map(r => r.date).sort().pop();
+        if (!lastDate) {
+            throw new AppError('Nenhum lançamento válido no arquivo', 400, 'EMPTY_STATEMENT');
+        }
+        ({ month, year } = inferReference(card, lastDate));
+    }
+
+    const period = invoicesService.calculateTransactionPeriod(card, month, year);
+
+    // Parcelas de compras antigas chegam com a data da compra: projetar para o mês da parcela
+    for (const row of activeRows) {
+        if (!row.installment || row.installment.number === 1 || row.date >= period.startDate) continue;
+
+        const shifted = moment(row.date, 'YYYY-MM-DD')
+            .add(row.installment.number - 1, 'months')
+            .format('YYYY-MM-DD');
+
+        if (shifted >= period.startDate && shifted <= period.endDate) {
+            row.originalDate = row.date;
+            row.date = shifted;
+        }
+    }
+
+    // ----------------------------------------
+    // 3. Deduplicação e grupos de parcelas
+    // ----------------------------------------
+    const dates = activeRows.map(r => r.date).concat([period.startDate, period.endDate]).sort();
+    const existing = await CardTransaction.findAll({
+        where: {
+            cardId,
+            date: { [Op.between]: [dates[0], dates[dates.length - 1]] }
+        },
+        attributes: ['id', 'externalId', 'date', 'amount', 'description', 'installmentGroupId', 'installmentNumber']
+    });
+
+    const totals = [...new Set(activeRows.filter(r => r.installment).map(r => r.installment.total))];
+    const existingInstallments = totals.length === 0 ? [] : await CardTransaction.findAll({
+        where: {
+            cardId,
+            isInstallment: true,
+            totalInstallments: { [Op.in]: totals }
+        },
+        attributes: ['id', 'description', 'installmentGroupId', 'installmentNumber', 'totalInstallments']
+    });
+
+    const groups = {};
+    for (const tx of existingInstallments) {
+        const key = installmentKey(tx.description, tx.totalInstallments);
+        if (!groups[key]) groups[key] = { groupId: tx.installmentGroupId, numbers: {} };
+        groups[key].numbers[tx.installmentNumber] = tx.id;
+    }
+
+    const byExternalId = {};
+    const byFingerprint = {};
+    for (const tx of existing) {
+        if (tx.externalId) byExternalId[tx.externalId] = tx.id;
+        const key = buildFingerprint({ ...tx.toJSON(), type: 'EXPENSE', amount: Math.abs(parseFloat(tx.amount)) });
+        (byFingerprint[key] = byFingerprint[key] || []).push(tx.id);
+    }
+
+    const matchedIds = new Set();
+
+    for (const row of activeRows) {
+        if (skipSet.has(String(row.line)) || (row.externalId && skipSet.has(row.externalId))) {
+            row.status = 'SKIPPED';
+            row.reason = 'Descartada pelo usuário';
+            continue;
+        }
+
+        if (row.externalId && byExternalId[row.externalId]) {
+            row.status = 'DUPLICATE';
+            row.reason = 'ID externo já importado';
+            matchedIds.add(byExternalId[row.externalId]);
+            continue;
+        }
+
+        if (row.installment) {
+            const key = `${normalizeDescription(row.installment.baseDescription)}|${row.installment.total}`;
+            if (!groups[key]) groups[key] = { groupId: uuidv4(), numbers: {}, isNew: true };
+
+            const group = groups[key];
+            row.installmentGroupId = group.groupId;
+            row.linkedToExistingGroup = !group.isNew;
+
+            if (group.numbers[row.installment.number]) {
+                row.status = 'DUPLICATE';
+                row.reason = `Parcela ${row.installment.number}/${row.installment.total} já registrada`;
+                matchedIds.add(group.numbers[row.installment.number]);
+                continue;
+            }
+            group.numbers[row.installment.number] = 'NEW';
+        }
+
+        const fingerprint = buildFingerprint({ ...row, type: 'EXPENSE', amount: Math.abs(row.cardAmount) });
+        const candidates = (byFingerprint[fingerprint] || []).filter(id => !matchedIds.has(id));
+        if (candidates.length > 0) {
+            row.status = 'DUPLICATE';
+            row.reason = 'Lançamento com mesma data, valor e descrição já existe';
+            matchedIds.add(candidates[0]);
+            continue;
+        }
+
+        row.status = 'NEW';
+        row.inPeriod = row.date >= period.startDate && row.date <= period.endDate;
+    }
+
+    // ----------------------------------------
+    // 4. Gravação
+    // ----------------------------------------
+    const newRows = activeRows.filter(r => r.status === 'NEW');
+
+    if (!dryRun && newRows.length > 0) {
+        const t = await sequelize.transaction();
+
+        try {
+            for (const row of newRows) {
+                const inst = row.installment;
+                const transaction = await CardTransaction.create({
+                    userId,
+                    cardId,
+                    description: row.description.substring(0, 500),
+                    amount: row.cardAmount,
+                    date: row.date,
+                    category: row.category,
+                    isInstallment: !!inst,
+                    installmentNumber: inst ? inst.number : null,
+                    totalInstallments: inst ? inst.total : null,
+                    totalAmount: inst ? round2(row.cardAmount * inst.total) : null,
+                    installmentGroupId: inst ? row.installmentGroupId : null,
+                    status: 'PENDING',
+                    externalId: row.externalId,
+                    tags: row.tags || []
+                }, { transaction: t });
+
+                await categorizationRulesService.recordApplication(
+                    userId, 'CARD', transaction.id, row.ruleResult, { trigger: 'IMPORT', transaction: t }
+                );
+                await merchantsService.assignMerchant(userId, 'CARD', transaction.id, row.merchantId, { transaction: t });
+
+                row.status = 'IMPORTED';
+                row.transactionId = transaction.id;
+            }
+
+            await t.commit();
+        } catch (error) {
+            await t.rollback();
+            console.error('❌ [CARD IMPORT] Error:', error);
+            throw error;
+        }
+
+        await AuditLog.log({
+            userId,
+            action: 'CARD_TRANSACTION_IMPORT',
+            resource: 'CARD_TRANSACTION',
+            details: {
+                cardId,
+                profileId,
+                format: parsed.format,
+                referenceMonth: month,
+                referenceYear: year,
+                count: newRows.length
+            }
+        });
+
+        // Limite mensal da categoria (estornos não contam como gasto)
+        await categoryLimitsService.checkTransactions(userId, card.profileId || profileId, newRows
+            .filter(row => row.cardAmount > 0)
+            .map(row => ({
+                category: row.category,
+                date: row.date,
+                transactionId: row.transactionId,
+                transactionType: 'CARD'
+            })));
+    }
+
+    // ----------------------------------------
+    // 5. Conciliação com a fatura
+    // ----------------------------------------
+    const inPeriod = (r) => r.date >= period.startDate && r.date <= period.endDate;
+
+    const existingInPeriod = existing.filter(tx => tx.date >= period.startDate && tx.date <= period.endDate);
+    const existingTotal = existingInPeriod.reduce((sum, tx) => sum + parseFloat(tx.amount), 0);
+    const newTotal = newRows.filter(inPeriod).reduce((sum, r) => sum + r.cardAmount, 0);
+
+    let invoice = null;
+    if (!dryRun) {
+        invoice = await invoicesService.generateInvoice(userId, profileId, cardId, month, year);
+    }
+
+    const invoiceTotal = round2(invoice ? parseFloat(invoice.totalAmount) : existingTotal + newTotal);
+    const fileTotal = round2(activeRows
+        .filter(r => r.status !== 'SKIPPED' && inPeriod(r))
+        .reduce((sum, r) => sum + r.cardAmount, 0));
+    const statementTotal = data.statementTotal !== undefined && data.statementTotal !== null
+        ? round2(parseFloat(data.statementTotal))
+        : (parsed.statementTotal !== null ? round2(parsed.statementTotal) : fileTotal);
+    const difference = round2(statementTotal - invoiceTotal);
+
+    const count = (status) => rows.filter(r => r.status === status).length;
+
+    console.log(`💳 [CARD IMPORT] ${dryRun ? 'Preview' : 'Commit'} for card ${cardId}: ${rows.length} rows, diff ${difference}`);
+
+    return {
+        dryRun,
+        format: parsed.format,
+        card: {
+            id: card.id,
+            name: card.name,
+            lastFourDigits: card.lastFourDigits
+        },
+        invoice: {
+            id: invoice ? invoice.id : null,
+            referenceMonth: month,
+            referenceYear: year,
+            period
+        },
+        summary: {
+            total: rows.length,
+            toImport: count('NEW'),
+            imported: count('IMPORTED'),
+            duplicates: count('DUPLICATE'),
+            skipped: count('SKIPPED'),
+            ignored: count('IGNORED'),
+            invalid: count('INVALID'),
+            installments: activeRows.filter(r => r.installment).length
+        },
+        reconciliation: {
+            statementTotal,
+            fileTotal,
+            invoiceTotal,
+            difference,
+            status: Math.abs(difference) < 0.01 ? 'MATCHED' : 'DIVERGENT',
+            // Lançamentos já cadastrados na fatura que não aparecem no arquivo do banco
+            missingFromStatement: existingInPeriod
+                .filter(tx => !matchedIds.has(tx.id))
+                .map(tx => ({
+                    id: tx.id,
+                    description: tx.description,
+                    amount: parseFloat(tx.amount),
+                    date: tx.date
+                })),
+            // Lançamentos novos que caem fora do período da fatura
+            outOfPeriod: newRows
+                .filter(r => !inPeriod(r))
+                .map(r => ({ line: r.line, description: r.description, date: r.date, amount: r.cardAmount }))
+        },
+        items: rows.map(r => ({
+            line: r.line,
+            externalId: r.externalId,
+            date: r.date,
+            originalDate: r.originalDate || null,
+            description: r.description,
+            amount: r.cardAmount !== undefined ? r.cardAmount : r.amount,
+            category: r.category,
+            appliedRules: r.appliedRules || [],
+            installment: r.installment ? {
+                number: r.installment.number,
+                total: r.installment.total,
+                groupId: r.installmentGroupId,
+                linkedToExistingGroup: r.linkedToExistingGroup
+            } : null,
+            status: r.status,
+            reason: r.reason,
+            transactionId: r.transactionId || null
+        }))
+    };
+};
+
+/**
+ * Lista presets de CSV de fatura de cartão
+ */
+const getPresets = () => listPresets('CARD');
+
+module.exports = {
+    importCardStatement,
+    getPresets,
+    detectInstallment
+};
@@ -6,6 +6,8 @@
  */
 
 const manualCardService = require('./manualCard.service');
+const cardImportService = require('./cardImport.service');
+const splitsService = require('../transactions/splits.service');
 
 // ===========================================
 // CARTÕES
@@ -120,6 +122,45 @@ const deleteTransaction = async (req, res, next) => {
     }
 };
 
+const getTransactionSplits = async (req, res, next) => {
+    try {
+        const data = await splitsService.getSplits(req.userId, req.profileId, 'CARD', req.params.transactionId);
+        res.json({ data });
+    } catch (error) {
+        next(error);
+    }
+};
+
+const setTransactionSplits = async (req, res, next) => {
+    try {
+        const data = await splitsService.setSplits(
+            req.userId,
+            req.profileId,
+            'CARD',
+            req.params.transactionId,
+            req.body.splits
+        );
+        res.json({
+            message: 'Transação dividida com sucesso',
+            data
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+const removeTransactionSplits = async (req, res, next) => {
+    try {
+        const data = await splitsService.removeSplits(req.userId, req.profileId, 'CARD', req.params.transactionId);
+        res.json({
+            message: 'Divisão removida',
+            data
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 const deleteInstallmentGroup = async (req, res, next) => {
     try {
         const result = await manualCardService.deleteInstallmentGroup(
@@ -155,6 +196,50 @@ const getStatement = async (req, res, next) => {
     }
 };
 
+// ===========================================
+// IMPORTAÇÃO DE FATURA
+// ===========================================
+
+const listImportPresets = async (req, res, next) => {
+    try {
+        res.json({ data: cardImportService.getPresets() });
+    } catch (error) {
+        next(error);
+    }
+};
+
+const previewStatementImport = async (req, res, next) => {
+    try {
+        const data = await cardImportService.importCardStatement(
+            req.userId,
+            req.profileId,
+            req.params.cardId,
+            req.body,
+            { dryRun: true }
+        );
+        res.json({ data });
+    } catch (error) {
+        next(error);
+    }
+};
+
+const importStatement = async (req, res, next) => {
+    try {
+        const data = await cardImportService.importCardStatement(
+            req.userId,
+            req.profileId,
+            req.params.cardId,
+            req.body
+        );
+        res.status(201).json({
+            message: `${data.summary.imported} transações importadas`,
+            data
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 module.exports = {
     listCards,
     createCard,
@@ -164,6 +249,12 @@ module.exports = {
     createTransaction,
     updateTransaction,
     deleteTransaction,
+    getTransactionSplits,
+    setTransactionSplits,
+    removeTransactionSplits,
     deleteInstallmentGroup,
-    getStatement
+    getStatement,
+    listImportPresets,
+    previewStatementImport,
+    importStatement
 };
@@ -33,9 +33,17 @@ const createTransactionSchema = {
     }
 };
 
+const importStatementSchema = {
+    body: {
+        content: { required: true, minLength: 1 },
+        format: { enum: ['OFX', 'CSV'] }
+    }
+};
+
 // ===========================================
 // ROTAS DE CARTÕES
 // ===========================================
+router.get('/import/presets', manualCardController.listImportPresets);
 router.get('/', manualCardController.listCards);
 router.post('/', validate(createCardSchema), manualCardController.createCard);
 router.put('/:id', manualCardController.updateCard);
@@ -48,6 +56,9 @@ router.get('/:cardId/transactions', manualCardController.listTransactions);
 router.post('/:cardId/transactions', validate(createTransactionSchema), manualCardController.createTransaction);
 router.put('/transactions/:transactionId', manualCardController.updateTransaction);
 router.delete('/transactions/:transactionId', manualCardController.deleteTransaction);
+router.get('/transactions/:transactionId/splits', manualCardController.getTransactionSplits);
+router.put('/transactions/:transactionId/splits', manualCardController.setTransactionSplits);
+router.delete('/transactions/:transactionId/splits', manualCardController.removeTransactionSplits);
 router.delete('/installments/:groupId', manualCardController.deleteInstallmentGroup);
 
 // ===========================================
@@ -55,4 +66,10 @@ router.delete('/installments/:groupId', manualCardController.deleteInstallmentGr
 // ===========================================
 router.get('/:cardId/statement', manualCardController.getStatement);
 
+// ===========================================
+// IMPORTAÇÃO DE FATURA (CSV/OFX)
+// ===========================================
+router.post('/:cardId/import/preview', validate(importStatementSchema), manualCardController.previewStatementImport);
+router.post('/:cardId/import', validate(importStatementSchema), manualCardController.importStatement);
+
 module.exports = router;
@@ -9,6 +9,10 @@ const { CreditCard, CardTransaction, Subscription, AuditLog } = require('../../m
 const { AppError } = require('../../middlewares/errorHandler');
 const { Op } = require('sequelize');
 const { v4: uuidv4 } = require('uuid');
+const categorizationRulesService = require('../categorizationRules/categorizationRules.service');
+const trashService = require('../trash/trash.service');
+const merchantsService = require('../merchants/merchants.service');
+const categoryLimitsService = require('../budgets/categoryLimits.service');
 
 // ===========================================
 // GESTÃO DE CARTÕES MANUAIS
@@ -237,10 +241,11 @@ const listCardTransactions = async (userId, profileId, cardId, filters = {}) =>
  */
 const createCardTransaction = async (userId, profileId, cardId, data) => {
     const {
-        description, amount, date, category, subcategory,
+        description, amount, date, subcategory,
         isInstallment, totalInstallments, isRecurring, recurringFrequency,
-        notes, tags
+        applyRules = true
     } = data;
+    let { category, notes, tags } = data;
 
     // Verificar se cartão pertence ao usuário e perfil
     const cardWhere = { id: cardId, userId };
@@ -251,6 +256,37 @@ const createCardTransaction = async (userId, profileId, cardId, data) => {
         throw new AppError('Cartão não encontrado', 404, 'CARD_NOT_FOUND');
     }
 
+    // Regras de categorização automática (categoria informada pelo usuário prevalece)
+    let ruleResult = null;
+    if (applyRules) {
+        ruleResult = await categorizationRulesService.evaluate(userId, card.profileId || profileId, {
+            description,
+            amount,
+            type: 'EXPENSE',
+            source: 'CARD',
+            cardId
+        });
+
+        if (ruleResult) {
+            if (ruleResult.categoryName && !category) {
+                category = ruleResult.categoryName;
+            } else {
+                ruleResult.categoryId = null;
+                ruleResult.categoryName = null;
+            }
+            if (ruleResult.tags.length > 0) {
+                tags = [...new Set([...(tags || []), ...ruleResult.tags])];
+            }
+            if (ruleResult.notes && !notes) notes = ruleResult.notes;
+        }
+    }
+
+    // Estabelecimento: categoria padrão só se nem o usuário nem uma regra definiram
+    const merchant = await merchantsService.resolve(userId, card.profileId || profileId, description);
+    if (merchant && merchant.categoryName && applyRules && !category) {
+        category = merchant.categoryName;
+    }
+
     const transactions = [];
 
     // Se for parcelado, criar múltiplas transações
@@ -305,6 +341,11 @@ const createCardTransaction = async (userId, profileId, cardId, data) => {
         transactions.push(transaction);
     }
 
+    for (const transaction of transactions) {
+        await categorizationRulesService.recordApplication(userId, 'CARD', transaction.id, ruleResult);
+        await merchantsService.assignMerchant(userId, 'CARD', transaction.id, merchant && merchant.merchantId);
+    }
+
     // Log de auditoria
     await AuditLog.log({
         userId,
@@ -314,14 +355,25 @@ const createCardTransaction = async (userId, profileId, cardId, data) => {
         newData: { description, amount, isInstallment, totalInstallments, profileId }
     });
 
+    // Limite mensal da categoria: só o mês da compra (parcelas futuras entram quando o mês chegar)
+    await categoryLimitsService.checkTransaction(userId, card.profileId || profileId, {
+        category: transactions[0].category,
+        date: transactions[0].date,
+        transactionId: transactions[0].id,
+        transactionType: 'CARD'
+    });
+
     return {
         created: transactions.length,
         transactions: transactions.map(t => ({
             id: t.id,
             description: t.description,
             amount: parseFloat(t.amount),
-            date: t.date
-        }))
+            date: t.date,
+            category: t.category
+        })),
+        merchant: merchant ? { id: merchant.merchantId, name: merchant.merchantName } : null,
+        appliedRules: ruleResult ? ruleResult.rules : []
     };
 };
 
@@ -341,6 +393,16 @@ const updateCardTransaction = async (userId, profileId, transactionId, data) =>
 
     const previousData = transaction.toJSON();
 
+    // Transação dividida: o valor só muda junto com as linhas
+    if (transaction.isSplit && data.amount !== undefined &&
+        Math.round(parseFloat(data.amount) * 100) !== Math.round(parseFloat(transaction.amount) * 100)) {
+        throw new AppError(
+            'Esta transação está dividida em categorias. Desfaça ou ajuste a divisão antes de alterar o valor.',
+            400,
+            'SPLIT_AMOUNT_MISMATCH'
+        );
+    }
+
     // Campos atualizáveis
     const updateableFields = [
         'description', 'amount', 'date', 'category', 'subcategory',
@@ -358,13 +420,24 @@ const updateCardTransaction = async (userId, profileId, transactionId, data) =>
     return transaction;
 };
 
+/**
+ * Restringe o filtro às transações dos cartões do perfil
+ * (CardTransaction não tem profileId: o perfil é o do cartão)
+ * ✅ PROFILE ISOLATION
+ */
+const withCardProfile = async (userId, profileId, where) => {
+    if (!profileId) return where;
+
+    const cards = await CreditCard.findAll({ where: { userId, profileId }, attributes: ['id'] });
+    return { ...where, cardId: cards.map(card => card.id) };
+};
+
 /**
  * Exclui uma transação
  * ✅ PROFILE ISOLATION
  */
 const deleteCardTransaction = async (userId, profileId, transactionId) => {
-    const where = { id: transactionId, userId };
-    if (profileId) where.profileId = profileId; // ✅ PROFILE ISOLATION
+    const where = await withCardProfile(userId, profileId, { id: transactionId, userId });
 
     const transaction = await CardTransaction.findOne({ where });
 
@@ -375,10 +448,12 @@ const deleteCardTransaction = async (userId, profileId, transactionId) => {
     // Se for parcelamento, perguntar se quer excluir todas
     const groupId = transaction.installmentGroupId;
 
-    await transaction.destroy();
+    // Lixeira: divisões e anexos ficam guardados até o expurgo
+    const { batchId } = await trashService.moveToTrash('CARD', { id: transaction.id });
 
     return {
-        message: 'Transação excluída',
+        message: 'Transação movida para a lixeira',
+        deletionBatchId: batchId,
         installmentGroupId: groupId // Para frontend perguntar se quer excluir outras parcelas
     };
 };
@@ -388,13 +463,14 @@ const deleteCardTransaction = async (userId, profileId, transactionId) => {
  * ✅ PROFILE ISOLATION
  */
 const deleteInstallmentGroup = async (userId, profileId, groupId) => {
-    const where = { userId, installmentGroupId: groupId };
-    if (profileId) where.profileId = profileId; // ✅ PROFILE ISOLATION
+    const where = await withCardProfile(userId, profileId, { userId, installmentGroupId: groupId });
 
-    const deleted = await CardTransaction.destroy({ where });
+    // Todas as parcelas com o mesmo deletionBatchId: restauradas juntas
+    const { batchId, count } = await trashService.moveToTrash('CARD', where);
 
     return {
-        message: `${deleted} parcelas excluídas`
+        message: `${count} parcelas movidas para a lixeira`,
+        deletionBatchId: batchId
     };
 };
 
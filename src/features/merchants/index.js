@@ -0,0 +1,4 @@
+module.exports = {
+    merchantsController: require('./merchants.controller'),
+    merchantsRoutes: require('./merchants.routes')
+};
@@ -0,0 +1,139 @@
+/**
+ * Merchants Controller
+ * ✅ PROFILE ISOLATION: Uses req.profileId
+ */
+
+const merchantsService = require('./merchants.service');
+
+/**
+ * GET /merchants
+ */
+const list = async (req, res, next) => {
+    try {
+        const merchants = await merchantsService.listMerchants(req.userId, req.profileId);
+        res.json({ data: merchants });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * GET /merchants/:id
+ */
+const getById = async (req, res, next) => {
+    try {
+        const merchant = await merchantsService.getMerchant(req.userId, req.profileId, req.params.id);
+        res.json({ data: merchant });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /merchants
+ */
+const create = async (req, res, next) => {
+    try {
+        const result = await merchantsService.createMerchant(req.userId, req.profileId, req.body);
+
+        res.status(201).json({
+            message: result.matched > 0
+                ? `Estabelecimento criado e vinculado a ${result.matched} transação(ões)`
+                : 'Estabelecimento criado com sucesso',
+            data: result
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * PUT /merchants/:id
+ */
+const update = async (req, res, next) => {
+    try {
+        const result = await merchantsService.updateMerchant(req.userId, req.profileId, req.params.id, req.body);
+
+        res.json({
+            message: 'Estabelecimento atualizado com sucesso',
+            data: result
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /merchants/:id/merge
+ */
+const merge = async (req, res, next) => {
+    try {
+        const result = await merchantsService.mergeMerchants(req.userId, req.profileId, req.params.id, req.body.sourceIds);
+
+        res.json({
+            message: `${result.merged.length} estabelecimento(s) mesclado(s) em "${result.merchant.name}"`,
+            data: result
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * DELETE /merchants/:id
+ */
+const remove = async (req, res, next) => {
+    try {
+        const result = await merchantsService.deleteMerchant(req.userId, req.profileId, req.params.id);
+
+        res.json({
+            message: 'Estabelecimento excluído',
+            data: result
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /merchants/test
+ * Testa o reconhecimento de uma descrição
+ */
+const test = async (req, res, next) => {
+    try {
+        const result = await merchantsService.testDescription(req.userId, req.profileId, req.body.description);
+        res.json({ data: result });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /merchants/rematch
+ * Reconhece estabelecimentos em transações existentes (dryRun para prévia)
+ */
+const rematch = async (req, res, next) => {
+    try {
+        const result = await merchantsService.rematchTransactions(req.userId, req.profileId, req.body);
+
+        res.json({
+            message: result.dryRun
+                ? `${result.updated} transação(ões) seriam vinculadas`
+                : `${result.updated} transação(ões) vinculadas`,
+            data: result
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    list,
+    getById,
+    create,
+    update,
+    merge,
+    remove,
+    test,
+    rematch
+};
@@ -0,0 +1,74 @@
+/**
+ * Merchants Routes
+ * ========================================
+ * ✅ PROFILE ISOLATION: Uses profileMiddleware
+ * ========================================
+ */
+
+const { Router } = require('express');
+const merchantsController = require('./merchants.controller');
+const { authMiddleware } = require('../../middlewares/authMiddleware');
+const { profileMiddleware } = require('../../middlewares/profileMiddleware');
+const { validate } = require('../../utils/validators');
+
+const router = Router();
+
+// ✅ Auth first, then profile isolation
+router.use(authMiddleware);
+router.use(profileMiddleware);
+
+// Schemas de validação
+const createSchema = {
+    body: {
+        name: { required: true },
+        defaultCategoryId: { type: 'uuid' }
+    }
+};
+
+const updateSchema = {
+    params: {
+        id: { type: 'uuid' }
+    },
+    body: {
+        defaultCategoryId: { type: 'uuid' }
+    }
+};
+
+const testSchema = {
+    body: {
+        description: { required: true }
+    }
+};
+
+const rematchSchema = {
+    body: {
+        startDate: { type: 'date' },
+        endDate: { type: 'date' }
+    }
+};
+
+const mergeSchema = {
+    params: {
+        id: { type: 'uuid' }
+    },
+    body: {
+        sourceIds: { required: true }
+    }
+};
+
+const idSchema = {
+    params: {
+        id: { type: 'uuid' }
+    }
+};
+
+router.get('/', merchantsController.list);
+router.post('/', validate(createSchema), merchantsController.create);
+router.post('/test', validate(testSchema), merchantsController.test);
+router.post('/rematch', validate(rematchSchema), merchantsController.rematch);
+router.get('/:id', validate(idSchema), merchantsController.getById);
+router.put('/:id', validate(updateSchema), merchantsController.update);
+router.post('/:id/merge', validate(mergeSchema), merchantsController.merge);
+router.delete('/:id', validate(idSchema), merchantsController.remove);
+
+module.exports = router;
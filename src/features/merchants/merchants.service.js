@@ -0,0 +1,978 @@
+/**
+ * Merchants Service
+ * ========================================
+ * ESTABELECIMENTOS E NORMALIZAÇÃO DE DESCRIÇÕES
+ * ========================================
+ *
+ * Descrições de adquirente/banco variam para o mesmo lugar
+ * ("IFD*IFOOD", "IFOOD *RESTAURANTE X", "iFood"). Cada Merchant tem
+ * aliases; a descrição é normalizada (sem acentos, pontuação e maiúsculas)
+ * e o alias precisa casar no início de uma palavra. Aliases entre barras
+ * são regex aplicadas à descrição original. Vence o alias mais específico
+ * (mais longo).
+ *
+ * O reconhecimento roda na criação manual, cartão, WhatsApp, importação
+ * de extrato/fatura e Open Finance. O vínculo fica em
+ * TransactionMetadata.merchantId; a categoria padrão do estabelecimento
+ * só preenche transações sem categoria (a escolha do usuário e as regras
+ * de categorização prevalecem).
+ *
+ * ✅ PROFILE ISOLATION: manuais pelo profileId, Open Finance pela conta/cartão,
+ *    cartão manual pelo perfil do cartão
+ */
+
+const moment = require('moment');
+const {
+    Merchant,
+    ManualTransaction,
+    OpenFinanceTransaction,
+    CardTransaction,
+    TransactionMetadata,
+    BankAccount,
+    CreditCard,
+    Category,
+    sequelize
+} = require('../../models');
+const { AppError } = require('../../middlewares/errorHandler');
+const { Op, QueryTypes } = require('sequelize');
+const exchangeRatesService = require('../exchangeRates/exchangeRates.service');
+
+const MAX_NAME_LENGTH = 100;
+const MAX_ALIAS_LENGTH = 200;
+const MIN_ALIAS_LENGTH = 3;
+const MAX_ALIASES = 50;
+const COLOR_REGEX = /^#[0-9a-fA-F]{6}$/;
+const DEFAULT_REPORT_LIMIT = 20;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// ===========================================
+// NORMALIZAÇÃO E RECONHECIMENTO
+// ===========================================
+
+/**
+ * Normaliza descrição para comparação
+ * "IFD*IFOOD" → "ifd ifood", "Padaria São João-SP" → "padaria sao joao sp"
+ */
+const normalizeDescription = (value) => {
+    return String(value || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+};
+
+const isRegexAlias = (alias) => alias.length > 2 && alias.startsWith('/') && alias.endsWith('/');
+
+/**
+ * Compila um alias: regex (entre barras) ou texto normalizado
+ */
+const compileAlias = (alias) => {
+    if (isRegexAlias(alias)) {
+        try {
+            return { alias, regex: new RegExp(alias.slice(1, -1), 'i'), weight: alias.length - 2 };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    const text = normalizeDescription(alias);
+    if (!text) return null;
+    return { alias, text, weight: text.length };
+};
+
+/**
+ * Prepara os estabelecimentos para o reconhecimento (nome + aliases)
+ */
+const buildMatchers = (merchants) => merchants.map(merchant => ({
+    merchant,
+    patterns: [merchant.name, ...(merchant.aliases || [])]
+        .map(compileAlias)
+        .filter(Boolean)
+}));
+
+/**
+ * Reconhece o estabelecimento de uma descrição
+ *
+ * @returns {{ merchant, alias }|null}
+ */
+const matchMerchant = (matchers, description) => {
+    if (!description) return null;
+
+    const normalized = ` ${normalizeDescription(description)} `;
+    let best = null;
+
+    for (const { merchant, patterns } of matchers) {
+        for (const pattern of patterns) {
+            const matched = pattern.regex
+                ? pattern.regex.test(description)
+                : normalized.includes(` ${pattern.text}`);
+
+            if (matched && (!best || pattern.weight > best.weight)) {
+                best = { merchant, alias: pattern.alias, weight: pattern.weight };
+            }
+        }
+    }
+
+    return best ? { merchant: best.merchant, alias: best.alias } : null;
+};
+
+/**
+ * Carrega os estabelecimentos ativos do perfil prontos para o reconhecimento
+ */
+const loadMatchers = async (userId, profileId) => {
+    if (!profileId) return [];
+
+    const merchants = await Merchant.findAll({
+        where: { userId, profileId, isActive: true }, // ✅ PROFILE ISOLATION
+        include: [{ model: Category, as: 'defaultCategory', attributes: ['id', 'name'] }],
+        order: [['createdAt', 'ASC']]
+    });
+
+    return buildMatchers(merchants);
+};
+
+/**
+ * Resultado do reconhecimento no formato usado pelos fluxos de criação
+ */
+const toResult = (match) => {
+    if (!match) return null;
+
+    const { merchant, alias } = match;
+    return {
+        merchantId: merchant.id,
+        merchantName: merchant.name,
+        alias,
+        categoryId: merchant.defaultCategory ? merchant.defaultCategory.id : null,
+        categoryName: merchant.defaultCategory ? merchant.defaultCategory.name : null
+    };
+};
+
+/**
+ * Reconhece o estabelecimento de uma descrição do perfil
+ *
+ * @returns {Promise<{ merchantId, merchantName, alias, categoryId, categoryName }|null>}
+ */
+const resolve = async (userId, profileId, description) => {
+    const matchers = await loadMatchers(userId, profileId);
+    return toResult(matchMerchant(matchers, description));
+};
+
+/**
+ * Reconhece o estabelecimento de várias linhas de importação
+ * Linhas sem categoria recebem a categoria padrão do estabelecimento.
+ */
+const applyToRows = async (userId, profileId, rows) => {
+    const matchers = await loadMatchers(userId, profileId);
+    if (matchers.length === 0) return rows;
+
+    for (const row of rows) {
+        if (row.status === 'INVALID') continue;
+
+        const result = toResult(matchMerchant(matchers, row.description));
+        if (!result) continue;
+
+        row.merchantId = result.merchantId;
+        row.merchant = result.merchantName;
+        if (result.categoryId && !row.categoryId && !(row.ruleResult && row.ruleResult.categoryId)) {
+            row.categoryId = result.categoryId;
+            row.category = result.categoryName;
+        }
+    }
+
+    return rows;
+};
+
+/**
+ * Grava o estabelecimento no metadata da transação
+ *
+ * @param {object} options - { category (preenche se vazio), transaction }
+ */
+const assignMerchant = async (userId, transactionType, transactionId, merchantId, options = {}) => {
+    if (!merchantId) return null;
+
+    const [metadata] = await TransactionMetadata.findOrCreate({
+        where: { userId, transactionType, transactionId },
+        defaults: { userId, transactionType, transactionId },
+        transaction: options.transaction
+    });
+
+    metadata.merchantId = merchantId;
+    if (options.category && !metadata.category) {
+        metadata.category = options.category;
+    }
+
+    await metadata.save({ transaction: options.transaction });
+    return metadata;
+};
+
+// ===========================================
+// CRUD
+// ===========================================
+
+/**
+ * Busca estabelecimento do perfil (ou 404)
+ */
+const findMerchant = async (userId, profileId, merchantId, options = {}) => {
+    const merchant = await Merchant.findOne({
+        where: { id: merchantId, userId, profileId }, // ✅ PROFILE ISOLATION
+        include: [{ model: Category, as: 'defaultCategory', attributes: ['id', 'name', 'icon', 'color'] }],
+        transaction: options.transaction
+    });
+
+    if (!merchant) {
+        throw new AppError('Estabelecimento não encontrado', 404, 'MERCHANT_NOT_FOUND');
+    }
+
+    return merchant;
+};
+
+/**
+ * Busca estabelecimento do perfil pelo nome (sem diferenciar maiúsculas)
+ */
+const findByName = (userId, profileId, name, options = {}) => Merchant.findOne({
+    where: {
+        userId,
+        profileId,
+        [Op.and]: sequelize.where(sequelize.fn('lower', sequelize.col('name')), name.toLowerCase())
+    },
+    transaction: options.transaction
+});
+
+const normalizeName = (value) => {
+    const name = String(value || '').trim().replace(/\s+/g, ' ');
+    if (!name) {
+        throw new AppError('Nome do estabelecimento é obrigatório', 400, 'INVALID_MERCHANT_NAME');
+    }
+    if (name.length > MAX_NAME_LENGTH) {
+        throw new AppError(`Nome do estabelecimento deve ter até ${MAX_NAME_LENGTH} caracteres`, 400, 'INVALID_MERCHANT_NAME');
+    }
+    return name;
+};
+
+/**
+ * Valida e deduplica aliases (texto normalizado ou regex entre barras)
+ */
+const normalizeAliases = (value) => {
+    if (value === undefined || value === null) return [];
+    if (!Array.isArray(value)) {
+        throw new AppError('aliases deve ser uma lista', 400, 'INVALID_ALIASES');
+    }
+
+    const aliases = [];
+    const seen = new Set();
+    for (const item of value) {
+        const alias = String(item || '').trim();
+        if (!alias) continue;
+
+        if (alias.length > MAX_ALIAS_LENGTH) {
+            throw new AppError(`Alias deve ter até ${MAX_ALIAS_LENGTH} caracteres`, 400, 'INVALID_ALIAS');
+        }
+
+        const compiled = compileAlias(alias);
+        if (!compiled) {
+            throw new AppError(`Alias inválido: ${alias}`, 400, 'INVALID_ALIAS');
+        }
+        if (!compiled.regex && compiled.text.length < MIN_ALIAS_LENGTH) {
+            throw new AppError(`Alias muito curto: ${alias} (mínimo ${MIN_ALIAS_LENGTH} caracteres)`, 400, 'INVALID_ALIAS');
+        }
+
+        const key = compiled.regex ? alias : compiled.text;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        aliases.push(alias);
+    }
+
+    if (aliases.length > MAX_ALIASES) {
+        throw new AppError(`Máximo de ${MAX_ALIASES} aliases por estabelecimento`, 400, 'INVALID_ALIASES');
+    }
+
+    return aliases;
+};
+
+/**
+ * Valida campos editáveis (cor e categoria padrão)
+ */
+const sanitizeMerchant = async (userId, data) => {
+    const values = {};
+
+    if (data.color !== undefined) {
+        if (data.color && !COLOR_REGEX.test(data.color)) {
+            throw new AppError('Cor inválida (use #RRGGBB)', 400, 'INVALID_COLOR');
+        }
+        values.color = data.color || null;
+    }
+
+    if (data.logoUrl !== undefined) values.logoUrl = data.logoUrl || null;
+    if (data.isActive !== undefined) values.isActive = !!data.isActive;
+    if (data.aliases !== undefined) values.aliases = normalizeAliases(data.aliases);
+
+    if (data.defaultCategoryId !== undefined) {
+        if (data.defaultCategoryId) {
+            const category = await Category.findOne({
+                where: {
+                    id: data.defaultCategoryId,
+                    [Op.or]: [{ userId }, { userId: null, isDefault: true }]
+                }
+            });
+            if (!category) {
+                throw new AppError('Categoria não encontrada', 404, 'CATEGORY_NOT_FOUND');
+            }
+        }
+        values.defaultCategoryId = data.defaultCategoryId || null;
+    }
+
+    return values;
+};
+
+/**
+ * Uso e categorias já usadas por estabelecimento
+ * Categoria efetiva: da transação manual, do cartão ou do metadata (Open Finance).
+ * Transações na lixeira ficam de fora.
+ *
+ * @returns {Promise<Map<string, { transactionCount, categories: [{ categoryId, name, count }] }>>}
+ */
+const getUsage = async (userId, merchantIds) => {
+    const usage = new Map();
+    if (merchantIds.length === 0) return usage;
+
+    const rows = await sequelize.query(`
+        SELECT md.merchant_id,
+               COALESCE(c.name, NULLIF(ct.category, 'OTHER'), md.category) AS category,
+               (ARRAY_AGG(c.id) FILTER (WHERE c.id IS NOT NULL))[1] AS category_id,
+               COUNT(*)::int AS count
+        FROM transaction_metadata md
+        LEFT JOIN manual_transactions mt
+            ON md.transaction_type = 'MANUAL' AND mt.id = md.transaction_id AND mt.deleted_at IS NULL
+        LEFT JOIN categories c ON c.id = mt.category_id
+        LEFT JOIN card_transactions ct
+            ON md.transaction_type = 'CARD' AND ct.id = md.transaction_id AND ct.deleted_at IS NULL
+        WHERE md.user_id = :userId
+          AND md.merchant_id IN (:merchantIds)
+          AND NOT (md.transaction_type = 'MANUAL' AND mt.id IS NULL)
+          AND NOT (md.transaction_type = 'CARD' AND ct.id IS NULL)
+        GROUP BY md.merchant_id, 2
+    `, {
+        replacements: { userId, merchantIds },
+        type: QueryTypes.SELECT
+    });
+
+    for (const row of rows) {
+        if (!usage.has(row.merchant_id)) {
+            usage.set(row.merchant_id, { transactionCount: 0, categories: [] });
+        }
+        const item = usage.get(row.merchant_id);
+        item.transactionCount += row.count;
+        if (row.category) {
+            item.categories.push({ categoryId: row.category_id || null, name: row.category, count: row.count });
+        }
+    }
+
+    return usage;
+};
+
+/**
+ * Categoria sugerida: a padrão do estabelecimento ou a mais usada no histórico
+ */
+const suggestCategory = (merchant, usage) => {
+    if (merchant.defaultCategory) {
+        return {
+            categoryId: merchant.defaultCategory.id,
+            name: merchant.defaultCategory.name,
+            source: 'DEFAULT',
+            confidence: 1
+        };
+    }
+
+    if (!usage || usage.categories.length === 0) return null;
+
+    const categorized = usage.categories.reduce((sum, c) => sum + c.count, 0);
+    const top = [...usage.categories].sort((a, b) => b.count - a.count)[0];
+
+    return {
+        categoryId: top.categoryId,
+        name: top.name,
+        source: 'HISTORY',
+        confidence: round2(top.count / categorized)
+    };
+};
+
+const formatMerchant = (merchant, usage) => ({
+    ...merchant.toJSON(),
+    transactionCount: usage ? usage.transactionCount : 0,
+    suggestedCategory: suggestCategory(merchant, usage)
+});
+
+/**
+ * Lista estabelecimentos do perfil com uso e sugestão de categoria
+ * ✅ PROFILE ISOLATION
+ */
+const listMerchants = async (userId, profileId) => {
+    const merchants = await Merchant.findAll({
+        where: { userId, profileId },
+        include: [{ model: Category, as: 'defaultCategory', attributes: ['id', 'name', 'icon', 'color'] }],
+        order: [['name', 'ASC']]
+    });
+
+    const usage = await getUsage(userId, merchants.map(m => m.id));
+    return merchants.map(merchant => formatMerchant(merchant, usage.get(merchant.id)));
+};
+
+/**
+ * Detalhe do estabelecimento
+ */
+const getMerchant = async (userId, profileId, merchantId) => {
+    const merchant = await findMerchant(userId, profileId, merchantId);
+    const usage = await getUsage(userId, [merchant.id]);
+    return formatMerchant(merchant, usage.get(merchant.id));
+};
+
+/**
+ * Cria estabelecimento e vincula as transações antigas que casarem
+ */
+const createMerchant = async (userId, profileId, data) => {
+    const name = normalizeName(data.name);
+    const values = await sanitizeMerchant(userId, data);
+
+    if (await findByName(userId, profileId, name)) {
+        throw new AppError('Já existe um estabelecimento com este nome', 409, 'MERCHANT_ALREADY_EXISTS');
+    }
+
+    const merchant = await Merchant.create({
+        ...values,
+        userId,
+        profileId,
+        name
+    });
+
+    const rematch = await rematchTransactions(userId, profileId, { merchantIds: [merchant.id] });
+
+    return {
+        merchant: await getMerchant(userId, profileId, merchant.id),
+        matched: rematch.updated
+    };
+};
+
+/**
+ * Atualiza estabelecimento; novos aliases vinculam transações ainda sem estabelecimento
+ */
+const updateMerchant = async (userId, profileId, merchantId, data) => {
+    const merchant = await findMerchant(userId, profileId, merchantId);
+    const values = await sanitizeMerchant(userId, data);
+
+    if (data.name !== undefined) {
+        const name = normalizeName(data.name);
+        if (name.toLowerCase() !== merchant.name.toLowerCase()) {
+            const conflict = await findByName(userId, profileId, name);
+            if (conflict) {
+                const error = new AppError('Já existe um estabelecimento com este nome. Use a mesclagem.', 409, 'MERCHANT_ALREADY_EXISTS');
+                error.details = { merchantId: conflict.id };
+                throw error;
+            }
+        }
+        values.name = name;
+    }
+
+    await merchant.update(values);
+
+    let matched = 0;
+    if (merchant.isActive && (values.name !== undefined || values.aliases !== undefined)) {
+        const rematch = await rematchTransactions(userId, profileId, { merchantIds: [merchant.id] });
+        matched = rematch.updated;
+    }
+
+    return {
+        merchant: await getMerchant(userId, profileId, merchant.id),
+        matched
+    };
+};
+
+/**
+ * Mescla estabelecimentos: aliases e nomes dos de origem viram aliases do destino
+ * e as transações passam para o destino
+ */
+const mergeMerchants = async (userId, profileId, targetId, sourceIds) => {
+    if (!Array.isArray(sourceIds) || sourceIds.length === 0) {
+        throw new AppError('Informe os estabelecimentos a mesclar (sourceIds)', 400, 'INVALID_MERGE');
+    }
+
+    const ids = [...new Set(sourceIds)].filter(id => id !== targetId);
+    if (ids.length === 0) {
+        throw new AppError('Não é possível mesclar um estabelecimento nele mesmo', 400, 'INVALID_MERGE');
+    }
+
+    const t = await sequelize.transaction();
+
+    try {
+        const target = await findMerchant(userId, profileId, targetId, { transaction: t });
+        const sources = await Merchant.findAll({
+            where: { id: ids, userId, profileId }, // ✅ PROFILE ISOLATION
+            transaction: t
+        });
+
+        if (sources.length !== ids.length) {
+            throw new AppError('Estabelecimento não encontrado', 404, 'MERCHANT_NOT_FOUND');
+        }
+
+        target.aliases = normalizeAliases([
+            ...(target.aliases || []),
+            ...sources.flatMap(source => [source.name, ...(source.aliases || [])])
+        ]);
+        if (!target.defaultCategoryId) {
+            const withCategory = sources.find(source => source.defaultCategoryId);
+            if (withCategory) target.defaultCategoryId = withCategory.defaultCategoryId;
+        }
+        await target.save({ transaction: t });
+
+        const [moved] = await TransactionMetadata.update(
+            { merchantId: target.id },
+            { where: { userId, merchantId: ids }, transaction: t }
+        );
+
+        await Merchant.destroy({ where: { id: ids }, transaction: t });
+
+        await t.commit();
+
+        return {
+            merchant: await getMerchant(userId, profileId, target.id),
+            merged: sources.map(source => ({ id: source.id, name: source.name })),
+            transactionsMoved: moved
+        };
+    } catch (error) {
+        await t.rollback();
+        console.error('❌ [MERCHANT MERGE] Error:', error);
+        throw error;
+    }
+};
+
+/**
+ * Exclui estabelecimento (as transações ficam sem estabelecimento)
+ */
+const deleteMerchant = async (userId, profileId, merchantId) => {
+    const t = await sequelize.transaction();
+
+    try {
+        const merchant = await findMerchant(userId, profileId, merchantId, { transaction: t });
+
+        const [unlinked] = await TransactionMetadata.update(
+            { merchantId: null },
+            { where: { userId, merchantId: merchant.id }, transaction: t }
+        );
+
+        await merchant.destroy({ transaction: t });
+        await t.commit();
+
+        return { id: merchant.id, unlinked };
+    } catch (error) {
+        await t.rollback();
+        console.error('❌ [MERCHANT DELETE] Error:', error);
+        throw error;
+    }
+};
+
+/**
+ * Testa uma descrição: estabelecimento reconhecido e categoria sugerida
+ */
+const testDescription = async (userId, profileId, description) => {
+    if (!description || !String(description).trim()) {
+        throw new AppError('Informe a descrição', 400, 'DESCRIPTION_REQUIRED');
+    }
+
+    const matchers = await loadMatchers(userId, profileId);
+    const match = matchMerchant(matchers, description);
+
+    if (!match) {
+        return { description, normalized: normalizeDescription(description), matched: false, merchant: null };
+    }
+
+    const usage = await getUsage(userId, [match.merchant.id]);
+
+    return {
+        description,
+        normalized: normalizeDescription(description),
+        matched: true,
+        alias: match.alias,
+        merchant: { id: match.merchant.id, name: match.merchant.name },
+        suggestedCategory: suggestCategory(match.merchant, usage.get(match.merchant.id))
+    };
+};
+
+// Tamanho do bloco de transações no reconhecimento em massa
+const REMATCH_CHUNK_SIZE = 500;
+// Itens listados no relatório (o total continua em updated)
+const REMATCH_REPORT_LIMIT = 500;
+
+/**
+ * Percorre as transações em blocos, em ordem de id
+ */
+const forEachChunk = async (Model, where, callback) => {
+    let lastId = null;
+    let records;
+    do {
+        records = await Model.findAll({
+            where: lastId ? { ...where, id: { [Op.gt]: lastId } } : where,
+            order: [['id', 'ASC']],
+            limit: REMATCH_CHUNK_SIZE
+        });
+        if (records.length === 0) break;
+
+        await callback(records);
+        lastId = records[records.length - 1].id;
+    } while (records.length === REMATCH_CHUNK_SIZE);
+};
+
+/**
+ * Reconhece estabelecimentos em transações existentes do perfil
+ *
+ * @param {object} data - { startDate, endDate, onlyUnmatched = true, merchantIds, dryRun }
+ *   onlyUnmatched=false também troca/remove vínculos que não casam mais
+ */
+const rematchTransactions = async (userId, profileId, data = {}) => {
+    const { startDate, endDate, onlyUnmatched = true, merchantIds, dryRun = false } = data;
+
+    let matchers = await loadMatchers(userId, profileId);
+    if (merchantIds && merchantIds.length > 0) {
+        matchers = matchers.filter(m => merchantIds.includes(m.merchant.id));
+    }
+
+    const report = { dryRun, processed: 0, updated: 0, items: [], itemsTruncated: false };
+    if (matchers.length === 0 && onlyUnmatched) return report;
+
+    const dateWhere = {};
+    if (startDate) dateWhere[Op.gte] = startDate;
+    if (endDate) dateWhere[Op.lte] = endDate;
+    const withDate = (where) => (startDate || endDate ? { ...where, date: dateWhere } : where);
+
+    const profileWhere = { userId };
+    if (profileId) profileWhere.profileId = profileId; // ✅ PROFILE ISOLATION
+
+    const [accounts, cards] = await Promise.all([
+        BankAccount.findAll({ where: profileWhere, attributes: ['id'] }),
+        CreditCard.findAll({ where: profileWhere, attributes: ['id'] })
+    ]);
+
+    const loadMetadata = async (transactions) => {
+        const metadata = await TransactionMetadata.findAll({
+            where: { userId, transactionId: transactions.map(tx => tx.id) },
+            attributes: ['transactionType', 'transactionId', 'merchantId', 'category']
+        });
+        return new Map(metadata.map(m => [`${m.transactionType}:${m.transactionId}`, m]));
+    };
+
+    const handle = async (metadataMap, transactionType, transaction, isUncategorized, applyCategory) => {
+        report.processed++;
+
+        const current = metadataMap.get(`${transactionType}:${transaction.id}`);
+        const currentId = current ? current.merchantId : null;
+        if (onlyUnmatched && currentId) return;
+
+        const result = toResult(matchMerchant(matchers, transaction.description));
+        const nextId = result ? result.merchantId : null;
+
+        // Restrito a alguns estabelecimentos: não mexe em vínculos dos demais
+        if (!result && (onlyUnmatched || (merchantIds && !merchantIds.includes(currentId)))) return;
+        if (nextId === currentId) return;
+
+        report.updated++;
+        if (report.items.length < REMATCH_REPORT_LIMIT) {
+            report.items.push({
+                transactionType,
+                transactionId: transaction.id,
+                date: transaction.date,
+                description: transaction.description,
+                amount: parseFloat(transaction.amount),
+                previousMerchantId: currentId,
+                merchantId: nextId,
+                merchantName: result ? result.merchantName : null
+            });
+        } else {
+            report.itemsTruncated = true;
+        }
+
+        if (dryRun) return;
+
+        if (!result) {
+            await TransactionMetadata.update(
+                { merchantId: null },
+                { where: { userId, transactionType, transactionId: transaction.id } }
+            );
+            return;
+        }
+
+        const fillCategory = result.categoryId && isUncategorized;
+        await assignMerchant(userId, transactionType, transaction.id, result.merchantId, {
+            category: fillCategory ? result.categoryName : null
+        });
+        if (fillCategory && applyCategory) await applyCategory(result);
+    };
+
+    // Em blocos para não carregar o histórico inteiro do perfil
+    await forEachChunk(ManualTransaction, withDate(profileWhere), async (manual) => {
+        const metadataMap = await loadMetadata(manual);
+        for (const transaction of manual) {
+            await handle(metadataMap, 'MANUAL', transaction, !transaction.categoryId, (result) =>
+                transaction.update({ categoryId: result.categoryId }));
+        }
+    });
+
+    if (cards.length > 0) {
+        await forEachChunk(CardTransaction, withDate({ cardId: cards.map(c => c.id) }), async (card) => {
+            const metadataMap = await loadMetadata(card);
+            for (const transaction of card) {
+                await handle(metadataMap, 'CARD', transaction, !transaction.category || transaction.category === 'OTHER', (result) =>
+                    transaction.update({ category: result.categoryName }));
+            }
+        });
+    }
+
+    // Open Finance é imutável: categoria só no metadata
+    if (accounts.length > 0 || cards.length > 0) {
+        const openFinanceWhere = withDate({
+            userId,
+            [Op.or]: [
+                { relatedAccountId: accounts.map(a => a.id) },
+                { relatedCardId: cards.map(c => c.id) }
+            ]
+        });
+        await forEachChunk(OpenFinanceTransaction, openFinanceWhere, async (openFinance) => {
+            const metadataMap = await loadMetadata(openFinance);
+            for (const transaction of openFinance) {
+                const current = metadataMap.get(`OPEN_FINANCE:${transaction.id}`);
+                await handle(metadataMap, 'OPEN_FINANCE', transaction, !(current && current.category), null);
+            }
+        });
+    }
+
+    console.log(`🏪 [MERCHANTS] ${dryRun ? 'Preview' : 'Rematch'} for profile ${profileId}: ${report.updated}/${report.processed}`);
+
+    return report;
+};
+
+/**
+ * Reconhece estabelecimentos de transações do Open Finance recém-importadas
+ * (categoria padrão só no metadata; a transação é imutável)
+ */
+const applyToOpenFinance = async (userId, profileId, transactions) => {
+    const matchers = await loadMatchers(userId, profileId);
+    if (matchers.length === 0) return 0;
+
+    let matched = 0;
+    for (const transaction of transactions) {
+        const result = toResult(matchMerchant(matchers, transaction.description));
+        if (!result) continue;
+
+        await assignMerchant(userId, 'OPEN_FINANCE', transaction.id, result.merchantId, {
+            category: result.categoryName
+        });
+        matched++;
+    }
+
+    return matched;
+};
+
+// ===========================================
+// RELATÓRIO
+// ===========================================
+
+/**
+ * Relatório de estabelecimentos no período (despesas)
+ * Ranking por gasto, visitas, ticket médio e evolução mensal.
+ * Estornos de cartão reduzem o gasto mas não contam como visita.
+ *
+ * @param {object} filters - { startDate, endDate, limit, merchantId }
+ */
+const getMerchantReport = async (userId, profileId, filters = {}) => {
+    const endDate = filters.endDate || moment().endOf('month').format('YYYY-MM-DD');
+    const startDate = filters.startDate || moment(endDate).subtract(11, 'months').startOf('month').format('YYYY-MM-DD');
+    if (!moment(startDate, 'YYYY-MM-DD', true).isValid() || !moment(endDate, 'YYYY-MM-DD', true).isValid() || startDate > endDate) {
+        throw new AppError('Período inválido (use startDate e endDate no formato YYYY-MM-DD)', 400, 'INVALID_PERIOD');
+    }
+
+    const limit = Math.min(parseInt(filters.limit) || DEFAULT_REPORT_LIMIT, 100);
+    const dateFilter = { [Op.between]: [startDate, endDate] };
+    const baseCurrency = await exchangeRatesService.getBaseCurrency(profileId);
+
+    const merchantWhere = { userId, profileId }; // ✅ PROFILE ISOLATION
+    if (filters.merchantId) merchantWhere.id = filters.merchantId;
+    const merchants = await Merchant.findAll({
+        where: merchantWhere,
+        include: [{ model: Category, as: 'defaultCategory', attributes: ['id', 'name'] }]
+    });
+    const merchantMap = new Map(merchants.map(m => [m.id, m]));
+
+    const metadata = merchants.length > 0
+        ? await TransactionMetadata.findAll({
+            where: {
+                userId,
+                merchantId: [...merchantMap.keys()],
+                isIgnored: { [Op.not]: true }
+            },
+            attributes: ['transactionType', 'transactionId', 'merchantId']
+        })
+        : [];
+    const merchantOf = new Map(metadata.map(m => [`${m.transactionType}:${m.transactionId}`, m.merchantId]));
+    const idsOf = (type) => metadata.filter(m => m.transactionType === type).map(m => m.transactionId);
+
+    const [manual, openFinance, card] = await Promise.all([
+        ManualTransaction.findAll({
+            where: {
+                userId,
+                profileId, // ✅ PROFILE ISOLATION
+                id: idsOf('MANUAL'),
+                type: 'EXPENSE',
+                date: dateFilter,
+                status: { [Op.ne]: 'CANCELLED' }
+            }
+        }),
+        OpenFinanceTransaction.findAll({
+            where: { userId, id: idsOf('OPEN_FINANCE'), type: 'DEBIT', date: dateFilter },
+            include: [
+                { model: BankAccount, as: 'bankAccount', attributes: ['profileId'], required: false },
+                { model: CreditCard, as: 'creditCard', attributes: ['profileId'], required: false }
+            ]
+        }).then(rows => rows.filter(tx =>
+            tx.bankAccount?.profileId === profileId || tx.creditCard?.profileId === profileId)),
+        CardTransaction.findAll({
+            where: {
+                userId,
+                id: idsOf('CARD'),
+                date: dateFilter,
+                status: { [Op.ne]: 'CANCELLED' }
+            },
+            include: [{ model: CreditCard, as: 'card', where: { profileId }, attributes: ['currency'] }]
+        })
+    ]);
+
+    // Open Finance Brasil é sempre em BRL; cartão na moeda do cartão
+    const rates = new Map();
+    const rateFor = async (currency) => {
+        const from = currency || 'BRL';
+        if (!rates.has(from)) {
+            const { rate } = await exchangeRatesService.getRate(from, baseCurrency, endDate, { userId });
+            rates.set(from, rate);
+        }
+        return rates.get(from);
+    };
+
+    const entries = [];
+    for (const tx of manual) {
+        const amount = tx.convertedAmount !== null && tx.convertedAmount !== undefined
+            ? parseFloat(tx.convertedAmount)
+            : parseFloat(tx.amount);
+        entries.push({ merchantId: merchantOf.get(`MANUAL:${tx.id}`), source: 'MANUAL', date: tx.date, amount });
+    }
+    for (const tx of openFinance) {
+        entries.push({
+            merchantId: merchantOf.get(`OPEN_FINANCE:${tx.id}`),
+            source: 'OPEN_FINANCE',
+            date: tx.date,
+            amount: Math.abs(parseFloat(tx.amount)) * await rateFor('BRL')
+        });
+    }
+    for (const tx of card) {
+        entries.push({
+            merchantId: merchantOf.get(`CARD:${tx.id}`),
+            source: 'CARD',
+            date: tx.date,
+            amount: parseFloat(tx.amount) * await rateFor(tx.card?.currency)
+        });
+    }
+
+    const report = new Map();
+    for (const entry of entries) {
+        if (!report.has(entry.merchantId)) {
+            report.set(entry.merchantId, {
+                total: 0,
+                visits: 0,
+                dates: [],
+                bySource: { MANUAL: 0, OPEN_FINANCE: 0, CARD: 0 },
+                byMonth: {}
+            });
+        }
+
+        const item = report.get(entry.merchantId);
+        const month = moment(entry.date).format('YYYY-MM');
+        const isVisit = entry.amount > 0;
+
+        item.total += entry.amount;
+        if (!item.byMonth[month]) item.byMonth[month] = { month, total: 0, visits: 0 };
+        item.byMonth[month].total += entry.amount;
+
+        if (isVisit) {
+            item.visits += 1;
+            item.dates.push(entry.date);
+            item.bySource[entry.source] += 1;
+            item.byMonth[month].visits += 1;
+        }
+    }
+
+    const months = Math.max(moment(endDate).diff(moment(startDate), 'months', true), 1);
+
+    const ranking = [...report.entries()].map(([merchantId, item]) => {
+        const merchant = merchantMap.get(merchantId);
+        const dates = item.dates.sort();
+        const firstVisit = dates[0] || null;
+        const lastVisit = dates[dates.length - 1] || null;
+        const span = firstVisit ? moment(lastVisit).diff(moment(firstVisit), 'days') : 0;
+
+        return {
+            merchantId,
+            name: merchant.name,
+            color: merchant.color,
+            category: merchant.defaultCategory ? merchant.defaultCategory.name : null,
+            total: round2(item.total),
+            visits: item.visits,
+            averageTicket: item.visits > 0 ? round2(item.total / item.visits) : 0,
+            visitsPerMonth: round2(item.visits / months),
+            averageDaysBetweenVisits: item.visits > 1 ? round2(span / (item.visits - 1)) : null,
+            firstVisit,
+            lastVisit,
+            bySource: item.bySource,
+            byMonth: Object.values(item.byMonth)
+                .sort((a, b) => a.month.localeCompare(b.month))
+                .map(m => ({
+                    month: m.month,
+                    total: round2(m.total),
+                    visits: m.visits,
+                    averageTicket: m.visits > 0 ? round2(m.total / m.visits) : 0
+                }))
+        };
+    }).sort((a, b) => b.total - a.total);
+
+    const totalSpent = ranking.reduce((sum, m) => sum + m.total, 0);
+    const totalVisits = ranking.reduce((sum, m) => sum + m.visits, 0);
+
+    return {
+        period: { startDate, endDate },
+        currency: baseCurrency,
+        summary: {
+            merchants: ranking.length,
+            totalSpent: round2(totalSpent),
+            totalVisits,
+            averageTicket: totalVisits > 0 ? round2(totalSpent / totalVisits) : 0
+        },
+        merchants: ranking.slice(0, limit).map(m => ({
+            ...m,
+            share: totalSpent > 0 ? round2((m.total / totalSpent) * 100) : 0
+        }))
+    };
+};
+
+module.exports = {
+    listMerchants,
+    getMerchant,
+    createMerchant,
+    updateMerchant,
+    mergeMerchants,
+    deleteMerchant,
+    testDescription,
+    rematchTransactions,
+    getMerchantReport,
+    // Usados pelos fluxos de criação/importação
+    normalizeDescription,
+    resolve,
+    applyToRows,
+    applyToOpenFinance,
+    assignMerchant
+};
@@ -0,0 +1,4 @@
+module.exports = {
+    netWorthController: require('./netWorth.controller'),
+    netWorthRoutes: require('./netWorth.routes')
+};
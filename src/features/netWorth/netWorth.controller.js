@@ -0,0 +1,22 @@
+/**
+ * Net Worth Controller
+ * ✅ PROFILE ISOLATION: Uses req.profileId
+ */
+
+const netWorthService = require('./netWorth.service');
+
+/**
+ * GET /net-worth/history?scope=profile|consolidated&startDate=&endDate=
+ */
+const getHistory = async (req, res, next) => {
+    try {
+        const history = await netWorthService.getHistory(req.userId, req.profileId, req.query);
+        res.json({ data: history });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getHistory
+};
@@ -0,0 +1,329 @@
+/**
+ * Net Worth Service
+ * ========================================
+ * PATRIMÔNIO LÍQUIDO
+ * ========================================
+ *
+ * Ativos:   saldo das contas + renda variável (getPortfolio) + produtos
+ *           financeiros + metas guardadas fora das contas
+ * Passivos: faturas em aberto + lançamentos ainda sem fatura e parcelas futuras
+ *
+ * - Metas com bankAccountId já estão no saldo da conta e não somam de novo
+ * - Metas com financialProductId já estão no produto (consolidado) e não somam de novo
+ * - FinancialProduct não tem perfil: entra apenas no consolidado
+ * - Snapshot diário por perfil e consolidado (profileId null) via cron
+ *
+ * ✅ PROFILE ISOLATION: contas, cartões, metas e investimentos pelo profileId
+ */
+
+const moment = require('moment');
+const {
+    User,
+    Profile,
+    BankAccount,
+    CreditCard,
+    CardInvoice,
+    CardTransaction,
+    Goal,
+    NetWorthSnapshot
+} = require('../../models');
+const { AppError } = require('../../middlewares/errorHandler');
+const { Op } = require('sequelize');
+const exchangeRatesService = require('../exchangeRates/exchangeRates.service');
+const investmentsService = require('../investments/investments.service');
+const invoicesService = require('../invoices/invoices.service');
+
+const DATE_FORMAT = 'YYYY-MM-DD';
+const DEFAULT_HISTORY_DAYS = 365;
+const SCOPES = ['profile', 'consolidated'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Dívida dos cartões: faturas em aberto e o que ainda não entrou em fatura
+ * (compras do ciclo atual e parcelas futuras)
+ */
+const getCardLiabilities = async (cards, today, rateFor) => {
+    const result = { cardInvoices: 0, futureInstallments: 0, cards: [] };
+    if (cards.length === 0) return result;
+
+    const invoices = await CardInvoice.findAll({
+        where: { cardId: cards.map(c => c.id) },
+        attributes: ['cardId', 'referenceMonth', 'referenceYear', 'totalAmount', 'paidAmount', 'status']
+    });
+
+    // Até onde as faturas existentes já cobrem os lançamentos de cada cartão
+    const coveredUntil = new Map();
+    for (const card of cards) {
+        const ref = moment(today);
+        if (ref.date() > (card.closingDay || 25)) ref.add(1, 'month');
+        const { startDate } = invoicesService.calculateTransactionPeriod(card, ref.month() + 1, ref.year());
+        coveredUntil.set(card.id, moment(startDate).subtract(1, 'day').format(DATE_FORMAT));
+    }
+    for (const invoice of invoices) {
+        const card = cards.find(c => c.id === invoice.cardId);
+        const { endDate } = invoicesService.calculateTransactionPeriod(card, invoice.referenceMonth, invoice.referenceYear);
+        if (endDate > coveredUntil.get(card.id)) coveredUntil.set(card.id, endDate);
+    }
+
+    const minCovered = [...coveredUntil.values()].sort()[0];
+    const transactions = await CardTransaction.findAll({
+        where: {
+            cardId: cards.map(c => c.id),
+            status: { [Op.ne]: 'CANCELLED' },
+            date: { [Op.gt]: minCovered }
+        },
+        attributes: ['cardId', 'amount', 'date', 'installmentGroupId']
+    });
+
+    for (const card of cards) {
+        const rate = await rateFor(card.currency);
+
+        const open = invoices
+            .filter(i => i.cardId === card.id && i.status !== 'PAID')
+            .reduce((sum, i) => sum + Math.max(parseFloat(i.totalAmount) - (parseFloat(i.paidAmount) || 0), 0), 0);
+
+        const unbilled = transactions
+            .filter(t => {
+                const date = moment(t.date).format(DATE_FORMAT);
+                return t.cardId === card.id &&
+                    date > coveredUntil.get(card.id) &&
+                    (date <= today || t.installmentGroupId);
+            })
+            .reduce((sum, t) => sum + parseFloat(t.amount), 0);
+
+        result.cardInvoices += open * rate;
+        result.futureInstallments += Math.max(unbilled, 0) * rate;
+        result.cards.push({
+            id: card.id,
+            name: card.name,
+            currency: card.currency,
+            openInvoices: round2(open * rate),
+            unbilled: round2(Math.max(unbilled, 0) * rate)
+        });
+    }
+
+    return result;
+};
+
+/**
+ * Patrimônio líquido atual
+ *
+ * @param {string} userId
+ * @param {string|null} profileId - null = consolidado de todos os perfis
+ */
+const calculateNetWorth = async (userId, profileId = null) => {
+    const today = moment().format(DATE_FORMAT);
+    const currency = await exchangeRatesService.getBaseCurrency(profileId);
+    const scope = profileId ? { userId, profileId } : { userId }; // ✅ PROFILE ISOLATION
+
+    const rates = new Map();
+    const rateFor = async (from) => {
+        const source = from || 'BRL';
+        if (!rates.has(source)) {
+            const { rate } = await exchangeRatesService.getRate(source, currency, today, { userId });
+            rates.set(source, rate);
+        }
+        return rates.get(source);
+    };
+
+    const [accounts, cards, goals, portfolio] = await Promise.all([
+        BankAccount.findAll({ where: { ...scope, isActive: true } }),
+        CreditCard.findAll({ where: scope }),
+        Goal.findAll({
+            where: {
+                ...scope,
+                bankAccountId: null,
+                // Produtos financeiros só entram no consolidado: no perfil, a meta representa o valor
+                ...(profileId ? {} : { financialProductId: null }),
+                status: { [Op.ne]: 'CANCELLED' }
+            },
+            attributes: ['id', 'name', 'currentAmount']
+        }),
+        investmentsService.getPortfolio(userId, profileId ? { profileId } : {})
+    ]);
+
+    let bankAccounts = 0;
+    const accountBreakdown = [];
+    for (const account of accounts) {
+        const value = (parseFloat(account.balance) || 0) * await rateFor(account.currency);
+        bankAccounts += value;
+        accountBreakdown.push({ id: account.id, name: account.nickname || account.bankName, currency: account.currency, balance: round2(value) });
+    }
+
+    // Cotações do portfólio já vêm em BRL
+    const brlRate = await rateFor('BRL');
+    const positions = portfolio.positions || [];
+    const investments = positions
+        .filter(p => p.source === 'VARIABLE_INCOME')
+        .reduce((sum, p) => sum + (p.currentBalance || 0), 0) * brlRate;
+    const financialProducts = profileId
+        ? 0
+        : positions.filter(p => p.source === 'FIXED_INCOME').reduce((sum, p) => sum + (p.currentBalance || 0), 0) * brlRate;
+
+    const goalsTotal = goals.reduce((sum, g) => sum + (parseFloat(g.currentAmount) || 0), 0);
+    const liabilities = await getCardLiabilities(cards, today, rateFor);
+
+    const totalAssets = bankAccounts + investments + financialProducts + goalsTotal;
+    const totalLiabilities = liabilities.cardInvoices + liabilities.futureInstallments;
+
+    return {
+        date: today,
+        profileId,
+        currency,
+        assets: {
+            bankAccounts: round2(bankAccounts),
+            investments: round2(investments),
+            financialProducts: round2(financialProducts),
+            goals: round2(goalsTotal),
+            total: round2(totalAssets)
+        },
+        liabilities: {
+            cardInvoices: round2(liabilities.cardInvoices),
+            futureInstallments: round2(liabilities.futureInstallments),
+            total: round2(totalLiabilities)
+        },
+        netWorth: round2(totalAssets - totalLiabilities),
+        breakdown: {
+            accounts: accountBreakdown,
+            cards: liabilities.cards,
+            goals: goals.map(g => ({ id: g.id, name: g.name, amount: round2(parseFloat(g.currentAmount) || 0) })),
+            positions: positions.length
+        }
+    };
+};
+
+const formatSnapshot = (snapshot) => ({
+    date: snapshot.date,
+    currency: snapshot.currency,
+    assets: {
+        bankAccounts: parseFloat(snapshot.bankAccounts),
+        investments: parseFloat(snapshot.investments),
+        financialProducts: parseFloat(snapshot.financialProducts),
+        goals: parseFloat(snapshot.goals),
+        total: parseFloat(snapshot.totalAssets)
+    },
+    liabilities: {
+        cardInvoices: parseFloat(snapshot.cardInvoices),
+        futureInstallments: parseFloat(snapshot.futureInstallments),
+        total: parseFloat(snapshot.totalLiabilities)
+    },
+    netWorth: parseFloat(snapshot.netWorth)
+});
+
+/**
+ * Grava (ou atualiza) o snapshot do dia
+ *
+ * @param {string} userId
+ * @param {string|null} profileId - null = consolidado
+ */
+const takeSnapshot = async (userId, profileId = null) => {
+    const current = await calculateNetWorth(userId, profileId);
+
+    const values = {
+        currency: current.currency,
+        bankAccounts: current.assets.bankAccounts,
+        investments: current.assets.investments,
+        financialProducts: current.assets.financialProducts,
+        goals: current.assets.goals,
+        totalAssets: current.assets.total,
+        cardInvoices: current.liabilities.cardInvoices,
+        futureInstallments: current.liabilities.futureInstallments,
+        totalLiabilities: current.liabilities.total,
+        netWorth: current.netWorth,
+        breakdown: current.breakdown
+    };
+
+    const where = { userId, profileId, date: current.date };
+    const existing = await NetWorthSnapshot.findOne({ where });
+
+    return existing
+        ? existing.update(values)
+        : NetWorthSnapshot.create({ ...where, ...values });
+};
+
+/**
+ * Snapshot diário de todos os usuários: um por perfil e o consolidado (cron)
+ *
+ * @returns {Promise<{ users: number, snapshots: number, failed: number }>}
+ */
+const snapshotAll = async () => {
+    const users = await User.findAll({ attributes: ['id'] });
+    const result = { users: users.length, snapshots: 0, failed: 0 };
+
+    for (const user of users) {
+        const profiles = await Profile.findAll({ where: { userId: user.id }, attributes: ['id'] });
+
+        for (const profileId of [...profiles.map(p => p.id), null]) {
+            try {
+                await takeSnapshot(user.id, profileId);
+                result.snapshots++;
+            } catch (error) {
+                console.error(`❌ [NET_WORTH] Snapshot error (user ${user.id}, profile ${profileId || 'consolidated'}):`, error.message);
+                result.failed++;
+            }
+        }
+    }
+
+    return result;
+};
+
+/**
+ * Evolução do patrimônio líquido
+ *
+ * @param {string} userId
+ * @param {string} profileId - Perfil ativo
+ * @param {object} filters - { startDate, endDate, scope: profile|consolidated }
+ */
+const getHistory = async (userId, profileId, filters = {}) => {
+    const scope = filters.scope || 'profile';
+    if (!SCOPES.includes(scope)) {
+        throw new AppError(`Escopo inválido. Use: ${SCOPES.join(', ')}`, 400, 'INVALID_NET_WORTH_SCOPE');
+    }
+
+    const startDate = filters.startDate || moment().subtract(DEFAULT_HISTORY_DAYS, 'days').format(DATE_FORMAT);
+    const endDate = filters.endDate || moment().format(DATE_FORMAT);
+    if (!moment(startDate, DATE_FORMAT, true).isValid() || !moment(endDate, DATE_FORMAT, true).isValid()) {
+        throw new AppError('Datas devem estar no formato YYYY-MM-DD', 400, 'INVALID_DATE');
+    }
+
+    const snapshotProfileId = scope === 'consolidated' ? null : profileId;
+
+    const [snapshots, current] = await Promise.all([
+        NetWorthSnapshot.findAll({
+            where: {
+                userId,
+                profileId: snapshotProfileId, // ✅ PROFILE ISOLATION
+                date: { [Op.between]: [startDate, endDate] }
+            },
+            order: [['date', 'ASC']]
+        }),
+        calculateNetWorth(userId, snapshotProfileId)
+    ]);
+
+    const history = snapshots.map(formatSnapshot);
+    const first = history[0];
+
+    return {
+        scope,
+        profileId: snapshotProfileId,
+        currency: current.currency,
+        period: { startDate, endDate },
+        current,
+        variation: first ? {
+            since: first.date,
+            amount: round2(current.netWorth - first.netWorth),
+            percent: first.netWorth !== 0
+                ? round2(((current.netWorth - first.netWorth) / Math.abs(first.netWorth)) * 100)
+                : null
+        } : null,
+        history
+    };
+};
+
+module.exports = {
+    calculateNetWorth,
+    takeSnapshot,
+    snapshotAll,
+    getHistory
+};
@@ -25,8 +25,12 @@ const {
     hasCertificates
 } = require('../../config/openFinance');
 const { createOpenFinanceClient, makeOpenFinanceRequest } = require('./openFinance.client');
+const duplicatesService = require('../duplicates/duplicates.service');
+const merchantsService = require('../merchants/merchants.service');
+const categoryLimitsService = require('../budgets/categoryLimits.service');
 const { logger } = require('../../config/logger');
 const { AppError } = require('../../middlewares/errorHandler');
+const moment = require('moment');
 const { v4: uuidv4 } = require('uuid');
 
 // ===========================================
@@ -513,8 +517,44 @@ const importSimulatedTransactions = async (userId, consent) => {
 
     logger.info(`Transações simuladas importadas: ${imported.length}`);
 
+    // Reconhecer estabelecimentos pelo perfil da conta/cartão de cada transação
+    const profileOf = new Map([...accounts, ...cards].map(item => [item.id, item.profileId]));
+    const profileIds = [...new Set([...accounts, ...cards].map(item => item.profileId).filter(Boolean))];
+    for (const profileId of profileIds) {
+        try {
+            await merchantsService.applyToOpenFinance(userId, profileId, imported.filter(tx =>
+                profileOf.get(tx.relatedAccountId || tx.relatedCardId) === profileId));
+        } catch (error) {
+            logger.warn(`Falha ao reconhecer estabelecimentos após importação: ${error.message}`);
+        }
+    }
+
+    // Limites mensais por categoria (depois do reconhecimento, que define a categoria)
+    for (const profileId of profileIds) {
+        try {
+            await categoryLimitsService.checkOpenFinanceTransactions(userId, profileId, imported.filter(tx =>
+                profileOf.get(tx.relatedAccountId || tx.relatedCardId) === profileId));
+        } catch (error) {
+            logger.warn(`Falha ao verificar limites por categoria após importação: ${error.message}`);
+        }
+    }
+
+    // Procurar duplicatas com lançamentos manuais/WhatsApp nos perfis afetados
+    let duplicatesFound = 0;
+    for (const profileId of profileIds) {
+        try {
+            const scan = await duplicatesService.scanDuplicates(userId, profileId, {
+                startDate: moment().subtract(35, 'days').format('YYYY-MM-DD')
+            });
+            duplicatesFound += scan.created;
+        } catch (error) {
+            logger.warn(`Falha ao procurar duplicatas após importação: ${error.message}`);
+        }
+    }
+
     return {
         imported: imported.length,
+        duplicatesFound,
         _simulated: true
     };
 };
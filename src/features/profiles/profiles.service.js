@@ -9,6 +9,7 @@
 const { Profile, User, UserProfile, ManualTransaction, Subscription } = require('../../models');
 const { Op } = require('sequelize');
 const brokersService = require('../brokers/brokers.service');
+const exchangeRatesService = require('../exchangeRates/exchangeRates.service');
 
 class ProfileService {
     /**
@@ -55,7 +56,15 @@ class ProfileService {
             throw new Error('Perfil não encontrado');
         }
 
+        const previousCurrency = profile.currency;
         await profile.update(data);
+
+        // Moeda base alterada: valores convertidos passam para a nova moeda
+        if (data.currency && profile.currency !== previousCurrency) {
+            const result = await exchangeRatesService.reconvertProfile(userId, profileId);
+            console.log(`💱 [PROFILE] Transações reconvertidas para ${profile.currency}: ${result.updated} (${result.failed} falhas)`);
+        }
+
         return profile;
     }
 
@@ -0,0 +1,180 @@
+/**
+ * MEI Service
+ * Receitas e despesas do perfil empresarial no ano (acompanhamento do limite MEI)
+ *
+ * Retiradas do sócio (ownerTransferType) não são despesa operacional:
+ * aparecem separadas como pró-labore e distribuição de lucros.
+ */
+
+const moment = require('moment');
+const {
+    Profile,
+    ManualTransaction,
+    OpenFinanceTransaction,
+    CardTransaction,
+    BankAccount,
+    CreditCard
+} = require('../../models');
+const { AppError } = require('../../middlewares/errorHandler');
+const { Op } = require('sequelize');
+const exchangeRatesService = require('../exchangeRates/exchangeRates.service');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Valor na moeda do perfil (convertedAmount quando em moeda estrangeira)
+ */
+const baseAmount = (t) => (t.convertedAmount !== null && t.convertedAmount !== undefined
+    ? parseFloat(t.convertedAmount)
+    : parseFloat(t.amount));
+
+/**
+ * Relatório anual do perfil BUSINESS
+ * ✅ PROFILE ISOLATION: manuais pelo profileId, Open Finance e cartão pelas contas/cartões do perfil
+ *
+ * @param {string} userId
+ * @param {string} profileId - Perfil BUSINESS
+ * @param {number} year - Ano (default: atual)
+ */
+const getMeiReport = async (userId, profileId, year) => {
+    const profile = await Profile.findOne({ where: { id: profileId, userId } });
+    if (!profile || profile.type !== 'BUSINESS') {
+        throw new AppError('Relatório disponível apenas para o perfil empresarial', 400, 'PROFILE_NOT_BUSINESS');
+    }
+
+    const reportYear = parseInt(year) || new Date().getFullYear();
+    const startDate = `${reportYear}-01-01`;
+    const endDate = `${reportYear}-12-31`;
+    const dateFilter = { [Op.between]: [startDate, endDate] };
+    const baseCurrency = await exchangeRatesService.getBaseCurrency(profileId);
+
+    const [accounts, cards] = await Promise.all([
+        BankAccount.findAll({ where: { userId, profileId }, attributes: ['id'] }),
+        CreditCard.findAll({ where: { userId, profileId }, attributes: ['id', 'currency'] })
+    ]);
+
+    const [manual, openFinance, card] = await Promise.all([
+        ManualTransaction.findAll({
+            where: {
+                userId,
+                profileId,
+                type: ['INCOME', 'EXPENSE'],
+                status: 'COMPLETED',
+                date: dateFilter
+            },
+            attributes: ['type', 'amount', 'convertedAmount', 'date', 'ownerTransferType']
+        }),
+        accounts.length > 0 || cards.length > 0
+            ? OpenFinanceTransaction.findAll({
+                where: {
+                    userId,
+                    date: dateFilter,
+                    [Op.or]: [
+                        { relatedAccountId: accounts.map(a => a.id) },
+                        { relatedCardId: cards.map(c => c.id) }
+                    ]
+                },
+                attributes: ['type', 'amount', 'date']
+            })
+            : [],
+        cards.length > 0
+            ? CardTransaction.findAll({
+                where: {
+                    cardId: cards.map(c => c.id),
+                    status: { [Op.ne]: 'CANCELLED' },
+                    date: dateFilter
+                },
+                attributes: ['cardId', 'amount', 'date']
+            })
+            : []
+    ]);
+
+    // Open Finance Brasil é sempre em BRL; cartão na moeda do cartão
+    const rates = new Map();
+    const rateFor = async (currency) => {
+        const from = currency || 'BRL';
+        if (!rates.has(from)) {
+            const { rate } = await exchangeRatesService.getRate(from, baseCurrency, endDate, { userId });
+            rates.set(from, rate);
+        }
+        return rates.get(from);
+    };
+    const cardCurrency = new Map(cards.map(c => [c.id, c.currency]));
+
+    const months = Array.from({ length: 12 }, (_, index) => ({
+        month: index + 1,
+        revenue: 0,
+        expenses: 0,
+        proLabore: 0,
+        profitDistribution: 0
+    }));
+    const monthOf = (date) => months[moment(date).month()];
+
+    for (const t of manual) {
+        const item = monthOf(t.date);
+        const amount = baseAmount(t);
+
+        if (t.ownerTransferType === 'PRO_LABORE') item.proLabore += amount;
+        else if (t.ownerTransferType === 'PROFIT_DISTRIBUTION') item.profitDistribution += amount;
+        else if (t.type === 'INCOME') item.revenue += amount;
+        else item.expenses += amount;
+    }
+    for (const t of openFinance) {
+        const amount = Math.abs(parseFloat(t.amount)) * await rateFor('BRL');
+        monthOf(t.date)[t.type === 'CREDIT' ? 'revenue' : 'expenses'] += amount;
+    }
+    for (const t of card) {
+        // Estorno (valor negativo) reduz a despesa
+        monthOf(t.date).expenses += parseFloat(t.amount) * await rateFor(cardCurrency.get(t.cardId));
+    }
+
+    const formatted = months.map(m => ({
+        month: m.month,
+        revenue: round2(m.revenue),
+        expenses: round2(m.expenses),
+        operatingResult: round2(m.revenue - m.expenses),
+        proLabore: round2(m.proLabore),
+        profitDistribution: round2(m.profitDistribution),
+        retained: round2(m.revenue - m.expenses - m.proLabore - m.profitDistribution)
+    }));
+
+    const sum = (field) => round2(formatted.reduce((total, m) => total + m[field], 0));
+    const revenue = sum('revenue');
+    const revenueLimit = profile.revenueLimit !== null ? parseFloat(profile.revenueLimit) : null;
+
+    // Ano corrente: projeção pela média dos meses já decorridos
+    const isCurrentYear = reportYear === new Date().getFullYear();
+    const elapsedMonths = isCurrentYear ? new Date().getMonth() + 1 : 12;
+    const projectedRevenue = round2((revenue / elapsedMonths) * 12);
+
+    if (isCurrentYear && round2(parseFloat(profile.yearlyRevenue) || 0) !== revenue) {
+        await profile.update({ yearlyRevenue: revenue });
+    }
+
+    return {
+        year: reportYear,
+        profile: { id: profile.id, name: profile.name, subtype: profile.subtype },
+        currency: baseCurrency,
+        summary: {
+            revenue,
+            expenses: sum('expenses'),
+            operatingResult: sum('operatingResult'),
+            proLabore: sum('proLabore'),
+            profitDistribution: sum('profitDistribution'),
+            retained: sum('retained')
+        },
+        revenueLimit: revenueLimit !== null ? {
+            limit: revenueLimit,
+            used: revenue,
+            usedPercent: revenueLimit > 0 ? round2((revenue / revenueLimit) * 100) : null,
+            remaining: round2(Math.max(revenueLimit - revenue, 0)),
+            projectedRevenue,
+            projectedToExceed: projectedRevenue > revenueLimit
+        } : null,
+        months: formatted
+    };
+};
+
+module.exports = {
+    getMeiReport
+};
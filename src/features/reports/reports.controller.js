@@ -1,5 +1,9 @@
 const reportsService = require('./reports.service');
 const statementService = require('./statement.service');
+const exchangeRatesService = require('../exchangeRates/exchangeRates.service');
+const tagsService = require('../tags/tags.service');
+const merchantsService = require('../merchants/merchants.service');
+const meiService = require('./mei.service');
 
 class ReportsController {
     async getPortfolio(req, res) {
@@ -39,7 +43,10 @@ class ReportsController {
             const m = parseInt(month) || (currentDate.getMonth() + 1);
 
             const userId = req.user?.id || req.userId;
-            const data = await statementService.getMonthlyStatement(userId, y, m);
+            const data = await statementService.getMonthlyStatement(userId, y, m, {
+                baseCurrency: req.profile?.currency,
+                tags: tagsService.parseTagFilter(req.query.tags)
+            });
             res.json({ data });
         } catch (error) {
             res.status(500).json({ error: error.message, code: 'INTERNAL_ERROR' });
@@ -55,6 +62,56 @@ class ReportsController {
             res.status(500).json({ error: error.message, code: 'INTERNAL_ERROR' });
         }
     }
+
+    // Resultado cambial (ganho/perda nas contas em moeda estrangeira)
+    async getFxResult(req, res) {
+        try {
+            const { startDate, endDate } = req.query;
+
+            const userId = req.user?.id || req.userId;
+            const data = await exchangeRatesService.getFxResult(userId, req.profileId, { startDate, endDate });
+            res.json({ data });
+        } catch (error) {
+            res.status(error.statusCode || 500).json({ error: error.message, code: error.code || 'INTERNAL_ERROR' });
+        }
+    }
+
+    // Relatório por tag (ex.: viagem-2026, reforma)
+    async getTags(req, res) {
+        try {
+            const { startDate, endDate, tags } = req.query;
+
+            const userId = req.user?.id || req.userId;
+            const data = await tagsService.getTagReport(userId, req.profileId, { startDate, endDate, tags });
+            res.json({ data });
+        } catch (error) {
+            res.status(error.statusCode || 500).json({ error: error.message, code: error.code || 'INTERNAL_ERROR' });
+        }
+    }
+
+    // Estabelecimentos mais frequentes: gasto, visitas e ticket médio
+    async getMerchants(req, res) {
+        try {
+            const { startDate, endDate, limit, merchantId } = req.query;
+
+            const userId = req.user?.id || req.userId;
+            const data = await merchantsService.getMerchantReport(userId, req.profileId, { startDate, endDate, limit, merchantId });
+            res.json({ data });
+        } catch (error) {
+            res.status(error.statusCode || 500).json({ error: error.message, code: error.code || 'INTERNAL_ERROR' });
+        }
+    }
+
+    // Faturamento e despesas do perfil empresarial (limite MEI, pró-labore, distribuição)
+    async getMei(req, res) {
+        try {
+            const userId = req.user?.id || req.userId;
+            const data = await meiService.getMeiReport(userId, req.profileId, req.query.year);
+            res.json({ data });
+        } catch (error) {
+            res.status(error.statusCode || 500).json({ error: error.message, code: error.code || 'INTERNAL_ERROR' });
+        }
+    }
 }
 
 module.exports = new ReportsController();
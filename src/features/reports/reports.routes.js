@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const reportsController = require('./reports.controller');
 const { authMiddleware } = require('../../middlewares/authMiddleware');
+const { profileMiddleware } = require('../../middlewares/profileMiddleware');
 
 router.use(authMiddleware);
 
@@ -9,9 +10,21 @@ router.get('/portfolio', reportsController.getPortfolio);
 router.get('/evolution', reportsController.getEvolution);
 router.get('/dividends', reportsController.getDividends);
 
-// Statement (Extrato Financeiro)
-router.get('/statement', reportsController.getStatement);
+// Statement (Extrato Financeiro) - valores na moeda do perfil
+router.get('/statement', profileMiddleware, reportsController.getStatement);
 router.get('/statement/years', reportsController.getStatementYears);
 
+// Resultado cambial das contas em moeda estrangeira
+router.get('/fx-result', profileMiddleware, reportsController.getFxResult);
+
+// Receitas/despesas por tag no período
+router.get('/tags', profileMiddleware, reportsController.getTags);
+
+// Estabelecimentos: ranking, frequência de visitas e ticket médio
+router.get('/merchants', profileMiddleware, reportsController.getMerchants);
+
+// Perfil empresarial: faturamento x limite MEI, despesas e retiradas do sócio
+router.get('/mei', profileMiddleware, reportsController.getMei);
+
 module.exports = router;
 
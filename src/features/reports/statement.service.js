@@ -3,24 +3,41 @@
  * Gera extrato financeiro mensal (estilo banco)
  */
 
-const { ManualTransaction, Category } = require('../../models');
+const { ManualTransaction, Category, TransactionSplit } = require('../../models');
 const { Op } = require('sequelize');
+const tagsService = require('../tags/tags.service');
+
+/**
+ * Valor na moeda do perfil (convertedAmount quando em moeda estrangeira)
+ */
+const baseAmount = (t) => (t.convertedAmount !== null && t.convertedAmount !== undefined
+    ? parseFloat(t.convertedAmount)
+    : parseFloat(t.amount));
 
 /**
  * Obtém extrato mensal completo
  * @param {string} userId - ID do usuário
  * @param {number} year - Ano
  * @param {number} month - Mês (1-12)
+ * @param {object} options
+ * @param {string} options.baseCurrency - Moeda do perfil (default BRL)
+ * @param {string[]} options.tags - Só transações com alguma destas tags (parseTagFilter)
  */
-const getMonthlyStatement = async (userId, year, month) => {
+const getMonthlyStatement = async (userId, year, month, options = {}) => {
+    const { baseCurrency = 'BRL', tags = null } = options;
+
     // Período do mês
     const startDate = new Date(year, month - 1, 1);
     const endDate = new Date(year, month, 0, 23, 59, 59); // Último dia do mês
 
+    // Filtro por tags: restringe às transações marcadas (inclusive o saldo anterior)
+    const idFilter = tags ? { id: (await tagsService.findTaggedIds(userId, tags)).MANUAL } : {};
+
     // Busca todas transações do período
     const transactions = await ManualTransaction.findAll({
         where: {
             userId,
+            ...idFilter,
             date: {
                 [Op.between]: [startDate, endDate]
             },
@@ -30,9 +47,14 @@ const getMonthlyStatement = async (userId, year, month) => {
             model: Category,
             as: 'category',
             attributes: ['id', 'name', 'icon', 'color']
+        }, {
+            model: TransactionSplit,
+            as: 'splits',
+            required: false,
+            include: [{ model: Category, as: 'category', attributes: ['id', 'name', 'icon', 'color'] }]
         }],
         order: [['date', 'ASC'], ['createdAt', 'ASC']],
-        attributes: ['id', 'description', 'amount', 'type', 'status', 'date', 'source', 'createdAt']
+        attributes: ['id', 'description', 'amount', 'currency', 'convertedAmount', 'type', 'ownerTransferType', 'status', 'date', 'source', 'isSplit', 'createdAt']
     });
 
     // Calcula totais
@@ -40,13 +62,50 @@ const getMonthlyStatement = async (userId, year, month) => {
     let totalExpense = 0;
     let totalTransfer = 0;
 
-    const formattedTransactions = transactions.map(t => {
-        const amount = parseFloat(t.amount);
+    // Totais por categoria (transações divididas contam por linha)
+    const byCategory = {};
+    const addToCategory = (type, category, amount) => {
+        const key = `${type}:${category ? category.id : 'none'}`;
+        if (!byCategory[key]) {
+            byCategory[key] = {
+                type,
+                category: category ? { id: category.id, name: category.name, icon: category.icon, color: category.color } : null,
+                total: 0,
+                count: 0
+            };
+        }
+        byCategory[key].total += amount;
+        byCategory[key].count += 1;
+    };
 
-        if (t.type === 'INCOME') totalIncome += amount;
+    const formattedTransactions = transactions.map(t => {
+        const amount = baseAmount(t);
+        const isForeign = t.convertedAmount !== null && t.convertedAmount !== undefined;
+        // Linhas da divisão seguem a cotação da transação
+        const rate = isForeign ? amount / parseFloat(t.amount) : 1;
+
+        // Extrato consolidado (todos os perfis): retirada do sócio PJ → PF é
+        // transferência; a ponta da PJ conta uma vez e a da PF fica de fora
+        const isOwnerTransfer = !!t.ownerTransferType;
+
+        if (isOwnerTransfer) {
+            if (t.type === 'EXPENSE') totalTransfer += amount;
+        } else if (t.type === 'INCOME') totalIncome += amount;
         else if (t.type === 'EXPENSE') totalExpense += amount;
         else if (t.type === 'TRANSFER') totalTransfer += amount;
 
+        const splits = t.isSplit && t.splits
+            ? [...t.splits].sort((a, b) => a.order - b.order)
+            : [];
+
+        if (!isOwnerTransfer && (t.type === 'INCOME' || t.type === 'EXPENSE')) {
+            if (splits.length > 0) {
+                splits.forEach(s => addToCategory(t.type, s.category, parseFloat(s.amount) * rate));
+            } else {
+                addToCategory(t.type, t.category, amount);
+            }
+        }
+
         return {
             id: t.id,
             date: t.date,
@@ -54,18 +113,27 @@ const getMonthlyStatement = async (userId, year, month) => {
             type: t.type,
             status: t.status,
             amount: amount,
+            originalAmount: isForeign ? parseFloat(t.amount) : undefined,
+            originalCurrency: isForeign ? t.currency : undefined,
             category: t.category ? {
                 id: t.category.id,
                 name: t.category.name,
                 icon: t.category.icon,
                 color: t.category.color
             } : null,
-            source: t.source
+            splits: splits.map(s => ({
+                categoryId: s.categoryId,
+                category: s.category ? s.category.name : null,
+                amount: parseFloat(s.amount) * rate,
+                description: s.description
+            })),
+            source: t.source,
+            ownerTransferType: t.ownerTransferType || undefined
         };
     });
 
     // Buscar saldo anterior (soma de tudo antes deste mês)
-    const previousBalance = await calculatePreviousBalance(userId, startDate);
+    const previousBalance = await calculatePreviousBalance(userId, startDate, idFilter);
 
     // Calcula saldo final
     const netChange = totalIncome - totalExpense;
@@ -79,6 +147,8 @@ const getMonthlyStatement = async (userId, year, month) => {
             endDate: endDate.toISOString().split('T')[0],
             monthName: startDate.toLocaleDateString('pt-BR', { month: 'long', year: 'numeric' })
         },
+        currency: baseCurrency,
+        filters: { tags },
         summary: {
             openingBalance: previousBalance,
             totalIncome,
@@ -87,6 +157,7 @@ const getMonthlyStatement = async (userId, year, month) => {
             netChange,
             closingBalance
         },
+        byCategory: Object.values(byCategory).sort((a, b) => b.total - a.total),
         transactions: formattedTransactions,
         transactionCount: formattedTransactions.length
     };
@@ -95,19 +166,20 @@ const getMonthlyStatement = async (userId, year, month) => {
 /**
  * Calcula saldo anterior ao período
  */
-const calculatePreviousBalance = async (userId, beforeDate) => {
+const calculatePreviousBalance = async (userId, beforeDate, extraWhere = {}) => {
     const result = await ManualTransaction.findAll({
         where: {
             userId,
+            ...extraWhere,
             date: { [Op.lt]: beforeDate },
             status: { [Op.ne]: 'CANCELLED' }
         },
-        attributes: ['type', 'amount']
+        attributes: ['type', 'amount', 'convertedAmount']
     });
 
     let balance = 0;
     result.forEach(t => {
-        const amount = parseFloat(t.amount);
+        const amount = baseAmount(t);
         if (t.type === 'INCOME') balance += amount;
         else if (t.type === 'EXPENSE') balance -= amount;
     });
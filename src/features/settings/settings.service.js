@@ -16,6 +16,7 @@ const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const { User, UserSession, NotificationPreference, PaymentMethod, Profile, ManualTransaction, BankAccount, CreditCard, Goal, Budget, Category, Investment, Subscription } = require('../../models');
 const { Op } = require('sequelize');
+const attachmentsService = require('../attachments/attachments.service');
 
 // Default notification types to initialize for new users
 const DEFAULT_NOTIFICATION_TYPES = [
@@ -26,6 +27,7 @@ const DEFAULT_NOTIFICATION_TYPES = [
     'INVESTMENT_ALERTS',
     'GOALS',
     'BUDGET_ALERTS',
+    'SAFE_TO_SPEND',
     'STREAK_ALERTS',
     'DAS_REMINDERS',
     'MARKETING',
@@ -33,6 +35,9 @@ const DEFAULT_NOTIFICATION_TYPES = [
     'WHATSAPP_MIRROR'
 ];
 
+// Tipos que o usuário precisa ativar (desligados por padrão)
+const OPT_IN_NOTIFICATION_TYPES = ['MARKETING', 'SAFE_TO_SPEND'];
+
 // ========================================
 // PROFILE
 // ========================================
@@ -234,7 +239,7 @@ const initializeNotificationPreferences = async (userId) => {
         const pref = await NotificationPreference.create({
             userId,
             notificationType: type,
-            enabled: type !== 'MARKETING', // Disable marketing by default
+            enabled: !OPT_IN_NOTIFICATION_TYPES.includes(type),
             emailEnabled: true,
             pushEnabled: true,
             whatsappEnabled: type === 'WHATSAPP_MIRROR'
@@ -314,21 +319,24 @@ const deleteAccount = async (userId, password, reason) => {
     const user = await User.findByPk(userId);
     if (!user) throw new Error('Usuário não encontrado');
 
-    // Verify password
+    // Verificar senha
     const isValid = await user.checkPassword(password);
     if (!isValid) throw new Error('Senha incorreta');
 
-    // Soft delete
+    // Exclusão lógica
     user.deletedAt = new Date();
     user.deleteReason = reason;
     await user.save();
 
-    // Revoke all sessions
+    // Revogar todas as sessões
     await UserSession.update(
         { isRevoked: true, revokedAt: new Date() },
         { where: { userId } }
     );
 
+    // Anexos são removidos na hora (arquivos incluídos)
+    await attachmentsService.deleteAllForUser(userId);
+
     return { message: 'Conta marcada para exclusão' };
 };
 
@@ -485,11 +493,13 @@ const exportUserData = async (userId) => {
         subscriptions,
         sessions,
         notificationPrefs,
-        paymentMethods
+        paymentMethods,
+        attachments
     ] = await Promise.all([
         Profile.findAll({ where: { userId } }),
         ManualTransaction.findAll({
-            include: [{ model: Profile, as: 'profile', where: { userId } }]
+            include: [{ model: Profile, as: 'profile', where: { userId } }],
+            paranoid: false // inclui a lixeira (deletedAt preenchido)
         }),
         BankAccount.findAll({
             include: [{ model: Profile, as: 'profile', where: { userId } }]
@@ -512,7 +522,8 @@ const exportUserData = async (userId) => {
         }),
         UserSession.findAll({ where: { userId }, attributes: { exclude: ['token', 'tokenHash'] } }),
         NotificationPreference.findAll({ where: { userId } }),
-        PaymentMethod.findAll({ where: { userId }, attributes: { exclude: ['gatewayToken'] } })
+        PaymentMethod.findAll({ where: { userId }, attributes: { exclude: ['gatewayToken'] } }),
+        attachmentsService.exportForUser(userId)
     ]);
 
     return {
@@ -529,7 +540,8 @@ const exportUserData = async (userId) => {
         subscriptions: subscriptions.map(s => s.toJSON()),
         sessions: sessions.map(s => s.toJSON()),
         notificationPreferences: notificationPrefs.map(n => n.toJSON()),
-        paymentMethods: paymentMethods.map(p => p.toJSON())
+        paymentMethods: paymentMethods.map(p => p.toJSON()),
+        attachments
     };
 };
 
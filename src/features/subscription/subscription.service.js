@@ -557,6 +557,7 @@ const markSubscriptionPaid = async (userId, profileId, subscriptionId, date = ne
 };
 
 module.exports = {
+    calculateNextBillingDate,
     listSubscriptions,
     createSubscription,
     updateSubscription,
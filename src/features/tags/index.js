@@ -0,0 +1,4 @@
+module.exports = {
+    tagsController: require('./tags.controller'),
+    tagsRoutes: require('./tags.routes')
+};
@@ -0,0 +1,90 @@
+/**
+ * Tags Controller
+ * ✅ PROFILE ISOLATION: Uses req.profileId
+ */
+
+const tagsService = require('./tags.service');
+
+/**
+ * GET /tags
+ */
+const list = async (req, res, next) => {
+    try {
+        const tags = await tagsService.listTags(req.userId, req.profileId);
+        res.json({ data: tags });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /tags
+ */
+const create = async (req, res, next) => {
+    try {
+        const tag = await tagsService.createTag(req.userId, req.profileId, req.body);
+
+        res.status(201).json({
+            message: 'Tag criada com sucesso',
+            data: tag
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * PUT /tags/:id
+ */
+const update = async (req, res, next) => {
+    try {
+        const result = await tagsService.updateTag(req.userId, req.profileId, req.params.id, req.body);
+
+        res.json({
+            message: result.rewritten ? 'Tag renomeada em todas as transações' : 'Tag atualizada com sucesso',
+            data: result
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /tags/:id/merge
+ */
+const merge = async (req, res, next) => {
+    try {
+        const result = await tagsService.mergeTags(req.userId, req.profileId, req.params.id, req.body.sourceIds);
+
+        res.json({
+            message: `${result.merged.length} tag(s) mesclada(s) em "${result.tag.name}"`,
+            data: result
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * DELETE /tags/:id
+ */
+const remove = async (req, res, next) => {
+    try {
+        const result = await tagsService.deleteTag(req.userId, req.profileId, req.params.id);
+
+        res.json({
+            message: 'Tag excluída e removida das transações',
+            data: result
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    list,
+    create,
+    update,
+    merge,
+    remove
+};
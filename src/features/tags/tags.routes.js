@@ -0,0 +1,48 @@
+/**
+ * Tags Routes
+ * ========================================
+ * ✅ PROFILE ISOLATION: Uses profileMiddleware
+ * ========================================
+ */
+
+const { Router } = require('express');
+const tagsController = require('./tags.controller');
+const { authMiddleware } = require('../../middlewares/authMiddleware');
+const { profileMiddleware } = require('../../middlewares/profileMiddleware');
+const { validate } = require('../../utils/validators');
+
+const router = Router();
+
+// ✅ Auth first, then profile isolation
+router.use(authMiddleware);
+router.use(profileMiddleware);
+
+// Schemas de validação
+const createSchema = {
+    body: {
+        name: { required: true }
+    }
+};
+
+const mergeSchema = {
+    params: {
+        id: { type: 'uuid' }
+    },
+    body: {
+        sourceIds: { required: true }
+    }
+};
+
+const idSchema = {
+    params: {
+        id: { type: 'uuid' }
+    }
+};
+
+router.get('/', tagsController.list);
+router.post('/', validate(createSchema), tagsController.create);
+router.put('/:id', validate(idSchema), tagsController.update);
+router.post('/:id/merge', validate(mergeSchema), tagsController.merge);
+router.delete('/:id', validate(idSchema), tagsController.remove);
+
+module.exports = router;
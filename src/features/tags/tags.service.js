@@ -0,0 +1,591 @@
+/**
+ * Tags Service
+ * ========================================
+ * TAGS POR PERFIL
+ * ========================================
+ *
+ * O uso das tags continua nos arrays (TransactionMetadata.tags para manuais e
+ * Open Finance, CardTransaction.tags para cartão manual, CategorizationRule.tags
+ * nas regras). A entidade Tag guarda cor/descrição e é sincronizada a partir
+ * do uso ao listar. Renomear, mesclar e excluir reescrevem todos os arrays
+ * do perfil numa única transação.
+ *
+ * Nomes são comparados sem diferenciar maiúsculas ("Viagem" = "viagem").
+ *
+ * ✅ PROFILE ISOLATION: manuais pelo profileId, Open Finance pela conta/cartão,
+ *    cartão manual pelo perfil do cartão
+ */
+
+const moment = require('moment');
+const {
+    Tag,
+    ManualTransaction,
+    OpenFinanceTransaction,
+    CardTransaction,
+    TransactionMetadata,
+    BankAccount,
+    CreditCard,
+    Category,
+    sequelize
+} = require('../../models');
+const { AppError } = require('../../middlewares/errorHandler');
+const { Op, QueryTypes } = require('sequelize');
+const exchangeRatesService = require('../exchangeRates/exchangeRates.service');
+
+const MAX_NAME_LENGTH = 50;
+const COLOR_REGEX = /^#[0-9a-fA-F]{6}$/;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Normaliza o nome da tag (espaços extras removidos)
+ */
+const normalizeName = (name) => {
+    const normalized = String(name || '').trim().replace(/\s+/g, ' ');
+
+    if (!normalized || normalized.length > MAX_NAME_LENGTH) {
+        throw new AppError(`Nome da tag deve ter entre 1 e ${MAX_NAME_LENGTH} caracteres`, 400, 'INVALID_TAG_NAME');
+    }
+
+    return normalized;
+};
+
+const validateColor = (color) => {
+    if (color !== undefined && color !== null && !COLOR_REGEX.test(color)) {
+        throw new AppError('Cor deve estar no formato #RRGGBB', 400, 'INVALID_TAG_COLOR');
+    }
+};
+
+/**
+ * Converte o filtro ?tags=viagem-2026,reforma em lista (minúsculas)
+ * @returns {string[]|null}
+ */
+const parseTagFilter = (value) => {
+    if (!value) return null;
+
+    const list = (Array.isArray(value) ? value : String(value).split(','))
+        .map(tag => String(tag).trim().toLowerCase())
+        .filter(Boolean);
+
+    return list.length > 0 ? [...new Set(list)] : null;
+};
+
+// ===========================================
+// USO NOS ARRAYS
+// ===========================================
+
+// Metadata do perfil (manuais pelo perfil; Open Finance pela conta/cartão; cartão pelo cartão)
+const METADATA_SCOPE_SQL = `
+    md.user_id = :userId AND (
+        (md.transaction_type = 'MANUAL' AND md.transaction_id IN (
+            SELECT mt.id FROM manual_transactions mt WHERE mt.profile_id = :profileId))
+        OR (md.transaction_type = 'OPEN_FINANCE' AND md.transaction_id IN (
+            SELECT ot.id FROM open_finance_transactions ot
+            LEFT JOIN bank_accounts ba ON ba.id = ot.related_account_id
+            LEFT JOIN credit_cards cc ON cc.id = ot.related_card_id
+            WHERE ba.profile_id = :profileId OR cc.profile_id = :profileId))
+        OR (md.transaction_type = 'CARD' AND md.transaction_id IN (
+            SELECT ct.id FROM card_transactions ct
+            JOIN credit_cards cc ON cc.id = ct.card_id
+            WHERE cc.profile_id = :profileId))
+    )`;
+
+const CARD_SCOPE_SQL = `
+    ct.user_id = :userId AND ct.card_id IN (
+        SELECT cc.id FROM credit_cards cc WHERE cc.profile_id = :profileId)`;
+
+const RULE_SCOPE_SQL = 'cr.user_id = :userId AND cr.profile_id = :profileId';
+
+const hasAnyTagSql = (column) =>
+    `EXISTS (SELECT 1 FROM unnest(${column}) AS t(tag) WHERE lower(t.tag) IN (:from))`;
+
+/**
+ * Reescreve o array trocando as tags de :from por :to (ou removendo, se :to for null)
+ * Mantém a ordem original e remove repetições
+ */
+const rewriteArraySql = (column) => `ARRAY(
+    SELECT d.v FROM (
+        SELECT DISTINCT ON (lower(r.v)) r.v, r.ord FROM (
+            SELECT CASE WHEN lower(u.tag) IN (:from) THEN CAST(:to AS varchar) ELSE u.tag END AS v, u.ord
+            FROM unnest(${column}) WITH ORDINALITY AS u(tag, ord)
+        ) r
+        WHERE r.v IS NOT NULL
+        ORDER BY lower(r.v), r.ord
+    ) d ORDER BY d.ord
+)`;
+
+/**
+ * Contagem de uso das tags no perfil (chave: nome em minúsculas)
+ * @returns {Promise<Map<string, { name: string, count: number }>>}
+ */
+const getUsage = async (userId, profileId, options = {}) => {
+    const rows = await sequelize.query(`
+        SELECT lower(u.tag) AS key, min(u.tag) AS name, count(*)::int AS count FROM (
+            SELECT unnest(md.tags) AS tag FROM transaction_metadata md WHERE ${METADATA_SCOPE_SQL}
+            UNION ALL
+            SELECT unnest(ct.tags) FROM card_transactions ct WHERE ${CARD_SCOPE_SQL} AND ct.deleted_at IS NULL
+        ) u
+        GROUP BY lower(u.tag)
+    `, {
+        replacements: { userId, profileId },
+        type: QueryTypes.SELECT,
+        transaction: options.transaction
+    });
+
+    return new Map(rows.map(r => [r.key, { name: r.name, count: r.count }]));
+};
+
+/**
+ * Reescreve todos os usos das tags do perfil
+ *
+ * @param {string[]} from - Nomes (minúsculas) a substituir
+ * @param {string|null} to - Novo nome; null remove a tag
+ * @returns {Promise<{ metadata: number, cardTransactions: number, rules: number }>}
+ */
+const rewriteUsages = async (userId, profileId, from, to, t) => {
+    const replacements = { userId, profileId, from, to };
+
+    const run = async (sql) => {
+        const [, affected] = await sequelize.query(sql, {
+            replacements,
+            type: QueryTypes.UPDATE,
+            transaction: t
+        });
+        return affected || 0;
+    };
+
+    const metadata = await run(`
+        UPDATE transaction_metadata md SET tags = ${rewriteArraySql('md.tags')}, updated_at = NOW()
+        WHERE ${METADATA_SCOPE_SQL} AND ${hasAnyTagSql('md.tags')}
+    `);
+
+    // Inclui as que estão na lixeira (restauradas com o nome novo)
+    const cardTransactions = await run(`
+        UPDATE card_transactions ct SET tags = ${rewriteArraySql('ct.tags')}, updated_at = NOW()
+        WHERE ${CARD_SCOPE_SQL} AND ${hasAnyTagSql('ct.tags')}
+    `);
+
+    const rules = await run(`
+        UPDATE categorization_rules cr SET tags = ${rewriteArraySql('cr.tags')}, updated_at = NOW()
+        WHERE ${RULE_SCOPE_SQL} AND ${hasAnyTagSql('cr.tags')}
+    `);
+
+    return { metadata, cardTransactions, rules };
+};
+
+// ===========================================
+// CRUD
+// ===========================================
+
+/**
+ * Cria as tags usadas nas transações que ainda não têm cadastro
+ */
+const syncTags = async (userId, profileId, options = {}) => {
+    const [usage, existing] = await Promise.all([
+        getUsage(userId, profileId, options),
+        Tag.findAll({ where: { userId, profileId }, attributes: ['name'], transaction: options.transaction })
+    ]);
+
+    const known = new Set(existing.map(tag => tag.name.toLowerCase()));
+    const missing = [...usage.entries()]
+        .filter(([key]) => !known.has(key))
+        .filter(([, { name }]) => name.trim() && name.length <= MAX_NAME_LENGTH)
+        .map(([, { name }]) => ({ userId, profileId, name: name.trim() }));
+
+    if (missing.length > 0) {
+        await Tag.bulkCreate(missing, { ignoreDuplicates: true, transaction: options.transaction });
+    }
+
+    return { usage, created: missing.length };
+};
+
+/**
+ * Busca tag do perfil pelo id
+ */
+const findTag = async (userId, profileId, tagId, options = {}) => {
+    const tag = await Tag.findOne({
+        where: { id: tagId, userId, profileId },
+        transaction: options.transaction
+    });
+
+    if (!tag) {
+        throw new AppError('Tag não encontrada', 404, 'TAG_NOT_FOUND');
+    }
+
+    return tag;
+};
+
+/**
+ * Busca tag do perfil pelo nome (sem diferenciar maiúsculas)
+ */
+const findByName = (userId, profileId, name, options = {}) => Tag.findOne({
+    where: {
+        userId,
+        profileId,
+        [Op.and]: sequelize.where(sequelize.fn('lower', sequelize.col('name')), name.toLowerCase())
+    },
+    transaction: options.transaction
+});
+
+/**
+ * Lista as tags do perfil com a contagem de uso
+ */
+const listTags = async (userId, profileId) => {
+    const { usage } = await syncTags(userId, profileId);
+
+    const tags = await Tag.findAll({
+        where: { userId, profileId },
+        order: [['name', 'ASC']]
+    });
+
+    return tags.map(tag => ({
+        id: tag.id,
+        name: tag.name,
+        color: tag.color,
+        description: tag.description,
+        usageCount: usage.get(tag.name.toLowerCase())?.count || 0,
+        createdAt: tag.createdAt
+    }));
+};
+
+/**
+ * Cria uma tag
+ */
+const createTag = async (userId, profileId, data) => {
+    const name = normalizeName(data.name);
+    validateColor(data.color);
+
+    if (await findByName(userId, profileId, name)) {
+        throw new AppError('Já existe uma tag com este nome', 409, 'TAG_ALREADY_EXISTS');
+    }
+
+    return Tag.create({
+        userId,
+        profileId,
+        name,
+        color: data.color || null,
+        description: data.description || null
+    });
+};
+
+/**
+ * Atualiza cor/descrição e, se o nome mudar, renomeia em todas as transações
+ */
+const updateTag = async (userId, profileId, tagId, data) => {
+    validateColor(data.color);
+    const t = await sequelize.transaction();
+
+    try {
+        const tag = await findTag(userId, profileId, tagId, { transaction: t });
+        let rewritten = null;
+
+        if (data.name !== undefined) {
+            const name = normalizeName(data.name);
+
+            if (name.toLowerCase() !== tag.name.toLowerCase()) {
+                const conflict = await findByName(userId, profileId, name, { transaction: t });
+                if (conflict) {
+                    const error = new AppError('Já existe uma tag com este nome. Use a mesclagem.', 409, 'TAG_ALREADY_EXISTS');
+                    error.details = { tagId: conflict.id };
+                    throw error;
+                }
+            }
+
+            if (name !== tag.name) {
+                rewritten = await rewriteUsages(userId, profileId, [tag.name.toLowerCase()], name, t);
+                tag.name = name;
+            }
+        }
+
+        if (data.color !== undefined) tag.color = data.color;
+        if (data.description !== undefined) tag.description = data.description;
+
+        await tag.save({ transaction: t });
+        await t.commit();
+
+        return { tag, rewritten };
+    } catch (error) {
+        await t.rollback();
+        console.error('❌ [TAG UPDATE] Error:', error);
+        throw error;
+    }
+};
+
+/**
+ * Mescla tags na tag de destino (os usos passam a apontar para ela)
+ */
+const mergeTags = async (userId, profileId, targetId, sourceIds) => {
+    const ids = [...new Set(Array.isArray(sourceIds) ? sourceIds : [])].filter(id => id !== targetId);
+    if (ids.length === 0) {
+        throw new AppError('Informe as tags a mesclar (sourceIds)', 400, 'TAG_MERGE_SOURCES_REQUIRED');
+    }
+
+    const t = await sequelize.transaction();
+
+    try {
+        const target = await findTag(userId, profileId, targetId, { transaction: t });
+        const sources = await Tag.findAll({ where: { id: ids, userId, profileId }, transaction: t });
+
+        if (sources.length !== ids.length) {
+            throw new AppError('Tag não encontrada', 404, 'TAG_NOT_FOUND');
+        }
+
+        const rewritten = await rewriteUsages(
+            userId,
+            profileId,
+            sources.map(tag => tag.name.toLowerCase()),
+            target.name,
+            t
+        );
+
+        await Tag.destroy({ where: { id: sources.map(tag => tag.id) }, transaction: t });
+        await t.commit();
+
+        return {
+            tag: target,
+            merged: sources.map(tag => tag.name),
+            rewritten
+        };
+    } catch (error) {
+        await t.rollback();
+        console.error('❌ [TAG MERGE] Error:', error);
+        throw error;
+    }
+};
+
+/**
+ * Exclui a tag e a remove de todas as transações e regras
+ */
+const deleteTag = async (userId, profileId, tagId) => {
+    const t = await sequelize.transaction();
+
+    try {
+        const tag = await findTag(userId, profileId, tagId, { transaction: t });
+        const rewritten = await rewriteUsages(userId, profileId, [tag.name.toLowerCase()], null, t);
+
+        await tag.destroy({ transaction: t });
+        await t.commit();
+
+        return { rewritten };
+    } catch (error) {
+        await t.rollback();
+        console.error('❌ [TAG DELETE] Error:', error);
+        throw error;
+    }
+};
+
+// ===========================================
+// FILTROS E RELATÓRIO
+// ===========================================
+
+/**
+ * IDs das transações que têm qualquer uma das tags
+ * O isolamento por perfil fica a cargo da consulta que usa os IDs.
+ *
+ * @param {string} userId
+ * @param {string[]} tags - Nomes em minúsculas (parseTagFilter)
+ * @returns {Promise<{ MANUAL: string[], OPEN_FINANCE: string[], CARD: string[] }>}
+ */
+const findTaggedIds = async (userId, tags) => {
+    const rows = await sequelize.query(`
+        SELECT md.transaction_type::text AS type, md.transaction_id AS id
+        FROM transaction_metadata md
+        WHERE md.user_id = :userId AND ${hasAnyTagSql('md.tags')}
+        UNION ALL
+        SELECT 'CARD', ct.id FROM card_transactions ct
+        WHERE ct.user_id = :userId AND ct.deleted_at IS NULL AND ${hasAnyTagSql('ct.tags')}
+    `, {
+        replacements: { userId, from: tags },
+        type: QueryTypes.SELECT
+    });
+
+    const result = { MANUAL: [], OPEN_FINANCE: [], CARD: [] };
+    rows.forEach(row => {
+        if (result[row.type]) result[row.type].push(row.id);
+    });
+
+    return result;
+};
+
+/**
+ * Relatório por tag no período: receitas, despesas, por mês e por categoria
+ * Uma transação com várias tags entra em todas (os totais não se somam entre tags).
+ *
+ * @param {object} filters - { startDate, endDate, tags }
+ */
+const getTagReport = async (userId, profileId, filters = {}) => {
+    const endDate = filters.endDate || moment().endOf('month').format('YYYY-MM-DD');
+    const startDate = filters.startDate || moment(endDate).subtract(11, 'months').startOf('month').format('YYYY-MM-DD');
+    if (!moment(startDate, 'YYYY-MM-DD', true).isValid() || !moment(endDate, 'YYYY-MM-DD', true).isValid() || startDate > endDate) {
+        throw new AppError('Período inválido (use startDate e endDate no formato YYYY-MM-DD)', 400, 'INVALID_PERIOD');
+    }
+
+    const onlyTags = parseTagFilter(filters.tags);
+    const dateFilter = { [Op.between]: [startDate, endDate] };
+    const baseCurrency = await exchangeRatesService.getBaseCurrency(profileId);
+
+    await syncTags(userId, profileId);
+    const tagEntities = await Tag.findAll({ where: { userId, profileId } });
+    const tagInfo = new Map(tagEntities.map(tag => [tag.name.toLowerCase(), tag]));
+
+    const metadata = await TransactionMetadata.findAll({
+        where: {
+            userId,
+            transactionType: ['MANUAL', 'OPEN_FINANCE'],
+            tags: { [Op.ne]: [] },
+            isIgnored: { [Op.not]: true }
+        },
+        attributes: ['transactionType', 'transactionId', 'tags', 'category']
+    });
+    const metadataMap = new Map(metadata.map(m => [`${m.transactionType}:${m.transactionId}`, m]));
+    const idsOf = (type) => metadata.filter(m => m.transactionType === type).map(m => m.transactionId);
+
+    // ✅ PROFILE ISOLATION em cada origem
+    const [manual, openFinance, card] = await Promise.all([
+        ManualTransaction.findAll({
+            where: {
+                userId,
+                profileId,
+                id: idsOf('MANUAL'),
+                date: dateFilter,
+                status: { [Op.ne]: 'CANCELLED' }
+            },
+            include: [{ model: Category, as: 'category', attributes: ['name'] }]
+        }),
+        OpenFinanceTransaction.findAll({
+            where: { userId, id: idsOf('OPEN_FINANCE'), date: dateFilter },
+            include: [
+                { model: BankAccount, as: 'bankAccount', attributes: ['profileId'], required: false },
+                { model: CreditCard, as: 'creditCard', attributes: ['profileId'], required: false }
+            ]
+        }).then(rows => rows.filter(tx =>
+            tx.bankAccount?.profileId === profileId || tx.creditCard?.profileId === profileId)),
+        CardTransaction.findAll({
+            where: {
+                userId,
+                date: dateFilter,
+                status: { [Op.ne]: 'CANCELLED' },
+                tags: { [Op.ne]: [] }
+            },
+            include: [{ model: CreditCard, as: 'card', where: { profileId }, attributes: ['currency'] }]
+        })
+    ]);
+
+    // Open Finance Brasil é sempre em BRL; cartão na moeda do cartão
+    const rates = new Map();
+    const rateFor = async (currency) => {
+        const from = currency || 'BRL';
+        if (!rates.has(from)) {
+            const { rate } = await exchangeRatesService.getRate(from, baseCurrency, endDate, { userId });
+            rates.set(from, rate);
+        }
+        return rates.get(from);
+    };
+
+    const entries = [];
+    for (const tx of manual) {
+        if (tx.type !== 'INCOME' && tx.type !== 'EXPENSE') continue;
+        const meta = metadataMap.get(`MANUAL:${tx.id}`);
+        const amount = tx.convertedAmount !== null && tx.convertedAmount !== undefined
+            ? parseFloat(tx.convertedAmount)
+            : parseFloat(tx.amount);
+        entries.push({
+            source: 'MANUAL',
+            tags: meta.tags,
+            date: tx.date,
+            kind: tx.type,
+            amount,
+            category: tx.category ? tx.category.name : meta.category
+        });
+    }
+    for (const tx of openFinance) {
+        const meta = metadataMap.get(`OPEN_FINANCE:${tx.id}`);
+        entries.push({
+            source: 'OPEN_FINANCE',
+            tags: meta.tags,
+            date: tx.date,
+            kind: tx.type === 'CREDIT' ? 'INCOME' : 'EXPENSE',
+            amount: Math.abs(parseFloat(tx.amount)) * await rateFor('BRL'),
+            category: meta.category
+        });
+    }
+    for (const tx of card) {
+        entries.push({
+            source: 'CARD',
+            tags: tx.tags,
+            date: tx.date,
+            kind: 'EXPENSE',
+            amount: parseFloat(tx.amount) * await rateFor(tx.card?.currency),
+            category: tx.category
+        });
+    }
+
+    const report = new Map();
+    for (const entry of entries) {
+        const keys = new Set((entry.tags || []).map(tag => String(tag).toLowerCase()));
+        const month = moment(entry.date).format('YYYY-MM');
+
+        for (const key of keys) {
+            if (onlyTags && !onlyTags.includes(key)) continue;
+
+            if (!report.has(key)) {
+                const info = tagInfo.get(key);
+                report.set(key, {
+                    tagId: info ? info.id : null,
+                    tag: info ? info.name : key,
+                    color: info ? info.color : null,
+                    income: 0,
+                    expense: 0,
+                    count: 0,
+                    bySource: { MANUAL: 0, OPEN_FINANCE: 0, CARD: 0 },
+                    byMonth: {},
+                    byCategory: {}
+                });
+            }
+
+            const item = report.get(key);
+            const signed = entry.kind === 'INCOME' ? entry.amount : -entry.amount;
+            if (entry.kind === 'INCOME') item.income += entry.amount;
+            else item.expense += entry.amount;
+            item.count += 1;
+            item.bySource[entry.source] += 1;
+
+            if (!item.byMonth[month]) item.byMonth[month] = { month, income: 0, expense: 0, count: 0 };
+            item.byMonth[month][entry.kind === 'INCOME' ? 'income' : 'expense'] += entry.amount;
+            item.byMonth[month].count += 1;
+
+            const category = entry.category || 'Sem categoria';
+            item.byCategory[category] = (item.byCategory[category] || 0) + signed;
+        }
+    }
+
+    const tags = [...report.values()].map(item => ({
+        ...item,
+        income: round2(item.income),
+        expense: round2(item.expense),
+        net: round2(item.income - item.expense),
+        byMonth: Object.values(item.byMonth)
+            .sort((a, b) => a.month.localeCompare(b.month))
+            .map(m => ({ ...m, income: round2(m.income), expense: round2(m.expense), net: round2(m.income - m.expense) })),
+        byCategory: Object.entries(item.byCategory)
+            .map(([category, total]) => ({ category, total: round2(total) }))
+            .sort((a, b) => a.total - b.total)
+    })).sort((a, b) => b.expense - a.expense);
+
+    return {
+        period: { startDate, endDate },
+        currency: baseCurrency,
+        tags
+    };
+};
+
+module.exports = {
+    parseTagFilter,
+    listTags,
+    createTag,
+    updateTag,
+    mergeTags,
+    deleteTag,
+    findTaggedIds,
+    getTagReport
+};
@@ -0,0 +1,684 @@
+/**
+ * Bulk Transactions Service
+ * ========================================
+ * OPERAÇÕES EM LOTE SOBRE TRANSAÇÕES
+ * ========================================
+ *
+ * - Recategorizar, alterar tags, trocar conta bancária, marcar
+ *   COMPLETED/CANCELLED ou excluir várias transações de uma vez
+ * - Tudo numa única transação Sequelize; saldos ajustados por conta
+ *   via bankAccounts.service.updateBalance
+ * - Um único AuditLog (TRANSACTION_BULK) com o estado anterior de cada item,
+ *   usado para reverter a operação inteira
+ * ✅ PROFILE ISOLATION: manuais pelo profileId, cartão pelo perfil do cartão
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const {
+    ManualTransaction,
+    CardTransaction,
+    CreditCard,
+    OpenFinanceTransaction,
+    TransactionMetadata,
+    TransactionSplit,
+    BankAccount,
+    Category,
+    AuditLog,
+    sequelize
+} = require('../../models');
+const { AppError } = require('../../middlewares/errorHandler');
+const { Op } = require('sequelize');
+const bankAccountsService = require('../bankAccounts/bankAccounts.service');
+const recurringService = require('./recurring.service');
+const trashService = require('../trash/trash.service');
+const categoryLimitsService = require('../budgets/categoryLimits.service');
+const { assertNotReconciled } = require('../bankAccounts/reconciliation.service');
+
+const ACTIONS = ['RECATEGORIZE', 'RETAG', 'SET_ACCOUNT', 'SET_STATUS', 'DELETE'];
+const TAG_MODES = ['ADD', 'REMOVE', 'REPLACE'];
+const MAX_ITEMS = 500;
+
+// Ações aceitas por origem (Open Finance é imutável: só metadata)
+const SUPPORTED = {
+    MANUAL: ACTIONS,
+    CARD: ['RECATEGORIZE', 'RETAG', 'SET_STATUS', 'DELETE'],
+    OPEN_FINANCE: ['RECATEGORIZE', 'RETAG']
+};
+
+// Campos restaurados ao reverter uma atualização
+const RESTORABLE_FIELDS = {
+    MANUAL: ['categoryId', 'bankAccountId', 'status'],
+    CARD: ['category', 'tags', 'status']
+};
+
+/**
+ * Efeito de uma transação manual no saldo da conta
+ * (mesma regra da criação: só COMPLETED com conta vinculada)
+ */
+const balanceEffect = (row) => {
+    if (!row || !row.bankAccountId || row.status !== 'COMPLETED') return null;
+    const amount = parseFloat(row.amount);
+    return {
+        accountId: row.bankAccountId,
+        amount: row.type === 'INCOME' ? amount : -amount
+    };
+};
+
+/**
+ * Acumula a diferença de saldo entre o estado anterior e o novo
+ * deltas: total por conta (resposta/auditoria)
+ * movements: por conta e transação (movimentações de saldo rastreáveis)
+ */
+const addBalanceDelta = (deltas, before, after, movements) => {
+    const previous = balanceEffect(before);
+    const next = balanceEffect(after);
+    const transactionId = (after || before).id;
+
+    const add = (accountId, amount) => {
+        deltas[accountId] = (deltas[accountId] || 0) + amount;
+        const key = `${accountId}:${transactionId}`;
+        movements[key] = (movements[key] || 0) + amount;
+    };
+
+    if (previous) add(previous.accountId, -previous.amount);
+    if (next) add(next.accountId, next.amount);
+};
+
+const applyBalanceDeltas = async (movements, reason, t) => {
+    for (const [key, amount] of Object.entries(movements)) {
+        const [accountId, transactionId] = key.split(':');
+        const rounded = Math.round(amount * 100) / 100;
+        if (rounded !== 0) {
+            await bankAccountsService.updateBalance(accountId, rounded, t, { transactionId, reason });
+        }
+    }
+};
+
+/**
+ * Aplica o modo de tags (ADD, REMOVE, REPLACE)
+ */
+const mergeTags = (current, tags, mode) => {
+    const existing = current || [];
+    if (mode === 'REPLACE') return [...new Set(tags)];
+    if (mode === 'REMOVE') {
+        const removed = tags.map(tag => tag.toLowerCase());
+        return existing.filter(tag => !removed.includes(tag.toLowerCase()));
+    }
+    const merged = [...existing];
+    for (const tag of tags) {
+        if (!merged.some(item => item.toLowerCase() === tag.toLowerCase())) merged.push(tag);
+    }
+    return merged;
+};
+
+/**
+ * Valida o payload da ação
+ */
+const validatePayload = async (userId, profileId, action, payload) => {
+    if (!ACTIONS.includes(action)) {
+        throw new AppError(`Ação inválida. Use: ${ACTIONS.join(', ')}`, 400, 'INVALID_BULK_ACTION');
+    }
+
+    const resolved = {};
+
+    if (action === 'RECATEGORIZE') {
+        if (!payload.categoryId) {
+            throw new AppError('categoryId é obrigatório para RECATEGORIZE', 400, 'CATEGORY_REQUIRED');
+        }
+        const category = await Category.findOne({
+            where: {
+                id: payload.categoryId,
+                [Op.or]: [{ userId }, { userId: null, isDefault: true }]
+            }
+        });
+        if (!category) {
+            throw new AppError('Categoria não encontrada', 404, 'CATEGORY_NOT_FOUND');
+        }
+        resolved.category = category;
+    }
+
+    if (action === 'RETAG') {
+        if (!Array.isArray(payload.tags)) {
+            throw new AppError('tags deve ser uma lista', 400, 'TAGS_REQUIRED');
+        }
+        resolved.tags = payload.tags.map(tag => String(tag).trim()).filter(Boolean);
+        resolved.tagMode = payload.tagMode || 'ADD';
+        if (!TAG_MODES.includes(resolved.tagMode)) {
+            throw new AppError(`tagMode inválido. Use: ${TAG_MODES.join(', ')}`, 400, 'INVALID_TAG_MODE');
+        }
+    }
+
+    if (action === 'SET_ACCOUNT') {
+        if (payload.bankAccountId === undefined) {
+            throw new AppError('bankAccountId é obrigatório para SET_ACCOUNT (null desvincula)', 400, 'BANK_ACCOUNT_REQUIRED');
+        }
+        if (payload.bankAccountId) {
+            const where = { id: payload.bankAccountId, userId };
+            if (profileId) where.profileId = profileId; // ✅ PROFILE ISOLATION
+            const account = await BankAccount.findOne({ where });
+            if (!account) {
+                throw new AppError('Conta bancária não encontrada', 404, 'BANK_ACCOUNT_NOT_FOUND');
+            }
+        }
+        resolved.bankAccountId = payload.bankAccountId || null;
+    }
+
+    if (action === 'SET_STATUS') {
+        if (!['COMPLETED', 'CANCELLED'].includes(payload.status)) {
+            throw new AppError('status deve ser COMPLETED ou CANCELLED', 400, 'INVALID_STATUS');
+        }
+        resolved.status = payload.status;
+    }
+
+    return resolved;
+};
+
+/**
+ * Carrega as transações selecionadas, garantindo isolamento por perfil
+ * @returns {Promise<{ MANUAL: Map, CARD: Map, OPEN_FINANCE: Map }>}
+ */
+const loadTransactions = async (userId, profileId, items, t) => {
+    const idsBySource = { MANUAL: [], CARD: [], OPEN_FINANCE: [] };
+    for (const item of items) idsBySource[item.source].push(item.id);
+
+    const manualWhere = { id: idsBySource.MANUAL, userId };
+    if (profileId) manualWhere.profileId = profileId; // ✅ PROFILE ISOLATION
+
+    const cardWhere = { userId };
+    if (profileId) cardWhere.profileId = profileId; // ✅ PROFILE ISOLATION
+
+    const [manual, card, openFinance] = await Promise.all([
+        idsBySource.MANUAL.length
+            ? ManualTransaction.findAll({ where: manualWhere, transaction: t, lock: t.LOCK.UPDATE })
+            : [],
+        idsBySource.CARD.length
+            ? CardTransaction.findAll({
+                where: { id: idsBySource.CARD, userId },
+                include: [{ model: CreditCard, as: 'card', where: cardWhere, attributes: ['id'] }],
+                transaction: t
+            })
+            : [],
+        idsBySource.OPEN_FINANCE.length
+            ? OpenFinanceTransaction.findAll({ where: { id: idsBySource.OPEN_FINANCE, userId }, transaction: t })
+            : []
+    ]);
+
+    const loaded = {
+        MANUAL: new Map(manual.map(tx => [tx.id, tx])),
+        CARD: new Map(card.map(tx => [tx.id, tx])),
+        OPEN_FINANCE: new Map(openFinance.map(tx => [tx.id, tx]))
+    };
+
+    const missing = items.filter(item => !loaded[item.source].has(item.id));
+    if (missing.length > 0) {
+        const error = new AppError(`${missing.length} transação(ões) não encontrada(s)`, 404, 'TRANSACTION_NOT_FOUND');
+        error.details = missing;
+        throw error;
+    }
+
+    return loaded;
+};
+
+/**
+ * Metadata existente das transações (chave: SOURCE:id)
+ */
+const loadMetadata = async (userId, items, t) => {
+    const conditions = ['MANUAL', 'OPEN_FINANCE']
+        .map(source => ({ transactionType: source, transactionId: items.filter(i => i.source === source).map(i => i.id) }))
+        .filter(condition => condition.transactionId.length > 0);
+
+    if (conditions.length === 0) return new Map();
+
+    const metadata = await TransactionMetadata.findAll({
+        where: { userId, [Op.or]: conditions },
+        transaction: t
+    });
+
+    return new Map(metadata.map(m => [`${m.transactionType}:${m.transactionId}`, m]));
+};
+
+/**
+ * Motivo para não aplicar a ação ao item (ou null)
+ */
+const getSkipReason = (action, source, tx) => {
+    if (!SUPPORTED[source].includes(action)) return 'ACTION_NOT_SUPPORTED_FOR_SOURCE';
+
+    if (action === 'DELETE' && source === 'MANUAL') {
+        if (recurringService.isSeriesMaster(tx)) return 'RECURRING_SERIES_MASTER';
+        const isSystemTransaction = tx.isRecurring && (
+            tx.source === 'SALARY' ||
+            (tx.description && (
+                tx.description.includes('DAS') ||
+                tx.description === 'Salário' ||
+                tx.description === 'Pró-labore'
+            ))
+        );
+        if (isSystemTransaction) return 'SYSTEM_TRANSACTION_PROTECTED';
+    }
+
+    return null;
+};
+
+/**
+ * Transação manual de conciliação concluída: excluir, trocar a conta ou o status
+ * quebraria o extrato fechado (mesma trava da edição unitária)
+ */
+const RECONCILED_CHANGES = {
+    DELETE: () => null,
+    SET_ACCOUNT: (payload) => ({ bankAccountId: payload.bankAccountId }),
+    SET_STATUS: (payload) => ({ status: payload.status })
+};
+
+const isReconciledLocked = async (action, source, tx, payload, transaction) => {
+    if (source !== 'MANUAL' || !RECONCILED_CHANGES[action]) return false;
+
+    try {
+        await assertNotReconciled(tx, RECONCILED_CHANGES[action](payload), { transaction });
+        return false;
+    } catch (error) {
+        if (error.code === 'TRANSACTION_RECONCILED') return true;
+        throw error;
+    }
+};
+
+/**
+ * Executa uma operação em lote
+ *
+ * @param {string} userId
+ * @param {string} profileId
+ * @param {object} data
+ * @param {string} data.action - RECATEGORIZE | RETAG | SET_ACCOUNT | SET_STATUS | DELETE
+ * @param {object[]} data.transactions - [{ id, source: MANUAL | CARD | OPEN_FINANCE }]
+ * @param {string} data.categoryId - RECATEGORIZE
+ * @param {string[]} data.tags - RETAG
+ * @param {string} data.tagMode - RETAG: ADD (default) | REMOVE | REPLACE
+ * @param {string|null} data.bankAccountId - SET_ACCOUNT (null desvincula)
+ * @param {string} data.status - SET_STATUS: COMPLETED | CANCELLED
+ * @param {object} context - { ipAddress, userAgent }
+ */
+const executeBulk = async (userId, profileId, data, context = {}) => {
+    const { action } = data;
+
+    if (!Array.isArray(data.transactions) || data.transactions.length === 0) {
+        throw new AppError('Informe as transações da operação', 400, 'TRANSACTIONS_REQUIRED');
+    }
+    if (data.transactions.length > MAX_ITEMS) {
+        throw new AppError(`Máximo de ${MAX_ITEMS} transações por operação`, 400, 'BULK_LIMIT_EXCEEDED');
+    }
+
+    // Normalizar e remover duplicados
+    const seen = new Set();
+    const items = [];
+    for (const item of data.transactions) {
+        const source = (item.source || 'MANUAL').toUpperCase();
+        if (!SUPPORTED[source]) {
+            throw new AppError(`Origem inválida: ${item.source}. Use MANUAL, CARD ou OPEN_FINANCE`, 400, 'INVALID_TRANSACTION_SOURCE');
+        }
+        const key = `${source}:${item.id}`;
+        if (item.id && !seen.has(key)) {
+            seen.add(key);
+            items.push({ id: item.id, source });
+        }
+    }
+
+    const payload = await validatePayload(userId, profileId, action, data);
+
+    const operationId = uuidv4();
+    const t = await sequelize.transaction();
+
+    try {
+        const loaded = await loadTransactions(userId, profileId, items, t);
+        const metadataMap = await loadMetadata(userId, items, t);
+
+        const deltas = {};
+        const movements = {};
+        const snapshots = [];
+        const skipped = [];
+        const completed = [];
+
+        for (const item of items) {
+            const tx = loaded[item.source].get(item.id);
+            const reason = getSkipReason(action, item.source, tx);
+            if (reason) {
+                skipped.push({ ...item, reason });
+                continue;
+            }
+            if (await isReconciledLocked(action, item.source, tx, payload, t)) {
+                skipped.push({ ...item, reason: 'TRANSACTION_RECONCILED' });
+                continue;
+            }
+
+            const metadata = metadataMap.get(`${item.source}:${item.id}`) || null;
+            const snapshot = {
+                ...item,
+                before: item.source === 'OPEN_FINANCE' ? null : tx.toJSON(),
+                metadata: metadata ? metadata.toJSON() : null,
+                splits: [],
+                deleted: false
+            };
+
+            if (action === 'DELETE') {
+                // Ocorrência pendente de série: excluir = pular (senão o agendador a recriaria)
+                if (item.source === 'MANUAL' && tx.recurringSeriesId && tx.status === 'PENDING') {
+                    await tx.update({ status: 'CANCELLED', notificationsCreated: true }, { transaction: t });
+                } else {
+                    if (tx.isSplit) {
+                        const splits = await TransactionSplit.findAll({
+                            where: { transactionType: item.source, transactionId: tx.id },
+                            transaction: t
+                        });
+                        snapshot.splits = splits.map(s => s.toJSON());
+                    }
+                    if (item.source === 'MANUAL') addBalanceDelta(deltas, tx, null, movements);
+                    // Lixeira (deletionBatchId = operationId): metadata, divisões e anexos são mantidos
+                    await trashService.moveToTrash(item.source, { id: tx.id }, { batchId: operationId, transaction: t });
+                    snapshot.deleted = true;
+                }
+                snapshots.push(snapshot);
+                continue;
+            }
+
+            if (action === 'RECATEGORIZE') {
+                if (item.source === 'MANUAL') {
+                    await tx.update({ categoryId: payload.category.id }, { transaction: t });
+                    if (metadata && metadata.category) {
+                        await metadata.update({ category: payload.category.name }, { transaction: t });
+                    }
+                } else if (item.source === 'CARD') {
+                    await tx.update({ category: payload.category.name }, { transaction: t });
+                } else {
+                    const [meta] = await TransactionMetadata.findOrCreate({
+                        where: { userId, transactionType: 'OPEN_FINANCE', transactionId: tx.id },
+                        transaction: t
+                    });
+                    await meta.update({ category: payload.category.name }, { transaction: t });
+                }
+            }
+
+            if (action === 'RETAG') {
+                if (item.source === 'CARD') {
+                    await tx.update({ tags: mergeTags(tx.tags, payload.tags, payload.tagMode) }, { transaction: t });
+                } else {
+                    const [meta] = metadata
+                        ? [metadata]
+                        : await TransactionMetadata.findOrCreate({
+                            where: { userId, transactionType: item.source, transactionId: tx.id },
+                            transaction: t
+                        });
+                    await meta.update({ tags: mergeTags(meta.tags, payload.tags, payload.tagMode) }, { transaction: t });
+                }
+            }
+
+            if (action === 'SET_ACCOUNT') {
+                const before = tx.toJSON();
+                await tx.update({ bankAccountId: payload.bankAccountId }, { transaction: t });
+                addBalanceDelta(deltas, before, tx, movements);
+            }
+
+            if (action === 'SET_STATUS') {
+                if (item.source === 'CARD') {
+                    await tx.update({ status: payload.status === 'COMPLETED' ? 'PAID' : 'CANCELLED' }, { transaction: t });
+                } else {
+                    const before = tx.toJSON();
+                    await tx.update({ status: payload.status }, { transaction: t });
+                    addBalanceDelta(deltas, before, tx, movements);
+                    if (before.status !== 'COMPLETED' && tx.status === 'COMPLETED') completed.push(tx);
+                }
+            }
+
+            snapshots.push(snapshot);
+        }
+
+        await applyBalanceDeltas(movements, 'BULK_OPERATION', t);
+
+        // Registro agrupado: a reversão usa previousData.items
+        await AuditLog.create({
+            userId,
+            action: AuditLog.ACTIONS.TRANSACTION_BULK,
+            resource: 'TRANSACTION_BULK',
+            resourceId: operationId,
+            details: {
+                operation: action,
+                profileId,
+                affected: snapshots.length,
+                skipped: skipped.length,
+                payload: {
+                    categoryId: data.categoryId,
+                    tags: payload.tags,
+                    tagMode: payload.tagMode,
+                    bankAccountId: payload.bankAccountId,
+                    status: payload.status
+                },
+                balanceChanges: deltas
+            },
+            previousData: { items: snapshots },
+            newData: { items: snapshots.map(s => ({ id: s.id, source: s.source, deleted: s.deleted })) },
+            ipAddress: context.ipAddress || null,
+            userAgent: context.userAgent || null
+        }, { transaction: t });
+
+        await t.commit();
+
+        // Ocorrências pagas em lote: limite mensal da categoria (por perfil da transação)
+        for (const txProfileId of new Set(completed.map(tx => tx.profileId))) {
+            await categoryLimitsService.checkTransactions(userId, txProfileId, completed
+                .filter(tx => tx.profileId === txProfileId)
+                .map(tx => ({
+                    type: tx.type,
+                    categoryId: tx.categoryId,
+                    date: tx.date,
+                    transactionId: tx.id,
+                    transactionType: 'MANUAL'
+                })));
+        }
+
+        return {
+            operationId,
+            action,
+            affected: snapshots.length,
+            skipped,
+            balanceChanges: deltas
+        };
+    } catch (error) {
+        await t.rollback();
+        console.error('❌ [BULK] Error:', error);
+        throw error;
+    }
+};
+
+/**
+ * Busca o registro de uma operação em lote do usuário
+ */
+const findOperation = async (userId, operationId) => {
+    const entry = await AuditLog.findOne({
+        where: {
+            userId,
+            action: AuditLog.ACTIONS.TRANSACTION_BULK,
+            resourceId: operationId
+        }
+    });
+
+    if (!entry) {
+        throw new AppError('Operação em lote não encontrada', 404, 'BULK_OPERATION_NOT_FOUND');
+    }
+
+    return entry;
+};
+
+/**
+ * Lista as operações em lote recentes do perfil
+ */
+const listOperations = async (userId, profileId, limit = 20) => {
+    const entries = await AuditLog.findAll({
+        where: {
+            userId,
+            action: AuditLog.ACTIONS.TRANSACTION_BULK,
+            ...(profileId ? { 'details.profileId': profileId } : {}) // ✅ PROFILE ISOLATION
+        },
+        attributes: ['id', 'resourceId', 'details', 'createdAt'],
+        order: [['createdAt', 'DESC']],
+        limit
+    });
+
+    const reverts = await AuditLog.findAll({
+        where: {
+            userId,
+            action: AuditLog.ACTIONS.TRANSACTION_BULK_REVERT,
+            resourceId: entries.map(e => e.resourceId)
+        },
+        attributes: ['resourceId', 'createdAt']
+    });
+    const revertedAt = new Map(reverts.map(r => [r.resourceId, r.createdAt]));
+
+    return entries.map(entry => ({
+        operationId: entry.resourceId,
+        action: entry.details.operation,
+        affected: entry.details.affected,
+        skipped: entry.details.skipped,
+        payload: entry.details.payload,
+        createdAt: entry.createdAt,
+        revertedAt: revertedAt.get(entry.resourceId) || null
+    }));
+};
+
+/**
+ * Reverte uma operação em lote inteira
+ * Itens alterados depois da operação geram conflito (409), a menos que force = true
+ *
+ * @param {string} userId
+ * @param {string} profileId
+ * @param {string} operationId
+ * @param {object} options - { force, ipAddress, userAgent }
+ */
+const revertBulk = async (userId, profileId, operationId, options = {}) => {
+    const entry = await findOperation(userId, operationId);
+
+    if (profileId && entry.details.profileId && entry.details.profileId !== profileId) {
+        throw new AppError('Operação em lote não encontrada', 404, 'BULK_OPERATION_NOT_FOUND'); // ✅ PROFILE ISOLATION
+    }
+
+    const alreadyReverted = await AuditLog.findOne({
+        where: { userId, action: AuditLog.ACTIONS.TRANSACTION_BULK_REVERT, resourceId: operationId }
+    });
+    if (alreadyReverted) {
+        throw new AppError('Esta operação já foi revertida', 409, 'BULK_ALREADY_REVERTED');
+    }
+
+    const items = entry.previousData?.items || [];
+    const t = await sequelize.transaction();
+
+    try {
+        const deltas = {};
+        const movements = {};
+        const conflicts = [];
+        let restored = 0;
+
+        for (const item of items) {
+            const Model = item.source === 'CARD' ? CardTransaction : ManualTransaction;
+
+            if (item.source !== 'OPEN_FINANCE') {
+                const current = await Model.findByPk(item.id, { transaction: t });
+
+                if (item.deleted) {
+                    if (current) {
+                        conflicts.push({ id: item.id, source: item.source, reason: 'ALREADY_EXISTS' });
+                        continue;
+                    }
+                    // Ainda na lixeira: restaurar; já expurgada: recriar a partir do snapshot
+                    let recreated = await Model.findByPk(item.id, { paranoid: false, transaction: t });
+                    if (recreated) {
+                        await recreated.restore({ transaction: t });
+                        await recreated.update({ deletionBatchId: null }, { transaction: t });
+                    } else {
+                        recreated = await Model.create(item.before, { transaction: t });
+                        if (item.splits.length > 0) {
+                            await TransactionSplit.bulkCreate(item.splits, { transaction: t });
+                        }
+                    }
+                    if (item.source === 'MANUAL') addBalanceDelta(deltas, null, recreated, movements);
+                } else {
+                    if (!current) {
+                        conflicts.push({ id: item.id, source: item.source, reason: 'DELETED' });
+                        continue;
+                    }
+                    if (!options.force && new Date(current.updatedAt) > new Date(entry.createdAt)) {
+                        conflicts.push({ id: item.id, source: item.source, reason: 'MODIFIED_AFTER_OPERATION' });
+                        continue;
+                    }
+                    const before = current.toJSON();
+                    const restoreData = {};
+                    for (const field of RESTORABLE_FIELDS[item.source]) restoreData[field] = item.before[field];
+                    if (item.source === 'MANUAL') restoreData.notificationsCreated = item.before.notificationsCreated;
+                    await current.update(restoreData, { transaction: t });
+                    if (item.source === 'MANUAL') addBalanceDelta(deltas, before, current, movements);
+                }
+            }
+
+            // Metadata: recria/restaura o estado anterior ou remove a criada pela operação
+            const metadataWhere = { userId, transactionType: item.source, transactionId: item.id };
+            const currentMetadata = item.source === 'CARD'
+                ? null
+                : await TransactionMetadata.findOne({ where: metadataWhere, transaction: t });
+
+            if (item.metadata) {
+                if (currentMetadata) {
+                    await currentMetadata.update({
+                        category: item.metadata.category,
+                        tags: item.metadata.tags,
+                        notes: item.metadata.notes
+                    }, { transaction: t });
+                } else {
+                    await TransactionMetadata.create(item.metadata, { transaction: t });
+                }
+            } else if (currentMetadata) {
+                await currentMetadata.destroy({ transaction: t });
+            }
+
+            restored++;
+        }
+
+        if (conflicts.length > 0 && !options.force) {
+            const error = new AppError(
+                'Algumas transações mudaram depois da operação. Reenvie com force=true para reverter o restante.',
+                409,
+                'BULK_REVERT_CONFLICT'
+            );
+            error.details = conflicts;
+            throw error;
+        }
+
+        await applyBalanceDeltas(movements, 'BULK_REVERT', t);
+
+        await AuditLog.create({
+            userId,
+            action: AuditLog.ACTIONS.TRANSACTION_BULK_REVERT,
+            resource: 'TRANSACTION_BULK',
+            resourceId: operationId,
+            details: {
+                operation: entry.details.operation,
+                profileId,
+                restored,
+                conflicts,
+                forced: !!options.force,
+                balanceChanges: deltas
+            },
+            ipAddress: options.ipAddress || null,
+            userAgent: options.userAgent || null
+        }, { transaction: t });
+
+        await t.commit();
+
+        return { operationId, restored, conflicts, balanceChanges: deltas };
+    } catch (error) {
+        await t.rollback();
+        console.error('❌ [BULK REVERT] Error:', error);
+        throw error;
+    }
+};
+
+module.exports = {
+    ACTIONS,
+    executeBulk,
+    listOperations,
+    revertBulk
+};
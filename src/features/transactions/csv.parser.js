@@ -0,0 +1,258 @@
+/**
+ * CSV Parser
+ * ========================================
+ * Leitura de extratos CSV com mapeamento de colunas
+ * ========================================
+ *
+ * O mapeamento (preset do banco ou configuração do usuário) define:
+ * - delimiter: ',', ';', '\t' ou 'auto'
+ * - dateFormat: formato moment (ex: 'DD/MM/YYYY')
+ * - decimalSeparator: ',' ou '.'
+ * - signConvention: NEGATIVE_IS_EXPENSE | POSITIVE_IS_EXPENSE | TYPE_COLUMN
+ * - columns: { date, description, amount | debit + credit, type, externalId, category, installment }
+ *   Cada coluna pode ser o nome do cabeçalho, uma lista de nomes alternativos
+ *   ou o índice (0-based) para arquivos sem cabeçalho.
+ */
+
+const moment = require('moment');
+const { AppError } = require('../../middlewares/errorHandler');
+
+/**
+ * Normaliza texto de cabeçalho para comparação
+ */
+const normalizeHeader = (value) => {
+    return String(value || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .trim();
+};
+
+/**
+ * Detecta o delimitador pelas primeiras linhas do arquivo
+ * (usa o maior número de ocorrências, já que títulos antes do cabeçalho têm poucas)
+ */
+const detectDelimiter = (content) => {
+    const lines = content.split(/\r?\n/).filter(line => line.trim() !== '').slice(0, 10);
+    const candidates = [';', ',', '\t'];
+    return candidates
+        .map(d => ({ d, count: Math.max(0, ...lines.map(line => line.split(d).length)) }))
+        .sort((a, b) => b.count - a.count)[0].d;
+};
+
+/**
+ * Converte o conteúdo CSV em matriz de células (respeita aspas)
+ */
+const parseCSV = (content, delimiter = 'auto') => {
+    const text = content.replace(/^\uFEFF/, '');
+    const sep = delimiter === 'auto' ? detectDelimiter(text) : delimiter;
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inQuotes = true;
+        } else if (char === sep) {
+            row.push(cell.trim());
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell.trim());
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell.trim());
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(c => c !== ''));
+};
+
+/**
+ * Converte valor monetário conforme o separador decimal do arquivo
+ * Aceita "R$", espaços, parênteses para negativos e sinal no final (ex: 10,00-)
+ */
+const parseLocaleAmount = (value, decimalSeparator = ',') => {
+    if (value === null || value === undefined) return NaN;
+    let normalized = String(value).replace(/R\$|\s/g, '');
+    if (normalized === '') return NaN;
+
+    let negative = false;
+    if (/^\(.*\)$/.test(normalized)) {
+        negative = true;
+        normalized = normalized.slice(1, -1);
+    }
+    if (normalized.endsWith('-')) {
+        negative = true;
+        normalized = normalized.slice(0, -1);
+    }
+
+    if (decimalSeparator === ',') {
+        normalized = normalized.replace(/\./g, '').replace(',', '.');
+    } else {
+        normalized = normalized.replace(/,/g, '');
+    }
+
+    const number = parseFloat(normalized);
+    return negative ? -Math.abs(number) : number;
+};
+
+/**
+ * Converte data conforme o formato configurado para YYYY-MM-DD
+ */
+const parseLocaleDate = (value, dateFormat = 'DD/MM/YYYY') => {
+    if (!value) return null;
+    const parsed = moment(String(value).trim(), dateFormat, true);
+    return parsed.isValid() ? parsed.format('YYYY-MM-DD') : null;
+};
+
+/**
+ * Resolve o índice de uma coluna do mapeamento
+ */
+const resolveColumn = (spec, header) => {
+    if (spec === undefined || spec === null || spec === '') return -1;
+    if (typeof spec === 'number') return spec;
+
+    const names = (Array.isArray(spec) ? spec : [spec]).map(normalizeHeader);
+    if (!header) return -1;
+
+    // Respeita a ordem de preferência dos nomes alternativos
+    const normalizedHeader = header.map(normalizeHeader);
+    for (const name of names) {
+        const index = normalizedHeader.indexOf(name);
+        if (index !== -1) return index;
+    }
+    return -1;
+};
+
+/**
+ * Aplica o mapeamento ao CSV e devolve linhas normalizadas
+ * @returns {object[]} [{ line, date, amount (com sinal), description, externalId, category, installment, error }]
+ */
+const mapCSV = (content, mapping) => {
+    if (!content || typeof content !== 'string') {
+        throw new AppError('Arquivo CSV vazio', 400, 'INVALID_CSV');
+    }
+
+    const {
+        delimiter = 'auto',
+        dateFormat = 'DD/MM/YYYY',
+        decimalSeparator = ',',
+        signConvention = 'NEGATIVE_IS_EXPENSE',
+        hasHeader = true,
+        columns = {},
+        typeValues = {}
+    } = mapping;
+
+    const matrix = parseCSV(content, delimiter);
+    if (matrix.length === 0) {
+        throw new AppError('Arquivo CSV vazio', 400, 'INVALID_CSV');
+    }
+
+    // Alguns bancos colocam linhas de título antes do cabeçalho: procurar a linha
+    // que contém a coluna de data
+    let headerIndex = -1;
+    let header = null;
+    if (hasHeader) {
+        headerIndex = matrix.findIndex(row => resolveColumn(columns.date, row) !== -1);
+        if (headerIndex === -1) {
+            throw new AppError(
+                'Cabeçalho do CSV não corresponde ao mapeamento de colunas',
+                400,
+                'CSV_MAPPING_MISMATCH'
+            );
+        }
+        header = matrix[headerIndex];
+    }
+
+    const idx = {
+        date: resolveColumn(columns.date, header),
+        description: resolveColumn(columns.description, header),
+        amount: resolveColumn(columns.amount, header),
+        debit: resolveColumn(columns.debit, header),
+        credit: resolveColumn(columns.credit, header),
+        type: resolveColumn(columns.type, header),
+        externalId: resolveColumn(columns.externalId, header),
+        category: resolveColumn(columns.category, header),
+        installment: resolveColumn(columns.installment, header)
+    };
+
+    if (idx.date === -1 || idx.description === -1 || (idx.amount === -1 && idx.debit === -1 && idx.credit === -1)) {
+        throw new AppError(
+            'Mapeamento precisa das colunas de data, descrição e valor (ou débito/crédito)',
+            400,
+            'CSV_MAPPING_INCOMPLETE'
+        );
+    }
+
+    const expenseValues = (typeValues.expense || ['D', 'DEBITO', 'SAIDA']).map(normalizeHeader);
+
+    return matrix.slice(headerIndex + 1).map((cells, i) => {
+        const line = headerIndex + i + 2;
+        const cell = (index) => (index >= 0 ? cells[index] : undefined);
+
+        let amount;
+        if (idx.amount !== -1) {
+            amount = parseLocaleAmount(cell(idx.amount), decimalSeparator);
+
+            if (signConvention === 'POSITIVE_IS_EXPENSE') {
+                amount = -amount;
+            } else if (signConvention === 'TYPE_COLUMN') {
+                const isExpense = expenseValues.includes(normalizeHeader(cell(idx.type)));
+                amount = isExpense ? -Math.abs(amount) : Math.abs(amount);
+            }
+        } else {
+            const debit = Math.abs(parseLocaleAmount(cell(idx.debit), decimalSeparator)) || 0;
+            const credit = Math.abs(parseLocaleAmount(cell(idx.credit), decimalSeparator)) || 0;
+            amount = credit - debit;
+        }
+
+        const date = parseLocaleDate(cell(idx.date), dateFormat);
+
+        let error = null;
+        if (!date) error = `Data inválida (esperado ${dateFormat})`;
+        else if (isNaN(amount) || amount === 0) error = 'Valor inválido';
+
+        return {
+            line,
+            date,
+            amount,
+            description: cell(idx.description) || 'Sem descrição',
+            externalId: cell(idx.externalId) || null,
+            category: cell(idx.category) || null,
+            installment: cell(idx.installment) || null,
+            error
+        };
+    });
+};
+
+module.exports = {
+    parseCSV,
+    mapCSV,
+    parseLocaleAmount,
+    parseLocaleDate
+};
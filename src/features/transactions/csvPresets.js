@@ -0,0 +1,120 @@
+/**
+ * Presets de CSV dos principais bancos
+ * ========================================
+ * Mapeamentos prontos para os extratos exportados pelos apps dos bancos.
+ * O usuário pode sobrescrever qualquer campo ao salvar seu próprio mapeamento.
+ */
+
+const CSV_PRESETS = {
+    NUBANK: {
+        name: 'Nubank - Conta',
+        target: 'ACCOUNT',
+        delimiter: ',',
+        dateFormat: 'DD/MM/YYYY',
+        decimalSeparator: '.',
+        signConvention: 'NEGATIVE_IS_EXPENSE',
+        columns: {
+            date: 'Data',
+            amount: 'Valor',
+            externalId: 'Identificador',
+            description: ['Descrição', 'Descricao']
+        }
+    },
+    INTER: {
+        name: 'Banco Inter - Conta',
+        target: 'ACCOUNT',
+        delimiter: ';',
+        dateFormat: 'DD/MM/YYYY',
+        decimalSeparator: ',',
+        signConvention: 'NEGATIVE_IS_EXPENSE',
+        columns: {
+            date: ['Data Lançamento', 'Data'],
+            description: ['Descrição', 'Histórico'],
+            amount: 'Valor'
+        }
+    },
+    ITAU: {
+        name: 'Itaú - Conta',
+        target: 'ACCOUNT',
+        delimiter: ';',
+        dateFormat: 'DD/MM/YYYY',
+        decimalSeparator: ',',
+        signConvention: 'NEGATIVE_IS_EXPENSE',
+        columns: {
+            date: 'Data',
+            description: ['Lançamento', 'Descrição'],
+            amount: ['Valor (R$)', 'Valor']
+        }
+    },
+    C6: {
+        name: 'C6 Bank - Conta',
+        target: 'ACCOUNT',
+        delimiter: 'auto',
+        dateFormat: 'DD/MM/YYYY',
+        decimalSeparator: '.',
+        signConvention: 'NEGATIVE_IS_EXPENSE',
+        columns: {
+            date: 'Data Lançamento',
+            description: ['Descrição', 'Título'],
+            credit: 'Entrada(R$)',
+            debit: 'Saída(R$)'
+        }
+    },
+    NUBANK_CARTAO: {
+        name: 'Nubank - Cartão de Crédito',
+        target: 'CARD',
+        delimiter: ',',
+        dateFormat: 'YYYY-MM-DD',
+        decimalSeparator: '.',
+        signConvention: 'POSITIVE_IS_EXPENSE',
+        columns: {
+            date: 'date',
+            description: 'title',
+            category: 'category',
+            amount: 'amount'
+        }
+    },
+    INTER_CARTAO: {
+        name: 'Banco Inter - Cartão de Crédito',
+        target: 'CARD',
+        delimiter: ';',
+        dateFormat: 'DD/MM/YYYY',
+        decimalSeparator: ',',
+        signConvention: 'POSITIVE_IS_EXPENSE',
+        columns: {
+            date: 'Data',
+            description: 'Lançamento',
+            category: 'Categoria',
+            amount: 'Valor'
+        }
+    },
+    C6_CARTAO: {
+        name: 'C6 Bank - Cartão de Crédito',
+        target: 'CARD',
+        delimiter: ';',
+        dateFormat: 'DD/MM/YYYY',
+        decimalSeparator: '.',
+        signConvention: 'POSITIVE_IS_EXPENSE',
+        columns: {
+            date: 'Data de Compra',
+            description: 'Descrição',
+            category: 'Categoria',
+            installment: 'Parcela',
+            amount: 'Valor (em R$)'
+        }
+    }
+};
+
+/**
+ * Lista presets (opcionalmente filtrando pelo destino ACCOUNT/CARD)
+ */
+const listPresets = (target = null) => {
+    return Object.entries(CSV_PRESETS)
+        .filter(([, preset]) => !target || preset.target === target)
+        .map(([key, preset]) => ({ key, ...preset }));
+};
+
+module.exports = {
+    CSV_PRESETS,
+    listPresets
+};
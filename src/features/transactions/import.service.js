@@ -0,0 +1,682 @@
+/**
+ * Transactions Import Service
+ * ========================================
+ * IMPORTAÇÃO DE EXTRATOS BANCÁRIOS
+ * ========================================
+ *
+ * - Lê extratos reais (OFX/CSV) e cria ManualTransaction na conta escolhida
+ * - CSV com mapeamento de colunas (presets dos bancos ou salvo por conta)
+ * - Deduplicação por ID externo (FITID) e por impressão digital
+ *   (data + tipo + valor + descrição normalizada)
+ * - Fluxo em duas etapas: preview (dry-run) e commit
+ * ✅ PROFILE ISOLATION: a conta precisa pertencer ao perfil ativo
+ */
+
+const {
+    ManualTransaction,
+    BankAccount,
+    Category,
+    ImportMapping,
+    AuditLog,
+    sequelize
+} = require('../../models');
+const { AppError } = require('../../middlewares/errorHandler');
+const { Op } = require('sequelize');
+const { isValidDate, isValidAmount } = require('../../utils/validators');
+const bankAccountsService = require('../bankAccounts/bankAccounts.service');
+const categorizationRulesService = require('../categorizationRules/categorizationRules.service');
+const merchantsService = require('../merchants/merchants.service');
+const categoryLimitsService = require('../budgets/categoryLimits.service');
+const { parseOFX } = require('./ofx.parser');
+const { mapCSV } = require('./csv.parser');
+const { CSV_PRESETS, listPresets } = require('./csvPresets');
+
+// ===========================================
+// HELPERS
+// ===========================================
+
+/**
+ * Normaliza descrição para comparação (sem acentos, caixa, pontuação)
+ */
+const normalizeDescription = (description) => {
+    return String(description || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+};
+
+/**
+ * Impressão digital de um lançamento (usada quando não há ID externo)
+ */
+const buildFingerprint = ({ date, type, amount, description }) => {
+    return [
+        date,
+        type,
+        Math.abs(parseFloat(amount)).toFixed(2),
+        normalizeDescription(description)
+    ].join('|');
+};
+
+/**
+ * Infere o método de pagamento a partir do tipo OFX e da descrição
+ */
+const inferSource = (trnType, description) => {
+    const desc = normalizeDescription(description);
+    if (/\bpix\b/.test(desc)) return 'PIX';
+    if (/\b(boleto|pagto titulo|pag titulo)\b/.test(desc)) return 'BOLETO';
+    if (/\b(salario|folha pgto)\b/.test(desc)) return 'SALARY';
+    if (trnType === 'ATM' || trnType === 'CASH') return 'CASH';
+    if (trnType === 'XFER' || /\b(ted|doc)\b/.test(desc)) return 'WIRE_TRANSFER';
+    return 'OTHER';
+};
+
+/**
+ * Monta uma linha de importação a partir de um valor com sinal
+ * Aplica as mesmas validações de POST /transactions/manual
+ * (data YYYY-MM-DD, valor >= 0.01, descrição obrigatória)
+ */
+const toImportRow = ({ line, externalId, date, amount, description, source, category, error }) => {
+    const row = {
+        line,
+        externalId: externalId || null,
+        date,
+        type: amount < 0 ? 'EXPENSE' : 'INCOME',
+        amount: Math.round(Math.abs(amount) * 100) / 100,
+        description: String(description || '').trim(),
+        source: source || inferSource(null, description),
+        category: category || null,
+        categoryId: null,
+        status: null,
+        reason: null
+    };
+
+    if (error) {
+        row.status = 'INVALID';
+        row.reason = error;
+    } else if (!date || !isValidDate(date)) {
+        row.status = 'INVALID';
+        row.reason = 'Data inválida';
+    } else if (!isValidAmount(row.amount) || row.amount < 0.01) {
+        row.status = 'INVALID';
+        row.reason = 'Valor inválido';
+    } else if (!row.description) {
+        row.status = 'INVALID';
+        row.reason = 'Descrição é obrigatória';
+    }
+
+    return row;
+};
+
+/**
+ * Resolve nomes de categoria vindos do arquivo para categorias do usuário/sistema
+ */
+const resolveCategories = async (userId, profileId, rows) => {
+    const named = rows.filter(r => r.category && r.status !== 'INVALID');
+    if (named.length === 0) return rows;
+
+    const userWhere = { userId };
+    if (profileId) userWhere.profileId = profileId;
+
+    const categories = await Category.findAll({
+        where: {
+            [Op.or]: [
+                userWhere,
+                { userId: null, isDefault: true }
+            ]
+        },
+        attributes: ['id', 'name', 'type', 'userId']
+    });
+
+    for (const row of named) {
+        const name = normalizeDescription(row.category);
+        const candidates = categories.filter(c =>
+            normalizeDescription(c.name) === name && (c.type === row.type || c.type === 'BOTH')
+        );
+        // Categoria do usuário tem prioridade sobre a do sistema
+        const match = candidates.find(c => c.userId) || candidates[0];
+        if (match) row.categoryId = match.id;
+    }
+
+    return rows;
+};
+
+/**
+ * Aplica as regras de categorização do perfil às linhas válidas
+ * (a categoria vinda do arquivo prevalece sobre a da regra)
+ */
+const applyCategorizationRules = async (userId, profileId, rows, context = {}) => {
+    const rules = await categorizationRulesService.loadRules(userId, profileId);
+    if (rules.length === 0) return rows;
+
+    for (const row of rows) {
+        if (row.status === 'INVALID') continue;
+
+        const result = categorizationRulesService.evaluateRules(rules, {
+            description: row.description,
+            amount: row.amount,
+            type: row.type,
+            source: context.source || row.source,
+            bankAccountId: context.bankAccountId,
+            cardId: context.cardId
+        });
+        if (!result) continue;
+
+        if (result.categoryId && !row.categoryId) {
+            row.categoryId = result.categoryId;
+            row.category = result.categoryName;
+        } else {
+            result.categoryId = null;
+            result.categoryName = null;
+        }
+        row.tags = result.tags;
+        row.ruleResult = result;
+        row.appliedRules = result.rules.map(r => r.ruleName);
+    }
+
+    return rows;
+};
+
+/**
+ * Regras do perfil e, em seguida, reconhecimento de estabelecimento
+ * (a categoria padrão do estabelecimento só entra em linhas ainda sem categoria)
+ */
+const applyAutomations = async (userId, profileId, rows, context = {}) => {
+    await applyCategorizationRules(userId, profileId, rows, context);
+    await merchantsService.applyToRows(userId, profileId, rows);
+    return rows;
+};
+
+/**
+ * Busca a conta de destino garantindo isolamento por perfil
+ */
+const findTargetAccount = async (userId, profileId, bankAccountId) => {
+    if (!bankAccountId) {
+        throw new AppError('Conta bancária é obrigatória para importação', 400, 'BANK_ACCOUNT_REQUIRED');
+    }
+
+    const where = { id: bankAccountId, userId, isActive: true };
+    if (profileId) where.profileId = profileId; // ✅ PROFILE ISOLATION
+
+    const account = await BankAccount.findOne({ where });
+    if (!account) {
+        throw new AppError('Conta bancária não encontrada', 404, 'ACCOUNT_NOT_FOUND');
+    }
+
+    return account;
+};
+
+/**
+ * Classifica as linhas candidatas em NEW / DUPLICATE / SKIPPED
+ * Linhas já marcadas como INVALID são mantidas.
+ *
+ * @param {object} account - Conta de destino
+ * @param {object[]} rows - Linhas normalizadas ({ externalId, date, type, amount, description })
+ * @param {string[]} skip - IDs externos ou números de linha que o usuário descartou no preview
+ */
+const classifyRows = async (account, rows, skip = []) => {
+    const skipSet = new Set((Array.isArray(skip) ? skip : []).map(String));
+    const validRows = rows.filter(r => r.status !== 'INVALID');
+
+    if (validRows.length === 0) return rows;
+
+    const dates = validRows.map(r => r.date).sort();
+    const existing = await ManualTransaction.findAll({
+        where: {
+            bankAccountId: account.id,
+            date: { [Op.between]: [dates[0], dates[dates.length - 1]] }
+        },
+        attributes: ['id', 'externalId', 'date', 'type', 'amount', 'description']
+    });
+
+    const existingExternalIds = new Set(existing.map(t => t.externalId).filter(Boolean));
+
+    // Multiconjunto: duas compras idênticas no mesmo dia só cobrem duas linhas do arquivo
+    const fingerprintCounts = {};
+    for (const tx of existing) {
+        const key = buildFingerprint(tx);
+        fingerprintCounts[key] = (fingerprintCounts[key] || 0) + 1;
+    }
+
+    const seenExternalIds = new Set();
+
+    for (const row of validRows) {
+        if (skipSet.has(String(row.line)) || (row.externalId && skipSet.has(row.externalId))) {
+            row.status = 'SKIPPED';
+            row.reason = 'Descartada pelo usuário';
+            continue;
+        }
+
+        if (row.externalId) {
+            if (existingExternalIds.has(row.externalId)) {
+                row.status = 'DUPLICATE';
+                row.reason = 'ID externo já importado';
+                continue;
+            }
+            if (seenExternalIds.has(row.externalId)) {
+                row.status = 'DUPLICATE';
+                row.reason = 'ID externo repetido no arquivo';
+                continue;
+            }
+            seenExternalIds.add(row.externalId);
+        }
+
+        const fingerprint = buildFingerprint(row);
+        if (fingerprintCounts[fingerprint] > 0) {
+            fingerprintCounts[fingerprint] -= 1;
+            row.status = 'DUPLICATE';
+            row.reason = 'Lançamento com mesma data, valor e descrição já existe';
+            continue;
+        }
+
+        row.status = 'NEW';
+    }
+
+    return rows;
+};
+
+/**
+ * Monta o relatório de importação (preview ou resultado)
+ */
+const buildReport = (account, rows, extra = {}) => {
+    const count = (status) => rows.filter(r => r.status === status).length;
+    const pending = rows.filter(r => r.status === 'NEW' || r.status === 'IMPORTED');
+
+    return {
+        ...extra,
+        account: {
+            id: account.id,
+            bankName: account.bankName,
+            nickname: account.nickname
+        },
+        summary: {
+            total: rows.length,
+            toImport: count('NEW'),
+            imported: count('IMPORTED'),
+            duplicates: count('DUPLICATE'),
+            skipped: count('SKIPPED'),
+            invalid: count('INVALID'),
+            totalIncome: pending
+                .filter(r => r.type === 'INCOME')
+                .reduce((sum, r) => sum + r.amount, 0),
+            totalExpense: pending
+                .filter(r => r.type === 'EXPENSE')
+                .reduce((sum, r) => sum + r.amount, 0)
+        },
+        items: rows.map(({ ruleResult, ...item }) => item)
+    };
+};
+
+/**
+ * Grava as linhas NEW como ManualTransaction e ajusta o saldo da conta
+ * Tudo dentro de uma transação ACID.
+ */
+const commitRows = async (userId, account, rows, details = {}) => {
+    const newRows = rows.filter(r => r.status === 'NEW');
+    if (newRows.length === 0) return rows;
+
+    const t = await sequelize.transaction();
+
+    try {
+        for (const row of newRows) {
+            const transaction = await ManualTransaction.create({
+                userId,
+                profileId: account.profileId,
+                bankAccountId: account.id,
+                type: row.type,
+                source: row.source || 'OTHER',
+                description: row.description.substring(0, 500),
+                amount: row.amount,
+                currency: account.currency,
+                date: row.date,
+                status: 'COMPLETED',
+                categoryId: row.categoryId || null,
+                externalId: row.externalId || null
+            }, { transaction: t });
+
+            await categorizationRulesService.recordApplication(
+                userId, 'MANUAL', transaction.id, row.ruleResult, { trigger: 'IMPORT', transaction: t }
+            );
+            await merchantsService.assignMerchant(userId, 'MANUAL', transaction.id, row.merchantId, { transaction: t });
+
+            // Uma movimentação por linha: o diagnóstico de saldo rastreia cada transação
+            await bankAccountsService.updateBalance(
+                account.id,
+                row.type === 'INCOME' ? row.amount : -row.amount,
+                t,
+                { transactionId: transaction.id, reason: 'IMPORT' }
+            );
+
+            row.status = 'IMPORTED';
+            row.transactionId = transaction.id;
+        }
+
+        await t.commit();
+    } catch (error) {
+        await t.rollback();
+        console.error('❌ [IMPORT] Error:', error);
+        throw error;
+    }
+
+    await AuditLog.log({
+        userId,
+        action: AuditLog.ACTIONS.DATA_IMPORT,
+        resource: 'MANUAL_TRANSACTION',
+        details: {
+            ...details,
+            bankAccountId: account.id,
+            profileId: account.profileId,
+            count: newRows.length
+        }
+    });
+
+    // Limite mensal da categoria (alertas 50/80/100%)
+    await categoryLimitsService.checkTransactions(userId, account.profileId, newRows.map(row => ({
+        type: row.type,
+        categoryId: row.categoryId,
+        date: row.date,
+        transactionId: row.transactionId,
+        transactionType: 'MANUAL'
+    })));
+
+    return rows;
+};
+
+// ===========================================
+// OFX
+// ===========================================
+
+/**
+ * Importa um extrato OFX para uma conta bancária
+ * ✅ PROFILE ISOLATION: conta validada contra profileId
+ *
+ * @param {string} userId
+ * @param {string} profileId
+ * @param {object} data
+ * @param {string} data.content - Conteúdo do arquivo OFX
+ * @param {string} data.bankAccountId - Conta de destino
+ * @param {string[]} data.skip - FITIDs ou linhas descartadas no preview
+ * @param {object} options
+ * @param {boolean} options.dryRun - Apenas simula (preview)
+ */
+const importOFX = async (userId, profileId, data, options = {}) => {
+    const { content, bankAccountId, skip = [] } = data;
+    const { dryRun = false } = options;
+
+    const account = await findTargetAccount(userId, profileId, bankAccountId);
+    const parsed = parseOFX(content);
+
+    if (parsed.account.type === 'CREDIT_CARD') {
+        throw new AppError(
+            'Este arquivo é uma fatura de cartão. Importe-o pelo cartão de crédito.',
+            400,
+            'OFX_IS_CREDIT_CARD'
+        );
+    }
+
+    const rows = parsed.transactions.map(tx => toImportRow({
+        line: tx.line,
+        externalId: tx.fitId,
+        date: tx.date,
+        amount: tx.amount,
+        description: tx.description,
+        source: inferSource(tx.trnType, tx.description)
+    }));
+
+    await applyAutomations(userId, account.profileId, rows, { bankAccountId: account.id });
+    await classifyRows(account, rows, skip);
+
+    if (!dryRun) {
+        await commitRows(userId, account, rows, { format: 'OFX', statement: parsed.statement });
+    }
+
+    console.log(`📥 [IMPORT OFX] ${dryRun ? 'Preview' : 'Commit'} for account ${account.id}: ${rows.length} rows`);
+
+    return buildReport(account, rows, {
+        dryRun,
+        format: 'OFX',
+        statement: {
+            ...parsed.statement,
+            currency: parsed.account.currency
+        }
+    });
+};
+
+// ===========================================
+// CSV
+// ===========================================
+
+/**
+ * Resolve o mapeamento a usar, em ordem de prioridade:
+ * 1. mapeamento informado na requisição (sobre o preset, se houver)
+ * 2. mapeamento salvo (mappingId)
+ * 3. preset do banco
+ * 4. mapeamento padrão salvo para a conta (quando houver conta)
+ */
+const resolveMapping = async (userId, profileId, account, data) => {
+    const { mapping, mappingId, preset } = data;
+
+    if (preset && !CSV_PRESETS[preset]) {
+        throw new AppError(`Preset desconhecido: ${preset}`, 400, 'UNKNOWN_PRESET');
+    }
+    const base = preset ? CSV_PRESETS[preset] : {};
+
+    if (mapping) {
+        return {
+            ...base,
+            ...mapping,
+            columns: { ...(base.columns || {}), ...(mapping.columns || {}) }
+        };
+    }
+
+    if (mappingId) {
+        const where = { id: mappingId, userId };
+        if (profileId) where.profileId = profileId; // ✅ PROFILE ISOLATION
+
+        const saved = await ImportMapping.findOne({ where });
+        if (!saved) {
+            throw new AppError('Mapeamento não encontrado', 404, 'MAPPING_NOT_FOUND');
+        }
+        return saved.config;
+    }
+
+    if (preset) return base;
+
+    const accountDefault = account
+        ? await ImportMapping.findOne({
+            where: { userId, bankAccountId: account.id },
+            order: [['isDefault', 'DESC'], ['updatedAt', 'DESC']]
+        })
+        : null;
+
+    if (!accountDefault) {
+        throw new AppError(
+            'Informe um preset, um mapeamento salvo ou o mapeamento de colunas',
+            400,
+            'CSV_MAPPING_REQUIRED'
+        );
+    }
+
+    return accountDefault.config;
+};
+
+/**
+ * Importa um extrato CSV para uma conta bancária
+ * ✅ PROFILE ISOLATION: conta validada contra profileId
+ *
+ * @param {string} userId
+ * @param {string} profileId
+ * @param {object} data
+ * @param {string} data.content - Conteúdo do arquivo CSV
+ * @param {string} data.bankAccountId - Conta de destino
+ * @param {string} data.preset - Preset de banco (NUBANK, INTER, ITAU, C6)
+ * @param {string} data.mappingId - Mapeamento salvo
+ * @param {object} data.mapping - Mapeamento ad-hoc (sobrescreve o preset)
+ * @param {string} data.saveMappingAs - Salva o mapeamento usado com este nome
+ * @param {string[]} data.skip - IDs externos ou linhas descartadas no preview
+ * @param {object} options
+ * @param {boolean} options.dryRun - Apenas simula (preview)
+ */
+const importCSV = async (userId, profileId, data, options = {}) => {
+    const { content, bankAccountId, skip = [], saveMappingAs } = data;
+    const { dryRun = false } = options;
+
+    const account = await findTargetAccount(userId, profileId, bankAccountId);
+    const mapping = await resolveMapping(userId, profileId, account, data);
+
+    const rows = mapCSV(content, mapping).map(toImportRow);
+
+    await resolveCategories(userId, profileId, rows);
+    await applyAutomations(userId, account.profileId, rows, { bankAccountId: account.id });
+    await classifyRows(account, rows, skip);
+
+    let savedMapping = null;
+    if (!dryRun) {
+        await commitRows(userId, account, rows, { format: 'CSV', preset: data.preset || null });
+
+        if (saveMappingAs) {
+            savedMapping = await saveMapping(userId, profileId, {
+                bankAccountId: account.id,
+                name: saveMappingAs,
+                preset: data.preset || null,
+                config: mapping,
+                isDefault: true
+            });
+        }
+    }
+
+    console.log(`📥 [IMPORT CSV] ${dryRun ? 'Preview' : 'Commit'} for account ${account.id}: ${rows.length} rows`);
+
+    return buildReport(account, rows, {
+        dryRun,
+        format: 'CSV',
+        mapping,
+        savedMappingId: savedMapping ? savedMapping.id : null
+    });
+};
+
+// ===========================================
+// MAPEAMENTOS SALVOS
+// ===========================================
+
+/**
+ * Lista os presets de banco disponíveis
+ */
+const getPresets = () => listPresets('ACCOUNT');
+
+/**
+ * Lista mapeamentos salvos do usuário
+ * ✅ PROFILE ISOLATION
+ */
+const listMappings = async (userId, profileId, filters = {}) => {
+    const where = { userId };
+    if (profileId) where.profileId = profileId; // ✅ PROFILE ISOLATION
+    if (filters.bankAccountId) where.bankAccountId = filters.bankAccountId;
+
+    return ImportMapping.findAll({
+        where,
+        order: [['isDefault', 'DESC'], ['name', 'ASC']]
+    });
+};
+
+/**
+ * Salva (cria) um mapeamento para uma conta
+ * Se isDefault, desmarca os demais mapeamentos da mesma conta
+ */
+const saveMapping = async (userId, profileId, data) => {
+    const { bankAccountId, name, preset, config, isDefault } = data;
+
+    if (preset && !CSV_PRESETS[preset]) {
+        throw new AppError(`Preset desconhecido: ${preset}`, 400, 'UNKNOWN_PRESET');
+    }
+
+    if (bankAccountId) {
+        await findTargetAccount(userId, profileId, bankAccountId);
+    }
+
+    const finalConfig = config || (preset ? CSV_PRESETS[preset] : null);
+    if (!finalConfig || !finalConfig.columns) {
+        throw new AppError('Configuração de colunas é obrigatória', 400, 'CSV_MAPPING_REQUIRED');
+    }
+
+    if (isDefault && bankAccountId) {
+        await ImportMapping.update(
+            { isDefault: false },
+            { where: { userId, bankAccountId } }
+        );
+    }
+
+    return ImportMapping.create({
+        userId,
+        profileId,
+        bankAccountId: bankAccountId || null,
+        name,
+        preset: preset || null,
+        config: finalConfig,
+        isDefault: !!isDefault
+    });
+};
+
+/**
+ * Atualiza um mapeamento salvo
+ * ✅ PROFILE ISOLATION
+ */
+const updateMapping = async (userId, profileId, mappingId, data) => {
+    const where = { id: mappingId, userId };
+    if (profileId) where.profileId = profileId; // ✅ PROFILE ISOLATION
+
+    const mapping = await ImportMapping.findOne({ where });
+    if (!mapping) {
+        throw new AppError('Mapeamento não encontrado', 404, 'MAPPING_NOT_FOUND');
+    }
+
+    if (data.name !== undefined) mapping.name = data.name;
+    if (data.config !== undefined) mapping.config = data.config;
+
+    if (data.isDefault === true && mapping.bankAccountId) {
+        await ImportMapping.update(
+            { isDefault: false },
+            { where: { userId, bankAccountId: mapping.bankAccountId } }
+        );
+        mapping.isDefault = true;
+    } else if (data.isDefault === false) {
+        mapping.isDefault = false;
+    }
+
+    await mapping.save();
+    return mapping;
+};
+
+/**
+ * Exclui um mapeamento salvo
+ * ✅ PROFILE ISOLATION
+ */
+const deleteMapping = async (userId, profileId, mappingId) => {
+    const where = { id: mappingId, userId };
+    if (profileId) where.profileId = profileId; // ✅ PROFILE ISOLATION
+
+    const deleted = await ImportMapping.destroy({ where });
+    if (!deleted) {
+        throw new AppError('Mapeamento não encontrado', 404, 'MAPPING_NOT_FOUND');
+    }
+
+    return { message: 'Mapeamento excluído' };
+};
+
+module.exports = {
+    importOFX,
+    importCSV,
+    getPresets,
+    listMappings,
+    saveMapping,
+    updateMapping,
+    deleteMapping,
+    // Helpers compartilhados com a importação de faturas de cartão
+    normalizeDescription,
+    buildFingerprint,
+    toImportRow,
+    resolveMapping,
+    applyCategorizationRules,
+    applyAutomations
+};
@@ -0,0 +1,137 @@
+/**
+ * OFX Parser
+ * ========================================
+ * Leitura de extratos OFX exportados pelos bancos
+ * ========================================
+ *
+ * Suporta:
+ * - OFX 1.x (SGML, tags sem fechamento - padrão dos bancos brasileiros)
+ * - OFX 2.x (XML)
+ * - Extratos de conta (BANKMSGSRSV1) e de cartão (CREDITCARDMSGSRSV1)
+ */
+
+const { AppError } = require('../../middlewares/errorHandler');
+
+/**
+ * Lê o valor de uma tag simples (ex: <TRNAMT>-10.50)
+ * Funciona tanto para SGML quanto para XML
+ */
+const readTag = (block, tag) => {
+    const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+    if (!match) return null;
+    const value = match[1]
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&')
+        .trim();
+    return value === '' ? null : value;
+};
+
+/**
+ * Extrai blocos de uma tag agregadora (ex: <STMTTRN>...</STMTTRN>)
+ */
+const readBlocks = (content, tag) => {
+    const regex = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'gi');
+    const blocks = [];
+    let match;
+    while ((match = regex.exec(content)) !== null) {
+        blocks.push(match[1]);
+    }
+    return blocks;
+};
+
+/**
+ * Converte data OFX (YYYYMMDD[HHMMSS[.XXX]][TZ]) para YYYY-MM-DD
+ */
+const parseDate = (value) => {
+    if (!value) return null;
+    const match = value.match(/^(\d{4})(\d{2})(\d{2})/);
+    if (!match) return null;
+    return `${match[1]}-${match[2]}-${match[3]}`;
+};
+
+/**
+ * Converte valor OFX para número
+ * Alguns bancos exportam com vírgula decimal (ex: -1.234,56) ou com
+ * separador de milhar (ex: 1,234.56): o último separador é o decimal.
+ * Um único tipo de separador repetido (1.234.567) é separador de milhar.
+ */
+const parseAmount = (value) => {
+    if (value === null || value === undefined) return NaN;
+    let normalized = String(value).trim().replace(/\s/g, '');
+
+    const lastComma = normalized.lastIndexOf(',');
+    const lastDot = normalized.lastIndexOf('.');
+
+    if (lastComma !== -1 && lastDot !== -1) {
+        const decimal = lastComma > lastDot ? ',' : '.';
+        const thousands = decimal === ',' ? '.' : ',';
+        normalized = normalized.split(thousands).join('').replace(decimal, '.');
+    } else {
+        const separator = lastComma !== -1 ? ',' : '.';
+        const count = normalized.split(separator).length - 1;
+        if (count > 1) {
+            normalized = normalized.split(separator).join('');
+        } else if (separator === ',') {
+            normalized = normalized.replace(',', '.');
+        }
+    }
+
+    return parseFloat(normalized);
+};
+
+/**
+ * Faz o parse de um arquivo OFX
+ * @param {string} content - Conteúdo do arquivo
+ * @returns {object} { account, statement, transactions }
+ */
+const parseOFX = (content) => {
+    if (!content || typeof content !== 'string' || !/<OFX>/i.test(content)) {
+        throw new AppError('Arquivo OFX inválido', 400, 'INVALID_OFX');
+    }
+
+    const isCreditCard = /<CCSTMTRS>/i.test(content);
+
+    const account = {
+        type: isCreditCard ? 'CREDIT_CARD' : 'BANK',
+        bankId: readTag(content, 'BANKID'),
+        branchId: readTag(content, 'BRANCHID'),
+        accountId: readTag(content, 'ACCTID'),
+        accountType: readTag(content, 'ACCTTYPE'),
+        currency: readTag(content, 'CURDEF') || 'BRL'
+    };
+
+    const ledgerBlock = readBlocks(content, 'LEDGERBAL')[0];
+    const statement = {
+        startDate: parseDate(readTag(content, 'DTSTART')),
+        endDate: parseDate(readTag(content, 'DTEND')),
+        ledgerBalance: ledgerBlock ? parseAmount(readTag(ledgerBlock, 'BALAMT')) : null,
+        ledgerBalanceDate: ledgerBlock ? parseDate(readTag(ledgerBlock, 'DTASOF')) : null
+    };
+
+    const transactions = readBlocks(content, 'STMTTRN').map((block, index) => {
+        const name = readTag(block, 'NAME');
+        const memo = readTag(block, 'MEMO');
+
+        return {
+            line: index + 1,
+            fitId: readTag(block, 'FITID'),
+            trnType: (readTag(block, 'TRNTYPE') || 'OTHER').toUpperCase(),
+            date: parseDate(readTag(block, 'DTPOSTED')),
+            amount: parseAmount(readTag(block, 'TRNAMT')),
+            checkNum: readTag(block, 'CHECKNUM'),
+            // Bancos brasileiros costumam colocar a descrição útil em MEMO
+            description: memo || name || 'Sem descrição',
+            name,
+            memo
+        };
+    });
+
+    return { account, statement, transactions };
+};
+
+module.exports = {
+    parseOFX,
+    parseDate,
+    parseAmount
+};
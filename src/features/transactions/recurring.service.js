@@ -0,0 +1,533 @@
+/**
+ * Recurring Transactions Service
+ * ========================================
+ * MATERIALIZAÇÃO DE TRANSAÇÕES RECORRENTES
+ * ========================================
+ *
+ * - A transação com isRecurring = true (sem recurringSeriesId) define a série
+ * - As próximas ocorrências são criadas como PENDING dentro de um horizonte
+ *   móvel (RECURRING_HORIZON_DAYS, padrão 90 dias)
+ * - Ocorrências PENDING são lembradas por createPaymentNotifications
+ * - Editar "só esta" ou "esta e as seguintes", pular ocorrência e encerrar série
+ * - Assinaturas têm motor próprio (subscription.service) e ficam de fora
+ * ✅ PROFILE ISOLATION: operações do usuário filtram por profileId
+ */
+
+const moment = require('moment');
+const { ManualTransaction, Notification, AuditLog, sequelize } = require('../../models');
+const { AppError } = require('../../middlewares/errorHandler');
+const { Op } = require('sequelize');
+const { applyConversion } = require('../exchangeRates/exchangeRates.service');
+const bankAccountsService = require('../bankAccounts/bankAccounts.service');
+const { assertNotReconciled } = require('../bankAccounts/reconciliation.service');
+
+const DEFAULT_HORIZON_DAYS = parseInt(process.env.RECURRING_HORIZON_DAYS) || 90;
+// Limite do horizonte pedido pela API (cada série gera uma ocorrência por período)
+const MAX_HORIZON_DAYS = 365;
+
+// Campos da série que podem ser alterados em "esta e as seguintes"
+const SERIES_FIELDS = [
+    'type', 'source', 'description', 'amount', 'categoryId', 'bankAccountId',
+    'recurringFrequency', 'recurringDay'
+];
+
+// Campos copiados da definição da série para cada ocorrência
+const COPIED_FIELDS = [
+    'userId', 'profileId', 'type', 'source', 'description', 'amount',
+    'categoryId', 'bankAccountId', 'currency', 'imageUrl'
+];
+
+const FREQUENCY_UNITS = {
+    DAILY: 'days',
+    WEEKLY: 'weeks',
+    MONTHLY: 'months',
+    YEARLY: 'years'
+};
+
+// ===========================================
+// CÁLCULO DE DATAS
+// ===========================================
+
+/**
+ * Calcula a n-ésima data da série a partir da data base
+ * (mensal/anual respeitam recurringDay e o último dia do mês)
+ */
+const nthOccurrence = (base, frequency, recurringDay, n) => {
+    const unit = FREQUENCY_UNITS[frequency] || 'months';
+    const date = moment(base, 'YYYY-MM-DD').add(n, unit);
+
+    if (unit === 'months' || unit === 'years') {
+        const day = recurringDay || moment(base, 'YYYY-MM-DD').date();
+        date.date(Math.min(day, date.daysInMonth()));
+    }
+
+    return date.format('YYYY-MM-DD');
+};
+
+/**
+ * Lista as datas da série entre from e to (inclusive)
+ * @param {object} series - { date, recurrenceDate, recurringFrequency, recurringDay, recurringEndDate }
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ */
+const computeOccurrenceDates = (series, from, to) => {
+    const base = series.recurrenceDate || series.date;
+    const frequency = series.recurringFrequency || 'MONTHLY';
+    const unit = FREQUENCY_UNITS[frequency] || 'months';
+    const end = series.recurringEndDate && series.recurringEndDate < to ? series.recurringEndDate : to;
+
+    // Começa perto de "from" para não percorrer séries longas desde o início
+    let n = Math.max(0, moment(from, 'YYYY-MM-DD').diff(moment(base, 'YYYY-MM-DD'), unit) - 1);
+
+    const dates = [];
+    for (let date = nthOccurrence(base, frequency, series.recurringDay, n); date <= end; n++, date = nthOccurrence(base, frequency, series.recurringDay, n)) {
+        if (date >= from && date !== base) dates.push(date);
+    }
+
+    return dates;
+};
+
+// ===========================================
+// MATERIALIZAÇÃO
+// ===========================================
+
+/**
+ * Uma transação define uma série materializável?
+ */
+const isSeriesMaster = (transaction) => {
+    return !!transaction &&
+        transaction.isRecurring &&
+        !transaction.recurringSeriesId &&
+        !transaction.subscriptionId &&
+        transaction.source !== 'SUBSCRIPTION';
+};
+
+/**
+ * Cria as ocorrências PENDING que faltam na série até o horizonte
+ * Idempotente: datas já materializadas (em qualquer status) não são recriadas.
+ *
+ * @param {object} master - ManualTransaction que define a série
+ * @param {object} options
+ * @param {number} options.horizonDays - Dias à frente (padrão RECURRING_HORIZON_DAYS)
+ * @returns {Promise<number>} Quantidade de ocorrências criadas
+ */
+const materializeSeries = async (master, options = {}) => {
+    if (!isSeriesMaster(master)) return 0;
+
+    const { horizonDays = DEFAULT_HORIZON_DAYS, transaction } = options;
+    const today = moment().format('YYYY-MM-DD');
+    const horizon = moment().add(horizonDays, 'days').format('YYYY-MM-DD');
+
+    // Fixa a data base da série (editar a data da primeira ocorrência não desloca a série)
+    if (!master.recurrenceDate) {
+        await master.update({ recurrenceDate: master.date }, { transaction });
+    }
+
+    const dates = computeOccurrenceDates(master, today, horizon);
+    if (dates.length === 0) return 0;
+
+    const existing = await ManualTransaction.findAll({
+        where: {
+            recurringSeriesId: master.id,
+            recurrenceDate: { [Op.in]: dates }
+        },
+        attributes: ['recurrenceDate'],
+        paranoid: false, // ocorrência na lixeira também conta como materializada
+        transaction
+    });
+    const existingDates = new Set(existing.map(o => o.recurrenceDate));
+
+    const toCreate = dates
+        .filter(date => !existingDates.has(date))
+        .map(date => {
+            const occurrence = {};
+            COPIED_FIELDS.forEach(field => { occurrence[field] = master[field]; });
+            return {
+                ...occurrence,
+                date,
+                recurrenceDate: date,
+                recurringSeriesId: master.id,
+                status: 'PENDING',
+                isRecurring: false,
+                notificationsCreated: false
+            };
+        });
+
+    if (toCreate.length === 0) return 0;
+
+    // bulkCreate não dispara o beforeSave: converter moeda estrangeira aqui
+    for (const occurrence of toCreate) {
+        await applyConversion(occurrence, { transaction });
+    }
+
+    await ManualTransaction.bulkCreate(toCreate, { ignoreDuplicates: true, transaction });
+
+    return toCreate.length;
+};
+
+/**
+ * Materializa todas as séries ativas (executado pelo cron diário)
+ */
+const materializeAll = async (options = {}) => {
+    const today = moment().format('YYYY-MM-DD');
+
+    const masters = await ManualTransaction.findAll({
+        where: {
+            isRecurring: true,
+            recurringSeriesId: null,
+            subscriptionId: null,
+            source: { [Op.ne]: 'SUBSCRIPTION' },
+            [Op.or]: [
+                { recurringEndDate: null },
+                { recurringEndDate: { [Op.gte]: today } }
+            ]
+        }
+    });
+
+    let created = 0;
+    let failed = 0;
+
+    for (const master of masters) {
+        try {
+            created += await materializeSeries(master, options);
+        } catch (error) {
+            failed++;
+            console.error(`❌ [RECURRING] Series ${master.id}:`, error.message);
+        }
+    }
+
+    return { series: masters.length, created, failed };
+};
+
+/**
+ * Materializa as séries do perfil (sob demanda)
+ * options.horizonDays: de 1 a MAX_HORIZON_DAYS
+ * ✅ PROFILE ISOLATION
+ */
+const materializeForProfile = async (userId, profileId, options = {}) => {
+    if (options.horizonDays !== undefined) {
+        const { horizonDays } = options;
+        if (!Number.isInteger(horizonDays) || horizonDays < 1 || horizonDays > MAX_HORIZON_DAYS) {
+            throw new AppError(`horizonDays deve estar entre 1 e ${MAX_HORIZON_DAYS}`, 400, 'INVALID_HORIZON_DAYS');
+        }
+    }
+
+    const where = { userId, isRecurring: true, recurringSeriesId: null };
+    if (profileId) where.profileId = profileId; // ✅ PROFILE ISOLATION
+
+    const masters = await ManualTransaction.findAll({ where });
+
+    let created = 0;
+    for (const master of masters) {
+        created += await materializeSeries(master, options);
+    }
+
+    return { series: masters.length, created };
+};
+
+// ===========================================
+// GESTÃO DA SÉRIE
+// ===========================================
+
+/**
+ * Busca a transação e a definição da série a que pertence
+ * ✅ PROFILE ISOLATION
+ */
+const findOccurrence = async (userId, profileId, transactionId) => {
+    const where = { id: transactionId, userId };
+    if (profileId) where.profileId = profileId; // ✅ PROFILE ISOLATION
+
+    const occurrence = await ManualTransaction.findOne({ where });
+    if (!occurrence) {
+        throw new AppError('Transação não encontrada', 404, 'TRANSACTION_NOT_FOUND');
+    }
+
+    const master = occurrence.recurringSeriesId
+        ? await ManualTransaction.findByPk(occurrence.recurringSeriesId)
+        : occurrence;
+
+    if (!isSeriesMaster(master)) {
+        throw new AppError('Esta transação não faz parte de uma série recorrente', 400, 'NOT_RECURRING');
+    }
+
+    return { occurrence, master };
+};
+
+/**
+ * Remove lembretes já criados para ocorrências que deixaram de existir
+ */
+const clearNotifications = async (transactionIds, transaction) => {
+    if (transactionIds.length === 0) return;
+
+    await Notification.destroy({
+        where: {
+            relatedTransactionId: { [Op.in]: transactionIds },
+            relatedTransactionType: 'MANUAL'
+        },
+        transaction
+    });
+};
+
+/**
+ * Apaga as ocorrências PENDING geradas após uma data
+ */
+const destroyPendingAfter = async (seriesId, date, transaction) => {
+    const pending = await ManualTransaction.findAll({
+        where: {
+            recurringSeriesId: seriesId,
+            status: 'PENDING',
+            recurrenceDate: { [Op.gt]: date }
+        },
+        attributes: ['id'],
+        transaction
+    });
+
+    const ids = pending.map(o => o.id);
+    await clearNotifications(ids, transaction);
+    if (ids.length > 0) {
+        // Geradas pelo sistema: não passam pela lixeira
+        await ManualTransaction.destroy({ where: { id: ids }, force: true, transaction });
+    }
+
+    return ids.length;
+};
+
+/**
+ * Lista as séries recorrentes do perfil com as próximas ocorrências
+ * ✅ PROFILE ISOLATION
+ */
+const listSeries = async (userId, profileId) => {
+    const where = { userId, isRecurring: true, recurringSeriesId: null };
+    if (profileId) where.profileId = profileId; // ✅ PROFILE ISOLATION
+
+    const masters = await ManualTransaction.findAll({ where, order: [['description', 'ASC']] });
+    const today = moment().format('YYYY-MM-DD');
+
+    const result = [];
+    for (const master of masters) {
+        const upcoming = await ManualTransaction.findAll({
+            where: {
+                recurringSeriesId: master.id,
+                date: { [Op.gte]: today }
+            },
+            order: [['date', 'ASC']],
+            limit: 3,
+            attributes: ['id', 'date', 'amount', 'status', 'recurrenceDate']
+        });
+
+        result.push({
+            id: master.id,
+            description: master.description,
+            type: master.type,
+            amount: parseFloat(master.amount),
+            frequency: master.recurringFrequency || 'MONTHLY',
+            recurringDay: master.recurringDay,
+            startDate: master.recurrenceDate || master.date,
+            endDate: master.recurringEndDate,
+            bankAccountId: master.bankAccountId,
+            categoryId: master.categoryId,
+            managedBySubscription: !isSeriesMaster(master),
+            upcoming: upcoming.map(o => ({
+                id: o.id,
+                date: o.date,
+                amount: parseFloat(o.amount),
+                status: o.status,
+                skipped: o.status === 'CANCELLED'
+            }))
+        });
+    }
+
+    return result;
+};
+
+/**
+ * Efeito da transação no saldo da conta (mesma regra da criação:
+ * só COMPLETED com conta vinculada)
+ */
+const balanceEffect = (row) => {
+    if (!row.bankAccountId || row.status !== 'COMPLETED') return null;
+    const amount = parseFloat(row.amount);
+    return { accountId: row.bankAccountId, amount: row.type === 'INCOME' ? amount : -amount };
+};
+
+/**
+ * Atualiza uma ocorrência da série; se já estiver paga, o saldo é revertido
+ * e reaplicado com os novos valor/tipo/conta (conciliada fica travada)
+ */
+const updateWithBalance = async (row, values, t) => {
+    await assertNotReconciled(row, values, { transaction: t });
+
+    const previous = balanceEffect(row);
+    await row.update(values, { transaction: t });
+    const next = balanceEffect(row);
+
+    if (previous && next && previous.accountId === next.accountId && previous.amount === next.amount) return;
+
+    if (previous) {
+        await bankAccountsService.updateBalance(previous.accountId, -previous.amount, t, {
+            transactionId: row.id,
+            reason: 'TRANSACTION_UPDATE'
+        });
+    }
+    if (next) {
+        await bankAccountsService.updateBalance(next.accountId, next.amount, t, {
+            transactionId: row.id,
+            reason: 'TRANSACTION_UPDATE'
+        });
+    }
+};
+
+/**
+ * Edita "esta e as seguintes"
+ * - Se a ocorrência for a definição da série: atualiza a série
+ * - Senão: encerra a série original na véspera e a ocorrência vira a nova série
+ * As ocorrências PENDING seguintes são recriadas com os novos valores;
+ * a ocorrência editada, se já paga, tem o saldo da conta ajustado.
+ */
+const updateFollowing = async (userId, profileId, transactionId, changes) => {
+    const { occurrence, master } = await findOccurrence(userId, profileId, transactionId);
+    const pivotDate = occurrence.recurrenceDate || occurrence.date;
+
+    const values = {};
+    SERIES_FIELDS.forEach(field => {
+        if (changes[field] !== undefined) values[field] = changes[field];
+    });
+
+    const previousData = { master: master.toJSON(), occurrence: occurrence.toJSON() };
+    let newMaster = master;
+
+    const t = await sequelize.transaction();
+
+    try {
+        if (occurrence.id === master.id) {
+            await updateWithBalance(master, values, t);
+        } else {
+            await updateWithBalance(occurrence, {
+                ...values,
+                isRecurring: true,
+                recurringFrequency: values.recurringFrequency || master.recurringFrequency,
+                recurringDay: values.recurringDay || master.recurringDay,
+                recurringEndDate: master.recurringEndDate,
+                recurringSeriesId: null,
+                recurrenceDate: pivotDate
+            }, t);
+
+            await master.update({
+                recurringEndDate: moment(pivotDate, 'YYYY-MM-DD').subtract(1, 'day').format('YYYY-MM-DD')
+            }, { transaction: t });
+
+            // Ocorrências já pagas ou puladas passam para a nova série
+            await ManualTransaction.update(
+                { recurringSeriesId: occurrence.id },
+                {
+                    where: {
+                        recurringSeriesId: master.id,
+                        recurrenceDate: { [Op.gt]: pivotDate },
+                        status: { [Op.ne]: 'PENDING' }
+                    },
+                    transaction: t
+                }
+            );
+
+            newMaster = occurrence;
+        }
+
+        await destroyPendingAfter(master.id, pivotDate, t);
+
+        await t.commit();
+    } catch (error) {
+        await t.rollback();
+        console.error('❌ [RECURRING] Error:', error);
+        throw error;
+    }
+
+    const created = await materializeSeries(newMaster);
+
+    await AuditLog.log({
+        userId,
+        action: AuditLog.ACTIONS.TRANSACTION_UPDATE,
+        resource: 'MANUAL_TRANSACTION',
+        resourceId: occurrence.id,
+        details: { operation: 'RECURRENCE_UPDATE_FOLLOWING', seriesId: newMaster.id, profileId },
+        previousData,
+        newData: values
+    });
+
+    return { series: newMaster, regenerated: created };
+};
+
+/**
+ * Pula uma ocorrência (fica CANCELLED e não é gerada de novo)
+ */
+const skipOccurrence = async (userId, profileId, transactionId) => {
+    const { occurrence, master } = await findOccurrence(userId, profileId, transactionId);
+
+    if (occurrence.status !== 'PENDING') {
+        throw new AppError('Apenas ocorrências pendentes podem ser puladas', 400, 'OCCURRENCE_NOT_PENDING');
+    }
+
+    await occurrence.update({ status: 'CANCELLED' });
+    await clearNotifications([occurrence.id]);
+
+    await AuditLog.log({
+        userId,
+        action: AuditLog.ACTIONS.TRANSACTION_UPDATE,
+        resource: 'MANUAL_TRANSACTION',
+        resourceId: occurrence.id,
+        details: { operation: 'RECURRENCE_SKIP', seriesId: master.id, date: occurrence.date, profileId }
+    });
+
+    return occurrence;
+};
+
+/**
+ * Encerra a série em uma data (padrão: hoje)
+ * Ocorrências PENDING posteriores são removidas.
+ */
+const endSeries = async (userId, profileId, transactionId, endDate = null) => {
+    const { master } = await findOccurrence(userId, profileId, transactionId);
+    const end = endDate || moment().format('YYYY-MM-DD');
+
+    const t = await sequelize.transaction();
+    let removed = 0;
+
+    try {
+        await master.update({ recurringEndDate: end }, { transaction: t });
+        removed = await destroyPendingAfter(master.id, end, t);
+
+        // A própria definição ainda pendente e posterior ao fim também sai da agenda
+        if (master.status === 'PENDING' && (master.recurrenceDate || master.date) > end) {
+            await master.update({ status: 'CANCELLED' }, { transaction: t });
+            await clearNotifications([master.id], t);
+        }
+
+        await t.commit();
+    } catch (error) {
+        await t.rollback();
+        console.error('❌ [RECURRING] Error:', error);
+        throw error;
+    }
+
+    await AuditLog.log({
+        userId,
+        action: AuditLog.ACTIONS.TRANSACTION_UPDATE,
+        resource: 'MANUAL_TRANSACTION',
+        resourceId: master.id,
+        details: { operation: 'RECURRENCE_END', endDate: end, removedOccurrences: removed, profileId }
+    });
+
+    return { seriesId: master.id, endDate: end, removedOccurrences: removed };
+};
+
+module.exports = {
+    computeOccurrenceDates,
+    isSeriesMaster,
+    materializeSeries,
+    materializeAll,
+    materializeForProfile,
+    listSeries,
+    updateFollowing,
+    skipOccurrence,
+    endSeries,
+    destroyPendingAfter
+};
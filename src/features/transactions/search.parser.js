@@ -0,0 +1,185 @@
+/**
+ * Search Query Parser
+ * ========================================
+ * Linguagem de busca de transações
+ * ========================================
+ *
+ * Exemplo: ifood amount:>50 tag:trabalho category:Alimentação account:Nubank after:2026-01-01 -status:CANCELLED
+ *
+ * - Termos livres (e "frases entre aspas") vão para a busca full-text
+ *   em descrição e observações; "-palavra" exclui o termo
+ * - Filtros chave:valor (valor com espaços entre aspas: category:"Casa e Lar")
+ * - "-chave:valor" nega o filtro
+ *
+ * Filtros aceitos:
+ * - amount: 50 | >50 | >=50 | <50 | <=50 | 10..50   (valor absoluto)
+ * - after / before / on: YYYY-MM-DD ou YYYY-MM (after/before são inclusivos)
+ * - tag, category, account, card: texto
+ * - type: INCOME | EXPENSE | TRANSFER
+ * - source: MANUAL | OPEN_FINANCE | CARD ou origem da manual (PIX, BOLETO...)
+ * - status: PENDING | COMPLETED | PAID | CANCELLED
+ * - is: recurring | split | ignored | important
+ * - has: attachment | notes | tags
+ */
+
+const moment = require('moment');
+
+const KEYS = ['amount', 'after', 'before', 'on', 'tag', 'category', 'account', 'card', 'type', 'source', 'status', 'is', 'has'];
+
+const TYPES = ['INCOME', 'EXPENSE', 'TRANSFER'];
+const SOURCES = ['MANUAL', 'OPEN_FINANCE', 'CARD', 'PIX', 'CASH', 'WIRE_TRANSFER', 'BOLETO', 'SALARY', 'SUBSCRIPTION', 'OTHER'];
+const STATUSES = ['PENDING', 'COMPLETED', 'PAID', 'CANCELLED'];
+const IS_FLAGS = ['recurring', 'split', 'ignored', 'important'];
+const HAS_FLAGS = ['attachment', 'notes', 'tags'];
+
+/**
+ * Quebra a query em tokens respeitando aspas
+ * Ex: 'category:"Casa e Lar" -uber' -> ['category:"Casa e Lar"', '-uber']
+ */
+const tokenize = (query) => {
+    const tokens = [];
+    const regex = /(-?[^\s"]*"[^"]*"?)|(\S+)/g;
+    let match;
+    while ((match = regex.exec(query)) !== null) {
+        tokens.push(match[0]);
+    }
+    return tokens;
+};
+
+const unquote = (value) => value.replace(/^"/, '').replace(/"$/, '');
+
+/**
+ * Converte data (YYYY-MM-DD ou YYYY-MM) em intervalo
+ * @returns {{ start: string, end: string }|null}
+ */
+const parseDateRange = (value) => {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        const day = moment(value, 'YYYY-MM-DD', true);
+        if (!day.isValid()) return null;
+        return { start: value, end: value };
+    }
+    if (/^\d{4}-\d{2}$/.test(value)) {
+        const month = moment(value, 'YYYY-MM', true);
+        if (!month.isValid()) return null;
+        return {
+            start: month.startOf('month').format('YYYY-MM-DD'),
+            end: month.endOf('month').format('YYYY-MM-DD')
+        };
+    }
+    return null;
+};
+
+/**
+ * Interpreta o valor de amount:
+ * @returns {{ op: string, value: number, to?: number }|null}
+ */
+const parseAmount = (value) => {
+    const normalized = value.replace(',', '.');
+
+    const range = normalized.match(/^(\d+(?:\.\d+)?)\.\.(\d+(?:\.\d+)?)$/);
+    if (range) {
+        const from = parseFloat(range[1]);
+        const to = parseFloat(range[2]);
+        if (from > to) return null;
+        return { op: 'between', value: from, to };
+    }
+
+    const comparison = normalized.match(/^(>=|<=|>|<|=)?(\d+(?:\.\d+)?)$/);
+    if (!comparison) return null;
+
+    return { op: comparison[1] || '=', value: parseFloat(comparison[2]) };
+};
+
+/**
+ * Valida e normaliza um filtro
+ * @returns {object|string} filtro normalizado ou mensagem de erro
+ */
+const buildFilter = (key, rawValue, negate) => {
+    const value = unquote(rawValue).trim();
+    if (!value) return `${key}: valor vazio`;
+
+    switch (key) {
+        case 'amount': {
+            const amount = parseAmount(value);
+            if (!amount) return `amount: valor inválido "${value}" (use 50, >50, <=50 ou 10..50)`;
+            return { key, negate, ...amount };
+        }
+        case 'after':
+        case 'before':
+        case 'on': {
+            const range = parseDateRange(value);
+            if (!range) return `${key}: data inválida "${value}" (use YYYY-MM-DD ou YYYY-MM)`;
+            if (key === 'after') return { key: 'date', negate, op: '>=', value: range.start };
+            if (key === 'before') return { key: 'date', negate, op: '<=', value: range.end };
+            return { key: 'date', negate, op: 'between', value: range.start, to: range.end };
+        }
+        case 'type': {
+            const upper = value.toUpperCase();
+            if (!TYPES.includes(upper)) return `type: use ${TYPES.join(', ')}`;
+            return { key, negate, value: upper };
+        }
+        case 'source': {
+            const upper = value.toUpperCase();
+            if (!SOURCES.includes(upper)) return `source: use ${SOURCES.join(', ')}`;
+            return { key, negate, value: upper };
+        }
+        case 'status': {
+            const upper = value.toUpperCase();
+            if (!STATUSES.includes(upper)) return `status: use ${STATUSES.join(', ')}`;
+            return { key, negate, value: upper };
+        }
+        case 'is': {
+            const lower = value.toLowerCase();
+            if (!IS_FLAGS.includes(lower)) return `is: use ${IS_FLAGS.join(', ')}`;
+            return { key, negate, value: lower };
+        }
+        case 'has': {
+            const lower = value.toLowerCase();
+            if (!HAS_FLAGS.includes(lower)) return `has: use ${HAS_FLAGS.join(', ')}`;
+            return { key, negate, value: lower };
+        }
+        default:
+            return { key, negate, value };
+    }
+};
+
+/**
+ * Interpreta a query de busca
+ *
+ * @param {string} query
+ * @returns {{ text: string, filters: object[], errors: string[] }}
+ *   text: termos livres no formato aceito por websearch_to_tsquery
+ */
+const parseSearchQuery = (query) => {
+    const textTerms = [];
+    const filters = [];
+    const errors = [];
+
+    for (const token of tokenize(String(query || ''))) {
+        const negate = token.startsWith('-') && token.length > 1;
+        const body = negate ? token.slice(1) : token;
+        const separator = body.indexOf(':');
+        const key = separator > 0 ? body.slice(0, separator).toLowerCase() : null;
+
+        if (key && KEYS.includes(key)) {
+            const filter = buildFilter(key, body.slice(separator + 1), negate);
+            if (typeof filter === 'string') errors.push(filter);
+            else filters.push(filter);
+            continue;
+        }
+
+        // Termo livre (mantém "-" e aspas para o websearch_to_tsquery)
+        textTerms.push(token);
+    }
+
+    return {
+        text: textTerms.join(' ').trim(),
+        filters,
+        errors
+    };
+};
+
+module.exports = {
+    parseSearchQuery,
+    KEYS
+};
@@ -0,0 +1,376 @@
+/**
+ * Transaction Search Service
+ * ========================================
+ * BUSCA AVANÇADA DE TRANSAÇÕES
+ * ========================================
+ *
+ * - Busca manuais, Open Finance e cartão numa única consulta (UNION ALL)
+ * - Full-text em descrição + observações (tsvector 'portuguese', com stemming)
+ * - Filtros da linguagem de busca (search.parser)
+ * - Paginação por cursor (date DESC, id DESC)
+ * - Buscas salvas por perfil
+ * ✅ PROFILE ISOLATION: manuais pelo profileId, cartão pelo perfil do cartão,
+ *    Open Finance pelo perfil da conta/cartão relacionado
+ */
+
+const moment = require('moment');
+const { QueryTypes } = require('sequelize');
+const { SavedSearch, sequelize } = require('../../models');
+const { AppError } = require('../../middlewares/errorHandler');
+const { parseSearchQuery } = require('./search.parser');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+/**
+ * Consulta unificada das três origens, com colunas normalizadas
+ */
+const buildUnifiedSql = (profileId) => `
+    SELECT mt.id, 'MANUAL' AS origin, mt.source::text AS source_type, mt.type::text AS type,
+           mt.description, mt.amount, mt.date, mt.status::text AS status,
+           COALESCE(c.name, md.category) AS category, COALESCE(md.tags, '{}')::text[] AS tags, md.notes,
+           COALESCE(ba.nickname, ba.bank_name) AS account_name, NULL::text AS card_name, NULL::text AS card_last_four,
+           mt.is_recurring, mt.is_split, COALESCE(md.is_ignored, false) AS is_ignored,
+           COALESCE(md.is_important, false) AS is_important,
+           mt.bank_account_id AS account_id, NULL::uuid AS card_id, mt.created_at
+    FROM manual_transactions mt
+    LEFT JOIN transaction_metadata md ON md.transaction_type = 'MANUAL' AND md.transaction_id = mt.id
+    LEFT JOIN categories c ON c.id = mt.category_id
+    LEFT JOIN bank_accounts ba ON ba.id = mt.bank_account_id
+    WHERE mt.user_id = :userId AND mt.deleted_at IS NULL ${profileId ? 'AND mt.profile_id = :profileId' : ''}
+
+    UNION ALL
+
+    SELECT ot.id, 'OPEN_FINANCE', ot.source_type::text,
+           CASE ot.type WHEN 'CREDIT' THEN 'INCOME' ELSE 'EXPENSE' END,
+           ot.description, ot.amount, ot.date, 'COMPLETED',
+           md.category, COALESCE(md.tags, '{}')::text[], md.notes,
+           COALESCE(ba.nickname, ba.bank_name), cc.name, cc.last_four_digits,
+           false, false, COALESCE(md.is_ignored, false), COALESCE(md.is_important, false),
+           ot.related_account_id, ot.related_card_id, ot.created_at
+    FROM open_finance_transactions ot
+    LEFT JOIN transaction_metadata md ON md.transaction_type = 'OPEN_FINANCE' AND md.transaction_id = ot.id
+    LEFT JOIN bank_accounts ba ON ba.id = ot.related_account_id
+    LEFT JOIN credit_cards cc ON cc.id = ot.related_card_id
+    WHERE ot.user_id = :userId ${profileId ? 'AND (ba.profile_id = :profileId OR cc.profile_id = :profileId)' : ''}
+
+    UNION ALL
+
+    SELECT ct.id, 'CARD', 'CARD', 'EXPENSE',
+           ct.description, ct.amount, ct.date, ct.status::text,
+           ct.category, COALESCE(ct.tags, '{}')::text[], ct.notes,
+           NULL, cc.name, cc.last_four_digits,
+           ct.is_recurring, ct.is_split, false, false,
+           NULL, ct.card_id, ct.created_at
+    FROM card_transactions ct
+    JOIN credit_cards cc ON cc.id = ct.card_id
+    WHERE ct.user_id = :userId AND ct.deleted_at IS NULL ${profileId ? 'AND cc.profile_id = :profileId' : ''}
+`;
+
+const AMOUNT_OPERATORS = { '=': '=', '>': '>', '>=': '>=', '<': '<', '<=': '<=' };
+
+const escapeLike = (value) => value.replace(/[\\%_]/g, (char) => `\\${char}`);
+
+/**
+ * Converte um filtro do parser em condição SQL
+ * @param {object} filter
+ * @param {function} bind - registra um valor e devolve o placeholder
+ */
+const buildCondition = (filter, bind) => {
+    switch (filter.key) {
+        case 'amount':
+            if (filter.op === 'between') {
+                return `ABS(u.amount) BETWEEN ${bind(filter.value)} AND ${bind(filter.to)}`;
+            }
+            return `ABS(u.amount) ${AMOUNT_OPERATORS[filter.op]} ${bind(filter.value)}`;
+        case 'date':
+            if (filter.op === 'between') {
+                return `u.date BETWEEN ${bind(filter.value)} AND ${bind(filter.to)}`;
+            }
+            return `u.date ${filter.op} ${bind(filter.value)}`;
+        case 'tag':
+            return `EXISTS (SELECT 1 FROM unnest(u.tags) AS t(tag) WHERE lower(t.tag) = lower(${bind(filter.value)}))`;
+        case 'category': {
+            const name = bind(filter.value);
+            // Transações divididas casam pela categoria de qualquer linha
+            return `(lower(u.category) = lower(${name}) OR EXISTS (
+                SELECT 1 FROM transaction_splits ts
+                JOIN categories sc ON sc.id = ts.category_id
+                WHERE ts.transaction_type::text = u.origin AND ts.transaction_id = u.id
+                  AND lower(sc.name) = lower(${name})))`;
+        }
+        case 'account': {
+            const pattern = bind(`%${escapeLike(filter.value)}%`);
+            return `(u.account_name ILIKE ${pattern} OR u.card_name ILIKE ${pattern})`;
+        }
+        case 'card':
+            return `(u.card_name ILIKE ${bind(`%${escapeLike(filter.value)}%`)} OR u.card_last_four = ${bind(filter.value)})`;
+        case 'type':
+            return `u.type = ${bind(filter.value)}`;
+        case 'source': {
+            const source = bind(filter.value);
+            return `(u.origin = ${source} OR u.source_type = ${source})`;
+        }
+        case 'status':
+            return `u.status = ${bind(filter.value)}`;
+        case 'is':
+            return {
+                recurring: 'u.is_recurring',
+                split: 'u.is_split',
+                ignored: 'u.is_ignored',
+                important: 'u.is_important'
+            }[filter.value];
+        case 'has':
+            return {
+                attachment: `EXISTS (SELECT 1 FROM attachments a
+                    WHERE a.resource_id = u.id
+                      AND a.resource_type::text = CASE u.origin WHEN 'MANUAL' THEN 'MANUAL_TRANSACTION' WHEN 'CARD' THEN 'CARD_TRANSACTION' ELSE 'OPEN_FINANCE_TRANSACTION' END)`,
+                notes: `COALESCE(u.notes, '') <> ''`,
+                tags: 'cardinality(u.tags) > 0'
+            }[filter.value];
+        default:
+            return null;
+    }
+};
+
+/**
+ * Converte os filtros fixos antigos do GET /transactions em filtros do parser
+ */
+const legacyFilters = (filters = {}) => {
+    const result = [];
+    const { startDate, endDate, type, source, category, minAmount, maxAmount } = filters;
+
+    if (startDate) result.push({ key: 'date', op: '>=', value: startDate });
+    if (endDate) result.push({ key: 'date', op: '<=', value: endDate });
+    if (type) {
+        const normalized = { CREDIT: 'INCOME', DEBIT: 'EXPENSE' }[type] || type;
+        result.push({ key: 'type', value: normalized });
+    }
+    if (source) result.push({ key: 'source', value: source });
+    if (category) result.push({ key: 'category', value: category });
+    if (minAmount) result.push({ key: 'amount', op: '>=', value: parseFloat(minAmount) });
+    if (maxAmount) result.push({ key: 'amount', op: '<=', value: parseFloat(maxAmount) });
+
+    return result;
+};
+
+// DATEONLY pode vir como string ou Date dependendo do parser do driver
+const toDateString = (value) => (typeof value === 'string' ? value : moment(value).format('YYYY-MM-DD'));
+
+const encodeCursor = (row) => Buffer.from(JSON.stringify({
+    date: toDateString(row.date),
+    id: row.id
+})).toString('base64url');
+
+const decodeCursor = (cursor) => {
+    try {
+        const { date, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !/^[0-9a-f-]{36}$/i.test(id)) throw new Error('cursor');
+        return { date, id };
+    } catch (error) {
+        throw new AppError('Cursor de paginação inválido', 400, 'INVALID_CURSOR');
+    }
+};
+
+/**
+ * Valida a query e devolve a versão interpretada
+ */
+const parseOrFail = (query) => {
+    const parsed = parseSearchQuery(query);
+    if (parsed.errors.length > 0) {
+        const error = new AppError('Query de busca inválida', 400, 'INVALID_SEARCH_QUERY');
+        error.details = parsed.errors;
+        throw error;
+    }
+    return parsed;
+};
+
+const formatRow = (row) => ({
+    id: row.id,
+    source: row.origin,
+    sourceType: row.source_type,
+    type: row.type,
+    description: row.description,
+    amount: parseFloat(row.amount),
+    date: toDateString(row.date),
+    status: row.status,
+    category: row.category || null,
+    tags: row.tags || [],
+    notes: row.notes || null,
+    account: row.account_name || null,
+    card: row.card_name ? `${row.card_name}${row.card_last_four ? ` (${row.card_last_four})` : ''}` : null,
+    accountId: row.account_id,
+    cardId: row.card_id,
+    isRecurring: !!row.is_recurring,
+    isSplit: !!row.is_split,
+    isIgnored: !!row.is_ignored,
+    isImportant: !!row.is_important,
+    editable: row.origin !== 'OPEN_FINANCE',
+    createdAt: row.created_at
+});
+
+/**
+ * Busca transações com a linguagem de busca
+ *
+ * @param {string} userId
+ * @param {string} profileId
+ * @param {object} options
+ * @param {string} options.q - Query (ex: 'ifood amount:>50 -status:CANCELLED')
+ * @param {string} options.cursor - nextCursor da página anterior
+ * @param {number} options.limit - Máximo 200
+ * @param {object} options.filters - Filtros fixos antigos (startDate, type, ...)
+ */
+const searchTransactions = async (userId, profileId, options = {}) => {
+    const { q = '', cursor, filters } = options;
+    const limit = Math.min(Math.max(parseInt(options.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    const parsed = parseOrFail(q);
+    const allFilters = [...parsed.filters, ...legacyFilters(filters)];
+
+    const replacements = { userId, profileId, limit: limit + 1 };
+    let paramIndex = 0;
+    const bind = (value) => {
+        const name = `p${paramIndex++}`;
+        replacements[name] = value;
+        return `:${name}`;
+    };
+
+    const conditions = [];
+
+    if (parsed.text) {
+        conditions.push(`to_tsvector('portuguese', COALESCE(u.description, '') || ' ' || COALESCE(u.notes, ''))
+            @@ websearch_to_tsquery('portuguese', ${bind(parsed.text)})`);
+    }
+
+    for (const filter of allFilters) {
+        const condition = buildCondition(filter, bind);
+        if (!condition) continue;
+        conditions.push(filter.negate ? `NOT COALESCE((${condition}), false)` : condition);
+    }
+
+    if (cursor) {
+        const { date, id } = decodeCursor(cursor);
+        conditions.push(`(u.date, u.id) < (CAST(${bind(date)} AS date), CAST(${bind(id)} AS uuid))`);
+    }
+
+    const sql = `
+        WITH unified AS (${buildUnifiedSql(profileId)})
+        SELECT u.* FROM unified u
+        ${conditions.length > 0 ? `WHERE ${conditions.join('\n AND ')}` : ''}
+        ORDER BY u.date DESC, u.id DESC
+        LIMIT :limit
+    `;
+
+    const rows = await sequelize.query(sql, { replacements, type: QueryTypes.SELECT });
+
+    const hasMore = rows.length > limit;
+    const page = hasMore ? rows.slice(0, limit) : rows;
+
+    return {
+        transactions: page.map(formatRow),
+        pagination: {
+            limit,
+            hasMore,
+            nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+        },
+        query: {
+            text: parsed.text,
+            filters: parsed.filters
+        }
+    };
+};
+
+// ===========================================
+// BUSCAS SALVAS
+// ===========================================
+
+/**
+ * Busca salva do usuário
+ * ✅ PROFILE ISOLATION
+ */
+const findSavedSearch = async (userId, profileId, searchId) => {
+    const where = { id: searchId, userId };
+    if (profileId) where.profileId = profileId; // ✅ PROFILE ISOLATION
+
+    const search = await SavedSearch.findOne({ where });
+    if (!search) {
+        throw new AppError('Busca salva não encontrada', 404, 'SAVED_SEARCH_NOT_FOUND');
+    }
+    return search;
+};
+
+const listSavedSearches = async (userId, profileId) => {
+    const where = { userId };
+    if (profileId) where.profileId = profileId; // ✅ PROFILE ISOLATION
+
+    return SavedSearch.findAll({
+        where,
+        order: [['name', 'ASC']]
+    });
+};
+
+const createSavedSearch = async (userId, profileId, data) => {
+    parseOrFail(data.query);
+
+    return SavedSearch.create({
+        userId,
+        profileId,
+        name: data.name,
+        query: data.query.trim()
+    });
+};
+
+const updateSavedSearch = async (userId, profileId, searchId, data) => {
+    const search = await findSavedSearch(userId, profileId, searchId);
+
+    const updates = {};
+    if (data.name !== undefined) updates.name = data.name;
+    if (data.query !== undefined) {
+        parseOrFail(data.query);
+        updates.query = data.query.trim();
+    }
+
+    await search.update(updates);
+    return search;
+};
+
+const deleteSavedSearch = async (userId, profileId, searchId) => {
+    const search = await findSavedSearch(userId, profileId, searchId);
+    await search.destroy();
+    return { message: 'Busca salva excluída com sucesso' };
+};
+
+/**
+ * Executa uma busca salva (mesma paginação por cursor)
+ */
+const runSavedSearch = async (userId, profileId, searchId, options = {}) => {
+    const search = await findSavedSearch(userId, profileId, searchId);
+
+    const result = await searchTransactions(userId, profileId, {
+        q: search.query,
+        cursor: options.cursor,
+        limit: options.limit
+    });
+
+    // Só a primeira página conta como uso
+    if (!options.cursor) {
+        await search.update({
+            useCount: search.useCount + 1,
+            lastUsedAt: new Date()
+        });
+    }
+
+    return {
+        search: { id: search.id, name: search.name, query: search.query },
+        ...result
+    };
+};
+
+module.exports = {
+    searchTransactions,
+    listSavedSearches,
+    createSavedSearch,
+    updateSavedSearch,
+    deleteSavedSearch,
+    runSavedSearch
+};
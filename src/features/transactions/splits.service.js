@@ -0,0 +1,321 @@
+/**
+ * Transaction Splits Service
+ * ========================================
+ * DIVISÃO DE TRANSAÇÕES POR CATEGORIA
+ * ========================================
+ *
+ * - Divide uma ManualTransaction ou CardTransaction em linhas por categoria
+ * - A soma das linhas precisa ser igual ao valor do pai (ao centavo)
+ * - Relatórios (dashboard, extrato, orçamentos) contam as linhas no lugar do pai
+ * ✅ PROFILE ISOLATION: transação pai validada contra profileId
+ */
+
+const {
+    ManualTransaction,
+    CardTransaction,
+    CreditCard,
+    Category,
+    TransactionSplit,
+    AuditLog,
+    sequelize
+} = require('../../models');
+const { AppError } = require('../../middlewares/errorHandler');
+const { Op } = require('sequelize');
+
+const toCents = (value) => Math.round(parseFloat(value) * 100);
+
+/**
+ * Busca a transação pai garantindo isolamento por perfil
+ * ✅ PROFILE ISOLATION: CardTransaction é isolada pelo perfil do cartão
+ */
+const findParent = async (userId, profileId, transactionType, transactionId) => {
+    let parent = null;
+
+    if (transactionType === 'MANUAL') {
+        const where = { id: transactionId, userId };
+        if (profileId) where.profileId = profileId; // ✅ PROFILE ISOLATION
+        parent = await ManualTransaction.findOne({ where });
+    } else if (transactionType === 'CARD') {
+        const cardWhere = { userId };
+        if (profileId) cardWhere.profileId = profileId; // ✅ PROFILE ISOLATION
+        parent = await CardTransaction.findOne({
+            where: { id: transactionId, userId },
+            include: [{ model: CreditCard, as: 'card', where: cardWhere, attributes: ['id', 'profileId'] }]
+        });
+    } else {
+        throw new AppError('Tipo de transação inválido', 400, 'INVALID_TRANSACTION_TYPE');
+    }
+
+    if (!parent) {
+        throw new AppError('Transação não encontrada', 404, 'TRANSACTION_NOT_FOUND');
+    }
+
+    return parent;
+};
+
+/**
+ * Formata as linhas para resposta
+ */
+const formatSplits = (splits) => splits.map(s => ({
+    id: s.id,
+    categoryId: s.categoryId,
+    category: s.category ? {
+        id: s.category.id,
+        name: s.category.name,
+        icon: s.category.icon,
+        color: s.category.color
+    } : null,
+    amount: parseFloat(s.amount),
+    description: s.description,
+    order: s.order
+}));
+
+/**
+ * Lista as linhas de uma transação
+ */
+const getSplits = async (userId, profileId, transactionType, transactionId) => {
+    const parent = await findParent(userId, profileId, transactionType, transactionId);
+
+    const splits = await TransactionSplit.findAll({
+        where: { transactionType, transactionId: parent.id },
+        include: [{ model: Category, as: 'category', attributes: ['id', 'name', 'icon', 'color'] }],
+        order: [['order', 'ASC']]
+    });
+
+    return {
+        transactionId: parent.id,
+        transactionType,
+        amount: Math.abs(parseFloat(parent.amount)),
+        isSplit: parent.isSplit,
+        splits: formatSplits(splits)
+    };
+};
+
+/**
+ * Divide (ou redivide) uma transação em linhas por categoria
+ *
+ * @param {string} userId
+ * @param {string} profileId
+ * @param {string} transactionType - MANUAL | CARD
+ * @param {string} transactionId
+ * @param {object[]} lines - [{ categoryId, amount, description }]
+ */
+const setSplits = async (userId, profileId, transactionType, transactionId, lines) => {
+    const parent = await findParent(userId, profileId, transactionType, transactionId);
+
+    if (!Array.isArray(lines) || lines.length < 2) {
+        throw new AppError('Informe ao menos duas linhas para dividir a transação', 400, 'SPLIT_TOO_FEW_LINES');
+    }
+
+    for (const line of lines) {
+        if (!line.categoryId) {
+            throw new AppError('Cada linha precisa de uma categoria', 400, 'SPLIT_CATEGORY_REQUIRED');
+        }
+        if (!(parseFloat(line.amount) >= 0.01)) {
+            throw new AppError('Cada linha precisa de um valor maior que zero', 400, 'SPLIT_INVALID_AMOUNT');
+        }
+    }
+
+    const parentCents = Math.abs(toCents(parent.amount));
+    const linesCents = lines.reduce((sum, line) => sum + toCents(line.amount), 0);
+    if (parentCents !== linesCents) {
+        const error = new AppError(
+            `A soma das linhas (${(linesCents / 100).toFixed(2)}) difere do valor da transação (${(parentCents / 100).toFixed(2)})`,
+            400,
+            'SPLIT_AMOUNT_MISMATCH'
+        );
+        error.details = { expected: parentCents / 100, received: linesCents / 100 };
+        throw error;
+    }
+
+    const categoryIds = [...new Set(lines.map(l => l.categoryId))];
+    const categories = await Category.findAll({
+        where: {
+            id: categoryIds,
+            [Op.or]: [{ userId }, { userId: null, isDefault: true }]
+        },
+        attributes: ['id']
+    });
+    if (categories.length !== categoryIds.length) {
+        throw new AppError('Categoria não encontrada', 404, 'CATEGORY_NOT_FOUND');
+    }
+
+    const previousSplits = await TransactionSplit.findAll({
+        where: { transactionType, transactionId: parent.id }
+    });
+
+    const t = await sequelize.transaction();
+
+    try {
+        await TransactionSplit.destroy({
+            where: { transactionType, transactionId: parent.id },
+            transaction: t
+        });
+
+        await TransactionSplit.bulkCreate(lines.map((line, index) => ({
+            userId,
+            transactionType,
+            transactionId: parent.id,
+            categoryId: line.categoryId,
+            amount: parseFloat(line.amount).toFixed(2),
+            description: line.description || null,
+            order: index
+        })), { transaction: t });
+
+        await parent.update({ isSplit: true }, { transaction: t });
+
+        await t.commit();
+    } catch (error) {
+        await t.rollback();
+        console.error('❌ [SPLIT] Error:', error);
+        throw error;
+    }
+
+    await AuditLog.log({
+        userId,
+        action: AuditLog.ACTIONS.TRANSACTION_UPDATE,
+        resource: transactionType === 'CARD' ? 'CARD_TRANSACTION' : 'MANUAL_TRANSACTION',
+        resourceId: parent.id,
+        details: { operation: 'SPLIT', profileId },
+        previousData: { splits: previousSplits.map(s => s.toJSON()) },
+        newData: { splits: lines }
+    });
+
+    return getSplits(userId, profileId, transactionType, parent.id);
+};
+
+/**
+ * Desfaz a divisão (a transação volta a usar a própria categoria)
+ */
+const removeSplits = async (userId, profileId, transactionType, transactionId) => {
+    const parent = await findParent(userId, profileId, transactionType, transactionId);
+
+    const previousSplits = await TransactionSplit.findAll({
+        where: { transactionType, transactionId: parent.id }
+    });
+
+    const t = await sequelize.transaction();
+
+    try {
+        await TransactionSplit.destroy({
+            where: { transactionType, transactionId: parent.id },
+            transaction: t
+        });
+        await parent.update({ isSplit: false }, { transaction: t });
+
+        await t.commit();
+    } catch (error) {
+        await t.rollback();
+        console.error('❌ [SPLIT] Error:', error);
+        throw error;
+    }
+
+    await AuditLog.log({
+        userId,
+        action: AuditLog.ACTIONS.TRANSACTION_UPDATE,
+        resource: transactionType === 'CARD' ? 'CARD_TRANSACTION' : 'MANUAL_TRANSACTION',
+        resourceId: parent.id,
+        details: { operation: 'UNSPLIT', profileId },
+        previousData: { splits: previousSplits.map(s => s.toJSON()) }
+    });
+
+    return { transactionId: parent.id, isSplit: false };
+};
+
+/**
+ * Remove as linhas de transações excluídas
+ */
+const destroyForTransactions = async (transactionType, transactionIds, options = {}) => {
+    const ids = Array.isArray(transactionIds) ? transactionIds : [transactionIds];
+    if (ids.length === 0) return 0;
+
+    return TransactionSplit.destroy({
+        where: { transactionType, transactionId: ids },
+        transaction: options.transaction
+    });
+};
+
+/**
+ * Linhas de divisão de um período (para relatórios e orçamentos)
+ * ✅ PROFILE ISOLATION: pais manuais pelo profileId, pais de cartão pelo perfil do cartão
+ *
+ * @param {string} userId
+ * @param {string} profileId - Opcional
+ * @param {object} filters
+ * @param {string} filters.startDate - YYYY-MM-DD
+ * @param {string} filters.endDate - YYYY-MM-DD
+ * @param {string} filters.type - INCOME | EXPENSE (aplicado às manuais; cartão é sempre despesa)
+ * @param {string[]} filters.categoryIds - Limita às categorias informadas
+ * @returns {Promise<object[]>} [{ transactionType, transactionId, categoryId, category, amount, date }]
+ */
+const getSplitLines = async (userId, profileId, filters = {}) => {
+    const { startDate, endDate, type, categoryIds } = filters;
+
+    const dateWhere = {};
+    if (startDate) dateWhere[Op.gte] = startDate;
+    if (endDate) dateWhere[Op.lte] = endDate;
+    const hasDate = !!(startDate || endDate);
+
+    const manualWhere = { userId, isSplit: true, status: { [Op.ne]: 'CANCELLED' } };
+    if (profileId) manualWhere.profileId = profileId; // ✅ PROFILE ISOLATION
+    if (hasDate) manualWhere.date = dateWhere;
+    if (type) manualWhere.type = type;
+
+    const manualParents = await ManualTransaction.findAll({
+        where: manualWhere,
+        attributes: ['id', 'date', 'type']
+    });
+
+    let cardParents = [];
+    if (!type || type === 'EXPENSE') {
+        const cardWhere = { userId, isSplit: true, status: { [Op.ne]: 'CANCELLED' } };
+        if (hasDate) cardWhere.date = dateWhere;
+
+        const include = [];
+        if (profileId) {
+            include.push({ model: CreditCard, as: 'card', where: { profileId }, attributes: [] }); // ✅ PROFILE ISOLATION
+        }
+
+        cardParents = await CardTransaction.findAll({
+            where: cardWhere,
+            include,
+            attributes: ['id', 'date']
+        });
+    }
+
+    if (manualParents.length === 0 && cardParents.length === 0) return [];
+
+    const parentDates = {};
+    manualParents.forEach(p => { parentDates[`MANUAL:${p.id}`] = p.date; });
+    cardParents.forEach(p => { parentDates[`CARD:${p.id}`] = p.date; });
+
+    const splitWhere = {
+        [Op.or]: [
+            { transactionType: 'MANUAL', transactionId: manualParents.map(p => p.id) },
+            { transactionType: 'CARD', transactionId: cardParents.map(p => p.id) }
+        ]
+    };
+    if (categoryIds) splitWhere.categoryId = categoryIds;
+
+    const splits = await TransactionSplit.findAll({
+        where: splitWhere,
+        include: [{ model: Category, as: 'category', attributes: ['id', 'name', 'icon', 'color'] }]
+    });
+
+    return splits.map(s => ({
+        transactionType: s.transactionType,
+        transactionId: s.transactionId,
+        categoryId: s.categoryId,
+        category: s.category ? s.category.name : null,
+        amount: parseFloat(s.amount),
+        date: parentDates[`${s.transactionType}:${s.transactionId}`]
+    }));
+};
+
+module.exports = {
+    getSplits,
+    setSplits,
+    removeSplits,
+    destroyForTransactions,
+    getSplitLines
+};
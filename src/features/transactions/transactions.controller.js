@@ -7,12 +7,36 @@
  */
 
 const transactionsService = require('./transactions.service');
+const importService = require('./import.service');
+const splitsService = require('./splits.service');
+const recurringService = require('./recurring.service');
+const searchService = require('./search.service');
+const bulkService = require('./bulk.service');
 
 /**
  * GET /transactions
+ * Com ?q= (ou ?cursor=) usa a linguagem de busca e paginação por cursor
  */
 const listTransactions = async (req, res, next) => {
     try {
+        if (req.query.q !== undefined || req.query.cursor) {
+            const result = await searchService.searchTransactions(req.userId, req.profileId, {
+                q: req.query.q,
+                cursor: req.query.cursor,
+                limit: req.query.limit,
+                filters: {
+                    startDate: req.query.startDate,
+                    endDate: req.query.endDate,
+                    type: req.query.type,
+                    source: req.query.source,
+                    category: req.query.category,
+                    minAmount: req.query.minAmount,
+                    maxAmount: req.query.maxAmount
+                }
+            });
+            return res.json({ data: result });
+        }
+
         const filters = {
             startDate: req.query.startDate,
             endDate: req.query.endDate,
@@ -121,6 +145,260 @@ const deleteTransaction = async (req, res, next) => {
     }
 };
 
+/**
+ * GET /transactions/:id/splits
+ */
+const getSplits = async (req, res, next) => {
+    try {
+        const splits = await splitsService.getSplits(req.userId, req.profileId, 'MANUAL', req.params.id);
+        res.json({ data: splits });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * PUT /transactions/:id/splits
+ * Divide a transação em linhas por categoria (soma = valor da transação)
+ */
+const setSplits = async (req, res, next) => {
+    try {
+        const splits = await splitsService.setSplits(req.userId, req.profileId, 'MANUAL', req.params.id, req.body.splits);
+
+        res.json({
+            message: 'Transação dividida com sucesso',
+            data: splits
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * DELETE /transactions/:id/splits
+ */
+const removeSplits = async (req, res, next) => {
+    try {
+        const result = await splitsService.removeSplits(req.userId, req.profileId, 'MANUAL', req.params.id);
+
+        res.json({
+            message: 'Divisão removida',
+            data: result
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * GET /transactions/recurring
+ * Séries recorrentes do perfil com as próximas ocorrências
+ */
+const listRecurring = async (req, res, next) => {
+    try {
+        const series = await recurringService.listSeries(req.userId, req.profileId);
+        res.json({ data: series });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /transactions/recurring/materialize
+ * Gera agora as ocorrências pendentes do perfil (o cron faz isso diariamente)
+ */
+const materializeRecurring = async (req, res, next) => {
+    try {
+        const options = {};
+        if (req.body.horizonDays) options.horizonDays = parseInt(req.body.horizonDays);
+
+        const result = await recurringService.materializeForProfile(req.userId, req.profileId, options);
+
+        res.json({
+            message: `${result.created} ocorrência(s) gerada(s)`,
+            data: result
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * PUT /transactions/:id/recurrence
+ * Edita uma ocorrência: scope THIS (só esta) ou THIS_AND_FOLLOWING (esta e as seguintes)
+ */
+const updateRecurrence = async (req, res, next) => {
+    try {
+        const { scope = 'THIS', ...changes } = req.body;
+
+        let result;
+        if (scope === 'THIS_AND_FOLLOWING') {
+            result = await recurringService.updateFollowing(req.userId, req.profileId, req.params.id, changes);
+        } else {
+            result = await transactionsService.updateManualTransaction(req.userId, req.profileId, req.params.id, changes);
+        }
+
+        res.json({
+            message: 'Transação atualizada com sucesso',
+            data: result
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /transactions/:id/recurrence/skip
+ */
+const skipOccurrence = async (req, res, next) => {
+    try {
+        const occurrence = await recurringService.skipOccurrence(req.userId, req.profileId, req.params.id);
+
+        res.json({
+            message: 'Ocorrência pulada',
+            data: occurrence
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /transactions/:id/recurrence/end
+ */
+const endRecurrence = async (req, res, next) => {
+    try {
+        const result = await recurringService.endSeries(req.userId, req.profileId, req.params.id, req.body.endDate);
+
+        res.json({
+            message: 'Série recorrente encerrada',
+            data: result
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /transactions/bulk
+ */
+const executeBulk = async (req, res, next) => {
+    try {
+        const result = await bulkService.executeBulk(req.userId, req.profileId, req.body, {
+            ipAddress: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+
+        res.json({
+            message: `${result.affected} transação(ões) atualizada(s)`,
+            data: result
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * GET /transactions/bulk
+ */
+const listBulkOperations = async (req, res, next) => {
+    try {
+        const operations = await bulkService.listOperations(req.userId, req.profileId, parseInt(req.query.limit) || 20);
+        res.json({ data: operations });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /transactions/bulk/:operationId/revert
+ */
+const revertBulk = async (req, res, next) => {
+    try {
+        const result = await bulkService.revertBulk(req.userId, req.profileId, req.params.operationId, {
+            force: req.body.force === true,
+            ipAddress: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+
+        res.json({
+            message: 'Operação em lote revertida',
+            data: result
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * GET /transactions/searches
+ */
+const listSavedSearches = async (req, res, next) => {
+    try {
+        const searches = await searchService.listSavedSearches(req.userId, req.profileId);
+        res.json({ data: searches });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /transactions/searches
+ */
+const createSavedSearch = async (req, res, next) => {
+    try {
+        const search = await searchService.createSavedSearch(req.userId, req.profileId, req.body);
+        res.status(201).json({
+            message: 'Busca salva com sucesso',
+            data: search
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * PUT /transactions/searches/:searchId
+ */
+const updateSavedSearch = async (req, res, next) => {
+    try {
+        const search = await searchService.updateSavedSearch(req.userId, req.profileId, req.params.searchId, req.body);
+        res.json({
+            message: 'Busca salva atualizada',
+            data: search
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * DELETE /transactions/searches/:searchId
+ */
+const deleteSavedSearch = async (req, res, next) => {
+    try {
+        const result = await searchService.deleteSavedSearch(req.userId, req.profileId, req.params.searchId);
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * GET /transactions/searches/:searchId/results
+ */
+const runSavedSearch = async (req, res, next) => {
+    try {
+        const result = await searchService.runSavedSearch(req.userId, req.profileId, req.params.searchId, {
+            cursor: req.query.cursor,
+            limit: req.query.limit
+        });
+        res.json({ data: result });
+    } catch (error) {
+        next(error);
+    }
+};
+
 /**
  * PUT /transactions/:id/metadata
  */
@@ -164,6 +442,157 @@ const createInternalTransfer = async (req, res, next) => {
     }
 };
 
+/**
+ * POST /transactions/owner-transfer
+ * Retirada do sócio PJ → PF (pró-labore ou distribuição de lucros)
+ */
+const createOwnerTransfer = async (req, res, next) => {
+    try {
+        const result = await transactionsService.createOwnerTransfer(req.userId, req.body);
+
+        res.status(201).json({
+            message: result.ownerTransferType === 'PRO_LABORE'
+                ? 'Pró-labore registrado com sucesso'
+                : 'Distribuição de lucros registrada com sucesso',
+            data: result
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /transactions/import/ofx/preview
+ * Simula a importação de um extrato OFX (nada é gravado)
+ */
+const previewOFXImport = async (req, res, next) => {
+    try {
+        const report = await importService.importOFX(req.userId, req.profileId, req.body, { dryRun: true });
+
+        res.json({ data: report });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /transactions/import/ofx
+ * Importa um extrato OFX para a conta escolhida
+ */
+const importOFX = async (req, res, next) => {
+    try {
+        const report = await importService.importOFX(req.userId, req.profileId, req.body);
+
+        res.status(201).json({
+            message: `${report.summary.imported} transações importadas`,
+            data: report
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /transactions/import/csv/preview
+ * Simula a importação de um extrato CSV (dry-run)
+ */
+const previewCSVImport = async (req, res, next) => {
+    try {
+        const report = await importService.importCSV(req.userId, req.profileId, req.body, { dryRun: true });
+
+        res.json({ data: report });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /transactions/import/csv
+ * Importa um extrato CSV para a conta escolhida
+ */
+const importCSV = async (req, res, next) => {
+    try {
+        const report = await importService.importCSV(req.userId, req.profileId, req.body);
+
+        res.status(201).json({
+            message: `${report.summary.imported} transações importadas`,
+            data: report
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * GET /transactions/import/csv/presets
+ */
+const listImportPresets = async (req, res, next) => {
+    try {
+        res.json({ data: importService.getPresets() });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * GET /transactions/import/mappings
+ */
+const listImportMappings = async (req, res, next) => {
+    try {
+        const mappings = await importService.listMappings(req.userId, req.profileId, {
+            bankAccountId: req.query.bankAccountId
+        });
+
+        res.json({ data: mappings });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /transactions/import/mappings
+ */
+const createImportMapping = async (req, res, next) => {
+    try {
+        const mapping = await importService.saveMapping(req.userId, req.profileId, req.body);
+
+        res.status(201).json({
+            message: 'Mapeamento salvo',
+            data: mapping
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * PUT /transactions/import/mappings/:id
+ */
+const updateImportMapping = async (req, res, next) => {
+    try {
+        const mapping = await importService.updateMapping(req.userId, req.profileId, req.params.id, req.body);
+
+        res.json({
+            message: 'Mapeamento atualizado',
+            data: mapping
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * DELETE /transactions/import/mappings/:id
+ */
+const deleteImportMapping = async (req, res, next) => {
+    try {
+        const result = await importService.deleteMapping(req.userId, req.profileId, req.params.id);
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+};
+
 module.exports = {
     listTransactions,
     listCategories,
@@ -171,5 +600,31 @@ module.exports = {
     updateTransaction,
     deleteTransaction,
     updateMetadata,
-    createInternalTransfer
+    getSplits,
+    setSplits,
+    removeSplits,
+    executeBulk,
+    listBulkOperations,
+    revertBulk,
+    listSavedSearches,
+    createSavedSearch,
+    updateSavedSearch,
+    deleteSavedSearch,
+    runSavedSearch,
+    listRecurring,
+    materializeRecurring,
+    updateRecurrence,
+    skipOccurrence,
+    endRecurrence,
+    createInternalTransfer,
+    createOwnerTransfer,
+    previewOFXImport,
+    importOFX,
+    previewCSVImport,
+    importCSV,
+    listImportPresets,
+    listImportMappings,
+    createImportMapping,
+    updateImportMapping,
+    deleteImportMapping
 };
@@ -28,13 +28,122 @@ const createTransactionSchema = {
     }
 };
 
+const bulkSchema = {
+    body: {
+        action: { required: true, enum: ['RECATEGORIZE', 'RETAG', 'SET_ACCOUNT', 'SET_STATUS', 'DELETE'] },
+        transactions: { required: true },
+        categoryId: { type: 'uuid' },
+        tagMode: { enum: ['ADD', 'REMOVE', 'REPLACE'] },
+        status: { enum: ['COMPLETED', 'CANCELLED'] }
+    }
+};
+
+const ownerTransferSchema = {
+    body: {
+        fromBankAccountId: { required: true, type: 'uuid' },
+        toBankAccountId: { required: true, type: 'uuid' },
+        ownerTransferType: { required: true, enum: ['PRO_LABORE', 'PROFIT_DISTRIBUTION'] },
+        amount: { required: true, min: 0.01 },
+        date: { type: 'date' }
+    }
+};
+
+const revertBulkSchema = {
+    params: {
+        operationId: { type: 'uuid' }
+    }
+};
+
+const searchIdSchema = {
+    params: {
+        searchId: { type: 'uuid' }
+    }
+};
+
+const savedSearchSchema = {
+    body: {
+        name: { required: true, minLength: 1 },
+        query: { required: true, minLength: 1 }
+    }
+};
+
+const updateSavedSearchSchema = {
+    ...searchIdSchema,
+    body: {
+        name: { minLength: 1 },
+        query: { minLength: 1 }
+    }
+};
+
+const updateRecurrenceSchema = {
+    body: {
+        scope: { enum: ['THIS', 'THIS_AND_FOLLOWING'] },
+        amount: { min: 0.01 },
+        date: { type: 'date' },
+        recurringFrequency: { enum: ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'] },
+        recurringDay: { min: 1, max: 31 }
+    }
+};
+
+const endRecurrenceSchema = {
+    body: {
+        endDate: { type: 'date' }
+    }
+};
+
+const importOFXSchema = {
+    body: {
+        bankAccountId: { required: true, type: 'uuid' },
+        content: { required: true, minLength: 1 }
+    }
+};
+
+const importCSVSchema = {
+    body: {
+        bankAccountId: { required: true, type: 'uuid' },
+        content: { required: true, minLength: 1 }
+    }
+};
+
+const importMappingSchema = {
+    body: {
+        name: { required: true, minLength: 1 }
+    }
+};
+
 // Rotas - all now have profileId via middleware
 router.get('/categories', transactionsController.listCategories);
 router.get('/', transactionsController.listTransactions);
 router.post('/manual', validate(createTransactionSchema), auditLogger('TRANSACTION'), transactionsController.createManualTransaction);
+router.post('/import/ofx/preview', validate(importOFXSchema), transactionsController.previewOFXImport);
+router.post('/import/ofx', validate(importOFXSchema), auditLogger('TRANSACTION_IMPORT'), transactionsController.importOFX);
+router.get('/import/csv/presets', transactionsController.listImportPresets);
+router.post('/import/csv/preview', validate(importCSVSchema), transactionsController.previewCSVImport);
+router.post('/import/csv', validate(importCSVSchema), auditLogger('TRANSACTION_IMPORT'), transactionsController.importCSV);
+router.get('/import/mappings', transactionsController.listImportMappings);
+router.post('/import/mappings', validate(importMappingSchema), transactionsController.createImportMapping);
+router.put('/import/mappings/:id', transactionsController.updateImportMapping);
+router.delete('/import/mappings/:id', transactionsController.deleteImportMapping);
+router.get('/bulk', transactionsController.listBulkOperations);
+router.post('/bulk', validate(bulkSchema), transactionsController.executeBulk);
+router.post('/bulk/:operationId/revert', validate(revertBulkSchema), transactionsController.revertBulk);
+router.get('/searches', transactionsController.listSavedSearches);
+router.post('/searches', validate(savedSearchSchema), transactionsController.createSavedSearch);
+router.put('/searches/:searchId', validate(updateSavedSearchSchema), transactionsController.updateSavedSearch);
+router.delete('/searches/:searchId', validate(searchIdSchema), transactionsController.deleteSavedSearch);
+router.get('/searches/:searchId/results', validate(searchIdSchema), transactionsController.runSavedSearch);
+router.get('/recurring', transactionsController.listRecurring);
+router.post('/recurring/materialize', transactionsController.materializeRecurring);
 router.post('/internal-transfer', auditLogger('INTERNAL_TRANSFER'), transactionsController.createInternalTransfer);
+router.post('/owner-transfer', validate(ownerTransferSchema), transactionsController.createOwnerTransfer);
 router.put('/:id', auditLogger('TRANSACTION'), transactionsController.updateTransaction);
 router.delete('/:id', auditLogger('TRANSACTION'), transactionsController.deleteTransaction);
 router.put('/:id/metadata', auditLogger('TRANSACTION_METADATA'), transactionsController.updateMetadata);
+router.get('/:id/splits', transactionsController.getSplits);
+router.put('/:id/splits', auditLogger('TRANSACTION'), transactionsController.setSplits);
+router.delete('/:id/splits', auditLogger('TRANSACTION'), transactionsController.removeSplits);
+router.put('/:id/recurrence', validate(updateRecurrenceSchema), auditLogger('TRANSACTION'), transactionsController.updateRecurrence);
+router.post('/:id/recurrence/skip', auditLogger('TRANSACTION'), transactionsController.skipOccurrence);
+router.post('/:id/recurrence/end', validate(endRecurrenceSchema), auditLogger('TRANSACTION'), transactionsController.endRecurrence);
 
 module.exports = router;
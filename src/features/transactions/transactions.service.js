@@ -17,6 +17,7 @@ const {
     UserProfile,
     Category,
     BankAccount,
+    Profile,
     sequelize
 } = require('../../models');
 const { AppError } = require('../../middlewares/errorHandler');
@@ -24,30 +25,116 @@ const { Op } = require('sequelize');
 const budgetsService = require('../budgets/budgets.service');
 const bankAccountsService = require('../bankAccounts/bankAccounts.service');
 const gamificationService = require('../gamification/gamification.service');
+const categorizationRulesService = require('../categorizationRules/categorizationRules.service');
+const recurringService = require('./recurring.service');
+const trashService = require('../trash/trash.service');
+const exchangeRatesService = require('../exchangeRates/exchangeRates.service');
+const merchantsService = require('../merchants/merchants.service');
+const categoryLimitsService = require('../budgets/categoryLimits.service');
+const { assertNotReconciled } = require('../bankAccounts/reconciliation.service');
 
 // ===========================================
 // TRANSAÇÕES MANUAIS (EDITÁVEIS)
 // ===========================================
 
+/**
+ * Moeda da transação: a informada ou a da conta vinculada
+ * O saldo da conta é movimentado na moeda dela, então as duas precisam bater.
+ */
+const resolveCurrency = async (currency, bankAccountId) => {
+    const account = bankAccountId
+        ? await BankAccount.findByPk(bankAccountId, { attributes: ['currency'] })
+        : null;
+
+    if (!currency) return account?.currency || exchangeRatesService.DEFAULT_CURRENCY;
+
+    const code = exchangeRatesService.normalizeCurrency(currency);
+    if (account && account.currency !== code) {
+        throw new AppError(
+            `A conta está em ${account.currency}. Registre a transação na moeda da conta.`,
+            400,
+            'CURRENCY_MISMATCH'
+        );
+    }
+    return code;
+};
+
 /**
  * Cria uma transação manual
  * ✅ PROFILE ISOLATION: profileId added
  */
 const createManualTransaction = async (userId, profileId, data) => {
     const {
-        type, source, description, amount, date, category, tags, notes,
-        isRecurring, frequency, recurringDay, status, cardId, categoryId,
-        forceOverbudget
+        type, source, description, amount, date,
+        isRecurring, frequency, recurringDay, status, cardId,
+        forceOverbudget, applyRules = true, origin = 'CREATE'
     } = data;
+    let { category, tags, notes, categoryId } = data;
 
     console.log('📝 [CREATE MANUAL TX] Received data:', JSON.stringify(data, null, 2));
     console.log('🎯 [CREATE MANUAL TX] Profile:', profileId);
 
+    // ========================================
+    // REGRAS DE CATEGORIZAÇÃO AUTOMÁTICA
+    // ========================================
+    // A categoria escolhida pelo usuário prevalece sobre a regra.
+    // applyRules = 'OVERRIDE' (WhatsApp): a regra prevalece sobre o palpite da IA.
+    let ruleResult = null;
+    if (applyRules) {
+        ruleResult = await categorizationRulesService.evaluate(userId, profileId, {
+            description,
+            amount,
+            type,
+            source: cardId ? 'CARD' : (source || 'OTHER'),
+            bankAccountId: data.bankAccountId,
+            cardId
+        });
+
+        if (ruleResult) {
+            const canSetCategory = applyRules === 'OVERRIDE' || (!categoryId && !category);
+            if (ruleResult.categoryId && canSetCategory) {
+                categoryId = ruleResult.categoryId;
+                category = ruleResult.categoryName;
+            } else {
+                ruleResult.categoryId = null;
+                ruleResult.categoryName = null;
+            }
+            if (ruleResult.tags.length > 0) {
+                tags = [...new Set([...(tags || []), ...ruleResult.tags])];
+            }
+            if (ruleResult.notes && !notes) notes = ruleResult.notes;
+
+            console.log('🏷️ [CREATE MANUAL TX] Rules applied:', ruleResult.rules.map(r => r.ruleName).join(', '));
+        }
+    }
+
+    // ========================================
+    // ESTABELECIMENTO (MERCHANT)
+    // ========================================
+    // Categoria padrão do estabelecimento só entra se nem o usuário nem uma regra definiram
+    const merchant = await merchantsService.resolve(userId, profileId, description);
+    if (merchant && merchant.categoryId && applyRules && !(ruleResult && ruleResult.categoryId)) {
+        if (applyRules === 'OVERRIDE' || (!categoryId && !category)) {
+            categoryId = merchant.categoryId;
+            category = merchant.categoryName;
+        }
+    }
+
+    const currency = cardId ? exchangeRatesService.DEFAULT_CURRENCY : await resolveCurrency(data.currency, data.bankAccountId);
+
     // ========================================
     // VERIFICAÇÃO DE ORÇAMENTO (para despesas)
     // ========================================
     if (type === 'EXPENSE' && categoryId) {
-        const budgetCheck = await budgetsService.checkBudgetHealth(userId, profileId, categoryId, amount);
+        // Orçamento é na moeda do perfil
+        let budgetAmount = amount;
+        const baseCurrency = await exchangeRatesService.getBaseCurrency(profileId);
+        if (currency !== baseCurrency) {
+            const converted = await exchangeRatesService.convert(amount, currency, baseCurrency, date, { userId });
+            budgetAmount = converted.convertedAmount;
+        }
+
+        const budgetCheck = await budgetsService.checkBudgetHealth(userId, profileId, categoryId, budgetAmount);
 
         console.log('💰 [BUDGET CHECK] Result:', JSON.stringify(budgetCheck, null, 2));
 
@@ -103,17 +190,32 @@ const createManualTransaction = async (userId, profileId, data) => {
             category: category || 'OTHER',
             isRecurring: isRecurring || false,
             recurringFrequency: frequency || null,
-            status: cardStatus
+            status: cardStatus,
+            notes: notes || null,
+            tags: tags || []
         });
 
         console.log('✅ [CREATE MANUAL TX] CardTransaction created:', cardTransaction.id);
 
+        await categorizationRulesService.recordApplication(userId, 'CARD', cardTransaction.id, ruleResult, { trigger: origin });
+        await merchantsService.assignMerchant(userId, 'CARD', cardTransaction.id, merchant && merchant.merchantId);
+
+        // Limite mensal da categoria (alertas 50/80/100%)
+        await categoryLimitsService.checkTransaction(userId, profileId, {
+            category: cardTransaction.category,
+            date,
+            transactionId: cardTransaction.id,
+            transactionType: 'CARD'
+        });
+
         return {
             ...cardTransaction.toJSON(),
             source: 'CARD',
             category,
             tags,
-            notes
+            notes,
+            merchant: merchant ? { id: merchant.merchantId, name: merchant.merchantName } : null,
+            appliedRules: ruleResult ? ruleResult.rules : []
         };
     }
 
@@ -127,6 +229,7 @@ const createManualTransaction = async (userId, profileId, data) => {
         source: source || 'OTHER',
         description,
         amount,
+        currency,
         date,
         status: status || 'COMPLETED',
         isRecurring: isRecurring || false,
@@ -141,7 +244,10 @@ const createManualTransaction = async (userId, profileId, data) => {
     // ✅ NEW: Update bank account balance if bankAccountId provided
     if (data.bankAccountId && (status === 'COMPLETED' || !status)) {
         const balanceChange = type === 'INCOME' ? parseFloat(amount) : -parseFloat(amount);
-        await bankAccountsService.updateBalance(data.bankAccountId, balanceChange);
+        await bankAccountsService.updateBalance(data.bankAccountId, balanceChange, null, {
+            transactionId: transaction.id,
+            reason: 'TRANSACTION_CREATE'
+        });
         console.log('💰 [BALANCE UPDATE] Updated balance for account:', data.bankAccountId, 'by', balanceChange);
     }
 
@@ -157,6 +263,19 @@ const createManualTransaction = async (userId, profileId, data) => {
         });
     }
 
+    await categorizationRulesService.recordApplication(userId, 'MANUAL', transaction.id, ruleResult, { trigger: origin });
+    await merchantsService.assignMerchant(userId, 'MANUAL', transaction.id, merchant && merchant.merchantId);
+
+    // Série recorrente: gerar as próximas ocorrências (PENDING) dentro do horizonte
+    if (recurringService.isSeriesMaster(transaction)) {
+        try {
+            const created = await recurringService.materializeSeries(transaction);
+            console.log('🔁 [CREATE MANUAL TX] Recurring occurrences created:', created);
+        } catch (error) {
+            console.error('⚠️ [CREATE MANUAL TX] Error materializing occurrences:', error.message);
+        }
+    }
+
     await AuditLog.log({
         userId,
         action: AuditLog.ACTIONS.TRANSACTION_CREATE,
@@ -165,14 +284,46 @@ const createManualTransaction = async (userId, profileId, data) => {
         newData: { type, source, amount, description, isRecurring, status, profileId }
     });
 
+    // Limite mensal da categoria (alertas 50/80/100%)
+    if (transaction.status === 'COMPLETED') {
+        await categoryLimitsService.checkTransaction(userId, profileId, {
+            type,
+            categoryId: transaction.categoryId,
+            date,
+            transactionId: transaction.id,
+            transactionType: 'MANUAL'
+        });
+    }
+
     return {
         ...transaction.toJSON(),
         category,
         tags,
-        notes
+        notes,
+        merchant: merchant ? { id: merchant.merchantId, name: merchant.merchantName } : null,
+        appliedRules: ruleResult ? ruleResult.rules : []
     };
 };
 
+/**
+ * Retirada do sócio (PJ → PF): valor, tipo, conta, moeda e perfil das pontas
+ * só mudam excluindo e registrando de novo (senão PJ e PF divergem)
+ */
+const OWNER_TRANSFER_LOCKED_FIELDS = ['type', 'amount', 'currency', 'bankAccountId', 'profileId'];
+
+const assertOwnerTransferEditable = (transaction, data) => {
+    if (!transaction.ownerTransferType) return;
+
+    if (OWNER_TRANSFER_LOCKED_FIELDS.some(field =>
+        data[field] !== undefined && String(data[field]) !== String(transaction[field]))) {
+        throw new AppError(
+            'Esta transação é uma retirada do sócio (PJ → PF). Exclua e registre novamente para alterar valor ou contas.',
+            400,
+            'OWNER_TRANSFER_LOCKED'
+        );
+    }
+};
+
 /**
  * Atualiza uma transação manual
  * ✅ PROFILE ISOLATION: profileId added
@@ -191,7 +342,24 @@ const updateManualTransaction = async (userId, profileId, transactionId, data) =
 
     const previousData = transaction.toJSON();
 
-    const allowedFields = ['type', 'source', 'description', 'amount', 'date', 'categoryId', 'status', 'isRecurring', 'recurringFrequency', 'recurringDay'];
+    await assertNotReconciled(transaction, data);
+    assertOwnerTransferEditable(transaction, data);
+
+    // Transação dividida: o valor só muda junto com as linhas
+    if (transaction.isSplit && data.amount !== undefined &&
+        Math.round(parseFloat(data.amount) * 100) !== Math.round(parseFloat(transaction.amount) * 100)) {
+        throw new AppError(
+            'Esta transação está dividida em categorias. Desfaça ou ajuste a divisão antes de alterar o valor.',
+            400,
+            'SPLIT_AMOUNT_MISMATCH'
+        );
+    }
+
+    if (data.currency !== undefined) {
+        data.currency = await resolveCurrency(data.currency, transaction.bankAccountId);
+    }
+
+    const allowedFields = ['type', 'source', 'description', 'amount', 'currency', 'date', 'categoryId', 'status', 'isRecurring', 'recurringFrequency', 'recurringDay'];
     for (const field of allowedFields) {
         if (data[field] !== undefined) {
             transaction[field] = data[field];
@@ -217,11 +385,22 @@ const updateManualTransaction = async (userId, profileId, transactionId, data) =
         newData: data
     });
 
+    // Ocorrência recorrente (ou pendente) paga agora: limite mensal da categoria
+    if (previousData.status !== 'COMPLETED' && transaction.status === 'COMPLETED') {
+        await categoryLimitsService.checkTransaction(userId, transaction.profileId, {
+            type: transaction.type,
+            categoryId: transaction.categoryId,
+            date: transaction.date,
+            transactionId: transaction.id,
+            transactionType: 'MANUAL'
+        });
+    }
+
     return transaction;
 };
 
 /**
- * Exclui uma transação manual
+ * Exclui uma transação manual (vai para a lixeira; o saldo é revertido)
  * ✅ PROFILE ISOLATION: profileId added
  * ⚠️ SYSTEM PROTECTION: Transações com source='SYSTEM' não podem ser excluídas
  */
@@ -237,6 +416,13 @@ const deleteManualTransaction = async (userId, profileId, transactionId) => {
         throw new AppError('Transação não encontrada', 404, 'TRANSACTION_NOT_FOUND');
     }
 
+    await assertNotReconciled(transaction);
+
+    const linked = transaction.ownerTransferType && transaction.linkedTransferId
+        ? await ManualTransaction.findOne({ where: { id: transaction.linkedTransferId, userId } })
+        : null;
+    if (linked) await assertNotReconciled(linked);
+
     // ⚠️ Bloquear exclusão de transações recorrentes do sistema (Salário, DAS, Pró-labore)
     // Essas transações são geradas automaticamente e só podem ser editadas
     const isSystemTransaction = transaction.isRecurring && (
@@ -256,32 +442,62 @@ const deleteManualTransaction = async (userId, profileId, transactionId) => {
         );
     }
 
+    // Ocorrência futura de uma série: excluir = pular (senão o agendador a recriaria)
+    if (transaction.recurringSeriesId && transaction.status === 'PENDING') {
+        await recurringService.skipOccurrence(userId, profileId, transactionId);
+        return { message: 'Ocorrência removida da série', skipped: true };
+    }
+
+    // Definição da série: as ocorrências futuras ainda pendentes saem junto
+    if (recurringService.isSeriesMaster(transaction)) {
+        await recurringService.destroyPendingAfter(
+            transaction.id,
+            new Date().toISOString().split('T')[0]
+        );
+        await ManualTransaction.update(
+            { recurringSeriesId: null },
+            { where: { recurringSeriesId: transaction.id } }
+        );
+    }
+
     // ✅ NEW: Revert balance if had bankAccountId
     if (transaction.bankAccountId && transaction.status === 'COMPLETED') {
         const amountToRevert = transaction.type === 'INCOME'
             ? -parseFloat(transaction.amount)
             : parseFloat(transaction.amount);
-        await bankAccountsService.updateBalance(transaction.bankAccountId, amountToRevert);
+        await bankAccountsService.updateBalance(transaction.bankAccountId, amountToRevert, null, {
+            transactionId: transaction.id,
+            reason: 'TRANSACTION_DELETE'
+        });
         console.log('💰 [BALANCE REVERT] Reverted balance for account:', transaction.bankAccountId, 'by', amountToRevert);
     }
 
-    await TransactionMetadata.destroy({
-        where: {
-            transactionType: 'MANUAL',
-            transactionId
+    // Retirada do sócio (PJ → PF): a outra ponta sai junto, na mesma exclusão
+    const trashedIds = [transaction.id];
+    if (linked) {
+        if (linked.bankAccountId && linked.status === 'COMPLETED') {
+            await bankAccountsService.updateBalance(
+                linked.bankAccountId,
+                linked.type === 'INCOME' ? -parseFloat(linked.amount) : parseFloat(linked.amount),
+                null,
+                { transactionId: linked.id, reason: 'TRANSACTION_DELETE' }
+            );
         }
-    });
+        trashedIds.push(linked.id);
+    }
 
-    await transaction.destroy();
+    // Lixeira: metadata, divisões e anexos ficam guardados até o expurgo
+    const { batchId } = await trashService.moveToTrash('MANUAL', { id: trashedIds });
 
     await AuditLog.log({
         userId,
         action: AuditLog.ACTIONS.TRANSACTION_DELETE,
         resource: 'MANUAL_TRANSACTION',
-        resourceId: transactionId
+        resourceId: transactionId,
+        details: { deletionBatchId: batchId }
     });
 
-    return { message: 'Transação excluída com sucesso' };
+    return { message: 'Transação movida para a lixeira', deletionBatchId: batchId };
 };
 
 // ===========================================
@@ -728,8 +944,14 @@ const createInternalTransfer = async (userId, data) => {
         await expenseTransaction.save({ transaction: t });
 
         // Update balances
-        await bankAccountsService.updateBalance(fromBankAccountId, -parseFloat(amount), t);
-        await bankAccountsService.updateBalance(toBankAccountId, parseFloat(amount), t);
+        await bankAccountsService.updateBalance(fromBankAccountId, -parseFloat(amount), t, {
+            transactionId: expenseTransaction.id,
+            reason: 'INTERNAL_TRANSFER'
+        });
+        await bankAccountsService.updateBalance(toBankAccountId, parseFloat(amount), t, {
+            transactionId: incomeTransaction.id,
+            reason: 'INTERNAL_TRANSFER'
+        });
 
         // Commit transaction
         await t.commit();
@@ -789,6 +1011,209 @@ const createInternalTransfer = async (userId, data) => {
     }
 };
 
+// ===========================================
+// RETIRADAS DO SÓCIO (PJ → PF)
+// ===========================================
+
+const OWNER_TRANSFER_TYPES = {
+    PRO_LABORE: { label: 'Pró-labore', source: 'SALARY', icon: 'FiBriefcase', color: '#0ea5e9' },
+    PROFIT_DISTRIBUTION: { label: 'Distribuição de lucros', source: 'WIRE_TRANSFER', icon: 'FiPieChart', color: '#10b981' }
+};
+
+/**
+ * Categoria da retirada no perfil (criada na primeira vez)
+ */
+const ensureOwnerTransferCategory = async (userId, profileId, ownerTransferType, categoryType, t) => {
+    const config = OWNER_TRANSFER_TYPES[ownerTransferType];
+
+    const [category] = await Category.findOrCreate({
+        where: { userId, profileId, name: config.label, type: categoryType },
+        defaults: {
+            userId,
+            profileId,
+            name: config.label,
+            type: categoryType,
+            icon: config.icon,
+            color: config.color
+        },
+        transaction: t
+    });
+
+    return category;
+};
+
+/**
+ * Retirada do sócio: debita conta do perfil BUSINESS e credita conta do perfil PERSONAL
+ *
+ * - Na PJ entra como EXPENSE (pró-labore ou distribuição de lucros)
+ * - Na PF entra como INCOME
+ * - As duas pontas ficam ligadas por linkedTransferId e marcadas com
+ *   ownerTransferType, para que visões consolidadas não contem duas vezes
+ *
+ * @param {string} userId - User ID
+ * @param {object} data - Transfer data
+ * @param {string} data.fromBankAccountId - Conta da empresa (perfil BUSINESS)
+ * @param {string} data.toBankAccountId - Conta pessoal (perfil PERSONAL)
+ * @param {string} data.ownerTransferType - PRO_LABORE | PROFIT_DISTRIBUTION
+ * @param {number} data.amount - Valor
+ * @param {string} data.date - Data (default hoje)
+ * @param {string} data.description - Descrição opcional
+ */
+const createOwnerTransfer = async (userId, data) => {
+    const { fromBankAccountId, toBankAccountId, ownerTransferType, amount, description } = data;
+    const date = data.date || new Date().toISOString().split('T')[0];
+    const config = OWNER_TRANSFER_TYPES[ownerTransferType];
+
+    if (!config) {
+        throw new AppError(
+            `Tipo de retirada inválido. Use: ${Object.keys(OWNER_TRANSFER_TYPES).join(', ')}`,
+            400,
+            'INVALID_OWNER_TRANSFER_TYPE'
+        );
+    }
+
+    if (!fromBankAccountId || !toBankAccountId || !(parseFloat(amount) > 0)) {
+        throw new AppError('Dados incompletos para a retirada', 400, 'INVALID_TRANSFER_DATA');
+    }
+
+    const t = await sequelize.transaction();
+
+    try {
+        const accounts = await BankAccount.findAll({
+            where: { id: [fromBankAccountId, toBankAccountId], userId },
+            include: [{ model: Profile, as: 'profile', attributes: ['id', 'type', 'subtype', 'name'] }],
+            transaction: t
+        });
+        const fromAccount = accounts.find(a => a.id === fromBankAccountId);
+        const toAccount = accounts.find(a => a.id === toBankAccountId);
+
+        if (!fromAccount || !toAccount) {
+            throw new AppError('Uma ou mais contas não encontradas', 404, 'ACCOUNT_NOT_FOUND');
+        }
+
+        if (fromAccount.profile?.type !== 'BUSINESS' || toAccount.profile?.type !== 'PERSONAL') {
+            throw new AppError(
+                'A retirada sai de uma conta do perfil empresarial (PJ) para uma conta do perfil pessoal (PF)',
+                400,
+                'INVALID_OWNER_TRANSFER_PROFILES'
+            );
+        }
+
+        if (fromAccount.currency !== toAccount.currency) {
+            throw new AppError(
+                `As contas estão em moedas diferentes (${fromAccount.currency} e ${toAccount.currency})`,
+                400,
+                'CURRENCY_MISMATCH'
+            );
+        }
+
+        const currentBalance = parseFloat(fromAccount.balance) || 0;
+        if (currentBalance < parseFloat(amount)) {
+            throw new AppError('Saldo insuficiente na conta de origem', 400, 'INSUFFICIENT_BALANCE');
+        }
+
+        const [expenseCategory, incomeCategory] = [
+            await ensureOwnerTransferCategory(userId, fromAccount.profileId, ownerTransferType, 'EXPENSE', t),
+            await ensureOwnerTransferCategory(userId, toAccount.profileId, ownerTransferType, 'INCOME', t)
+        ];
+
+        const label = description || config.label;
+
+        // Despesa/distribuição na PJ
+        const expenseTransaction = await ManualTransaction.create({
+            userId,
+            profileId: fromAccount.profileId,
+            bankAccountId: fromAccount.id,
+            type: 'EXPENSE',
+            ownerTransferType,
+            source: config.source,
+            description: `${label} → ${toAccount.profile.name}`,
+            amount,
+            currency: fromAccount.currency,
+            date,
+            status: 'COMPLETED',
+            categoryId: expenseCategory.id
+        }, { transaction: t });
+
+        // Receita na PF
+        const incomeTransaction = await ManualTransaction.create({
+            userId,
+            profileId: toAccount.profileId,
+            bankAccountId: toAccount.id,
+            type: 'INCOME',
+            ownerTransferType,
+            source: config.source,
+            description: `${label} ← ${fromAccount.profile.name}`,
+            amount,
+            currency: toAccount.currency,
+            date,
+            status: 'COMPLETED',
+            categoryId: incomeCategory.id,
+            linkedTransferId: expenseTransaction.id
+        }, { transaction: t });
+
+        expenseTransaction.linkedTransferId = incomeTransaction.id;
+        await expenseTransaction.save({ transaction: t });
+
+        await bankAccountsService.updateBalance(fromAccount.id, -parseFloat(amount), t, {
+            transactionId: expenseTransaction.id,
+            reason: 'OWNER_TRANSFER'
+        });
+        await bankAccountsService.updateBalance(toAccount.id, parseFloat(amount), t, {
+            transactionId: incomeTransaction.id,
+            reason: 'OWNER_TRANSFER'
+        });
+
+        await AuditLog.create({
+            userId,
+            action: AuditLog.ACTIONS.OWNER_TRANSFER,
+            resource: 'MANUAL_TRANSACTION',
+            resourceId: expenseTransaction.id,
+            details: {
+                ownerTransferType,
+                amount,
+                fromProfileId: fromAccount.profileId,
+                toProfileId: toAccount.profileId,
+                fromAccount: fromAccount.bankName,
+                toAccount: toAccount.bankName
+            }
+        }, { transaction: t });
+
+        await t.commit();
+
+        console.log('✅ [OWNER TRANSFER] Transfer completed:', {
+            type: ownerTransferType,
+            from: fromAccount.bankName,
+            to: toAccount.bankName,
+            amount
+        });
+
+        return {
+            ownerTransferType,
+            expense: expenseTransaction.toJSON(),
+            income: incomeTransaction.toJSON(),
+            summary: {
+                fromAccount: {
+                    id: fromAccount.id,
+                    bankName: fromAccount.bankName,
+                    profileId: fromAccount.profileId,
+                    newBalance: currentBalance - parseFloat(amount)
+                },
+                toAccount: {
+                    id: toAccount.id,
+                    bankName: toAccount.bankName,
+                    profileId: toAccount.profileId,
+                    newBalance: (parseFloat(toAccount.balance) || 0) + parseFloat(amount)
+                }
+            }
+        };
+    } catch (error) {
+        await t.rollback();
+        console.error('❌ [OWNER TRANSFER] Error:', error);
+        throw error;
+    }
+};
+
 module.exports = {
     createManualTransaction,
     updateManualTransaction,
@@ -797,5 +1222,7 @@ module.exports = {
     listTransactions,
     listCategories,
     getTransaction,
-    createInternalTransfer
+    createInternalTransfer,
+    createOwnerTransfer,
+    OWNER_TRANSFER_TYPES
 };
@@ -0,0 +1,4 @@
+module.exports = {
+    trashController: require('./trash.controller'),
+    trashRoutes: require('./trash.routes')
+};
@@ -0,0 +1,100 @@
+/**
+ * Trash Controller
+ * ✅ PROFILE ISOLATION: Uses req.profileId
+ */
+
+const trashService = require('./trash.service');
+
+/**
+ * GET /trash?source=MANUAL|CARD
+ */
+const list = async (req, res, next) => {
+    try {
+        const source = req.query.source ? String(req.query.source).toUpperCase() : undefined;
+
+        const result = await trashService.listTrash(req.userId, req.profileId, {
+            source: trashService.SOURCES.includes(source) ? source : undefined,
+            limit: req.query.limit
+        });
+
+        res.json({ data: result });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /trash/:source/:id/restore
+ */
+const restore = async (req, res, next) => {
+    try {
+        const source = req.params.source.toUpperCase();
+        const result = await trashService.restoreItem(req.userId, req.profileId, source, req.params.id, {
+            wholeBatch: req.body.wholeBatch === true
+        });
+
+        res.json({
+            message: `${result.restored} transação(ões) restaurada(s)`,
+            data: result
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * POST /trash/batches/:batchId/restore
+ */
+const restoreBatch = async (req, res, next) => {
+    try {
+        const result = await trashService.restoreBatch(req.userId, req.profileId, req.params.batchId);
+
+        res.json({
+            message: `${result.restored} transação(ões) restaurada(s)`,
+            data: result
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * DELETE /trash/:source/:id
+ */
+const remove = async (req, res, next) => {
+    try {
+        const source = req.params.source.toUpperCase();
+        const result = await trashService.deleteForever(req.userId, req.profileId, source, req.params.id);
+
+        res.json({
+            message: 'Transação excluída definitivamente',
+            data: result
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * DELETE /trash
+ */
+const empty = async (req, res, next) => {
+    try {
+        const result = await trashService.emptyTrash(req.userId, req.profileId);
+
+        res.json({
+            message: `${result.purged} transação(ões) excluída(s) definitivamente`,
+            data: result
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    list,
+    restore,
+    restoreBatch,
+    remove,
+    empty
+};
@@ -0,0 +1,39 @@
+/**
+ * Trash Routes
+ * ========================================
+ * ✅ PROFILE ISOLATION: Uses profileMiddleware
+ * ========================================
+ */
+
+const { Router } = require('express');
+const trashController = require('./trash.controller');
+const { authMiddleware } = require('../../middlewares/authMiddleware');
+const { profileMiddleware } = require('../../middlewares/profileMiddleware');
+const { validate } = require('../../utils/validators');
+
+const router = Router();
+
+// ✅ Auth first, then profile isolation
+router.use(authMiddleware);
+router.use(profileMiddleware);
+
+// Schemas de validação
+const itemSchema = {
+    params: {
+        id: { type: 'uuid' }
+    }
+};
+
+const batchSchema = {
+    params: {
+        batchId: { type: 'uuid' }
+    }
+};
+
+router.get('/', trashController.list);
+router.delete('/', trashController.empty);
+router.post('/batches/:batchId/restore', validate(batchSchema), trashController.restoreBatch);
+router.post('/:source/:id/restore', validate(itemSchema), trashController.restore);
+router.delete('/:source/:id', validate(itemSchema), trashController.remove);
+
+module.exports = router;
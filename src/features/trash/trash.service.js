@@ -0,0 +1,418 @@
+/**
+ * Trash Service
+ * ========================================
+ * LIXEIRA DE TRANSAÇÕES
+ * ========================================
+ *
+ * ManualTransaction e CardTransaction são paranoid: excluir só preenche
+ * deleted_at. Metadata, divisões e anexos ficam guardados até o expurgo.
+ *
+ * - Exclusões feitas juntas (parcelamento, operação em lote) compartilham
+ *   o deletionBatchId e podem ser restauradas de uma vez
+ * - Restaurar reaplica o efeito no saldo da conta (revertido na exclusão)
+ * - Após TRASH_RETENTION_DAYS os registros são apagados definitivamente
+ *
+ * ✅ PROFILE ISOLATION: manuais pelo profileId, cartão pelo perfil do cartão
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const moment = require('moment');
+const {
+    ManualTransaction,
+    CardTransaction,
+    CreditCard,
+    TransactionMetadata,
+    AuditLog,
+    sequelize
+} = require('../../models');
+const { AppError } = require('../../middlewares/errorHandler');
+const { Op } = require('sequelize');
+const bankAccountsService = require('../bankAccounts/bankAccounts.service');
+const splitsService = require('../transactions/splits.service');
+const attachmentsService = require('../attachments/attachments.service');
+const recurringService = require('../transactions/recurring.service');
+const { assertNotReconciled } = require('../bankAccounts/reconciliation.service');
+
+const SOURCES = ['MANUAL', 'CARD'];
+
+const MODELS = {
+    MANUAL: ManualTransaction,
+    CARD: CardTransaction
+};
+
+const ATTACHMENT_TYPES = {
+    MANUAL: 'MANUAL_TRANSACTION',
+    CARD: 'CARD_TRANSACTION'
+};
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DEFAULT_LIST_LIMIT = 200;
+const PURGE_CHUNK_SIZE = 500;
+
+const getRetentionDays = () => parseInt(process.env.TRASH_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS;
+
+/**
+ * Move registros para a lixeira com um deletionBatchId comum
+ *
+ * @param {string} source - MANUAL | CARD
+ * @param {object} where - Filtro dos registros (já isolado por usuário/perfil)
+ * @param {object} options - { batchId, transaction }
+ * @returns {Promise<{ batchId: string, count: number }>}
+ */
+const moveToTrash = async (source, where, options = {}) => {
+    const Model = MODELS[source];
+    const batchId = options.batchId || uuidv4();
+
+    await Model.update({ deletionBatchId: batchId }, { where, transaction: options.transaction });
+    const count = await Model.destroy({ where, transaction: options.transaction });
+
+    return { batchId, count };
+};
+
+/**
+ * Filtro de registros na lixeira do perfil
+ */
+const trashedQuery = (source, userId, profileId, where = {}) => {
+    const query = {
+        where: { ...where, userId, deletedAt: { [Op.ne]: null } },
+        paranoid: false
+    };
+
+    if (source === 'MANUAL') {
+        if (profileId) query.where.profileId = profileId; // ✅ PROFILE ISOLATION
+    } else {
+        query.include = [{
+            model: CreditCard,
+            as: 'card',
+            attributes: ['id', 'name', 'lastFourDigits'],
+            ...(profileId ? { where: { profileId } } : {}) // ✅ PROFILE ISOLATION
+        }];
+    }
+
+    return query;
+};
+
+const formatItem = (source, record, batchSizes) => {
+    const base = {
+        id: record.id,
+        source,
+        description: record.description,
+        amount: parseFloat(record.amount),
+        date: record.date,
+        status: record.status,
+        deletedAt: record.deletedAt,
+        purgeAt: moment(record.deletedAt).add(getRetentionDays(), 'days').toDate(),
+        deletionBatchId: record.deletionBatchId,
+        batchSize: batchSizes.get(record.deletionBatchId) || 1
+    };
+
+    if (source === 'MANUAL') {
+        return {
+            ...base,
+            type: record.type,
+            currency: record.currency,
+            bankAccountId: record.bankAccountId
+        };
+    }
+
+    return {
+        ...base,
+        type: 'EXPENSE',
+        category: record.category,
+        card: record.card ? { id: record.card.id, name: record.card.name, lastFourDigits: record.card.lastFourDigits } : null,
+        installmentGroupId: record.installmentGroupId,
+        installmentNumber: record.installmentNumber,
+        totalInstallments: record.totalInstallments
+    };
+};
+
+/**
+ * Lista a lixeira do perfil (mais recentes primeiro)
+ *
+ * @param {object} filters - { source, limit }
+ */
+const listTrash = async (userId, profileId, filters = {}) => {
+    const sources = filters.source ? [filters.source] : SOURCES;
+    const limit = Math.min(parseInt(filters.limit) || DEFAULT_LIST_LIMIT, DEFAULT_LIST_LIMIT);
+
+    const results = await Promise.all(sources.map(source => MODELS[source].findAll({
+        ...trashedQuery(source, userId, profileId),
+        order: [['deletedAt', 'DESC']],
+        limit
+    })));
+
+    const records = [];
+    sources.forEach((source, index) => {
+        results[index].forEach(record => records.push({ source, record }));
+    });
+
+    const batchSizes = new Map();
+    records.forEach(({ record }) => {
+        if (record.deletionBatchId) {
+            batchSizes.set(record.deletionBatchId, (batchSizes.get(record.deletionBatchId) || 0) + 1);
+        }
+    });
+
+    const items = records
+        .sort((a, b) => new Date(b.record.deletedAt) - new Date(a.record.deletedAt))
+        .slice(0, limit)
+        .map(({ source, record }) => formatItem(source, record, batchSizes));
+
+    return {
+        retentionDays: getRetentionDays(),
+        items
+    };
+};
+
+/**
+ * Busca um registro na lixeira
+ */
+const findTrashed = async (userId, profileId, source, id, options = {}) => {
+    if (!SOURCES.includes(source)) {
+        throw new AppError(`Origem inválida. Use: ${SOURCES.join(', ')}`, 400, 'INVALID_TRASH_SOURCE');
+    }
+
+    const record = await MODELS[source].findOne({
+        ...trashedQuery(source, userId, profileId, { id }),
+        transaction: options.transaction
+    });
+
+    if (!record) {
+        throw new AppError('Item não encontrado na lixeira', 404, 'TRASH_ITEM_NOT_FOUND');
+    }
+
+    return record;
+};
+
+/**
+ * Restaura registros (dentro de uma transação do banco)
+ * Manuais concluídas com conta têm o saldo reaplicado
+ */
+const restoreRecords = async (source, records, t) => {
+    const balanceChanges = {};
+
+    for (const record of records) {
+        await record.restore({ transaction: t });
+        await record.update({ deletionBatchId: null }, { transaction: t });
+
+        if (source === 'MANUAL' && record.bankAccountId && record.status === 'COMPLETED') {
+            // Inverso do estorno feito em deleteManualTransaction
+            const amount = record.type === 'INCOME'
+                ? parseFloat(record.amount)
+                : -parseFloat(record.amount);
+            await bankAccountsService.updateBalance(record.bankAccountId, amount, t, {
+                transactionId: record.id,
+                reason: 'TRASH_RESTORE'
+            });
+            balanceChanges[record.bankAccountId] = Math.round(((balanceChanges[record.bankAccountId] || 0) + amount) * 100) / 100;
+        }
+    }
+
+    return balanceChanges;
+};
+
+/**
+ * Restaura os registros informados e registra a auditoria
+ */
+const restore = async (userId, profileId, source, records, details = {}) => {
+    const t = await sequelize.transaction();
+
+    try {
+        // Compensada em conciliação concluída: voltar com ela quebraria o extrato fechado
+        if (source === 'MANUAL') {
+            for (const record of records) {
+                await assertNotReconciled(record, null, { transaction: t });
+            }
+        }
+
+        const balanceChanges = await restoreRecords(source, records, t);
+
+        await AuditLog.create({
+            userId,
+            action: AuditLog.ACTIONS.TRANSACTION_RESTORE,
+            resource: source === 'MANUAL' ? 'MANUAL_TRANSACTION' : 'CARD_TRANSACTION',
+            resourceId: records[0].id,
+            details: {
+                profileId,
+                ...details,
+                restored: records.map(r => r.id),
+                balanceChanges
+            }
+        }, { transaction: t });
+
+        await t.commit();
+
+        // Definição de série restaurada: volta a gerar as próximas ocorrências
+        for (const record of records) {
+            if (source === 'MANUAL' && recurringService.isSeriesMaster(record)) {
+                await recurringService.materializeSeries(record);
+            }
+        }
+
+        return {
+            restored: records.length,
+            transactions: records.map(r => ({ id: r.id, source, description: r.description, date: r.date })),
+            balanceChanges
+        };
+    } catch (error) {
+        await t.rollback();
+        console.error('❌ [TRASH RESTORE] Error:', error);
+        throw error;
+    }
+};
+
+/**
+ * Retirada do sócio: a outra ponta (no outro perfil do mesmo usuário) volta junto,
+ * senão PJ e PF divergem
+ */
+const withOwnerTransferLegs = async (userId, records) => {
+    const ids = new Set(records.map(r => r.id));
+    const missing = records
+        .filter(r => r.ownerTransferType && r.linkedTransferId && !ids.has(r.linkedTransferId))
+        .map(r => r.linkedTransferId);
+    if (missing.length === 0) return records;
+
+    // Sem filtro de perfil: a ponta vinculada é do mesmo usuário, em outro perfil
+    const linked = await ManualTransaction.findAll(trashedQuery('MANUAL', userId, null, { id: missing }));
+    return [...records, ...linked];
+};
+
+/**
+ * Restaura um item da lixeira
+ * wholeBatch: restaura também os excluídos junto (parcelas, lote)
+ * Retirada do sócio sempre volta com as duas pontas
+ */
+const restoreItem = async (userId, profileId, source, id, options = {}) => {
+    const record = await findTrashed(userId, profileId, source, id);
+
+    if ((options.wholeBatch || record.ownerTransferType) && record.deletionBatchId) {
+        return restoreBatch(userId, profileId, record.deletionBatchId);
+    }
+
+    const records = source === 'MANUAL' ? await withOwnerTransferLegs(userId, [record]) : [record];
+    return restore(userId, profileId, source, records);
+};
+
+/**
+ * Restaura todos os itens de uma exclusão (parcelamento inteiro, operação em lote)
+ * Para exclusões em lote, o deletionBatchId é o operationId
+ */
+const restoreBatch = async (userId, profileId, batchId) => {
+    const [batchManual, card] = await Promise.all(SOURCES.map(source => MODELS[source].findAll({
+        ...trashedQuery(source, userId, profileId, { deletionBatchId: batchId })
+    })));
+    const manual = await withOwnerTransferLegs(userId, batchManual);
+
+    if (manual.length === 0 && card.length === 0) {
+        throw new AppError('Exclusão não encontrada na lixeira', 404, 'TRASH_BATCH_NOT_FOUND');
+    }
+
+    const results = [];
+    if (manual.length > 0) results.push(await restore(userId, profileId, 'MANUAL', manual, { batchId }));
+    if (card.length > 0) results.push(await restore(userId, profileId, 'CARD', card, { batchId }));
+
+    return {
+        batchId,
+        restored: results.reduce((total, r) => total + r.restored, 0),
+        transactions: results.flatMap(r => r.transactions),
+        balanceChanges: results.reduce((all, r) => ({ ...all, ...r.balanceChanges }), {})
+    };
+};
+
+/**
+ * Apaga definitivamente registros (metadata, divisões e anexos junto)
+ */
+const purgeRecords = async (source, ids) => {
+    if (ids.length === 0) return 0;
+
+    await TransactionMetadata.destroy({ where: { transactionType: source, transactionId: ids } });
+    await splitsService.destroyForTransactions(source, ids);
+    await attachmentsService.destroyForResources(ATTACHMENT_TYPES[source], ids);
+
+    return MODELS[source].destroy({ where: { id: ids }, force: true });
+};
+
+/**
+ * Exclui definitivamente um item da lixeira
+ */
+const deleteForever = async (userId, profileId, source, id) => {
+    const record = await findTrashed(userId, profileId, source, id);
+
+    await purgeRecords(source, [record.id]);
+
+    await AuditLog.log({
+        userId,
+        action: AuditLog.ACTIONS.TRASH_PURGE,
+        resource: source === 'MANUAL' ? 'MANUAL_TRANSACTION' : 'CARD_TRANSACTION',
+        resourceId: record.id,
+        details: { profileId },
+        previousData: record.toJSON()
+    });
+
+    return { purged: 1 };
+};
+
+/**
+ * Esvazia a lixeira do perfil
+ */
+const emptyTrash = async (userId, profileId) => {
+    let purged = 0;
+
+    for (const source of SOURCES) {
+        const records = await MODELS[source].findAll({
+            ...trashedQuery(source, userId, profileId),
+            attributes: ['id']
+        });
+        purged += await purgeRecords(source, records.map(r => r.id));
+    }
+
+    await AuditLog.log({
+        userId,
+        action: AuditLog.ACTIONS.TRASH_PURGE,
+        resource: 'TRASH',
+        details: { profileId, purged }
+    });
+
+    return { purged };
+};
+
+/**
+ * Expurgo automático: apaga o que está na lixeira há mais de N dias (cron)
+ *
+ * @param {object} options - { retentionDays }
+ * @returns {Promise<{ MANUAL: number, CARD: number }>}
+ */
+const purgeExpired = async (options = {}) => {
+    const retentionDays = options.retentionDays || getRetentionDays();
+    const cutoff = moment().subtract(retentionDays, 'days').toDate();
+    const result = {};
+
+    for (const source of SOURCES) {
+        result[source] = 0;
+
+        // Em blocos para não carregar a lixeira inteira
+        let records;
+        do {
+            records = await MODELS[source].findAll({
+                where: { deletedAt: { [Op.lt]: cutoff } },
+                attributes: ['id'],
+                paranoid: false,
+                limit: PURGE_CHUNK_SIZE
+            });
+            result[source] += await purgeRecords(source, records.map(r => r.id));
+        } while (records.length === PURGE_CHUNK_SIZE);
+    }
+
+    return result;
+};
+
+module.exports = {
+    SOURCES,
+    moveToTrash,
+    listTrash,
+    restoreItem,
+    restoreBatch,
+    deleteForever,
+    emptyTrash,
+    purgeExpired
+};
@@ -19,6 +19,7 @@ const { logger } = require('../../config/logger');
 const groqService = require('../ai/groq.service');
 const transactionsService = require('../transactions/transactions.service');
 const invoicesService = require('../invoices/invoices.service');
+const safeToSpendService = require('../budgets/safeToSpend.service');
 const {
     Category,
     User,
@@ -384,7 +385,7 @@ const looksLikeTransaction = (text) => {
 // ========================================
 
 /**
- * Handle shortcut commands (PF, PJ, Menu, Saldo, Bancos, Cartoes)
+ * Handle shortcut commands (PF, PJ, Menu, Saldo, Bancos, Cartoes, Gastar hoje)
  * Returns response message or null if not a shortcut
  */
 const handleShortcutCommand = async (text, user, activeProfile) => {
@@ -723,6 +724,19 @@ const handleShortcutCommand = async (text, user, activeProfile) => {
         return response;
     }
 
+    // ========================================
+    // GASTAR HOJE: Quanto posso gastar hoje
+    // ========================================
+    if (['GASTAR', 'GASTAR HOJE', 'POSSO GASTAR', 'QUANTO POSSO GASTAR HOJE'].includes(upperText.replace(/\?/g, '').trim())) {
+        if (!activeProfile) {
+            return `🤖 ❌ Nenhum perfil ativo. Digite *PF* ou *PJ* para escolher.`;
+        }
+
+        const result = await safeToSpendService.getSafeToSpend(user.id, activeProfile.id);
+        return `🤖 ${safeToSpendService.formatSafeToSpendMessage(result)}\n\n` +
+            `_Operando em: ${activeProfile.name}_`;
+    }
+
     // Menu command - UPDATED with invoice options
     if (upperText === 'MENU') {
         return `🤖 *Menu MyWallet AI*\n\n` +
@@ -735,7 +749,8 @@ const handleShortcutCommand = async (text, user, activeProfile) => {
             `💰 *Saldos e Cartões:*\n` +
             `   *SALDO* - Saldo total\n` +
             `   *BANCOS* - Saldo por conta\n` +
-            `   *CARTOES* - Meus cartões\n\n` +
+            `   *CARTOES* - Meus cartões\n` +
+            `   *GASTAR HOJE* - Quanto posso gastar hoje\n\n` +
             `💳 *Faturas:*\n` +
             `   *FATURA* - Faturas atuais\n` +
             `   *PAGAR FATURA [valor]* - Pagar fatura\n` +
@@ -905,7 +920,10 @@ const processTransactionEntries = async (entries, userId, activeProfile, context
                 date: new Date(),
                 categoryId,
                 bankAccountId,
-                isRecurring: entry.isRecurring || false
+                isRecurring: entry.isRecurring || false,
+                // Regras do usuário prevalecem sobre a categoria sugerida pela IA
+                applyRules: 'OVERRIDE',
+                origin: 'WHATSAPP'
             };
 
             // ✅ FIX: Pass profileId as second argument
@@ -926,6 +944,7 @@ const processTransactionEntries = async (entries, userId, activeProfile, context
                 type: entry.type,
                 bankName,
                 profileName,
+                category: transaction.category || null,
                 transaction
             });
 
@@ -958,6 +977,7 @@ const formatTransactionResults = (results, activeProfile) => {
             const sign = r.type === 'INCOME' ? '+' : '-';
             response += `🤖 ✅ #${r.shortId}: ${sign}*${formatCurrency(r.amount)}* (${r.description})\n`;
             response += `💳 Destino: *${r.bankName}*\n`;
+            if (r.category) response += `🏷️ Categoria: *${r.category}*\n`;
             response += `👤 Perfil: *${r.profileName}*\n\n`;
         } else {
             response += `🤖 ❌ Erro ao registrar: ${r.error}\n\n`;
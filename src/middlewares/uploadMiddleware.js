@@ -0,0 +1,143 @@
+/**
+ * Middleware de Upload (multipart/form-data)
+ * ========================================
+ * - Lê o corpo inteiro em memória (limitado por maxFileSize)
+ * - Expõe o arquivo em req.file e os demais campos em req.body
+ * - Aceita um único arquivo por requisição
+ */
+
+const express = require('express');
+const { AppError } = require('./errorHandler');
+
+// Folga para cabeçalhos das partes e campos de texto
+const MULTIPART_OVERHEAD = 64 * 1024;
+
+/**
+ * Extrai um parâmetro (name, filename, boundary) de um header
+ */
+const getHeaderParam = (header, param) => {
+    const match = header.match(new RegExp(`${param}="([^"]*)"`, 'i'))
+        || header.match(new RegExp(`${param}=([^;\\s]+)`, 'i'));
+    return match ? match[1] : null;
+};
+
+/**
+ * Divide o corpo multipart em partes { name, filename, contentType, data }
+ */
+const parseMultipart = (buffer, boundary) => {
+    const delimiter = Buffer.from(`--${boundary}`);
+    const parts = [];
+
+    let position = buffer.indexOf(delimiter);
+    while (position !== -1) {
+        position += delimiter.length;
+
+        // "--" após o delimitador encerra o corpo
+        if (buffer.slice(position, position + 2).toString() === '--') break;
+        position += 2; // CRLF
+
+        const next = buffer.indexOf(delimiter, position);
+        if (next === -1) break;
+
+        const part = buffer.slice(position, next - 2); // remove CRLF antes do delimitador
+        const headerEnd = part.indexOf('\r\n\r\n');
+        if (headerEnd !== -1) {
+            const headers = {};
+            part.slice(0, headerEnd).toString('utf8').split('\r\n').forEach(line => {
+                const index = line.indexOf(':');
+                if (index > 0) headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+            });
+
+            const disposition = headers['content-disposition'] || '';
+            parts.push({
+                name: getHeaderParam(disposition, 'name'),
+                filename: getHeaderParam(disposition, 'filename'),
+                contentType: headers['content-type'] || null,
+                data: part.slice(headerEnd + 4)
+            });
+        }
+
+        position = next;
+    }
+
+    return parts;
+};
+
+/**
+ * Cria o middleware de upload
+ *
+ * @param {object} options
+ * @param {string} options.fieldName - Campo do arquivo (default: file)
+ * @param {number} options.maxFileSize - Tamanho máximo em bytes
+ */
+const uploadMiddleware = ({ fieldName = 'file', maxFileSize }) => {
+    const rawParser = express.raw({
+        type: 'multipart/form-data',
+        limit: maxFileSize + MULTIPART_OVERHEAD
+    });
+
+    return (req, res, next) => {
+        if (!req.is('multipart/form-data')) {
+            return next(new AppError('Envie o arquivo como multipart/form-data', 400, 'INVALID_MULTIPART'));
+        }
+
+        rawParser(req, res, (error) => {
+            if (error) {
+                if (error.type === 'entity.too.large') {
+                    return next(new AppError(
+                        `Arquivo excede o limite de ${Math.round(maxFileSize / 1024 / 1024)}MB`,
+                        413,
+                        'FILE_TOO_LARGE'
+                    ));
+                }
+                return next(error);
+            }
+
+            const boundary = getHeaderParam(req.headers['content-type'] || '', 'boundary');
+            if (!boundary || !Buffer.isBuffer(req.body)) {
+                return next(new AppError('Corpo multipart inválido', 400, 'INVALID_MULTIPART'));
+            }
+
+            const parts = parseMultipart(req.body, boundary);
+            const body = {};
+            let file = null;
+
+            for (const part of parts) {
+                if (!part.name) continue;
+                if (part.filename !== null) {
+                    if (part.name === fieldName && !file) {
+                        file = {
+                            fieldName: part.name,
+                            originalName: part.filename,
+                            mimeType: part.contentType || 'application/octet-stream',
+                            size: part.data.length,
+                            buffer: part.data
+                        };
+                    }
+                } else {
+                    body[part.name] = part.data.toString('utf8');
+                }
+            }
+
+            if (!file || file.size === 0) {
+                return next(new AppError(`Arquivo não enviado (campo "${fieldName}")`, 400, 'FILE_REQUIRED'));
+            }
+            if (file.size > maxFileSize) {
+                return next(new AppError(
+                    `Arquivo excede o limite de ${Math.round(maxFileSize / 1024 / 1024)}MB`,
+                    413,
+                    'FILE_TOO_LARGE'
+                ));
+            }
+
+            req.body = body;
+            req.file = file;
+            next();
+        });
+    };
+};
+
+module.exports = {
+    uploadMiddleware,
+    parseMultipart
+};
@@ -0,0 +1,90 @@
+/**
+ * Model Attachment
+ * ========================================
+ * COMPROVANTES E ANEXOS
+ * ========================================
+ *
+ * - Recibos, boletos e PDFs de fatura vinculados a transações (manuais,
+ *   de cartão e Open Finance), guias do DAS e faturas de cartão
+ * - O arquivo fica no driver de storage (local por padrão); aqui só os metadados
+ * - Vínculo polimórfico (resourceType + resourceId), sem FK
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    const Attachment = sequelize.define('Attachment', {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true
+        },
+        userId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'users',
+                key: 'id'
+            }
+        },
+        // Perfil do registro anexado (isolamento multi-contexto)
+        profileId: {
+            type: DataTypes.UUID,
+            allowNull: true,
+            references: {
+                model: 'profiles',
+                key: 'id'
+            }
+        },
+        resourceType: {
+            type: DataTypes.ENUM('MANUAL_TRANSACTION', 'CARD_TRANSACTION', 'OPEN_FINANCE_TRANSACTION', 'DAS_GUIDE', 'CARD_INVOICE'),
+            allowNull: false
+        },
+        resourceId: {
+            type: DataTypes.UUID,
+            allowNull: false
+        },
+        kind: {
+            type: DataTypes.ENUM('RECEIPT', 'BOLETO', 'INVOICE', 'OTHER'),
+            allowNull: false,
+            defaultValue: 'RECEIPT'
+        },
+        originalName: {
+            type: DataTypes.STRING(255),
+            allowNull: false
+        },
+        mimeType: {
+            type: DataTypes.STRING(100),
+            allowNull: false
+        },
+        // Tamanho em bytes
+        size: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        // SHA-256 do conteúdo
+        checksum: {
+            type: DataTypes.STRING(64),
+            allowNull: false
+        },
+        // Driver onde o arquivo foi gravado (LOCAL, S3...)
+        storageDriver: {
+            type: DataTypes.STRING(20),
+            allowNull: false,
+            defaultValue: 'LOCAL'
+        },
+        storageKey: {
+            type: DataTypes.STRING(500),
+            allowNull: false
+        }
+    }, {
+        tableName: 'attachments',
+        timestamps: true,
+        indexes: [
+            { fields: ['user_id'] },
+            { fields: ['resource_type', 'resource_id'] }
+        ]
+    });
+
+    return Attachment;
+};
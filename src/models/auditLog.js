@@ -117,6 +117,19 @@ module.exports = (sequelize) => {
         TRANSACTION_UPDATE: 'TRANSACTION_UPDATE',
         TRANSACTION_DELETE: 'TRANSACTION_DELETE',
         METADATA_UPDATE: 'METADATA_UPDATE',
+        TRANSACTION_BULK: 'TRANSACTION_BULK',
+        TRANSACTION_BULK_REVERT: 'TRANSACTION_BULK_REVERT',
+        TRANSACTION_MERGE: 'TRANSACTION_MERGE',
+        TRANSACTION_RESTORE: 'TRANSACTION_RESTORE',
+        TRASH_PURGE: 'TRASH_PURGE',
+        OWNER_TRANSFER: 'OWNER_TRANSFER',
+
+        // Contas bancárias
+        ACCOUNT_RECONCILE: 'ACCOUNT_RECONCILE',
+
+        // Anexos
+        ATTACHMENT_UPLOAD: 'ATTACHMENT_UPLOAD',
+        ATTACHMENT_DELETE: 'ATTACHMENT_DELETE',
 
         // LGPD
         DATA_EXPORT: 'DATA_EXPORT',
@@ -0,0 +1,71 @@
+/**
+ * Model BalanceMovement
+ * ========================================
+ * MOVIMENTAÇÕES DE SALDO DAS CONTAS
+ * ========================================
+ *
+ * - Uma linha por alteração de BankAccount.balance (updateBalance)
+ * - transactionId liga a movimentação à transação que a causou
+ *   (sem FK: a transação pode ser excluída e a movimentação de estorno continua)
+ * - Base do diagnóstico de divergência de saldo (conciliação)
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    const BalanceMovement = sequelize.define('BalanceMovement', {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true
+        },
+        userId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'users',
+                key: 'id'
+            }
+        },
+        bankAccountId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'bank_accounts',
+                key: 'id'
+            }
+        },
+        transactionId: {
+            type: DataTypes.UUID,
+            allowNull: true
+        },
+        amount: {
+            type: DataTypes.DECIMAL(15, 2),
+            allowNull: false
+        },
+        balanceBefore: {
+            type: DataTypes.DECIMAL(15, 2),
+            allowNull: false
+        },
+        balanceAfter: {
+            type: DataTypes.DECIMAL(15, 2),
+            allowNull: false
+        },
+        // Ex: TRANSACTION_CREATE, TRANSACTION_DELETE, IMPORT, INVESTMENT_BUY, RECONCILIATION_ADJUSTMENT
+        reason: {
+            type: DataTypes.STRING(40),
+            allowNull: false,
+            defaultValue: 'UNSPECIFIED'
+        }
+    }, {
+        tableName: 'balance_movements',
+        timestamps: true,
+        updatedAt: false,
+        indexes: [
+            { fields: ['bank_account_id', 'created_at'] },
+            { fields: ['transaction_id'] }
+        ]
+    });
+
+    return BalanceMovement;
+};
@@ -101,6 +101,11 @@ module.exports = (sequelize) => {
             allowNull: false,
             defaultValue: 0
         },
+        // Saldo inicial informado na criação (âncora do saldo esperado antes da 1ª conciliação)
+        openingBalance: {
+            type: DataTypes.DECIMAL(15, 2),
+            allowNull: true
+        },
         // Moeda
         currency: {
             type: DataTypes.STRING(3),
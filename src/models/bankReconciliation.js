@@ -0,0 +1,108 @@
+/**
+ * Model BankReconciliation
+ * ========================================
+ * CONCILIAÇÃO BANCÁRIA
+ * ========================================
+ *
+ * - O usuário informa o saldo real do extrato em uma data
+ * - Marca as transações que aparecem no extrato (compensadas)
+ * - Ao concluir, a diferença restante vira uma transação de ajuste
+ * - A última conciliação concluída é a âncora do saldo esperado da conta
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    const BankReconciliation = sequelize.define('BankReconciliation', {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true
+        },
+        userId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'users',
+                key: 'id'
+            }
+        },
+        profileId: {
+            type: DataTypes.UUID,
+            allowNull: true,
+            references: {
+                model: 'profiles',
+                key: 'id'
+            }
+        },
+        bankAccountId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'bank_accounts',
+                key: 'id'
+            }
+        },
+        // Data e saldo do extrato real
+        statementDate: {
+            type: DataTypes.DATEONLY,
+            allowNull: false
+        },
+        statementBalance: {
+            type: DataTypes.DECIMAL(15, 2),
+            allowNull: false
+        },
+        // Saldo de abertura (extrato da conciliação anterior)
+        openingBalance: {
+            type: DataTypes.DECIMAL(15, 2),
+            allowNull: true
+        },
+        // Abertura + transações compensadas
+        clearedBalance: {
+            type: DataTypes.DECIMAL(15, 2),
+            allowNull: true
+        },
+        // Abertura + todas as transações até a data
+        expectedBalance: {
+            type: DataTypes.DECIMAL(15, 2),
+            allowNull: true
+        },
+        // BankAccount.balance no momento da conclusão
+        bookBalance: {
+            type: DataTypes.DECIMAL(15, 2),
+            allowNull: true
+        },
+        // Extrato - compensado (vira ajuste ao concluir)
+        difference: {
+            type: DataTypes.DECIMAL(15, 2),
+            allowNull: true
+        },
+        status: {
+            type: DataTypes.ENUM('OPEN', 'COMPLETED', 'CANCELLED'),
+            allowNull: false,
+            defaultValue: 'OPEN'
+        },
+        // Transação de ajuste criada ao concluir (sem FK: evita ciclo com manual_transactions)
+        adjustmentTransactionId: {
+            type: DataTypes.UUID,
+            allowNull: true
+        },
+        completedAt: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        notes: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        }
+    }, {
+        tableName: 'bank_reconciliations',
+        timestamps: true,
+        indexes: [
+            { fields: ['bank_account_id', 'status'] },
+            { fields: ['user_id'] }
+        ]
+    });
+
+    return BankReconciliation;
+};
@@ -65,6 +65,30 @@ module.exports = (sequelize) => {
             allowNull: false,
             defaultValue: 'dollar'
         },
+        // ========================================
+        // ENVELOPE (saldo passa de um mês para o outro)
+        // ========================================
+        isEnvelope: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false
+        },
+        // Sobra (ou estouro, negativo) trazida do mês anterior
+        rolloverAmount: {
+            type: DataTypes.DECIMAL(15, 2),
+            allowNull: false,
+            defaultValue: 0
+        },
+        rolloverAppliedAt: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        // Saldo líquido movido de/para outros envelopes no mês
+        transferredAmount: {
+            type: DataTypes.DECIMAL(15, 2),
+            allowNull: false,
+            defaultValue: 0
+        },
         // Mês (1-12)
         month: {
             type: DataTypes.INTEGER,
@@ -99,7 +123,7 @@ module.exports = (sequelize) => {
      * @returns {Promise<number>} Valor gasto
      */
     BudgetAllocation.prototype.getSpent = async function (models) {
-        const { ManualTransaction, CardTransaction, Category, Goal, GoalHistory } = models;
+        const { ManualTransaction, CardTransaction, Category, Goal, GoalHistory, TransactionSplit } = models;
         const { Op } = require('sequelize');
 
         const startDate = `${this.year}-${String(this.month).padStart(2, '0')}-01`;
@@ -114,13 +138,15 @@ module.exports = (sequelize) => {
         const categoryIds = linkedCategories.map(c => c.id);
         const categoryNames = linkedCategories.map(c => c.name);
 
-        // Soma de gastos manuais por categoryId
-        const manualSpent = await ManualTransaction.sum('amount', {
+        // Soma de gastos manuais por categoryId (transações divididas contam pelas linhas)
+        // Na moeda do perfil: convertedAmount quando a transação é em moeda estrangeira
+        const manualSpent = await ManualTransaction.sumConverted({
             where: {
                 userId: this.userId,
                 type: 'EXPENSE',
                 date: { [Op.between]: [startDate, endDate] },
-                categoryId: { [Op.in]: categoryIds }
+                categoryId: { [Op.in]: categoryIds },
+                isSplit: false
             }
         });
 
@@ -129,10 +155,56 @@ module.exports = (sequelize) => {
             where: {
                 userId: this.userId,
                 date: { [Op.between]: [startDate, endDate] },
-                category: { [Op.in]: categoryNames }
+                category: { [Op.in]: categoryNames },
+                isSplit: false
             }
         });
 
+        // Linhas de transações divididas vinculadas às categorias da alocação
+        let splitSpent = 0;
+        if (TransactionSplit && categoryIds.length > 0) {
+            const splitManual = await ManualTransaction.findAll({
+                where: {
+                    userId: this.userId,
+                    type: 'EXPENSE',
+                    date: { [Op.between]: [startDate, endDate] },
+                    isSplit: true
+                },
+                attributes: ['id', 'amount', 'convertedAmount']
+            });
+            const splitCard = await CardTransaction.findAll({
+                where: {
+                    userId: this.userId,
+                    date: { [Op.between]: [startDate, endDate] },
+                    isSplit: true
+                },
+                attributes: ['id']
+            });
+
+            if (splitManual.length > 0 || splitCard.length > 0) {
+                const splits = await TransactionSplit.findAll({
+                    where: {
+                        categoryId: { [Op.in]: categoryIds },
+                        [Op.or]: [
+                            { transactionType: 'MANUAL', transactionId: splitManual.map(t => t.id) },
+                            { transactionType: 'CARD', transactionId: splitCard.map(t => t.id) }
+                        ]
+                    },
+                    attributes: ['transactionType', 'transactionId', 'amount']
+                });
+
+                // Linhas de transação em moeda estrangeira seguem a mesma cotação da transação
+                const rates = new Map(splitManual
+                    .filter(t => t.convertedAmount !== null)
+                    .map(t => [t.id, parseFloat(t.convertedAmount) / parseFloat(t.amount)]));
+
+                splitSpent = splits.reduce((sum, s) => {
+                    const rate = s.transactionType === 'MANUAL' ? (rates.get(s.transactionId) || 1) : 1;
+                    return sum + parseFloat(s.amount) * rate;
+                }, 0);
+            }
+        }
+
         // Buscar metas vinculadas e somar aportes
         const linkedGoals = await Goal.findAll({
             where: { budgetAllocationId: this.id },
@@ -151,7 +223,17 @@ module.exports = (sequelize) => {
             });
         }
 
-        return (parseFloat(manualSpent) || 0) + (parseFloat(cardSpent) || 0) + (parseFloat(goalSpent) || 0);
+        return manualSpent + (parseFloat(cardSpent) || 0) +
+            (parseFloat(splitSpent) || 0) + (parseFloat(goalSpent) || 0);
+    };
+
+    /**
+     * Disponível no envelope: atribuído + sobra do mês anterior + movimentações - gasto
+     * @param {number} spent - Resultado de getSpent
+     */
+    BudgetAllocation.prototype.getAvailable = function (spent) {
+        return parseFloat(this.amount) + parseFloat(this.rolloverAmount || 0) +
+            parseFloat(this.transferredAmount || 0) - spent;
     };
 
     return BudgetAllocation;
@@ -0,0 +1,98 @@
+/**
+ * Model BudgetPlanItem
+ * Linha do planejamento anual do orçamento
+ * ========================================
+ *
+ * - Um valor planejado para cada mês do ano (monthlyAmounts[0] = janeiro)
+ * - Ligado a uma categoria e/ou a uma alocação (pelo nome, que se repete
+ *   mês a mês; as linhas de BudgetAllocation são mensais)
+ * - isSeasonal marca itens que só caem em alguns meses (IPVA, IPTU,
+ *   material escolar, 13º salário)
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    const BudgetPlanItem = sequelize.define('BudgetPlanItem', {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true
+        },
+        userId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'users',
+                key: 'id'
+            }
+        },
+        profileId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'profiles',
+                key: 'id'
+            }
+        },
+        year: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        type: {
+            type: DataTypes.ENUM('INCOME', 'EXPENSE'),
+            allowNull: false,
+            defaultValue: 'EXPENSE'
+        },
+        name: {
+            type: DataTypes.STRING(100),
+            allowNull: false
+        },
+        // Categoria usada para apurar o realizado (opcional)
+        categoryId: {
+            type: DataTypes.UUID,
+            allowNull: true,
+            references: {
+                model: 'categories',
+                key: 'id'
+            },
+            onDelete: 'SET NULL'
+        },
+        // Nome da alocação do orçamento mensal (opcional)
+        allocationName: {
+            type: DataTypes.STRING(100),
+            allowNull: true
+        },
+        isSeasonal: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false
+        },
+        // 12 valores, janeiro a dezembro (moeda base do perfil)
+        monthlyAmounts: {
+            type: DataTypes.JSONB,
+            allowNull: false,
+            defaultValue: () => new Array(12).fill(0)
+        },
+        notes: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        }
+    }, {
+        tableName: 'budget_plan_items',
+        timestamps: true,
+        indexes: [
+            { fields: ['user_id', 'profile_id', 'year'] },
+            { fields: ['category_id'] }
+        ]
+    });
+
+    /**
+     * Total planejado no ano
+     */
+    BudgetPlanItem.prototype.getYearTotal = function () {
+        return (this.monthlyAmounts || []).reduce((sum, value) => sum + (parseFloat(value) || 0), 0);
+    };
+
+    return BudgetPlanItem;
+};
@@ -69,6 +69,12 @@ module.exports = (sequelize) => {
             type: DataTypes.STRING(100),
             allowNull: true
         },
+        // Dividida em várias categorias (ver TransactionSplit)
+        isSplit: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false
+        },
         // ========================================
         // PARCELAMENTO
         // ========================================
@@ -127,10 +133,21 @@ module.exports = (sequelize) => {
             type: DataTypes.ARRAY(DataTypes.STRING),
             allowNull: false,
             defaultValue: []
+        },
+        // ID externo do lançamento na fatura importada (ex: FITID do OFX)
+        externalId: {
+            type: DataTypes.STRING(255),
+            allowNull: true
+        },
+        // Lixeira: registros excluídos juntos (parcelamento, lote) compartilham o id
+        deletionBatchId: {
+            type: DataTypes.UUID,
+            allowNull: true
         }
     }, {
         tableName: 'card_transactions',
         timestamps: true,
+        paranoid: true,
         indexes: [
             { fields: ['user_id'] },
             { fields: ['card_id'] },
@@ -138,7 +155,10 @@ module.exports = (sequelize) => {
             { fields: ['date'] },
             { fields: ['category'] },
             { fields: ['installment_group_id'] },
-            { fields: ['status'] }
+            { fields: ['status'] },
+            { fields: ['card_id', 'external_id'] },
+            { fields: ['deleted_at'] },
+            { fields: ['deletion_batch_id'] }
         ]
     });
 
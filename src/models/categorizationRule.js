@@ -0,0 +1,152 @@
+/**
+ * Model CategorizationRule
+ * ========================================
+ * REGRAS DE CATEGORIZAÇÃO AUTOMÁTICA
+ * ========================================
+ *
+ * - Regras por perfil, avaliadas em ordem de prioridade
+ * - Condições (todas precisam casar): descrição (contém/regex), faixa de valor,
+ *   tipo, origem (PIX, CARD, OPEN_FINANCE...), conta bancária ou cartão
+ * - Ações: categoria, tags e observação
+ * - Cada aplicação fica registrada em TransactionMetadata.appliedRules
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    const CategorizationRule = sequelize.define('CategorizationRule', {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true
+        },
+        userId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'users',
+                key: 'id'
+            }
+        },
+        // Perfil ao qual a regra pertence (isolamento multi-contexto)
+        profileId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'profiles',
+                key: 'id'
+            }
+        },
+        name: {
+            type: DataTypes.STRING(100),
+            allowNull: false,
+            validate: {
+                notEmpty: { msg: 'Nome da regra é obrigatório' }
+            }
+        },
+        // Menor valor = avaliada primeiro
+        priority: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 100
+        },
+        // Se true, nenhuma regra seguinte é avaliada após esta casar
+        stopProcessing: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: true
+        },
+        isActive: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: true
+        },
+        // ========================================
+        // CONDIÇÕES
+        // ========================================
+        descriptionContains: {
+            type: DataTypes.STRING(200),
+            allowNull: true
+        },
+        descriptionRegex: {
+            type: DataTypes.STRING(200),
+            allowNull: true
+        },
+        minAmount: {
+            type: DataTypes.DECIMAL(15, 2),
+            allowNull: true
+        },
+        maxAmount: {
+            type: DataTypes.DECIMAL(15, 2),
+            allowNull: true
+        },
+        transactionType: {
+            type: DataTypes.ENUM('INCOME', 'EXPENSE'),
+            allowNull: true
+        },
+        // Origens aceitas: PIX, CASH, BOLETO... (ManualTransaction.source), CARD, OPEN_FINANCE
+        sources: {
+            type: DataTypes.ARRAY(DataTypes.STRING),
+            allowNull: false,
+            defaultValue: []
+        },
+        bankAccountId: {
+            type: DataTypes.UUID,
+            allowNull: true,
+            references: {
+                model: 'bank_accounts',
+                key: 'id'
+            }
+        },
+        cardId: {
+            type: DataTypes.UUID,
+            allowNull: true,
+            references: {
+                model: 'credit_cards',
+                key: 'id'
+            }
+        },
+        // ========================================
+        // AÇÕES
+        // ========================================
+        categoryId: {
+            type: DataTypes.UUID,
+            allowNull: true,
+            references: {
+                model: 'categories',
+                key: 'id'
+            }
+        },
+        tags: {
+            type: DataTypes.ARRAY(DataTypes.STRING),
+            allowNull: false,
+            defaultValue: []
+        },
+        notes: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        // ========================================
+        // ESTATÍSTICAS
+        // ========================================
+        matchCount: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+        lastMatchedAt: {
+            type: DataTypes.DATE,
+            allowNull: true
+        }
+    }, {
+        tableName: 'categorization_rules',
+        timestamps: true,
+        indexes: [
+            { fields: ['user_id'] },
+            { fields: ['profile_id'] },
+            { fields: ['priority'] }
+        ]
+    });
+
+    return CategorizationRule;
+};
@@ -0,0 +1,70 @@
+/**
+ * Model CategoryBudgetLimit
+ * Limite mensal de gastos por categoria
+ * ========================================
+ *
+ * - Um limite por categoria e perfil, válido para todos os meses
+ * - Valor na moeda base do perfil
+ * - alertsSent guarda o maior alerta (50/80/100%) já enviado em cada mês
+ *   ({ "2026-10": 80 }) para cada faixa disparar uma única vez
+ *
+ * Fica fora de Category porque as categorias padrão são compartilhadas.
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    const CategoryBudgetLimit = sequelize.define('CategoryBudgetLimit', {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true
+        },
+        userId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'users',
+                key: 'id'
+            }
+        },
+        profileId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'profiles',
+                key: 'id'
+            }
+        },
+        categoryId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'categories',
+                key: 'id'
+            },
+            onDelete: 'CASCADE'
+        },
+        // Limite mensal (moeda base do perfil)
+        amount: {
+            type: DataTypes.DECIMAL(15, 2),
+            allowNull: false,
+            validate: { min: 0.01 }
+        },
+        // Alertas enviados por mês: { "YYYY-MM": maior percentual disparado }
+        alertsSent: {
+            type: DataTypes.JSONB,
+            allowNull: false,
+            defaultValue: {}
+        }
+    }, {
+        tableName: 'category_budget_limits',
+        timestamps: true,
+        indexes: [
+            { fields: ['profile_id', 'category_id'], unique: true },
+            { fields: ['user_id'] }
+        ]
+    });
+
+    return CategoryBudgetLimit;
+};
@@ -0,0 +1,94 @@
+/**
+ * Model DuplicateCandidate
+ * ========================================
+ * FILA DE REVISÃO DE DUPLICATAS
+ * ========================================
+ *
+ * - Par de transações de origens diferentes que parecem ser o mesmo lançamento
+ *   (ex.: registrada pelo WhatsApp e depois importada via Open Finance)
+ * - Lados em ordem canônica (tipo:id) para o par ser único
+ * - Pontuação 0-100 por valor, janela de data, conta e descrição
+ * - Resolução: MERGED (mesclado), KEPT_BOTH (não é duplicata) ou IGNORED
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    const DuplicateCandidate = sequelize.define('DuplicateCandidate', {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true
+        },
+        userId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'users',
+                key: 'id'
+            }
+        },
+        // Perfil ao qual o par pertence (isolamento multi-contexto)
+        profileId: {
+            type: DataTypes.UUID,
+            allowNull: true,
+            references: {
+                model: 'profiles',
+                key: 'id'
+            }
+        },
+        sourceAType: {
+            type: DataTypes.ENUM('MANUAL', 'CARD', 'OPEN_FINANCE'),
+            allowNull: false
+        },
+        sourceAId: {
+            type: DataTypes.UUID,
+            allowNull: false
+        },
+        sourceBType: {
+            type: DataTypes.ENUM('MANUAL', 'CARD', 'OPEN_FINANCE'),
+            allowNull: false
+        },
+        sourceBId: {
+            type: DataTypes.UUID,
+            allowNull: false
+        },
+        score: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        // Composição da pontuação: { amount, date, account, description }
+        reasons: {
+            type: DataTypes.JSONB,
+            allowNull: false,
+            defaultValue: {}
+        },
+        status: {
+            type: DataTypes.ENUM('PENDING', 'MERGED', 'KEPT_BOTH', 'IGNORED'),
+            allowNull: false,
+            defaultValue: 'PENDING'
+        },
+        resolvedAt: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        // Detalhes da mesclagem: { keptType, keptId, removedType, removedId }
+        resolution: {
+            type: DataTypes.JSONB,
+            allowNull: true
+        }
+    }, {
+        tableName: 'duplicate_candidates',
+        timestamps: true,
+        indexes: [
+            { fields: ['user_id', 'status'] },
+            { fields: ['profile_id'] },
+            {
+                unique: true,
+                fields: ['source_a_type', 'source_a_id', 'source_b_type', 'source_b_id']
+            }
+        ]
+    });
+
+    return DuplicateCandidate;
+};
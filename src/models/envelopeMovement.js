@@ -0,0 +1,98 @@
+/**
+ * Model EnvelopeMovement
+ * Histórico de movimentações dos envelopes de orçamento
+ * ========================================
+ *
+ * - ROLLOVER: sobra (ou estouro, valor negativo) do mês anterior
+ * - TRANSFER: valor movido entre envelopes do mesmo mês
+ *
+ * Os nomes ficam gravados para o histórico sobreviver à exclusão da alocação.
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    const EnvelopeMovement = sequelize.define('EnvelopeMovement', {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true
+        },
+        userId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'users',
+                key: 'id'
+            }
+        },
+        profileId: {
+            type: DataTypes.UUID,
+            allowNull: true,
+            references: {
+                model: 'profiles',
+                key: 'id'
+            }
+        },
+        type: {
+            type: DataTypes.ENUM('ROLLOVER', 'TRANSFER'),
+            allowNull: false
+        },
+        // Mês/ano do envelope de destino
+        month: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            validate: { min: 1, max: 12 }
+        },
+        year: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        fromAllocationId: {
+            type: DataTypes.UUID,
+            allowNull: true,
+            references: {
+                model: 'budget_allocations',
+                key: 'id'
+            },
+            onDelete: 'SET NULL'
+        },
+        toAllocationId: {
+            type: DataTypes.UUID,
+            allowNull: true,
+            references: {
+                model: 'budget_allocations',
+                key: 'id'
+            },
+            onDelete: 'SET NULL'
+        },
+        fromName: {
+            type: DataTypes.STRING(100),
+            allowNull: true
+        },
+        toName: {
+            type: DataTypes.STRING(100),
+            allowNull: true
+        },
+        // Positivo: entra no destino. ROLLOVER negativo = estouro carregado
+        amount: {
+            type: DataTypes.DECIMAL(15, 2),
+            allowNull: false
+        },
+        note: {
+            type: DataTypes.STRING(255),
+            allowNull: true
+        }
+    }, {
+        tableName: 'envelope_movements',
+        timestamps: true,
+        updatedAt: false,
+        indexes: [
+            { fields: ['user_id', 'year', 'month'] },
+            { fields: ['from_allocation_id'] },
+            { fields: ['to_allocation_id'] }
+        ]
+    });
+
+    return EnvelopeMovement;
+};
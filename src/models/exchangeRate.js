@@ -0,0 +1,68 @@
+/**
+ * Model ExchangeRate
+ * ========================================
+ * COTAÇÕES DE CÂMBIO HISTÓRICAS
+ * ========================================
+ *
+ * - 1 unidade de `currency` vale `rate` unidades de `baseCurrency` na data
+ * - Cotações do provedor (source = nome do provedor) são globais (userId null)
+ * - Cotações informadas pelo usuário (source = MANUAL) valem só para ele
+ *   e têm prioridade sobre a do provedor na mesma data
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    const ExchangeRate = sequelize.define('ExchangeRate', {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true
+        },
+        // Dono da cotação manual (null = cotação do provedor)
+        userId: {
+            type: DataTypes.UUID,
+            allowNull: true,
+            references: {
+                model: 'users',
+                key: 'id'
+            }
+        },
+        // Moeda cotada (ex: USD)
+        currency: {
+            type: DataTypes.STRING(3),
+            allowNull: false
+        },
+        // Moeda de referência (ex: BRL)
+        baseCurrency: {
+            type: DataTypes.STRING(3),
+            allowNull: false
+        },
+        date: {
+            type: DataTypes.DATEONLY,
+            allowNull: false
+        },
+        rate: {
+            type: DataTypes.DECIMAL(18, 8),
+            allowNull: false,
+            validate: {
+                min: { args: [0.00000001], msg: 'Cotação deve ser maior que zero' }
+            }
+        },
+        // MANUAL ou nome do provedor (ex: BCB_PTAX)
+        source: {
+            type: DataTypes.STRING(30),
+            allowNull: false,
+            defaultValue: 'MANUAL'
+        }
+    }, {
+        tableName: 'exchange_rates',
+        timestamps: true,
+        indexes: [
+            { fields: ['currency', 'base_currency', 'date'] },
+            { fields: ['user_id'] }
+        ]
+    });
+
+    return ExchangeRate;
+};
@@ -106,6 +106,26 @@ module.exports = (sequelize) => {
                 key: 'id'
             }
         },
+        // Produto de renda fixa onde o dinheiro da meta está aplicado (opcional)
+        financialProductId: {
+            type: DataTypes.UUID,
+            allowNull: true,
+            references: {
+                model: 'financial_products',
+                key: 'id'
+            },
+            onDelete: 'SET NULL'
+        },
+        // Rendimento esperado em % a.a. (sobrescreve o da conta/produto na projeção)
+        annualYieldRate: {
+            type: DataTypes.DECIMAL(7, 4),
+            allowNull: true
+        },
+        // Último aviso de meta atrasada (um por mês)
+        behindNotifiedAt: {
+            type: DataTypes.DATEONLY,
+            allowNull: true
+        },
         // DEPRECATED: Mantido para compatibilidade, usar bankAccountId
         storageType: {
             type: DataTypes.ENUM('manual', 'openfinance', 'linked'),
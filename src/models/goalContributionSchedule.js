@@ -0,0 +1,103 @@
+/**
+ * Model GoalContributionSchedule
+ * Aporte automático recorrente em uma meta
+ * ========================================
+ *
+ * - Debita a conta de origem (bankAccountId) e registra um DEPOSIT no GoalHistory
+ * - frequency: WEEKLY/BIWEEKLY contam a partir de nextRunDate; MONTHLY usa dayOfMonth;
+ *   SALARY_DAY usa o User.salaryDay (dayOfMonth como reserva)
+ * - Saldo insuficiente pula a execução (lastRunStatus INSUFFICIENT_BALANCE) e avisa o usuário
+ * - Conta desativada ou excluída pausa o agendamento (lastRunStatus ACCOUNT_INACTIVE) e avisa o usuário
+ * - status PAUSED suspende as execuções sem perder a configuração
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    const GoalContributionSchedule = sequelize.define('GoalContributionSchedule', {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true
+        },
+        userId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'users',
+                key: 'id'
+            }
+        },
+        profileId: {
+            type: DataTypes.UUID,
+            allowNull: true,
+            references: {
+                model: 'profiles',
+                key: 'id'
+            }
+        },
+        goalId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'goals',
+                key: 'id'
+            },
+            onDelete: 'CASCADE'
+        },
+        // Conta de onde sai o dinheiro
+        bankAccountId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'bank_accounts',
+                key: 'id'
+            },
+            onDelete: 'CASCADE'
+        },
+        // Valor do aporte (moeda da conta de origem)
+        amount: {
+            type: DataTypes.DECIMAL(15, 2),
+            allowNull: false,
+            validate: { min: 0.01 }
+        },
+        frequency: {
+            type: DataTypes.ENUM('WEEKLY', 'BIWEEKLY', 'MONTHLY', 'SALARY_DAY'),
+            allowNull: false,
+            defaultValue: 'MONTHLY'
+        },
+        // Dia do mês (MONTHLY; reserva do SALARY_DAY)
+        dayOfMonth: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            validate: { min: 1, max: 31 }
+        },
+        nextRunDate: {
+            type: DataTypes.DATEONLY,
+            allowNull: false
+        },
+        status: {
+            type: DataTypes.ENUM('ACTIVE', 'PAUSED'),
+            allowNull: false,
+            defaultValue: 'ACTIVE'
+        },
+        lastRunDate: {
+            type: DataTypes.DATEONLY,
+            allowNull: true
+        },
+        lastRunStatus: {
+            type: DataTypes.ENUM('SUCCESS', 'INSUFFICIENT_BALANCE', 'GOAL_COMPLETED', 'GOAL_INACTIVE', 'ACCOUNT_INACTIVE', 'FAILED'),
+            allowNull: true
+        }
+    }, {
+        tableName: 'goal_contribution_schedules',
+        timestamps: true,
+        indexes: [
+            { fields: ['user_id', 'profile_id'] },
+            { fields: ['goal_id'] },
+            { fields: ['status', 'next_run_date'] }
+        ]
+    });
+
+    return GoalContributionSchedule;
+};
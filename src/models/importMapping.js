@@ -0,0 +1,83 @@
+/**
+ * Model ImportMapping
+ * ========================================
+ * MAPEAMENTOS DE IMPORTAÇÃO CSV
+ * ========================================
+ *
+ * - Configuração de colunas salva pelo usuário por conta bancária
+ * - Pode partir de um preset de banco (NUBANK, INTER, ITAU, C6...)
+ * - Reutilizada nas próximas importações da mesma conta
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    const ImportMapping = sequelize.define('ImportMapping', {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true
+        },
+        userId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'users',
+                key: 'id'
+            }
+        },
+        // Perfil ao qual o mapeamento pertence (isolamento multi-contexto)
+        profileId: {
+            type: DataTypes.UUID,
+            allowNull: true,
+            references: {
+                model: 'profiles',
+                key: 'id'
+            }
+        },
+        // Conta bancária à qual o mapeamento se aplica
+        bankAccountId: {
+            type: DataTypes.UUID,
+            allowNull: true,
+            references: {
+                model: 'bank_accounts',
+                key: 'id'
+            }
+        },
+        // Nome amigável (ex: "Extrato Nubank")
+        name: {
+            type: DataTypes.STRING(100),
+            allowNull: false,
+            validate: {
+                notEmpty: { msg: 'Nome do mapeamento é obrigatório' }
+            }
+        },
+        // Preset de origem (null = totalmente personalizado)
+        preset: {
+            type: DataTypes.STRING(30),
+            allowNull: true
+        },
+        // Configuração completa (delimiter, dateFormat, decimalSeparator, signConvention, columns...)
+        config: {
+            type: DataTypes.JSONB,
+            allowNull: false,
+            defaultValue: {}
+        },
+        // Mapeamento usado por padrão nas importações da conta
+        isDefault: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false
+        }
+    }, {
+        tableName: 'import_mappings',
+        timestamps: true,
+        indexes: [
+            { fields: ['user_id'] },
+            { fields: ['profile_id'] },
+            { fields: ['bank_account_id'] }
+        ]
+    });
+
+    return ImportMapping;
+};
@@ -65,6 +65,52 @@ const UserSession = require('./userSession')(sequelize);
 const NotificationPreference = require('./notificationPreference')(sequelize);
 const PaymentMethod = require('./paymentMethod')(sequelize);
 
+// Importar models - Fase 13 (Importação de Extratos)
+const ImportMapping = require('./importMapping')(sequelize);
+
+// Importar models - Fase 14 (Categorização Automática)
+const CategorizationRule = require('./categorizationRule')(sequelize);
+
+// Importar models - Fase 15 (Transações Divididas)
+const TransactionSplit = require('./transactionSplit')(sequelize);
+
+// Importar models - Fase 16 (Comprovantes e Anexos)
+const Attachment = require('./attachment')(sequelize);
+
+// Importar models - Fase 17 (Busca Avançada)
+const SavedSearch = require('./savedSearch')(sequelize);
+
+// Importar models - Fase 18 (Detecção de Duplicatas)
+const DuplicateCandidate = require('./duplicateCandidate')(sequelize);
+
+// Importar models - Fase 19 (Multimoeda)
+const ExchangeRate = require('./exchangeRate')(sequelize);
+
+// Importar models - Fase 20 (Conciliação Bancária)
+const BankReconciliation = require('./bankReconciliation')(sequelize);
+const BalanceMovement = require('./balanceMovement')(sequelize);
+
+// Importar models - Fase 22 (Tags)
+const Tag = require('./tag')(sequelize);
+
+// Importar models - Fase 23 (Estabelecimentos)
+const Merchant = require('./merchant')(sequelize);
+
+// Importar models - Fase 25 (Patrimônio Líquido)
+const NetWorthSnapshot = require('./netWorthSnapshot')(sequelize);
+
+// Importar models - Fase 26 (Envelopes)
+const EnvelopeMovement = require('./envelopeMovement')(sequelize);
+
+// Importar models - Fase 27 (Limites por Categoria)
+const CategoryBudgetLimit = require('./categoryBudgetLimit')(sequelize);
+
+// Importar models - Fase 28 (Planejamento Anual)
+const BudgetPlanItem = require('./budgetPlanItem')(sequelize);
+
+// Importar models - Fase 29 (Aportes Automáticos)
+const GoalContributionSchedule = require('./goalContributionSchedule')(sequelize);
+
 // ===========================================
 // ASSOCIAÇÕES - Fase 1
 // ===========================================
@@ -152,6 +198,10 @@ CreditCard.belongsTo(BankAccount, { foreignKey: 'bankAccountId', as: 'paymentAcc
 // ManualTransaction self-reference for INTERNAL_TRANSFER linking (NEW)
 ManualTransaction.belongsTo(ManualTransaction, { foreignKey: 'linkedTransferId', as: 'linkedTransfer' });
 
+// ManualTransaction -> ocorrências geradas da série recorrente
+ManualTransaction.hasMany(ManualTransaction, { foreignKey: 'recurringSeriesId', as: 'occurrences' });
+ManualTransaction.belongsTo(ManualTransaction, { foreignKey: 'recurringSeriesId', as: 'recurringSeries' });
+
 // User -> ManualTransactions
 User.hasMany(ManualTransaction, { foreignKey: 'userId', as: 'manualTransactions' });
 ManualTransaction.belongsTo(User, { foreignKey: 'userId', as: 'user' });
@@ -180,6 +230,10 @@ Goal.belongsTo(User, { foreignKey: 'userId', as: 'user' });
 BankAccount.hasMany(Goal, { foreignKey: 'bankAccountId', as: 'linkedGoals' });
 Goal.belongsTo(BankAccount, { foreignKey: 'bankAccountId', as: 'bankAccount' });
 
+// FinancialProduct -> Goals (dinheiro da meta aplicado em renda fixa)
+FinancialProduct.hasMany(Goal, { foreignKey: 'financialProductId', as: 'goals' });
+Goal.belongsTo(FinancialProduct, { foreignKey: 'financialProductId', as: 'financialProduct' });
+
 // Goal -> GoalHistory
 Goal.hasMany(GoalHistory, { foreignKey: 'goalId', as: 'history' });
 GoalHistory.belongsTo(Goal, { foreignKey: 'goalId', as: 'goal' });
@@ -347,6 +401,251 @@ Broker.belongsTo(Profile, { foreignKey: 'profileId', as: 'profile' });
 Broker.hasMany(Investment, { foreignKey: 'brokerId', as: 'investments' });
 Investment.belongsTo(Broker, { foreignKey: 'brokerId', as: 'brokerAccount' });
 
+// ===========================================
+// ASSOCIAÇÕES - Fase 13 (Importação de Extratos)
+// ===========================================
+
+// User -> ImportMappings
+User.hasMany(ImportMapping, { foreignKey: 'userId', as: 'importMappings' });
+ImportMapping.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+// BankAccount -> ImportMappings
+BankAccount.hasMany(ImportMapping, { foreignKey: 'bankAccountId', as: 'importMappings' });
+ImportMapping.belongsTo(BankAccount, { foreignKey: 'bankAccountId', as: 'bankAccount' });
+
+// ===========================================
+// ASSOCIAÇÕES - Fase 14 (Categorização Automática)
+// ===========================================
+
+// Profile -> CategorizationRules
+Profile.hasMany(CategorizationRule, { foreignKey: 'profileId', as: 'categorizationRules' });
+CategorizationRule.belongsTo(Profile, { foreignKey: 'profileId', as: 'profile' });
+
+// User -> CategorizationRules
+User.hasMany(CategorizationRule, { foreignKey: 'userId', as: 'categorizationRules' });
+CategorizationRule.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+// Category -> CategorizationRules
+Category.hasMany(CategorizationRule, { foreignKey: 'categoryId', as: 'categorizationRules' });
+CategorizationRule.belongsTo(Category, { foreignKey: 'categoryId', as: 'category' });
+
+// ===========================================
+// ASSOCIAÇÕES - Fase 15 (Transações Divididas)
+// ===========================================
+
+// ManualTransaction -> TransactionSplits (polimórfico, sem FK)
+ManualTransaction.hasMany(TransactionSplit, {
+    foreignKey: 'transactionId',
+    constraints: false,
+    scope: { transactionType: 'MANUAL' },
+    as: 'splits'
+});
+
+// CardTransaction -> TransactionSplits (polimórfico, sem FK)
+CardTransaction.hasMany(TransactionSplit, {
+    foreignKey: 'transactionId',
+    constraints: false,
+    scope: { transactionType: 'CARD' },
+    as: 'splits'
+});
+
+// Category -> TransactionSplits
+Category.hasMany(TransactionSplit, { foreignKey: 'categoryId', as: 'splits' });
+TransactionSplit.belongsTo(Category, { foreignKey: 'categoryId', as: 'category' });
+
+// ===========================================
+// ASSOCIAÇÕES - Fase 16 (Comprovantes e Anexos)
+// ===========================================
+
+// User -> Attachments
+User.hasMany(Attachment, { foreignKey: 'userId', as: 'attachments' });
+Attachment.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+// Registros anexáveis -> Attachments (polimórfico, sem FK)
+ManualTransaction.hasMany(Attachment, {
+    foreignKey: 'resourceId',
+    constraints: false,
+    scope: { resourceType: 'MANUAL_TRANSACTION' },
+    as: 'attachments'
+});
+CardTransaction.hasMany(Attachment, {
+    foreignKey: 'resourceId',
+    constraints: false,
+    scope: { resourceType: 'CARD_TRANSACTION' },
+    as: 'attachments'
+});
+OpenFinanceTransaction.hasMany(Attachment, {
+    foreignKey: 'resourceId',
+    constraints: false,
+    scope: { resourceType: 'OPEN_FINANCE_TRANSACTION' },
+    as: 'attachments'
+});
+DasGuide.hasMany(Attachment, {
+    foreignKey: 'resourceId',
+    constraints: false,
+    scope: { resourceType: 'DAS_GUIDE' },
+    as: 'attachments'
+});
+CardInvoice.hasMany(Attachment, {
+    foreignKey: 'resourceId',
+    constraints: false,
+    scope: { resourceType: 'CARD_INVOICE' },
+    as: 'attachments'
+});
+
+// ===========================================
+// ASSOCIAÇÕES - Fase 17 (Busca Avançada)
+// ===========================================
+
+// User -> SavedSearches
+User.hasMany(SavedSearch, { foreignKey: 'userId', as: 'savedSearches' });
+SavedSearch.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+// Profile -> SavedSearches
+Profile.hasMany(SavedSearch, { foreignKey: 'profileId', as: 'savedSearches' });
+SavedSearch.belongsTo(Profile, { foreignKey: 'profileId', as: 'profile' });
+
+// ===========================================
+// ASSOCIAÇÕES - Fase 18 (Detecção de Duplicatas)
+// ===========================================
+
+// User -> DuplicateCandidates
+User.hasMany(DuplicateCandidate, { foreignKey: 'userId', as: 'duplicateCandidates' });
+DuplicateCandidate.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+// Profile -> DuplicateCandidates
+Profile.hasMany(DuplicateCandidate, { foreignKey: 'profileId', as: 'duplicateCandidates' });
+DuplicateCandidate.belongsTo(Profile, { foreignKey: 'profileId', as: 'profile' });
+
+// ===========================================
+// ASSOCIAÇÕES - Fase 19 (Multimoeda)
+// ===========================================
+
+// User -> ExchangeRates (cotações manuais)
+User.hasMany(ExchangeRate, { foreignKey: 'userId', as: 'exchangeRates' });
+ExchangeRate.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+// ===========================================
+// ASSOCIAÇÕES - Fase 20 (Conciliação Bancária)
+// ===========================================
+
+// BankAccount -> Reconciliations
+BankAccount.hasMany(BankReconciliation, { foreignKey: 'bankAccountId', as: 'reconciliations' });
+BankReconciliation.belongsTo(BankAccount, { foreignKey: 'bankAccountId', as: 'bankAccount' });
+
+// User/Profile -> Reconciliations
+User.hasMany(BankReconciliation, { foreignKey: 'userId', as: 'reconciliations' });
+BankReconciliation.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+Profile.hasMany(BankReconciliation, { foreignKey: 'profileId', as: 'reconciliations' });
+BankReconciliation.belongsTo(Profile, { foreignKey: 'profileId', as: 'profile' });
+
+// Reconciliation -> Transações compensadas
+BankReconciliation.hasMany(ManualTransaction, { foreignKey: 'reconciliationId', as: 'clearedTransactions' });
+ManualTransaction.belongsTo(BankReconciliation, { foreignKey: 'reconciliationId', as: 'reconciliation' });
+
+// BankAccount -> Movimentações de saldo
+BankAccount.hasMany(BalanceMovement, { foreignKey: 'bankAccountId', as: 'balanceMovements' });
+BalanceMovement.belongsTo(BankAccount, { foreignKey: 'bankAccountId', as: 'bankAccount' });
+User.hasMany(BalanceMovement, { foreignKey: 'userId', as: 'balanceMovements' });
+BalanceMovement.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+// ===========================================
+// ASSOCIAÇÕES - Fase 22 (Tags)
+// ===========================================
+
+// User/Profile -> Tags
+User.hasMany(Tag, { foreignKey: 'userId', as: 'tags' });
+Tag.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+Profile.hasMany(Tag, { foreignKey: 'profileId', as: 'tags' });
+Tag.belongsTo(Profile, { foreignKey: 'profileId', as: 'profile' });
+
+// ===========================================
+// ASSOCIAÇÕES - Fase 23 (Estabelecimentos)
+// ===========================================
+
+// User/Profile -> Merchants
+User.hasMany(Merchant, { foreignKey: 'userId', as: 'merchants' });
+Merchant.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+Profile.hasMany(Merchant, { foreignKey: 'profileId', as: 'merchants' });
+Merchant.belongsTo(Profile, { foreignKey: 'profileId', as: 'profile' });
+
+// Merchant -> Categoria padrão
+Merchant.belongsTo(Category, { foreignKey: 'defaultCategoryId', as: 'defaultCategory' });
+
+// Merchant -> TransactionMetadata
+Merchant.hasMany(TransactionMetadata, { foreignKey: 'merchantId', as: 'transactionMetadata' });
+TransactionMetadata.belongsTo(Merchant, { foreignKey: 'merchantId', as: 'merchant' });
+
+// ===========================================
+// ASSOCIAÇÕES - Fase 25 (Patrimônio Líquido)
+// ===========================================
+
+// User/Profile -> NetWorthSnapshots (profileId null = consolidado)
+User.hasMany(NetWorthSnapshot, { foreignKey: 'userId', as: 'netWorthSnapshots' });
+NetWorthSnapshot.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+Profile.hasMany(NetWorthSnapshot, { foreignKey: 'profileId', as: 'netWorthSnapshots' });
+NetWorthSnapshot.belongsTo(Profile, { foreignKey: 'profileId', as: 'profile' });
+
+// ===========================================
+// ASSOCIAÇÕES - Fase 26 (Envelopes)
+// ===========================================
+
+// User -> EnvelopeMovements
+User.hasMany(EnvelopeMovement, { foreignKey: 'userId', as: 'envelopeMovements' });
+EnvelopeMovement.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+// BudgetAllocation -> EnvelopeMovements (origem e destino)
+BudgetAllocation.hasMany(EnvelopeMovement, { foreignKey: 'fromAllocationId', as: 'outgoingMovements' });
+BudgetAllocation.hasMany(EnvelopeMovement, { foreignKey: 'toAllocationId', as: 'incomingMovements' });
+EnvelopeMovement.belongsTo(BudgetAllocation, { foreignKey: 'fromAllocationId', as: 'fromAllocation' });
+EnvelopeMovement.belongsTo(BudgetAllocation, { foreignKey: 'toAllocationId', as: 'toAllocation' });
+
+// ===========================================
+// ASSOCIAÇÕES - Fase 27 (Limites por Categoria)
+// ===========================================
+
+// User/Profile -> CategoryBudgetLimits
+User.hasMany(CategoryBudgetLimit, { foreignKey: 'userId', as: 'categoryBudgetLimits' });
+CategoryBudgetLimit.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+Profile.hasMany(CategoryBudgetLimit, { foreignKey: 'profileId', as: 'categoryBudgetLimits' });
+CategoryBudgetLimit.belongsTo(Profile, { foreignKey: 'profileId', as: 'profile' });
+
+// Category -> CategoryBudgetLimits (um por perfil)
+Category.hasMany(CategoryBudgetLimit, { foreignKey: 'categoryId', as: 'budgetLimits' });
+CategoryBudgetLimit.belongsTo(Category, { foreignKey: 'categoryId', as: 'category' });
+
+// ===========================================
+// ASSOCIAÇÕES - Fase 28 (Planejamento Anual)
+// ===========================================
+
+// User/Profile -> BudgetPlanItems
+User.hasMany(BudgetPlanItem, { foreignKey: 'userId', as: 'budgetPlanItems' });
+BudgetPlanItem.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+Profile.hasMany(BudgetPlanItem, { foreignKey: 'profileId', as: 'budgetPlanItems' });
+BudgetPlanItem.belongsTo(Profile, { foreignKey: 'profileId', as: 'profile' });
+
+// Category -> BudgetPlanItems
+Category.hasMany(BudgetPlanItem, { foreignKey: 'categoryId', as: 'budgetPlanItems' });
+BudgetPlanItem.belongsTo(Category, { foreignKey: 'categoryId', as: 'category' });
+
+// ===========================================
+// ASSOCIAÇÕES - Fase 29 (Aportes Automáticos)
+// ===========================================
+
+// User/Profile -> GoalContributionSchedules
+User.hasMany(GoalContributionSchedule, { foreignKey: 'userId', as: 'goalContributionSchedules' });
+GoalContributionSchedule.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+Profile.hasMany(GoalContributionSchedule, { foreignKey: 'profileId', as: 'goalContributionSchedules' });
+GoalContributionSchedule.belongsTo(Profile, { foreignKey: 'profileId', as: 'profile' });
+
+// Goal -> GoalContributionSchedules
+Goal.hasMany(GoalContributionSchedule, { foreignKey: 'goalId', as: 'contributionSchedules' });
+GoalContributionSchedule.belongsTo(Goal, { foreignKey: 'goalId', as: 'goal' });
+
+// BankAccount -> GoalContributionSchedules (conta de origem)
+BankAccount.hasMany(GoalContributionSchedule, { foreignKey: 'bankAccountId', as: 'goalContributionSchedules' });
+GoalContributionSchedule.belongsTo(BankAccount, { foreignKey: 'bankAccountId', as: 'bankAccount' });
+
 // ===========================================
 // EXPORTAÇÃO
 // ===========================================
@@ -400,5 +699,36 @@ module.exports = {
     // Fase 12 - Settings Avançado
     UserSession,
     NotificationPreference,
-    PaymentMethod
+    PaymentMethod,
+    // Fase 13 - Importação de Extratos
+    ImportMapping,
+    // Fase 14 - Categorização Automática
+    CategorizationRule,
+    // Fase 15 - Transações Divididas
+    TransactionSplit,
+    // Fase 16 - Comprovantes e Anexos
+    Attachment,
+    // Fase 17 - Busca Avançada
+    SavedSearch,
+    // Fase 18 - Detecção de Duplicatas
+    DuplicateCandidate,
+    // Fase 19 - Multimoeda
+    ExchangeRate,
+    // Fase 20 - Conciliação Bancária
+    BankReconciliation,
+    BalanceMovement,
+    // Fase 22 - Tags
+    Tag,
+    // Fase 23 - Estabelecimentos
+    Merchant,
+    // Fase 25 - Patrimônio Líquido
+    NetWorthSnapshot,
+    // Fase 26 - Envelopes
+    EnvelopeMovement,
+    // Fase 27 - Limites por Categoria
+    CategoryBudgetLimit,
+    // Fase 28 - Planejamento Anual
+    BudgetPlanItem,
+    // Fase 29 - Aportes Automáticos
+    GoalContributionSchedule
 };
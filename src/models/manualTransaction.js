@@ -9,7 +9,7 @@
  * - Gastos inseridos manualmente
  * - PIX, dinheiro, transferências fora do Open Finance
  * - Podem ser editados
- * - Podem ser excluídos
+ * - Podem ser excluídos (vão para a lixeira: paranoid, deleted_at)
  * - Suporta transações futuras/agendadas
  * - Suporta transferências internas entre perfis
  */
@@ -58,6 +58,12 @@ module.exports = (sequelize) => {
                 key: 'id'
             }
         },
+        // Retirada do sócio (PJ → PF): despesa/distribuição na PJ e receita na PF.
+        // As duas pontas (linkedTransferId) se anulam em visões consolidadas.
+        ownerTransferType: {
+            type: DataTypes.ENUM('PRO_LABORE', 'PROFIT_DISTRIBUTION'),
+            allowNull: true
+        },
         // Tipo da transação
         type: {
             type: DataTypes.ENUM('INCOME', 'EXPENSE', 'TRANSFER', 'INTERNAL_TRANSFER'),
@@ -98,6 +104,12 @@ module.exports = (sequelize) => {
                 key: 'id'
             }
         },
+        // Dividida em várias categorias (ver TransactionSplit)
+        isSplit: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false
+        },
         // Descrição
         description: {
             type: DataTypes.STRING(500),
@@ -128,6 +140,19 @@ module.exports = (sequelize) => {
             allowNull: false,
             defaultValue: 'BRL'
         },
+        // Conversão para a moeda do perfil (null quando currency já é a moeda do perfil)
+        baseCurrency: {
+            type: DataTypes.STRING(3),
+            allowNull: true
+        },
+        exchangeRate: {
+            type: DataTypes.DECIMAL(18, 8),
+            allowNull: true
+        },
+        convertedAmount: {
+            type: DataTypes.DECIMAL(15, 2),
+            allowNull: true
+        },
         // Recorrência
         isRecurring: {
             type: DataTypes.BOOLEAN,
@@ -147,27 +172,102 @@ module.exports = (sequelize) => {
                 max: 31
             }
         },
+        // Fim da série recorrente (null = sem fim)
+        recurringEndDate: {
+            type: DataTypes.DATEONLY,
+            allowNull: true
+        },
+        // Transação que define a série (preenchido nas ocorrências geradas)
+        recurringSeriesId: {
+            type: DataTypes.UUID,
+            allowNull: true,
+            references: {
+                model: 'manual_transactions',
+                key: 'id'
+            }
+        },
+        // Data prevista da ocorrência na série (não muda se o usuário mover a data)
+        recurrenceDate: {
+            type: DataTypes.DATEONLY,
+            allowNull: true
+        },
         // Se as notificações já foram criadas para esta transação
         notificationsCreated: {
             type: DataTypes.BOOLEAN,
             allowNull: false,
             defaultValue: false
+        },
+        // ID externo do lançamento no extrato importado (ex: FITID do OFX)
+        externalId: {
+            type: DataTypes.STRING(255),
+            allowNull: true
+        },
+        // Conciliação: compensada no extrato (reconciliationId = conciliação em que foi marcada)
+        clearedAt: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        reconciliationId: {
+            type: DataTypes.UUID,
+            allowNull: true,
+            references: {
+                model: 'bank_reconciliations',
+                key: 'id'
+            }
+        },
+        // Lixeira: registros excluídos juntos (parcelamento, lote) compartilham o id
+        deletionBatchId: {
+            type: DataTypes.UUID,
+            allowNull: true
         }
     }, {
         tableName: 'manual_transactions',
         timestamps: true,
+        paranoid: true,
         indexes: [
             { fields: ['user_id'] },
             { fields: ['profile_id'] },
             { fields: ['bank_account_id'] },
             { fields: ['linked_transfer_id'] },
+            { fields: ['owner_transfer_type'] },
             { fields: ['date'] },
             { fields: ['type'] },
             { fields: ['source'] },
             { fields: ['status'] },
-            { fields: ['category_id'] }
-        ]
+            { fields: ['category_id'] },
+            { fields: ['bank_account_id', 'external_id'] },
+            { fields: ['reconciliation_id'] },
+            { fields: ['deleted_at'] },
+            { fields: ['deletion_batch_id'] },
+            { fields: ['recurring_series_id', 'recurrence_date'], unique: true }
+        ],
+        hooks: {
+            // Moeda estrangeira: converter para a moeda do perfil na data da transação
+            beforeSave: async (transaction, options) => {
+                if (transaction.isNewRecord || transaction.changed('amount') || transaction.changed('currency') ||
+                    transaction.changed('date') || transaction.changed('profileId')) {
+                    const { applyConversion } = require('../features/exchangeRates/exchangeRates.service');
+                    await applyConversion(transaction, { transaction: options.transaction });
+                }
+            }
+        }
     });
 
+    /**
+     * Soma na moeda do perfil (convertedAmount quando em moeda estrangeira)
+     * @param {Object} options - Opções do findAll (where, transaction)
+     * @returns {Promise<number>}
+     */
+    ManualTransaction.sumConverted = async function (options = {}) {
+        const [result] = await this.findAll({
+            ...options,
+            attributes: [
+                [sequelize.fn('SUM', sequelize.fn('COALESCE', sequelize.col('converted_amount'), sequelize.col('amount'))), 'total']
+            ],
+            raw: true
+        });
+        return parseFloat(result?.total) || 0;
+    };
+
     return ManualTransaction;
 };
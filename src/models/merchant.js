@@ -0,0 +1,87 @@
+/**
+ * Model Merchant
+ * ========================================
+ * ESTABELECIMENTOS (MERCHANTS) DO PERFIL
+ * ========================================
+ *
+ * - Agrupa descrições diferentes do mesmo estabelecimento
+ *   ("IFD*IFOOD", "IFOOD *RESTAURANTE X", "iFood" → iFood)
+ * - aliases: trechos de descrição (sem acentos/pontuação, início de palavra)
+ *   ou regex entre barras ("/^uber\s*\*?trip/")
+ * - O vínculo com a transação fica em TransactionMetadata.merchantId
+ * - defaultCategoryId: categoria aplicada quando a transação chega sem categoria
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    const Merchant = sequelize.define('Merchant', {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true
+        },
+        userId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'users',
+                key: 'id'
+            }
+        },
+        // Perfil ao qual o estabelecimento pertence (isolamento multi-contexto)
+        profileId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'profiles',
+                key: 'id'
+            }
+        },
+        // Nome exibido (também funciona como alias)
+        name: {
+            type: DataTypes.STRING(100),
+            allowNull: false,
+            validate: {
+                notEmpty: { msg: 'Nome do estabelecimento é obrigatório' }
+            }
+        },
+        // Padrões de descrição que identificam o estabelecimento
+        aliases: {
+            type: DataTypes.ARRAY(DataTypes.STRING(200)),
+            allowNull: false,
+            defaultValue: []
+        },
+        defaultCategoryId: {
+            type: DataTypes.UUID,
+            allowNull: true,
+            references: {
+                model: 'categories',
+                key: 'id'
+            }
+        },
+        // Hex (#RRGGBB)
+        color: {
+            type: DataTypes.STRING(7),
+            allowNull: true
+        },
+        logoUrl: {
+            type: DataTypes.STRING(500),
+            allowNull: true
+        },
+        isActive: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: true
+        }
+    }, {
+        tableName: 'merchants',
+        timestamps: true,
+        indexes: [
+            { fields: ['user_id'] },
+            { fields: ['profile_id', 'name'], unique: true }
+        ]
+    });
+
+    return Merchant;
+};
@@ -0,0 +1,116 @@
+/**
+ * Model NetWorthSnapshot
+ * Patrimônio líquido diário (contas + investimentos + metas - cartões)
+ * ========================================
+ *
+ * Um registro por dia e por perfil; profileId null = consolidado do usuário.
+ * Valores na moeda base do perfil (consolidado em BRL).
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    const NetWorthSnapshot = sequelize.define('NetWorthSnapshot', {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true
+        },
+        userId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'users',
+                key: 'id'
+            }
+        },
+        // Perfil do snapshot (null = consolidado de todos os perfis)
+        profileId: {
+            type: DataTypes.UUID,
+            allowNull: true,
+            references: {
+                model: 'profiles',
+                key: 'id'
+            }
+        },
+        date: {
+            type: DataTypes.DATEONLY,
+            allowNull: false
+        },
+        currency: {
+            type: DataTypes.STRING(3),
+            allowNull: false,
+            defaultValue: 'BRL'
+        },
+        // ========================================
+        // ATIVOS
+        // ========================================
+        bankAccounts: {
+            type: DataTypes.DECIMAL(15, 2),
+            allowNull: false,
+            defaultValue: 0
+        },
+        // Renda variável a mercado (getPortfolio)
+        investments: {
+            type: DataTypes.DECIMAL(15, 2),
+            allowNull: false,
+            defaultValue: 0
+        },
+        // Renda fixa, cripto etc. (FinancialProduct não tem perfil: só no consolidado)
+        financialProducts: {
+            type: DataTypes.DECIMAL(15, 2),
+            allowNull: false,
+            defaultValue: 0
+        },
+        // Metas guardadas fora das contas (sem bankAccountId)
+        goals: {
+            type: DataTypes.DECIMAL(15, 2),
+            allowNull: false,
+            defaultValue: 0
+        },
+        totalAssets: {
+            type: DataTypes.DECIMAL(15, 2),
+            allowNull: false,
+            defaultValue: 0
+        },
+        // ========================================
+        // PASSIVOS
+        // ========================================
+        // Faturas em aberto (total - pago)
+        cardInvoices: {
+            type: DataTypes.DECIMAL(15, 2),
+            allowNull: false,
+            defaultValue: 0
+        },
+        // Lançamentos ainda sem fatura e parcelas futuras
+        futureInstallments: {
+            type: DataTypes.DECIMAL(15, 2),
+            allowNull: false,
+            defaultValue: 0
+        },
+        totalLiabilities: {
+            type: DataTypes.DECIMAL(15, 2),
+            allowNull: false,
+            defaultValue: 0
+        },
+        netWorth: {
+            type: DataTypes.DECIMAL(15, 2),
+            allowNull: false,
+            defaultValue: 0
+        },
+        // Detalhamento por conta/cartão no momento do snapshot
+        breakdown: {
+            type: DataTypes.JSONB,
+            allowNull: true
+        }
+    }, {
+        tableName: 'net_worth_snapshots',
+        timestamps: true,
+        indexes: [
+            { fields: ['user_id', 'date'] },
+            { fields: ['profile_id', 'date'] }
+        ]
+    });
+
+    return NetWorthSnapshot;
+};
@@ -40,6 +40,10 @@ module.exports = (sequelize) => {
                 'INVOICE_DUE',          // Fatura no dia
                 'INVOICE_OVERDUE',      // Fatura vencida
                 'INVOICE_PAID',         // Fatura paga
+                'SAFE_TO_SPEND',        // Quanto posso gastar hoje (diário)
+                'BUDGET_ALERT',         // Limite de categoria (50/80/100%)
+                'GOAL_BEHIND',          // Meta atrasada em relação ao prazo
+                'GOAL_CONTRIBUTION_SKIPPED', // Aporte automático pulado (saldo insuficiente ou conta desativada)
                 'GENERAL'               // Geral
             ),
             allowNull: false
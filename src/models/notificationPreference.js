@@ -37,6 +37,7 @@ module.exports = (sequelize) => {
                 // Metas e Orçamento
                 'GOALS',                  // Progresso de metas
                 'BUDGET_ALERTS',          // Alertas de orçamento
+                'SAFE_TO_SPEND',          // Resumo diário "quanto posso gastar hoje"
                 'STREAK_ALERTS',          // Alertas de streak
                 // MEI
                 'DAS_REMINDERS',          // Lembretes de DAS
@@ -0,0 +1,68 @@
+/**
+ * Model SavedSearch
+ * ========================================
+ * BUSCAS SALVAS DE TRANSAÇÕES
+ * ========================================
+ *
+ * - Query na linguagem de busca (search.parser), salva por perfil
+ * - Validada ao salvar; executada com a mesma paginação por cursor do GET /transactions
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    const SavedSearch = sequelize.define('SavedSearch', {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true
+        },
+        userId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'users',
+                key: 'id'
+            }
+        },
+        // Perfil ao qual a busca pertence (isolamento multi-contexto)
+        profileId: {
+            type: DataTypes.UUID,
+            allowNull: true,
+            references: {
+                model: 'profiles',
+                key: 'id'
+            }
+        },
+        name: {
+            type: DataTypes.STRING(100),
+            allowNull: false,
+            validate: {
+                notEmpty: { msg: 'Nome da busca é obrigatório' }
+            }
+        },
+        // Ex: ifood amount:>50 after:2026-01-01 -status:CANCELLED
+        query: {
+            type: DataTypes.TEXT,
+            allowNull: false
+        },
+        useCount: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+        lastUsedAt: {
+            type: DataTypes.DATE,
+            allowNull: true
+        }
+    }, {
+        tableName: 'saved_searches',
+        timestamps: true,
+        indexes: [
+            { fields: ['user_id'] },
+            { fields: ['profile_id'] }
+        ]
+    });
+
+    return SavedSearch;
+};
@@ -0,0 +1,65 @@
+/**
+ * Model Tag
+ * ========================================
+ * TAGS DO PERFIL
+ * ========================================
+ *
+ * - Cadastro das tags usadas em TransactionMetadata.tags e CardTransaction.tags
+ * - O uso continua nos arrays; a tag guarda cor e permite renomear/mesclar
+ * - Nome único por perfil (sem diferenciar maiúsculas)
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    const Tag = sequelize.define('Tag', {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true
+        },
+        userId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'users',
+                key: 'id'
+            }
+        },
+        // Perfil ao qual a tag pertence (isolamento multi-contexto)
+        profileId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'profiles',
+                key: 'id'
+            }
+        },
+        // Ex: viagem-2026, reforma
+        name: {
+            type: DataTypes.STRING(50),
+            allowNull: false,
+            validate: {
+                notEmpty: { msg: 'Nome da tag é obrigatório' }
+            }
+        },
+        // Hex (#RRGGBB)
+        color: {
+            type: DataTypes.STRING(7),
+            allowNull: true
+        },
+        description: {
+            type: DataTypes.STRING(255),
+            allowNull: true
+        }
+    }, {
+        tableName: 'tags',
+        timestamps: true,
+        indexes: [
+            { fields: ['user_id'] },
+            { fields: ['profile_id', 'name'], unique: true }
+        ]
+    });
+
+    return Tag;
+};
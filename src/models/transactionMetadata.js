@@ -8,6 +8,8 @@
  * - Categoria
  * - Tags
  * - Observações
+ * - Histórico das regras de categorização aplicadas
+ * - Estabelecimento (Merchant) reconhecido pela descrição
  * 
  * SEM alterar os dados originais das transações
  * Vinculada por referência polimórfica
@@ -32,10 +34,10 @@ module.exports = (sequelize) => {
         },
         // Referência polimórfica
         transactionType: {
-            type: DataTypes.ENUM('OPEN_FINANCE', 'MANUAL'),
+            type: DataTypes.ENUM('OPEN_FINANCE', 'MANUAL', 'CARD'),
             allowNull: false
         },
-        // ID da transação (OpenFinanceTransaction OU ManualTransaction)
+        // ID da transação (OpenFinanceTransaction, ManualTransaction ou CardTransaction)
         transactionId: {
             type: DataTypes.UUID,
             allowNull: false
@@ -72,6 +74,22 @@ module.exports = (sequelize) => {
             type: DataTypes.BOOLEAN,
             allowNull: false,
             defaultValue: false
+        },
+        // Regras de categorização aplicadas (auditoria)
+        // [{ ruleId, ruleName, trigger, categoryId, tags, appliedAt }]
+        appliedRules: {
+            type: DataTypes.JSONB,
+            allowNull: false,
+            defaultValue: []
+        },
+        // Estabelecimento reconhecido pela descrição (aliases do Merchant)
+        merchantId: {
+            type: DataTypes.UUID,
+            allowNull: true,
+            references: {
+                model: 'merchants',
+                key: 'id'
+            }
         }
     }, {
         tableName: 'transaction_metadata',
@@ -80,6 +98,7 @@ module.exports = (sequelize) => {
             { fields: ['user_id'] },
             { fields: ['transaction_type', 'transaction_id'], unique: true },
             { fields: ['category'] },
+            { fields: ['merchant_id'] },
             { fields: ['tags'], using: 'gin' }
         ]
     });
@@ -0,0 +1,77 @@
+/**
+ * Model TransactionSplit
+ * ========================================
+ * DIVISÃO DE TRANSAÇÕES POR CATEGORIA
+ * ========================================
+ *
+ * - Uma ManualTransaction ou CardTransaction pode ser dividida em várias linhas
+ * - Cada linha tem sua própria categoria e valor
+ * - A soma das linhas é sempre igual ao valor da transação pai
+ * - Relatórios e orçamentos contam as linhas no lugar da categoria do pai
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    const TransactionSplit = sequelize.define('TransactionSplit', {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true
+        },
+        userId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'users',
+                key: 'id'
+            }
+        },
+        // Tipo da transação pai
+        transactionType: {
+            type: DataTypes.ENUM('MANUAL', 'CARD'),
+            allowNull: false
+        },
+        // ID da transação pai (ManualTransaction ou CardTransaction)
+        transactionId: {
+            type: DataTypes.UUID,
+            allowNull: false
+        },
+        categoryId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'categories',
+                key: 'id'
+            }
+        },
+        amount: {
+            type: DataTypes.DECIMAL(15, 2),
+            allowNull: false,
+            validate: {
+                min: 0.01
+            }
+        },
+        // Descrição opcional da linha (ex: "Produtos de limpeza")
+        description: {
+            type: DataTypes.STRING(255),
+            allowNull: true
+        },
+        // Ordem de exibição
+        order: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        }
+    }, {
+        tableName: 'transaction_splits',
+        timestamps: true,
+        indexes: [
+            { fields: ['user_id'] },
+            { fields: ['transaction_type', 'transaction_id'] },
+            { fields: ['category_id'] }
+        ]
+    });
+
+    return TransactionSplit;
+};
@@ -95,6 +95,29 @@ module.exports = (sequelize) => {
         // ========================================
         // END SUBSCRIPTION FIELDS
         // ========================================
+        // ========================================
+        // CONFIGURAÇÃO FINANCEIRA (onboarding)
+        // ========================================
+        initialBalance: {
+            type: DataTypes.DECIMAL(15, 2),
+            allowNull: true,
+            comment: 'Saldo informado no onboarding'
+        },
+        salary: {
+            type: DataTypes.DECIMAL(15, 2),
+            allowNull: true,
+            comment: 'Salário líquido mensal (usado na previsão de caixa)'
+        },
+        salaryDay: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            validate: { min: 1, max: 31 },
+            comment: 'Dia do mês em que o salário cai'
+        },
+        salaryDescription: {
+            type: DataTypes.STRING(100),
+            allowNull: true
+        },
         // Onboarding
         onboardingComplete: {
             type: DataTypes.BOOLEAN,
@@ -151,6 +151,60 @@ router.use('/admin', adminRoutes);
 const { settingsRoutes } = require('../features/settings');
 router.use('/settings', settingsRoutes);
 
+// ===========================================
+// REGISTRAR ROTAS - FASE 14 (CATEGORIZAÇÃO AUTOMÁTICA)
+// ===========================================
+const { categorizationRulesRoutes } = require('../features/categorizationRules');
+router.use('/categorization-rules', categorizationRulesRoutes);
+
+// ===========================================
+// REGISTRAR ROTAS - FASE 16 (COMPROVANTES E ANEXOS)
+// ===========================================
+const { attachmentsRoutes } = require('../features/attachments');
+router.use('/attachments', attachmentsRoutes);
+
+// ===========================================
+// REGISTRAR ROTAS - FASE 18 (DETECÇÃO DE DUPLICATAS)
+// ===========================================
+const { duplicatesRoutes } = require('../features/duplicates');
+router.use('/duplicates', duplicatesRoutes);
+
+// ===========================================
+// REGISTRAR ROTAS - FASE 19 (MULTIMOEDA)
+// ===========================================
+const { exchangeRatesRoutes } = require('../features/exchangeRates');
+router.use('/exchange-rates', exchangeRatesRoutes);
+
+// ===========================================
+// REGISTRAR ROTAS - FASE 21 (LIXEIRA)
+// ===========================================
+const { trashRoutes } = require('../features/trash');
+router.use('/trash', trashRoutes);
+
+// ===========================================
+// REGISTRAR ROTAS - FASE 22 (TAGS)
+// ===========================================
+const { tagsRoutes } = require('../features/tags');
+router.use('/tags', tagsRoutes);
+
+// ===========================================
+// REGISTRAR ROTAS - FASE 23 (ESTABELECIMENTOS)
+// ===========================================
+const { merchantsRoutes } = require('../features/merchants');
+router.use('/merchants', merchantsRoutes);
+
+// ===========================================
+// REGISTRAR ROTAS - FASE 24 (PREVISÃO DE CAIXA)
+// ===========================================
+const { forecastRoutes } = require('../features/forecast');
+router.use('/forecast', forecastRoutes);
+
+// ===========================================
+// REGISTRAR ROTAS - FASE 25 (PATRIMÔNIO LÍQUIDO)
+// ===========================================
+const { netWorthRoutes } = require('../features/netWorth');
+router.use('/net-worth', netWorthRoutes);
+
 // Webhook do Mercado Pago (rota separada)
 router.post('/webhooks/mercadopago', (req, res, next) => {
     const webhookController = require('../features/subscription/webhook.controller');
@@ -188,10 +242,32 @@ router.get('/', (req, res) => {
                 'POST /open-finance/import/transactions': 'Importar transações'
             },
             transactions: {
-                'GET /transactions': 'Listar transações',
+                'GET /transactions': 'Listar transações (?q= busca avançada: ifood amount:>50 tag:x category:y account:z after:YYYY-MM-DD -status:CANCELLED; ?cursor= paginação)',
+                'POST /transactions/bulk': 'Operação em lote (RECATEGORIZE, RETAG, SET_ACCOUNT, SET_STATUS, DELETE)',
+                'GET /transactions/bulk': 'Operações em lote recentes',
+                'POST /transactions/bulk/:operationId/revert': 'Reverter operação em lote',
+                'GET /transactions/searches': 'Listar buscas salvas',
+                'POST /transactions/searches': 'Salvar busca',
+                'PUT /transactions/searches/:searchId': 'Atualizar busca salva',
+                'DELETE /transactions/searches/:searchId': 'Excluir busca salva',
+                'GET /transactions/searches/:searchId/results': 'Executar busca salva',
                 'POST /transactions/manual': 'Criar transação manual',
+                'POST /transactions/owner-transfer': 'Retirada do sócio PJ → PF (ownerTransferType: PRO_LABORE | PROFIT_DISTRIBUTION): despesa na PJ, receita na PF',
+                'GET /reports/mei': 'Faturamento x limite MEI, despesas, pró-labore e distribuição de lucros do perfil empresarial (year)',
+                'POST /transactions/import/ofx/preview': 'Pré-visualizar importação de extrato OFX',
+                'POST /transactions/import/ofx': 'Importar extrato OFX',
+                'POST /transactions/import/csv/preview': 'Pré-visualizar importação CSV (dry-run)',
+                'POST /transactions/import/csv': 'Importar extrato CSV',
+                'GET /transactions/import/csv/presets': 'Presets de CSV dos bancos',
+                'GET /transactions/import/mappings': 'Mapeamentos de colunas salvos',
                 'PUT /transactions/:id': 'Atualizar transação',
-                'DELETE /transactions/:id': 'Excluir transação manual'
+                'DELETE /transactions/:id': 'Excluir transação manual',
+                'PUT /transactions/:id/splits': 'Dividir transação em várias categorias',
+                'DELETE /transactions/:id/splits': 'Desfazer divisão da transação',
+                'GET /transactions/recurring': 'Séries recorrentes e próximas ocorrências',
+                'PUT /transactions/:id/recurrence': 'Editar ocorrência (THIS ou THIS_AND_FOLLOWING)',
+                'POST /transactions/:id/recurrence/skip': 'Pular ocorrência',
+                'POST /transactions/:id/recurrence/end': 'Encerrar série recorrente'
             },
             investments: {
                 'GET /investments': 'Listar investimentos',
@@ -202,7 +278,34 @@ router.get('/', (req, res) => {
             budgets: {
                 'GET /budgets': 'Listar orçamentos',
                 'GET /budgets/current': 'Orçamento atual',
-                'POST /budgets': 'Criar orçamento'
+                'GET /budgets/safe-to-spend': 'Quanto posso gastar hoje: saldo menos compromissos e metas até o próximo salário, por dia',
+                'POST /budgets/allocations': 'Salvar alocações do mês (isEnvelope ativa o modo envelope)',
+                'POST /budgets/allocations/move': 'Mover valor entre envelopes do mesmo mês (fromAllocationId, toAllocationId, amount)',
+                'POST /budgets/allocations/rollover': 'Recalcular a sobra trazida do mês anterior (month, year)',
+                'GET /budgets/allocations/movements': 'Histórico de movimentações dos envelopes (month, year)',
+                'GET /budgets/allocations/:id/movements': 'Histórico de um envelope',
+                'GET /budgets/category-limits': 'Limites mensais por categoria com o gasto do mês (month, year)',
+                'PUT /budgets/category-limits/:categoryId': 'Definir limite mensal da categoria (alertas em 50/80/100%)',
+                'DELETE /budgets/category-limits/:categoryId': 'Remover limite da categoria',
+                'POST /budgets': 'Criar orçamento',
+                'GET /budgets/annual': 'Planejamento anual por categoria/alocação, com itens sazonais (year)',
+                'POST /budgets/annual/seed': 'Criar planejamento anual a partir dos orçamentos mensais (year)',
+                'POST /budgets/annual/items': 'Adicionar item ao planejamento (monthlyAmounts com 12 valores ou amount + months)',
+                'PUT /budgets/annual/items/:id': 'Atualizar item do planejamento',
+                'DELETE /budgets/annual/items/:id': 'Remover item do planejamento',
+                'GET /budgets/variance': 'Planejado x realizado por mês com variação acumulada no ano (year)',
+                'POST /budgets/generate': 'Prévia do orçamento do mês pelo histórico (3-6 meses), modelo (50_30_20, 60_20_20, DEFAULT) ou cópia do mês anterior; save=true grava'
+            },
+            goals: {
+                'GET /goals/projections': 'Projeção das metas ativas: aporte mensal necessário, ritmo atual e data prevista (com rendimento)',
+                'GET /goals/:id/projection': 'Projeção de uma meta',
+                'GET /goals/schedules': 'Aportes automáticos agendados do perfil',
+                'GET /goals/:id/schedules': 'Aportes automáticos de uma meta',
+                'POST /goals/:id/schedules': 'Agendar aporte automático { bankAccountId, amount, frequency (WEEKLY|BIWEEKLY|MONTHLY|SALARY_DAY), dayOfMonth?, startDate? }',
+                'PUT /goals/schedules/:scheduleId': 'Atualizar aporte agendado (valor, conta, frequência, status)',
+                'POST /goals/schedules/:scheduleId/pause': 'Pausar aporte agendado',
+                'POST /goals/schedules/:scheduleId/resume': 'Retomar aporte agendado (sem cobrar o período pausado)',
+                'DELETE /goals/schedules/:scheduleId': 'Remover aporte agendado'
             },
             dashboard_financeiro: {
                 'GET /dashboard/summary': 'Resumo financeiro (gastos)',
@@ -237,7 +340,74 @@ router.get('/', (req, res) => {
                 'DELETE /manual-cards/:id': 'Desativar cartão',
                 'GET /manual-cards/:cardId/transactions': 'Transações do cartão',
                 'POST /manual-cards/:cardId/transactions': 'Criar transação (com parcelamento)',
-                'GET /manual-cards/:cardId/statement': 'Fatura do cartão'
+                'GET /manual-cards/:cardId/statement': 'Fatura do cartão',
+                'POST /manual-cards/:cardId/import/preview': 'Pré-visualizar importação de fatura (CSV/OFX)',
+                'POST /manual-cards/:cardId/import': 'Importar fatura e conciliar com CardInvoice',
+                'PUT /manual-cards/transactions/:transactionId/splits': 'Dividir transação do cartão por categoria'
+            },
+            categorization_rules: {
+                'GET /categorization-rules': 'Listar regras de categorização do perfil',
+                'POST /categorization-rules': 'Criar regra',
+                'PUT /categorization-rules/:id': 'Atualizar regra',
+                'DELETE /categorization-rules/:id': 'Excluir regra',
+                'POST /categorization-rules/test': 'Testar regras contra uma transação',
+                'POST /categorization-rules/reapply': 'Reaplicar regras sobre transações existentes'
+            },
+            attachments: {
+                'POST /attachments/:resourceType/:resourceId': 'Enviar anexo (multipart: file, kind) - transactions, card-transactions, open-finance-transactions, das-guides, card-invoices',
+                'GET /attachments/:resourceType/:resourceId': 'Listar anexos do registro',
+                'GET /attachments/usage': 'Uso da cota de anexos',
+                'GET /attachments/:id/url': 'Gerar URL assinada de download',
+                'GET /attachments/:id/download': 'Baixar anexo',
+                'GET /attachments/download/:token': 'Baixar anexo por URL assinada',
+                'DELETE /attachments/:id': 'Excluir anexo'
+            },
+            duplicates: {
+                'GET /duplicates': 'Fila de possíveis duplicatas (status=PENDING|MERGED|KEPT_BOTH|IGNORED)',
+                'POST /duplicates/scan': 'Procurar duplicatas entre Open Finance, manuais e cartão',
+                'POST /duplicates/:id/merge': 'Mesclar par (keep=A|B), preservando categoria e dados do lançamento manual',
+                'POST /duplicates/:id/keep-both': 'Manter as duas transações',
+                'POST /duplicates/:id/ignore': 'Ignorar sugestão'
+            },
+            exchangeRates: {
+                'GET /exchange-rates': 'Listar cotações (currency, baseCurrency, startDate, endDate, source=MANUAL)',
+                'POST /exchange-rates': 'Registrar cotação manual (currency, baseCurrency, date, rate)',
+                'DELETE /exchange-rates/:id': 'Excluir cotação manual',
+                'GET /exchange-rates/convert': 'Converter valor (amount, from, to, date)',
+                'GET /reports/fx-result': 'Ganho/perda cambial das contas em moeda estrangeira (startDate, endDate)'
+            },
+            trash: {
+                'GET /trash': 'Transações excluídas (source=MANUAL|CARD), com data do expurgo automático',
+                'POST /trash/:source/:id/restore': 'Restaurar transação e reaplicar o saldo (wholeBatch=true restaura a exclusão inteira)',
+                'POST /trash/batches/:batchId/restore': 'Restaurar parcelamento ou exclusão em lote (batchId = operationId)',
+                'DELETE /trash/:source/:id': 'Excluir definitivamente',
+                'DELETE /trash': 'Esvaziar a lixeira'
+            },
+            tags: {
+                'GET /tags': 'Tags do perfil com contagem de uso',
+                'POST /tags': 'Criar tag (name, color, description)',
+                'PUT /tags/:id': 'Atualizar tag; renomear reescreve todas as transações e regras',
+                'POST /tags/:id/merge': 'Mesclar tags (sourceIds) nesta tag',
+                'DELETE /tags/:id': 'Excluir tag e removê-la das transações',
+                'GET /reports/tags': 'Receitas/despesas por tag, por mês e por categoria (startDate, endDate, tags)',
+                'GET /dashboard/summary?tags=': 'Filtro por tags também em /dashboard/categories, /dashboard/recent-transactions e /reports/statement'
+            },
+            merchants: {
+                'GET /merchants': 'Estabelecimentos do perfil com uso e categoria sugerida',
+                'POST /merchants': 'Criar estabelecimento (name, aliases, defaultCategoryId) e vincular transações antigas',
+                'GET /merchants/:id': 'Detalhe do estabelecimento',
+                'PUT /merchants/:id': 'Atualizar estabelecimento; novos aliases vinculam transações sem estabelecimento',
+                'POST /merchants/:id/merge': 'Mesclar estabelecimentos (sourceIds) neste',
+                'DELETE /merchants/:id': 'Excluir estabelecimento (transações ficam sem vínculo)',
+                'POST /merchants/test': 'Testar o reconhecimento de uma descrição',
+                'POST /merchants/rematch': 'Reconhecer estabelecimentos em transações existentes (startDate, endDate, onlyUnmatched, dryRun)',
+                'GET /reports/merchants': 'Top estabelecimentos: gasto, visitas, ticket médio e evolução mensal (startDate, endDate, limit)'
+            },
+            forecast: {
+                'GET /forecast/cash-flow': 'Saldo diário projetado por conta (days, bankAccountId) e primeira data negativa'
+            },
+            netWorth: {
+                'GET /net-worth/history': 'Patrimônio líquido atual e histórico diário (scope=profile|consolidated, startDate, endDate)'
             }
         },
         documentation: {
@@ -0,0 +1,274 @@
+/**
+ * Annual Plan Test
+ * ========================
+ *
+ * Planejamento anual: itens mensais e sazonais, criação a partir dos
+ * orçamentos mensais e relatório planejado x realizado com acumulado
+ * no ano (YTD) e projeção de fechamento.
+ * Consultas ao banco substituídas por spies nos models.
+ *
+ * Uso: npx jest tests/annualPlan.test.js
+ */
+
+const {
+    BudgetPlanItem,
+    Budget,
+    BudgetAllocation,
+    Category,
+    ManualTransaction,
+    CardTransaction,
+    CreditCard
+} = require('../src/models');
+const splitsService = require('../src/features/transactions/splits.service');
+const exchangeRatesService = require('../src/features/exchangeRates/exchangeRates.service');
+const annualPlanService = require('../src/features/budgets/annualPlan.service');
+
+const months = (values) => [...values, ...new Array(12 - values.length).fill(values[values.length - 1])];
+
+// Item do planejamento em memória
+const planItem = (data) => ({
+    type: 'EXPENSE',
+    categoryId: null,
+    category: null,
+    allocationName: null,
+    isSeasonal: false,
+    getYearTotal() { return this.monthlyAmounts.reduce((sum, v) => sum + parseFloat(v), 0); },
+    ...data
+});
+
+const PLAN = [
+    planItem({
+        id: 'item-mer',
+        name: 'Mercado',
+        categoryId: 'cat-mer',
+        category: { id: 'cat-mer', name: 'Mercado' },
+        allocationName: 'Essenciais',
+        monthlyAmounts: months(['1000'])
+    }),
+    planItem({
+        id: 'item-ipva',
+        name: 'IPVA',
+        allocationName: 'Essenciais',
+        isSeasonal: true,
+        monthlyAmounts: months(['3000', '0'])
+    }),
+    planItem({
+        id: 'item-sal',
+        type: 'INCOME',
+        name: 'Salário',
+        categoryId: 'cat-sal',
+        category: { id: 'cat-sal', name: 'Salário' },
+        monthlyAmounts: months(['5000'])
+    })
+];
+
+// Realizado de jan a mar/2026: despesas 3900, 1200 e 400; receita 5000 por mês
+const mockActuals = () => {
+    jest.spyOn(ManualTransaction, 'findAll').mockResolvedValue([
+        { type: 'EXPENSE', categoryId: 'cat-mer', amount: '800', convertedAmount: null, isSplit: false, date: '2026-01-15' },
+        { type: 'EXPENSE', categoryId: null, amount: '600', convertedAmount: '3100', isSplit: false, date: '2026-01-20' },
+        { type: 'EXPENSE', categoryId: 'cat-mer', amount: '1200', convertedAmount: null, isSplit: false, date: '2026-02-10' },
+        { type: 'EXPENSE', categoryId: null, amount: '100', convertedAmount: null, isSplit: true, date: '2026-03-02' },
+        { type: 'INCOME', categoryId: 'cat-sal', amount: '5000', convertedAmount: null, isSplit: false, date: '2026-01-05' },
+        { type: 'INCOME', categoryId: 'cat-sal', amount: '5000', convertedAmount: null, isSplit: false, date: '2026-02-05' },
+        { type: 'INCOME', categoryId: 'cat-sal', amount: '5000', convertedAmount: null, isSplit: false, date: '2026-03-05' }
+    ]);
+    jest.spyOn(CreditCard, 'findAll').mockResolvedValue([{ id: 'card-1' }]);
+    jest.spyOn(CardTransaction, 'findAll').mockResolvedValue([
+        { category: 'MERCADO', amount: '300', isSplit: false, date: '2026-03-03' }
+    ]);
+    jest.spyOn(splitsService, 'getSplitLines').mockImplementation(async (userId, profileId, { type }) => (type === 'EXPENSE'
+        ? [{ categoryId: 'cat-mer', amount: 60, date: '2026-03-02' }]
+        : []));
+};
+
+beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-03-10T12:00:00'), doNotFake: ['nextTick', 'setImmediate'] });
+    jest.spyOn(exchangeRatesService, 'getBaseCurrency').mockResolvedValue('BRL');
+    jest.spyOn(BudgetPlanItem, 'findAll').mockResolvedValue([]);
+    jest.spyOn(ManualTransaction, 'findAll').mockResolvedValue([]);
+    jest.spyOn(CreditCard, 'findAll').mockResolvedValue([]);
+    jest.spyOn(splitsService, 'getSplitLines').mockResolvedValue([]);
+    jest.spyOn(Budget, 'findAll').mockResolvedValue([]);
+    jest.spyOn(BudgetAllocation, 'findAll').mockResolvedValue([]);
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+});
+
+describe('getVarianceReport', () => {
+    test('planejado x realizado mês a mês, acumulado e projeção do ano', async () => {
+        BudgetPlanItem.findAll.mockResolvedValue(PLAN);
+        mockActuals();
+
+        const report = await annualPlanService.getVarianceReport('user-1', 'prof-1', 2026);
+
+        expect(report).toMatchObject({ year: 2026, currency: 'BRL', source: 'ANNUAL_PLAN', elapsedMonths: 3, onTrack: true });
+        expect(report.months.slice(0, 4)).toEqual([
+            {
+                month: 1,
+                planned: { income: 5000, expenses: 4000 },
+                actual: { income: 5000, expenses: 3900 },
+                variance: 100,
+                variancePercent: 2.5,
+                status: 'UNDER_BUDGET',
+                cumulative: { planned: 4000, actual: 3900, variance: 100 }
+            },
+            expect.objectContaining({ variance: -200, variancePercent: -20, status: 'OVER_BUDGET', cumulative: { planned: 5000, actual: 5100, variance: -100 } }),
+            expect.objectContaining({ variance: 600, status: 'UNDER_BUDGET', cumulative: { planned: 6000, actual: 5500, variance: 500 } }),
+            { month: 4, planned: { income: 5000, expenses: 1000 }, actual: null, variance: null, variancePercent: null, status: 'FUTURE', cumulative: null }
+        ]);
+        expect(report.ytd).toEqual({
+            plannedExpenses: 6000,
+            actualExpenses: 5500,
+            variance: 500,
+            variancePercent: 8.33,
+            plannedIncome: 15000,
+            actualIncome: 15000,
+            incomeVariance: 0
+        });
+        expect(report.projection).toEqual({ plannedExpenses: 15000, expenses: 14500, variance: 500 });
+    });
+
+    test('realizado por item soma categoria, linhas divididas e cartão pelo nome', async () => {
+        BudgetPlanItem.findAll.mockResolvedValue(PLAN);
+        mockActuals();
+
+        const report = await annualPlanService.getVarianceReport('user-1', 'prof-1', 2026);
+        const [mercado, ipva, salario] = report.items;
+
+        expect(mercado.actual.slice(0, 4)).toEqual([800, 1200, 360, null]);
+        expect(mercado).toMatchObject({ ytdPlanned: 3000, ytdActual: 2360, ytdVariance: 640 });
+        expect(ipva).toMatchObject({ isSeasonal: true, actual: null, ytdPlanned: 3000, ytdActual: null, ytdVariance: null });
+        expect(salario).toMatchObject({ ytdPlanned: 15000, ytdActual: 15000, ytdVariance: 0 });
+    });
+
+    test('sem planejamento anual, usa os orçamentos mensais', async () => {
+        Budget.findAll.mockResolvedValue([{ month: 1, incomeExpected: '5000', getSpendingLimit: () => 3500 }]);
+        BudgetAllocation.findAll.mockResolvedValue([{ month: 1, amount: '1000' }, { month: 2, amount: '2000' }]);
+
+        const report = await annualPlanService.getVarianceReport('user-1', 'prof-1', 2026);
+
+        expect(report.source).toBe('MONTHLY_BUDGETS');
+        expect(report.months[0].planned).toEqual({ income: 5000, expenses: 3500 });
+        expect(report.months[1].planned).toEqual({ income: 0, expenses: 2000 });
+        expect(report.projection.plannedExpenses).toBe(5500);
+    });
+
+    test('ano passado fecha os 12 meses; ano futuro não tem realizado', async () => {
+        const past = await annualPlanService.getVarianceReport('user-1', 'prof-1', 2025);
+        expect(past).toMatchObject({ source: 'NONE', elapsedMonths: 12 });
+        expect(past.months.every(m => m.status !== 'FUTURE')).toBe(true);
+
+        const future = await annualPlanService.getVarianceReport('user-1', 'prof-1', '2027');
+        expect(future).toMatchObject({ elapsedMonths: 0, onTrack: true, ytd: expect.objectContaining({ variancePercent: null }) });
+        expect(future.months.every(m => m.status === 'FUTURE')).toBe(true);
+    });
+
+    test('ano fora do intervalo', async () => {
+        await expect(annualPlanService.getVarianceReport('user-1', 'prof-1', 1999))
+            .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_YEAR' });
+    });
+});
+
+describe('getAnnualPlan', () => {
+    test('totais mensais e agrupamento por alocação', async () => {
+        BudgetPlanItem.findAll.mockResolvedValue(PLAN);
+
+        const plan = await annualPlanService.getAnnualPlan('user-1', 'prof-1', 2026);
+
+        expect(plan.months[0]).toEqual({ month: 1, income: 5000, expenses: 4000, net: 1000 });
+        expect(plan.months[1]).toEqual({ month: 2, income: 5000, expenses: 1000, net: 4000 });
+        expect(plan.allocations).toEqual([
+            { name: 'Essenciais', monthlyAmounts: [4000, ...new Array(11).fill(1000)], total: 15000 }
+        ]);
+        expect(plan.totals).toEqual({ income: 60000, expenses: 15000, net: 45000 });
+        expect(plan.items.find(i => i.id === 'item-ipva').total).toBe(3000);
+        expect(BudgetPlanItem.findAll.mock.calls[0][0].where).toEqual({ userId: 'user-1', profileId: 'prof-1', year: 2026 });
+    });
+});
+
+describe('createItem', () => {
+    test('valor só em alguns meses vira item sazonal', async () => {
+        jest.spyOn(BudgetPlanItem, 'create').mockImplementation(async (data) => ({ id: 'item-new', ...data }));
+        jest.spyOn(BudgetPlanItem, 'findByPk').mockImplementation(async () => planItem(BudgetPlanItem.create.mock.calls[0][0]));
+
+        const item = await annualPlanService.createItem('user-1', 'prof-1', {
+            year: 2026,
+            name: ' Material escolar ',
+            amount: '450.5',
+            months: [1, '2']
+        });
+
+        expect(BudgetPlanItem.create).toHaveBeenCalledWith(expect.objectContaining({
+            userId: 'user-1',
+            profileId: 'prof-1',
+            type: 'EXPENSE',
+            name: 'Material escolar',
+            isSeasonal: true,
+            monthlyAmounts: [450.5, 450.5, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
+        }));
+        expect(item.total).toBe(901);
+    });
+
+    test('valores mensais, meses e categoria inválidos', async () => {
+        jest.spyOn(BudgetPlanItem, 'create');
+
+        await expect(annualPlanService.createItem('user-1', 'prof-1', { name: 'X', monthlyAmounts: [1, 2, 3] }))
+            .rejects.toMatchObject({ code: 'INVALID_MONTHLY_AMOUNTS' });
+        await expect(annualPlanService.createItem('user-1', 'prof-1', { name: 'X', amount: -1 }))
+            .rejects.toMatchObject({ code: 'INVALID_MONTHLY_AMOUNTS' });
+        await expect(annualPlanService.createItem('user-1', 'prof-1', { name: 'X', amount: 10, months: [13] }))
+            .rejects.toMatchObject({ code: 'INVALID_MONTHS' });
+
+        jest.spyOn(Category, 'findOne').mockResolvedValue(null);
+        await expect(annualPlanService.createItem('user-1', 'prof-1', { name: 'X', amount: 10, categoryId: 'cat-x' }))
+            .rejects.toMatchObject({ statusCode: 404, code: 'CATEGORY_NOT_FOUND' });
+        expect(BudgetPlanItem.create).not.toHaveBeenCalled();
+    });
+});
+
+describe('seedFromMonthlyBudgets', () => {
+    test('uma linha por alocação repetindo o último valor e a receita esperada', async () => {
+        BudgetAllocation.findAll.mockResolvedValue([
+            { name: 'Casa', month: 3, amount: '1500' },
+            { name: 'casa ', month: 6, amount: '1600' },
+            { name: 'Lazer', month: 3, amount: '400' }
+        ]);
+        Budget.findAll.mockResolvedValue([{ month: 2, incomeExpected: '5000' }, { month: 3, incomeExpected: '0' }]);
+        BudgetPlanItem.findAll
+            .mockResolvedValueOnce([{ type: 'EXPENSE', name: 'Lazer', allocationName: ' lazer' }])
+            .mockResolvedValue([]);
+        jest.spyOn(BudgetPlanItem, 'bulkCreate').mockResolvedValue([]);
+
+        const result = await annualPlanService.seedFromMonthlyBudgets('user-1', 'prof-1', 2026);
+
+        expect(result.created).toBe(2);
+        expect(BudgetPlanItem.bulkCreate).toHaveBeenCalledWith([
+            {
+                userId: 'user-1',
+                profileId: 'prof-1',
+                year: 2026,
+                type: 'EXPENSE',
+                name: 'Casa',
+                allocationName: 'Casa',
+                monthlyAmounts: [1500, 1500, 1500, 1500, 1500, 1600, 1600, 1600, 1600, 1600, 1600, 1600]
+            },
+            {
+                userId: 'user-1',
+                profileId: 'prof-1',
+                year: 2026,
+                type: 'INCOME',
+                name: 'Receita esperada',
+                monthlyAmounts: new Array(12).fill(5000)
+            }
+        ]);
+    });
+
+    test('ano sem orçamentos mensais', async () => {
+        await expect(annualPlanService.seedFromMonthlyBudgets('user-1', 'prof-1', 2026))
+            .rejects.toMatchObject({ statusCode: 400, code: 'NO_MONTHLY_BUDGETS' });
+    });
+});
@@ -0,0 +1,266 @@
+/**
+ * Budget Generator Test
+ * ========================
+ *
+ * Geração de orçamento: média de gastos por categoria no histórico,
+ * receita esperada (forecast, média ou último orçamento), modelos,
+ * cópia do mês anterior e gravação da proposta editada.
+ * Consultas ao banco e serviços vizinhos substituídos por spies.
+ *
+ * Uso: npx jest tests/budgetGenerator.test.js
+ */
+
+const {
+    Profile,
+    Budget,
+    BudgetAllocation,
+    ManualTransaction,
+    CardTransaction,
+    CreditCard,
+    Category
+} = require('../src/models');
+const budgetsService = require('../src/features/budgets/budgets.service');
+const forecastService = require('../src/features/forecast/forecast.service');
+const splitsService = require('../src/features/transactions/splits.service');
+const exchangeRatesService = require('../src/features/exchangeRates/exchangeRates.service');
+const generatorService = require('../src/features/budgets/generator.service');
+
+const CATEGORIES = [
+    { id: 'cat-mer', name: 'Mercado', icon: 'cart', color: '#f00', userId: 'user-1' },
+    { id: 'cat-mer-def', name: 'mercado', icon: 'cart', color: '#0f0', userId: null },
+    { id: 'cat-tra', name: 'Transporte', icon: 'car', color: '#00f', userId: null }
+];
+
+// Previsão do mês alvo (abril/2026) com os eventos de uma conta em BRL
+const mockForecast = (events) => {
+    jest.spyOn(forecastService, 'getProjectedEvents').mockResolvedValue({
+        accounts: [{ id: 'acc-1', currency: 'BRL' }],
+        eventsByAccount: new Map([['acc-1', events]])
+    });
+};
+
+// Histórico de dez/2025 a fev/2026: Mercado 1200, Transporte 600, sem categoria 90
+const mockHistory = () => {
+    jest.spyOn(ManualTransaction, 'findAll').mockResolvedValue([
+        { categoryId: 'cat-mer', amount: '900', convertedAmount: null },
+        { categoryId: 'cat-tra', amount: '100', convertedAmount: '300' },
+        { categoryId: null, amount: '60', convertedAmount: null }
+    ]);
+    jest.spyOn(CreditCard, 'findAll').mockResolvedValue([{ id: 'card-1' }]);
+    jest.spyOn(CardTransaction, 'findAll').mockResolvedValue([
+        { category: 'MERCADO ', amount: '300' },
+        { category: null, amount: '30' }
+    ]);
+    jest.spyOn(splitsService, 'getSplitLines').mockResolvedValue([{ categoryId: 'cat-tra', amount: 300 }]);
+};
+
+beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-03-10T12:00:00'), doNotFake: ['nextTick', 'setImmediate'] });
+    jest.spyOn(Profile, 'findOne').mockResolvedValue({ id: 'prof-1' });
+    jest.spyOn(exchangeRatesService, 'getBaseCurrency').mockResolvedValue('BRL');
+    jest.spyOn(exchangeRatesService, 'getRate').mockResolvedValue({ rate: 1 });
+    jest.spyOn(Category, 'findAll').mockResolvedValue(CATEGORIES);
+    jest.spyOn(ManualTransaction, 'findAll').mockResolvedValue([]);
+    jest.spyOn(ManualTransaction, 'sumConverted').mockResolvedValue(0);
+    jest.spyOn(CreditCard, 'findAll').mockResolvedValue([]);
+    jest.spyOn(splitsService, 'getSplitLines').mockResolvedValue([]);
+    jest.spyOn(Budget, 'findOne').mockResolvedValue(null);
+    jest.spyOn(BudgetAllocation, 'count').mockResolvedValue(0);
+    mockForecast([]);
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+});
+
+describe('proposeBudget - HISTORY', () => {
+    test('uma alocação por categoria, "Outros gastos" e a sobra da receita em "Investimentos"', async () => {
+        mockHistory();
+        mockForecast([
+            { type: 'SALARY', amount: 5000, date: '2026-04-05', description: 'Salário' },
+            { type: 'RECURRING', amount: -100, date: '2026-04-10', description: 'Academia' },
+            { type: 'SUBSCRIPTION', amount: 50, date: '2026-04-12', description: 'Estorno' },
+            { type: 'SALARY', amount: 5000, date: '2026-05-05', description: 'Salário' }
+        ]);
+        BudgetAllocation.count.mockResolvedValue(2);
+
+        const result = await generatorService.proposeBudget('user-1', 'prof-1');
+
+        expect(result).toMatchObject({
+            month: 4,
+            year: 2026,
+            strategy: 'HISTORY',
+            template: null,
+            replacesExisting: true,
+            income: { amount: 5000, source: 'FORECAST', received: 0 },
+            budget: { incomeExpected: 5000, investPercent: 87.4, emergencyPercent: 0 },
+            history: { startDate: '2025-12-01', endDate: '2026-02-28', months: 3 },
+            warnings: []
+        });
+        expect(result.income.items).toHaveLength(1);
+        expect(result.history.categories.map(c => [c.categoryId, c.monthlyAverage, c.linkable])).toEqual([
+            ['cat-mer', 400, true],
+            ['cat-tra', 200, false],
+            [null, 30, false]
+        ]);
+        expect(result.allocations.map(a => [a.name, a.percent, a.amount, a.categoryIds])).toEqual([
+            ['Mercado', 8, 400, ['cat-mer']],
+            ['Transporte', 4, 200, []],
+            ['Outros gastos', 0.6, 30, []],
+            ['Investimentos', 87.4, 4370, []]
+        ]);
+        expect(ManualTransaction.sumConverted).not.toHaveBeenCalled();
+    });
+
+    test('gasto acima da receita: percentuais pelo gasto e aviso OVERSPENDING', async () => {
+        mockHistory();
+        mockForecast([{ type: 'SALARY', amount: 500, date: '2026-04-05', description: 'Salário' }]);
+
+        const result = await generatorService.proposeBudget('user-1', 'prof-1');
+
+        expect(result.warnings).toEqual(['OVERSPENDING']);
+        expect(result.allocations.map(a => a.name)).not.toContain('Investimentos');
+        expect(result.allocations.reduce((sum, a) => sum + a.percent, 0)).toBeCloseTo(100, 2);
+        expect(result.budget.investPercent).toBe(0);
+    });
+
+    test('sem previsão, receita pela média do histórico', async () => {
+        ManualTransaction.sumConverted.mockResolvedValue(9000);
+
+        const result = await generatorService.proposeBudget('user-1', 'prof-1', { lookbackMonths: 12 });
+
+        expect(result.income).toEqual({ amount: 1500, source: 'HISTORY_AVERAGE', received: 0, items: [] });
+        expect(result.history).toMatchObject({ startDate: '2025-09-01', months: 6 });
+    });
+
+    test('sem histórico nem receita: tudo em "Investimentos" e avisos', async () => {
+        const result = await generatorService.proposeBudget('user-1', 'prof-1');
+
+        expect(result.income).toMatchObject({ amount: 0, source: 'NONE' });
+        expect(result.allocations).toEqual([expect.objectContaining({ name: 'Investimentos', percent: 100, amount: 0 })]);
+        expect(result.warnings).toEqual(['NO_HISTORY', 'NO_INCOME']);
+    });
+
+    test('mês atual soma o que já entrou', async () => {
+        ManualTransaction.sumConverted.mockResolvedValueOnce(1200);
+        mockForecast([{ type: 'SALARY', amount: 3000, date: '2026-03-20', description: 'Salário' }]);
+
+        const result = await generatorService.proposeBudget('user-1', 'prof-1', { month: 3, year: 2026 });
+
+        expect(result.income).toMatchObject({ amount: 4200, source: 'FORECAST', received: 1200 });
+        expect(ManualTransaction.sumConverted.mock.calls[0][0].where).toMatchObject({ type: 'INCOME', profileId: 'prof-1' });
+    });
+});
+
+describe('proposeBudget - TEMPLATE e COPY_LAST_MONTH', () => {
+    test('modelo 50/30/20', async () => {
+        mockForecast([{ type: 'SALARY', amount: 4000, date: '2026-04-05', description: 'Salário' }]);
+
+        const result = await generatorService.proposeBudget('user-1', 'prof-1', { strategy: 'TEMPLATE', template: '50_30_20' });
+
+        expect(result.template).toBe('50_30_20');
+        expect(result.budget).toEqual({ incomeExpected: 4000, investPercent: 10, emergencyPercent: 10 });
+        expect(result.allocations.map(a => [a.name, a.amount])).toEqual([
+            ['Necessidades', 2000],
+            ['Desejos', 1200],
+            ['Poupança e Investimentos', 800]
+        ]);
+    });
+
+    test('copia as alocações do mês anterior com as categorias vinculadas e a receita dele', async () => {
+        jest.spyOn(BudgetAllocation, 'findAll').mockResolvedValue([
+            { id: 'alloc-1', name: 'Casa', percentage: '33.333', color: '#111', icon: 'home', isEnvelope: true },
+            { id: 'alloc-2', name: 'Lazer', percentage: '33.333', color: '#222', icon: 'smile', isEnvelope: false },
+            { id: 'alloc-3', name: 'Reserva', percentage: '33.333', color: '#333', icon: 'safe', isEnvelope: false }
+        ]);
+        Budget.findOne.mockImplementation(async ({ where }) => (where.incomeExpected
+            ? null
+            : { investPercent: '20', emergencyPercent: '5', incomeExpected: '3000' }));
+        Category.findAll.mockImplementation(async ({ where }) => (where.budgetAllocationId
+            ? [{ id: 'cat-mer', budgetAllocationId: 'alloc-1' }]
+            : CATEGORIES));
+
+        const result = await generatorService.proposeBudget('user-1', 'prof-1', { strategy: 'COPY_LAST_MONTH' });
+
+        expect(Budget.findOne).toHaveBeenCalledWith({ where: { userId: 'user-1', profileId: 'prof-1', month: 3, year: 2026 } });
+        expect(result.income).toMatchObject({ amount: 3000, source: 'LAST_MONTH' });
+        expect(result.budget).toMatchObject({ investPercent: 20, emergencyPercent: 5 });
+        expect(result.allocations.map(a => [a.name, a.percent, a.isEnvelope, a.categoryIds])).toEqual([
+            ['Casa', 33.34, true, ['cat-mer']],
+            ['Lazer', 33.33, false, []],
+            ['Reserva', 33.33, false, []]
+        ]);
+    });
+
+    test('mês anterior sem alocações', async () => {
+        jest.spyOn(BudgetAllocation, 'findAll').mockResolvedValue([]);
+
+        await expect(generatorService.proposeBudget('user-1', 'prof-1', { strategy: 'COPY_LAST_MONTH' }))
+            .rejects.toMatchObject({ statusCode: 400, code: 'NO_PREVIOUS_ALLOCATIONS' });
+    });
+
+    test('validações de perfil, período, estratégia e modelo', async () => {
+        await expect(generatorService.proposeBudget('user-1', 'prof-1', { month: 2, year: 2026 }))
+            .rejects.toMatchObject({ code: 'INVALID_BUDGET_PERIOD' });
+        await expect(generatorService.proposeBudget('user-1', 'prof-1', { strategy: 'AI' }))
+            .rejects.toMatchObject({ code: 'INVALID_BUDGET_STRATEGY' });
+        await expect(generatorService.proposeBudget('user-1', 'prof-1', { strategy: 'TEMPLATE', template: '70_30' }))
+            .rejects.toMatchObject({ code: 'INVALID_BUDGET_TEMPLATE' });
+
+        Profile.findOne.mockResolvedValue(null);
+        await expect(generatorService.proposeBudget('user-1', 'prof-x'))
+            .rejects.toMatchObject({ statusCode: 404, code: 'PROFILE_NOT_FOUND' });
+    });
+});
+
+describe('generateBudget', () => {
+    test('sem save devolve só a prévia', async () => {
+        jest.spyOn(budgetsService, 'createOrUpdateBudget');
+
+        const result = await generatorService.generateBudget('user-1', 'prof-1');
+
+        expect(result.saved).toBe(false);
+        expect(budgetsService.createOrUpdateBudget).not.toHaveBeenCalled();
+    });
+
+    test('grava a proposta com as edições e vincula as categorias do usuário', async () => {
+        mockHistory();
+        mockForecast([{ type: 'SALARY', amount: 5000, date: '2026-04-05', description: 'Salário' }]);
+        jest.spyOn(budgetsService, 'createOrUpdateBudget').mockResolvedValue({ id: 'budget-1' });
+        jest.spyOn(budgetsService, 'createOrUpdateAllocations').mockResolvedValue({
+            allocations: [
+                { id: 'new-1', name: 'Mercado' },
+                { id: 'new-2', name: 'Transporte' },
+                { id: 'new-3', name: 'Outros gastos' },
+                { id: 'new-4', name: 'Investimentos' }
+            ]
+        });
+        jest.spyOn(Category, 'update').mockResolvedValue([1]);
+
+        const result = await generatorService.generateBudget('user-1', 'prof-1', { save: true, incomeExpected: '6000', emergencyPercent: 5 });
+
+        expect(result.saved).toBe(true);
+        expect(budgetsService.createOrUpdateBudget).toHaveBeenCalledWith('user-1', 'prof-1', {
+            month: 4,
+            year: 2026,
+            incomeExpected: 6000,
+            investPercent: 87.4,
+            emergencyPercent: 5
+        });
+        expect(budgetsService.createOrUpdateAllocations.mock.calls[0][2]).toMatchObject({ income: 6000, month: 4, year: 2026 });
+        expect(Category.update).toHaveBeenCalledTimes(1);
+        expect(Category.update).toHaveBeenCalledWith(
+            { budgetAllocationId: 'new-1' },
+            { where: { id: ['cat-mer'], userId: 'user-1', isDefault: false } }
+        );
+    });
+
+    test('alocação editada sem nome', async () => {
+        jest.spyOn(budgetsService, 'createOrUpdateBudget');
+
+        await expect(generatorService.generateBudget('user-1', 'prof-1', { save: true, allocations: [{ name: ' ', percent: 100 }] }))
+            .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_ALLOCATIONS' });
+        expect(budgetsService.createOrUpdateBudget).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,206 @@
+/**
+ * Bulk Operations Test
+ * ========================
+ *
+ * Operações em lote: validação, ajuste de saldo por conta ao mudar o
+ * status (e limite da categoria para as pagas agora) e reversão da
+ * operação (conflitos, force, já revertida).
+ * Consultas ao banco substituídas por spies nos models.
+ *
+ * Uso: npx jest tests/bulkOperations.test.js
+ */
+
+const { ManualTransaction, BankAccount, TransactionMetadata, AuditLog, sequelize } = require('../src/models');
+const bankAccountsService = require('../src/features/bankAccounts/bankAccounts.service');
+const categoryLimitsService = require('../src/features/budgets/categoryLimits.service');
+const bulkService = require('../src/features/transactions/bulk.service');
+
+// Transação manual em memória (update altera os campos, toJSON tira o snapshot)
+const manual = (data) => {
+    const tx = {
+        profileId: 'profile-1',
+        type: 'EXPENSE',
+        status: 'COMPLETED',
+        categoryId: 'cat-1',
+        bankAccountId: 'acc-1',
+        isRecurring: false,
+        recurringSeriesId: null,
+        notificationsCreated: false,
+        updatedAt: new Date('2026-03-01T10:00:00Z'),
+        ...data
+    };
+    tx.toJSON = () => {
+        const { toJSON, update, ...plain } = tx;
+        return { ...plain };
+    };
+    tx.update = jest.fn(async (changes) => Object.assign(tx, changes));
+    return tx;
+};
+
+let transaction;
+
+beforeEach(() => {
+    transaction = { commit: jest.fn(), rollback: jest.fn(), LOCK: { UPDATE: 'UPDATE' } };
+    jest.spyOn(sequelize, 'transaction').mockResolvedValue(transaction);
+    jest.spyOn(TransactionMetadata, 'findAll').mockResolvedValue([]);
+    jest.spyOn(TransactionMetadata, 'findOne').mockResolvedValue(null);
+    jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+    jest.spyOn(bankAccountsService, 'updateBalance').mockResolvedValue();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+const balanceCalls = () => bankAccountsService.updateBalance.mock.calls.map(call => call.slice(0, 3));
+
+describe('executeBulk - validação', () => {
+    test('lista vazia, limite e ação inválida', async () => {
+        await expect(bulkService.executeBulk('user-1', 'profile-1', { action: 'DELETE', transactions: [] }))
+            .rejects.toMatchObject({ code: 'TRANSACTIONS_REQUIRED' });
+
+        const many = Array.from({ length: 501 }, (_, i) => ({ id: `tx-${i}` }));
+        await expect(bulkService.executeBulk('user-1', 'profile-1', { action: 'DELETE', transactions: many }))
+            .rejects.toMatchObject({ code: 'BULK_LIMIT_EXCEEDED' });
+
+        await expect(bulkService.executeBulk('user-1', 'profile-1', { action: 'ARCHIVE', transactions: [{ id: 'tx-1' }] }))
+            .rejects.toMatchObject({ code: 'INVALID_BULK_ACTION' });
+    });
+
+    test('status aceito apenas COMPLETED ou CANCELLED', async () => {
+        await expect(bulkService.executeBulk('user-1', 'profile-1', { action: 'SET_STATUS', status: 'PENDING', transactions: [{ id: 'tx-1' }] }))
+            .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_STATUS' });
+    });
+
+    test('transação de outro perfil desfaz a operação', async () => {
+        jest.spyOn(ManualTransaction, 'findAll').mockResolvedValue([]);
+
+        await expect(bulkService.executeBulk('user-1', 'profile-1', { action: 'SET_STATUS', status: 'COMPLETED', transactions: [{ id: 'tx-1' }] }))
+            .rejects.toMatchObject({ statusCode: 404, code: 'TRANSACTION_NOT_FOUND' });
+        expect(ManualTransaction.findAll.mock.calls[0][0].where).toEqual({ id: ['tx-1'], userId: 'user-1', profileId: 'profile-1' });
+        expect(transaction.rollback).toHaveBeenCalled();
+    });
+});
+
+describe('executeBulk - saldos', () => {
+    test('SET_STATUS aplica e estorna o efeito no saldo de cada conta', async () => {
+        const pending = manual({ id: 'tx-1', status: 'PENDING', amount: '50.00', date: '2026-03-10' });
+        const income = manual({ id: 'tx-2', type: 'INCOME', amount: '100.00', bankAccountId: 'acc-2' });
+        jest.spyOn(ManualTransaction, 'findAll').mockResolvedValue([pending, income]);
+        jest.spyOn(categoryLimitsService, 'checkTransactions').mockResolvedValue([]);
+
+        const result = await bulkService.executeBulk('user-1', 'profile-1', {
+            action: 'SET_STATUS',
+            status: 'COMPLETED',
+            transactions: [{ id: 'tx-1' }, { id: 'tx-2', source: 'manual' }, { id: 'tx-1' }]
+        });
+
+        expect(result.affected).toBe(2);
+        expect(result.balanceChanges).toEqual({ 'acc-1': -50, 'acc-2': 0 });
+        expect(balanceCalls()).toEqual([['acc-1', -50, transaction]]);
+        expect(pending.status).toBe('COMPLETED');
+
+        const audit = AuditLog.create.mock.calls[0][0];
+        expect(audit.details).toMatchObject({ operation: 'SET_STATUS', affected: 2, skipped: 0 });
+        expect(audit.previousData.items.map(i => [i.id, i.before.status])).toEqual([['tx-1', 'PENDING'], ['tx-2', 'COMPLETED']]);
+        expect(transaction.commit).toHaveBeenCalled();
+
+        // Só a que foi paga agora passa pelo limite da categoria
+        expect(categoryLimitsService.checkTransactions).toHaveBeenCalledWith('user-1', 'profile-1', [
+            { type: 'EXPENSE', categoryId: 'cat-1', date: '2026-03-10', transactionId: 'tx-1', transactionType: 'MANUAL' }
+        ]);
+    });
+
+    test('cancelar receita concluída estorna o crédito', async () => {
+        jest.spyOn(ManualTransaction, 'findAll').mockResolvedValue([
+            manual({ id: 'tx-2', type: 'INCOME', amount: '100.10', bankAccountId: 'acc-2' })
+        ]);
+
+        const result = await bulkService.executeBulk('user-1', null, { action: 'SET_STATUS', status: 'CANCELLED', transactions: [{ id: 'tx-2' }] });
+
+        expect(result.balanceChanges).toEqual({ 'acc-2': -100.1 });
+        expect(balanceCalls()).toEqual([['acc-2', -100.1, transaction]]);
+    });
+
+    test('SET_ACCOUNT move o efeito entre as contas', async () => {
+        jest.spyOn(BankAccount, 'findOne').mockResolvedValue({ id: 'acc-2' });
+        jest.spyOn(ManualTransaction, 'findAll').mockResolvedValue([manual({ id: 'tx-1', amount: '30' })]);
+
+        const result = await bulkService.executeBulk('user-1', 'profile-1', { action: 'SET_ACCOUNT', bankAccountId: 'acc-2', transactions: [{ id: 'tx-1' }] });
+
+        expect(result.balanceChanges).toEqual({ 'acc-1': 30, 'acc-2': -30 });
+    });
+
+    test('série recorrente não é excluída em lote', async () => {
+        jest.spyOn(ManualTransaction, 'findAll').mockResolvedValue([
+            manual({ id: 'tx-1', amount: '10', isRecurring: true, recurringSeriesId: null, source: 'PIX' })
+        ]);
+
+        const result = await bulkService.executeBulk('user-1', 'profile-1', { action: 'DELETE', transactions: [{ id: 'tx-1' }] });
+
+        expect(result.affected).toBe(0);
+        expect(result.skipped).toEqual([{ id: 'tx-1', source: 'MANUAL', reason: 'RECURRING_SERIES_MASTER' }]);
+        expect(bankAccountsService.updateBalance).not.toHaveBeenCalled();
+    });
+});
+
+describe('revertBulk', () => {
+    const operationAt = new Date('2026-03-05T10:00:00Z');
+
+    const mockOperation = (items, reverted = null) => {
+        jest.spyOn(AuditLog, 'findOne')
+            .mockResolvedValueOnce({ resourceId: 'op-1', createdAt: operationAt, details: { operation: 'SET_STATUS', profileId: 'profile-1' }, previousData: { items } })
+            .mockResolvedValueOnce(reverted);
+    };
+
+    const snapshot = (id, before) => ({ id, source: 'MANUAL', before, metadata: null, splits: [], deleted: false });
+
+    test('restaura o status anterior e estorna o saldo', async () => {
+        const current = manual({ id: 'tx-1', amount: '50', status: 'COMPLETED' });
+        mockOperation([snapshot('tx-1', { ...current.toJSON(), status: 'PENDING' })]);
+        jest.spyOn(ManualTransaction, 'findByPk').mockResolvedValue(current);
+
+        const result = await bulkService.revertBulk('user-1', 'profile-1', 'op-1');
+
+        expect(result).toMatchObject({ restored: 1, conflicts: [], balanceChanges: { 'acc-1': 50 } });
+        expect(current.status).toBe('PENDING');
+        expect(balanceCalls()).toEqual([['acc-1', 50, transaction]]);
+        expect(AuditLog.create.mock.calls[0][0].action).toBe(AuditLog.ACTIONS.TRANSACTION_BULK_REVERT);
+    });
+
+    test('item alterado depois da operação gera conflito; force reverte o restante', async () => {
+        const mockItems = () => {
+            const changed = manual({ id: 'tx-1', amount: '50', updatedAt: new Date('2026-03-06T10:00:00Z') });
+            const untouched = manual({ id: 'tx-2', amount: '20' });
+            jest.spyOn(ManualTransaction, 'findByPk').mockImplementation(async (id) => (id === 'tx-1' ? changed : untouched));
+            mockOperation([
+                snapshot('tx-1', { ...changed.toJSON(), status: 'PENDING' }),
+                snapshot('tx-2', { ...untouched.toJSON(), status: 'PENDING' })
+            ]);
+        };
+
+        mockItems();
+        const error = await bulkService.revertBulk('user-1', 'profile-1', 'op-1').catch(e => e);
+        expect(error).toMatchObject({ statusCode: 409, code: 'BULK_REVERT_CONFLICT' });
+        expect(error.details).toEqual([{ id: 'tx-1', source: 'MANUAL', reason: 'MODIFIED_AFTER_OPERATION' }]);
+        expect(transaction.rollback).toHaveBeenCalled();
+        expect(bankAccountsService.updateBalance).not.toHaveBeenCalled();
+
+        mockItems();
+        const result = await bulkService.revertBulk('user-1', 'profile-1', 'op-1', { force: true });
+        expect(result.restored).toBe(2);
+        expect(result.conflicts).toEqual([]);
+        expect(result.balanceChanges).toEqual({ 'acc-1': 70 });
+    });
+
+    test('operação já revertida ou de outro perfil', async () => {
+        mockOperation([], { id: 'revert-1' });
+        await expect(bulkService.revertBulk('user-1', 'profile-1', 'op-1'))
+            .rejects.toMatchObject({ statusCode: 409, code: 'BULK_ALREADY_REVERTED' });
+
+        mockOperation([]);
+        await expect(bulkService.revertBulk('user-1', 'profile-2', 'op-1'))
+            .rejects.toMatchObject({ statusCode: 404, code: 'BULK_OPERATION_NOT_FOUND' });
+    });
+});
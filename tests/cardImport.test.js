@@ -0,0 +1,99 @@
+/**
+ * Card Import Test
+ * ========================
+ *
+ * Importação de fatura de cartão em CSV: preset, mapeamento salvo do
+ * perfil do cartão, pagamentos ignorados e parcelas detectadas (preview);
+ * gravação com o limite da categoria avaliado no perfil do cartão.
+ * Consultas ao banco substituídas por spies nos models.
+ *
+ * Uso: npx jest tests/cardImport.test.js
+ */
+
+const { CreditCard, CardTransaction, ImportMapping, AuditLog, sequelize } = require('../src/models');
+const importService = require('../src/features/transactions/import.service');
+const categorizationRulesService = require('../src/features/categorizationRules/categorizationRules.service');
+const merchantsService = require('../src/features/merchants/merchants.service');
+const categoryLimitsService = require('../src/features/budgets/categoryLimits.service');
+const invoicesService = require('../src/features/invoices/invoices.service');
+const { CSV_PRESETS } = require('../src/features/transactions/csvPresets');
+const { importCardStatement } = require('../src/features/manualCard/cardImport.service');
+
+const CSV = [
+    'date,title,category,amount',
+    '2026-03-01,Mercado Extra,supermercado,150.50',
+    '2026-03-05,NETSHOES PARC 02/06,vestuário,99.90',
+    '2026-03-10,Pagamento recebido,,-500.00'
+].join('\n');
+
+beforeEach(() => {
+    jest.spyOn(CreditCard, 'findOne').mockResolvedValue({
+        id: 'card-1',
+        profileId: 'prof-1',
+        name: 'Nubank',
+        lastFourDigits: '1234',
+        closingDay: 25
+    });
+    jest.spyOn(CardTransaction, 'findAll').mockResolvedValue([]);
+    jest.spyOn(importService, 'applyAutomations').mockResolvedValue();
+    jest.spyOn(invoicesService, 'calculateTransactionPeriod').mockReturnValue({ startDate: '2026-02-26', endDate: '2026-03-25' });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('importCardStatement - CSV', () => {
+    test('mapeamento salvo é buscado no perfil do cartão', async () => {
+        jest.spyOn(ImportMapping, 'findOne').mockResolvedValue({ config: CSV_PRESETS.NUBANK_CARTAO });
+
+        const result = await importCardStatement('user-1', null, 'card-1', { content: CSV, mappingId: 'map-1' }, { dryRun: true });
+
+        expect(ImportMapping.findOne).toHaveBeenCalledWith({ where: { id: 'map-1', userId: 'user-1', profileId: 'prof-1' } });
+        expect(result.format).toBe('CSV');
+        expect(result.summary).toMatchObject({ total: 3, toImport: 2, ignored: 1, installments: 1 });
+        expect(result.items[1].installment).toMatchObject({ number: 2, total: 6, linkedToExistingGroup: false });
+        expect(result.reconciliation).toMatchObject({ fileTotal: 250.4, statementTotal: 250.4, invoiceTotal: 250.4, status: 'MATCHED' });
+    });
+
+    test('mapeamento de outro perfil não é aceito', async () => {
+        jest.spyOn(ImportMapping, 'findOne').mockResolvedValue(null);
+
+        await expect(importCardStatement('user-1', 'prof-1', 'card-1', { content: CSV, mappingId: 'map-other' }, { dryRun: true }))
+            .rejects.toMatchObject({ statusCode: 404, code: 'MAPPING_NOT_FOUND' });
+    });
+
+    test('preset não consulta mapeamentos salvos', async () => {
+        jest.spyOn(ImportMapping, 'findOne');
+
+        const result = await importCardStatement('user-1', 'prof-1', 'card-1', { content: CSV, preset: 'NUBANK_CARTAO' }, { dryRun: true });
+
+        expect(result.summary.toImport).toBe(2);
+        expect(ImportMapping.findOne).not.toHaveBeenCalled();
+    });
+});
+
+describe('importCardStatement - gravação', () => {
+    test('compras importadas passam pelo limite da categoria; estornos não', async () => {
+        const transaction = { commit: jest.fn(), rollback: jest.fn() };
+        jest.spyOn(sequelize, 'transaction').mockResolvedValue(transaction);
+        let seq = 0;
+        jest.spyOn(CardTransaction, 'create').mockImplementation(async () => ({ id: `ct-${++seq}` }));
+        jest.spyOn(categorizationRulesService, 'recordApplication').mockResolvedValue();
+        jest.spyOn(merchantsService, 'assignMerchant').mockResolvedValue();
+        jest.spyOn(AuditLog, 'log').mockResolvedValue();
+        jest.spyOn(categoryLimitsService, 'checkTransactions').mockResolvedValue([]);
+        jest.spyOn(invoicesService, 'generateInvoice').mockResolvedValue({ id: 'inv-1', totalAmount: '220.40' });
+        const content = `${CSV}\n2026-03-12,Estorno Mercado Extra,supermercado,-30.00`;
+
+        await importCardStatement('user-1', null, 'card-1', { content, preset: 'NUBANK_CARTAO' });
+
+        expect(transaction.commit).toHaveBeenCalled();
+        expect(CardTransaction.create).toHaveBeenCalledTimes(3);
+        expect(categoryLimitsService.checkTransactions).toHaveBeenCalledWith('user-1', 'prof-1', [
+            { category: 'supermercado', date: '2026-03-01', transactionId: 'ct-1', transactionType: 'CARD' },
+            { category: 'vestuário', date: '2026-03-05', transactionId: 'ct-2', transactionType: 'CARD' }
+        ]);
+    });
+});
@@ -0,0 +1,127 @@
+/**
+ * Categorization Rules Test
+ * ========================
+ *
+ * Avaliação das regras de categorização (condições, prioridade, tags,
+ * stopProcessing), a recusa de expressões regulares inseguras e o corte
+ * das descrições longas antes da regex.
+ *
+ * Uso: npx jest tests/categorizationRules.test.js
+ */
+
+const {
+    matchesRule,
+    evaluateRules,
+    isSafeRegex
+} = require('../src/features/categorizationRules/categorizationRules.service');
+
+const tx = (overrides = {}) => ({
+    description: 'UBER *TRIP SAO PAULO',
+    amount: -32.5,
+    type: 'EXPENSE',
+    source: 'MANUAL',
+    bankAccountId: 'acc-1',
+    cardId: null,
+    ...overrides
+});
+
+describe('matchesRule', () => {
+    test('descriptionContains ignora acentos e caixa', () => {
+        expect(matchesRule({ descriptionContains: 'uber' }, tx())).toBe(true);
+        expect(matchesRule({ descriptionContains: 'PÃO' }, tx({ description: 'Padaria Pao de Açúcar' }))).toBe(true);
+        expect(matchesRule({ descriptionContains: 'ifood' }, tx())).toBe(false);
+    });
+
+    test('descriptionRegex é case-insensitive', () => {
+        expect(matchesRule({ descriptionRegex: '^uber \\*(trip|eats)' }, tx())).toBe(true);
+        expect(matchesRule({ descriptionRegex: '^99' }, tx())).toBe(false);
+    });
+
+    test('descrição longa é cortada antes da regex', () => {
+        const description = `${'a'.repeat(300)}x`;
+
+        expect(matchesRule({ descriptionRegex: '^a+' }, tx({ description }))).toBe(true);
+        expect(matchesRule({ descriptionRegex: 'x$' }, tx({ description }))).toBe(false);
+    });
+
+    test('regex insegura nunca casa', () => {
+        expect(matchesRule({ descriptionRegex: '(a+)+$' }, tx({ description: 'aaaa' }))).toBe(false);
+    });
+
+    test('faixa de valor usa o valor absoluto', () => {
+        expect(matchesRule({ minAmount: '30', maxAmount: '40' }, tx())).toBe(true);
+        expect(matchesRule({ minAmount: '50' }, tx())).toBe(false);
+        expect(matchesRule({ maxAmount: '10' }, tx())).toBe(false);
+    });
+
+    test('tipo, origem, conta e cartão', () => {
+        expect(matchesRule({ transactionType: 'INCOME' }, tx())).toBe(false);
+        expect(matchesRule({ sources: ['IMPORT', 'MANUAL'] }, tx())).toBe(true);
+        expect(matchesRule({ sources: ['WHATSAPP'] }, tx())).toBe(false);
+        expect(matchesRule({ sources: [] }, tx())).toBe(true);
+        expect(matchesRule({ bankAccountId: 'acc-2' }, tx())).toBe(false);
+        expect(matchesRule({ cardId: 'card-1' }, tx({ cardId: 'card-1' }))).toBe(true);
+    });
+});
+
+describe('evaluateRules', () => {
+    const transport = { id: 'r1', name: 'Transporte', descriptionContains: 'uber', categoryId: 'cat-transport', category: { name: 'Transporte' }, tags: ['mobilidade'] };
+    const work = { id: 'r2', name: 'Trabalho', descriptionContains: 'sao paulo', categoryId: 'cat-work', tags: ['trabalho', 'mobilidade'], notes: 'Reembolsável' };
+    const never = { id: 'r3', name: 'Mercado', descriptionContains: 'mercado', categoryId: 'cat-market', tags: ['casa'] };
+
+    test('primeira regra define a categoria; tags e notas se acumulam', () => {
+        const result = evaluateRules([transport, work, never], tx());
+
+        expect(result).toEqual({
+            categoryId: 'cat-transport',
+            categoryName: 'Transporte',
+            tags: ['mobilidade', 'trabalho'],
+            notes: 'Reembolsável',
+            rules: [
+                { ruleId: 'r1', ruleName: 'Transporte', categoryId: 'cat-transport', tags: ['mobilidade'] },
+                { ruleId: 'r2', ruleName: 'Trabalho', categoryId: 'cat-work', tags: ['trabalho', 'mobilidade'] }
+            ]
+        });
+    });
+
+    test('stopProcessing interrompe as regras seguintes', () => {
+        const result = evaluateRules([{ ...transport, stopProcessing: true }, work], tx());
+
+        expect(result.rules.map(r => r.ruleId)).toEqual(['r1']);
+        expect(result.notes).toBeNull();
+    });
+
+    test('nenhuma regra casa', () => {
+        expect(evaluateRules([never], tx())).toBeNull();
+        expect(evaluateRules([], tx())).toBeNull();
+    });
+});
+
+describe('isSafeRegex', () => {
+    test.each([
+        '^uber',
+        'ifood|rappi',
+        '(uber|99) ?(trip|pop)?',
+        '\\d{2,}',
+        '(?:abc)+',
+        '[(+]+x',
+        'netflix\\.com'
+    ])('aceita %s', (pattern) => {
+        expect(isSafeRegex(pattern)).toBe(true);
+    });
+
+    test.each([
+        '(a+)+$',
+        '(a|ab)*c',
+        '(\\w+\\s?)*',
+        '(.*a){3}',
+        '((ab)*)+',
+        '(a|a)*b',
+        '((a|a))*b',
+        '(?:(uber|99) )+',
+        '(a)\\1',
+        '(?<x>a)\\k<x>'
+    ])('recusa %s', (pattern) => {
+        expect(isSafeRegex(pattern)).toBe(false);
+    });
+});
@@ -0,0 +1,44 @@
+/**
+ * Category Breakdown Test
+ * ========================
+ *
+ * Gastos do mês por categoria no dashboard: manuais em moeda estrangeira
+ * somam pelo valor convertido e transações divididas contam por linha.
+ * Consultas ao banco substituídas por spies nos models.
+ *
+ * Uso: npx jest tests/categoryBreakdown.test.js
+ */
+
+const { TransactionMetadata, ManualTransaction } = require('../src/models');
+const splitsService = require('../src/features/transactions/splits.service');
+const { getCategoryBreakdown } = require('../src/features/dashboard/dashboard.service');
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('getCategoryBreakdown', () => {
+    test('manual em moeda estrangeira soma o valor convertido', async () => {
+        jest.spyOn(TransactionMetadata, 'findAll').mockResolvedValue([
+            { category: 'Viagem', transactionType: 'MANUAL', transactionId: 'tx-usd' },
+            { category: 'Viagem', transactionType: 'MANUAL', transactionId: 'tx-brl' },
+            { category: 'Mercado', transactionType: 'MANUAL', transactionId: 'tx-split' }
+        ]);
+        jest.spyOn(splitsService, 'getSplitLines').mockResolvedValue([
+            { transactionType: 'MANUAL', transactionId: 'tx-split', category: 'Farmácia', amount: 40 }
+        ]);
+        const rows = {
+            'tx-usd': { amount: '100', convertedAmount: '550' },
+            'tx-brl': { amount: '80', convertedAmount: null }
+        };
+        jest.spyOn(ManualTransaction, 'findOne').mockImplementation(async ({ where }) => rows[where.id] || null);
+
+        const result = await getCategoryBreakdown('user-1', 'prof-1');
+
+        expect(result).toEqual([
+            { category: 'Viagem', total: 630, count: 2 },
+            { category: 'Farmácia', total: 40, count: 1 }
+        ]);
+        expect(ManualTransaction.findOne.mock.calls[0][0].where).toMatchObject({ id: 'tx-usd', profileId: 'prof-1' });
+    });
+});
@@ -0,0 +1,223 @@
+/**
+ * Category Limits Test
+ * ========================
+ *
+ * Limites mensais por categoria: gasto do mês somando manuais, cartão,
+ * linhas de transações divididas e Open Finance; faixas de 50/80/100%
+ * disparadas uma vez por mês; gravações em lote avaliadas por categoria e mês.
+ * Consultas ao banco substituídas por spies nos models.
+ *
+ * Uso: npx jest tests/categoryLimits.test.js
+ */
+
+const {
+    CategoryBudgetLimit,
+    Category,
+    ManualTransaction,
+    CardTransaction,
+    OpenFinanceTransaction,
+    TransactionMetadata,
+    TransactionSplit,
+    CreditCard,
+    BankAccount,
+    Notification,
+    NotificationPreference,
+    sequelize
+} = require('../src/models');
+const exchangeRatesService = require('../src/features/exchangeRates/exchangeRates.service');
+const categoryLimitsService = require('../src/features/budgets/categoryLimits.service');
+
+const MERCADO = { id: 'cat-1', name: 'Mercado' };
+
+// Gasto do mês: manuais 300 + cartão 150 + linha de divisão 100 (USD a 5) + Open Finance 80
+const mockSpending = () => {
+    jest.spyOn(CreditCard, 'findAll').mockResolvedValue([{ id: 'card-1' }]);
+    jest.spyOn(BankAccount, 'findAll').mockResolvedValue([{ id: 'acc-1' }]);
+    jest.spyOn(ManualTransaction, 'sumConverted').mockResolvedValue(300);
+    jest.spyOn(CardTransaction, 'sum').mockResolvedValue('150');
+    jest.spyOn(ManualTransaction, 'findAll').mockResolvedValue([
+        { id: 'tx-split', amount: '40', convertedAmount: '200' }
+    ]);
+    jest.spyOn(CardTransaction, 'findAll').mockResolvedValue([]);
+    jest.spyOn(TransactionSplit, 'findAll').mockResolvedValue([
+        { transactionType: 'MANUAL', transactionId: 'tx-split', amount: '20' }
+    ]);
+    jest.spyOn(OpenFinanceTransaction, 'findAll').mockResolvedValue([
+        { id: 'of-1', amount: '-80' },
+        { id: 'of-2', amount: '-999' }
+    ]);
+    jest.spyOn(TransactionMetadata, 'findAll').mockResolvedValue([{ transactionId: 'of-1' }]);
+};
+
+// Limite do perfil com as faixas já enviadas
+const mockLimit = (amount, alertsSent = {}) => {
+    const locked = { alertsSent, update: jest.fn().mockResolvedValue() };
+    jest.spyOn(CategoryBudgetLimit, 'findAll').mockResolvedValue([
+        { id: 'limit-1', categoryId: 'cat-1', amount: String(amount), alertsSent, category: MERCADO }
+    ]);
+    jest.spyOn(CategoryBudgetLimit, 'findByPk').mockResolvedValue(locked);
+    return locked;
+};
+
+let transaction;
+
+beforeEach(() => {
+    transaction = { commit: jest.fn(), rollback: jest.fn(), LOCK: { UPDATE: 'UPDATE' } };
+    jest.spyOn(sequelize, 'transaction').mockResolvedValue(transaction);
+    jest.spyOn(NotificationPreference, 'findAll').mockResolvedValue([]);
+    jest.spyOn(Notification, 'create').mockResolvedValue({});
+    jest.spyOn(exchangeRatesService, 'getBaseCurrency').mockResolvedValue('BRL');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    mockSpending();
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('getCategorySpent', () => {
+    test('soma manuais, cartão, linhas divididas na cotação da transação e Open Finance categorizado', async () => {
+        const spent = await categoryLimitsService.getCategorySpent('user-1', 'prof-1', MERCADO, 3, 2026);
+
+        expect(spent).toBe(630);
+        expect(ManualTransaction.sumConverted.mock.calls[0][0].where).toMatchObject({
+            userId: 'user-1',
+            profileId: 'prof-1',
+            categoryId: 'cat-1',
+            isSplit: false
+        });
+        expect(CardTransaction.sum.mock.calls[0][1].where).toMatchObject({ cardId: ['card-1'], category: 'Mercado' });
+        expect(CreditCard.findAll).toHaveBeenCalledWith({ where: { userId: 'user-1', profileId: 'prof-1' }, attributes: ['id'] });
+    });
+
+    test('sem perfil: cartões e contas de todos os perfis do usuário', async () => {
+        await categoryLimitsService.getCategorySpent('user-1', null, MERCADO, 3, 2026);
+
+        expect(CreditCard.findAll).toHaveBeenCalledWith({ where: { userId: 'user-1' }, attributes: ['id'] });
+        expect(BankAccount.findAll).toHaveBeenCalledWith({ where: { userId: 'user-1' }, attributes: ['id'] });
+        expect(ManualTransaction.sumConverted.mock.calls[0][0].where).not.toHaveProperty('profileId');
+    });
+
+    test('sem cartões nem contas, só as manuais', async () => {
+        CreditCard.findAll.mockResolvedValue([]);
+        BankAccount.findAll.mockResolvedValue([]);
+        ManualTransaction.findAll.mockResolvedValue([]);
+
+        const spent = await categoryLimitsService.getCategorySpent('user-1', 'prof-1', MERCADO, 3, 2026);
+
+        expect(spent).toBe(300);
+        expect(CardTransaction.sum).not.toHaveBeenCalled();
+        expect(OpenFinanceTransaction.findAll).not.toHaveBeenCalled();
+    });
+});
+
+describe('evaluateCategory', () => {
+    test('despesa que pula faixas dispara só a maior e grava no mês', async () => {
+        const locked = mockLimit(700);
+
+        const alert = await categoryLimitsService.evaluateCategory('user-1', 'prof-1', {
+            categoryId: 'cat-1',
+            date: '2026-03-15',
+            transactionId: 'tx-9',
+            transactionType: 'MANUAL'
+        });
+
+        expect(alert).toMatchObject({ category: 'Mercado', threshold: 80, limit: 700, spent: 630, percent: 90, notified: true });
+        expect(locked.update).toHaveBeenCalledWith({ alertsSent: { '2026-03': 80 } }, { transaction });
+        expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({
+            type: 'BUDGET_ALERT',
+            title: '⚠️ 80% do limite de Mercado',
+            relatedTransactionId: 'tx-9'
+        }));
+    });
+
+    test('faixa já enviada no mês não dispara de novo', async () => {
+        const locked = mockLimit(700, { '2026-03': 80 });
+
+        const alert = await categoryLimitsService.evaluateCategory('user-1', 'prof-1', { categoryId: 'cat-1', date: '2026-03-20' });
+
+        expect(alert).toBeNull();
+        expect(locked.update).not.toHaveBeenCalled();
+        expect(transaction.commit).toHaveBeenCalled();
+        expect(Notification.create).not.toHaveBeenCalled();
+    });
+
+    test('limite estourado pelo nome da categoria (cartão) respeita a preferência desligada', async () => {
+        mockLimit(500);
+        NotificationPreference.findAll.mockResolvedValue([{ notificationType: 'BUDGET_ALERTS', enabled: false }]);
+
+        const alert = await categoryLimitsService.evaluateCategory('user-1', 'prof-1', { category: ' mercado ', date: '2026-03-20' });
+
+        expect(alert).toMatchObject({ threshold: 100, notified: false });
+        expect(Notification.create).not.toHaveBeenCalled();
+    });
+
+    test('abaixo de 50% não trava o limite', async () => {
+        mockLimit(5000);
+
+        await expect(categoryLimitsService.evaluateCategory('user-1', 'prof-1', { categoryId: 'cat-1', date: '2026-03-20' }))
+            .resolves.toBeNull();
+        expect(sequelize.transaction).not.toHaveBeenCalled();
+    });
+});
+
+describe('checkTransaction', () => {
+    test('ignora receitas e nunca propaga erros', async () => {
+        jest.spyOn(CategoryBudgetLimit, 'findAll').mockRejectedValue(new Error('db down'));
+
+        await expect(categoryLimitsService.checkTransaction('user-1', 'prof-1', { type: 'INCOME', categoryId: 'cat-1' }))
+            .resolves.toBeNull();
+        expect(CategoryBudgetLimit.findAll).not.toHaveBeenCalled();
+
+        await expect(categoryLimitsService.checkTransaction('user-1', 'prof-1', { type: 'EXPENSE', categoryId: 'cat-1' }))
+            .resolves.toBeNull();
+        expect(console.error).toHaveBeenCalled();
+    });
+});
+
+describe('checkTransactions', () => {
+    test('uma avaliação por categoria e mês, na transação mais recente; receitas e sem categoria ficam de fora', async () => {
+        const evaluate = jest.spyOn(CategoryBudgetLimit, 'findAll').mockResolvedValue([]);
+
+        await categoryLimitsService.checkTransactions('user-1', 'prof-1', [
+            { type: 'EXPENSE', categoryId: 'cat-1', date: '2026-03-05', transactionId: 'tx-1' },
+            { type: 'EXPENSE', categoryId: 'cat-1', date: '2026-03-20', transactionId: 'tx-2' },
+            { type: 'EXPENSE', categoryId: 'cat-1', date: '2026-04-02', transactionId: 'tx-3' },
+            { category: 'Mercado', date: '2026-03-12', transactionId: 'ct-1' },
+            { type: 'INCOME', categoryId: 'cat-9', date: '2026-03-12', transactionId: 'tx-4' },
+            { type: 'EXPENSE', categoryId: null, date: '2026-03-12', transactionId: 'tx-5' }
+        ]);
+
+        expect(evaluate).toHaveBeenCalledTimes(3);
+    });
+});
+
+describe('setLimit / removeLimit', () => {
+    test('novo valor libera de novo as faixas do mês atual', async () => {
+        jest.spyOn(Category, 'findOne').mockResolvedValue(MERCADO);
+        const key = `${new Date().getFullYear()}-${String(new Date().getMonth() + 1).padStart(2, '0')}`;
+        const existing = {
+            id: 'limit-1',
+            categoryId: 'cat-1',
+            amount: '700',
+            alertsSent: { [key]: 80, '2020-01': 100 },
+            update: jest.fn().mockResolvedValue()
+        };
+        jest.spyOn(CategoryBudgetLimit, 'findOne').mockResolvedValue(existing);
+
+        const result = await categoryLimitsService.setLimit('user-1', 'prof-1', 'cat-1', 1000);
+
+        expect(existing.update).toHaveBeenCalledWith({ amount: 1000, alertsSent: { '2020-01': 100 } });
+        expect(result.category).toMatchObject({ id: 'cat-1', name: 'Mercado' });
+    });
+
+    test('categoria de receita ou limite inexistente', async () => {
+        jest.spyOn(Category, 'findOne').mockResolvedValue(null);
+        await expect(categoryLimitsService.setLimit('user-1', 'prof-1', 'cat-x', 100))
+            .rejects.toMatchObject({ statusCode: 404, code: 'CATEGORY_NOT_FOUND' });
+
+        jest.spyOn(CategoryBudgetLimit, 'destroy').mockResolvedValue(0);
+        await expect(categoryLimitsService.removeLimit('user-1', 'prof-1', 'cat-x'))
+            .rejects.toMatchObject({ statusCode: 404, code: 'CATEGORY_LIMIT_NOT_FOUND' });
+    });
+});
@@ -0,0 +1,152 @@
+/**
+ * CSV Parser Test
+ * ========================
+ *
+ * Leitura de CSV, conversão de valores/datas e aplicação dos mapeamentos
+ * (presets dos bancos e mapeamentos do usuário).
+ *
+ * Uso: npx jest tests/csvParser.test.js
+ */
+
+const { parseCSV, mapCSV, parseLocaleAmount, parseLocaleDate } = require('../src/features/transactions/csv.parser');
+const { CSV_PRESETS } = require('../src/features/transactions/csvPresets');
+
+describe('parseCSV', () => {
+    test('detecta o delimitador e respeita aspas', () => {
+        const rows = parseCSV('Data;Descrição;Valor\r\n01/10/2026;"Padaria; Café";-12,50\n\n02/10/2026;"Loja ""Boa""";100,00');
+
+        expect(rows).toEqual([
+            ['Data', 'Descrição', 'Valor'],
+            ['01/10/2026', 'Padaria; Café', '-12,50'],
+            ['02/10/2026', 'Loja "Boa"', '100,00']
+        ]);
+    });
+
+    test('remove BOM e aceita delimitador explícito', () => {
+        expect(parseCSV('\uFEFFa\tb\n1\t2', '\t')).toEqual([['a', 'b'], ['1', '2']]);
+    });
+});
+
+describe('parseLocaleAmount', () => {
+    test('vírgula decimal', () => {
+        expect(parseLocaleAmount('R$ 1.234,56')).toBe(1234.56);
+        expect(parseLocaleAmount('-50,00')).toBe(-50);
+    });
+
+    test('ponto decimal', () => {
+        expect(parseLocaleAmount('1,234.56', '.')).toBe(1234.56);
+    });
+
+    test('parênteses e sinal no final são negativos', () => {
+        expect(parseLocaleAmount('(10,00)')).toBe(-10);
+        expect(parseLocaleAmount('10,00-')).toBe(-10);
+    });
+
+    test('vazio não é número', () => {
+        expect(parseLocaleAmount('')).toBeNaN();
+        expect(parseLocaleAmount(undefined)).toBeNaN();
+    });
+});
+
+describe('parseLocaleDate', () => {
+    test('converte conforme o formato', () => {
+        expect(parseLocaleDate('05/10/2026')).toBe('2026-10-05');
+        expect(parseLocaleDate('2026-10-05', 'YYYY-MM-DD')).toBe('2026-10-05');
+    });
+
+    test('formato estrito', () => {
+        expect(parseLocaleDate('2026-10-05')).toBeNull();
+        expect(parseLocaleDate('31/02/2026')).toBeNull();
+        expect(parseLocaleDate('')).toBeNull();
+    });
+});
+
+describe('mapCSV', () => {
+    test('preset Nubank (ponto decimal, valor negativo = despesa)', () => {
+        const content = [
+            'Data,Valor,Identificador,Descrição',
+            '01/10/2026,-45.90,abc-1,Compra no débito',
+            '02/10/2026,1500.00,abc-2,Transferência recebida'
+        ].join('\n');
+
+        const rows = mapCSV(content, CSV_PRESETS.NUBANK);
+
+        expect(rows).toEqual([
+            expect.objectContaining({ line: 2, date: '2026-10-01', amount: -45.9, externalId: 'abc-1', description: 'Compra no débito', error: null }),
+            expect.objectContaining({ line: 3, date: '2026-10-02', amount: 1500, externalId: 'abc-2', error: null })
+        ]);
+    });
+
+    test('linhas de título antes do cabeçalho e colunas de débito/crédito', () => {
+        const content = [
+            'Extrato da conta',
+            'Período: outubro/2026',
+            'Data;Histórico;Débito;Crédito',
+            '03/10/2026;Aluguel;1.800,00;',
+            '05/10/2026;Salário;;5.000,00'
+        ].join('\n');
+
+        const rows = mapCSV(content, {
+            columns: { date: 'Data', description: ['Descrição', 'Histórico'], debit: 'Débito', credit: 'Crédito' }
+        });
+
+        expect(rows.map(r => [r.line, r.amount, r.description])).toEqual([
+            [4, -1800, 'Aluguel'],
+            [5, 5000, 'Salário']
+        ]);
+    });
+
+    test('coluna de tipo define o sinal', () => {
+        const content = 'Data;Descricao;Valor;Tipo\n01/10/2026;Mercado;80,00;D\n02/10/2026;Pix;30,00;C';
+
+        const rows = mapCSV(content, {
+            signConvention: 'TYPE_COLUMN',
+            columns: { date: 'Data', description: 'Descricao', amount: 'Valor', type: 'Tipo' }
+        });
+
+        expect(rows.map(r => r.amount)).toEqual([-80, 30]);
+    });
+
+    test('valor positivo = despesa (faturas de cartão)', () => {
+        const rows = mapCSV('Data;Descricao;Valor\n01/10/2026;Restaurante;59,90', {
+            signConvention: 'POSITIVE_IS_EXPENSE',
+            columns: { date: 'Data', description: 'Descricao', amount: 'Valor' }
+        });
+
+        expect(rows[0].amount).toBe(-59.9);
+    });
+
+    test('arquivo sem cabeçalho usa índices', () => {
+        const rows = mapCSV('2026-10-01|Café|-7.5', {
+            delimiter: '|',
+            hasHeader: false,
+            dateFormat: 'YYYY-MM-DD',
+            decimalSeparator: '.',
+            columns: { date: 0, description: 1, amount: 2 }
+        });
+
+        expect(rows).toEqual([expect.objectContaining({ line: 1, date: '2026-10-01', amount: -7.5, description: 'Café' })]);
+    });
+
+    test('marca linhas inválidas sem interromper o arquivo', () => {
+        const rows = mapCSV('Data;Descricao;Valor\n2026-10-01;A;10,00\n01/10/2026;B;abc\n02/10/2026;C;5,00', {
+            columns: { date: 'Data', description: 'Descricao', amount: 'Valor' }
+        });
+
+        expect(rows.map(r => r.error)).toEqual(['Data inválida (esperado DD/MM/YYYY)', 'Valor inválido', null]);
+    });
+
+    test('cabeçalho que não corresponde ao mapeamento', () => {
+        expect(() => mapCSV('Foo;Bar\n1;2', CSV_PRESETS.INTER))
+            .toThrow(expect.objectContaining({ code: 'CSV_MAPPING_MISMATCH' }));
+    });
+
+    test('mapeamento sem coluna de valor', () => {
+        expect(() => mapCSV('Data;Descricao\n01/10/2026;A', { columns: { date: 'Data', description: 'Descricao' } }))
+            .toThrow(expect.objectContaining({ code: 'CSV_MAPPING_INCOMPLETE' }));
+    });
+
+    test('arquivo vazio', () => {
+        expect(() => mapCSV('', CSV_PRESETS.NUBANK)).toThrow(expect.objectContaining({ code: 'INVALID_CSV' }));
+    });
+});
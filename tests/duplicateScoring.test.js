@@ -0,0 +1,99 @@
+/**
+ * Duplicate Scoring Test
+ * ========================
+ *
+ * Pontuação de pares de transações (valor, data, conta, descrição),
+ * similaridade de descrições e quais origens são comparáveis.
+ *
+ * Uso: npx jest tests/duplicateScoring.test.js
+ */
+
+const {
+    scorePair,
+    descriptionSimilarity,
+    isComparable
+} = require('../src/features/duplicates/duplicates.service');
+
+const item = (overrides = {}) => ({
+    type: 'MANUAL',
+    direction: 'OUT',
+    amountCents: 4590,
+    date: '2026-03-10',
+    accountRef: 'acc-1',
+    description: 'iFood Restaurante Sabor',
+    hasExternalId: false,
+    ...overrides
+});
+
+describe('descriptionSimilarity', () => {
+    test('ignora acentos, números e stopwords', () => {
+        expect(descriptionSimilarity('Compra cartão PADARIA São João 1234', 'padaria sao joao')).toBe(1);
+    });
+
+    test('contenção vale 90%', () => {
+        expect(descriptionSimilarity('uber', 'uber trip sao paulo')).toBeCloseTo(0.9);
+    });
+
+    test('sem tokens úteis é zero', () => {
+        expect(descriptionSimilarity('PIX 123', 'pix 123')).toBe(0);
+        expect(descriptionSimilarity(null, 'uber')).toBe(0);
+    });
+});
+
+describe('scorePair', () => {
+    test('par idêntico pontua 100', () => {
+        const result = scorePair(item(), item({ type: 'OPEN_FINANCE' }));
+
+        expect(result.score).toBe(100);
+        expect(result.reasons).toEqual({ amount: 40, date: 25, account: 15, description: 20, days: 0, amountDifference: 0 });
+    });
+
+    test('direções diferentes não são candidatas', () => {
+        expect(scorePair(item(), item({ direction: 'IN' }))).toBeNull();
+    });
+
+    test('diferença de até 1% no valor pontua parcialmente', () => {
+        const result = scorePair(item({ amountCents: 10000 }), item({ amountCents: 10100 }));
+
+        expect(result.reasons.amount).toBe(25);
+        expect(result.reasons.amountDifference).toBe(1);
+        expect(scorePair(item({ amountCents: 10000 }), item({ amountCents: 10102 }))).toBeNull();
+    });
+
+    test('pontos de data decaem com a distância e respeitam a janela', () => {
+        const days = (date) => scorePair(item(), item({ date })).reasons.date;
+
+        expect(days('2026-03-11')).toBe(20);
+        expect(days('2026-03-12')).toBe(12);
+        expect(days('2026-03-13')).toBe(6);
+        expect(scorePair(item(), item({ date: '2026-03-14' }))).toBeNull();
+        expect(scorePair(item(), item({ date: '2026-03-15' }), 7).reasons.date).toBe(3);
+    });
+
+    test('contas diferentes penalizam; conta ausente é neutra', () => {
+        expect(scorePair(item(), item({ accountRef: 'acc-2' })).reasons.account).toBe(-25);
+        expect(scorePair(item(), item({ accountRef: null })).reasons.account).toBe(0);
+    });
+
+    test('score fica entre 0 e 100', () => {
+        const result = scorePair(
+            item({ amountCents: 10000, description: 'mercado' }),
+            item({ amountCents: 10050, date: '2026-03-13', accountRef: 'acc-2', description: 'farmacia' })
+        );
+
+        expect(result.score).toBe(6);
+        expect(scorePair(item(), item({ accountRef: 'acc-2', date: '2026-03-13', description: 'outro' }), 3).score).toBe(21);
+    });
+});
+
+describe('isComparable', () => {
+    test('origens diferentes sempre comparam', () => {
+        expect(isComparable(item(), item({ type: 'CARD' }))).toBe(true);
+    });
+
+    test('mesma origem apenas digitado x importado', () => {
+        expect(isComparable(item(), item({ hasExternalId: true }))).toBe(true);
+        expect(isComparable(item(), item())).toBe(false);
+        expect(isComparable(item({ type: 'OPEN_FINANCE' }), item({ type: 'OPEN_FINANCE', hasExternalId: true }))).toBe(false);
+    });
+});
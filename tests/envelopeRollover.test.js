@@ -0,0 +1,134 @@
+/**
+ * Envelope Rollover Test
+ * ========================
+ *
+ * Saldo disponível do envelope e aplicação do rollover do mês anterior
+ * (recalculo de rollover desatualizado, force, envelope sem origem).
+ * Consultas ao banco substituídas por spies nos models.
+ *
+ * Uso: npx jest tests/envelopeRollover.test.js
+ */
+
+const { BudgetAllocation, EnvelopeMovement, sequelize } = require('../src/models');
+const { applyRollover } = require('../src/features/budgets/envelopes.service');
+
+const now = new Date();
+const current = { month: now.getMonth() + 1, year: now.getFullYear() };
+const previous = current.month === 1
+    ? { month: 12, year: current.year - 1 }
+    : { month: current.month - 1, year: current.year };
+
+// Alocação em memória com gasto fixo e update sem banco
+const envelope = (data, spent = 0) => {
+    const allocation = BudgetAllocation.build({
+        userId: 'user-1',
+        profileId: 'profile-1',
+        percentage: 0,
+        isEnvelope: true,
+        ...data
+    });
+    allocation.getSpent = jest.fn().mockResolvedValue(spent);
+    allocation.update = jest.fn().mockResolvedValue(allocation);
+    return allocation;
+};
+
+// findAll por mês; pendingOnly filtra os que ainda não receberam rollover
+const mockAllocations = (allocations) => {
+    jest.spyOn(BudgetAllocation, 'findAll').mockImplementation(async ({ where, lock }) => {
+        if (lock) return [];
+        return allocations.filter(a => a.month === where.month && a.year === where.year &&
+            (where.rolloverAppliedAt !== null || !a.rolloverAppliedAt));
+    });
+};
+
+let transaction;
+
+beforeEach(() => {
+    transaction = { commit: jest.fn(), rollback: jest.fn(), LOCK: { UPDATE: 'UPDATE' } };
+    jest.spyOn(sequelize, 'transaction').mockResolvedValue(transaction);
+    jest.spyOn(EnvelopeMovement, 'destroy').mockResolvedValue(0);
+    jest.spyOn(EnvelopeMovement, 'create').mockResolvedValue({});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('BudgetAllocation.getAvailable', () => {
+    test('atribuído + rollover + movimentações - gasto', () => {
+        const allocation = BudgetAllocation.build({ amount: '500.00', rolloverAmount: '-20.50', transferredAmount: '30' });
+
+        expect(allocation.getAvailable(100)).toBeCloseTo(409.5);
+        expect(BudgetAllocation.build({ amount: '100' }).getAvailable(0)).toBe(100);
+    });
+});
+
+describe('applyRollover', () => {
+    const appliedAt = new Date('2026-01-01T00:00:00Z');
+
+    test('recalcula rollover desatualizado e refaz o movimento', async () => {
+        const source = envelope({ id: 'prev-1', name: 'Mercado', amount: '500', rolloverAppliedAt: appliedAt, ...previous }, 380);
+        const target = envelope({ id: 'cur-1', name: ' mercado ', amount: '500', rolloverAmount: '50', rolloverAppliedAt: appliedAt, ...current });
+        mockAllocations([source, target]);
+
+        const result = await applyRollover('user-1', 'profile-1', current.month, current.year);
+
+        expect(result).toEqual([{ allocationId: 'cur-1', name: ' mercado ', rolloverAmount: 120, fromAllocationId: 'prev-1' }]);
+        expect(EnvelopeMovement.destroy).toHaveBeenCalledWith({ where: { toAllocationId: 'cur-1', type: 'ROLLOVER' }, transaction });
+        expect(EnvelopeMovement.create).toHaveBeenCalledWith(
+            expect.objectContaining({ type: 'ROLLOVER', fromAllocationId: 'prev-1', toAllocationId: 'cur-1', amount: 120 }),
+            { transaction }
+        );
+        expect(target.update).toHaveBeenCalledWith({ rolloverAmount: 120, rolloverAppliedAt: expect.any(Date) }, { transaction });
+        expect(transaction.commit).toHaveBeenCalled();
+    });
+
+    test('rollover atualizado não abre transação', async () => {
+        const source = envelope({ id: 'prev-1', name: 'Mercado', amount: '500', rolloverAppliedAt: appliedAt, ...previous }, 380);
+        const target = envelope({ id: 'cur-1', name: 'Mercado', amount: '500', rolloverAmount: '120.00', rolloverAppliedAt: appliedAt, ...current });
+        mockAllocations([source, target]);
+
+        await expect(applyRollover('user-1', 'profile-1', current.month, current.year)).resolves.toEqual([]);
+        expect(sequelize.transaction).not.toHaveBeenCalled();
+    });
+
+    test('force regrava mesmo sem mudança', async () => {
+        const source = envelope({ id: 'prev-1', name: 'Mercado', amount: '500', rolloverAppliedAt: appliedAt, ...previous }, 380);
+        const target = envelope({ id: 'cur-1', name: 'Mercado', amount: '500', rolloverAmount: '120.00', rolloverAppliedAt: appliedAt, ...current });
+        mockAllocations([source, target]);
+
+        const result = await applyRollover('user-1', 'profile-1', current.month, current.year, { force: true });
+
+        expect(result).toHaveLength(1);
+        expect(EnvelopeMovement.create).toHaveBeenCalledTimes(1);
+    });
+
+    test('envelope novo sem origem recebe zero, sem movimento', async () => {
+        const target = envelope({ id: 'cur-1', name: 'Viagem', amount: '200', ...current });
+        mockAllocations([target]);
+
+        const result = await applyRollover('user-1', 'profile-1', current.month, current.year);
+
+        expect(result).toEqual([{ allocationId: 'cur-1', name: 'Viagem', rolloverAmount: 0, fromAllocationId: null }]);
+        expect(EnvelopeMovement.create).not.toHaveBeenCalled();
+        expect(target.update).toHaveBeenCalledWith({ rolloverAmount: 0, rolloverAppliedAt: expect.any(Date) }, { transaction });
+    });
+
+    test('estouro do mês anterior vira rollover negativo', async () => {
+        const source = envelope({ id: 'prev-1', name: 'Lazer', amount: '100', rolloverAmount: '10', rolloverAppliedAt: appliedAt, ...previous }, 150.25);
+        const target = envelope({ id: 'cur-1', name: 'Lazer', amount: '100', ...current });
+        mockAllocations([source, target]);
+
+        const [result] = await applyRollover('user-1', 'profile-1', current.month, current.year);
+
+        expect(result.rolloverAmount).toBe(-40.25);
+    });
+
+    test('mês futuro não é processado', async () => {
+        const findAll = jest.spyOn(BudgetAllocation, 'findAll');
+        const next = current.month === 12 ? { month: 1, year: current.year + 1 } : { month: current.month + 1, year: current.year };
+
+        await expect(applyRollover('user-1', 'profile-1', next.month, next.year)).resolves.toEqual([]);
+        expect(findAll).not.toHaveBeenCalled();
+    });
+});
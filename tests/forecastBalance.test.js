@@ -0,0 +1,99 @@
+/**
+ * Forecast Balance Test
+ * ========================
+ *
+ * Caminhada do saldo diário da previsão de caixa: entradas e saídas
+ * por dia, saldo mínimo, primeira data negativa e lista de eventos.
+ *
+ * Uso: npx jest tests/forecastBalance.test.js
+ */
+
+const { buildAccountForecast } = require('../src/features/forecast/forecast.service');
+
+const account = {
+    id: 'acc-1',
+    bankName: 'Nubank',
+    nickname: 'Conta',
+    currency: 'BRL',
+    isDefault: true,
+    balance: '1000.00'
+};
+
+const event = (date, amount, description = 'Evento') => ({
+    date,
+    amount,
+    description,
+    type: 'MANUAL',
+    bankAccountId: 'acc-1',
+    currency: 'BRL'
+});
+
+describe('buildAccountForecast', () => {
+    test('sem eventos o saldo fica constante', () => {
+        const forecast = buildAccountForecast(account, [], 2, '2026-03-01');
+
+        expect(forecast.currentBalance).toBe(1000);
+        expect(forecast.endBalance).toBe(1000);
+        expect(forecast.minimumBalance).toBe(1000);
+        expect(forecast.minimumBalanceDate).toBe('2026-03-01');
+        expect(forecast.firstNegativeDate).toBeNull();
+        expect(forecast.daily.map(d => d.date)).toEqual(['2026-03-01', '2026-03-02', '2026-03-03']);
+    });
+
+    test('soma entradas e saídas do dia e acumula o saldo', () => {
+        const forecast = buildAccountForecast(account, [
+            event('2026-03-02', 250.1),
+            event('2026-03-02', -100.05),
+            event('2026-03-03', -300)
+        ], 3, '2026-03-01');
+
+        expect(forecast.daily).toEqual([
+            { date: '2026-03-01', balance: 1000, inflow: 0, outflow: 0 },
+            { date: '2026-03-02', balance: 1150.05, inflow: 250.1, outflow: 100.05 },
+            { date: '2026-03-03', balance: 850.05, inflow: 0, outflow: 300 },
+            { date: '2026-03-04', balance: 850.05, inflow: 0, outflow: 0 }
+        ]);
+        expect(forecast.endBalance).toBe(850.05);
+    });
+
+    test('saldo mínimo e primeira data negativa', () => {
+        const forecast = buildAccountForecast(account, [
+            event('2026-03-03', -1200, 'Aluguel'),
+            event('2026-03-05', -100),
+            event('2026-03-06', 3000, 'Salário')
+        ], 6, '2026-03-01');
+
+        expect(forecast.firstNegativeDate).toBe('2026-03-03');
+        expect(forecast.minimumBalance).toBe(-300);
+        expect(forecast.minimumBalanceDate).toBe('2026-03-05');
+        expect(forecast.endBalance).toBe(2700);
+    });
+
+    test('eventos fora da janela são ignorados no saldo', () => {
+        const forecast = buildAccountForecast(account, [event('2026-03-10', -5000)], 3, '2026-03-01');
+
+        expect(forecast.endBalance).toBe(1000);
+        expect(forecast.firstNegativeDate).toBeNull();
+    });
+
+    test('eventos ordenados por data, sem conta e moeda', () => {
+        const forecast = buildAccountForecast(account, [
+            event('2026-03-03', -10.456, 'B'),
+            event('2026-03-02', 5, 'A')
+        ], 3, '2026-03-01');
+
+        expect(forecast.events).toEqual([
+            { date: '2026-03-02', amount: 5, description: 'A', type: 'MANUAL' },
+            { date: '2026-03-03', amount: -10.46, description: 'B', type: 'MANUAL' }
+        ]);
+        expect(forecast).toMatchObject({ bankAccountId: 'acc-1', bankName: 'Nubank', currency: 'BRL', isDefault: true });
+    });
+
+    test('saldo inválido conta como zero', () => {
+        const forecast = buildAccountForecast({ ...account, balance: null }, [event('2026-03-01', -1)], 0, '2026-03-01');
+
+        expect(forecast.currentBalance).toBe(0);
+        expect(forecast.daily).toEqual([{ date: '2026-03-01', balance: -1, inflow: 0, outflow: 1 }]);
+        expect(forecast.firstNegativeDate).toBe('2026-03-01');
+    });
+});
@@ -0,0 +1,131 @@
+/**
+ * Goal Projection Test
+ * ========================
+ *
+ * Projeção de metas: ritmo de aportes, aporte mensal necessário
+ * (com e sem rendimento), meses até o alvo e status.
+ * Consultas ao banco substituídas por spies nos models.
+ *
+ * Uso: npx jest tests/goalProjection.test.js
+ */
+
+const moment = require('moment');
+const { Goal, GoalHistory } = require('../src/models');
+const goalsService = require('../src/features/goals/goals.service');
+
+const monthsFromToday = (months) => moment().add(months, 'months').format('YYYY-MM-DD');
+
+// Meta criada há um ano (ritmo medido nos últimos 6 meses)
+const mockGoal = (data, deposits = []) => {
+    const goal = Goal.build({
+        id: 'goal-1',
+        userId: 'user-1',
+        name: 'Reserva',
+        currentAmount: '1000',
+        targetAmount: '13000',
+        deadline: monthsFromToday(12),
+        isInfinite: false,
+        annualYieldRate: 0,
+        createdAt: moment().subtract(1, 'year').toDate(),
+        ...data
+    });
+    jest.spyOn(Goal, 'findOne').mockResolvedValue(goal);
+    jest.spyOn(GoalHistory, 'findAll').mockResolvedValue(deposits);
+};
+
+const history = (type, amount) => ({ type, amount: String(amount) });
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('getProjection', () => {
+    test('no ritmo certo: ON_TRACK sem falta no prazo', async () => {
+        mockGoal({}, [history('DEPOSIT', 4000), history('DEPOSIT', 2500), history('WITHDRAWAL', 500)]);
+
+        const projection = await goalsService.getProjection('user-1', 'goal-1');
+
+        expect(projection.currentPace.monthly).toBe(1000);
+        expect(projection.monthsLeft).toBe(12);
+        expect(projection.requiredMonthly).toBe(1000);
+        expect(projection.monthsToComplete).toBe(12);
+        expect(projection.projectedCompletionDate).toBe(monthsFromToday(12));
+        expect(projection.projectedAtDeadline).toBe(13000);
+        expect(projection.shortfall).toBe(0);
+        expect(projection.remaining).toBe(12000);
+        expect(projection.status).toBe('ON_TRACK');
+    });
+
+    test('ritmo abaixo do necessário: BEHIND com a falta projetada', async () => {
+        mockGoal({}, [history('DEPOSIT', 3000)]);
+
+        const projection = await goalsService.getProjection('user-1', 'goal-1');
+
+        expect(projection.currentPace.monthly).toBe(500);
+        expect(projection.monthsToComplete).toBe(24);
+        expect(projection.projectedAtDeadline).toBe(7000);
+        expect(projection.shortfall).toBe(6000);
+        expect(projection.requiredMonthly).toBe(1000);
+        expect(projection.status).toBe('BEHIND');
+    });
+
+    test('rendimento composto reduz o aporte necessário', async () => {
+        mockGoal({ currentAmount: '0', targetAmount: '12000', annualYieldRate: '12' });
+
+        const projection = await goalsService.getProjection('user-1', 'goal-1');
+
+        expect(projection.yield).toEqual({ source: 'GOAL', annualRate: 12 });
+        expect(projection.requiredMonthly).toBe(948.88);
+    });
+
+    test('saldo atual que rende até o alvo dispensa aportes', async () => {
+        mockGoal({ currentAmount: '11000', targetAmount: '12000', annualYieldRate: '12' });
+
+        const projection = await goalsService.getProjection('user-1', 'goal-1');
+
+        expect(projection.requiredMonthly).toBe(0);
+        expect(projection.monthsToComplete).toBe(10);
+        expect(projection.status).toBe('ON_TRACK');
+    });
+
+    test('meta atingida', async () => {
+        mockGoal({ currentAmount: '13000' });
+
+        const projection = await goalsService.getProjection('user-1', 'goal-1');
+
+        expect(projection.status).toBe('COMPLETED');
+        expect(projection.monthsToComplete).toBe(0);
+        expect(projection.requiredMonthly).toBeNull();
+        expect(projection.progress).toBe(100);
+    });
+
+    test('sem prazo e sem aportes: não atinge', async () => {
+        mockGoal({ deadline: null, isInfinite: true }, [history('WITHDRAWAL', 600)]);
+
+        const projection = await goalsService.getProjection('user-1', 'goal-1');
+
+        expect(projection.status).toBe('NO_DEADLINE');
+        expect(projection.currentPace.monthly).toBe(-100);
+        expect(projection.monthsToComplete).toBeNull();
+        expect(projection.projectedCompletionDate).toBeNull();
+        expect(projection.monthsLeft).toBeNull();
+        expect(projection.requiredMonthly).toBeNull();
+        expect(projection.shortfall).toBeNull();
+    });
+
+    test('prazo vencido: OVERDUE pede o restante de uma vez', async () => {
+        mockGoal({ deadline: moment().subtract(1, 'month').format('YYYY-MM-DD') });
+
+        const projection = await goalsService.getProjection('user-1', 'goal-1');
+
+        expect(projection.status).toBe('OVERDUE');
+        expect(projection.monthsLeft).toBe(0);
+        expect(projection.requiredMonthly).toBe(12000);
+    });
+
+    test('meta inexistente', async () => {
+        jest.spyOn(Goal, 'findOne').mockResolvedValue(null);
+
+        await expect(goalsService.getProjection('user-1', 'goal-x')).rejects.toThrow('Meta não encontrada');
+    });
+});
@@ -0,0 +1,249 @@
+/**
+ * Goal Schedules Test
+ * ========================
+ *
+ * Aportes automáticos em metas: execução com débito na conta de origem
+ * e crédito na conta da meta, saldo insuficiente, meta concluída ou
+ * inativa, conta desativada, execução dos vencidos (cron) e aportes
+ * previstos no período.
+ * Consultas ao banco substituídas por spies nos models.
+ *
+ * Uso: npx jest tests/goalSchedules.test.js
+ */
+
+const {
+    Goal,
+    GoalContributionSchedule,
+    BankAccount,
+    Notification,
+    NotificationPreference,
+    sequelize
+} = require('../src/models');
+const bankAccountsService = require('../src/features/bankAccounts/bankAccounts.service');
+const goalsService = require('../src/features/goals/goals.service');
+
+const TODAY = '2026-03-10';
+
+// Agendamento em memória (update grava os campos no próprio objeto)
+const schedule = (data) => ({
+    id: 'sched-1',
+    userId: 'user-1',
+    profileId: 'prof-1',
+    goalId: 'goal-1',
+    bankAccountId: 'acc-1',
+    amount: '300',
+    frequency: 'MONTHLY',
+    dayOfMonth: 10,
+    nextRunDate: TODAY,
+    status: 'ACTIVE',
+    update: jest.fn(function (values) { Object.assign(this, values); return Promise.resolve(this); }),
+    ...data
+});
+
+const goal = (data) => ({
+    id: 'goal-1',
+    userId: 'user-1',
+    profileId: 'prof-1',
+    name: 'Viagem',
+    status: 'ACTIVE',
+    isInfinite: false,
+    targetAmount: '1000',
+    currentAmount: '800',
+    bankAccountId: 'acc-goal',
+    ...data
+});
+
+let transaction;
+
+beforeEach(() => {
+    transaction = { commit: jest.fn(), rollback: jest.fn(), LOCK: { UPDATE: 'UPDATE' } };
+    jest.spyOn(sequelize, 'transaction').mockResolvedValue(transaction);
+    jest.spyOn(bankAccountsService, 'updateBalance').mockResolvedValue();
+    jest.spyOn(goalsService, 'transaction').mockResolvedValue({});
+    jest.spyOn(NotificationPreference, 'findAll').mockResolvedValue([]);
+    jest.spyOn(Notification, 'create').mockResolvedValue({});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('runSchedule', () => {
+    test('aporta só o que falta para o alvo: debita a origem, credita a conta da meta e registra o DEPOSIT', async () => {
+        jest.spyOn(Goal, 'findByPk').mockResolvedValue(goal());
+        jest.spyOn(BankAccount, 'findByPk').mockResolvedValue({ id: 'acc-1', balance: '500', isActive: true });
+        const item = schedule();
+
+        const result = await goalsService.runSchedule(item, TODAY);
+
+        expect(result).toEqual({ scheduleId: 'sched-1', goalId: 'goal-1', status: 'SUCCESS', amount: 200, nextRunDate: '2026-04-10' });
+        expect(BankAccount.findByPk).toHaveBeenCalledWith('acc-1', { transaction, lock: 'UPDATE' });
+        expect(bankAccountsService.updateBalance.mock.calls).toEqual([
+            ['acc-1', -200, transaction, { reason: 'GOAL_CONTRIBUTION' }],
+            ['acc-goal', 200, transaction, { reason: 'GOAL_CONTRIBUTION' }]
+        ]);
+        expect(goalsService.transaction).toHaveBeenCalledWith('user-1', 'goal-1', {
+            amount: 200,
+            type: 'DEPOSIT',
+            reason: 'Aporte automático'
+        }, { transaction });
+        expect(item.update).toHaveBeenCalledWith({ nextRunDate: '2026-04-10', lastRunDate: TODAY, lastRunStatus: 'SUCCESS' }, { transaction });
+        expect(transaction.commit).toHaveBeenCalled();
+    });
+
+    test('meta sem conta própria: só debita a origem', async () => {
+        jest.spyOn(Goal, 'findByPk').mockResolvedValue(goal({ bankAccountId: null, isInfinite: true }));
+        jest.spyOn(BankAccount, 'findByPk').mockResolvedValue({ id: 'acc-1', balance: '500', isActive: true });
+
+        const result = await goalsService.runSchedule(schedule(), TODAY);
+
+        expect(result).toMatchObject({ status: 'SUCCESS', amount: 300 });
+        expect(bankAccountsService.updateBalance.mock.calls).toEqual([
+            ['acc-1', -300, transaction, { reason: 'GOAL_CONTRIBUTION' }]
+        ]);
+    });
+
+    test('saldo insuficiente: pula, avisa e segue para a próxima data', async () => {
+        jest.spyOn(Goal, 'findByPk').mockResolvedValue(goal());
+        jest.spyOn(BankAccount, 'findByPk').mockResolvedValue({ id: 'acc-1', balance: '150', nickname: 'Conta Nubank', isActive: true });
+        const item = schedule();
+
+        const result = await goalsService.runSchedule(item, TODAY);
+
+        expect(result).toMatchObject({ status: 'INSUFFICIENT_BALANCE', amount: 0, nextRunDate: '2026-04-10' });
+        expect(bankAccountsService.updateBalance).not.toHaveBeenCalled();
+        expect(goalsService.transaction).not.toHaveBeenCalled();
+        expect(item.status).toBe('ACTIVE');
+        expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({
+            userId: 'user-1',
+            type: 'GOAL_CONTRIBUTION_SKIPPED',
+            title: '⚠️ Aporte em Viagem não realizado',
+            relatedAmount: 300
+        }));
+        expect(Notification.create.mock.calls[0][0].message).toContain('Conta Nubank');
+    });
+
+    test('meta concluída ou inativa pausa o agendamento sem mexer em saldo', async () => {
+        jest.spyOn(BankAccount, 'findByPk');
+        jest.spyOn(Goal, 'findByPk').mockResolvedValueOnce(goal({ currentAmount: '1000' }));
+        const completed = schedule();
+
+        await expect(goalsService.runSchedule(completed, TODAY)).resolves.toMatchObject({ status: 'GOAL_COMPLETED', amount: 0 });
+        expect(completed.update).toHaveBeenCalledWith({ status: 'PAUSED', lastRunDate: TODAY, lastRunStatus: 'GOAL_COMPLETED' }, { transaction });
+
+        Goal.findByPk.mockResolvedValueOnce(goal({ status: 'CANCELLED' }));
+        const cancelled = schedule();
+
+        await expect(goalsService.runSchedule(cancelled, TODAY)).resolves.toMatchObject({ status: 'GOAL_INACTIVE' });
+        expect(cancelled.status).toBe('PAUSED');
+        expect(BankAccount.findByPk).not.toHaveBeenCalled();
+        expect(bankAccountsService.updateBalance).not.toHaveBeenCalled();
+    });
+
+    test('conta de origem ou da meta desativada pausa o agendamento e avisa', async () => {
+        jest.spyOn(Goal, 'findByPk').mockResolvedValue(goal());
+        jest.spyOn(BankAccount, 'findByPk').mockResolvedValueOnce({ id: 'acc-1', balance: '500', isActive: false });
+        const item = schedule();
+
+        const result = await goalsService.runSchedule(item, TODAY);
+
+        expect(result).toMatchObject({ status: 'ACCOUNT_INACTIVE', amount: 0 });
+        expect(item.update).toHaveBeenCalledWith({ status: 'PAUSED', lastRunDate: TODAY, lastRunStatus: 'ACCOUNT_INACTIVE' }, { transaction });
+        expect(bankAccountsService.updateBalance).not.toHaveBeenCalled();
+        expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({
+            type: 'GOAL_CONTRIBUTION_SKIPPED',
+            title: '⏸️ Aporte automático em Viagem pausado'
+        }));
+
+        BankAccount.findByPk
+            .mockResolvedValueOnce({ id: 'acc-1', balance: '500', isActive: true })
+            .mockResolvedValueOnce(null);
+
+        await expect(goalsService.runSchedule(schedule(), TODAY)).resolves.toMatchObject({ status: 'ACCOUNT_INACTIVE' });
+        expect(BankAccount.findByPk).toHaveBeenLastCalledWith('acc-goal', { transaction });
+        expect(bankAccountsService.updateBalance).not.toHaveBeenCalled();
+    });
+
+    test('meta excluída pausa sem consultar a conta', async () => {
+        jest.spyOn(Goal, 'findByPk').mockResolvedValue(null);
+        jest.spyOn(BankAccount, 'findByPk');
+        const item = schedule();
+
+        await expect(goalsService.runSchedule(item, TODAY)).resolves.toMatchObject({ status: 'GOAL_INACTIVE', amount: 0 });
+        expect(item.status).toBe('PAUSED');
+        expect(BankAccount.findByPk).not.toHaveBeenCalled();
+        expect(transaction.commit).toHaveBeenCalled();
+    });
+
+    test('falha no meio desfaz a transação', async () => {
+        jest.spyOn(Goal, 'findByPk').mockResolvedValue(goal());
+        jest.spyOn(BankAccount, 'findByPk').mockResolvedValue({ id: 'acc-1', balance: '500', isActive: true });
+        goalsService.transaction.mockRejectedValue(new Error('db down'));
+
+        await expect(goalsService.runSchedule(schedule(), TODAY)).rejects.toThrow('db down');
+        expect(transaction.rollback).toHaveBeenCalled();
+        expect(transaction.commit).not.toHaveBeenCalled();
+    });
+});
+
+describe('runDueSchedules', () => {
+    test('conta aportes, pulos, pausas e falhas', async () => {
+        jest.spyOn(GoalContributionSchedule, 'findAll').mockResolvedValue([
+            schedule({ id: 's1' }), schedule({ id: 's2' }), schedule({ id: 's3' }), schedule({ id: 's4' })
+        ]);
+        jest.spyOn(goalsService, 'runSchedule')
+            .mockResolvedValueOnce({ status: 'SUCCESS' })
+            .mockResolvedValueOnce({ status: 'INSUFFICIENT_BALANCE' })
+            .mockResolvedValueOnce({ status: 'GOAL_COMPLETED' })
+            .mockRejectedValueOnce(new Error('db down'));
+
+        const result = await goalsService.runDueSchedules();
+
+        expect(result).toEqual({ checked: 4, contributed: 1, skipped: 1, paused: 1, failed: 1 });
+        expect(GoalContributionSchedule.findAll.mock.calls[0][0].where.status).toBe('ACTIVE');
+    });
+});
+
+describe('getScheduledContributions', () => {
+    test('atrasado entra uma vez no início do período e o alvo limita os aportes', async () => {
+        jest.spyOn(GoalContributionSchedule, 'findAll').mockResolvedValue([
+            schedule({
+                id: 'weekly',
+                frequency: 'WEEKLY',
+                amount: '100',
+                nextRunDate: '2026-03-08',
+                goal: goal({ currentAmount: '750' }),
+                bankAccount: { id: 'acc-1', currency: 'BRL' }
+            }),
+            schedule({
+                id: 'monthly',
+                goalId: 'goal-2',
+                amount: '200',
+                dayOfMonth: 20,
+                nextRunDate: '2026-03-20',
+                goal: goal({ id: 'goal-2', name: 'Reserva', isInfinite: true, bankAccountId: null }),
+                bankAccount: { id: 'acc-usd', currency: 'USD' }
+            }),
+            schedule({ id: 'inactive', goal: goal({ id: 'goal-3', status: 'PAUSED' }) })
+        ]);
+
+        const result = await goalsService.getScheduledContributions('user-1', 'prof-1', TODAY, '2026-04-09');
+
+        expect(result.map(c => [c.scheduleId, c.date, c.amount, c.currency])).toEqual([
+            ['weekly', '2026-03-10', 100, 'BRL'],
+            ['weekly', '2026-03-15', 100, 'BRL'],
+            ['monthly', '2026-03-20', 200, 'USD'],
+            ['weekly', '2026-03-22', 50, 'BRL']
+        ]);
+        expect(result[0]).toMatchObject({ goalId: 'goal-1', goalName: 'Viagem', bankAccountId: 'acc-1', goalBankAccountId: 'acc-goal' });
+        expect(GoalContributionSchedule.findAll.mock.calls[0][0].where).toMatchObject({ userId: 'user-1', profileId: 'prof-1', status: 'ACTIVE' });
+    });
+
+    test('sem agendamentos no período; sem perfil, todos os do usuário', async () => {
+        jest.spyOn(GoalContributionSchedule, 'findAll').mockResolvedValue([]);
+
+        await expect(goalsService.getScheduledContributions('user-1', null, TODAY, '2026-04-09')).resolves.toEqual([]);
+        expect(GoalContributionSchedule.findAll.mock.calls[0][0].where).not.toHaveProperty('profileId');
+    });
+});
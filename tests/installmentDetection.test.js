@@ -0,0 +1,49 @@
+/**
+ * Installment Detection Test
+ * ========================
+ *
+ * Detecção de parcelas na importação de faturas de cartão
+ * (descrição "LOJA 03/10", "PARC 2 DE 6" ou coluna "Parcela" do CSV).
+ *
+ * Uso: npx jest tests/installmentDetection.test.js
+ */
+
+const { detectInstallment } = require('../src/features/manualCard/cardImport.service');
+
+describe('detectInstallment', () => {
+    test('sufixo NN/NN na descrição', () => {
+        expect(detectInstallment('MAGAZINE LUIZA 03/10')).toEqual({
+            number: 3,
+            total: 10,
+            baseDescription: 'MAGAZINE LUIZA'
+        });
+    });
+
+    test('PARC/PARCELA com barra ou "de"', () => {
+        expect(detectInstallment('NETSHOES PARC 02/06')).toEqual({ number: 2, total: 6, baseDescription: 'NETSHOES' });
+        expect(detectInstallment('Parcela 1 de 12 - Geladeira')).toEqual({
+            number: 1,
+            total: 12,
+            baseDescription: 'Geladeira'
+        });
+    });
+
+    test('coluna de parcela tem prioridade sobre a descrição', () => {
+        expect(detectInstallment('CURSO ONLINE 01/02', '4 de 5')).toEqual({
+            number: 4,
+            total: 5,
+            baseDescription: 'CURSO ONLINE 01/02'
+        });
+    });
+
+    test('coluna inválida cai na descrição', () => {
+        expect(detectInstallment('LOJA X 2/3', 'à vista')).toEqual({ number: 2, total: 3, baseDescription: 'LOJA X' });
+    });
+
+    test('ignora datas e números fora de um parcelamento válido', () => {
+        expect(detectInstallment('UBER *TRIP')).toBeNull();
+        expect(detectInstallment('PADARIA 1/1')).toBeNull(); // total < 2
+        expect(detectInstallment('LOJA 05/03')).toBeNull(); // parcela > total
+        expect(detectInstallment('COMPRA 15/10/2026')).toBeNull();
+    });
+});
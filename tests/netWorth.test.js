@@ -0,0 +1,193 @@
+/**
+ * Net Worth Test
+ * ========================
+ *
+ * Patrimônio líquido por perfil e consolidado: contas convertidas para
+ * a moeda base, investimentos, metas fora das contas, faturas em aberto
+ * e parcelas futuras dos cartões; snapshots diários e evolução.
+ * Consultas ao banco e serviços vizinhos substituídos por spies.
+ *
+ * Uso: npx jest tests/netWorth.test.js
+ */
+
+const {
+    User,
+    Profile,
+    BankAccount,
+    CreditCard,
+    CardInvoice,
+    CardTransaction,
+    Goal,
+    NetWorthSnapshot
+} = require('../src/models');
+const { Op } = require('sequelize');
+const exchangeRatesService = require('../src/features/exchangeRates/exchangeRates.service');
+const investmentsService = require('../src/features/investments/investments.service');
+const invoicesService = require('../src/features/invoices/invoices.service');
+const netWorthService = require('../src/features/netWorth/netWorth.service');
+
+const RATES = { BRL: 1, USD: 5 };
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Ciclo simplificado: fatura do mês M vai do dia 26 de M-1 ao dia 25 de M
+const period = (card, month, year) => {
+    const start = new Date(year, month - 2, 26);
+    return {
+        startDate: `${start.getFullYear()}-${pad(start.getMonth() + 1)}-26`,
+        endDate: `${year}-${pad(month)}-25`
+    };
+};
+
+beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-03-10T12:00:00'), doNotFake: ['nextTick', 'setImmediate'] });
+    jest.spyOn(exchangeRatesService, 'getBaseCurrency').mockResolvedValue('BRL');
+    jest.spyOn(exchangeRatesService, 'getRate').mockImplementation(async (from) => ({ rate: RATES[from] }));
+    jest.spyOn(BankAccount, 'findAll').mockResolvedValue([
+        { id: 'acc-1', balance: '1000', currency: 'BRL', nickname: 'Conta' },
+        { id: 'acc-usd', balance: '200', currency: 'USD', bankName: 'Wise' }
+    ]);
+    jest.spyOn(CreditCard, 'findAll').mockResolvedValue([]);
+    jest.spyOn(Goal, 'findAll').mockResolvedValue([{ id: 'goal-1', name: 'Reserva', currentAmount: '500' }]);
+    jest.spyOn(investmentsService, 'getPortfolio').mockResolvedValue({
+        positions: [
+            { source: 'VARIABLE_INCOME', currentBalance: 3000 },
+            { source: 'FIXED_INCOME', currentBalance: 7000 }
+        ]
+    });
+    jest.spyOn(invoicesService, 'calculateTransactionPeriod').mockImplementation(period);
+    jest.spyOn(CardInvoice, 'findAll').mockResolvedValue([]);
+    jest.spyOn(CardTransaction, 'findAll').mockResolvedValue([]);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+});
+
+describe('calculateNetWorth', () => {
+    test('perfil: contas convertidas, renda variável e metas; produtos financeiros ficam de fora', async () => {
+        const result = await netWorthService.calculateNetWorth('user-1', 'prof-1');
+
+        expect(result).toMatchObject({
+            date: '2026-03-10',
+            profileId: 'prof-1',
+            currency: 'BRL',
+            assets: { bankAccounts: 2000, investments: 3000, financialProducts: 0, goals: 500, total: 5500 },
+            liabilities: { cardInvoices: 0, futureInstallments: 0, total: 0 },
+            netWorth: 5500
+        });
+        expect(result.breakdown.accounts).toEqual([
+            { id: 'acc-1', name: 'Conta', currency: 'BRL', balance: 1000 },
+            { id: 'acc-usd', name: 'Wise', currency: 'USD', balance: 1000 }
+        ]);
+        expect(BankAccount.findAll).toHaveBeenCalledWith({ where: { userId: 'user-1', profileId: 'prof-1', isActive: true } });
+        expect(investmentsService.getPortfolio).toHaveBeenCalledWith('user-1', { profileId: 'prof-1' });
+    });
+
+    test('consolidado: todos os perfis e produtos financeiros', async () => {
+        const result = await netWorthService.calculateNetWorth('user-1');
+
+        expect(result.profileId).toBeNull();
+        expect(result.assets).toMatchObject({ financialProducts: 7000, total: 12500 });
+        expect(BankAccount.findAll).toHaveBeenCalledWith({ where: { userId: 'user-1', isActive: true } });
+        expect(investmentsService.getPortfolio).toHaveBeenCalledWith('user-1', {});
+    });
+
+    test('cartões: saldo em aberto das faturas e parcelas que ainda não entraram em fatura', async () => {
+        CreditCard.findAll.mockResolvedValue([{ id: 'card-1', name: 'Nubank', closingDay: 25, currency: 'BRL' }]);
+        CardInvoice.findAll.mockResolvedValue([
+            { cardId: 'card-1', referenceMonth: 2, referenceYear: 2026, totalAmount: '400', paidAmount: '400', status: 'PAID' },
+            { cardId: 'card-1', referenceMonth: 3, referenceYear: 2026, totalAmount: '800', paidAmount: '300', status: 'OPEN' }
+        ]);
+        CardTransaction.findAll.mockResolvedValue([
+            { cardId: 'card-1', amount: '100', date: '2026-03-05', installmentGroupId: null },
+            { cardId: 'card-1', amount: '200', date: '2026-04-05', installmentGroupId: 'inst-1' },
+            { cardId: 'card-1', amount: '50', date: '2026-03-30', installmentGroupId: null }
+        ]);
+
+        const result = await netWorthService.calculateNetWorth('user-1', 'prof-1');
+
+        expect(result.liabilities).toEqual({ cardInvoices: 500, futureInstallments: 200, total: 700 });
+        expect(result.netWorth).toBe(4800);
+        expect(result.breakdown.cards).toEqual([
+            { id: 'card-1', name: 'Nubank', currency: 'BRL', openInvoices: 500, unbilled: 200 }
+        ]);
+        // Só busca lançamentos depois do que as faturas já cobrem
+        expect(CardTransaction.findAll.mock.calls[0][0].where.date).toEqual({ [Op.gt]: '2026-03-25' });
+    });
+});
+
+describe('takeSnapshot', () => {
+    test('cria o snapshot do dia ou atualiza o existente', async () => {
+        jest.spyOn(NetWorthSnapshot, 'findOne').mockResolvedValueOnce(null);
+        jest.spyOn(NetWorthSnapshot, 'create').mockImplementation(async (data) => data);
+
+        const created = await netWorthService.takeSnapshot('user-1', 'prof-1');
+
+        expect(NetWorthSnapshot.findOne).toHaveBeenCalledWith({ where: { userId: 'user-1', profileId: 'prof-1', date: '2026-03-10' } });
+        expect(created).toMatchObject({ userId: 'user-1', profileId: 'prof-1', date: '2026-03-10', totalAssets: 5500, netWorth: 5500 });
+
+        const existing = { update: jest.fn().mockResolvedValue('updated') };
+        NetWorthSnapshot.findOne.mockResolvedValueOnce(existing);
+
+        await expect(netWorthService.takeSnapshot('user-1', 'prof-1')).resolves.toBe('updated');
+        expect(existing.update).toHaveBeenCalledWith(expect.objectContaining({ bankAccounts: 2000, goals: 500 }));
+        expect(NetWorthSnapshot.create).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('snapshotAll', () => {
+    test('um snapshot por perfil e o consolidado; falhas são contadas', async () => {
+        jest.spyOn(User, 'findAll').mockResolvedValue([{ id: 'user-1' }]);
+        jest.spyOn(Profile, 'findAll').mockResolvedValue([{ id: 'prof-1' }, { id: 'prof-2' }]);
+        jest.spyOn(NetWorthSnapshot, 'findOne').mockResolvedValue(null);
+        jest.spyOn(NetWorthSnapshot, 'create').mockResolvedValue({});
+        BankAccount.findAll.mockImplementation(async ({ where }) => {
+            if (where.profileId === 'prof-2') throw new Error('db down');
+            return [];
+        });
+
+        const result = await netWorthService.snapshotAll();
+
+        expect(result).toEqual({ users: 1, snapshots: 2, failed: 1 });
+        expect(NetWorthSnapshot.create.mock.calls.map(c => c[0].profileId)).toEqual(['prof-1', null]);
+    });
+});
+
+describe('getHistory', () => {
+    test('escopo e datas inválidos', async () => {
+        await expect(netWorthService.getHistory('user-1', 'prof-1', { scope: 'all' }))
+            .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_NET_WORTH_SCOPE' });
+        await expect(netWorthService.getHistory('user-1', 'prof-1', { startDate: '10/03/2026' }))
+            .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_DATE' });
+    });
+
+    test('evolução desde o primeiro snapshot do período (consolidado)', async () => {
+        jest.spyOn(NetWorthSnapshot, 'findAll').mockResolvedValue([
+            { date: '2026-01-01', currency: 'BRL', totalAssets: '10000', totalLiabilities: '0', netWorth: '10000' },
+            { date: '2026-02-01', currency: 'BRL', totalAssets: '11000', totalLiabilities: '0', netWorth: '11000' }
+        ]);
+
+        const result = await netWorthService.getHistory('user-1', 'prof-1', { scope: 'consolidated', startDate: '2026-01-01' });
+
+        expect(result).toMatchObject({
+            scope: 'consolidated',
+            profileId: null,
+            period: { startDate: '2026-01-01', endDate: '2026-03-10' },
+            variation: { since: '2026-01-01', amount: 2500, percent: 25 }
+        });
+        expect(result.history.map(h => h.netWorth)).toEqual([10000, 11000]);
+        expect(NetWorthSnapshot.findAll.mock.calls[0][0].where).toMatchObject({ userId: 'user-1', profileId: null });
+    });
+
+    test('sem snapshots no período não há variação', async () => {
+        jest.spyOn(NetWorthSnapshot, 'findAll').mockResolvedValue([]);
+
+        const result = await netWorthService.getHistory('user-1', 'prof-1');
+
+        expect(result).toMatchObject({ scope: 'profile', profileId: 'prof-1', variation: null, history: [] });
+        expect(result.period.startDate).toBe('2025-03-10');
+    });
+});
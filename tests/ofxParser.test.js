@@ -0,0 +1,150 @@
+/**
+ * OFX Parser Test
+ * ========================
+ *
+ * Leitura de extratos OFX (SGML 1.x e XML 2.x) e conversão de valores.
+ *
+ * Uso: npx jest tests/ofxParser.test.js
+ */
+
+const { parseOFX, parseDate, parseAmount } = require('../src/features/transactions/ofx.parser');
+
+const SGML_STATEMENT = `OFXHEADER:100
+DATA:OFXSGML
+VERSION:102
+
+<OFX>
+<BANKMSGSRSV1>
+<STMTTRNRS>
+<STMTRS>
+<CURDEF>BRL
+<BANKACCTFROM>
+<BANKID>0260
+<BRANCHID>0001
+<ACCTID>12345-6
+<ACCTTYPE>CHECKING
+</BANKACCTFROM>
+<BANKTRANLIST>
+<DTSTART>20261001000000[-3:BRT]
+<DTEND>20261031000000[-3:BRT]
+<STMTTRN>
+<TRNTYPE>DEBIT
+<DTPOSTED>20261005120000[-3:BRT]
+<TRNAMT>-1.234,56
+<FITID>A1
+<MEMO>Compra no débito - Mercado &amp; Cia
+</STMTTRN>
+<STMTTRN>
+<TRNTYPE>CREDIT
+<DTPOSTED>20261010
+<TRNAMT>2500.00
+<FITID>A2
+<NAME>Salario
+</STMTTRN>
+</BANKTRANLIST>
+<LEDGERBAL>
+<BALAMT>1,265.44
+<DTASOF>20261031
+</LEDGERBAL>
+</STMTRS>
+</STMTTRNRS>
+</BANKMSGSRSV1>
+</OFX>`;
+
+describe('parseAmount', () => {
+    test('ponto decimal (padrão OFX)', () => {
+        expect(parseAmount('-10.50')).toBe(-10.5);
+        expect(parseAmount('1234.56')).toBe(1234.56);
+    });
+
+    test('vírgula decimal com ponto de milhar', () => {
+        expect(parseAmount('-1.234,56')).toBe(-1234.56);
+        expect(parseAmount('50,00')).toBe(50);
+    });
+
+    test('vírgula de milhar com ponto decimal', () => {
+        expect(parseAmount('1,234.56')).toBe(1234.56);
+        expect(parseAmount('-12,345,678.90')).toBe(-12345678.9);
+    });
+
+    test('separador repetido sem decimal é milhar', () => {
+        expect(parseAmount('1.234.567')).toBe(1234567);
+        expect(parseAmount('1,234,567')).toBe(1234567);
+    });
+
+    test('ignora espaços e rejeita vazio', () => {
+        expect(parseAmount(' -3.50 ')).toBe(-3.5);
+        expect(parseAmount(null)).toBeNaN();
+        expect(parseAmount('')).toBeNaN();
+    });
+});
+
+describe('parseDate', () => {
+    test('aceita data com hora e fuso', () => {
+        expect(parseDate('20261005120000[-3:BRT]')).toBe('2026-10-05');
+        expect(parseDate('20261005')).toBe('2026-10-05');
+    });
+
+    test('rejeita valores fora do formato', () => {
+        expect(parseDate('05/10/2026')).toBeNull();
+        expect(parseDate(null)).toBeNull();
+    });
+});
+
+describe('parseOFX', () => {
+    test('extrato de conta em SGML', () => {
+        const { account, statement, transactions } = parseOFX(SGML_STATEMENT);
+
+        expect(account).toEqual({
+            type: 'BANK',
+            bankId: '0260',
+            branchId: '0001',
+            accountId: '12345-6',
+            accountType: 'CHECKING',
+            currency: 'BRL'
+        });
+        expect(statement).toEqual({
+            startDate: '2026-10-01',
+            endDate: '2026-10-31',
+            ledgerBalance: 1265.44,
+            ledgerBalanceDate: '2026-10-31'
+        });
+
+        expect(transactions).toHaveLength(2);
+        expect(transactions[0]).toMatchObject({
+            line: 1,
+            fitId: 'A1',
+            trnType: 'DEBIT',
+            date: '2026-10-05',
+            amount: -1234.56,
+            description: 'Compra no débito - Mercado & Cia'
+        });
+        // Sem MEMO, a descrição vem de NAME
+        expect(transactions[1]).toMatchObject({ fitId: 'A2', amount: 2500, description: 'Salario' });
+    });
+
+    test('extrato de cartão em XML', () => {
+        const xml = `<?xml version="1.0"?><OFX><CREDITCARDMSGSRSV1><CCSTMTTRNRS><CCSTMTRS>
+<CURDEF>USD</CURDEF><CCACCTFROM><ACCTID>4111</ACCTID></CCACCTFROM>
+<BANKTRANLIST><STMTTRN><TRNTYPE>debit</TRNTYPE><DTPOSTED>20261002</DTPOSTED>
+<TRNAMT>-19.90</TRNAMT><FITID>X9</FITID><NAME>Streaming</NAME></STMTTRN></BANKTRANLIST>
+</CCSTMTRS></CCSTMTTRNRS></CREDITCARDMSGSRSV1></OFX>`;
+
+        const { account, statement, transactions } = parseOFX(xml);
+
+        expect(account.type).toBe('CREDIT_CARD');
+        expect(account.currency).toBe('USD');
+        expect(statement.ledgerBalance).toBeNull();
+        expect(transactions).toEqual([expect.objectContaining({
+            fitId: 'X9',
+            trnType: 'DEBIT',
+            amount: -19.9,
+            description: 'Streaming'
+        })]);
+    });
+
+    test('rejeita conteúdo sem <OFX>', () => {
+        expect(() => parseOFX('Data;Valor')).toThrow(expect.objectContaining({ code: 'INVALID_OFX', statusCode: 400 }));
+        expect(() => parseOFX(null)).toThrow('Arquivo OFX inválido');
+    });
+});
@@ -0,0 +1,151 @@
+/**
+ * Owner Transfers Test
+ * ========================
+ *
+ * Retiradas do sócio (PJ → PF): validação dos perfis, as duas pontas
+ * ligadas com o saldo movimentado e a exclusão levando a outra ponta.
+ * Consultas ao banco substituídas por spies nos models.
+ *
+ * Uso: npx jest tests/ownerTransfers.test.js
+ */
+
+const { BankAccount, Category, ManualTransaction, AuditLog, sequelize } = require('../src/models');
+const bankAccountsService = require('../src/features/bankAccounts/bankAccounts.service');
+const trashService = require('../src/features/trash/trash.service');
+const transactionsService = require('../src/features/transactions/transactions.service');
+
+const account = (id, profileType, data = {}) => ({
+    id,
+    bankName: id === 'acc-pj' ? 'Inter PJ' : 'Nubank',
+    profileId: `profile-${profileType.toLowerCase()}`,
+    currency: 'BRL',
+    balance: '5000.00',
+    profile: { id: `profile-${profileType.toLowerCase()}`, type: profileType, name: profileType === 'BUSINESS' ? 'Empresa' : 'Pessoal' },
+    ...data
+});
+
+// Transação criada em memória
+const created = (data) => {
+    const tx = { ...data, id: data.type === 'EXPENSE' ? 'tx-pj' : 'tx-pf' };
+    tx.save = jest.fn().mockResolvedValue(tx);
+    tx.toJSON = () => ({ ...data });
+    return tx;
+};
+
+let transaction;
+
+beforeEach(() => {
+    transaction = { commit: jest.fn(), rollback: jest.fn() };
+    jest.spyOn(sequelize, 'transaction').mockResolvedValue(transaction);
+    jest.spyOn(Category, 'findOrCreate').mockImplementation(async ({ where }) => [{ id: `cat-${where.profileId}-${where.type}` }]);
+    jest.spyOn(ManualTransaction, 'create').mockImplementation(async (data) => created(data));
+    jest.spyOn(bankAccountsService, 'updateBalance').mockResolvedValue();
+    jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+    jest.spyOn(AuditLog, 'log').mockResolvedValue();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+const transfer = (data = {}) => transactionsService.createOwnerTransfer('user-1', {
+    fromBankAccountId: 'acc-pj',
+    toBankAccountId: 'acc-pf',
+    ownerTransferType: 'PRO_LABORE',
+    amount: '1500.00',
+    date: '2026-03-05',
+    ...data
+});
+
+describe('createOwnerTransfer', () => {
+    test('despesa na PJ e receita na PF ligadas entre si', async () => {
+        jest.spyOn(BankAccount, 'findAll').mockResolvedValue([account('acc-pj', 'BUSINESS'), account('acc-pf', 'PERSONAL')]);
+
+        const result = await transfer();
+
+        const [expenseData, incomeData] = ManualTransaction.create.mock.calls.map(call => call[0]);
+        expect(expenseData).toMatchObject({
+            profileId: 'profile-business',
+            bankAccountId: 'acc-pj',
+            type: 'EXPENSE',
+            ownerTransferType: 'PRO_LABORE',
+            source: 'SALARY',
+            description: 'Pró-labore → Pessoal',
+            categoryId: 'cat-profile-business-EXPENSE'
+        });
+        expect(incomeData).toMatchObject({
+            profileId: 'profile-personal',
+            bankAccountId: 'acc-pf',
+            type: 'INCOME',
+            linkedTransferId: 'tx-pj',
+            categoryId: 'cat-profile-personal-INCOME'
+        });
+        expect(bankAccountsService.updateBalance.mock.calls).toEqual([
+            ['acc-pj', -1500, transaction, { transactionId: 'tx-pj', reason: 'OWNER_TRANSFER' }],
+            ['acc-pf', 1500, transaction, { transactionId: 'tx-pf', reason: 'OWNER_TRANSFER' }]
+        ]);
+        expect(result.summary.fromAccount.newBalance).toBe(3500);
+        expect(result.summary.toAccount.newBalance).toBe(6500);
+        expect(transaction.commit).toHaveBeenCalled();
+    });
+
+    test('a despesa guarda o id da receita', async () => {
+        jest.spyOn(BankAccount, 'findAll').mockResolvedValue([account('acc-pj', 'BUSINESS'), account('acc-pf', 'PERSONAL')]);
+
+        await transfer({ ownerTransferType: 'PROFIT_DISTRIBUTION' });
+
+        const expense = await ManualTransaction.create.mock.results[0].value;
+        expect(expense.linkedTransferId).toBe('tx-pf');
+        expect(expense.save).toHaveBeenCalledWith({ transaction });
+        expect(expense.source).toBe('WIRE_TRANSFER');
+    });
+
+    test('tipo e dados obrigatórios', async () => {
+        await expect(transfer({ ownerTransferType: 'BONUS' })).rejects.toMatchObject({ code: 'INVALID_OWNER_TRANSFER_TYPE' });
+        await expect(transfer({ amount: 0 })).rejects.toMatchObject({ code: 'INVALID_TRANSFER_DATA' });
+    });
+
+    test('sai da PJ para a PF, na mesma moeda, com saldo', async () => {
+        jest.spyOn(BankAccount, 'findAll').mockResolvedValue([account('acc-pj', 'PERSONAL'), account('acc-pf', 'PERSONAL')]);
+        await expect(transfer()).rejects.toMatchObject({ code: 'INVALID_OWNER_TRANSFER_PROFILES' });
+
+        BankAccount.findAll.mockResolvedValue([account('acc-pj', 'BUSINESS', { currency: 'USD' }), account('acc-pf', 'PERSONAL')]);
+        await expect(transfer()).rejects.toMatchObject({ code: 'CURRENCY_MISMATCH' });
+
+        BankAccount.findAll.mockResolvedValue([account('acc-pj', 'BUSINESS', { balance: '100' }), account('acc-pf', 'PERSONAL')]);
+        await expect(transfer()).rejects.toMatchObject({ code: 'INSUFFICIENT_BALANCE' });
+
+        expect(ManualTransaction.create).not.toHaveBeenCalled();
+        expect(transaction.rollback).toHaveBeenCalledTimes(3);
+    });
+});
+
+describe('deleteManualTransaction', () => {
+    test('excluir uma ponta estorna e leva a outra para a lixeira', async () => {
+        const leg = (id, type, bankAccountId, linkedTransferId) => ({
+            id, type, bankAccountId, linkedTransferId,
+            amount: '1500.00',
+            status: 'COMPLETED',
+            ownerTransferType: 'PRO_LABORE',
+            isRecurring: false,
+            recurringSeriesId: null,
+            reconciliationId: null
+        });
+        jest.spyOn(ManualTransaction, 'findOne')
+            .mockResolvedValueOnce(leg('tx-pf', 'INCOME', 'acc-pf', 'tx-pj'))
+            .mockResolvedValueOnce(leg('tx-pj', 'EXPENSE', 'acc-pj', 'tx-pf'));
+        jest.spyOn(trashService, 'moveToTrash').mockResolvedValue({ batchId: 'batch-1', count: 2 });
+
+        const result = await transactionsService.deleteManualTransaction('user-1', 'profile-personal', 'tx-pf');
+
+        expect(ManualTransaction.findOne.mock.calls[1][0]).toEqual({ where: { id: 'tx-pj', userId: 'user-1' } });
+        expect(bankAccountsService.updateBalance.mock.calls.map(call => call.slice(0, 2))).toEqual([
+            ['acc-pf', -1500],
+            ['acc-pj', 1500]
+        ]);
+        expect(trashService.moveToTrash).toHaveBeenCalledWith('MANUAL', { id: ['tx-pf', 'tx-pj'] });
+        expect(result.deletionBatchId).toBe('batch-1');
+    });
+});
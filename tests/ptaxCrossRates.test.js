@@ -0,0 +1,127 @@
+/**
+ * PTAX Cross Rates Test
+ * ========================
+ *
+ * Provedor BCB PTAX: boletim de fechamento mais recente e cotação
+ * cruzada para pares sem BRL (axios mockado, sem rede), falha do
+ * provedor em cache por data e a cotação dos totais agregados (sem
+ * consulta quando não há o que converter, sinalizada quando indisponível).
+ *
+ * Uso: npx jest tests/ptaxCrossRates.test.js
+ */
+
+jest.mock('axios');
+
+const axios = require('axios');
+const bcbPtax = require('../src/features/exchangeRates/providers/bcbPtax.provider');
+const { getRate, getRateForTotals } = require('../src/features/exchangeRates/exchangeRates.service');
+const { ExchangeRate } = require('../src/models');
+const { logger } = require('../src/config/logger');
+
+const bulletin = (dataHoraCotacao, cotacaoVenda, tipoBoletim = 'Fechamento') => ({ dataHoraCotacao, cotacaoVenda, tipoBoletim });
+
+// Boletins por moeda (parâmetro @moeda da consulta)
+const mockBulletins = (byCurrency) => {
+    axios.get.mockImplementation(async (url, { params }) => ({
+        data: { value: byCurrency[params['@moeda'].replace(/'/g, '')] || [] }
+    }));
+};
+
+beforeEach(() => {
+    axios.get.mockReset();
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('BCB PTAX - getRate', () => {
+    test('moeda contra BRL usa o último fechamento do período', async () => {
+        mockBulletins({
+            USD: [
+                bulletin('2026-03-06 13:09:00.000', 5.80),
+                bulletin('2026-03-05 13:03:00.000', 5.70),
+                bulletin('2026-03-06 11:04:00.000', 5.95, 'Intermediário')
+            ]
+        });
+
+        await expect(bcbPtax.getRate('USD', 'BRL', '2026-03-08')).resolves.toEqual({ rate: 5.80, date: '2026-03-06' });
+
+        const { params } = axios.get.mock.calls[0][1];
+        expect(params['@dataInicial']).toBe("'03-01-2026'");
+        expect(params['@dataFinalCotacao']).toBe("'03-08-2026'");
+    });
+
+    test('BRL contra outra moeda é o inverso da PTAX', async () => {
+        mockBulletins({ USD: [bulletin('2026-03-06 13:09:00.000', 5)] });
+
+        await expect(bcbPtax.getRate('BRL', 'USD', '2026-03-06')).resolves.toEqual({ rate: 0.2, date: '2026-03-06' });
+    });
+
+    test('par sem BRL usa a cotação cruzada e a data mais antiga', async () => {
+        mockBulletins({
+            EUR: [bulletin('2026-03-06 13:09:00.000', 6.30)],
+            USD: [bulletin('2026-03-05 13:09:00.000', 5.60)]
+        });
+
+        const result = await bcbPtax.getRate('EUR', 'USD', '2026-03-06');
+
+        expect(result.rate).toBeCloseTo(1.125, 10);
+        expect(result.date).toBe('2026-03-05');
+    });
+
+    test('sem boletim de fechamento no período', async () => {
+        mockBulletins({ USD: [bulletin('2026-03-06 10:00:00.000', 5.5, 'Abertura')] });
+
+        await expect(bcbPtax.getRate('USD', 'BRL', '2026-03-06')).rejects.toThrow('PTAX indisponível para USD em 2026-03-06');
+    });
+});
+
+describe('getRate - falha do provedor', () => {
+    test('fim de semana: usa a gravada mais recente e não consulta o provedor de novo', async () => {
+        jest.spyOn(logger, 'warn').mockImplementation(() => {});
+        jest.spyOn(ExchangeRate, 'findOne').mockResolvedValue({ currency: 'USD', rate: '5.80', date: '2026-03-06', source: 'BCB_PTAX' });
+        mockBulletins({});
+
+        const first = await getRate('USD', 'BRL', '2026-03-07');
+        const second = await getRate('USD', 'BRL', '2026-03-07');
+
+        expect(first).toEqual({ rate: 5.8, date: '2026-03-06', source: 'BCB_PTAX' });
+        expect(second).toEqual(first);
+        expect(axios.get).toHaveBeenCalledTimes(1);
+    });
+
+    test('sem cotação gravada, a falha em cache devolve indisponível sem nova consulta', async () => {
+        jest.spyOn(logger, 'warn').mockImplementation(() => {});
+        jest.spyOn(ExchangeRate, 'findOne').mockResolvedValue(null);
+        axios.get.mockRejectedValue(new Error('timeout'));
+
+        await expect(getRate('EUR', 'BRL', '2026-03-07')).rejects.toMatchObject({ statusCode: 422, code: 'FX_RATE_UNAVAILABLE' });
+        await expect(getRate('EUR', 'BRL', '2026-03-07')).rejects.toMatchObject({ code: 'FX_RATE_UNAVAILABLE' });
+        expect(axios.get).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('getRateForTotals', () => {
+    test('mesma moeda ou valores zerados não consultam cotação', async () => {
+        const findOne = jest.spyOn(ExchangeRate, 'findOne');
+
+        await expect(getRateForTotals('BRL', 'BRL', '2026-03-06', [100])).resolves.toEqual({ rate: 1, unavailable: false });
+        await expect(getRateForTotals('USD', 'BRL', '2026-03-06', [0, '0.00', null])).resolves.toEqual({ rate: 1, unavailable: false });
+        expect(findOne).not.toHaveBeenCalled();
+        expect(axios.get).not.toHaveBeenCalled();
+    });
+
+    test('usa a cotação gravada do dia', async () => {
+        jest.spyOn(ExchangeRate, 'findOne').mockResolvedValue({ currency: 'USD', rate: '5.50', date: '2026-03-06', source: 'MANUAL' });
+
+        await expect(getRateForTotals('USD', 'BRL', '2026-03-06', [10])).resolves.toEqual({ rate: 5.5, unavailable: false });
+    });
+
+    test('cotação indisponível degrada com a flag', async () => {
+        jest.spyOn(ExchangeRate, 'findOne').mockResolvedValue(null);
+        axios.get.mockRejectedValue(new Error('timeout'));
+
+        await expect(getRateForTotals('USD', 'BRL', '2026-03-06', [10])).resolves.toEqual({ rate: 1, unavailable: true });
+    });
+});
@@ -0,0 +1,252 @@
+/**
+ * Reconciliation Test
+ * ========================
+ *
+ * Conciliação bancária: validação do início, transação de ajuste ao
+ * concluir, sentido das transferências internas e diagnóstico de
+ * divergência de saldo pelo BalanceMovement.
+ * Consultas ao banco substituídas por spies nos models.
+ *
+ * Uso: npx jest tests/reconciliation.test.js
+ */
+
+const {
+    BankAccount,
+    BankReconciliation,
+    BalanceMovement,
+    ManualTransaction,
+    TransactionMetadata,
+    AuditLog,
+    sequelize
+} = require('../src/models');
+const bankAccountsService = require('../src/features/bankAccounts/bankAccounts.service');
+const reconciliationService = require('../src/features/bankAccounts/reconciliation.service');
+
+const ledgerStart = new Date('2026-01-01T00:00:00Z');
+
+const tx = (id, type, amount, data = {}) => ({
+    id,
+    type,
+    amount: String(amount),
+    status: 'COMPLETED',
+    bankAccountId: 'acc-1',
+    reconciliationId: null,
+    date: '2026-03-10',
+    description: id,
+    createdAt: new Date('2026-03-10T12:00:00Z'),
+    ...data
+});
+
+const movement = (transactionId, amount, data = {}) => ({
+    id: `mov-${transactionId || 'none'}`,
+    transactionId,
+    amount: String(amount),
+    reason: 'TRANSACTION',
+    createdAt: new Date('2026-03-10T12:00:00Z'),
+    ...data
+});
+
+let account;
+let transaction;
+
+// Transações da conta e movimentações de saldo registradas
+const mockLedger = ({ transactions = [], movements = [], linked = [], reconciliations = {} }) => {
+    jest.spyOn(BankReconciliation, 'findOne').mockImplementation(async ({ where }) =>
+        (where.status === 'OPEN' ? reconciliations.open : reconciliations.completed) || null);
+    jest.spyOn(ManualTransaction, 'findAll').mockImplementation(async ({ where }) => {
+        if (where.reconciliationId) return transactions.filter(t => t.reconciliationId === where.reconciliationId);
+        if (Array.isArray(where.id)) return [...transactions, ...linked].filter(t => where.id.includes(t.id));
+        return transactions;
+    });
+    jest.spyOn(BalanceMovement, 'findAll').mockImplementation(async ({ where }) => {
+        if (where.transactionId === null) return movements.filter(m => !m.transactionId);
+        if (Array.isArray(where.transactionId)) {
+            return movements.filter(m => where.transactionId.includes(m.transactionId) && m.reason === where.reason);
+        }
+        return movements;
+    });
+    jest.spyOn(BalanceMovement, 'findOne').mockResolvedValue(movements.length ? { createdAt: ledgerStart } : null);
+};
+
+beforeEach(() => {
+    account = { id: 'acc-1', bankName: 'Nubank', nickname: null, currency: 'BRL', balance: '1000.00', openingBalance: '1000.00' };
+    transaction = { commit: jest.fn(), rollback: jest.fn() };
+    jest.spyOn(BankAccount, 'findOne').mockImplementation(async () => account);
+    jest.spyOn(sequelize, 'transaction').mockResolvedValue(transaction);
+    jest.spyOn(bankAccountsService, 'updateBalance').mockResolvedValue();
+    jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('startReconciliation', () => {
+    test('data e saldo do extrato obrigatórios', async () => {
+        await expect(reconciliationService.startReconciliation('user-1', 'profile-1', 'acc-1', { statementDate: '31/03/2026', statementBalance: 10 }))
+            .rejects.toMatchObject({ code: 'INVALID_STATEMENT_DATE' });
+        await expect(reconciliationService.startReconciliation('user-1', 'profile-1', 'acc-1', { statementDate: '2026-03-31', statementBalance: 'abc' }))
+            .rejects.toMatchObject({ code: 'INVALID_STATEMENT_BALANCE' });
+    });
+
+    test('não abre uma segunda conciliação', async () => {
+        mockLedger({ reconciliations: { open: { id: 'rec-open' } } });
+
+        await expect(reconciliationService.startReconciliation('user-1', 'profile-1', 'acc-1', { statementDate: '2026-03-31', statementBalance: 10 }))
+            .rejects.toMatchObject({ statusCode: 409, code: 'RECONCILIATION_ALREADY_OPEN', details: { reconciliationId: 'rec-open' } });
+    });
+
+    test('extrato precisa ser posterior à última conciliação', async () => {
+        mockLedger({ reconciliations: { completed: { id: 'rec-1', statementBalance: '900', statementDate: '2026-03-31' } } });
+
+        await expect(reconciliationService.startReconciliation('user-1', 'profile-1', 'acc-1', { statementDate: '2026-03-31', statementBalance: 10 }))
+            .rejects.toMatchObject({ code: 'RECONCILIATION_DATE_BEFORE_LAST' });
+    });
+});
+
+describe('completeReconciliation', () => {
+    test('diferença entre extrato e compensadas vira ajuste identificado', async () => {
+        const reconciliation = {
+            id: 'rec-1',
+            status: 'OPEN',
+            statementDate: '2026-03-31',
+            statementBalance: '930.00',
+            update: jest.fn().mockResolvedValue()
+        };
+        account.balance = '950.00';
+        mockLedger({
+            transactions: [
+                tx('tx-1', 'EXPENSE', 80, { reconciliationId: 'rec-1' }),
+                tx('tx-2', 'INCOME', 30, { reconciliationId: 'rec-1' })
+            ]
+        });
+        BankReconciliation.findOne.mockImplementation(async ({ where }) => (where.id === 'rec-1' ? reconciliation : null));
+        jest.spyOn(ManualTransaction, 'create').mockImplementation(async (data) => ({ id: 'adj-1', ...data }));
+        jest.spyOn(TransactionMetadata, 'create').mockResolvedValue({});
+
+        const result = await reconciliationService.completeReconciliation('user-1', 'profile-1', 'acc-1', 'rec-1');
+
+        // abertura 1000 - 80 + 30 = 950 compensado; extrato 930 => ajuste de -20
+        expect(ManualTransaction.create).toHaveBeenCalledWith(expect.objectContaining({
+            type: 'EXPENSE',
+            amount: 20,
+            reconciliationId: 'rec-1',
+            date: '2026-03-31'
+        }), { transaction });
+        expect(TransactionMetadata.create.mock.calls[0][0].tags).toEqual([reconciliationService.ADJUSTMENT_TAG]);
+        expect(bankAccountsService.updateBalance.mock.calls[0].slice(0, 3)).toEqual(['acc-1', -20, transaction]);
+        expect(reconciliation.update).toHaveBeenCalledWith(expect.objectContaining({
+            status: 'COMPLETED',
+            openingBalance: 1000,
+            clearedBalance: 950,
+            difference: -20,
+            adjustmentTransactionId: 'adj-1'
+        }), { transaction });
+        expect(result.drift).toBe(0);
+        expect(transaction.commit).toHaveBeenCalled();
+    });
+});
+
+describe('getBalanceDrift', () => {
+    test('sem divergência quando o saldo bate com as transações', async () => {
+        account.balance = '970.00';
+        mockLedger({
+            transactions: [tx('tx-1', 'EXPENSE', 50), tx('tx-2', 'INCOME', 20)],
+            movements: [movement('tx-1', -50), movement('tx-2', 20)]
+        });
+
+        const result = await reconciliationService.getBalanceDrift('user-1', 'profile-1', 'acc-1');
+
+        expect(result).toMatchObject({ bookBalance: 970, expectedBalance: 970, drift: 0, mismatches: [], unexplained: 0 });
+        expect(result.anchor).toEqual({ type: 'OPENING_BALANCE', reconciliationId: null, date: null, balance: 1000 });
+    });
+
+    test('aponta as transações que causaram a divergência', async () => {
+        account.balance = '880.00';
+        mockLedger({
+            transactions: [
+                tx('tx-1', 'EXPENSE', 50),
+                tx('tx-2', 'INCOME', 20),
+                tx('tx-3', 'EXPENSE', 40)
+            ],
+            movements: [
+                movement('tx-1', -50),
+                movement('tx-3', -30),
+                movement('tx-gone', -60)
+            ]
+        });
+
+        const result = await reconciliationService.getBalanceDrift('user-1', 'profile-1', 'acc-1');
+
+        // esperado 1000 - 50 + 20 - 40 = 930; saldo 880
+        expect(result.drift).toBe(-50);
+        expect(result.mismatches.map(m => [m.transactionId, m.cause, m.difference])).toEqual([
+            ['tx-2', 'BALANCE_NOT_APPLIED', -20],
+            ['tx-3', 'AMOUNT_CHANGED', 10],
+            ['tx-gone', 'DELETED_WITHOUT_REVERT', -60]
+        ]);
+        expect(result.explained).toBe(-70);
+        expect(result.unexplained).toBe(20);
+    });
+
+    test('movimentações sem transação entram no saldo esperado', async () => {
+        account.balance = '1200.00';
+        mockLedger({ movements: [movement(null, 200, { reason: 'INVESTMENT_SALE' })] });
+
+        const result = await reconciliationService.getBalanceDrift('user-1', 'profile-1', 'acc-1');
+
+        expect(result.expectedBalance).toBe(1200);
+        expect(result.drift).toBe(0);
+        expect(result.movementsWithoutTransaction).toEqual([
+            { id: 'mov-none', amount: 200, reason: 'INVESTMENT_SALE', createdAt: expect.any(Date) }
+        ]);
+    });
+
+    test('transferência interna: entrada pela movimentação gravada, não pela descrição', async () => {
+        account.balance = '1150.00';
+        mockLedger({
+            transactions: [
+                tx('tr-in', 'INTERNAL_TRANSFER', 200, { description: 'Reserva', linkedTransferId: 'tr-out-x' }),
+                tx('tr-out', 'INTERNAL_TRANSFER', 50, { description: 'Aluguel ← renomeado', linkedTransferId: 'tr-in-x' })
+            ],
+            movements: [
+                movement('tr-in', 200, { reason: 'INTERNAL_TRANSFER' }),
+                movement('tr-out', -50, { reason: 'INTERNAL_TRANSFER' })
+            ]
+        });
+
+        const result = await reconciliationService.getBalanceDrift('user-1', 'profile-1', 'acc-1');
+
+        expect(result).toMatchObject({ expectedBalance: 1150, drift: 0, mismatches: [] });
+    });
+
+    test('transferência sem movimentação: a perna criada depois da vinculada é a entrada', async () => {
+        account.balance = '1150.00';
+        mockLedger({
+            transactions: [
+                tx('tr-in', 'INTERNAL_TRANSFER', 200, { linkedTransferId: 'tr-src' }),
+                tx('tr-out', 'INTERNAL_TRANSFER', 50, { linkedTransferId: 'tr-dst' })
+            ],
+            linked: [
+                { id: 'tr-src', createdAt: new Date('2026-03-10T11:59:59Z') },
+                { id: 'tr-dst', createdAt: new Date('2026-03-10T12:00:01Z') }
+            ]
+        });
+
+        const result = await reconciliationService.getBalanceDrift('user-1', null, 'acc-1');
+
+        expect(result.expectedBalance).toBe(1150);
+        expect(BankAccount.findOne.mock.calls[0][0].where).toEqual({ id: 'acc-1', userId: 'user-1' });
+    });
+
+    test('sem saldo inicial a divergência não é calculada', async () => {
+        account.openingBalance = null;
+        mockLedger({});
+
+        const result = await reconciliationService.getBalanceDrift('user-1', 'profile-1', 'acc-1');
+
+        expect(result.expectedBalance).toBeNull();
+        expect(result.drift).toBeNull();
+        expect(result.unexplained).toBeNull();
+    });
+});
@@ -0,0 +1,87 @@
+/**
+ * Recurring Dates Test
+ * ========================
+ *
+ * Cálculo das datas de ocorrência das séries recorrentes
+ * (frequências, último dia do mês, data final) e limite do horizonte.
+ *
+ * Uso: npx jest tests/recurringDates.test.js
+ */
+
+const {
+    computeOccurrenceDates,
+    isSeriesMaster,
+    materializeForProfile
+} = require('../src/features/transactions/recurring.service');
+
+describe('computeOccurrenceDates', () => {
+    test('mensal a partir da data base, sem repetir a própria base', () => {
+        const series = { date: '2026-01-10', recurringFrequency: 'MONTHLY' };
+
+        expect(computeOccurrenceDates(series, '2026-01-01', '2026-04-30'))
+            .toEqual(['2026-02-10', '2026-03-10', '2026-04-10']);
+    });
+
+    test('dia 31 cai no último dia dos meses curtos', () => {
+        const series = { date: '2026-01-31', recurringFrequency: 'MONTHLY', recurringDay: 31 };
+
+        expect(computeOccurrenceDates(series, '2026-02-01', '2026-05-31'))
+            .toEqual(['2026-02-28', '2026-03-31', '2026-04-30', '2026-05-31']);
+    });
+
+    test('recurrenceDate prevalece sobre date', () => {
+        const series = { date: '2026-03-20', recurrenceDate: '2026-03-05', recurringFrequency: 'MONTHLY' };
+
+        expect(computeOccurrenceDates(series, '2026-04-01', '2026-05-31'))
+            .toEqual(['2026-04-05', '2026-05-05']);
+    });
+
+    test('semanal e diária', () => {
+        expect(computeOccurrenceDates({ date: '2026-06-01', recurringFrequency: 'WEEKLY' }, '2026-06-01', '2026-06-22'))
+            .toEqual(['2026-06-08', '2026-06-15', '2026-06-22']);
+        expect(computeOccurrenceDates({ date: '2026-06-01', recurringFrequency: 'DAILY' }, '2026-06-03', '2026-06-05'))
+            .toEqual(['2026-06-03', '2026-06-04', '2026-06-05']);
+    });
+
+    test('anual em 29 de fevereiro', () => {
+        const series = { date: '2024-02-29', recurringFrequency: 'YEARLY' };
+
+        expect(computeOccurrenceDates(series, '2025-01-01', '2028-12-31'))
+            .toEqual(['2025-02-28', '2026-02-28', '2027-02-28', '2028-02-29']);
+    });
+
+    test('janela longe da base não perde ocorrências', () => {
+        const series = { date: '2020-01-15', recurringFrequency: 'MONTHLY' };
+
+        expect(computeOccurrenceDates(series, '2026-10-15', '2026-12-14'))
+            .toEqual(['2026-10-15', '2026-11-15']);
+    });
+
+    test('recurringEndDate encerra a série antes do horizonte', () => {
+        const series = { date: '2026-01-10', recurringFrequency: 'MONTHLY', recurringEndDate: '2026-03-10' };
+
+        expect(computeOccurrenceDates(series, '2026-01-01', '2026-12-31'))
+            .toEqual(['2026-02-10', '2026-03-10']);
+    });
+
+    test('frequência ausente é mensal', () => {
+        expect(computeOccurrenceDates({ date: '2026-01-10' }, '2026-02-01', '2026-02-28'))
+            .toEqual(['2026-02-10']);
+    });
+});
+
+describe('isSeriesMaster', () => {
+    test('apenas a definição recorrente fora de assinatura', () => {
+        expect(isSeriesMaster({ isRecurring: true, recurringSeriesId: null })).toBe(true);
+        expect(isSeriesMaster({ isRecurring: false, recurringSeriesId: null })).toBe(false);
+        expect(isSeriesMaster({ isRecurring: true, recurringSeriesId: 'series-1' })).toBe(false);
+        expect(isSeriesMaster({ isRecurring: true, recurringSeriesId: null, source: 'SUBSCRIPTION' })).toBe(false);
+    });
+});
+
+describe('materializeForProfile - horizonDays', () => {
+    test.each([0, 366, 1.5, '30'])('recusa %p', async (horizonDays) => {
+        await expect(materializeForProfile('user-1', 'profile-1', { horizonDays }))
+            .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_HORIZON_DAYS' });
+    });
+});
@@ -0,0 +1,155 @@
+/**
+ * Recurring Series Test
+ * ========================
+ *
+ * Edição "esta e as seguintes" de uma série recorrente: a ocorrência
+ * editada já paga tem o saldo da conta revertido e reaplicado, e a
+ * conciliada não pode mudar de valor. Ocorrência paga passa pelo limite
+ * mensal da categoria.
+ * Consultas ao banco substituídas por spies nos models.
+ *
+ * Uso: npx jest tests/recurringSeries.test.js
+ */
+
+const { ManualTransaction, BankReconciliation, Notification, AuditLog, sequelize } = require('../src/models');
+const bankAccountsService = require('../src/features/bankAccounts/bankAccounts.service');
+const categoryLimitsService = require('../src/features/budgets/categoryLimits.service');
+const transactionsService = require('../src/features/transactions/transactions.service');
+const { updateFollowing } = require('../src/features/transactions/recurring.service');
+
+// Registro com update que aplica os valores no próprio objeto
+const row = (data) => {
+    const record = {
+        ...data,
+        toJSON: () => ({ ...data }),
+        update: jest.fn(async (values) => Object.assign(record, values))
+    };
+    return record;
+};
+
+let transaction;
+let master;
+
+beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-03-10T12:00:00'), doNotFake: ['nextTick', 'setImmediate'] });
+    transaction = { commit: jest.fn(), rollback: jest.fn(), LOCK: { UPDATE: 'UPDATE' } };
+    jest.spyOn(sequelize, 'transaction').mockResolvedValue(transaction);
+    master = row({
+        id: 'master-1',
+        isRecurring: true,
+        recurringSeriesId: null,
+        recurringFrequency: 'MONTHLY',
+        recurringEndDate: '2026-03-10',
+        recurrenceDate: '2026-01-10',
+        type: 'EXPENSE',
+        amount: '100',
+        bankAccountId: 'acc-1',
+        status: 'COMPLETED'
+    });
+    jest.spyOn(ManualTransaction, 'findByPk').mockResolvedValue(master);
+    jest.spyOn(ManualTransaction, 'update').mockResolvedValue([0]);
+    jest.spyOn(ManualTransaction, 'findAll').mockResolvedValue([]);
+    jest.spyOn(Notification, 'destroy').mockResolvedValue(0);
+    jest.spyOn(AuditLog, 'log').mockResolvedValue();
+    jest.spyOn(bankAccountsService, 'updateBalance').mockResolvedValue();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+});
+
+describe('updateFollowing', () => {
+    test('ocorrência paga: reverte o valor antigo e aplica o novo na nova conta', async () => {
+        const occurrence = row({
+            id: 'occ-3',
+            recurringSeriesId: 'master-1',
+            recurrenceDate: '2026-03-10',
+            type: 'EXPENSE',
+            amount: '100',
+            bankAccountId: 'acc-1',
+            status: 'COMPLETED',
+            reconciliationId: null
+        });
+        jest.spyOn(ManualTransaction, 'findOne').mockResolvedValue(occurrence);
+
+        const result = await updateFollowing('user-1', 'prof-1', 'occ-3', { amount: 120, bankAccountId: 'acc-2' });
+
+        expect(result.series).toBe(occurrence);
+        expect(occurrence).toMatchObject({ amount: 120, bankAccountId: 'acc-2', isRecurring: true, recurringSeriesId: null });
+        expect(bankAccountsService.updateBalance.mock.calls).toEqual([
+            ['acc-1', 100, transaction, { transactionId: 'occ-3', reason: 'TRANSACTION_UPDATE' }],
+            ['acc-2', -120, transaction, { transactionId: 'occ-3', reason: 'TRANSACTION_UPDATE' }]
+        ]);
+        expect(master.update).toHaveBeenCalledWith({ recurringEndDate: '2026-03-09' }, { transaction });
+        expect(transaction.commit).toHaveBeenCalled();
+    });
+
+    test('definição pendente ou mudança só de descrição não mexe no saldo', async () => {
+        master.status = 'PENDING';
+        master.recurringEndDate = '2026-02-10';
+        jest.spyOn(ManualTransaction, 'findOne').mockResolvedValue(master);
+
+        await updateFollowing('user-1', 'prof-1', 'master-1', { amount: 150 });
+        expect(master.amount).toBe(150);
+
+        master.status = 'COMPLETED';
+        await updateFollowing('user-1', 'prof-1', 'master-1', { description: 'Aluguel' });
+
+        expect(bankAccountsService.updateBalance).not.toHaveBeenCalled();
+    });
+
+    test('ocorrência conciliada não muda de valor', async () => {
+        const occurrence = row({
+            id: 'occ-3',
+            recurringSeriesId: 'master-1',
+            recurrenceDate: '2026-03-10',
+            type: 'EXPENSE',
+            amount: '100',
+            bankAccountId: 'acc-1',
+            status: 'COMPLETED',
+            reconciliationId: 'rec-1'
+        });
+        jest.spyOn(ManualTransaction, 'findOne').mockResolvedValue(occurrence);
+        jest.spyOn(BankReconciliation, 'findByPk').mockResolvedValue({ id: 'rec-1', status: 'COMPLETED', statementDate: '2026-03-31' });
+
+        await expect(updateFollowing('user-1', 'prof-1', 'occ-3', { amount: 120 }))
+            .rejects.toMatchObject({ statusCode: 409, code: 'TRANSACTION_RECONCILED' });
+        expect(occurrence.update).not.toHaveBeenCalled();
+        expect(bankAccountsService.updateBalance).not.toHaveBeenCalled();
+        expect(transaction.rollback).toHaveBeenCalled();
+    });
+});
+
+describe('pagar ocorrência', () => {
+    test('PENDING → COMPLETED avalia o limite da categoria; outras edições não', async () => {
+        const occurrence = {
+            id: 'occ-4',
+            profileId: 'prof-1',
+            recurringSeriesId: 'master-1',
+            type: 'EXPENSE',
+            amount: '100',
+            categoryId: 'cat-1',
+            date: '2026-03-10',
+            status: 'PENDING',
+            reconciliationId: null,
+            save: jest.fn().mockResolvedValue()
+        };
+        occurrence.toJSON = () => ({ status: occurrence.status });
+        jest.spyOn(ManualTransaction, 'findOne').mockResolvedValue(occurrence);
+        jest.spyOn(categoryLimitsService, 'checkTransaction').mockResolvedValue(null);
+
+        await transactionsService.updateManualTransaction('user-1', 'prof-1', 'occ-4', { status: 'COMPLETED' });
+        await transactionsService.updateManualTransaction('user-1', 'prof-1', 'occ-4', { description: 'Aluguel março' });
+
+        expect(categoryLimitsService.checkTransaction).toHaveBeenCalledTimes(1);
+        expect(categoryLimitsService.checkTransaction).toHaveBeenCalledWith('user-1', 'prof-1', {
+            type: 'EXPENSE',
+            categoryId: 'cat-1',
+            date: '2026-03-10',
+            transactionId: 'occ-4',
+            transactionType: 'MANUAL'
+        });
+    });
+});
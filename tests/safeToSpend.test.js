@@ -0,0 +1,190 @@
+/**
+ * Safe-to-Spend Test
+ * ========================
+ *
+ * "Quanto posso gastar hoje": saldo convertido para a moeda base,
+ * compromissos até o próximo salário, aportes planejados das metas
+ * e limite pelo orçamento do mês.
+ * Consultas ao banco e serviços vizinhos substituídos por spies.
+ *
+ * Uso: npx jest tests/safeToSpend.test.js
+ */
+
+const { User, Profile, ManualTransaction, BudgetAllocation, Goal } = require('../src/models');
+const budgetsService = require('../src/features/budgets/budgets.service');
+const forecastService = require('../src/features/forecast/forecast.service');
+const goalsService = require('../src/features/goals/goals.service');
+const exchangeRatesService = require('../src/features/exchangeRates/exchangeRates.service');
+const safeToSpendService = require('../src/features/budgets/safeToSpend.service');
+
+const RATES = { BRL: 1, USD: 5 };
+
+// Contas e eventos da previsão até o dia anterior ao salário
+const mockForecast = (accounts, events) => {
+    jest.spyOn(forecastService, 'getProjectedEvents').mockResolvedValue({
+        accounts,
+        eventsByAccount: new Map(accounts.map(a => [a.id, events[a.id] || []]))
+    });
+};
+
+beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-03-10T12:00:00'), doNotFake: ['nextTick', 'setImmediate'] });
+    jest.spyOn(Profile, 'findOne').mockResolvedValue({ id: 'prof-1', type: 'PERSONAL' });
+    jest.spyOn(ManualTransaction, 'findOne').mockResolvedValue(null);
+    jest.spyOn(User, 'findByPk').mockResolvedValue({ salaryDay: 15 });
+    jest.spyOn(exchangeRatesService, 'getBaseCurrency').mockResolvedValue('BRL');
+    jest.spyOn(exchangeRatesService, 'getRate').mockImplementation(async (from) => ({ rate: RATES[from] }));
+    jest.spyOn(goalsService, 'getScheduledContributions').mockResolvedValue([]);
+    jest.spyOn(Goal, 'findAll').mockResolvedValue([]);
+    jest.spyOn(budgetsService, 'getCurrentBudget').mockResolvedValue(null);
+    jest.spyOn(BudgetAllocation, 'count').mockResolvedValue(0);
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+});
+
+describe('getSafeToSpend', () => {
+    test('desconta compromissos e metas e limita pelo orçamento do mês', async () => {
+        mockForecast(
+            [
+                { id: 'acc-1', balance: '2000', currency: 'BRL' },
+                { id: 'acc-usd', balance: '100', currency: 'USD' }
+            ],
+            {
+                'acc-1': [
+                    { type: 'CARD_INVOICE', amount: -500, date: '2026-03-12', description: 'Fatura Nubank' },
+                    { type: 'SUBSCRIPTION', amount: -50, date: '2026-03-11', description: 'Streaming' },
+                    { type: 'RECURRING', amount: 300, date: '2026-03-13', description: 'Aluguel recebido' }
+                ],
+                'acc-usd': [
+                    { type: 'RECURRING', amount: -10, date: '2026-03-14', description: 'Hospedagem', overdue: true }
+                ]
+            }
+        );
+        goalsService.getScheduledContributions.mockResolvedValue([
+            { goalId: 'goal-1', goalName: 'Viagem', amount: 100, currency: 'BRL' }
+        ]);
+        Goal.findAll.mockResolvedValue([
+            { id: 'goal-1', name: 'Viagem', targetAmount: '5000', currentAmount: '0', deadline: '2026-12-10' },
+            { id: 'goal-2', name: 'Reserva', targetAmount: '1000', currentAmount: '400', deadline: '2026-09-10' }
+        ]);
+        budgetsService.getCurrentBudget.mockResolvedValue({ spendingLimit: 3000, remainingBudget: 1000 });
+
+        const result = await safeToSpendService.getSafeToSpend('user-1', 'prof-1');
+
+        expect(result).toMatchObject({
+            date: '2026-03-10',
+            currency: 'BRL',
+            nextSalaryDate: '2026-03-15',
+            nextSalarySource: 'USER_SALARY_DAY',
+            remainingDays: 5,
+            balance: 2500,
+            budget: { source: 'BUDGET', remaining: 1000 },
+            available: 1000,
+            limitedBy: 'BUDGET',
+            dailyAllowance: 200,
+            status: 'OK'
+        });
+        expect(result.commitments).toMatchObject({ total: 600, transactions: 50, subscriptions: 50, invoices: 500, das: 0 });
+        expect(result.commitments.items.map(i => i.date)).toEqual(['2026-03-11', '2026-03-12', '2026-03-14']);
+        expect(result.commitments.items[2]).toMatchObject({ amount: 50, overdue: true });
+
+        // Meta agendada entra pelo agendamento; a outra, proporcional ao prazo (100/mês × 5/30)
+        expect(result.goalContributions.goals).toEqual([
+            { goalId: 'goal-1', name: 'Viagem', source: 'SCHEDULE', amount: 100 },
+            expect.objectContaining({ goalId: 'goal-2', source: 'DEADLINE', monthlyContribution: 100, amount: 16.67 })
+        ]);
+        expect(result.goalContributions.total).toBe(116.67);
+        expect(forecastService.getProjectedEvents).toHaveBeenCalledWith('user-1', 'prof-1', '2026-03-14');
+    });
+
+    test('compromissos acima do saldo: nada disponível e status OVERCOMMITTED', async () => {
+        ManualTransaction.findOne.mockResolvedValue({ date: '2026-03-20' });
+        mockForecast(
+            [{ id: 'acc-1', balance: '100', currency: 'BRL' }],
+            { 'acc-1': [{ type: 'DAS', amount: -250, date: '2026-03-20', description: 'DAS' }] }
+        );
+
+        const result = await safeToSpendService.getSafeToSpend('user-1', 'prof-1');
+
+        expect(result).toMatchObject({
+            nextSalaryDate: '2026-03-20',
+            nextSalarySource: 'SALARY_TRANSACTION',
+            remainingDays: 10,
+            budget: null,
+            available: 0,
+            limitedBy: 'BALANCE',
+            dailyAllowance: 0,
+            status: 'OVERCOMMITTED'
+        });
+        expect(result.commitments.das).toBe(250);
+        expect(User.findByPk).not.toHaveBeenCalled();
+    });
+
+    test('sem Budget, usa as alocações do mês que não guardam metas', async () => {
+        mockForecast([{ id: 'acc-1', balance: '5000', currency: 'BRL' }], {});
+        BudgetAllocation.count.mockResolvedValue(3);
+        jest.spyOn(budgetsService, 'getCurrentAllocations').mockResolvedValue([
+            { id: 'alloc-1', available: 300, remaining: 300 },
+            { id: 'alloc-2', available: -50, remaining: -50 },
+            { id: 'alloc-3', available: 200, remaining: 200 }
+        ]);
+        Goal.findAll
+            .mockResolvedValueOnce([])
+            .mockResolvedValueOnce([{ budgetAllocationId: 'alloc-3' }]);
+
+        const result = await safeToSpendService.getSafeToSpend('user-1', 'prof-1');
+
+        expect(result.budget).toEqual({ source: 'ALLOCATIONS', remaining: 300 });
+        expect(result).toMatchObject({ available: 300, limitedBy: 'BUDGET', dailyAllowance: 60 });
+    });
+
+    test('perfil empresarial sem salário previsto vai até o fim do mês', async () => {
+        Profile.findOne.mockResolvedValue({ id: 'prof-pj', type: 'BUSINESS' });
+        mockForecast([{ id: 'acc-pj', balance: '2200', currency: 'BRL' }], {});
+
+        const result = await safeToSpendService.getSafeToSpend('user-1', 'prof-pj');
+
+        expect(result).toMatchObject({
+            nextSalaryDate: '2026-04-01',
+            nextSalarySource: 'MONTH_END',
+            remainingDays: 22,
+            available: 2200,
+            dailyAllowance: 100,
+            status: 'OK'
+        });
+        expect(User.findByPk).not.toHaveBeenCalled();
+    });
+
+    test('perfil de outro usuário é rejeitado', async () => {
+        Profile.findOne.mockResolvedValue(null);
+
+        await expect(safeToSpendService.getSafeToSpend('user-1', 'prof-x'))
+            .rejects.toMatchObject({ statusCode: 404, code: 'PROFILE_NOT_FOUND' });
+        expect(Profile.findOne).toHaveBeenCalledWith({ where: { id: 'prof-x', userId: 'user-1' } });
+    });
+});
+
+describe('formatSafeToSpendMessage', () => {
+    test('inclui metas, limite do orçamento e alerta de compromissos', () => {
+        const message = safeToSpendService.formatSafeToSpendMessage({
+            currency: 'BRL',
+            nextSalaryDate: '2026-03-15',
+            remainingDays: 5,
+            dailyAllowance: 200,
+            balance: 2500,
+            commitments: { total: 600 },
+            goalContributions: { total: 116.67 },
+            budget: { remaining: 1000 },
+            limitedBy: 'BUDGET',
+            status: 'OVERCOMMITTED'
+        });
+
+        expect(message).toContain('por dia até 15/03 (5 dia(s))');
+        expect(message).toContain('🎯 Metas:');
+        expect(message).toContain('📊 Limitado pelo orçamento do mês:');
+        expect(message).toContain('⚠️');
+    });
+});
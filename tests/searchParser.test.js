@@ -0,0 +1,114 @@
+/**
+ * Search Parser Test
+ * ========================
+ *
+ * Linguagem de busca de transações: termos livres, filtros chave:valor,
+ * negação, aspas e mensagens de erro.
+ *
+ * Uso: npx jest tests/searchParser.test.js
+ */
+
+const { parseSearchQuery } = require('../src/features/transactions/search.parser');
+
+describe('parseSearchQuery', () => {
+    test('query vazia', () => {
+        expect(parseSearchQuery('')).toEqual({ text: '', filters: [], errors: [] });
+        expect(parseSearchQuery(null)).toEqual({ text: '', filters: [], errors: [] });
+    });
+
+    test('termos livres mantêm aspas e negação', () => {
+        const result = parseSearchQuery('ifood "pao de queijo" -uber');
+
+        expect(result.text).toBe('ifood "pao de queijo" -uber');
+        expect(result.filters).toEqual([]);
+    });
+
+    test('chave desconhecida vira termo livre', () => {
+        const result = parseSearchQuery('http://loja.com foo:bar');
+
+        expect(result.text).toBe('http://loja.com foo:bar');
+        expect(result.filters).toEqual([]);
+    });
+
+    test('filtros de texto com aspas e negação', () => {
+        const result = parseSearchQuery('category:"Casa e Lar" -tag:trabalho Account:Nubank');
+
+        expect(result.text).toBe('');
+        expect(result.filters).toEqual([
+            { key: 'category', negate: false, value: 'Casa e Lar' },
+            { key: 'tag', negate: true, value: 'trabalho' },
+            { key: 'account', negate: false, value: 'Nubank' }
+        ]);
+    });
+
+    test.each([
+        ['50', { op: '=', value: 50 }],
+        ['>50', { op: '>', value: 50 }],
+        ['>=50,5', { op: '>=', value: 50.5 }],
+        ['<=10', { op: '<=', value: 10 }],
+        ['10..50', { op: 'between', value: 10, to: 50 }]
+    ])('amount:%s', (value, expected) => {
+        expect(parseSearchQuery(`amount:${value}`).filters).toEqual([{ key: 'amount', negate: false, ...expected }]);
+    });
+
+    test.each(['abc', '50..10', '>>5'])('amount inválido: %s', (value) => {
+        const result = parseSearchQuery(`amount:${value}`);
+
+        expect(result.filters).toEqual([]);
+        expect(result.errors).toHaveLength(1);
+        expect(result.errors[0]).toMatch(/^amount: valor inválido/);
+    });
+
+    test('datas: after/before inclusivos, on e mês inteiro', () => {
+        const { filters, errors } = parseSearchQuery('after:2026-01 before:2026-02 on:2026-03-15');
+
+        expect(errors).toEqual([]);
+        expect(filters).toEqual([
+            { key: 'date', negate: false, op: '>=', value: '2026-01-01' },
+            { key: 'date', negate: false, op: '<=', value: '2026-02-28' },
+            { key: 'date', negate: false, op: 'between', value: '2026-03-15', to: '2026-03-15' }
+        ]);
+    });
+
+    test('data inválida', () => {
+        const { filters, errors } = parseSearchQuery('on:2026-02-30 after:ontem');
+
+        expect(filters).toEqual([]);
+        expect(errors).toEqual([
+            'on: data inválida "2026-02-30" (use YYYY-MM-DD ou YYYY-MM)',
+            'after: data inválida "ontem" (use YYYY-MM-DD ou YYYY-MM)'
+        ]);
+    });
+
+    test('enumerações normalizam a caixa', () => {
+        const { filters, errors } = parseSearchQuery('type:expense source:pix -status:cancelled is:Recurring has:ATTACHMENT');
+
+        expect(errors).toEqual([]);
+        expect(filters).toEqual([
+            { key: 'type', negate: false, value: 'EXPENSE' },
+            { key: 'source', negate: false, value: 'PIX' },
+            { key: 'status', negate: true, value: 'CANCELLED' },
+            { key: 'is', negate: false, value: 'recurring' },
+            { key: 'has', negate: false, value: 'attachment' }
+        ]);
+    });
+
+    test('enumerações inválidas e valor vazio', () => {
+        const { filters, errors } = parseSearchQuery('type:loan is:starred tag:');
+
+        expect(filters).toEqual([]);
+        expect(errors).toEqual([
+            'type: use INCOME, EXPENSE, TRANSFER',
+            'is: use recurring, split, ignored, important',
+            'tag: valor vazio'
+        ]);
+    });
+
+    test('mistura de texto e filtros', () => {
+        const result = parseSearchQuery('ifood amount:>50 tag:trabalho after:2026-01-01 -status:CANCELLED');
+
+        expect(result.text).toBe('ifood');
+        expect(result.filters).toHaveLength(4);
+        expect(result.errors).toEqual([]);
+    });
+});
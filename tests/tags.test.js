@@ -0,0 +1,175 @@
+/**
+ * Tags Test
+ * ========================
+ *
+ * Tags por perfil: filtro ?tags=, validação de nome e cor, renomear
+ * (reescreve os usos), mesclar e listar com a contagem de uso.
+ * Consultas ao banco substituídas por spies nos models.
+ *
+ * Uso: npx jest tests/tags.test.js
+ */
+
+const { Tag, sequelize } = require('../src/models');
+const tagsService = require('../src/features/tags/tags.service');
+
+let transaction;
+
+// Tag em memória
+const tag = (data) => ({
+    userId: 'user-1',
+    profileId: 'profile-1',
+    color: null,
+    description: null,
+    save: jest.fn().mockResolvedValue(),
+    ...data
+});
+
+// UPDATE nas três tabelas que guardam tags (metadata, cartão, regras)
+const mockRewrite = (affected = [2, 1, 0]) => {
+    const counts = [...affected];
+    jest.spyOn(sequelize, 'query').mockImplementation(async () => [undefined, counts.shift()]);
+};
+
+beforeEach(() => {
+    transaction = { commit: jest.fn(), rollback: jest.fn() };
+    jest.spyOn(sequelize, 'transaction').mockResolvedValue(transaction);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('parseTagFilter', () => {
+    test('lista separada por vírgula, sem repetição e em minúsculas', () => {
+        expect(tagsService.parseTagFilter('Viagem-2026, reforma,,viagem-2026')).toEqual(['viagem-2026', 'reforma']);
+        expect(tagsService.parseTagFilter(['Casa', ' casa '])).toEqual(['casa']);
+    });
+
+    test('vazio vira null', () => {
+        expect(tagsService.parseTagFilter('')).toBeNull();
+        expect(tagsService.parseTagFilter(' , ')).toBeNull();
+        expect(tagsService.parseTagFilter(undefined)).toBeNull();
+    });
+});
+
+describe('createTag', () => {
+    test('normaliza o nome e grava no perfil', async () => {
+        jest.spyOn(Tag, 'findOne').mockResolvedValue(null);
+        jest.spyOn(Tag, 'create').mockImplementation(async (data) => data);
+
+        const created = await tagsService.createTag('user-1', 'profile-1', { name: '  Viagem   2026 ', color: '#1A2b3C' });
+
+        expect(created).toEqual({ userId: 'user-1', profileId: 'profile-1', name: 'Viagem 2026', color: '#1A2b3C', description: null });
+    });
+
+    test('nome, cor e duplicidade', async () => {
+        await expect(tagsService.createTag('user-1', 'profile-1', { name: '   ' }))
+            .rejects.toMatchObject({ code: 'INVALID_TAG_NAME' });
+        await expect(tagsService.createTag('user-1', 'profile-1', { name: 'x'.repeat(51) }))
+            .rejects.toMatchObject({ code: 'INVALID_TAG_NAME' });
+        await expect(tagsService.createTag('user-1', 'profile-1', { name: 'casa', color: 'red' }))
+            .rejects.toMatchObject({ code: 'INVALID_TAG_COLOR' });
+
+        jest.spyOn(Tag, 'findOne').mockResolvedValue(tag({ id: 'tag-1', name: 'Casa' }));
+        await expect(tagsService.createTag('user-1', 'profile-1', { name: 'CASA' }))
+            .rejects.toMatchObject({ statusCode: 409, code: 'TAG_ALREADY_EXISTS' });
+    });
+});
+
+describe('updateTag', () => {
+    test('renomear reescreve os usos da tag', async () => {
+        const current = tag({ id: 'tag-1', name: 'viagem' });
+        jest.spyOn(Tag, 'findOne').mockResolvedValueOnce(current).mockResolvedValueOnce(null);
+        mockRewrite([3, 1, 2]);
+
+        const result = await tagsService.updateTag('user-1', 'profile-1', 'tag-1', { name: 'Viagem 2026' });
+
+        expect(result.rewritten).toEqual({ metadata: 3, cardTransactions: 1, rules: 2 });
+        expect(current.name).toBe('Viagem 2026');
+        expect(sequelize.query.mock.calls[0][1].replacements).toEqual({ userId: 'user-1', profileId: 'profile-1', from: ['viagem'], to: 'Viagem 2026' });
+        expect(current.save).toHaveBeenCalledWith({ transaction });
+        expect(transaction.commit).toHaveBeenCalled();
+    });
+
+    test('mudar só a caixa não conflita com a própria tag', async () => {
+        const current = tag({ id: 'tag-1', name: 'viagem' });
+        jest.spyOn(Tag, 'findOne').mockResolvedValue(current);
+        mockRewrite();
+
+        const result = await tagsService.updateTag('user-1', 'profile-1', 'tag-1', { name: 'Viagem' });
+
+        expect(Tag.findOne).toHaveBeenCalledTimes(1);
+        expect(result.rewritten).toEqual({ metadata: 2, cardTransactions: 1, rules: 0 });
+    });
+
+    test('nome de outra tag pede mesclagem', async () => {
+        jest.spyOn(Tag, 'findOne')
+            .mockResolvedValueOnce(tag({ id: 'tag-1', name: 'viagem' }))
+            .mockResolvedValueOnce(tag({ id: 'tag-2', name: 'Férias' }));
+
+        await expect(tagsService.updateTag('user-1', 'profile-1', 'tag-1', { name: 'férias' }))
+            .rejects.toMatchObject({ statusCode: 409, code: 'TAG_ALREADY_EXISTS', details: { tagId: 'tag-2' } });
+        expect(transaction.rollback).toHaveBeenCalled();
+    });
+
+    test('só a cor não reescreve usos', async () => {
+        const current = tag({ id: 'tag-1', name: 'viagem' });
+        jest.spyOn(Tag, 'findOne').mockResolvedValue(current);
+        jest.spyOn(sequelize, 'query');
+
+        const result = await tagsService.updateTag('user-1', 'profile-1', 'tag-1', { color: '#000000' });
+
+        expect(result.rewritten).toBeNull();
+        expect(current.color).toBe('#000000');
+        expect(sequelize.query).not.toHaveBeenCalled();
+    });
+});
+
+describe('mergeTags', () => {
+    test('usos das origens passam para o destino e as origens são apagadas', async () => {
+        jest.spyOn(Tag, 'findOne').mockResolvedValue(tag({ id: 'tag-1', name: 'Viagem' }));
+        jest.spyOn(Tag, 'findAll').mockResolvedValue([tag({ id: 'tag-2', name: 'viagens' }), tag({ id: 'tag-3', name: 'TRIP' })]);
+        jest.spyOn(Tag, 'destroy').mockResolvedValue(2);
+        mockRewrite([4, 0, 1]);
+
+        const result = await tagsService.mergeTags('user-1', 'profile-1', 'tag-1', ['tag-2', 'tag-3', 'tag-1', 'tag-2']);
+
+        expect(result.merged).toEqual(['viagens', 'TRIP']);
+        expect(result.rewritten).toEqual({ metadata: 4, cardTransactions: 0, rules: 1 });
+        expect(sequelize.query.mock.calls[0][1].replacements.from).toEqual(['viagens', 'trip']);
+        expect(Tag.destroy).toHaveBeenCalledWith({ where: { id: ['tag-2', 'tag-3'] }, transaction });
+    });
+
+    test('origens obrigatórias e do mesmo perfil', async () => {
+        await expect(tagsService.mergeTags('user-1', 'profile-1', 'tag-1', ['tag-1']))
+            .rejects.toMatchObject({ code: 'TAG_MERGE_SOURCES_REQUIRED' });
+
+        jest.spyOn(Tag, 'findOne').mockResolvedValue(tag({ id: 'tag-1', name: 'Viagem' }));
+        jest.spyOn(Tag, 'findAll').mockResolvedValue([]);
+        await expect(tagsService.mergeTags('user-1', 'profile-1', 'tag-1', ['tag-9']))
+            .rejects.toMatchObject({ statusCode: 404, code: 'TAG_NOT_FOUND' });
+    });
+});
+
+describe('listTags', () => {
+    test('cadastra tags usadas sem cadastro e conta o uso', async () => {
+        jest.spyOn(sequelize, 'query').mockResolvedValue([
+            { key: 'casa', name: 'Casa', count: 3 },
+            { key: 'viagem', name: 'viagem', count: 5 }
+        ]);
+        jest.spyOn(Tag, 'findAll')
+            .mockResolvedValueOnce([{ name: 'Casa' }])
+            .mockResolvedValueOnce([
+                tag({ id: 'tag-1', name: 'Casa' }),
+                tag({ id: 'tag-2', name: 'viagem' }),
+                tag({ id: 'tag-3', name: 'Reforma' })
+            ]);
+        jest.spyOn(Tag, 'bulkCreate').mockResolvedValue([]);
+
+        const tags = await tagsService.listTags('user-1', 'profile-1');
+
+        expect(Tag.bulkCreate).toHaveBeenCalledWith([{ userId: 'user-1', profileId: 'profile-1', name: 'viagem' }], { ignoreDuplicates: true, transaction: undefined });
+        expect(tags.map(t => [t.name, t.usageCount])).toEqual([['Casa', 3], ['viagem', 5], ['Reforma', 0]]);
+    });
+});
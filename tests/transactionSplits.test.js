@@ -0,0 +1,108 @@
+/**
+ * Transaction Splits Test
+ * ========================
+ *
+ * Divisão de transações por categoria: validação das linhas, soma ao
+ * centavo contra o valor do pai e linhas gravadas.
+ * Consultas ao banco substituídas por spies nos models.
+ *
+ * Uso: npx jest tests/transactionSplits.test.js
+ */
+
+const { ManualTransaction, Category, TransactionSplit, AuditLog, sequelize } = require('../src/models');
+const splitsService = require('../src/features/transactions/splits.service');
+
+let parent;
+let transaction;
+
+beforeEach(() => {
+    parent = { id: 'tx-1', amount: '-100.10', isSplit: false, update: jest.fn().mockResolvedValue() };
+    transaction = { commit: jest.fn(), rollback: jest.fn() };
+
+    jest.spyOn(ManualTransaction, 'findOne').mockResolvedValue(parent);
+    jest.spyOn(Category, 'findAll').mockImplementation(async ({ where }) => where.id.map(id => ({ id })));
+    jest.spyOn(TransactionSplit, 'findAll').mockResolvedValue([]);
+    jest.spyOn(TransactionSplit, 'destroy').mockResolvedValue(0);
+    jest.spyOn(TransactionSplit, 'bulkCreate').mockResolvedValue([]);
+    jest.spyOn(sequelize, 'transaction').mockResolvedValue(transaction);
+    jest.spyOn(AuditLog, 'log').mockResolvedValue();
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+const split = (lines) => splitsService.setSplits('user-1', 'profile-1', 'MANUAL', 'tx-1', lines);
+
+describe('setSplits - validação', () => {
+    test('exige ao menos duas linhas', async () => {
+        await expect(split([{ categoryId: 'c1', amount: 100.1 }]))
+            .rejects.toMatchObject({ statusCode: 400, code: 'SPLIT_TOO_FEW_LINES' });
+    });
+
+    test('cada linha precisa de categoria e valor positivo', async () => {
+        await expect(split([{ categoryId: 'c1', amount: 50 }, { amount: 50.1 }]))
+            .rejects.toMatchObject({ code: 'SPLIT_CATEGORY_REQUIRED' });
+        await expect(split([{ categoryId: 'c1', amount: 100.1 }, { categoryId: 'c2', amount: 0 }]))
+            .rejects.toMatchObject({ code: 'SPLIT_INVALID_AMOUNT' });
+    });
+
+    test('soma das linhas precisa bater ao centavo com o valor absoluto do pai', async () => {
+        const error = await split([{ categoryId: 'c1', amount: '60.05' }, { categoryId: 'c2', amount: '40.04' }]).catch(e => e);
+
+        expect(error.code).toBe('SPLIT_AMOUNT_MISMATCH');
+        expect(error.details).toEqual({ expected: 100.1, received: 100.09 });
+        expect(TransactionSplit.bulkCreate).not.toHaveBeenCalled();
+    });
+
+    test('categoria de outro usuário', async () => {
+        Category.findAll.mockResolvedValue([{ id: 'c1' }]);
+
+        await expect(split([{ categoryId: 'c1', amount: 60.05 }, { categoryId: 'c2', amount: 40.05 }]))
+            .rejects.toMatchObject({ statusCode: 404, code: 'CATEGORY_NOT_FOUND' });
+    });
+
+    test('transação de outro perfil', async () => {
+        ManualTransaction.findOne.mockResolvedValue(null);
+
+        await expect(split([{ categoryId: 'c1', amount: 60.05 }, { categoryId: 'c2', amount: 40.05 }]))
+            .rejects.toMatchObject({ statusCode: 404, code: 'TRANSACTION_NOT_FOUND' });
+        expect(ManualTransaction.findOne).toHaveBeenCalledWith({ where: { id: 'tx-1', userId: 'user-1', profileId: 'profile-1' } });
+    });
+});
+
+describe('setSplits - gravação', () => {
+    test('substitui as linhas e marca o pai como dividido', async () => {
+        await split([
+            { categoryId: 'c1', amount: 0.1 + 0.2 },
+            { categoryId: 'c2', amount: '99.80', description: 'Farmácia' }
+        ]);
+
+        expect(TransactionSplit.destroy).toHaveBeenCalledWith({ where: { transactionType: 'MANUAL', transactionId: 'tx-1' }, transaction });
+        expect(TransactionSplit.bulkCreate).toHaveBeenCalledWith([
+            { userId: 'user-1', transactionType: 'MANUAL', transactionId: 'tx-1', categoryId: 'c1', amount: '0.30', description: null, order: 0 },
+            { userId: 'user-1', transactionType: 'MANUAL', transactionId: 'tx-1', categoryId: 'c2', amount: '99.80', description: 'Farmácia', order: 1 }
+        ], { transaction });
+        expect(parent.update).toHaveBeenCalledWith({ isSplit: true }, { transaction });
+        expect(transaction.commit).toHaveBeenCalled();
+    });
+
+    test('falha na gravação desfaz a transação', async () => {
+        TransactionSplit.bulkCreate.mockRejectedValue(new Error('db down'));
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        await expect(split([{ categoryId: 'c1', amount: 50 }, { categoryId: 'c2', amount: 50.1 }])).rejects.toThrow('db down');
+        expect(transaction.rollback).toHaveBeenCalled();
+        expect(AuditLog.log).not.toHaveBeenCalled();
+    });
+});
+
+describe('removeSplits', () => {
+    test('apaga as linhas e devolve a categoria ao pai', async () => {
+        const result = await splitsService.removeSplits('user-1', 'profile-1', 'MANUAL', 'tx-1');
+
+        expect(result).toEqual({ transactionId: 'tx-1', isSplit: false });
+        expect(TransactionSplit.destroy).toHaveBeenCalledWith({ where: { transactionType: 'MANUAL', transactionId: 'tx-1' }, transaction });
+        expect(parent.update).toHaveBeenCalledWith({ isSplit: false }, { transaction });
+    });
+});
@@ -0,0 +1,170 @@
+/**
+ * Trash Test
+ * ========================
+ *
+ * Lixeira de transações: exclusão com deletionBatchId, restauração com
+ * o saldo reaplicado, restauração do lote inteiro e expurgo em blocos;
+ * exclusões de cartão filtradas pelos cartões do perfil.
+ * Consultas ao banco substituídas por spies nos models.
+ *
+ * Uso: npx jest tests/trash.test.js
+ */
+
+const { ManualTransaction, CardTransaction, CreditCard, AuditLog, sequelize } = require('../src/models');
+const bankAccountsService = require('../src/features/bankAccounts/bankAccounts.service');
+const trashService = require('../src/features/trash/trash.service');
+const manualCardService = require('../src/features/manualCard/manualCard.service');
+
+// Registro na lixeira em memória
+const trashed = (data) => ({
+    type: 'EXPENSE',
+    status: 'COMPLETED',
+    bankAccountId: 'acc-1',
+    isRecurring: false,
+    deletionBatchId: 'batch-1',
+    deletedAt: new Date('2026-03-01T10:00:00Z'),
+    restore: jest.fn().mockResolvedValue(),
+    update: jest.fn().mockResolvedValue(),
+    ...data
+});
+
+let transaction;
+
+beforeEach(() => {
+    transaction = { commit: jest.fn(), rollback: jest.fn() };
+    jest.spyOn(sequelize, 'transaction').mockResolvedValue(transaction);
+    jest.spyOn(bankAccountsService, 'updateBalance').mockResolvedValue();
+    jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+const balanceCalls = () => bankAccountsService.updateBalance.mock.calls.map(call => call.slice(0, 3));
+
+describe('moveToTrash', () => {
+    test('marca o lote e faz a exclusão lógica', async () => {
+        jest.spyOn(CardTransaction, 'update').mockResolvedValue([3]);
+        jest.spyOn(CardTransaction, 'destroy').mockResolvedValue(3);
+
+        const result = await trashService.moveToTrash('CARD', { installmentGroupId: 'group-1' }, { batchId: 'batch-9', transaction });
+
+        expect(result).toEqual({ batchId: 'batch-9', count: 3 });
+        expect(CardTransaction.update).toHaveBeenCalledWith({ deletionBatchId: 'batch-9' }, { where: { installmentGroupId: 'group-1' }, transaction });
+        expect(CardTransaction.destroy).toHaveBeenCalledWith({ where: { installmentGroupId: 'group-1' }, transaction });
+    });
+
+    test('gera um lote novo quando não informado', async () => {
+        jest.spyOn(ManualTransaction, 'update').mockResolvedValue([1]);
+        jest.spyOn(ManualTransaction, 'destroy').mockResolvedValue(1);
+
+        const { batchId } = await trashService.moveToTrash('MANUAL', { id: 'tx-1' });
+
+        expect(batchId).toMatch(/^[0-9a-f-]{36}$/);
+    });
+});
+
+describe('restoreItem', () => {
+    test('despesa concluída volta a debitar a conta', async () => {
+        const record = trashed({ id: 'tx-1', amount: '45.90' });
+        jest.spyOn(ManualTransaction, 'findOne').mockResolvedValue(record);
+
+        const result = await trashService.restoreItem('user-1', 'profile-1', 'MANUAL', 'tx-1');
+
+        expect(record.restore).toHaveBeenCalledWith({ transaction });
+        expect(record.update).toHaveBeenCalledWith({ deletionBatchId: null }, { transaction });
+        expect(balanceCalls()).toEqual([['acc-1', -45.9, transaction]]);
+        expect(result.balanceChanges).toEqual({ 'acc-1': -45.9 });
+        expect(transaction.commit).toHaveBeenCalled();
+    });
+
+    test('receita credita; pendente ou sem conta não mexe no saldo', async () => {
+        jest.spyOn(ManualTransaction, 'findOne').mockResolvedValueOnce(trashed({ id: 'tx-2', type: 'INCOME', amount: '100' }));
+        expect((await trashService.restoreItem('user-1', 'profile-1', 'MANUAL', 'tx-2')).balanceChanges).toEqual({ 'acc-1': 100 });
+
+        ManualTransaction.findOne.mockResolvedValueOnce(trashed({ id: 'tx-3', status: 'PENDING', amount: '10' }));
+        expect((await trashService.restoreItem('user-1', 'profile-1', 'MANUAL', 'tx-3')).balanceChanges).toEqual({});
+
+        ManualTransaction.findOne.mockResolvedValueOnce(trashed({ id: 'tx-4', bankAccountId: null, amount: '10' }));
+        expect((await trashService.restoreItem('user-1', 'profile-1', 'MANUAL', 'tx-4')).balanceChanges).toEqual({});
+    });
+
+    test('item fora da lixeira do perfil', async () => {
+        jest.spyOn(ManualTransaction, 'findOne').mockResolvedValue(null);
+
+        await expect(trashService.restoreItem('user-1', 'profile-1', 'MANUAL', 'tx-x'))
+            .rejects.toMatchObject({ statusCode: 404, code: 'TRASH_ITEM_NOT_FOUND' });
+        expect(ManualTransaction.findOne.mock.calls[0][0]).toMatchObject({ where: { id: 'tx-x', userId: 'user-1', profileId: 'profile-1' }, paranoid: false });
+
+        await expect(trashService.restoreItem('user-1', 'profile-1', 'OPEN_FINANCE', 'tx-x'))
+            .rejects.toMatchObject({ code: 'INVALID_TRASH_SOURCE' });
+    });
+
+    test('falha ao restaurar desfaz a transação', async () => {
+        const record = trashed({ id: 'tx-1', amount: '10' });
+        record.restore.mockRejectedValue(new Error('db down'));
+        jest.spyOn(ManualTransaction, 'findOne').mockResolvedValue(record);
+
+        await expect(trashService.restoreItem('user-1', 'profile-1', 'MANUAL', 'tx-1')).rejects.toThrow('db down');
+        expect(transaction.rollback).toHaveBeenCalled();
+        expect(bankAccountsService.updateBalance).not.toHaveBeenCalled();
+    });
+});
+
+describe('restoreBatch', () => {
+    test('parcelamento inteiro e manuais do mesmo lote voltam juntos', async () => {
+        const installments = [1, 2, 3].map(n => trashed({ id: `card-${n}`, amount: '100', installmentNumber: n }));
+        const manual = [
+            trashed({ id: 'tx-1', amount: '30' }),
+            trashed({ id: 'tx-2', amount: '20', bankAccountId: 'acc-2' })
+        ];
+        jest.spyOn(ManualTransaction, 'findAll').mockResolvedValue(manual);
+        jest.spyOn(CardTransaction, 'findAll').mockResolvedValue(installments);
+
+        const result = await trashService.restoreBatch('user-1', 'profile-1', 'batch-1');
+
+        expect(result.restored).toBe(5);
+        expect(result.balanceChanges).toEqual({ 'acc-1': -30, 'acc-2': -20 });
+        installments.forEach(record => expect(record.restore).toHaveBeenCalled());
+        expect(CardTransaction.findAll.mock.calls[0][0].include[0].where).toEqual({ profileId: 'profile-1' });
+    });
+
+    test('lote inexistente', async () => {
+        jest.spyOn(ManualTransaction, 'findAll').mockResolvedValue([]);
+        jest.spyOn(CardTransaction, 'findAll').mockResolvedValue([]);
+
+        await expect(trashService.restoreBatch('user-1', 'profile-1', 'batch-x'))
+            .rejects.toMatchObject({ statusCode: 404, code: 'TRASH_BATCH_NOT_FOUND' });
+    });
+});
+
+describe('exclusão de transações de cartão', () => {
+    beforeEach(() => {
+        jest.spyOn(CreditCard, 'findAll').mockResolvedValue([{ id: 'card-1' }, { id: 'card-2' }]);
+        jest.spyOn(trashService, 'moveToTrash').mockResolvedValue({ batchId: 'batch-1', count: 2 });
+    });
+
+    test('transação só é encontrada nos cartões do perfil', async () => {
+        jest.spyOn(CardTransaction, 'findOne').mockResolvedValue({ id: 'ct-1', installmentGroupId: 'group-1' });
+
+        const result = await manualCardService.deleteCardTransaction('user-1', 'prof-1', 'ct-1');
+
+        expect(CreditCard.findAll).toHaveBeenCalledWith({ where: { userId: 'user-1', profileId: 'prof-1' }, attributes: ['id'] });
+        expect(CardTransaction.findOne).toHaveBeenCalledWith({ where: { id: 'ct-1', userId: 'user-1', cardId: ['card-1', 'card-2'] } });
+        expect(trashService.moveToTrash).toHaveBeenCalledWith('CARD', { id: 'ct-1' });
+        expect(result).toMatchObject({ deletionBatchId: 'batch-1', installmentGroupId: 'group-1' });
+    });
+
+    test('parcelamento vai para a lixeira pelo perfil do cartão; sem perfil, só pelo usuário', async () => {
+        await manualCardService.deleteInstallmentGroup('user-1', 'prof-1', 'group-1');
+        await manualCardService.deleteInstallmentGroup('user-1', null, 'group-1');
+
+        expect(trashService.moveToTrash.mock.calls).toEqual([
+            ['CARD', { userId: 'user-1', installmentGroupId: 'group-1', cardId: ['card-1', 'card-2'] }],
+            ['CARD', { userId: 'user-1', installmentGroupId: 'group-1' }]
+        ]);
+        expect(CreditCard.findAll).toHaveBeenCalledTimes(1);
+    });
+});